@@ -0,0 +1,115 @@
+/**
+ * Express Application
+ * Middleware and routes of the API; server.js starts it, and tests mount it without a listener
+ */
+
+import express from 'express'
+import cors from 'cors'
+import logger from './utils/logger.js'
+import { sendErrorResponse } from './utils/errorHandler.js'
+import { PLAYER_IMPORT_MAX_BODY_SIZE } from './constants/index.js'
+
+// Import middleware
+import { checkRegistrationDeadline } from './middleware/registrationDeadline.js'
+import { rejectArchivedEventYearWrites } from './middleware/archivedEventYear.js'
+import { noCache } from './middleware/noCache.js'
+import { auditContext } from './middleware/auditContext.js'
+import { requestLogger } from './middleware/requestLogger.js'
+
+// Import routes
+import authRoutes from './routes/auth.js'
+import playerRoutes from './routes/players.js'
+import sportsRoutes from './routes/sports.js'
+import captainRoutes from './routes/captains.js'
+import coordinatorRoutes from './routes/coordinators.js'
+import batchRoutes from './routes/batches.js'
+import teamRoutes from './routes/teams.js'
+import participantRoutes from './routes/participants.js'
+import eventScheduleRoutes from './routes/eventSchedule.js'
+import exportRoutes from './routes/exports.js'
+import departmentRoutes from './routes/departments.js'
+import eventYearRoutes from './routes/eventYears.js'
+import pointsTableRoutes from './routes/pointsTable.js'
+import roleRoutes from './routes/roles.js'
+import lockoutRoutes from './routes/lockouts.js'
+import auditLogRoutes from './routes/auditLog.js'
+import venueRoutes from './routes/venues.js'
+import championshipRoutes from './routes/championship.js'
+import notificationRoutes from './routes/notifications.js'
+import healthRoutes from './routes/health.js'
+import docsRoutes from './routes/docs.js'
+
+const app = express()
+
+// Disable ETag generation (Express default)
+app.set('etag', false)
+
+// Behind a reverse proxy (Render, Netlify, nginx) set TRUST_PROXY so req.ip is the client IP
+// used by login rate limiting - e.g. TRUST_PROXY=1 (number of proxy hops) or TRUST_PROXY=true
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy))
+}
+
+// Health probes and metrics (outside /api: no request ID, access log or API middleware)
+app.use(healthRoutes)
+
+// Middleware
+// Request ID and access log first, so every later log entry of the request carries its ID
+app.use('/api', requestLogger)
+// Allow all origins, methods, and headers - most permissive configuration for Netlify
+// X-Request-Id is exposed so the frontend can show it with error messages
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }))
+// Spreadsheet uploads are sent as base64 JSON and need a larger body limit than other requests
+app.use('/api/players/import', express.json({ limit: PLAYER_IMPORT_MAX_BODY_SIZE }))
+app.use(express.json())
+app.use(express.urlencoded({ extended: true }))
+
+// Apply API middleware
+app.use('/api', rejectArchivedEventYearWrites)
+app.use('/api', checkRegistrationDeadline)
+app.use('/api', noCache)
+app.use('/api', auditContext)
+
+// Use route modules
+// IMPORTANT: More specific routes must be registered BEFORE generic /api routes
+app.use('/api/event-years', eventYearRoutes)
+app.use('/api/departments', departmentRoutes)
+app.use('/api/venues', venueRoutes)
+app.use('/api/roles', roleRoutes)
+app.use('/api/locked-accounts', lockoutRoutes)
+app.use('/api/audit-log', auditLogRoutes)
+app.use('/api/notifications', notificationRoutes)
+
+// Generic /api routes (registered after specific routes)
+app.use('/api', authRoutes)
+app.use('/api', playerRoutes)
+app.use('/api', sportsRoutes)
+app.use('/api', captainRoutes)
+app.use('/api', coordinatorRoutes)
+app.use('/api', batchRoutes)
+app.use('/api', teamRoutes)
+app.use('/api', participantRoutes)
+app.use('/api', eventScheduleRoutes)
+app.use('/api', exportRoutes)
+app.use('/api', pointsTableRoutes)
+app.use('/api', championshipRoutes)
+app.use('/api', docsRoutes)
+
+// 404 handler for API routes (after all routes)
+app.use('/api/*', (req, res) => {
+  res.status(404).json({ error: 'Route not found', path: req.originalUrl })
+})
+
+// Errors passed to next() (e.g. malformed JSON bodies) are logged with the request ID
+app.use((err, req, res, next) => {
+  const statusCode = err.status || err.statusCode || 500
+  if (statusCode >= 500) {
+    logger.error('Unhandled error in request:', err)
+    return sendErrorResponse(res, 500, 'An unexpected error occurred. Please try again.')
+  }
+  logger.warn(`Request rejected: ${err.message}`)
+  return sendErrorResponse(res, statusCode, err.expose ? err.message : 'Invalid request')
+})
+
+export default app
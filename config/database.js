@@ -1,21 +1,34 @@
 import mongoose from 'mongoose'
 import logger from '../utils/logger.js'
+import { isShuttingDown } from '../utils/lifecycle.js'
+import { MONGODB_CONNECT_RETRY_SECONDS } from '../constants/index.js'
 
+// Connects to MongoDB, retrying until it succeeds: the server keeps running meanwhile and /readyz reports
+// it as not ready, instead of the process exiting when MongoDB starts later than the backend
 const connectDB = async () => {
-  try {
-    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/annual-sports'
-    
-    const conn = await mongoose.connect(mongoURI, {
-      // Remove deprecated options, use default settings
-    })
-    
-    logger.server(`MongoDB Connected: ${conn.connection.host}`)
-    return conn
-  } catch (error) {
-    logger.error('Error connecting to MongoDB:', error.message)
-    process.exit(1)
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/annual-sports'
+
+  for (;;) {
+    try {
+      const conn = await mongoose.connect(mongoURI, {
+        // Remove deprecated options, use default settings
+      })
+
+      logger.server(`MongoDB Connected: ${conn.connection.host}`)
+      return conn
+    } catch (error) {
+      if (isShuttingDown()) {
+        throw error
+      }
+      logger.error(`Error connecting to MongoDB (retrying in ${MONGODB_CONNECT_RETRY_SECONDS}s):`, error.message)
+      await new Promise(resolve => setTimeout(resolve, MONGODB_CONNECT_RETRY_SECONDS * 1000))
+    }
   }
 }
 
-export default connectDB
+// Closes the MongoDB connection (graceful shutdown)
+export const disconnectDB = async () => {
+  await mongoose.disconnect()
+}
 
+export default connectDB
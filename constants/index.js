@@ -15,24 +15,239 @@ export const MATCH_STATUSES = ['scheduled', 'completed', 'draw', 'cancelled']
 // Sport Types (updated to new type system)
 export const SPORT_TYPES = ['dual_team', 'multi_team', 'dual_player', 'multi_player']
 
+// Score Formats (Sport.scoring.format)
+// goals: one number per side (football, hockey, basketball points)
+// sets: games per set, e.g. badminton/table tennis (dual sports only)
+// cricket: runs, wickets and overs per side (dual sports only)
+// time: lower is better; distance: higher is better (athletics), both recorded with a unit (SCORE_UNITS)
+export const SCORING_FORMATS = ['goals', 'sets', 'cricket', 'time', 'distance']
+export const DUAL_ONLY_SCORING_FORMATS = ['goals', 'sets', 'cricket']
+
+// Units of time and distance results, as a factor of the base unit (seconds / metres)
+// Sport.scoring.unit is the unit results are entered in; every recorded score keeps its unit
+export const SCORE_UNITS = {
+  time: { ms: 0.001, s: 1, min: 60, h: 3600 },
+  distance: { cm: 0.01, m: 1, km: 1000 }
+}
+export const DEFAULT_SCORE_UNITS = { time: 's', distance: 'm' }
+
+// Heats (EventSchedule.heat_*): generated rounds of multi sports with timed or measured results
+// Every round but the last is split into heats of at most the lane count; the top places of each heat
+// plus the fastest (best) losers across the round advance to the next round, the last round is the final
+export const HEAT_SCORING_FORMATS = ['time', 'distance']
+export const MAX_HEAT_LANES = 12
+export const DEFAULT_HEAT_LANES = 8
+
+// Points Rules (Sport.points_rules) - league points per result, used when a sport has no rules configured
+export const DEFAULT_POINTS_RULES = { win: 2, draw: 1, loss: 0, cancelled: 1, walkover: 2 }
+
+// Tie-Breakers applied in the configured order when league entries are level on points
+// head_to_head: points from matches between the tied participants
+// score_difference / scores_for: from recorded scores (goals, sets won, runs)
+// fewest_losses: fewer matches lost ranks higher
+// coin_toss: manual order recorded by an admin/coordinator (PointsTable.coin_toss_rank)
+export const TIE_BREAKERS = ['head_to_head', 'score_difference', 'scores_for', 'fewest_losses', 'coin_toss']
+
+// Sport Categories (Sport.category)
+export const SPORT_CATEGORIES = ['team events', 'individual events', 'literary and cultural activities']
+
+// Judged sport categories: matches of multi sports in these categories can be scored by a panel of judges
+// against a weighted rubric (EventSchedule.judges / rubric / judge_scores) instead of entering qualifiers by hand
+export const JUDGED_SPORT_CATEGORIES = ['literary and cultural activities']
+export const MAX_JUDGES_PER_MATCH = 10
+export const MAX_RUBRIC_CRITERIA = 10
+
+// Championship (overall trophy) points for a 1st/2nd/3rd place finish in a sport
+// Used for sport categories without points configured on the event year (EventYear.championship_points)
+export const DEFAULT_CHAMPIONSHIP_POINTS = { first: 5, second: 3, third: 1 }
+
+// Event Year Statuses (EventYear.status) in lifecycle order - a year only moves forward one step at a time
+// archived years are read-only and serve a frozen results snapshot (ResultsSnapshot) instead of recomputed results
+export const EVENT_YEAR_STATUSES = ['draft', 'registration', 'live', 'completed', 'archived']
+
 // Note: Hardcoded sports arrays (TEAM_SPORTS, INDIVIDUAL_SPORTS, CULTURAL_SPORTS) removed
 // Sports are now fetched dynamically from the Sport model via API
 // Note: VALID_DEPARTMENTS removed - departments are now fetched dynamically from Department model via API
 // Note: VALID_YEARS removed - year field stores formatted string like "1st Year (2025)" directly
 
+// Team Invitations (Sport.teams_participated[].invitations)
+// Only the captain joins a team on creation; every other player is invited and joins the team's players
+// (which count toward team_size) by accepting. Pending invitations expire when the registration period ends
+export const TEAM_INVITATION_STATUSES = ['pending', 'declined']
+
+// Reserve slots (Sport.reserve_slots): players a team may register beyond team_size as substitutes
+// Per match, a lineup (EventSchedule.lineups) names team_size starters and substitutes from the team's players,
+// and substitutions (EventSchedule.substitutions) swap a player on the field for a substitute on the bench
+export const MAX_RESERVE_SLOTS = 10
+export const MAX_SUBSTITUTION_REASON_LENGTH = 200
+
 // Participation Limits
 export const MAX_PARTICIPATIONS = 10
 export const MAX_CAPTAIN_ROLES = 10
 
 // Pagination
 export const DEFAULT_PLAYERS_PAGE_SIZE = 25 // Default page size for players list pagination and search
+export const DEFAULT_AUDIT_LOG_PAGE_SIZE = 25 // Default page size for audit log entries
+
+// Audit log
+export const AUDIT_BULK_MAX_DOCUMENTS = 100 // updateMany/deleteMany: documents audited one by one; the rest are summarized in one entry
+
+// Player import
+export const PLAYER_IMPORT_MAX_ROWS = 2500 // Maximum data rows in one player import spreadsheet
+export const PLAYER_IMPORT_MAX_FILE_SIZE = 7 * 1024 * 1024 // Maximum spreadsheet size in bytes (7 MB)
+export const PLAYER_IMPORT_MAX_FILE_LENGTH = Math.ceil(PLAYER_IMPORT_MAX_FILE_SIZE / 3) * 4 + 128 // Base64 data URL of the largest spreadsheet (with its data: prefix)
+export const PLAYER_IMPORT_MAX_BODY_SIZE = PLAYER_IMPORT_MAX_FILE_LENGTH + 16 * 1024 // JSON body limit of POST /api/players/import in bytes (file plus the other fields)
 
 // Note: Date constants removed - dates are now fetched from EventYear model in database
 // Registration and event dates are managed per event year through the Event Year management interface
 
 // JWT Configuration
-export const JWT_EXPIRES_IN = '24h'
+// Access tokens are short-lived; clients renew them with a rotating refresh token (Session collection)
+export const JWT_EXPIRES_IN = '15m'
+export const REFRESH_TOKEN_EXPIRY_DAYS = 7
+
+// Password reset token lifetime (minutes)
+export const PASSWORD_RESET_TOKEN_EXPIRY_MINUTES = 30
+
+// Rate limiting / progressive lockout (per IP and per reg_number)
+// Reaching max attempts within the window locks the key; each further lockout doubles
+// the lockout duration up to the maximum. Lockout history is forgotten after RESET_HOURS.
+export const RATE_LIMITS = {
+  LOGIN_ACCOUNT: { maxAttempts: 5, windowMinutes: 15, baseLockoutMinutes: 1, maxLockoutMinutes: 60 },
+  LOGIN_IP: { maxAttempts: 20, windowMinutes: 15, baseLockoutMinutes: 5, maxLockoutMinutes: 60 },
+  PASSWORD_RESET_ACCOUNT: { maxAttempts: 3, windowMinutes: 15, baseLockoutMinutes: 15, maxLockoutMinutes: 240 },
+  PASSWORD_RESET_IP: { maxAttempts: 10, windowMinutes: 15, baseLockoutMinutes: 15, maxLockoutMinutes: 240 },
+  RESET_HOURS: 24,
+  // In-memory store: expired entries are swept on this interval so unseen keys (one-off IPs) do not pile up
+  SWEEP_MINUTES: 5
+}
+
+// Email notifications (EmailOutbox collection)
+// Notifications are queued in the outbox and sent by a background worker, so a failing mail server never fails
+// the API request. A failed send is retried with exponential backoff (base delay doubling per attempt) until
+// NOTIFICATION_MAX_ATTEMPTS; sent and failed emails are removed after NOTIFICATION_OUTBOX_RETENTION_DAYS.
+export const NOTIFICATION_TYPES = [
+  'match_scheduled',
+  'match_rescheduled',
+  'match_cancelled',
+  'match_result',
+  'team_invitation',
+  'captain_assigned',
+  'coordinator_assigned'
+]
+// Players opt out per category (Player.notification_preferences); every category is on by default
+export const NOTIFICATION_CATEGORIES = {
+  match_updates: ['match_scheduled', 'match_rescheduled', 'match_cancelled', 'match_result'],
+  team_updates: ['team_invitation'],
+  role_updates: ['captain_assigned', 'coordinator_assigned']
+}
+export const NOTIFICATION_OUTBOX_STATUSES = ['pending', 'sent', 'failed']
+export const NOTIFICATION_MAX_ATTEMPTS = 5
+export const NOTIFICATION_RETRY_BASE_SECONDS = 60
+export const NOTIFICATION_SEND_LEASE_SECONDS = 300 // A claimed email is retried if the worker stops before finishing it
+export const NOTIFICATION_WORKER_INTERVAL_SECONDS = 30
+export const NOTIFICATION_WORKER_BATCH_SIZE = 20
+export const NOTIFICATION_OUTBOX_RETENTION_DAYS = 30
+export const DEFAULT_NOTIFICATION_OUTBOX_PAGE_SIZE = 25
+
+// Health checks, metrics and shutdown (/healthz, /readyz, /metrics)
+export const HEALTH_CHECK_TIMEOUT_MS = 2000 // A dependency that does not answer in time is reported as down
+export const EMAIL_CHECK_CACHE_SECONDS = 60 // SMTP verification opens a connection, so its result is reused
+export const METRICS_LATENCY_BUCKETS_SECONDS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+export const MONGODB_CONNECT_RETRY_SECONDS = 5
+export const SHUTDOWN_TIMEOUT_SECONDS = 10 // In-flight requests still running after this are cut off
 
 // Admin Registration Number
 export const ADMIN_REG_NUMBER = 'admin'
 
+
+// Roles
+// super_admin, event_admin and viewer are granted explicitly (RoleAssignment collection)
+// coordinator and captain are derived from Sport.eligible_coordinators / Sport.eligible_captains
+// player is implicit for every authenticated user
+export const ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  EVENT_ADMIN: 'event_admin',
+  COORDINATOR: 'coordinator',
+  CAPTAIN: 'captain',
+  VIEWER: 'viewer',
+  PLAYER: 'player'
+}
+
+// Roles that can be granted through /api/roles
+export const ASSIGNABLE_ROLES = [ROLES.SUPER_ADMIN, ROLES.EVENT_ADMIN, ROLES.VIEWER]
+
+// Permissions matrix: permission -> roles allowed to perform it
+// event_admin and viewer are limited to their event_id (viewer with no event_id sees all events)
+// coordinator and captain are limited to their sport within the event
+const { SUPER_ADMIN, EVENT_ADMIN, COORDINATOR, CAPTAIN, VIEWER, PLAYER } = ROLES
+export const PERMISSIONS = {
+  // Authentication
+  'auth:change_password': [PLAYER],
+  'auth:manage_sessions': [PLAYER],
+  'auth:manage_lockouts': [SUPER_ADMIN],
+
+  // Audit log
+  'audit_log:read': [SUPER_ADMIN, EVENT_ADMIN],
+
+  // Notifications
+  'notifications:manage_preferences': [PLAYER],
+  'notifications:read_outbox': [SUPER_ADMIN],
+  'notifications:manage_outbox': [SUPER_ADMIN],
+
+  // Roles
+  'roles:read': [SUPER_ADMIN],
+  'roles:manage': [SUPER_ADMIN],
+
+  // Event years
+  'event_years:read': [PLAYER],
+  'event_years:create': [SUPER_ADMIN],
+  'event_years:update': [SUPER_ADMIN, EVENT_ADMIN],
+  'event_years:delete': [SUPER_ADMIN],
+  'event_years:archive': [SUPER_ADMIN],
+
+  // Departments and venues
+  'departments:manage': [SUPER_ADMIN],
+  'venues:manage': [SUPER_ADMIN],
+
+  // Sports
+  'sports:read_counts': [PLAYER],
+  'sports:manage': [SUPER_ADMIN, EVENT_ADMIN],
+
+  // Batches
+  'batches:manage': [SUPER_ADMIN, EVENT_ADMIN],
+
+  // Coordinators and captains
+  'coordinators:read': [SUPER_ADMIN, EVENT_ADMIN, VIEWER],
+  'coordinators:manage': [SUPER_ADMIN, EVENT_ADMIN],
+  'captains:read': [SUPER_ADMIN, EVENT_ADMIN, COORDINATOR, VIEWER],
+  'captains:manage': [SUPER_ADMIN, EVENT_ADMIN, COORDINATOR],
+
+  // Players
+  'players:read': [PLAYER],
+  'players:read_enrollments': [SUPER_ADMIN, EVENT_ADMIN, VIEWER],
+  'players:update': [SUPER_ADMIN],
+  'players:delete': [SUPER_ADMIN],
+  'players:import': [SUPER_ADMIN],
+
+  // Participation and teams
+  'participants:read': [SUPER_ADMIN, EVENT_ADMIN, COORDINATOR, VIEWER],
+  'participants:read_count': [PLAYER],
+  'participants:register': [PLAYER],
+  'participants:manage': [SUPER_ADMIN, EVENT_ADMIN, COORDINATOR],
+  'teams:read': [PLAYER],
+  'teams:validate': [PLAYER],
+  'teams:create': [CAPTAIN],
+  'teams:manage': [SUPER_ADMIN, EVENT_ADMIN, COORDINATOR],
+  'teams:respond_invitation': [PLAYER], // only the invited player (checked in the route)
+
+  // Event schedule and points table
+  'schedule:read': [PLAYER],
+  'schedule:manage': [SUPER_ADMIN, EVENT_ADMIN, COORDINATOR],
+  'schedule:judge': [PLAYER], // only judges assigned to the match (checked in the route)
+  'points_table:read': [PLAYER],
+  'points_table:manage': [SUPER_ADMIN, EVENT_ADMIN, COORDINATOR],
+
+  // Exports
+  'exports:read': [SUPER_ADMIN, EVENT_ADMIN, VIEWER]
+}
@@ -0,0 +1,83 @@
+/**
+ * Archived Event Year Middleware
+ * Blocks every non-GET request that targets an archived event year - archived years are read-only
+ */
+
+import EventSchedule from '../models/EventSchedule.js'
+import Sport from '../models/Sport.js'
+import logger from '../utils/logger.js'
+import { sendErrorResponse } from '../utils/errorHandler.js'
+import { getArchivedEventIds } from '../utils/yearHelpers.js'
+
+// Requests that never change event year data: authentication, sessions and passwords, departments and venues
+// (shared by all years), role management (viewers may still be granted archived years), lockouts and
+// notification preferences and outbox
+const EXEMPT_PATHS = ['/login', '/refresh-token', '/logout', '/logout-all', '/change-password']
+const EXEMPT_PREFIXES = ['/reset-password', '/departments', '/venues', '/roles', '/locked-accounts', '/notifications']
+
+// Routes that address a document by id resolve the event year from the document
+const DOCUMENT_ROUTES = [
+  { pattern: /^\/event-schedule\/([a-f0-9]{24})(?:\/[^/]+){0,2}$/i, model: EventSchedule },
+  { pattern: /^\/sports\/([a-f0-9]{24})$/i, model: Sport }
+]
+
+/**
+ * Resolve the event year a request writes to
+ * The addressed event year or document, otherwise the explicit event_id
+ * @param {Object} req - Express request (path relative to /api)
+ * @returns {Promise<string|null>} event_id, or null if none applies
+ */
+async function resolveTargetEventId(req) {
+  // POST /event-years creates a new year; cloning only reads the source year
+  if (req.path === '/event-years' || req.path === '/event-years/' || /^\/event-years\/[^/]+\/clone\/?$/.test(req.path)) {
+    return null
+  }
+  const eventYearPath = req.path.match(/^\/event-years\/([^/]+)/)
+  if (eventYearPath) {
+    return decodeURIComponent(eventYearPath[1])
+  }
+
+  for (const { pattern, model } of DOCUMENT_ROUTES) {
+    const documentPath = req.path.match(pattern)
+    if (documentPath) {
+      const doc = await model.findById(documentPath[1]).select('event_id').lean()
+      // Unknown documents are left to the route's own 404
+      return doc ? doc.event_id : null
+    }
+  }
+
+  // Without an event_id routes use the active event year, which is never archived
+  // (archiving needs the event end date to have passed, and archived dates can no longer change)
+  const explicitEventId = req.body?.event_id || req.query?.event_id
+  return explicitEventId ? String(explicitEventId) : null
+}
+
+/**
+ * Middleware to reject writes to archived event years
+ * Applies to every mutating route, including admin routes that bypass the date restrictions
+ */
+export const rejectArchivedEventYearWrites = async (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS' || EXEMPT_PATHS.includes(req.path) || EXEMPT_PREFIXES.some(prefix => req.path.startsWith(prefix))) {
+    return next()
+  }
+
+  try {
+    const archivedEventIds = await getArchivedEventIds()
+    if (archivedEventIds.length === 0) {
+      return next()
+    }
+
+    const eventId = await resolveTargetEventId(req)
+    if (eventId && archivedEventIds.includes(String(eventId).trim().toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        error: `Event year ${String(eventId).trim().toLowerCase()} is archived. Archived event years are read-only.`,
+      })
+    }
+
+    next()
+  } catch (error) {
+    logger.error('Error in archived event year middleware:', error)
+    return sendErrorResponse(res, 500, 'Error checking event year status. Please try again.')
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Audit Context Middleware
+ * Opens an audit context for mutating requests so model writes are recorded in AuditLog
+ */
+
+import { runWithAuditContext } from '../utils/auditContext.js'
+
+/**
+ * Middleware to record model writes made while handling non-GET requests
+ * The actor is read from req.user when the write happens (after authenticateToken)
+ */
+export const auditContext = (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+    return next()
+  }
+
+  runWithAuditContext({ req }, next)
+}
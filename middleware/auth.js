@@ -6,151 +6,147 @@
 import jwt from 'jsonwebtoken'
 import Player from '../models/Player.js'
 import logger from '../utils/logger.js'
-import { ADMIN_REG_NUMBER } from '../constants/index.js'
+import { sendErrorResponse } from '../utils/errorHandler.js'
+import { PERMISSIONS } from '../constants/index.js'
+import { createScopeResolver, findScopeConflict, getUserRoles, hasPermission } from '../utils/roleHelpers.js'
+import { isSessionActive } from '../utils/sessionHelpers.js'
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production'
 
 /**
  * Authenticate JWT token and verify user exists in database
+ * Rejects tokens whose session was revoked (logout, logout-all, player deleted)
+ * and tokens issued before the player's last password change
  * Attaches user info to req.user
  */
 export const authenticateToken = async (req, res, next) => {
   try {
-    console.log('[auth] authenticateToken middleware - Path:', req.path, 'Original URL:', req.originalUrl)
     const authHeader = req.headers['authorization']
     const token = authHeader && authHeader.split(' ')[1] // Bearer TOKEN
 
     if (!token) {
-      console.log('[auth] No token provided - returning 401')
       return res.status(401).json({
         success: false,
         error: 'Access token required. Please login first.',
       })
     }
-    
-    console.log('[auth] Token found, verifying...')
 
     jwt.verify(token, JWT_SECRET, async (err, decoded) => {
       if (err) {
-        console.log('[auth] Token verification failed:', err.message)
+        logger.debug(`[auth] Token verification failed: ${err.message}`)
+        // Expired access tokens get 401 with a code so the client can refresh and retry
+        if (err.name === 'TokenExpiredError') {
+          return res.status(401).json({
+            success: false,
+            error: 'Access token expired. Please refresh your session.',
+            code: 'TOKEN_EXPIRED',
+          })
+        }
         return res.status(403).json({
           success: false,
           error: 'Invalid or expired token. Please login again.',
         })
       }
 
-      console.log('[auth] Token decoded successfully, reg_number:', decoded.reg_number)
-      
       // Verify that the user exists in the players database
       try {
-        const userExists = await Player.findOne({ reg_number: decoded.reg_number }).select('-password')
+        const [userExists, sessionActive] = await Promise.all([
+          Player.findOne({ reg_number: decoded.reg_number }).select('-password'),
+          isSessionActive(decoded.sid)
+        ])
         if (!userExists) {
-          console.log('[auth] User not found in database:', decoded.reg_number)
+          logger.debug('[auth] Token rejected: user not found in database')
           return res.status(403).json({
             success: false,
             error: 'User not found in database. Please login again.',
           })
         }
 
+        // Session revoked or token issued before session tracking existed
+        if (!sessionActive) {
+          logger.debug('[auth] Token rejected: session not active')
+          return res.status(401).json({
+            success: false,
+            error: 'Session has ended. Please login again.',
+            code: 'SESSION_REVOKED',
+          })
+        }
+
+        // JWT iat has second precision - compare at the same precision
+        if (userExists.password_changed_at && decoded.iat < Math.floor(userExists.password_changed_at.getTime() / 1000)) {
+          logger.debug('[auth] Token rejected: issued before password change')
+          return res.status(401).json({
+            success: false,
+            error: 'Password was changed. Please login again.',
+            code: 'SESSION_REVOKED',
+          })
+        }
+
         // Attach user info to request (from database, not just token)
         req.user = {
           reg_number: decoded.reg_number,
           full_name: decoded.full_name,
           isAdmin: decoded.isAdmin,
+          session_id: decoded.sid,
         }
-        console.log('[auth] User authenticated, calling next()')
         next()
       } catch (error) {
         logger.error('Error verifying user in database:', error)
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to verify user. Please try again.',
-        })
+        return sendErrorResponse(res, 500, 'Failed to verify user. Please try again.')
       }
     })
   } catch (error) {
     logger.error('Error in authenticateToken middleware:', error)
-    return res.status(500).json({
-      success: false,
-      error: 'Authentication error. Please try again.',
-    })
+    return sendErrorResponse(res, 500, 'Authentication error. Please try again.')
   }
 }
 
 /**
- * Require admin access (must be used after authenticateToken)
+ * Authorize a request against the permissions matrix (must be used after authenticateToken and validateRequest,
+ * so the scope is read from validated values)
+ * Loads the user's roles once per request and attaches them to req.user.roles
+ * Requests naming different event years or sports in the path, query and body get a 400
+ * @param {string} permission - Permission key from PERMISSIONS (constants/index.js)
+ * @param {Object} options - Options object
+ * @param {Function|Object} options.scope - The request fields the handler takes its scope from, e.g.
+ *   { event_id: 'body.event_id', sport: 'body.sports_name' } (see createScopeResolver), or an async
+ *   (req) => { event_id, sport } resolver that returns null when the target resource does not exist so the
+ *   route can respond with its own 404. Defaults to the active event year and no sport.
  */
-export const requireAdmin = (req, res, next) => {
-  console.log('[auth] requireAdmin middleware - User reg_number:', req.user?.reg_number, 'ADMIN_REG_NUMBER:', ADMIN_REG_NUMBER)
-  if (req.user?.reg_number !== ADMIN_REG_NUMBER) {
-    console.log('[auth] Admin check failed - returning 403')
-    return res.status(403).json({
-      success: false,
-      error: 'Admin access required',
-    })
+export const authorize = (permission, options = {}) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`)
   }
-  console.log('[auth] Admin check passed, calling next()')
-  next()
-}
+  const resolveScope = typeof options.scope === 'function' ? options.scope : createScopeResolver(options.scope)
 
-/**
- * Require admin or coordinator access for a specific sport
- * Must be used after authenticateToken
- * Expects sport name in req.body.sport or req.params.sport
- * Also requires event_id in req.body.event_id, req.query.event_id, or req.params.event_id
- */
-export const requireAdminOrCoordinator = async (req, res, next) => {
-  const userRegNumber = req.user?.reg_number
-  
-  // Admin always has access
-  if (userRegNumber === ADMIN_REG_NUMBER) {
-    return next()
-  }
+  return async (req, res, next) => {
+    try {
+      const conflict = findScopeConflict(req)
+      if (conflict) {
+        return sendErrorResponse(res, 400, `The request names different ${conflict} values in its path, query and body`)
+      }
 
-  // Get sport name from body or params
-  const sportName = req.body?.sport || req.params?.sport || req.query?.sport
-  if (!sportName) {
-    return res.status(400).json({
-      success: false,
-      error: 'Sport name is required for coordinator check',
-    })
-  }
+      if (!req.user.roles) {
+        req.user.roles = await getUserRoles(req.user.reg_number)
+      }
 
-  // Get event_id from body, query, or params
-  const eventId = req.body?.event_id || req.query?.event_id || req.params?.event_id
-  if (!eventId || !String(eventId).trim()) {
-    return res.status(400).json({
-      success: false,
-      error: 'Event ID is required for coordinator check',
-    })
-  }
+      const scope = await resolveScope(req)
+      if (scope === null) {
+        return next()
+      }
 
-  try {
-    // Import Sport model dynamically to avoid circular dependencies
-    const Sport = (await import('../models/Sport.js')).default
-    const { normalizeSportName } = await import('../utils/sportHelpers.js')
-    
-    // Check if user is coordinator for this sport
-    const sport = await Sport.findOne({
-      name: normalizeSportName(sportName),
-      event_id: String(eventId).trim().toLowerCase(),
-      eligible_coordinators: userRegNumber
-    }).lean()
+      if (!hasPermission(req.user.roles, permission, scope)) {
+        logger.warn(`Permission denied: ${req.user.reg_number} -> ${permission}`, scope)
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to perform this action',
+        })
+      }
 
-    if (!sport) {
-      return res.status(403).json({
-        success: false,
-        error: 'Admin or coordinator access required for this sport',
-      })
+      next()
+    } catch (error) {
+      logger.error('Error checking permissions:', error)
+      return sendErrorResponse(res, 500, 'Failed to verify permissions')
     }
-
-    // User is coordinator for this sport, allow access
-    next()
-  } catch (error) {
-    logger.error('Error checking coordinator access:', error)
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to verify coordinator access',
-    })
   }
 }
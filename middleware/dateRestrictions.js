@@ -30,8 +30,7 @@ async function checkRegistrationDateRange({ eventId = null } = {}) {
     const regStart = new Date(eventYearDoc.registration_dates.start)
     regStart.setHours(0, 0, 0, 0)
 
-    const regEnd = new Date(eventYearDoc.registration_dates.end)
-    regEnd.setHours(23, 59, 59, 999)
+    const regEnd = getRegistrationEndDate(eventYearDoc)
 
     const isWithin = now >= regStart && now <= regEnd
 
@@ -216,6 +215,18 @@ function getOrdinal(day) {
   return day + 'th'
 }
 
+/**
+ * Get the moment the registration period of an event year closes (end of its last day)
+ * Team invitations expire at this moment
+ * @param {Object} eventYearDoc - Event year document
+ * @returns {Date} End of registration_dates.end
+ */
+export function getRegistrationEndDate(eventYearDoc) {
+  const regEnd = new Date(eventYearDoc.registration_dates.end)
+  regEnd.setHours(23, 59, 59, 999)
+  return regEnd
+}
+
 /**
  * Middleware to restrict operations to registration date range
  * Allows operations only within registration_dates.start and registration_dates.end
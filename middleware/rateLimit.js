@@ -0,0 +1,140 @@
+/**
+ * Rate Limit Middleware
+ * Throttles login and password reset per IP and per reg_number with progressive lockout
+ */
+
+import logger from '../utils/logger.js'
+import { createRateLimiter } from '../utils/rateLimiter.js'
+import { RATE_LIMITS } from '../constants/index.js'
+
+const loginIpLimiter = createRateLimiter({ name: 'login:ip', policy: RATE_LIMITS.LOGIN_IP })
+const loginAccountLimiter = createRateLimiter({ name: 'login:account', policy: RATE_LIMITS.LOGIN_ACCOUNT })
+const resetIpLimiter = createRateLimiter({ name: 'password_reset:ip', policy: RATE_LIMITS.PASSWORD_RESET_IP })
+const resetAccountLimiter = createRateLimiter({ name: 'password_reset:account', policy: RATE_LIMITS.PASSWORD_RESET_ACCOUNT })
+
+const IP_LIMITERS = [loginIpLimiter, resetIpLimiter]
+const ACCOUNT_LIMITERS = [loginAccountLimiter, resetAccountLimiter]
+
+/**
+ * Send 429 Too Many Requests with a Retry-After header
+ * @param {Object} res - Express response
+ * @param {number} retryAfterMs - Milliseconds until the lock expires
+ */
+export const sendRateLimitResponse = (res, retryAfterMs) => {
+  const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000))
+  const retryAfterMinutes = Math.ceil(retryAfterSeconds / 60)
+  res.set('Retry-After', String(retryAfterSeconds))
+  return res.status(429).json({
+    success: false,
+    error: `Too many attempts. Please try again in ${retryAfterMinutes} minute${retryAfterMinutes === 1 ? '' : 's'}.`,
+    retry_after: retryAfterSeconds,
+  })
+}
+
+/**
+ * Build rate limit middleware for an IP limiter and an account (reg_number) limiter
+ * Every request is counted as an attempt before the route handles it, so parallel requests cannot all slip under
+ * the limit while the first ones are still being verified
+ * Attaches req.rateLimit = { fail, succeed } for the route handler
+ * @param {Object} ipLimiter - Limiter keyed by client IP
+ * @param {Object} accountLimiter - Limiter keyed by req.body.reg_number
+ */
+const createRateLimitMiddleware = (ipLimiter, accountLimiter) => {
+  return async (req, res, next) => {
+    const regNumber = typeof req.body?.reg_number === 'string' ? req.body.reg_number.trim() : ''
+    const targets = [[ipLimiter, req.ip]]
+    if (regNumber) {
+      targets.push([accountLimiter, regNumber])
+    }
+
+    try {
+      const results = await Promise.all(targets.map(([limiter, id]) => limiter.check(id)))
+      const retryAfterMs = Math.max(0, ...results.map(result => result.retryAfterMs))
+      if (retryAfterMs > 0) {
+        return sendRateLimitResponse(res, retryAfterMs)
+      }
+
+      const hits = await Promise.all(targets.map(([limiter, id]) => limiter.hit(id)))
+      const hitRetryAfterMs = Math.max(0, ...hits.map(hit => hit.retryAfterMs))
+      if (hitRetryAfterMs > 0) {
+        return sendRateLimitResponse(res, hitRetryAfterMs)
+      }
+
+      req.rateLimit = {
+        // The counted attempt failed; resolves to ms until unlock (0 if not locked)
+        fail: async () => {
+          const failResults = await Promise.all(targets.map(([limiter, id], index) => limiter.fail(id, hits[index].attempts)))
+          return Math.max(0, ...failResults.map(result => result.retryAfterMs))
+        },
+        // The counted attempt succeeded: clear the account's history and give the attempt back to the IP
+        // (its earlier failures are kept)
+        succeed: async () => {
+          await Promise.all([
+            ipLimiter.release(req.ip),
+            regNumber ? accountLimiter.reset(regNumber) : null
+          ])
+        },
+      }
+
+      next()
+    } catch (error) {
+      // Fail open - a store outage must not block every login
+      logger.error('Error checking rate limit:', error)
+      req.rateLimit = { fail: async () => 0, succeed: async () => {} }
+      next()
+    }
+  }
+}
+
+/**
+ * Login throttling - only failed logins count (the route gives successful ones back)
+ */
+export const loginRateLimit = createRateLimitMiddleware(loginIpLimiter, loginAccountLimiter)
+
+/**
+ * Password reset throttling - every request counts (each one sends an email)
+ */
+export const passwordResetRateLimit = createRateLimitMiddleware(resetIpLimiter, resetAccountLimiter)
+
+/**
+ * List currently locked accounts and IPs across all limiters
+ * @returns {Promise<{accounts: Array, ips: Array}>} Locked entries with limiter name and retry_after seconds
+ */
+export const listLockouts = async () => {
+  const now = Date.now()
+  const collect = async (limiters, idField) => {
+    const lists = await Promise.all(limiters.map(async (limiter) => {
+      const locked = await limiter.listLocked()
+      return locked.map(entry => ({
+        [idField]: entry.id,
+        limiter: limiter.name.split(':')[0],
+        locked_until: entry.locked_until,
+        lockout_count: entry.lockout_count,
+        retry_after: Math.max(0, Math.ceil((new Date(entry.locked_until).getTime() - now) / 1000)),
+      }))
+    }))
+    return lists.flat().sort((a, b) => new Date(b.locked_until) - new Date(a.locked_until))
+  }
+
+  const [accounts, ips] = await Promise.all([
+    collect(ACCOUNT_LIMITERS, 'reg_number'),
+    collect(IP_LIMITERS, 'ip'),
+  ])
+  return { accounts, ips }
+}
+
+/**
+ * Clear lockout and attempt history for an account (all limiters)
+ * @param {string} regNumber - Registration number
+ */
+export const clearAccountLockout = async (regNumber) => {
+  await Promise.all(ACCOUNT_LIMITERS.map(limiter => limiter.reset(regNumber)))
+}
+
+/**
+ * Clear lockout and attempt history for an IP address (all limiters)
+ * @param {string} ip - IP address
+ */
+export const clearIpLockout = async (ip) => {
+  await Promise.all(IP_LIMITERS.map(limiter => limiter.reset(ip)))
+}
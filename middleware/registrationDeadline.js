@@ -5,8 +5,9 @@
  */
 
 import EventYear from '../models/EventYear.js'
-import { getCache, setCache } from '../utils/cache.js'
+import { getCache, setCache, cacheTags } from '../utils/cache.js'
 import logger from '../utils/logger.js'
+import { sendErrorResponse } from '../utils/errorHandler.js'
 import { findActiveEventYear } from '../utils/yearHelpers.js'
 
 /**
@@ -44,7 +45,7 @@ function getOrdinal(day) {
 async function getRegistrationDeadline() {
   try {
     // Check cache first
-    const cachedActiveYear = getCache('/api/event-years/active')
+    const cachedActiveYear = await getCache('/api/event-years/active')
     if (cachedActiveYear && cachedActiveYear.registration_dates && cachedActiveYear.registration_dates.end) {
       return new Date(cachedActiveYear.registration_dates.end)
     }
@@ -63,7 +64,7 @@ async function getRegistrationDeadline() {
     }
 
     // Cache the active event year
-    setCache('/api/event-years/active', activeYear)
+    await setCache('/api/event-years/active', activeYear, [cacheTags.eventYears()])
 
     return new Date(activeYear.registration_dates.end)
   } catch (error) {
@@ -78,14 +79,18 @@ async function getRegistrationDeadline() {
  * Fetches deadline from database - throws error if not available
  */
 export const checkRegistrationDeadline = async (req, res, next) => {
-  // Allow GET requests, login endpoint, password management, event scheduling/updates, points table operations, event year management, and department management to pass through without date check
+  // Allow GET requests, login endpoint, session management, password management, event scheduling/updates, points table operations, event year management, department and venue management, role management, and lockout management to pass through without date check
   // Event scheduling (POST) has its own date validation (requireEventPeriod: after registration end, before event end)
   // Event updates (PUT) have their own date validation (requireEventStatusUpdatePeriod: event start to event end)
   // Points table refresh (POST backfill) has its own date validation (requireEventStatusUpdatePeriod: event start to event end)
   // Event year management (POST/PUT/DELETE) should be allowed even when no active event year exists (chicken-and-egg problem)
-  // Department management (POST/PUT/DELETE) is not event-year dependent and should always be allowed
-  // Password management (change-password, reset-password) should be allowed anytime as it's not event-year dependent
-  if (req.method === 'GET' || req.path === '/login' || req.path === '/change-password' || req.path === '/reset-password' || req.path.startsWith('/event-schedule') || req.path.startsWith('/points-table') || req.path.startsWith('/event-years') || req.path.startsWith('/departments')) {
+  // Department and venue management (POST/PUT/DELETE) is not event-year dependent and should always be allowed
+  // Role management (POST/DELETE) is needed to hand over event administration at any time
+  // Lockout management (DELETE) must work at any time so admins can unlock accounts
+  // Notification preferences and the email outbox (PUT/POST) are not tied to the registration period
+  // Password management (change-password, reset-password, reset-password/confirm) should be allowed anytime as it's not event-year dependent
+  // Session management (refresh-token, logout, logout-all) should be allowed anytime so users can stay signed in or sign out
+  if (req.method === 'GET' || req.path === '/login' || req.path === '/refresh-token' || req.path === '/logout' || req.path === '/logout-all' || req.path === '/change-password' || req.path.startsWith('/reset-password') || req.path.startsWith('/event-schedule') || req.path.startsWith('/points-table') || req.path.startsWith('/event-years') || req.path.startsWith('/departments') || req.path.startsWith('/venues') || req.path.startsWith('/roles') || req.path.startsWith('/locked-accounts') || req.path.startsWith('/notifications')) {
     return next()
   }
 
@@ -94,10 +99,7 @@ export const checkRegistrationDeadline = async (req, res, next) => {
 
     // If deadline is not available in database, block the request with error
     if (!deadlineDate) {
-      return res.status(500).json({
-        success: false,
-        error: 'Registration deadline is not configured. Please contact administrator to set up event year with registration dates.',
-      })
+      return sendErrorResponse(res, 500, 'Registration deadline is not configured. Please contact administrator to set up event year with registration dates.')
     }
 
     const currentDate = new Date() // Uses server's local timezone
@@ -116,10 +118,7 @@ export const checkRegistrationDeadline = async (req, res, next) => {
     next()
   } catch (error) {
     logger.error('Error in registration deadline middleware:', error)
-    return res.status(500).json({
-      success: false,
-      error: 'Error checking registration deadline. Please try again.',
-    })
+    return sendErrorResponse(res, 500, 'Error checking registration deadline. Please try again.')
   }
 }
 
@@ -0,0 +1,58 @@
+/**
+ * Request Logger Middleware
+ * Gives every API request an ID (X-Request-Id), writes one access log entry when its response is finished
+ * and records the request in the /metrics counters
+ */
+
+import { randomUUID } from 'crypto'
+import logger from '../utils/logger.js'
+import { runWithRequestContext } from '../utils/requestContext.js'
+import { recordRequest } from '../utils/metrics.js'
+
+// IDs sent by a proxy or client are kept only if they are short and safe to log
+const INCOMING_REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/
+
+/**
+ * Middleware to assign a request ID and log the request once its response is finished
+ * The ID is set as req.id, returned in the X-Request-Id header and attached to every log entry of the request.
+ * The access log has method, path (without query string), status, latency and the authenticated reg_number.
+ */
+export const requestLogger = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id')
+  const requestId = incomingId && INCOMING_REQUEST_ID_PATTERN.test(incomingId) ? incomingId : randomUUID()
+  const startedAt = process.hrtime.bigint()
+
+  req.id = requestId
+  res.setHeader('X-Request-Id', requestId)
+
+  let logged = false
+  const logRequest = () => {
+    if (logged) {
+      return
+    }
+    logged = true
+
+    const status = res.writableFinished ? res.statusCode : null
+    const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9
+    // Route pattern of the handler that answered (e.g. /api/players/:reg_number); unmatched paths share one label
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched'
+    recordRequest(req.method, route, status === null ? 'aborted' : status, durationSeconds)
+
+    // Client disconnects before the response was sent are logged as warnings
+    const level = status !== null && status >= 500 ? 'error' : (status === null || status >= 400 ? 'warn' : 'info')
+    logger.log(level, status === null ? 'Request aborted' : 'Request completed', {
+      request_id: requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status,
+      duration_ms: Number((durationSeconds * 1000).toFixed(1)),
+      reg_number: req.user ? req.user.reg_number : null,
+      ip: req.ip
+    })
+  }
+  res.on('finish', logRequest)
+  res.on('close', logRequest)
+
+  runWithRequestContext({ requestId, req }, next)
+}
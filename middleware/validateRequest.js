@@ -0,0 +1,52 @@
+/**
+ * Request Validation Middleware
+ * Validates body, query and path parameters against the route's declared schemas (utils/requestSchemas.js)
+ * Invalid requests get one consistent 400 response: { success: false, error, errors: [{ location, field, message }] }
+ */
+
+import { validateSchema } from '../shared/validation/schema.js'
+import { requestSchemas } from '../utils/requestSchemas.js'
+import { sendValidationErrorResponse } from '../utils/errorHandler.js'
+
+// Query and path parameters arrive as strings; numbers and booleans are converted before validation
+const LOCATIONS = [
+  { location: 'params', coerce: true },
+  { location: 'query', coerce: true },
+  { location: 'body', coerce: false }
+]
+
+/**
+ * Create the validation middleware of a route
+ * On success req.params, req.query and req.body are replaced by the validated values (strings trimmed,
+ * parameters converted), so handlers can use them as they are
+ * @param {string} route - Route key in requestSchemas, e.g. 'POST /api/save-player'
+ * @returns {Function} Express middleware
+ * @throws {Error} At startup if the route has no schemas (catches typos in route keys)
+ */
+export const validateRequest = (route) => {
+  const schemas = requestSchemas[route]
+  if (!schemas) {
+    throw new Error(`No request schema declared for ${route}`)
+  }
+
+  return (req, res, next) => {
+    const errors = []
+    const values = {}
+
+    for (const { location, coerce } of LOCATIONS) {
+      if (!schemas[location]) continue
+      const result = validateSchema(schemas[location], req[location], { coerce })
+      values[location] = result.value
+      errors.push(...result.errors.map(error => ({ location, ...error })))
+    }
+
+    if (errors.length > 0) {
+      return sendValidationErrorResponse(res, errors)
+    }
+
+    for (const [location, value] of Object.entries(values)) {
+      req[location] = value
+    }
+    next()
+  }
+}
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose'
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: String,
+    trim: true,
+    default: null
+    // reg_number of the authenticated user (null for public endpoints like registration)
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete']
+  },
+  entity_type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entity_id: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  event_id: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  method: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  route: {
+    type: String,
+    trim: true,
+    default: null
+    // Route pattern, e.g. /api/event-schedule/:id
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+    // { field: { from, to } } - sensitive fields are redacted
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+// Create indexes for faster lookups
+auditLogSchema.index({ createdAt: -1 }) // For listing newest first
+auditLogSchema.index({ event_id: 1, createdAt: -1 }) // For filtering by event year
+auditLogSchema.index({ entity_type: 1, entity_id: 1, createdAt: -1 }) // For history of one entity
+auditLogSchema.index({ actor: 1, createdAt: -1 }) // For filtering by user
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema)
+
+export default AuditLog
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import auditPlugin from '../utils/auditPlugin.js'
 
 const batchSchema = new mongoose.Schema({
   name: {
@@ -54,6 +55,9 @@ batchSchema.pre('validate', function(next) {
 })
 batchSchema.index({ players: 1 }) // For queries finding batches by player reg_number
 
+// Record create/update/delete history in AuditLog
+batchSchema.plugin(auditPlugin, { entityType: 'Batch' })
+
 const Batch = mongoose.model('Batch', batchSchema)
 
 export default Batch
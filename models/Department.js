@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import auditPlugin from '../utils/auditPlugin.js'
 
 const departmentSchema = new mongoose.Schema({
   name: {
@@ -46,6 +47,9 @@ departmentSchema.pre('validate', function(next) {
   next()
 })
 
+// Record create/update/delete history in AuditLog
+departmentSchema.plugin(auditPlugin, { entityType: 'Department' })
+
 const Department = mongoose.model('Department', departmentSchema)
 
 export default Department
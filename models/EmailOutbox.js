@@ -0,0 +1,88 @@
+import mongoose from 'mongoose'
+import { NOTIFICATION_TYPES, NOTIFICATION_OUTBOX_STATUSES, NOTIFICATION_MAX_ATTEMPTS } from '../constants/index.js'
+
+const emailOutboxSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: NOTIFICATION_TYPES
+  },
+  reg_number: {
+    type: String,
+    required: true,
+    trim: true
+    // Recipient player
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  event_id: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: NOTIFICATION_OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  max_attempts: {
+    type: Number,
+    default: NOTIFICATION_MAX_ATTEMPTS,
+    min: 1
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+    // Pending emails are sent once this time has passed (also pushed forward while a worker is sending)
+  },
+  last_error: {
+    type: String,
+    default: null
+  },
+  sent_at: {
+    type: Date,
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    default: null
+    // Set once the email is sent or has failed for good; MongoDB removes it afterwards
+  },
+  createdBy: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+})
+
+// Create indexes for faster lookups
+emailOutboxSchema.index({ status: 1, next_attempt_at: 1 }) // For the worker picking up due emails
+emailOutboxSchema.index({ reg_number: 1, createdAt: -1 }) // For listing a player's emails
+emailOutboxSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }) // MongoDB removes finished emails automatically
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema)
+
+export default EmailOutbox
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import auditPlugin from '../utils/auditPlugin.js'
 
 const qualifierSchema = new mongoose.Schema({
   participant: {
@@ -13,6 +14,166 @@ const qualifierSchema = new mongoose.Schema({
   }
 }, { _id: false })
 
+// Score of one participant; only the fields of the sport's scoring format are set
+const scoreSchema = new mongoose.Schema({
+  participant: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  goals: {
+    type: Number,
+    min: 0
+  },
+  sets: {
+    type: [Number],
+    default: undefined
+    // Games won in each set (same length for both participants)
+  },
+  runs: {
+    type: Number,
+    min: 0
+  },
+  wickets: {
+    type: Number,
+    min: 0,
+    max: 10
+  },
+  overs: {
+    type: Number,
+    min: 0
+    // Overs faced, balls after the decimal point (e.g. 19.4)
+  },
+  time: {
+    type: Number,
+    min: 0
+    // In unit (seconds when unit is not set)
+  },
+  distance: {
+    type: Number,
+    min: 0
+    // In unit (metres when unit is not set)
+  },
+  unit: {
+    type: String,
+    default: undefined
+    // Unit of time/distance (see SCORE_UNITS)
+  }
+}, { _id: false })
+
+// Lane of one participant in a heat
+const laneSchema = new mongoose.Schema({
+  participant: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lane: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false })
+
+// Weighted criterion of a judging rubric
+const rubricCriterionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 0
+    // Relative weight; a judge's score is the weighted share of the maximum scores
+  },
+  max_score: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false })
+
+// Scores one judge gave one participant, one per rubric criterion
+const judgeScoreSchema = new mongoose.Schema({
+  judge: {
+    type: String,
+    required: true,
+    trim: true
+    // Judge reg_number
+  },
+  participant: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  criteria: {
+    type: [new mongoose.Schema({
+      name: { type: String, required: true, trim: true },
+      score: { type: Number, required: true, min: 0 }
+    }, { _id: false })],
+    default: []
+  }
+}, { _id: false })
+
+// Lineup of one team for a match (team sports)
+const lineupSchema = new mongoose.Schema({
+  team_name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  starters: {
+    type: [String],
+    default: []
+    // Reg_numbers of the players starting the match (exactly the sport's team_size)
+  },
+  substitutes: {
+    type: [String],
+    default: []
+    // Reg_numbers of the roster players on the bench
+  }
+}, { _id: false })
+
+// Substitution recorded during a match (team sports)
+const substitutionSchema = new mongoose.Schema({
+  team_name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  player_out: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  player_in: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  minute: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  recorded_by: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  recorded_at: {
+    type: Date,
+    default: Date.now
+  }
+})
+
 const eventScheduleSchema = new mongoose.Schema({
   event_id: {
     type: String,
@@ -59,11 +220,156 @@ const eventScheduleSchema = new mongoose.Schema({
     default: []
     // For multi_team/multi_player: multiple qualifiers with positions
   },
+  scores: {
+    type: [scoreSchema],
+    default: []
+    // Per-participant scores in the sport's scoring format (winner is derived from them)
+  },
+  judges: {
+    type: [String],
+    default: []
+    // Judge reg_numbers (judged sport categories only); qualifiers follow from their scores
+  },
+  rubric: {
+    type: [rubricCriterionSchema],
+    default: []
+    // Weighted criteria every judge scores each participant on
+  },
+  judge_scores: {
+    type: [judgeScoreSchema],
+    default: []
+    // One entry per judge and participant, replaced when a judge resubmits
+  },
+  judged_qualifiers: {
+    type: Number,
+    default: null,
+    min: 1
+    // Number of top-ranked participants that qualify once all judges have scored
+  },
+  walkover: {
+    type: Boolean,
+    default: false
+    // Completed without play: the winner gets walkover points (dual sports)
+  },
   status: {
     type: String,
     enum: ['completed', 'draw', 'cancelled', 'scheduled'],
     default: 'scheduled'
   },
+  venue: {
+    type: String,
+    trim: true,
+    default: null
+    // Venue name (see Venue model), null when no venue is assigned
+  },
+  court: {
+    type: String,
+    trim: true,
+    default: null
+    // Court/ground within the venue, null when the match uses the whole venue
+  },
+  start_time: {
+    type: String,
+    trim: true,
+    default: null,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+    // Start time on match_date (HH:MM), null when only the date is known
+  },
+  end_time: {
+    type: String,
+    trim: true,
+    default: null,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+    // End time on match_date (HH:MM), set together with start_time
+  },
+  league_group: {
+    type: String,
+    trim: true,
+    default: null
+    // Group/pool of a generated league fixture (e.g. 'A'), null when the league has no groups
+  },
+  bracket_round: {
+    type: Number,
+    default: null,
+    min: 1
+    // Round of a generated knockout bracket (1 = first round), null for manually scheduled matches
+  },
+  bracket_position: {
+    type: Number,
+    default: null,
+    min: 0
+    // Position of the match within its bracket round (top to bottom)
+  },
+  bracket_gender: {
+    type: String,
+    enum: ['Male', 'Female', null],
+    default: null
+    // Gender of a generated bracket (later-round matches have no participants to derive it from yet)
+  },
+  next_match_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSchedule',
+    default: null
+    // Bracket match the winner advances to (null for the final)
+  },
+  next_match_slot: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 1
+    // Slot in next_match_id taken by the winner (0 = first participant, 1 = second)
+  },
+  heat_round: {
+    type: Number,
+    default: null,
+    min: 1
+    // Round of generated heats (1 = first round, the last round is the final), null for other matches
+  },
+  heat_number: {
+    type: Number,
+    default: null,
+    min: 1
+    // Heat within its round
+  },
+  heat_gender: {
+    type: String,
+    enum: ['Male', 'Female', null],
+    default: null
+    // Gender of generated heats (later-round heats have no participants to derive it from yet)
+  },
+  heat_lanes: {
+    type: Number,
+    default: null,
+    min: 1
+    // Number of lanes of the heat
+  },
+  heat_advance_top: {
+    type: Number,
+    default: null,
+    min: 1
+    // Places of this heat that advance to the next round (null for the final)
+  },
+  heat_advance_fastest: {
+    type: Number,
+    default: null,
+    min: 0
+    // Fastest (best) losers across the round that also advance (null for the final)
+  },
+  lanes: {
+    type: [laneSchema],
+    default: []
+    // Lane of each participant (heats only)
+  },
+  lineups: {
+    type: [lineupSchema],
+    default: []
+    // Starters and substitutes of each team (team sports)
+  },
+  substitutions: {
+    type: [substitutionSchema],
+    default: []
+    // Substitutions in recording order; replayed on the lineups to know who is on the field
+  },
   createdBy: {
     type: String,
     trim: true,
@@ -83,6 +389,10 @@ eventScheduleSchema.index({ event_id: 1, sports_name: 1, match_number: 1 }, { un
 eventScheduleSchema.index({ event_id: 1, sports_name: 1 }) // For efficient event_id + sport queries
 eventScheduleSchema.index({ event_id: 1, sports_name: 1, status: 1 }) // For efficient event_id + sport + status queries
 eventScheduleSchema.index({ event_id: 1 }) // For efficient event_id queries
+eventScheduleSchema.index({ next_match_id: 1 }) // For finding the feeder matches of a bracket match
+eventScheduleSchema.index({ event_id: 1, sports_name: 1, heat_round: 1 }) // For finding the heats of a round
+eventScheduleSchema.index({ event_id: 1, match_date: 1 }) // For scheduling conflict checks on a day
+eventScheduleSchema.index({ venue: 1 }) // For checking venue usage before deletion
 
 // Pre-save hook to normalize sports_name and event_id
 eventScheduleSchema.pre('save', function(next) {
@@ -95,6 +405,9 @@ eventScheduleSchema.pre('save', function(next) {
   next()
 })
 
+// Record create/update/delete history in AuditLog
+eventScheduleSchema.plugin(auditPlugin, { entityType: 'EventSchedule' })
+
 const EventSchedule = mongoose.model('EventSchedule', eventScheduleSchema)
 
 export default EventSchedule
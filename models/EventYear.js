@@ -1,4 +1,30 @@
 import mongoose from 'mongoose'
+import auditPlugin from '../utils/auditPlugin.js'
+import { SPORT_CATEGORIES, EVENT_YEAR_STATUSES } from '../constants/index.js'
+
+// Championship points of one sport category for 1st/2nd/3rd place
+const championshipPointsSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    enum: SPORT_CATEGORIES
+  },
+  first: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  second: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  third: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false })
 
 const eventYearSchema = new mongoose.Schema({
   event_id: {
@@ -53,6 +79,17 @@ const eventYearSchema = new mongoose.Schema({
     trim: true,
     default: 'Community Entertainment Fest'
   },
+  championship_points: {
+    type: [championshipPointsSchema],
+    default: []
+    // Overall trophy points per sport category (categories not listed use DEFAULT_CHAMPIONSHIP_POINTS)
+  },
+  status: {
+    type: String,
+    enum: EVENT_YEAR_STATUSES
+    // Lifecycle status (draft -> registration -> live -> completed -> archived)
+    // Event years created before the lifecycle have no status; getEventYearStatus derives it from the dates
+  },
   createdBy: {
     type: String,
     trim: true,
@@ -85,6 +122,9 @@ eventYearSchema.pre('validate', function(next) {
   next()
 })
 
+// Record create/update/delete history in AuditLog
+eventYearSchema.plugin(auditPlugin, { entityType: 'EventYear' })
+
 const EventYear = mongoose.model('EventYear', eventYearSchema)
 
 export default EventYear
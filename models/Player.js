@@ -1,4 +1,6 @@
 import mongoose from 'mongoose'
+import { hashPassword } from '../utils/passwordHelpers.js'
+import auditPlugin from '../utils/auditPlugin.js'
 
 const playerSchema = new mongoose.Schema({
   reg_number: {
@@ -46,6 +48,28 @@ const playerSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  password_reset_token: {
+    type: String,
+    default: null,
+    select: false
+    // SHA-256 hash of the single-use reset token (raw token is only ever emailed)
+  },
+  password_reset_expires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  password_changed_at: {
+    type: Date,
+    default: null
+    // Access tokens issued before this time are rejected by authenticateToken
+  },
+  notification_preferences: {
+    // Email notification categories (see NOTIFICATION_CATEGORIES); false opts the player out
+    match_updates: { type: Boolean, default: true },
+    team_updates: { type: Boolean, default: true },
+    role_updates: { type: Boolean, default: true }
+  },
   createdBy: {
     type: String,
     trim: true,
@@ -66,6 +90,24 @@ const playerSchema = new mongoose.Schema({
 playerSchema.index({ department_branch: 1 }) // For queries filtering by department
 // year index removed - batch filtering now handled by Batch collection
 
+// Pre-save hook to hash password whenever it is set or changed
+// A value is never trusted as hashed because of its format (a user could send one): only internal callers that
+// hash up front skip the hook, by setting $locals.passwordHashed on the document
+playerSchema.pre('save', function(next) {
+  if (!this.isModified('password') || !this.password || this.$locals.passwordHashed) {
+    return next()
+  }
+  hashPassword(this.password)
+    .then((hashed) => {
+      this.password = hashed
+      next()
+    })
+    .catch(next)
+})
+
+// Record create/update/delete history in AuditLog
+playerSchema.plugin(auditPlugin, { entityType: 'Player', sensitiveFields: ['password', 'password_reset_token'] })
+
 const Player = mongoose.model('Player', playerSchema)
 
 export default Player
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import auditPlugin from '../utils/auditPlugin.js'
 
 const pointsTableSchema = new mongoose.Schema({
   event_id: {
@@ -54,6 +55,20 @@ const pointsTableSchema = new mongoose.Schema({
     required: true,
     default: 0
   },
+  scores_for: {
+    type: Number,
+    default: 0
+    // Goals, sets won or runs scored in league matches (sports with a scoring format)
+  },
+  scores_against: {
+    type: Number,
+    default: 0
+  },
+  coin_toss_rank: {
+    type: Number,
+    default: null
+    // Manual tie-breaker order (lower ranks first), kept across recalculations
+  },
   createdBy: {
     type: String,
     trim: true,
@@ -84,6 +99,9 @@ pointsTableSchema.pre('save', function(next) {
   next()
 })
 
+// Record create/update/delete history in AuditLog
+pointsTableSchema.plugin(auditPlugin, { entityType: 'PointsTable' })
+
 const PointsTable = mongoose.model('PointsTable', pointsTableSchema)
 
 export default PointsTable
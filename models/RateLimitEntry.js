@@ -0,0 +1,41 @@
+import mongoose from 'mongoose'
+
+const rateLimitEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+    // <limiter>:<ip|account>:<value>, e.g. login:account:21bcs001
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  window_started_at: {
+    type: Date,
+    default: null
+  },
+  lockout_count: {
+    type: Number,
+    default: 0
+  },
+  locked_until: {
+    type: Date,
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+// Create indexes for faster lookups
+rateLimitEntrySchema.index({ key: 1 }, { unique: true }) // One entry per limiter key
+rateLimitEntrySchema.index({ locked_until: 1 }) // For listing locked keys
+rateLimitEntrySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }) // MongoDB removes stale entries automatically
+
+const RateLimitEntry = mongoose.model('RateLimitEntry', rateLimitEntrySchema)
+
+export default RateLimitEntry
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose'
+
+// Frozen results of an archived event year, served as-is instead of recomputing them
+const resultsSnapshotSchema = new mongoose.Schema({
+  event_id: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  championship: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+    // Championship standings as returned by GET /api/championship
+  },
+  winners: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+    // Winner of every decided sport: { sport, gender, participant, participant_name, department, batch }
+  },
+  points_tables: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+    // League tables as returned by GET /api/points-table/:sport, one per sport and gender: { sport, gender, ... }
+  },
+  rosters: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+    // Teams and individual participants of every sport, with player names and departments
+  },
+  batches: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+    // Batches with their players: { name, players }
+  },
+  createdBy: {
+    type: String,
+    trim: true,
+    default: null
+  }
+  // Not audited: the snapshot is written once when the event year is archived (the status change itself is audited)
+}, {
+  timestamps: true
+})
+
+// event_id already has a unique index via schema definition
+
+const ResultsSnapshot = mongoose.model('ResultsSnapshot', resultsSnapshotSchema)
+
+export default ResultsSnapshot
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose'
+import { ASSIGNABLE_ROLES, ROLES } from '../constants/index.js'
+import auditPlugin from '../utils/auditPlugin.js'
+
+const roleAssignmentSchema = new mongoose.Schema({
+  reg_number: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ASSIGNABLE_ROLES
+  },
+  event_id: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+    validate: {
+      validator: function(value) {
+        // event_admin is always scoped to one event year
+        if (this.role === ROLES.EVENT_ADMIN) {
+          return !!value
+        }
+        // super_admin is global
+        if (this.role === ROLES.SUPER_ADMIN) {
+          return value === null
+        }
+        // viewer is optional (null = read-only access to all event years)
+        return true
+      },
+      message: 'event_id is required for event_admin and not applicable for super_admin'
+    }
+  },
+  createdBy: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    trim: true,
+    default: null
+  }
+  // coordinator and captain are not stored here - they come from Sport.eligible_coordinators / eligible_captains
+}, {
+  timestamps: true
+})
+
+// Create indexes for faster lookups
+roleAssignmentSchema.index({ reg_number: 1, role: 1, event_id: 1 }, { unique: true }) // One assignment per role per event
+roleAssignmentSchema.index({ event_id: 1 }) // For listing assignments of an event year
+
+// Pre-validate hook to normalize event_id
+roleAssignmentSchema.pre('validate', function(next) {
+  if (this.isModified('event_id') && this.event_id) {
+    this.event_id = this.event_id.toLowerCase().trim()
+  }
+  if (this.event_id === '') {
+    this.event_id = null
+  }
+  next()
+})
+
+// Record create/update/delete history in AuditLog
+roleAssignmentSchema.plugin(auditPlugin, { entityType: 'RoleAssignment' })
+
+const RoleAssignment = mongoose.model('RoleAssignment', roleAssignmentSchema)
+
+export default RoleAssignment
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose'
+
+const sessionSchema = new mongoose.Schema({
+  reg_number: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  refresh_token_hash: {
+    type: String,
+    required: true
+    // SHA-256 hash of the current refresh token (raw token is only ever sent to the client)
+  },
+  previous_token_hash: {
+    type: String,
+    default: null
+    // Hash of the refresh token that was rotated out - presenting it again means the token was stolen
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  },
+  user_agent: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  ip_address: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+})
+
+// Create indexes for faster lookups
+sessionSchema.index({ refresh_token_hash: 1 }, { unique: true }) // For refresh token lookup
+sessionSchema.index({ previous_token_hash: 1 }) // For refresh token reuse detection
+sessionSchema.index({ reg_number: 1 }) // For logout-all and player deletion
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }) // MongoDB removes expired sessions automatically
+
+const Session = mongoose.model('Session', sessionSchema)
+
+export default Session
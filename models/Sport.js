@@ -1,4 +1,37 @@
 import mongoose from 'mongoose'
+import auditPlugin from '../utils/auditPlugin.js'
+import { SCORING_FORMATS, TIE_BREAKERS, TEAM_INVITATION_STATUSES, MAX_RESERVE_SLOTS } from '../constants/index.js'
+
+const teamInvitationSchema = new mongoose.Schema({
+  reg_number: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: TEAM_INVITATION_STATUSES,
+    default: 'pending'
+  },
+  invited_by: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  invited_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+    // End of the event year's registration period
+  },
+  responded_at: {
+    type: Date,
+    default: null
+  }
+}, { _id: false })
 
 const teamParticipatedSchema = new mongoose.Schema({
   team_name: {
@@ -20,6 +53,52 @@ const teamParticipatedSchema = new mongoose.Schema({
       },
       message: 'Players array must contain at least one player reg_number'
     }
+    // Accepted members only (the captain joins on creation); they count toward team_size, and up to
+    // reserve_slots more players are the team's reserves
+  },
+  invitations: {
+    type: [teamInvitationSchema],
+    default: []
+    // Players invited by the captain who have not accepted yet (accepted invitations move into players)
+  }
+}, { _id: false })
+
+const scoringSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    required: true,
+    enum: SCORING_FORMATS
+  },
+  best_of: {
+    type: Number,
+    default: null,
+    min: 1
+    // sets only: maximum number of sets (odd, e.g. 3 = first to 2 sets)
+  },
+  max_overs: {
+    type: Number,
+    default: null,
+    min: 1
+    // cricket only: overs per innings
+  },
+  unit: {
+    type: String,
+    default: null
+    // time/distance only: unit results are entered in (see SCORE_UNITS, null = seconds / metres)
+  }
+}, { _id: false })
+
+const pointsRulesSchema = new mongoose.Schema({
+  win: { type: Number, required: true },
+  draw: { type: Number, required: true },
+  loss: { type: Number, required: true },
+  cancelled: { type: Number, required: true },
+  walkover: { type: Number, required: true },
+  // Winner of a walkover (opponent did not play); the opponent gets loss points
+  tie_breakers: {
+    type: [{ type: String, enum: TIE_BREAKERS }],
+    default: []
+    // Applied in order when league entries are level on points
   }
 }, { _id: false })
 
@@ -67,6 +146,20 @@ const sportSchema = new mongoose.Schema({
       message: 'team_size is only applicable for dual_team and multi_team types'
     }
   },
+  reserve_slots: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_RESERVE_SLOTS,
+    validate: {
+      validator: function(value) {
+        // Reserves are only applicable for dual_team and multi_team types
+        return Number.isInteger(value) && (value === 0 || this.type === 'dual_team' || this.type === 'multi_team')
+      },
+      message: 'reserve_slots is only applicable for dual_team and multi_team types'
+    }
+    // Players a team may register beyond team_size (substitutes)
+  },
   eligible_captains: {
     type: [String],
     default: []
@@ -83,6 +176,16 @@ const sportSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  scoring: {
+    type: scoringSchema,
+    default: null
+    // Score format for match results (null = winner/qualifiers only, no scores)
+  },
+  points_rules: {
+    type: pointsRulesSchema,
+    default: null
+    // League points and tie-breakers (null = DEFAULT_POINTS_RULES, no tie-breakers)
+  },
   createdBy: {
     type: String,
     trim: true,
@@ -102,6 +205,7 @@ sportSchema.index({ name: 1, event_id: 1 }, { unique: true }) // Unique sport na
 sportSchema.index({ event_id: 1, type: 1 }) // For efficient event_id + type queries
 sportSchema.index({ event_id: 1, category: 1 }) // For efficient event_id + category queries
 sportSchema.index({ event_id: 1 }) // For efficient event_id queries
+sportSchema.index({ event_id: 1, 'teams_participated.invitations.reg_number': 1 }) // For a player's team invitations
 
 // Pre-save hook to lowercase name
 sportSchema.pre('save', function(next) {
@@ -114,6 +218,9 @@ sportSchema.pre('save', function(next) {
   next()
 })
 
+// Record create/update/delete history in AuditLog
+sportSchema.plugin(auditPlugin, { entityType: 'Sport' })
+
 const Sport = mongoose.model('Sport', sportSchema)
 
 export default Sport
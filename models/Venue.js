@@ -0,0 +1,50 @@
+import mongoose from 'mongoose'
+import auditPlugin from '../utils/auditPlugin.js'
+
+const venueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  courts: {
+    type: [String],
+    default: []
+    // Optional courts/grounds within the venue (e.g. 'Court 1'); matches on different courts can overlap
+  },
+  createdBy: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+})
+
+// name already has a unique index via schema definition
+
+// Pre-validate hook to normalize courts (trimmed, no blanks, no duplicates)
+venueSchema.pre('validate', function(next) {
+  if (this.isModified('courts')) {
+    this.courts = [...new Set((this.courts || []).map(c => (c || '').trim()).filter(Boolean))]
+  }
+  next()
+})
+
+// Record create/update/delete history in AuditLog
+venueSchema.plugin(auditPlugin, { entityType: 'Venue' })
+
+const Venue = mongoose.model('Venue', venueSchema)
+
+export default Venue
@@ -0,0 +1,115 @@
+/**
+ * Audit Log Routes
+ * Read-only access to the history of writes recorded by the audit plugin
+ */
+
+import express from 'express'
+import AuditLog from '../models/AuditLog.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/errorHandler.js'
+import { hasEventWidePermission, isSuperAdmin } from '../utils/roleHelpers.js'
+import { getEventYear } from '../utils/yearHelpers.js'
+import { DEFAULT_AUDIT_LOG_PAGE_SIZE } from '../constants/index.js'
+
+const router = express.Router()
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - Date string
+ * @returns {Date|null|undefined} Date, null if invalid, undefined if not provided
+ */
+function parseDateParam(value) {
+  if (!value) return undefined
+  const date = new Date(String(value))
+  return isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * GET /api/audit-log
+ * Get audit log entries, newest first (admin or event admin for the event year)
+ * Optional filters: ?event_id, ?actor, ?entity_type, ?entity_id, ?action, ?route, ?from, ?to
+ * Pagination: ?page (default 1), ?limit (default 25, max 100)
+ * Event admins only see entries of their event year
+ */
+router.get('/', authenticateToken, validateRequest('GET /api/audit-log'), authorize('audit_log:read', { scope: { event_id: 'query.event_id' } }), asyncHandler(async (req, res) => {
+  const query = {}
+
+  if (req.query.event_id) {
+    try {
+      query.event_id = await getEventYear(req.query.event_id, { requireId: true })
+    } catch (error) {
+      return sendErrorResponse(res, 400, error.message)
+    }
+  }
+
+  // Event admins are limited to their event year (super admins can see global entries too)
+  if (!isSuperAdmin(req.user.roles)) {
+    if (!query.event_id) {
+      try {
+        query.event_id = await getEventYear(null)
+      } catch (error) {
+        return sendErrorResponse(res, 400, error.message)
+      }
+    }
+    if (!hasEventWidePermission(req.user.roles, 'audit_log:read', query.event_id)) {
+      return sendErrorResponse(res, 403, 'You do not have permission to perform this action')
+    }
+  }
+
+  if (req.query.actor) {
+    query.actor = req.query.actor
+  }
+  if (req.query.entity_type) {
+    query.entity_type = req.query.entity_type
+  }
+  if (req.query.entity_id) {
+    query.entity_id = req.query.entity_id
+  }
+  if (req.query.action) {
+    query.action = req.query.action
+  }
+  if (req.query.route) {
+    const routeFilter = req.query.route.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    query.route = new RegExp(routeFilter, 'i')
+  }
+
+  const from = parseDateParam(req.query.from)
+  const to = parseDateParam(req.query.to)
+  if (from === null || to === null) {
+    return sendErrorResponse(res, 400, 'from and to must be valid dates')
+  }
+  if (from || to) {
+    query.createdAt = {}
+    if (from) query.createdAt.$gte = from
+    if (to) query.createdAt.$lte = to
+  }
+
+  const page = req.query.page || 1
+  const limit = Math.min(100, req.query.limit || DEFAULT_AUDIT_LOG_PAGE_SIZE)
+
+  const [totalCount, entries] = await Promise.all([
+    AuditLog.countDocuments(query),
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean()
+  ])
+
+  const totalPages = Math.ceil(totalCount / limit)
+
+  return sendSuccessResponse(res, {
+    entries,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalCount,
+      limit,
+      hasNextPage: page < totalPages,
+      hasPreviousPage: page > 1
+    }
+  })
+}))
+
+export default router
@@ -1,67 +1,68 @@
 /**
  * Authentication Routes
- * Handles user login and authentication
+ * Handles user login, session refresh/logout, password change and token-based password reset
  */
 
 import express from 'express'
-import jwt from 'jsonwebtoken'
+import crypto from 'crypto'
 import Player from '../models/Player.js'
 import EventYear from '../models/EventYear.js'
 import logger from '../utils/logger.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/errorHandler.js'
-import { trimObjectFields } from '../utils/validation.js'
 import { computePlayerParticipation } from '../utils/playerHelpers.js'
 import { getPlayerBatchName } from '../utils/batchHelpers.js'
-import { getCache, setCache } from '../utils/cache.js'
+import { getCache, setCache, cacheTags } from '../utils/cache.js'
 import { findActiveEventYear } from '../utils/yearHelpers.js'
-import { JWT_EXPIRES_IN } from '../constants/index.js'
-import { authenticateToken } from '../middleware/auth.js'
+import { PASSWORD_RESET_TOKEN_EXPIRY_MINUTES } from '../constants/index.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { loginRateLimit, passwordResetRateLimit, sendRateLimitResponse } from '../middleware/rateLimit.js'
 import { sendPasswordResetEmail } from '../utils/emailService.js'
+import { verifyPassword, generateResetToken, hashResetToken } from '../utils/passwordHelpers.js'
+import { getUserRoles, formatRolesForResponse } from '../utils/roleHelpers.js'
+import { signAccessToken, createSession, rotateSession, revokeSession, revokeAllSessions } from '../utils/sessionHelpers.js'
 
 const router = express.Router()
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production'
 
 /**
  * POST /api/login
  * User login endpoint
+ * Returns a short-lived access token and a refresh token (new session)
+ * Throttled per IP and reg_number - repeated failures lock the account progressively
  */
 router.post(
   '/login',
+  loginRateLimit,
+  validateRequest('POST /api/login'),
   asyncHandler(async (req, res) => {
-    let { reg_number, password } = req.body
-
-    // Trim fields
-    const trimmed = trimObjectFields({ reg_number, password })
-    reg_number = trimmed.reg_number
-    password = trimmed.password
-
-    // Validate required fields
-    if (!reg_number || !password) {
-      return sendErrorResponse(res, 400, 'Registration number and password are required')
-    }
+    const { reg_number, password } = req.body
 
     // Find player with matching reg_number
     const player = await Player.findOne({ reg_number })
 
-    if (!player) {
+    // Check password against stored hash
+    const passwordMatches = player ? await verifyPassword(password, player.password) : false
+    if (!passwordMatches) {
+      // Unknown reg_numbers count too, so probing for accounts is throttled the same way
+      const retryAfterMs = await req.rateLimit.fail()
+      if (retryAfterMs > 0) {
+        return sendRateLimitResponse(res, retryAfterMs)
+      }
       return sendErrorResponse(res, 401, 'Invalid registration number or password')
     }
 
-    // Check password
-    if (player.password !== password) {
-      return sendErrorResponse(res, 401, 'Invalid registration number or password')
-    }
+    await req.rateLimit.succeed()
 
     // Get active event year for computed fields
     let eventId = null
-    const cachedActiveYear = getCache('/api/event-years/active')
+    const cachedActiveYear = await getCache('/api/event-years/active')
     if (cachedActiveYear) {
       eventId = cachedActiveYear.event_id || null
     } else {
       const activeYear = await findActiveEventYear()
       if (activeYear) {
         eventId = activeYear.event_id || null
-        setCache('/api/event-years/active', activeYear)
+        await setCache('/api/event-years/active', activeYear, [cacheTags.eventYears()])
       } else {
         eventId = null
       }
@@ -79,14 +80,12 @@ router.post(
       }
     }
 
-    // Generate JWT token
-    const tokenPayload = {
-      reg_number: player.reg_number,
-      full_name: player.full_name,
-      isAdmin: player.reg_number === 'admin',
-    }
+    // Resolve roles (explicit assignments plus derived coordinator/captain roles)
+    const roles = await getUserRoles(player.reg_number)
 
-    const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN })
+    // Start a session and generate JWT access token bound to it
+    const { session, refreshToken } = await createSession(player.reg_number, req)
+    const token = signAccessToken(player, roles, session._id)
 
     // Return player data (excluding password for security) and token
     const playerData = player.toObject()
@@ -96,6 +95,7 @@ router.post(
     playerData.participated_in = participation.participated_in
     playerData.captain_in = participation.captain_in
     playerData.coordinator_in = participation.coordinator_in
+    playerData.roles = formatRolesForResponse(roles)
     if (eventId) {
       try {
         playerData.batch_name = await getPlayerBatchName(playerData.reg_number, eventId)
@@ -112,6 +112,7 @@ router.post(
       {
         player: playerData,
         token,
+        refresh_token: refreshToken,
         change_password_required: player.change_password_required || false,
       },
       'Login successful'
@@ -119,13 +120,76 @@ router.post(
   })
 )
 
+/**
+ * POST /api/refresh-token
+ * Exchange a refresh token for a new access token (no access token required)
+ * The refresh token is rotated - the old one stops working
+ */
+router.post(
+  '/refresh-token',
+  validateRequest('POST /api/refresh-token'),
+  asyncHandler(async (req, res) => {
+    const { refresh_token } = req.body
+
+    const rotated = await rotateSession(refresh_token)
+    if (!rotated) {
+      return sendErrorResponse(res, 401, 'Invalid or expired refresh token. Please login again.')
+    }
+
+    const player = await Player.findOne({ reg_number: rotated.session.reg_number }).select('reg_number full_name').lean()
+    if (!player) {
+      await revokeSession(rotated.session._id)
+      return sendErrorResponse(res, 401, 'Invalid or expired refresh token. Please login again.')
+    }
+
+    // Roles are resolved again so role changes apply from the next refresh
+    const roles = await getUserRoles(player.reg_number)
+    const token = signAccessToken(player, roles, rotated.session._id)
+
+    return sendSuccessResponse(res, { token, refresh_token: rotated.refreshToken }, 'Token refreshed successfully')
+  })
+)
+
+/**
+ * POST /api/logout
+ * End the current session (authenticated users only)
+ */
+router.post(
+  '/logout',
+  authenticateToken,
+  validateRequest('POST /api/logout'),
+  authorize('auth:manage_sessions'),
+  asyncHandler(async (req, res) => {
+    await revokeSession(req.user.session_id)
+    return sendSuccessResponse(res, {}, 'Logged out successfully')
+  })
+)
+
+/**
+ * POST /api/logout-all
+ * End every session of the current user, on all devices (authenticated users only)
+ */
+router.post(
+  '/logout-all',
+  authenticateToken,
+  validateRequest('POST /api/logout-all'),
+  authorize('auth:manage_sessions'),
+  asyncHandler(async (req, res) => {
+    const revokedCount = await revokeAllSessions(req.user.reg_number)
+    return sendSuccessResponse(res, { revoked_sessions: revokedCount }, 'Logged out from all devices successfully')
+  })
+)
+
 /**
  * POST /api/change-password
  * Change password (authenticated users only)
+ * Ends all other sessions and returns new tokens for the current client
  */
 router.post(
   '/change-password',
   authenticateToken,
+  validateRequest('POST /api/change-password'),
+  authorize('auth:change_password'),
   asyncHandler(async (req, res) => {
     const { current_password, new_password } = req.body
     const reg_number = req.user?.reg_number
@@ -134,20 +198,6 @@ router.post(
       return sendErrorResponse(res, 401, 'Authentication required')
     }
 
-    // Validate required fields
-    if (!current_password || !new_password) {
-      return sendErrorResponse(res, 400, 'Current password and new password are required')
-    }
-
-    // Trim passwords
-    const trimmedCurrentPassword = current_password.trim()
-    const trimmedNewPassword = new_password.trim()
-
-    // Validate new password is not empty
-    if (!trimmedNewPassword) {
-      return sendErrorResponse(res, 400, 'New password cannot be empty')
-    }
-
     // Find player
     const player = await Player.findOne({ reg_number })
     if (!player) {
@@ -155,90 +205,118 @@ router.post(
     }
 
     // Verify current password
-    if (player.password !== trimmedCurrentPassword) {
+    const currentPasswordMatches = await verifyPassword(current_password, player.password)
+    if (!currentPasswordMatches) {
       return sendErrorResponse(res, 401, 'Current password is incorrect')
     }
 
     // Check if new password is same as current password
-    if (player.password === trimmedNewPassword) {
+    if (current_password === new_password) {
       return sendErrorResponse(res, 400, 'New password must be different from current password')
     }
 
-    // Update password
-    player.password = trimmedNewPassword
+    // Update password (hashed by Player pre-save hook)
+    player.password = new_password
     player.change_password_required = false // Reset flag after password change
+    player.password_changed_at = new Date()
     await player.save()
 
-    return sendSuccessResponse(res, {}, 'Password changed successfully')
+    // Tokens issued before the change are rejected; start a fresh session for this client
+    await revokeAllSessions(reg_number)
+    const roles = await getUserRoles(reg_number)
+    const { session, refreshToken } = await createSession(reg_number, req)
+    const token = signAccessToken(player, roles, session._id)
+
+    return sendSuccessResponse(res, { token, refresh_token: refreshToken }, 'Password changed successfully')
   })
 )
 
 /**
  * POST /api/reset-password
- * Reset password - sends new password to email (no authentication required)
+ * Reset password step 1 - emails a single-use, time-limited reset token (no authentication required)
+ * The account password is NOT changed here, so knowing a reg_number/email pair cannot lock anyone out
+ * Throttled per IP and reg_number (every request counts)
  */
 router.post(
   '/reset-password',
+  passwordResetRateLimit,
+  validateRequest('POST /api/reset-password'),
   asyncHandler(async (req, res) => {
     const { reg_number, email_id } = req.body
 
-    if (!reg_number || !reg_number.trim()) {
-      return sendErrorResponse(res, 400, 'Registration number is required')
-    }
-
-    if (!email_id || !email_id.trim()) {
-      return sendErrorResponse(res, 400, 'Email ID is required')
-    }
-
-    const trimmedRegNumber = reg_number.trim()
-    const trimmedEmail = email_id.trim()
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(trimmedEmail)) {
-      return sendErrorResponse(res, 400, 'Invalid email format')
-    }
+    const genericMessage = 'If the registration number and email match, a password reset code has been sent'
 
     // Find player by reg_number and email
-    const player = await Player.findOne({ reg_number: trimmedRegNumber, email_id: trimmedEmail })
+    const player = await Player.findOne({ reg_number, email_id })
     if (!player) {
       // Don't reveal if reg_number/email exists or not for security
-      return sendSuccessResponse(res, {}, 'If the registration number and email match, a new password has been sent')
+      return sendSuccessResponse(res, {}, genericMessage)
     }
 
-    // Generate new random password (8 characters, alphanumeric)
-    const generateRandomPassword = () => {
-      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
-      let password = ''
-      for (let i = 0; i < 8; i++) {
-        password += chars.charAt(Math.floor(Math.random() * chars.length))
-      }
-      return password
-    }
-
-    const newPassword = generateRandomPassword()
+    // Issue a new token (replaces any previously issued, unused token)
+    const { token, tokenHash } = generateResetToken()
+    player.password_reset_token = tokenHash
+    player.password_reset_expires = new Date(Date.now() + PASSWORD_RESET_TOKEN_EXPIRY_MINUTES * 60 * 1000)
+    await player.save()
 
-    // Send email with new password
+    // Send email with reset token
     const emailResult = await sendPasswordResetEmail(
-      trimmedEmail,
-      newPassword,
-      player.full_name
+      email_id,
+      token,
+      player.full_name,
+      PASSWORD_RESET_TOKEN_EXPIRY_MINUTES
     )
 
     if (!emailResult.success) {
-      // Log the error but don't fail the request (password is already reset)
-      logger.error(`Failed to send password reset email to ${trimmedEmail}:`, emailResult.error)
-      // Do not update password if email delivery failed
-      return sendSuccessResponse(res, {}, 'If the registration number and email match, a new password has been sent')
+      // Log the error but don't reveal it - the unused token simply expires
+      logger.error(`Failed to send password reset email to ${email_id}:`, emailResult.error)
     }
 
-    // Update player password and set change_password_required flag
-    player.password = newPassword
-    player.change_password_required = true
+    // Return success (don't reveal if reg_number/email exists)
+    return sendSuccessResponse(res, {}, genericMessage)
+  })
+)
+
+/**
+ * POST /api/reset-password/confirm
+ * Reset password step 2 - sets a new password using the emailed reset token (no authentication required)
+ * Token is single-use and cleared on success
+ */
+router.post(
+  '/reset-password/confirm',
+  validateRequest('POST /api/reset-password/confirm'),
+  asyncHandler(async (req, res) => {
+    const { reg_number, token, new_password } = req.body
+
+    const invalidTokenMessage = 'Invalid or expired reset code. Please request a new one.'
+
+    const player = await Player.findOne({ reg_number })
+      .select('+password_reset_token +password_reset_expires')
+    if (!player || !player.password_reset_token || !player.password_reset_expires) {
+      return sendErrorResponse(res, 400, invalidTokenMessage)
+    }
+
+    // Compare token hashes in constant time
+    const providedHash = Buffer.from(hashResetToken(token), 'hex')
+    const storedHash = Buffer.from(player.password_reset_token, 'hex')
+    const tokenMatches = providedHash.length === storedHash.length && crypto.timingSafeEqual(providedHash, storedHash)
+
+    if (!tokenMatches || player.password_reset_expires.getTime() < Date.now()) {
+      return sendErrorResponse(res, 400, invalidTokenMessage)
+    }
+
+    // Update password (hashed by Player pre-save hook) and consume the token
+    player.password = new_password
+    player.change_password_required = false
+    player.password_reset_token = null
+    player.password_reset_expires = null
+    player.password_changed_at = new Date()
     await player.save()
 
-    // Return success (don't reveal if reg_number/email exists)
-    return sendSuccessResponse(res, {}, 'If the registration number and email match, a new password has been sent')
+    // Sign out everywhere - whoever held the old password loses access
+    await revokeAllSessions(player.reg_number)
+
+    return sendSuccessResponse(res, {}, 'Password reset successfully. Please login with your new password.')
   })
 )
 
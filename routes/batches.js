@@ -6,74 +6,46 @@
 import express from 'express'
 import Batch from '../models/Batch.js'
 import Player from '../models/Player.js'
-import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
 import { requireRegistrationPeriod } from '../middleware/dateRestrictions.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
-import { trimObjectFields } from '../utils/validation.js'
-import { getCache, setCache, clearCache, clearCachePattern } from '../utils/cache.js'
+import { getCache, setCache, invalidateCacheTags, cacheTags } from '../utils/cache.js'
 import { getEventYear } from '../utils/yearHelpers.js'
 import logger from '../utils/logger.js'
 
 const router = express.Router()
 
-/**
- * Validate batch assignment data
- * @param {Object} data - Batch assignment data
- * @returns {Object} { isValid: boolean, errors: string[] }
- */
-function validateBatchAssignment(data) {
-  const errors = []
-
-  if (!data.name || !data.name.trim()) {
-    errors.push('Batch name is required')
-  }
-
-  if (!data.event_id || !String(data.event_id).trim()) {
-    errors.push('Event ID is required')
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors
-  }
-}
-
 /**
  * POST /api/add-batch
- * Create a new batch (admin only)
+ * Create a new batch (admin or event admin for the event year)
  * Event ID Required: event_id field required in request body (defaults to active event)
  */
 router.post(
   '/add-batch',
   authenticateToken,
-  requireAdmin,
+  validateRequest('POST /api/add-batch'),
+  authorize('batches:manage', { scope: { event_id: 'body.event_id' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    const trimmed = trimObjectFields(req.body)
-    const { createdBy, updatedBy, ...batchData } = trimmed // Exclude createdBy/updatedBy (set from token only)
+    const { createdBy, updatedBy, ...batchData } = req.body // Exclude createdBy/updatedBy (set from token only)
     
     // Explicitly reject if user tries to send createdBy or updatedBy
     if (createdBy !== undefined || updatedBy !== undefined) {
       return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
     }
-    
-    const validation = validateBatchAssignment(batchData)
-
-    if (!validation.isValid) {
-      return sendErrorResponse(res, 400, validation.errors.join('; '))
-    }
 
     const { name, event_id } = batchData
 
     // Get event year with document
-    const eventYearData = await getEventYear(String(event_id).trim(), { requireId: true, returnDoc: true })
+    const eventYearData = await getEventYear(event_id, { requireId: true, returnDoc: true })
     const eventId = eventYearData.doc.event_id
     const eventYear = eventYearData.doc.event_year
     const eventName = eventYearData.doc.event_name
 
     // Check if batch already exists
     const existingBatch = await Batch.findOne({
-      name: name.trim(),
+      name,
       event_id: eventId
     })
 
@@ -83,7 +55,7 @@ router.post(
 
     // Create new batch
     const batch = new Batch({
-      name: name.trim(),
+      name,
       event_id: eventId,
       players: [],
       createdBy: req.user.reg_number
@@ -92,7 +64,7 @@ router.post(
     await batch.save()
 
     // Clear cache
-    clearCache(`/api/batches?event_id=${encodeURIComponent(eventId)}`)
+    await invalidateCacheTags([cacheTags.batches(eventId)])
 
     return sendSuccessResponse(res, { batch }, `Batch "${name}" created successfully`)
   })
@@ -100,33 +72,27 @@ router.post(
 
 /**
  * DELETE /api/remove-batch
- * Delete a batch (admin only)
+ * Delete a batch (admin or event admin for the event year)
  * Event ID Required: event_id field required in request body (defaults to active event)
  */
 router.delete(
   '/remove-batch',
   authenticateToken,
-  requireAdmin,
+  validateRequest('DELETE /api/remove-batch'),
+  authorize('batches:manage', { scope: { event_id: 'body.event_id' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    const trimmed = trimObjectFields(req.body)
-    const validation = validateBatchAssignment(trimmed)
-
-    if (!validation.isValid) {
-      return sendErrorResponse(res, 400, validation.errors.join('; '))
-    }
-
-    const { name, event_id } = trimmed
+    const { name, event_id } = req.body
 
     // Get event year with document
-    const eventYearData = await getEventYear(String(event_id).trim(), { requireId: true, returnDoc: true })
+    const eventYearData = await getEventYear(event_id, { requireId: true, returnDoc: true })
     const eventId = eventYearData.doc.event_id
     const eventYear = eventYearData.doc.event_year
     const eventName = eventYearData.doc.event_name
 
     // Find batch first to check if it has players
     const batch = await Batch.findOne({
-      name: name.trim(),
+      name,
       event_id: eventId
     })
 
@@ -141,13 +107,12 @@ router.delete(
 
     // Delete batch if no players
     await Batch.findOneAndDelete({
-      name: name.trim(),
+      name,
       event_id: eventId
     })
 
     // Clear cache
-    clearCache(`/api/batches?event_id=${encodeURIComponent(eventId)}`)
-    clearCachePattern('/api/players') // Player data changes (use pattern to clear all variations)
+    await invalidateCacheTags([cacheTags.batches(eventId), cacheTags.allPlayers()]) // Player data changes
 
     return sendSuccessResponse(res, {}, `Batch "${name}" deleted successfully`)
   })
@@ -161,6 +126,7 @@ router.delete(
  */
 router.get(
   '/batches',
+  validateRequest('GET /api/batches'),
   asyncHandler(async (req, res) => {
     const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
     
@@ -178,7 +144,7 @@ router.get(
 
     // Check cache
     const cacheKey = `/api/batches?event_id=${encodeURIComponent(eventId)}`
-    const cached = getCache(cacheKey)
+    const cached = await getCache(cacheKey)
     if (cached) {
       return sendSuccessResponse(res, cached)
     }
@@ -199,7 +165,7 @@ router.get(
     }))
 
     const result = { batches: batchesList }
-    setCache(cacheKey, result)
+    await setCache(cacheKey, result, [cacheTags.event(eventId), cacheTags.batches(eventId)])
     return sendSuccessResponse(res, result)
   })
 )
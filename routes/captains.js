@@ -6,41 +6,38 @@
 import express from 'express'
 import Sport from '../models/Sport.js'
 import Player from '../models/Player.js'
-import { authenticateToken } from '../middleware/auth.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
 import { requireRegistrationPeriod } from '../middleware/dateRestrictions.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
-import { validateCaptainAssignment, trimObjectFields } from '../utils/validation.js'
-import { clearCache, clearCachePattern } from '../utils/cache.js'
+import { clearParticipationCaches } from '../utils/cacheHelpers.js'
 import { getEventYear } from '../utils/yearHelpers.js'
 import { findSportByNameAndId } from '../utils/sportHelpers.js'
 import { computePlayersParticipationBatch } from '../utils/playerHelpers.js'
-import { ADMIN_REG_NUMBER } from '../constants/index.js'
+import { queueNotifications } from '../utils/notifications.js'
+import { hasEventWidePermission } from '../utils/roleHelpers.js'
 
 const router = express.Router()
 
 /**
  * POST /api/add-captain
- * Add captain role to a player (admin or coordinator)
+ * Add captain role to a player (admin, event admin, or coordinator for this sport)
  * Workflow: Admin or coordinator assigns a player as captain for a sport (makes player eligible to create a team)
  * Event ID Required: event_id field required in request body (defaults to active event)
  * Update Sports collection's eligible_captains array (add player reg_number for the specified event year)
+ * The player is emailed (captain_assigned) unless they opted out
  */
 router.post(
   '/add-captain',
   authenticateToken,
+  validateRequest('POST /api/add-captain'),
+  authorize('captains:manage', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    const trimmed = trimObjectFields(req.body)
-    const validation = validateCaptainAssignment(trimmed)
-
-    if (!validation.isValid) {
-      return sendErrorResponse(res, 400, validation.errors.join('; '))
-    }
-
-    const { reg_number, sport, event_id } = trimmed
+    const { reg_number, sport, event_id } = req.body
 
     // Get event with document
-    const eventYearData = await getEventYear(String(event_id).trim(), { requireId: true, returnDoc: true })
+    const eventYearData = await getEventYear(event_id, { requireId: true, returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
     // Validate player exists
@@ -52,15 +49,6 @@ router.post(
     // Find sport by name and event_id
     const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
 
-    // Allow admin or coordinator for this sport
-    const isAdmin = req.user?.reg_number === ADMIN_REG_NUMBER
-    if (!isAdmin) {
-      const coordinators = sportDoc.eligible_coordinators || []
-      if (!coordinators.includes(req.user?.reg_number)) {
-        return sendErrorResponse(res, 403, 'Admin or coordinator access required for this sport')
-      }
-    }
-
     // Captains cannot be coordinators for the same sport
     if (sportDoc.eligible_coordinators && sportDoc.eligible_coordinators.includes(reg_number)) {
       return sendErrorResponse(res, 400, `Player is already a coordinator for ${sport} and cannot be assigned as captain.`)
@@ -92,10 +80,10 @@ router.post(
     await sportDoc.save()
 
     // Clear cache
-    clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCachePattern('/api/players')
-    clearCachePattern('/api/me')
+    await clearParticipationCaches(eventId, sport)
+
+    // Queue the assignment email (never fails the request)
+    await queueNotifications([reg_number], 'captain_assigned', { sport: sportDoc.name }, { eventId, createdBy: req.user.reg_number })
 
     return sendSuccessResponse(res, { sport: sportDoc }, `Captain added successfully for ${sport}`)
   })
@@ -103,40 +91,26 @@ router.post(
 
 /**
  * DELETE /api/remove-captain
- * Remove captain role from a player (admin or coordinator)
+ * Remove captain role from a player (admin, event admin, or coordinator for this sport)
  * Event ID Required: event_id field required in request body (defaults to active event)
  * Update Sports collection's eligible_captains array (remove player reg_number for the specified event year)
  */
 router.delete(
   '/remove-captain',
   authenticateToken,
+  validateRequest('DELETE /api/remove-captain'),
+  authorize('captains:manage', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    const trimmed = trimObjectFields(req.body)
-    const validation = validateCaptainAssignment(trimmed)
-
-    if (!validation.isValid) {
-      return sendErrorResponse(res, 400, validation.errors.join('; '))
-    }
-
-    const { reg_number, sport, event_id } = trimmed
+    const { reg_number, sport, event_id } = req.body
 
     // Get event with document
-    const eventYearData = await getEventYear(String(event_id).trim(), { requireId: true, returnDoc: true })
+    const eventYearData = await getEventYear(event_id, { requireId: true, returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
     // Find sport by name and event_id
     const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
 
-    // Allow admin or coordinator for this sport
-    const isAdmin = req.user?.reg_number === ADMIN_REG_NUMBER
-    if (!isAdmin) {
-      const coordinators = sportDoc.eligible_coordinators || []
-      if (!coordinators.includes(req.user?.reg_number)) {
-        return sendErrorResponse(res, 403, 'Admin or coordinator access required for this sport')
-      }
-    }
-
     // Check if player is in eligible_captains
     if (!sportDoc.eligible_captains || !sportDoc.eligible_captains.includes(reg_number)) {
       return sendErrorResponse(res, 400, `Player is not an eligible captain for ${sport}`)
@@ -159,10 +133,7 @@ router.delete(
     await sportDoc.save()
 
     // Clear cache
-    clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCachePattern('/api/players')
-    clearCachePattern('/api/me')
+    await clearParticipationCaches(eventId, sport)
 
     return sendSuccessResponse(res, { sport: sportDoc }, `Captain role removed successfully for ${sport}`)
   })
@@ -170,12 +141,14 @@ router.delete(
 
 /**
  * GET /api/captains-by-sport
- * Get all captains grouped by sport (admin or coordinator)
+ * Get all captains grouped by sport (admin, event admin, viewer, or coordinator for own sports)
  * Event ID Filter: Accepts ?event_id=2026-umang parameter (defaults to active event)
  */
 router.get(
   '/captains-by-sport',
   authenticateToken,
+  validateRequest('GET /api/captains-by-sport'),
+  authorize('captains:read', { scope: { event_id: 'query.event_id' } }),
   asyncHandler(async (req, res) => {
     const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
     
@@ -195,12 +168,12 @@ router.get(
 
     const eventId = eventYearData.doc.event_id
 
-    const isAdmin = req.user?.reg_number === ADMIN_REG_NUMBER
     const sportsQuery = {
       event_id: eventId,
       eligible_captains: { $exists: true, $ne: [] }
     }
-    if (!isAdmin) {
+    // Coordinators only see captains for the sports they coordinate
+    if (!hasEventWidePermission(req.user.roles, 'captains:read', eventId)) {
       sportsQuery.eligible_coordinators = req.user?.reg_number
     }
 
@@ -0,0 +1,58 @@
+/**
+ * Championship Routes
+ * Overall trophy standings of departments and batches across all sports
+ */
+
+import express from 'express'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { getCache, setCache, cacheTags } from '../utils/cache.js'
+import { asyncHandler, sendSuccessResponse } from '../utils/errorHandler.js'
+import { getEventYear } from '../utils/yearHelpers.js'
+import { buildChampionshipStandings } from '../utils/championship.js'
+import { getResultsSnapshot } from '../utils/resultsSnapshot.js'
+
+const router = express.Router()
+
+/**
+ * GET /api/championship
+ * Get championship standings (public)
+ * Event ID Filter: Accepts ?event_id=2026-umang parameter (defaults to active event)
+ * Departments and batches earn the event year's championship points for 1st/2nd/3rd place in every sport,
+ * with a per-sport breakdown of the placings
+ * Archived event years return the standings frozen in their results snapshot
+ */
+router.get('/championship', validateRequest('GET /api/championship'), asyncHandler(async (req, res) => {
+  const eventIdQuery = req.query.event_id || null
+
+  let eventYearData
+
+  try {
+    // Try to get event year with document - if it doesn't exist, return empty standings
+    eventYearData = await getEventYear(eventIdQuery, { returnDoc: true })
+  } catch (error) {
+    if (error.message === 'Event year not found' || error.message === 'No active event year found') {
+      return sendSuccessResponse(res, { event_id: null, points: {}, departments: [], batches: [], sports: [] })
+    }
+    // Re-throw other errors to be handled by asyncHandler
+    throw error
+  }
+
+  const eventId = eventYearData.doc.event_id
+
+  // Check cache
+  const cacheKey = `/api/championship?event_id=${encodeURIComponent(eventId)}`
+  const cached = await getCache(cacheKey)
+  if (cached) {
+    return sendSuccessResponse(res, cached)
+  }
+
+  // Archived event years are served from their results snapshot without recomputation
+  const snapshot = eventYearData.doc.status === 'archived' ? await getResultsSnapshot(eventId) : null
+  const standings = snapshot ? snapshot.championship : await buildChampionshipStandings(eventYearData.doc)
+
+  await setCache(cacheKey, standings, [cacheTags.event(eventId), cacheTags.championship(eventId)])
+
+  return sendSuccessResponse(res, standings)
+}))
+
+export default router
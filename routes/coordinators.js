@@ -6,41 +6,37 @@
 import express from 'express'
 import Sport from '../models/Sport.js'
 import Player from '../models/Player.js'
-import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
 import { requireRegistrationPeriod } from '../middleware/dateRestrictions.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
-import { validateCaptainAssignment, trimObjectFields } from '../utils/validation.js'
-import { clearCache, clearCachePattern } from '../utils/cache.js'
+import { clearParticipationCaches } from '../utils/cacheHelpers.js'
 import { getEventYear } from '../utils/yearHelpers.js'
 import { findSportByNameAndId } from '../utils/sportHelpers.js'
 import { computePlayersParticipationBatch } from '../utils/playerHelpers.js'
+import { queueNotifications } from '../utils/notifications.js'
 
 const router = express.Router()
 
 /**
  * POST /api/add-coordinator
- * Add coordinator role to a player (admin only)
+ * Add coordinator role to a player (admin or event admin for the event year)
  * Workflow: Admin assigns a player as coordinator for a sport
  * Event ID Required: event_id field required in request body (defaults to active event)
  * Update Sports collection's eligible_coordinators array (add player reg_number for the specified event year)
+ * The player is emailed (coordinator_assigned) unless they opted out
  */
 router.post(
   '/add-coordinator',
   authenticateToken,
-  requireAdmin,
+  validateRequest('POST /api/add-coordinator'),
+  authorize('coordinators:manage', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    const trimmed = trimObjectFields(req.body)
-    const validation = validateCaptainAssignment(trimmed) // Reuse same validation
-
-    if (!validation.isValid) {
-      return sendErrorResponse(res, 400, validation.errors.join('; '))
-    }
-
-    const { reg_number, sport, event_id } = trimmed
+    const { reg_number, sport, event_id } = req.body
 
     // Get event with document
-    const eventYearData = await getEventYear(String(event_id).trim(), { requireId: true, returnDoc: true })
+    const eventYearData = await getEventYear(event_id, { requireId: true, returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
     // Validate player exists
@@ -80,10 +76,10 @@ router.post(
     await sportDoc.save()
 
     // Clear cache
-    clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCachePattern('/api/players')
-    clearCachePattern('/api/me')
+    await clearParticipationCaches(eventId, sport)
+
+    // Queue the assignment email (never fails the request)
+    await queueNotifications([reg_number], 'coordinator_assigned', { sport: sportDoc.name }, { eventId, createdBy: req.user.reg_number })
 
     return sendSuccessResponse(res, { sport: sportDoc }, `Coordinator added successfully for ${sport}`)
   })
@@ -91,27 +87,21 @@ router.post(
 
 /**
  * DELETE /api/remove-coordinator
- * Remove coordinator role from a player (admin only)
+ * Remove coordinator role from a player (admin or event admin for the event year)
  * Event ID Required: event_id field required in request body (defaults to active event)
  * Update Sports collection's eligible_coordinators array (remove player reg_number for the specified event year)
  */
 router.delete(
   '/remove-coordinator',
   authenticateToken,
-  requireAdmin,
+  validateRequest('DELETE /api/remove-coordinator'),
+  authorize('coordinators:manage', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    const trimmed = trimObjectFields(req.body)
-    const validation = validateCaptainAssignment(trimmed) // Reuse same validation
-
-    if (!validation.isValid) {
-      return sendErrorResponse(res, 400, validation.errors.join('; '))
-    }
-
-    const { reg_number, sport, event_id } = trimmed
+    const { reg_number, sport, event_id } = req.body
 
     // Get event with document
-    const eventYearData = await getEventYear(String(event_id).trim(), { requireId: true, returnDoc: true })
+    const eventYearData = await getEventYear(event_id, { requireId: true, returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
     // Find sport by name and event_id
@@ -127,10 +117,7 @@ router.delete(
     await sportDoc.save()
 
     // Clear cache
-    clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCachePattern('/api/players')
-    clearCachePattern('/api/me')
+    await clearParticipationCaches(eventId, sport)
 
     return sendSuccessResponse(res, { sport: sportDoc }, `Coordinator role removed successfully for ${sport}`)
   })
@@ -138,13 +125,14 @@ router.delete(
 
 /**
  * GET /api/coordinators-by-sport
- * Get all coordinators grouped by sport (admin only)
+ * Get all coordinators grouped by sport (admin, event admin or viewer)
  * Event ID Filter: Accepts ?event_id=2026-umang parameter (defaults to active event)
  */
 router.get(
   '/coordinators-by-sport',
   authenticateToken,
-  requireAdmin,
+  validateRequest('GET /api/coordinators-by-sport'),
+  authorize('coordinators:read', { scope: { event_id: 'query.event_id' } }),
   asyncHandler(async (req, res) => {
     const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
     
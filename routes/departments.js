@@ -1,7 +1,8 @@
 import express from 'express'
 import Department from '../models/Department.js'
 import Player from '../models/Player.js'
-import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/errorHandler.js'
 import logger from '../utils/logger.js'
 import { clearCache } from '../utils/cache.js'
@@ -15,7 +16,7 @@ const router = express.Router()
  * Note: Departments are not year-dependent, so there's no "active" concept
  * Includes player_count for each department (for UI to disable delete button)
  */
-router.get('/', asyncHandler(async (req, res) => {
+router.get('/', validateRequest('GET /api/departments'), asyncHandler(async (req, res) => {
   const departments = await Department.find({})
     .sort({ display_order: 1, name: 1 })
     .lean()
@@ -40,7 +41,7 @@ router.get('/', asyncHandler(async (req, res) => {
  * Validation: Department name must be unique
  * Note: Department creation is not restricted by registration period
  */
-router.post('/', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+router.post('/', authenticateToken, validateRequest('POST /api/departments'), authorize('departments:manage'), asyncHandler(async (req, res) => {
   const { createdBy, updatedBy, ...bodyData } = req.body
   
   // Explicitly reject if user tries to send createdBy or updatedBy
@@ -50,19 +51,15 @@ router.post('/', authenticateToken, requireAdmin, asyncHandler(async (req, res)
   
   const { name, code, display_order } = bodyData
   
-  if (!name || !name.trim()) {
-    return sendErrorResponse(res, 400, 'Department name is required')
-  }
-  
   // Check if department with same name already exists
-  const existingDepartment = await Department.findOne({ name: name.trim() })
+  const existingDepartment = await Department.findOne({ name })
   if (existingDepartment) {
     return sendErrorResponse(res, 409, 'Department with this name already exists')
   }
   
   const department = new Department({
-    name: name.trim(),
-    code: code?.trim() || '',
+    name,
+    code: code || '',
     display_order: display_order || 0,
     createdBy: req.user.reg_number
   })
@@ -70,7 +67,7 @@ router.post('/', authenticateToken, requireAdmin, asyncHandler(async (req, res)
   await department.save()
   
   // Clear department cache
-  clearCache('/api/departments')
+  await clearCache('/api/departments')
   
   return sendSuccessResponse(res, department, 'Department created successfully', 201)
 }))
@@ -82,7 +79,7 @@ router.post('/', authenticateToken, requireAdmin, asyncHandler(async (req, res)
  * Validation: Reject update if trying to modify name or code (these are immutable)
  * Note: Department updates are not restricted by registration period
  */
-router.put('/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+router.put('/:id', authenticateToken, validateRequest('PUT /api/departments/:id'), authorize('departments:manage'), asyncHandler(async (req, res) => {
   const { id } = req.params
   const { createdBy, updatedBy, ...bodyData } = req.body
   
@@ -114,7 +111,7 @@ router.put('/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res
   await department.save()
   
   // Clear department cache
-  clearCache('/api/departments')
+  await clearCache('/api/departments')
   
   return sendSuccessResponse(res, department, 'Department updated successfully')
 }))
@@ -127,7 +124,7 @@ router.put('/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res
  * If no players, allow hard delete
  * Note: Department deletion is not restricted by registration period
  */
-router.delete('/:id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+router.delete('/:id', authenticateToken, validateRequest('DELETE /api/departments/:id'), authorize('departments:manage'), asyncHandler(async (req, res) => {
   const { id } = req.params
   
   const department = await Department.findById(id)
@@ -145,7 +142,7 @@ router.delete('/:id', authenticateToken, requireAdmin, asyncHandler(async (req,
   await Department.findByIdAndDelete(id)
   
   // Clear department cache
-  clearCache('/api/departments')
+  await clearCache('/api/departments')
   
   return sendSuccessResponse(res, {}, 'Department deleted successfully')
 }))
@@ -0,0 +1,21 @@
+/**
+ * API Docs Routes
+ * OpenAPI 3 document of every route, generated from the request schemas
+ */
+
+import express from 'express'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { getOpenApiDocument } from '../utils/openApi.js'
+
+const router = express.Router()
+
+/**
+ * GET /api/docs
+ * Get the OpenAPI document (public)
+ * Lists every route (utils/requestSchemas.js) with its body, query and path parameters and its responses
+ */
+router.get('/docs', validateRequest('GET /api/docs'), (req, res) => {
+  return res.json(getOpenApiDocument())
+})
+
+export default router
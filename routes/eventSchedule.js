@@ -4,30 +4,59 @@
  */
 
 import express from 'express'
+import mongoose from 'mongoose'
 import EventSchedule from '../models/EventSchedule.js'
 import Player from '../models/Player.js'
-import { authenticateToken, requireAdmin } from '../middleware/auth.js'
-import { requireAdminOrCoordinator } from '../utils/coordinatorHelpers.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
 import { requireEventPeriod, requireEventSchedulingPeriod, requireEventStatusUpdatePeriod, isMatchDateWithinEventRange } from '../middleware/dateRestrictions.js'
-import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { asyncHandler, sendSuccessResponse, sendErrorResponse, sendConflictResponse, handleNotFoundError } from '../utils/errorHandler.js'
 import logger from '../utils/logger.js'
-import { getCache, setCache, clearCache } from '../utils/cache.js'
+import { getCache, setCache, cacheTags } from '../utils/cache.js'
 import { updatePointsTable } from '../utils/pointsTable.js'
 import { getEventYear } from '../utils/yearHelpers.js'
-import { findSportByNameAndId, normalizeSportName } from '../utils/sportHelpers.js'
+import { findSportByNameAndId, normalizeSportName, getCompleteTeams } from '../utils/sportHelpers.js'
 import { getMatchGender, getParticipantsGender } from '../utils/genderHelpers.js'
 import { clearMatchCaches, clearNewMatchCaches } from '../utils/cacheHelpers.js'
+import { buildBracketPlan, getStandingsSeeds, validateBracketResultUpdate, advanceBracketWinner } from '../utils/bracketHelpers.js'
+import { splitIntoGroups, buildRoundRobin, getFixtureDays, allocateFixtureDates, getDateKey } from '../utils/fixtureHelpers.js'
+import { normalizeMatchSlot, validateMatchSlot, findScheduleConflicts, formatConflictMessage } from '../utils/scheduleConflicts.js'
+import { validateMatchScores, deriveResultFromScores, validateQualifiersAgainstRanking } from '../utils/scoreHelpers.js'
+import { buildHeatPlan, distributeIntoHeats, validateLanes, validateHeatResultUpdate, deriveHeatQualifiers, advanceHeatRound } from '../utils/heatHelpers.js'
+import { isJudgedSport, validateJudges, validateRubric, validateJudgeSheet, computeJudgingResults, deriveJudgedQualifiers, buildJudgingView } from '../utils/judgingHelpers.js'
+import { isLineupSport, validateLineups, validateSubstitution } from '../utils/lineupHelpers.js'
+import { hasPermission } from '../utils/roleHelpers.js'
+import { notifyMatchChange } from '../utils/notifications.js'
+import { runInTransaction } from '../utils/unitOfWork.js'
+import { HEAT_SCORING_FORMATS, DEFAULT_HEAT_LANES } from '../constants/index.js'
 import { 
   validateMatchTypeForSport, 
   validateFinalMatchRequirement,
   validateAllMatchesCompletedBeforeFinal,
   validateAllLeagueMatchesCompletedBeforeKnockout,
   getKnockedOutParticipants,
-  getParticipantsInScheduledMatches
+  getParticipantsInScheduledMatches,
+  validateParticipantsForGender,
+  validateTeamsComplete
 } from '../utils/matchValidation.js'
 
 const router = express.Router()
 
+/**
+ * Resolve permission scope from the match referenced by :id
+ * Returns null when the match does not exist so the route can respond with 404
+ */
+async function resolveMatchScope(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null
+  }
+  const match = await EventSchedule.findById(req.params.id).select('event_id sports_name').lean()
+  if (!match) {
+    return null
+  }
+  return { event_id: match.event_id, sport: normalizeSportName(match.sports_name) }
+}
+
 /**
  * GET /api/event-schedule/:sport
  * Get all matches for a sport
@@ -36,20 +65,22 @@ const router = express.Router()
 router.get(
   '/event-schedule/:sport',
   authenticateToken,
+  validateRequest('GET /api/event-schedule/:sport'),
+  authorize('schedule:read', { scope: { event_id: 'query.event_id', sport: 'params.sport' } }),
   asyncHandler(async (req, res) => {
     const { sport } = req.params
     
     const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
     const eventYearData = await getEventYear(eventIdQuery, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
-    const gender = req.query.gender // Optional: 'Male' or 'Female'
+    const gender = req.query.gender // Optional: 'Male' or 'Female' (checked by the request schema)
 
     // Build cache key with gender if provided
     const cacheKey = gender 
       ? `/api/event-schedule/${sport}?event_id=${encodeURIComponent(eventId)}&gender=${gender}`
       : `/api/event-schedule/${sport}?event_id=${encodeURIComponent(eventId)}`
     
-    const cached = getCache(cacheKey)
+    const cached = await getCache(cacheKey)
     if (cached) {
       // Always use sendSuccessResponse for consistency, even for cached data
       return sendSuccessResponse(res, cached)
@@ -68,20 +99,24 @@ router.get(
     for (const match of allMatches) {
       const matchGender = await getMatchGender(match, sportDoc)
       // Add gender to match object for frontend
-      const matchWithGender = { ...match, gender: matchGender }
+      // Judge score sheets are only served by GET /event-schedule/:id/judging; the list shows who has scored
+      const { judge_scores: judgeScores, ...matchFields } = match
+      const matchWithGender = {
+        ...matchFields,
+        gender: matchGender,
+        judges_submitted: (match.judges || []).filter(judge => (judgeScores || []).some(entry => entry.judge === judge))
+      }
       
       // Filter by gender if provided
-      if (!gender || (gender === 'Male' || gender === 'Female')) {
-        if (!gender || matchGender === gender) {
-          matchesWithGender.push(matchWithGender)
-        }
+      if (!gender || matchGender === gender) {
+        matchesWithGender.push(matchWithGender)
       }
     }
 
     const result = { matches: matchesWithGender }
 
     // Cache the result
-    setCache(cacheKey, result)
+    await setCache(cacheKey, result, [cacheTags.event(eventId), cacheTags.sport(eventId, normalizeSportName(sport))])
 
     return sendSuccessResponse(res, result)
   })
@@ -89,7 +124,7 @@ router.get(
 
 /**
  * GET /api/event-schedule/:sport/teams-players
- * Get teams/players list for a sport (for dropdown in form) (admin only)
+ * Get teams/players list for a sport (for dropdown in form) (admin, event admin, or coordinator for this sport)
  * Event ID Filter: Accepts ?event_id=2026-umang parameter (defaults to active event)
  * Get teams from Sports collection's teams_participated (filtered by event year)
  * Get players from Sports collection's players_participated (filtered by event year)
@@ -98,25 +133,15 @@ router.get(
 router.get(
   '/event-schedule/:sport/teams-players',
   authenticateToken,
+  validateRequest('GET /api/event-schedule/:sport/teams-players'),
+  authorize('schedule:manage', { scope: { event_id: 'query.event_id', sport: 'params.sport' } }),
   asyncHandler(async (req, res) => {
     const { sport } = req.params
     const decodedSport = decodeURIComponent(sport)
     const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
     const eventYearData = await getEventYear(eventIdQuery, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
-    const gender = req.query.gender // Required: 'Male' or 'Female'
-
-    // Check if user is admin or coordinator for this sport
-    try {
-      await requireAdminOrCoordinator(req.user.reg_number, decodedSport, eventId)
-    } catch (error) {
-      return sendErrorResponse(res, 403, error.message)
-    }
-
-    // Validate gender is provided
-    if (!gender || (gender !== 'Male' && gender !== 'Female')) {
-      return sendErrorResponse(res, 400, 'Gender parameter is required and must be "Male" or "Female"')
-    }
+    const gender = req.query.gender // Required: 'Male' or 'Female' (checked by the request schema)
 
     // Find sport by name and event_id
     const sportDoc = await findSportByNameAndId(decodedSport, eventId)
@@ -143,8 +168,8 @@ router.get(
 
     if (sportDoc.type === 'dual_team' || sportDoc.type === 'multi_team') {
       // Get teams from teams_participated with gender information
-      // Exclude: 1) knocked out teams, 2) teams already in scheduled knockout matches
-      const eligibleTeams = (sportDoc.teams_participated || [])
+      // Exclude: 1) incomplete teams, 2) knocked out teams, 3) teams already in scheduled knockout matches
+      const eligibleTeams = getCompleteTeams(sportDoc)
         .filter(team => {
           const trimmedTeamName = (team.team_name || '').trim()
           return trimmedTeamName && !knockedOutParticipants.has(trimmedTeamName) && !participantsInScheduledMatches.has(trimmedTeamName)
@@ -213,12 +238,17 @@ router.get(
 
 /**
  * POST /api/event-schedule
- * Create a new match (admin only)
+ * Create a new match (admin, event admin, or coordinator for this sport)
  * Event ID Required: event_id field required in request body (defaults to active event)
+ * Optional venue, court, start_time and end_time; overlapping matches at the same venue
+ * or with the same player (across sports) are rejected with 409 and a conflicts list
+ * The match's players are emailed (match_scheduled) unless they opted out
  */
 router.post(
   '/event-schedule',
   authenticateToken,
+  validateRequest('POST /api/event-schedule'),
+  authorize('schedule:manage', { scope: { event_id: 'body.event_id', sport: 'body.sports_name' } }),
   requireEventPeriod,
   asyncHandler(async (req, res) => {
     const { createdBy, updatedBy, ...bodyData } = req.body
@@ -228,28 +258,13 @@ router.post(
       return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
     }
     
+    // match_type, sports_name, match_date and event_id are required (checked by the request schema); gender is derived from participants
     const { match_type, sports_name, teams, players, match_date, event_id, number_of_participants } = bodyData
 
-    if (!event_id || !String(event_id).trim()) {
-      return sendErrorResponse(res, 400, 'event_id is required')
-    }
-
-    // Get event year (default to active event if not provided)
-    const eventYear = await getEventYear(String(event_id).trim(), { returnDoc: true })
+    // Get event year
+    const eventYear = await getEventYear(event_id, { returnDoc: true })
     const eventYearDoc = eventYear.doc
 
-    // Validate required fields (gender will be derived from participants)
-    if (!match_type || !sports_name || !match_date) {
-      return sendErrorResponse(res, 400, 'Missing required fields: match_type, sports_name, match_date')
-    }
-
-    // Check if user is admin or coordinator for this sport
-    try {
-      await requireAdminOrCoordinator(req.user.reg_number, sports_name, eventYearDoc.event_id)
-    } catch (error) {
-      return sendErrorResponse(res, 403, error.message)
-    }
-
     // Validate match_date is within event date range
     if (!isMatchDateWithinEventRange(match_date, eventYearDoc)) {
       const eventStart = new Date(eventYearDoc.event_dates.start)
@@ -279,7 +294,7 @@ router.post(
 
     // Validate teams/players arrays based on sport type
     if (sportDoc.type === 'dual_team' || sportDoc.type === 'multi_team') {
-      if (!teams || !Array.isArray(teams) || teams.length === 0) {
+      if (!teams || teams.length === 0) {
         return sendErrorResponse(res, 400, 'Teams array is required for team sports')
       }
       // Remove duplicates
@@ -288,21 +303,15 @@ router.post(
         return sendErrorResponse(res, 400, 'dual_team sports require exactly 2 teams')
       }
       if (sportDoc.type === 'multi_team') {
-        // Validate number_of_participants for multi_team
-        if (number_of_participants !== undefined) {
-          const num = parseInt(number_of_participants)
-          if (isNaN(num) || num < 3 || num > 100) {
-            return sendErrorResponse(res, 400, 'number_of_participants must be between 3 and 100')
-          }
-          if (uniqueTeams.length !== num) {
-            return sendErrorResponse(res, 400, `Number of teams (${uniqueTeams.length}) does not match number_of_participants (${num})`)
-          }
+        // Validate number_of_participants for multi_team (3 to 100, checked by the request schema)
+        if (number_of_participants && uniqueTeams.length !== number_of_participants) {
+          return sendErrorResponse(res, 400, `Number of teams (${uniqueTeams.length}) does not match number_of_participants (${number_of_participants})`)
         }
         if (uniqueTeams.length <= 2) {
           return sendErrorResponse(res, 400, 'multi_team sports require more than 2 teams')
         }
-        // Validate number of teams matches available teams count
-        const availableTeamsCount = (sportDoc.teams_participated || []).length
+        // Validate number of teams matches available (complete) teams count
+        const availableTeamsCount = getCompleteTeams(sportDoc).length
         if (uniqueTeams.length > availableTeamsCount) {
           return sendErrorResponse(res, 400, `Cannot select ${uniqueTeams.length} teams. Only ${availableTeamsCount} team(s) available.`)
         }
@@ -314,6 +323,12 @@ router.post(
           return sendErrorResponse(res, 400, `Team "${team}" does not exist for ${sports_name}`)
         }
       }
+
+      // Teams play only once team_size players have accepted (pending invitees are not members)
+      const incompleteError = validateTeamsComplete(sportDoc, uniqueTeams)
+      if (incompleteError) {
+        return sendErrorResponse(res, incompleteError.statusCode, incompleteError.message)
+      }
       
       // Validate all teams have players of the same gender (for both dual_team and multi_team)
       // Since team creation already enforces same gender within a team, we only need to check one player per team
@@ -351,7 +366,7 @@ router.post(
         return sendErrorResponse(res, 400, 'Could not determine gender for teams')
       }
     } else {
-      if (!players || !Array.isArray(players) || players.length === 0) {
+      if (!players || players.length === 0) {
         return sendErrorResponse(res, 400, 'Players array is required for individual/cultural sports')
       }
       // Remove duplicates
@@ -360,15 +375,9 @@ router.post(
         return sendErrorResponse(res, 400, 'dual_player sports require exactly 2 players')
       }
       if (sportDoc.type === 'multi_player') {
-        // Validate number_of_participants for multi_player
-        if (number_of_participants !== undefined) {
-          const num = parseInt(number_of_participants)
-          if (isNaN(num) || num < 3 || num > 100) {
-            return sendErrorResponse(res, 400, 'number_of_participants must be between 3 and 100')
-          }
-          if (uniquePlayers.length !== num) {
-            return sendErrorResponse(res, 400, `Number of players (${uniquePlayers.length}) does not match number_of_participants (${num})`)
-          }
+        // Validate number_of_participants for multi_player (3 to 100, checked by the request schema)
+        if (number_of_participants && uniquePlayers.length !== number_of_participants) {
+          return sendErrorResponse(res, 400, `Number of players (${uniquePlayers.length}) does not match number_of_participants (${number_of_participants})`)
         }
         if (uniquePlayers.length <= 2) {
           return sendErrorResponse(res, 400, 'multi_player sports require more than 2 players')
@@ -477,6 +486,24 @@ router.post(
       }
     }
 
+    // Generated brackets and heats fill their own knockout/final matches as participants advance
+    if (match_type === 'knockout' || match_type === 'final') {
+      const generatedMatches = await EventSchedule.find({
+        sports_name: normalizeSportName(sports_name),
+        event_id: eventYear.doc.event_id,
+        $or: [{ bracket_round: { $ne: null } }, { heat_round: { $ne: null } }]
+      }).lean()
+
+      for (const match of generatedMatches) {
+        const matchGender = await getMatchGender(match, sportDoc)
+        if (matchGender === derivedGender) {
+          return sendErrorResponse(res, 400, match.heat_round
+            ? `Cannot schedule ${match_type} matches manually. Heats have been generated for this sport and gender (${derivedGender}); participants advance automatically.`
+            : `Cannot schedule ${match_type} matches manually. A knockout bracket has been generated for this sport and gender (${derivedGender}); winners advance automatically.`)
+        }
+      }
+    }
+
     // Validate league vs knockout restrictions (gender will be derived)
     if (match_type === 'league') {
       // Check if any knockout match exists for this sport (gender will be derived)
@@ -606,6 +633,24 @@ router.post(
       return sendErrorResponse(res, 400, 'Match date must be today or a future date')
     }
 
+    // Validate venue/time and reject double-booked venues and players
+    const matchSlot = normalizeMatchSlot(bodyData)
+    const matchSlotError = await validateMatchSlot(matchSlot)
+    if (matchSlotError) {
+      return sendErrorResponse(res, matchSlotError.statusCode, matchSlotError.message)
+    }
+
+    const conflicts = await findScheduleConflicts({
+      ...matchSlot,
+      event_id: eventYear.doc.event_id,
+      match_date: new Date(matchDateStr),
+      teams: uniqueTeams || [],
+      players: uniquePlayers || []
+    }, sportDoc)
+    if (conflicts.length > 0) {
+      return sendConflictResponse(res, formatConflictMessage(conflicts), conflicts)
+    }
+
     // Get next match number for this sport and event
     // Match numbers must be unique per sport/event_id (not per gender) due to database index
     // So we find the highest match_number for this sport/event_id regardless of gender
@@ -626,7 +671,8 @@ router.post(
       match_type,
       sports_name: normalizeSportName(sports_name),
       match_date: new Date(match_date.includes('T') ? match_date : match_date + 'T00:00:00'),
-      status: 'scheduled'
+      status: 'scheduled',
+      ...matchSlot
     }
 
     if (sportDoc.type === 'dual_team' || sportDoc.type === 'multi_team') {
@@ -652,11 +698,14 @@ router.post(
       }
       
       try {
-        clearNewMatchCaches(sports_name, eventYear.doc.event_id, derivedGender, match_type)
+        await clearNewMatchCaches(sports_name, eventYear.doc.event_id)
       } catch (cacheError) {
         logger.error('[EventSchedule] Error clearing caches after match creation:', cacheError)
         // Don't fail the request if cache clearing fails, just log it
       }
+
+      // Queue emails to the match's players (never fails the request)
+      await notifyMatchChange(null, newMatch, sportDoc, req.user.reg_number)
       
       return sendSuccessResponse(res, { match: newMatch }, `Match #${match_number} scheduled successfully`)
     } catch (saveError) {
@@ -673,15 +722,651 @@ router.post(
   })
 )
 
+/**
+ * POST /api/event-schedule/:sport/generate-bracket
+ * Generate a single-elimination knockout bracket (admin, event admin, or coordinator for this sport)
+ * Event ID Required: event_id field required in request body
+ * Body: gender, seeds (participants in seed order) or seed_from_standings (PointsTable order, optional top_n),
+ *       match_date (all rounds), optional round_dates (one date per round), optional replace (regenerate an unplayed bracket)
+ * Top seeds get byes when the participant count is not a power of two; winners advance automatically
+ */
+router.post(
+  '/event-schedule/:sport/generate-bracket',
+  authenticateToken,
+  validateRequest('POST /api/event-schedule/:sport/generate-bracket'),
+  authorize('schedule:manage', { scope: { event_id: 'body.event_id', sport: 'params.sport' } }),
+  requireEventPeriod,
+  asyncHandler(async (req, res) => {
+    const { sport } = req.params
+    const { event_id, gender, seeds, seed_from_standings, top_n, match_date, round_dates, replace } = req.body
+
+    const eventYear = await getEventYear(event_id, { returnDoc: true })
+    const eventId = eventYear.doc.event_id
+    const sportDoc = await findSportByNameAndId(sport, eventId)
+
+    if (sportDoc.type !== 'dual_team' && sportDoc.type !== 'dual_player') {
+      return sendErrorResponse(res, 400, 'Knockout brackets can only be generated for dual_team and dual_player sports')
+    }
+
+    const isTeamSport = sportDoc.type === 'dual_team'
+
+    // Resolve seeds
+    let seedList
+    if (Array.isArray(seeds) && seeds.length > 0) {
+      seedList = seeds.map(seed => String(seed || '').trim()).filter(Boolean)
+      if (new Set(seedList).size !== seedList.length) {
+        return sendErrorResponse(res, 400, 'seeds must not contain duplicates')
+      }
+    } else if (seed_from_standings === true) {
+      seedList = await getStandingsSeeds(sportDoc, eventId, gender)
+      if (top_n) {
+        seedList = seedList.slice(0, top_n)
+      }
+    } else {
+      return sendErrorResponse(res, 400, 'Provide seeds (participants in seed order) or set seed_from_standings to true')
+    }
+
+    if (seedList.length < 2) {
+      return sendErrorResponse(res, 400, 'At least 2 participants are required to generate a bracket')
+    }
+
+    // Validate seeds are registered for this sport and have the requested gender
+    const seedError = await validateParticipantsForGender(sportDoc, seedList, gender, eventId)
+    if (seedError) {
+      return sendErrorResponse(res, seedError.statusCode, seedError.message)
+    }
+
+    const plan = buildBracketPlan(seedList)
+
+    // Resolve and validate round dates
+    if (round_dates && round_dates.length > plan.rounds) {
+      return sendErrorResponse(res, 400, `round_dates must be an array of at most ${plan.rounds} date(s) (one per round)`)
+    }
+    const today = new Date()
+    today.setHours(0, 0, 0, 0)
+    const roundDates = []
+    for (let round = 1; round <= plan.rounds; round++) {
+      const rawDate = String((round_dates && round_dates[round - 1]) || match_date)
+      const date = new Date(rawDate.includes('T') ? rawDate : rawDate + 'T00:00:00')
+      if (isNaN(date.getTime())) {
+        return sendErrorResponse(res, 400, `Invalid date for round ${round}`)
+      }
+      if (!isMatchDateWithinEventRange(rawDate, eventYear.doc)) {
+        return sendErrorResponse(res, 400, `Round ${round} date must be within the event date range`)
+      }
+      const dateOnly = new Date(date)
+      dateOnly.setHours(0, 0, 0, 0)
+      if (dateOnly < today) {
+        return sendErrorResponse(res, 400, `Round ${round} date must be today or a future date`)
+      }
+      if (round > 1 && date < roundDates[round - 2]) {
+        return sendErrorResponse(res, 400, `Round ${round} date cannot be before round ${round - 1}`)
+      }
+      roundDates.push(date)
+    }
+
+    // All league matches must be finished first
+    const leagueError = await validateAllLeagueMatchesCompletedBeforeKnockout(sport, eventId, 'knockout', gender, sportDoc)
+    if (leagueError) {
+      return sendErrorResponse(res, leagueError.statusCode, leagueError.message)
+    }
+
+    const allLeagueMatches = await EventSchedule.find({
+      sports_name: normalizeSportName(sport),
+      event_id: eventId,
+      match_type: 'league'
+    }).sort({ match_date: -1 }).lean()
+    for (const match of allLeagueMatches) {
+      if (await getMatchGender(match, sportDoc) !== gender) continue
+      const latestLeagueDate = new Date(match.match_date)
+      latestLeagueDate.setHours(0, 0, 0, 0)
+      const firstRoundDate = new Date(roundDates[0])
+      firstRoundDate.setHours(0, 0, 0, 0)
+      if (firstRoundDate < latestLeagueDate) {
+        return sendErrorResponse(res, 400, `Knockout match date cannot be before all league matches. Latest league match date: ${latestLeagueDate.toLocaleDateString()}`)
+      }
+      break
+    }
+
+    // Existing knockout/final matches for this gender block generation unless an unplayed bracket is replaced
+    const allKnockoutMatches = await EventSchedule.find({
+      sports_name: normalizeSportName(sport),
+      event_id: eventId,
+      match_type: { $in: ['knockout', 'final'] }
+    }).lean()
+    const existingMatches = []
+    for (const match of allKnockoutMatches) {
+      if (await getMatchGender(match, sportDoc) === gender) {
+        existingMatches.push(match)
+      }
+    }
+    if (existingMatches.length > 0) {
+      if (replace !== true) {
+        return sendErrorResponse(res, 400, `Knockout matches already exist for this sport and gender (${gender}). Set replace to true to regenerate an unplayed bracket.`)
+      }
+      const playedOrManual = existingMatches.filter(m => !m.bracket_round || m.status !== 'scheduled')
+      if (playedOrManual.length > 0) {
+        return sendErrorResponse(res, 400, `Cannot replace the bracket. ${playedOrManual.length} knockout match(es) were scheduled manually or already have a result.`)
+      }
+    }
+
+    // Assign ids up front so each match can reference the match its winner advances to
+    const matchIds = new Map(plan.matches.map(m => [`${m.round}-${m.position}`, new mongoose.Types.ObjectId()]))
+
+    // Replace the old bracket and save the new one in one transaction: a failed save keeps the old bracket
+    let createdMatches
+    try {
+      createdMatches = await runInTransaction(async () => {
+        if (existingMatches.length > 0) {
+          await EventSchedule.deleteMany({ _id: { $in: existingMatches.map(m => m._id) } })
+        }
+
+        // Get next match number for this sport and event
+        const lastMatch = await EventSchedule.findOne({
+          sports_name: normalizeSportName(sport),
+          event_id: eventId
+        })
+          .sort({ match_number: -1 })
+          .select('match_number')
+          .lean()
+        let nextMatchNumber = lastMatch ? lastMatch.match_number + 1 : 1
+
+        const matches = []
+        for (const planned of plan.matches) {
+          const match = new EventSchedule({
+            _id: matchIds.get(`${planned.round}-${planned.position}`),
+            event_id: eventId,
+            match_number: nextMatchNumber++,
+            match_type: planned.round === plan.rounds ? 'final' : 'knockout',
+            sports_name: normalizeSportName(sport),
+            teams: isTeamSport ? planned.participants : [],
+            players: isTeamSport ? [] : planned.participants,
+            match_date: roundDates[planned.round - 1],
+            status: 'scheduled',
+            bracket_round: planned.round,
+            bracket_position: planned.position,
+            bracket_gender: gender,
+            next_match_id: planned.next ? matchIds.get(`${planned.round + 1}-${planned.next.position}`) : null,
+            next_match_slot: planned.next ? planned.next.slot : null,
+            createdBy: req.user.reg_number
+          })
+          await match.save()
+          matches.push(match)
+        }
+        return matches
+      })
+    } catch (saveError) {
+      logger.error('[EventSchedule] Error saving bracket matches:', saveError)
+      return sendErrorResponse(res, 500, `Error generating bracket: ${saveError.message || 'Unknown error'}`)
+    }
+
+    try {
+      await clearNewMatchCaches(sport, eventId)
+    } catch (cacheError) {
+      logger.error('[EventSchedule] Error clearing caches after bracket generation:', cacheError)
+    }
+
+    return sendSuccessResponse(
+      res,
+      { matches: createdMatches, rounds: plan.rounds, byes: plan.byes },
+      `Bracket generated: ${createdMatches.length} match(es) across ${plan.rounds} round(s)`
+    )
+  })
+)
+
+/**
+ * POST /api/event-schedule/:sport/generate-heats
+ * Generate rounds of heats with lanes for a multi sport with time or distance results (admin, event admin, or coordinator for this sport)
+ * Event ID Required: event_id field required in request body
+ * Body: gender, match_date (all rounds), optional round_dates (one date per round), optional seeds (participants in seed order,
+ *       defaults to everyone registered for the gender), lanes (per heat, default 8), advance_top (places per heat that advance),
+ *       advance_fastest (best losers across a round that also advance, default 0), optional replace (regenerate unplayed heats)
+ * Returns a draft preview unless commit is true; rounds continue until the field fits one final,
+ * and participants advance automatically once every heat of a round is completed
+ */
+router.post(
+  '/event-schedule/:sport/generate-heats',
+  authenticateToken,
+  validateRequest('POST /api/event-schedule/:sport/generate-heats'),
+  authorize('schedule:manage', { scope: { event_id: 'body.event_id', sport: 'params.sport' } }),
+  requireEventPeriod,
+  asyncHandler(async (req, res) => {
+    const { sport } = req.params
+    const { event_id, gender, seeds, match_date, round_dates, lanes, advance_top, advance_fastest, replace, commit } = req.body
+
+    // Numbers are range-checked by the request schema
+    const laneCount = lanes ?? DEFAULT_HEAT_LANES
+    const advanceTop = advance_top
+    const advanceFastest = advance_fastest ?? 0
+
+    const eventYear = await getEventYear(event_id, { returnDoc: true })
+    const eventId = eventYear.doc.event_id
+    const sportDoc = await findSportByNameAndId(sport, eventId)
+
+    if (sportDoc.type !== 'multi_team' && sportDoc.type !== 'multi_player') {
+      return sendErrorResponse(res, 400, 'Heats can only be generated for multi_team and multi_player sports')
+    }
+    if (!HEAT_SCORING_FORMATS.includes(sportDoc.scoring?.format)) {
+      return sendErrorResponse(res, 400, `Heats need a sport with a ${HEAT_SCORING_FORMATS.join(' or ')} scoring format`)
+    }
+
+    const isTeamSport = sportDoc.type === 'multi_team'
+
+    // Resolve seeds (explicit order, or every complete team / registered player of this gender)
+    let seedList
+    if (Array.isArray(seeds) && seeds.length > 0) {
+      seedList = seeds.map(seed => String(seed || '').trim()).filter(Boolean)
+      if (new Set(seedList).size !== seedList.length) {
+        return sendErrorResponse(res, 400, 'seeds must not contain duplicates')
+      }
+      const seedError = await validateParticipantsForGender(sportDoc, seedList, gender, eventId)
+      if (seedError) {
+        return sendErrorResponse(res, seedError.statusCode, seedError.message)
+      }
+    } else {
+      const registered = isTeamSport
+        ? getCompleteTeams(sportDoc).map(t => (t.team_name || '').trim()).filter(Boolean)
+        : (sportDoc.players_participated || []).map(p => (p || '').trim()).filter(Boolean)
+      const genderMap = await getParticipantsGender(registered, isTeamSport ? 'team' : 'player', sportDoc.name, eventId)
+      seedList = registered.filter(p => genderMap.get(p) === gender)
+    }
+
+    if (seedList.length < 2) {
+      return sendErrorResponse(res, 400, `At least 2 ${isTeamSport ? 'teams' : 'players'} are required to generate heats. Found ${seedList.length}.`)
+    }
+
+    const plan = buildHeatPlan(seedList.length, { lanes: laneCount, advanceTop, advanceFastest })
+    if (plan.error) {
+      return sendErrorResponse(res, 400, plan.error)
+    }
+    const roundCount = plan.rounds.length
+
+    // Resolve and validate round dates
+    if (round_dates !== undefined && (!Array.isArray(round_dates) || round_dates.length > roundCount)) {
+      return sendErrorResponse(res, 400, `round_dates must be an array of at most ${roundCount} date(s) (one per round)`)
+    }
+    const today = new Date()
+    today.setHours(0, 0, 0, 0)
+    const roundDates = []
+    for (let round = 1; round <= roundCount; round++) {
+      const rawDate = String((round_dates && round_dates[round - 1]) || match_date)
+      const date = new Date(rawDate.includes('T') ? rawDate : rawDate + 'T00:00:00')
+      if (isNaN(date.getTime())) {
+        return sendErrorResponse(res, 400, `Invalid date for round ${round}`)
+      }
+      if (!isMatchDateWithinEventRange(rawDate, eventYear.doc)) {
+        return sendErrorResponse(res, 400, `Round ${round} date must be within the event date range`)
+      }
+      const dateOnly = new Date(date)
+      dateOnly.setHours(0, 0, 0, 0)
+      if (dateOnly < today) {
+        return sendErrorResponse(res, 400, `Round ${round} date must be today or a future date`)
+      }
+      if (round > 1 && date < roundDates[round - 2]) {
+        return sendErrorResponse(res, 400, `Round ${round} date cannot be before round ${round - 1}`)
+      }
+      roundDates.push(date)
+    }
+
+    // All league matches must be finished first
+    const leagueError = await validateAllLeagueMatchesCompletedBeforeKnockout(sport, eventId, 'knockout', gender, sportDoc)
+    if (leagueError) {
+      return sendErrorResponse(res, leagueError.statusCode, leagueError.message)
+    }
+
+    // Existing knockout/final matches for this gender block generation unless unplayed heats are replaced
+    const allKnockoutMatches = await EventSchedule.find({
+      sports_name: normalizeSportName(sport),
+      event_id: eventId,
+      match_type: { $in: ['knockout', 'final'] }
+    }).lean()
+    const existingMatches = []
+    for (const match of allKnockoutMatches) {
+      if (await getMatchGender(match, sportDoc) === gender) {
+        existingMatches.push(match)
+      }
+    }
+    if (existingMatches.length > 0) {
+      if (replace !== true) {
+        return sendErrorResponse(res, 400, `Knockout matches already exist for this sport and gender (${gender}). Set replace to true to regenerate unplayed heats.`)
+      }
+      const playedOrManual = existingMatches.filter(m => !m.heat_round || !['scheduled', 'cancelled'].includes(m.status) || m.scores?.length > 0)
+      if (playedOrManual.length > 0) {
+        return sendErrorResponse(res, 400, `Cannot replace the heats. ${playedOrManual.length} knockout match(es) were scheduled manually or already have a result.`)
+      }
+    }
+
+    const lastMatch = await EventSchedule.findOne({
+      sports_name: normalizeSportName(sport),
+      event_id: eventId
+    })
+      .sort({ match_number: -1 })
+      .select('match_number')
+      .lean()
+    let nextMatchNumber = lastMatch ? lastMatch.match_number + 1 : 1
+
+    // Round 1 is seeded now; later rounds are filled as participants advance
+    const firstRound = distributeIntoHeats(seedList, plan.rounds[0].heats, laneCount)
+    const draft = plan.rounds.flatMap(planned => Array.from({ length: planned.heats }, (_, index) => {
+      const seeded = planned.round === 1 ? firstRound[index] : { participants: [], lanes: [] }
+      return {
+        match_number: nextMatchNumber++,
+        match_type: planned.round === roundCount ? 'final' : 'knockout',
+        teams: isTeamSport ? seeded.participants : [],
+        players: isTeamSport ? [] : seeded.participants,
+        lanes: seeded.lanes,
+        match_date: roundDates[planned.round - 1],
+        heat_round: planned.round,
+        heat_number: index + 1,
+        heat_gender: gender,
+        heat_lanes: laneCount,
+        heat_advance_top: planned.advance_top,
+        heat_advance_fastest: planned.advance_fastest
+      }
+    }))
+    const summary = {
+      rounds: plan.rounds.map(planned => ({
+        round: planned.round,
+        heats: planned.heats,
+        participants: planned.participants,
+        advance_top: planned.advance_top,
+        advance_fastest: planned.advance_fastest
+      }))
+    }
+
+    if (commit !== true) {
+      return sendSuccessResponse(
+        res,
+        { draft: true, heats: draft, ...summary },
+        `Draft: ${draft.length} heat(s) across ${roundCount} round(s) for ${seedList.length} participant(s)`
+      )
+    }
+
+    // Replace the old heats and save the new ones in one transaction: a failed save keeps the old heats
+    let createdMatches
+    try {
+      createdMatches = await runInTransaction(async () => {
+        if (existingMatches.length > 0) {
+          await EventSchedule.deleteMany({ _id: { $in: existingMatches.map(m => m._id) } })
+        }
+
+        const matches = []
+        for (const heat of draft) {
+          const match = new EventSchedule({
+            ...heat,
+            event_id: eventId,
+            sports_name: normalizeSportName(sport),
+            status: 'scheduled',
+            createdBy: req.user.reg_number
+          })
+          await match.save()
+          matches.push(match)
+        }
+        return matches
+      })
+    } catch (saveError) {
+      logger.error('[EventSchedule] Error saving heats:', saveError)
+      return sendErrorResponse(res, 500, `Error generating heats: ${saveError.message || 'Unknown error'}`)
+    }
+
+    try {
+      await clearNewMatchCaches(sport, eventId)
+    } catch (cacheError) {
+      logger.error('[EventSchedule] Error clearing caches after heat generation:', cacheError)
+    }
+
+    return sendSuccessResponse(
+      res,
+      { draft: false, matches: createdMatches, ...summary },
+      `Heats generated: ${createdMatches.length} heat(s) across ${roundCount} round(s)`
+    )
+  })
+)
+
+/**
+ * POST /api/event-schedule/:sport/generate-fixtures
+ * Generate round-robin league fixtures (admin, event admin, or coordinator for this sport)
+ * Event ID Required: event_id field required in request body
+ * Body: gender, matches_per_day, optional participants (defaults to all registered for the gender),
+ *       double_round_robin, groups, start_date/end_date (within event dates), first_match_time ('HH:MM'), slot_minutes,
+ *       venue and court
+ * Returns a draft preview unless commit is true; the same input always produces the same draft
+ * Fixtures that clash with other matches (same venue or player at the same time) are listed per fixture
+ * in the draft and block the commit (409)
+ */
+router.post(
+  '/event-schedule/:sport/generate-fixtures',
+  authenticateToken,
+  validateRequest('POST /api/event-schedule/:sport/generate-fixtures'),
+  authorize('schedule:manage', { scope: { event_id: 'body.event_id', sport: 'params.sport' } }),
+  requireEventPeriod,
+  asyncHandler(async (req, res) => {
+    const { sport } = req.params
+    const {
+      event_id, gender, participants, double_round_robin, groups, matches_per_day,
+      start_date, end_date, first_match_time, slot_minutes, commit
+    } = req.body
+    const { venue, court } = normalizeMatchSlot(req.body)
+
+    // Numbers and the HH:MM time are range-checked by the request schema
+    const matchesPerDay = matches_per_day
+    const groupCount = groups ?? 1
+
+    // Optional time slots within a day
+    let firstMatchTime = null
+    let slotMinutes = 60
+    if (first_match_time) {
+      firstMatchTime = first_match_time
+      slotMinutes = slot_minutes ?? 60
+      const [hours, minutes] = first_match_time.split(':').map(Number)
+      const lastSlotEndMinutes = hours * 60 + minutes + matchesPerDay * slotMinutes
+      if (lastSlotEndMinutes >= 24 * 60) {
+        return sendErrorResponse(res, 400, `${matchesPerDay} slots of ${slotMinutes} minutes starting at ${firstMatchTime} do not fit in one day`)
+      }
+    }
+
+    const venueError = await validateMatchSlot({ venue, court, start_time: null, end_time: null })
+    if (venueError) {
+      return sendErrorResponse(res, venueError.statusCode, venueError.message)
+    }
+
+    const eventYear = await getEventYear(event_id, { returnDoc: true })
+    const eventId = eventYear.doc.event_id
+    const sportDoc = await findSportByNameAndId(sport, eventId)
+
+    if (sportDoc.type !== 'dual_team' && sportDoc.type !== 'dual_player') {
+      return sendErrorResponse(res, 400, 'League fixtures can only be generated for dual_team and dual_player sports')
+    }
+
+    const isTeamSport = sportDoc.type === 'dual_team'
+
+    // Resolve participants (explicit list, or every complete team / registered player of this gender)
+    let participantList
+    if (Array.isArray(participants) && participants.length > 0) {
+      participantList = participants.map(p => String(p || '').trim()).filter(Boolean)
+      if (new Set(participantList).size !== participantList.length) {
+        return sendErrorResponse(res, 400, 'participants must not contain duplicates')
+      }
+      const participantError = await validateParticipantsForGender(sportDoc, participantList, gender, eventId)
+      if (participantError) {
+        return sendErrorResponse(res, participantError.statusCode, participantError.message)
+      }
+    } else {
+      const registered = isTeamSport
+        ? getCompleteTeams(sportDoc).map(t => (t.team_name || '').trim()).filter(Boolean)
+        : (sportDoc.players_participated || []).map(p => (p || '').trim()).filter(Boolean)
+      const genderMap = await getParticipantsGender(registered, isTeamSport ? 'team' : 'player', sportDoc.name, eventId)
+      participantList = registered.filter(p => genderMap.get(p) === gender)
+    }
+
+    if (participantList.length < groupCount * 2) {
+      return sendErrorResponse(res, 400, `At least ${groupCount * 2} ${isTeamSport ? 'teams' : 'players'} are required for ${groupCount} group(s). Found ${participantList.length}.`)
+    }
+
+    // Date window (defaults to the whole event period from today)
+    const parseDay = (value, field) => {
+      if (!value) return { date: null }
+      const raw = String(value)
+      const date = new Date(raw.includes('T') ? raw : raw + 'T00:00:00')
+      if (isNaN(date.getTime())) return { error: `${field} must be a valid date` }
+      if (!isMatchDateWithinEventRange(raw, eventYear.doc)) return { error: `${field} must be within the event date range` }
+      return { date }
+    }
+    const from = parseDay(start_date, 'start_date')
+    const to = parseDay(end_date, 'end_date')
+    if (from.error || to.error) {
+      return sendErrorResponse(res, 400, from.error || to.error)
+    }
+    const days = getFixtureDays(eventYear.doc, { from: from.date, to: to.date })
+    if (days.length === 0) {
+      return sendErrorResponse(res, 400, 'No match days left in the selected date range')
+    }
+
+    // League fixtures can only be generated once per gender, and never after knockout matches
+    const existingMatches = await EventSchedule.find({
+      sports_name: normalizeSportName(sport),
+      event_id: eventId
+    }).lean()
+    const existingCounts = new Map()
+    for (const match of existingMatches) {
+      if (match.status === 'scheduled') {
+        const key = getDateKey(match.match_date)
+        existingCounts.set(key, (existingCounts.get(key) || 0) + 1)
+      }
+      if (await getMatchGender(match, sportDoc) !== gender) continue
+      if (match.match_type === 'league') {
+        return sendErrorResponse(res, 400, `League matches already exist for this sport and gender (${gender}). Remove them before generating fixtures.`)
+      }
+      return sendErrorResponse(res, 400, `Cannot schedule league matches. Knockout matches already exist for this sport and gender (${gender}).`)
+    }
+
+    // Build fixtures per group and interleave them round by round so groups progress together
+    const groupList = splitIntoGroups(participantList, groupCount)
+    const fixtures = groupList
+      .flatMap(group => buildRoundRobin(group.participants, { doubleRoundRobin: double_round_robin === true })
+        .map(fixture => ({ ...fixture, group: group.name })))
+      .sort((a, b) => a.round - b.round)
+
+    const { scheduled, unscheduled } = allocateFixtureDates(fixtures, days, {
+      matchesPerDay,
+      existingCounts,
+      firstMatchTime,
+      slotMinutes
+    })
+    scheduled.sort((a, b) => a.match_date - b.match_date || (a.start_time || '').localeCompare(b.start_time || ''))
+
+    const lastMatch = await EventSchedule.findOne({
+      sports_name: normalizeSportName(sport),
+      event_id: eventId
+    })
+      .sort({ match_number: -1 })
+      .select('match_number')
+      .lean()
+    const firstMatchNumber = lastMatch ? lastMatch.match_number + 1 : 1
+
+    const draft = scheduled.map((fixture, index) => ({
+      match_number: firstMatchNumber + index,
+      match_type: 'league',
+      league_group: fixture.group,
+      round: fixture.round,
+      teams: isTeamSport ? fixture.participants : [],
+      players: isTeamSport ? [] : fixture.participants,
+      match_date: fixture.match_date,
+      venue,
+      court,
+      start_time: fixture.start_time,
+      end_time: fixture.end_time
+    }))
+
+    // Fixtures are spread so nobody plays twice a day; check clashes with matches of other sports
+    for (const fixture of draft) {
+      fixture.conflicts = await findScheduleConflicts({ ...fixture, event_id: eventId }, sportDoc)
+    }
+    const conflicts = draft.flatMap(fixture =>
+      fixture.conflicts.map(conflict => ({ ...conflict, fixture_match_number: fixture.match_number }))
+    )
+    const summary = {
+      groups: groupList,
+      total_fixtures: fixtures.length,
+      days_used: new Set(scheduled.map(f => getDateKey(f.match_date))).size,
+      unscheduled: unscheduled.map(f => ({ league_group: f.group, round: f.round, participants: f.participants }))
+    }
+
+    if (commit !== true) {
+      return sendSuccessResponse(
+        res,
+        { draft: true, fixtures: draft, ...summary },
+        unscheduled.length > 0
+          ? `${unscheduled.length} of ${fixtures.length} fixture(s) do not fit in the selected days. Increase matches_per_day or widen the date range.`
+          : conflicts.length > 0
+            ? `${new Set(conflicts.map(c => c.fixture_match_number)).size} fixture(s) clash with other matches. Change the venue, times or date range.`
+            : `Draft: ${draft.length} fixture(s) over ${summary.days_used} day(s)`
+      )
+    }
+
+    if (unscheduled.length > 0) {
+      return sendErrorResponse(res, 400, `${unscheduled.length} of ${fixtures.length} fixture(s) do not fit in the selected days. Increase matches_per_day or widen the date range.`)
+    }
+    if (conflicts.length > 0) {
+      return sendConflictResponse(res, formatConflictMessage(conflicts), conflicts)
+    }
+
+    // Save every fixture in one transaction: a failed save leaves no partial schedule
+    let createdMatches
+    try {
+      createdMatches = await runInTransaction(async () => {
+        const matches = []
+        for (const fixture of draft) {
+          const { round, conflicts: fixtureConflicts, ...matchData } = fixture
+          const match = new EventSchedule({
+            ...matchData,
+            event_id: eventId,
+            sports_name: normalizeSportName(sport),
+            status: 'scheduled',
+            createdBy: req.user.reg_number
+          })
+          await match.save()
+          matches.push(match)
+        }
+        return matches
+      })
+    } catch (saveError) {
+      logger.error('[EventSchedule] Error saving league fixtures:', saveError)
+      return sendErrorResponse(res, 500, `Error generating fixtures: ${saveError.message || 'Unknown error'}`)
+    }
+
+    try {
+      await clearNewMatchCaches(sport, eventId)
+    } catch (cacheError) {
+      logger.error('[EventSchedule] Error clearing caches after fixture generation:', cacheError)
+    }
+
+    return sendSuccessResponse(
+      res,
+      { draft: false, matches: createdMatches, ...summary },
+      `${createdMatches.length} league match(es) scheduled over ${summary.days_used} day(s)`
+    )
+  })
+)
+
 /**
  * PUT /api/event-schedule/:id
- * Update match result (admin only)
+ * Update match result (admin, event admin, or coordinator for this sport)
  * Handles winner for dual types, qualifiers for multi types
- * Updates points table for league matches
+ * Scores (sports with a scoring format) set the winner and status of dual matches; qualifiers must agree with them
+ * Qualifiers of judged matches can only be set once every judge has scored and must agree with the judged ranking (resolves ties)
+ * walkover marks a completed dual match as won without play (walkover points in the league table)
+ * Venue, court, start_time and end_time can be changed while the match is scheduled (conflicts return 409)
+ * Heats: lanes can be redrawn while scheduled; qualifiers before the final are set automatically once every heat
+ * of the round is completed (heat_advancement), and the places of a final follow from its results
+ * Updates points table for league matches; the match, points table, bracket and heat writes commit together
+ * The match's players are emailed when the match is rescheduled, cancelled or gets a result (unless they opted out)
  */
 router.put(
   '/event-schedule/:id',
   authenticateToken,
+  validateRequest('PUT /api/event-schedule/:id'),
+  authorize('schedule:manage', { scope: resolveMatchScope }),
   requireEventStatusUpdatePeriod,
   asyncHandler(async (req, res) => {
     const { id } = req.params
@@ -692,7 +1377,8 @@ router.put(
       return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
     }
     
-    const { winner, qualifiers, status, match_date } = bodyData
+    const { qualifiers, match_date, scores, walkover, lanes } = bodyData
+    let { winner, status } = bodyData
 
     // Find the match
     const match = await EventSchedule.findById(id)
@@ -700,13 +1386,6 @@ router.put(
       return handleNotFoundError(res, 'Match')
     }
 
-    // Check if user is admin or coordinator for this sport
-    try {
-      await requireAdminOrCoordinator(req.user.reg_number, match.sports_name, match.event_id)
-    } catch (error) {
-      return sendErrorResponse(res, 403, error.message)
-    }
-
     // Get event year document for date range validation
     const eventYearData = await getEventYear(match.event_id, { returnDoc: true })
     const eventYearDoc = eventYearData.doc
@@ -715,7 +1394,6 @@ router.put(
     const sportDoc = await findSportByNameAndId(match.sports_name, match.event_id)
 
     // Initialize update data object
-    const previousStatus = match.status
     const previousWinner = match.winner || null
     const updateData = {}
 
@@ -742,6 +1420,55 @@ router.put(
       updateData.match_date = new Date(match_date.includes('T') ? match_date : match_date + 'T00:00:00')
     }
 
+    // Validate venue/time changes and reject double-booked venues and players
+    const slotFields = ['venue', 'court', 'start_time', 'end_time']
+    const slotChanged = slotFields.some(field => bodyData[field] !== undefined)
+    if (slotChanged && match.status !== 'scheduled') {
+      return sendErrorResponse(res, 400, 'Venue and time can only be changed for scheduled matches')
+    }
+    if ((slotChanged || match_date !== undefined) && (status || match.status) === 'scheduled') {
+      const requestedSlot = normalizeMatchSlot(bodyData)
+      const matchSlot = {}
+      slotFields.forEach(field => {
+        matchSlot[field] = bodyData[field] !== undefined ? requestedSlot[field] : (match[field] || null)
+      })
+
+      const matchSlotError = await validateMatchSlot(matchSlot)
+      if (matchSlotError) {
+        return sendErrorResponse(res, matchSlotError.statusCode, matchSlotError.message)
+      }
+
+      const conflicts = await findScheduleConflicts({
+        ...matchSlot,
+        event_id: match.event_id,
+        match_date: updateData.match_date || match.match_date,
+        teams: match.teams,
+        players: match.players
+      }, sportDoc, { excludeMatchIds: [match._id] })
+      if (conflicts.length > 0) {
+        return sendConflictResponse(res, formatConflictMessage(conflicts), conflicts)
+      }
+
+      if (slotChanged) {
+        Object.assign(updateData, matchSlot)
+      }
+    }
+
+    // Lanes of a heat can be redrawn until it is run
+    if (lanes !== undefined) {
+      if (!match.heat_round) {
+        return sendErrorResponse(res, 400, 'Lanes can only be set for heats')
+      }
+      if (match.status !== 'scheduled') {
+        return sendErrorResponse(res, 400, 'Lanes can only be changed for scheduled heats')
+      }
+      const lanesValidation = validateLanes(lanes, match)
+      if (!lanesValidation.isValid) {
+        return sendErrorResponse(res, 400, lanesValidation.error)
+      }
+      updateData.lanes = lanesValidation.value
+    }
+
     // Check if match date is in the future (date-only comparison)
     let matchDateObj
     if (match_date !== undefined) {
@@ -756,14 +1483,56 @@ router.put(
     now.setHours(0, 0, 0, 0)
     const isFutureMatch = matchDateObj > now
 
+    const isDualSport = sportDoc.type === 'dual_team' || sportDoc.type === 'dual_player'
+
+    // Validate scores and derive the result of dual matches from them
+    if (scores !== undefined) {
+      if (!sportDoc.scoring?.format) {
+        return sendErrorResponse(res, 400, 'Scores cannot be recorded. This sport has no scoring format configured.')
+      }
+      if (isFutureMatch) {
+        return sendErrorResponse(res, 400, 'Cannot record scores for future matches. Please wait until the match date.')
+      }
+      if ((status || match.status) === 'cancelled') {
+        return sendErrorResponse(res, 400, 'Scores cannot be recorded for cancelled matches')
+      }
+
+      const participants = (sportDoc.type === 'dual_team' || sportDoc.type === 'multi_team') ? match.teams : match.players
+      const scoresValidation = validateMatchScores(sportDoc.scoring, participants, scores, sportDoc.type)
+      if (!scoresValidation.isValid) {
+        return sendErrorResponse(res, 400, scoresValidation.error)
+      }
+
+      if (isDualSport) {
+        const result = deriveResultFromScores(sportDoc.scoring, scoresValidation.value, sportDoc.type)
+        const derivedStatus = result.winner ? 'completed' : 'draw'
+        if (status !== undefined && status !== derivedStatus) {
+          return sendErrorResponse(res, 400, `Status "${status}" does not match the scores. The scores give a ${result.winner ? `win for "${result.winner}"` : 'draw'}.`)
+        }
+        if (winner !== undefined && (winner || '').trim() !== (result.winner || '')) {
+          return sendErrorResponse(res, 400, result.winner
+            ? `Winner must match the scores ("${result.winner}")`
+            : 'The scores are level. A winner cannot be declared.')
+        }
+        status = derivedStatus
+        winner = result.winner || undefined
+      }
+
+      updateData.scores = scoresValidation.value
+      updateData.walkover = false // A played match is not a walkover
+    } else if (winner !== undefined && isDualSport && sportDoc.scoring?.format && match.scores?.length === 2) {
+      // A winner cannot contradict scores already recorded for the match
+      const result = deriveResultFromScores(sportDoc.scoring, match.scores, sportDoc.type)
+      if ((winner || '').trim() !== (result.winner || '')) {
+        return sendErrorResponse(res, 400, 'Winner is derived from the recorded scores. Update the scores instead.')
+      }
+    }
+
     // Validate and set status
     if (status !== undefined) {
       if (isFutureMatch && status !== 'scheduled') {
         return sendErrorResponse(res, 400, 'Cannot update status for future matches. Please wait until the match date.')
       }
-      if (!['completed', 'draw', 'cancelled', 'scheduled'].includes(status)) {
-        return sendErrorResponse(res, 400, 'Invalid status')
-      }
       
       // Prevent status changes from completed/draw/cancelled to other statuses
       if (['completed', 'draw', 'cancelled'].includes(match.status) && status !== match.status) {
@@ -806,9 +1575,27 @@ router.put(
       if (status !== 'completed') {
         updateData.winner = null
         updateData.qualifiers = []
+        updateData.walkover = false
+      }
+
+      // A cancelled match has no scores (a draw keeps the level scores)
+      if (status === 'cancelled') {
+        updateData.scores = []
       }
     }
 
+    // Heats advance from their results, and results are fixed once the next round has results
+    const heatError = await validateHeatResultUpdate(match, { status, qualifiers, scores })
+    if (heatError) {
+      return sendErrorResponse(res, heatError.statusCode, heatError.message)
+    }
+
+    // Bracket matches need both participants, and an advanced winner is fixed once the next match is played
+    const bracketError = await validateBracketResultUpdate(match, winner, status)
+    if (bracketError) {
+      return sendErrorResponse(res, bracketError.statusCode, bracketError.message)
+    }
+
     // Handle winner for dual types
     if (winner !== undefined && (sportDoc.type === 'dual_team' || sportDoc.type === 'dual_player')) {
       if (isFutureMatch) {
@@ -837,6 +1624,25 @@ router.put(
       }
     }
 
+    // Walkover: completed dual match won without play (winner gets the sport's walkover points)
+    if (walkover !== undefined) {
+      if (!isDualSport) {
+        return sendErrorResponse(res, 400, 'Walkovers only apply to dual_team and dual_player sports')
+      }
+      if (walkover) {
+        const finalWinner = updateData.winner !== undefined ? updateData.winner : match.winner
+        const finalStatus = updateData.status || match.status
+        if (finalStatus !== 'completed' || !finalWinner) {
+          return sendErrorResponse(res, 400, 'A walkover needs a completed match with a winner')
+        }
+        const finalScores = updateData.scores !== undefined ? updateData.scores : (match.scores || [])
+        if (finalScores.length > 0) {
+          return sendErrorResponse(res, 400, 'A walkover cannot have recorded scores')
+        }
+      }
+      updateData.walkover = walkover
+    }
+
     // Handle qualifiers for multi types
     if (qualifiers !== undefined && (sportDoc.type === 'multi_team' || sportDoc.type === 'multi_player')) {
       if (isFutureMatch) {
@@ -848,7 +1654,7 @@ router.put(
         return sendErrorResponse(res, 400, 'Qualifiers can only be set when match status is "completed"')
       }
 
-      if (!Array.isArray(qualifiers) || qualifiers.length === 0) {
+      if (!qualifiers || qualifiers.length === 0) {
         return sendErrorResponse(res, 400, 'Qualifiers array is required for multi_team and multi_player sports')
       }
 
@@ -882,40 +1688,473 @@ router.put(
       }
     }
 
+    // Qualifier positions of multi types must agree with the recorded scores
+    if (!isDualSport && sportDoc.scoring?.format && (scores !== undefined || qualifiers !== undefined)) {
+      const finalScores = updateData.scores !== undefined ? updateData.scores : (match.scores || [])
+      const finalQualifiers = updateData.qualifiers !== undefined ? updateData.qualifiers : (match.qualifiers || [])
+      if (finalScores.length > 0 && finalQualifiers.length > 0) {
+        const { ranking } = deriveResultFromScores(sportDoc.scoring, finalScores, sportDoc.type)
+        const rankingError = validateQualifiersAgainstRanking(ranking, finalQualifiers)
+        if (rankingError) {
+          return sendErrorResponse(res, 400, rankingError)
+        }
+      }
+    }
+
+    // Qualifiers of judged matches follow from the judges' scores; setting them by hand only resolves ties
+    if (qualifiers !== undefined && match.judges?.length > 0 && updateData.qualifiers?.length > 0) {
+      const judgingResults = computeJudgingResults(match, sportDoc)
+      if (!judgingResults.complete) {
+        return sendErrorResponse(res, 400, `Qualifiers of a judged match are set from the judges' scores. Waiting for: ${judgingResults.pending_judges.join(', ')}`)
+      }
+      const ranking = judgingResults.ranking.map(entry => ({ participant: entry.participant, value: entry.score }))
+      const rankingError = validateQualifiersAgainstRanking(ranking, updateData.qualifiers)
+      if (rankingError) {
+        return sendErrorResponse(res, 400, rankingError)
+      }
+    }
+
+    // Places of a heat final follow from its results unless given; a tie for a medal is left to the coordinator
+    let finalTies = []
+    const finalHeatScores = updateData.scores !== undefined ? updateData.scores : (match.scores || [])
+    if (match.heat_round && match.match_type === 'final' && (scores !== undefined || status === 'completed') &&
+      qualifiers === undefined && (updateData.status || match.status) === 'completed' && finalHeatScores.length > 0) {
+      const places = deriveHeatQualifiers(sportDoc, finalHeatScores, 3)
+      updateData.qualifiers = places.qualifiers || []
+      updateData.winner = null
+      finalTies = places.unresolved_ties
+    }
+
     // Set updatedBy from token
     updateData.updatedBy = req.user.reg_number
 
-    // Update match
+    // Update the match and everything derived from its result in one transaction
+    const { updatedMatch, heatAdvancement } = await runInTransaction(async () => {
+      const updated = await EventSchedule.findByIdAndUpdate(
+        id,
+        { $set: updateData },
+        { new: true, runValidators: true }
+      )
+      if (!updated) {
+        return { updatedMatch: null, heatAdvancement: null }
+      }
+
+      // Update points table for league matches
+      if (match.match_type === 'league') {
+        await updatePointsTable(updated, req.user.reg_number)
+      }
+
+      // Advance the winner of a bracket match into the next round
+      if (updated.bracket_round) {
+        await advanceBracketWinner(updated, previousWinner, req.user.reg_number)
+      }
+
+      // Advance the round once all its heats are completed (fills the next round's heats)
+      const advancement = updated.heat_round
+        ? (await advanceHeatRound(updated, sportDoc, req.user.reg_number)) || { unresolved_ties: finalTies }
+        : null
+
+      return { updatedMatch: updated, heatAdvancement: advancement }
+    })
+
+    if (!updatedMatch) {
+      return handleNotFoundError(res, 'Match')
+    }
+
+    // Clear caches using helper function (reuse sportDoc from above)
+    await clearMatchCaches(updatedMatch)
+
+    // Queue rescheduled/cancelled/result emails to the match's players (never fails the request)
+    await notifyMatchChange(match, updatedMatch, sportDoc, req.user.reg_number)
+
+    return sendSuccessResponse(
+      res,
+      heatAdvancement ? { match: updatedMatch, heat_advancement: heatAdvancement } : { match: updatedMatch },
+      heatAdvancement?.unresolved_ties?.length > 0
+        ? `Match updated. Tied results at a qualifying place (${heatAdvancement.unresolved_ties.map(tie => tie.join(' = ')).join('; ')}) must be resolved before ${updatedMatch.match_type === 'final' ? 'places are set' : 'participants advance'}.`
+        : 'Match updated successfully'
+    )
+  })
+)
+
+/**
+ * GET /api/event-schedule/:id/judging
+ * Get the judge panel, rubric and judging results of a match
+ * Admins, event admins and the sport's coordinators see every score sheet; an assigned judge sees their own sheet,
+ * and everyone sees the ranking once all judges have scored
+ */
+router.get(
+  '/event-schedule/:id/judging',
+  authenticateToken,
+  validateRequest('GET /api/event-schedule/:id/judging'),
+  authorize('schedule:read'),
+  asyncHandler(async (req, res) => {
+    const match = await EventSchedule.findById(req.params.id).lean()
+    if (!match) {
+      return handleNotFoundError(res, 'Match')
+    }
+
+    const sportDoc = await findSportByNameAndId(match.sports_name, match.event_id)
+    if (!isJudgedSport(sportDoc)) {
+      return sendErrorResponse(res, 400, 'Judging only applies to multi sports in literary and cultural activities without a scoring format')
+    }
+
+    const canManage = hasPermission(req.user.roles, 'schedule:manage', { event_id: match.event_id, sport: normalizeSportName(match.sports_name) })
+    const judging = buildJudgingView(match, sportDoc, { canManage, regNumber: req.user.reg_number })
+
+    return sendSuccessResponse(res, { judging })
+  })
+)
+
+/**
+ * PUT /api/event-schedule/:id/judging
+ * Assign the judge panel and rubric of a scheduled match (admin, event admin, or coordinator for this sport)
+ * Body: { judges: [reg_number], rubric: [{ name, weight, max_score }], judged_qualifiers }
+ * judged_qualifiers is how many top-ranked participants qualify (default: 3, or every participant if fewer)
+ * The rubric is fixed once a judge has scored; scores of judges removed from the panel are discarded
+ */
+router.put(
+  '/event-schedule/:id/judging',
+  authenticateToken,
+  validateRequest('PUT /api/event-schedule/:id/judging'),
+  authorize('schedule:manage', { scope: resolveMatchScope }),
+  requireEventPeriod,
+  asyncHandler(async (req, res) => {
+    const match = await EventSchedule.findById(req.params.id)
+    if (!match) {
+      return handleNotFoundError(res, 'Match')
+    }
+
+    const sportDoc = await findSportByNameAndId(match.sports_name, match.event_id)
+    if (!isJudgedSport(sportDoc)) {
+      return sendErrorResponse(res, 400, 'Judging only applies to multi sports in literary and cultural activities without a scoring format')
+    }
+    if (match.status !== 'scheduled') {
+      return sendErrorResponse(res, 400, 'Judges and rubric can only be changed while the match is scheduled')
+    }
+
+    const { judges, rubric, judged_qualifiers } = req.body
+
+    const judgesValidation = await validateJudges(judges, match, sportDoc)
+    if (!judgesValidation.isValid) {
+      return sendErrorResponse(res, 400, judgesValidation.error)
+    }
+    const rubricValidation = validateRubric(rubric)
+    if (!rubricValidation.isValid) {
+      return sendErrorResponse(res, 400, rubricValidation.error)
+    }
+
+    const participantCount = (sportDoc.type === 'multi_team' ? match.teams : match.players).length
+    const qualifierCount = judged_qualifiers ?? Math.min(3, participantCount)
+    if (qualifierCount > participantCount) {
+      return sendErrorResponse(res, 400, `judged_qualifiers must be a whole number between 1 and ${participantCount}`)
+    }
+
+    // Judges already scored against the current rubric
+    const currentRubric = (match.rubric || []).map(c => ({ name: c.name, weight: c.weight, max_score: c.max_score }))
+    const rubricChanged = JSON.stringify(currentRubric) !== JSON.stringify(rubricValidation.value)
+    if (rubricChanged && match.judge_scores.length > 0) {
+      return sendErrorResponse(res, 400, 'The rubric cannot be changed after judges have submitted scores')
+    }
+
     const updatedMatch = await EventSchedule.findByIdAndUpdate(
-      id,
-      { $set: updateData },
+      match._id,
+      {
+        $set: {
+          judges: judgesValidation.value,
+          rubric: rubricValidation.value,
+          judged_qualifiers: qualifierCount,
+          judge_scores: match.judge_scores.filter(entry => judgesValidation.value.includes(entry.judge)),
+          updatedBy: req.user.reg_number
+        }
+      },
       { new: true, runValidators: true }
     )
 
-    if (!updatedMatch) {
+    await clearMatchCaches(updatedMatch)
+
+    const judging = buildJudgingView(updatedMatch, sportDoc, { canManage: true, regNumber: req.user.reg_number })
+    return sendSuccessResponse(res, { judging }, 'Judging updated successfully')
+  })
+)
+
+/**
+ * POST /api/event-schedule/:id/judge-scores
+ * Submit the score sheet of the logged-in judge (judges assigned to the match only)
+ * Body: { scores: [{ participant, criteria: [{ name, score }] }] } - every participant on every rubric criterion
+ * Resubmitting replaces the judge's earlier sheet. Once every judge has scored, the qualifiers are set from the
+ * normalized aggregate scores and the match is completed; ties at the qualifying places are flagged for the coordinator
+ */
+router.post(
+  '/event-schedule/:id/judge-scores',
+  authenticateToken,
+  validateRequest('POST /api/event-schedule/:id/judge-scores'),
+  authorize('schedule:judge', { scope: resolveMatchScope }),
+  requireEventStatusUpdatePeriod,
+  asyncHandler(async (req, res) => {
+    const match = await EventSchedule.findById(req.params.id)
+    if (!match) {
       return handleNotFoundError(res, 'Match')
     }
 
-    // Update points table for league matches
-    if (match.match_type === 'league') {
-      await updatePointsTable(updatedMatch, previousStatus, previousWinner, req.user.reg_number)
+    const judge = req.user.reg_number
+    if (!match.judges.includes(judge)) {
+      return sendErrorResponse(res, 403, 'Only judges assigned to this match can submit scores')
+    }
+    if (match.status !== 'scheduled') {
+      return sendErrorResponse(res, 400, 'Scores can only be submitted while the match is scheduled')
     }
 
-    // Clear caches using helper function (reuse sportDoc from above)
-    await clearMatchCaches(updatedMatch, null, sportDoc)
+    const matchDate = new Date(match.match_date)
+    const today = new Date()
+    matchDate.setHours(0, 0, 0, 0)
+    today.setHours(0, 0, 0, 0)
+    if (matchDate > today) {
+      return sendErrorResponse(res, 400, 'Cannot submit scores for future matches. Please wait until the match date.')
+    }
+
+    const sportDoc = await findSportByNameAndId(match.sports_name, match.event_id)
+    const sheetValidation = validateJudgeSheet(req.body.scores, match, sportDoc)
+    if (!sheetValidation.isValid) {
+      return sendErrorResponse(res, 400, sheetValidation.error)
+    }
+
+    const updateData = {
+      judge_scores: match.judge_scores
+        .filter(entry => entry.judge !== judge)
+        .concat(sheetValidation.value.map(entry => ({ judge, ...entry }))),
+      updatedBy: judge
+    }
+
+    // Last sheet in: qualifiers follow from the ranking unless a tie decides who qualifies
+    const results = computeJudgingResults({ ...match.toObject(), judge_scores: updateData.judge_scores }, sportDoc)
+    let unresolvedTies = []
+    if (results.complete) {
+      const derived = deriveJudgedQualifiers(results, match.judged_qualifiers)
+      unresolvedTies = derived.unresolved_ties
+      if (derived.qualifiers) {
+        updateData.qualifiers = derived.qualifiers
+        updateData.winner = null
+        updateData.status = 'completed'
+      }
+    }
+
+    // The score sheet and the points table it completes are written in one transaction
+    const updatedMatch = await runInTransaction(async () => {
+      const updated = await EventSchedule.findByIdAndUpdate(
+        match._id,
+        { $set: updateData },
+        { new: true, runValidators: true }
+      )
+      if (updated.status === 'completed' && updated.match_type === 'league') {
+        await updatePointsTable(updated, judge)
+      }
+      return updated
+    })
+
+    await clearMatchCaches(updatedMatch)
+
+    let message = `Scores submitted. Waiting for ${results.pending_judges.length} more judge(s).`
+    if (results.complete) {
+      message = unresolvedTies.length > 0
+        ? 'Scores submitted. All judges have scored, but tied participants share a qualifying place. A coordinator must set the qualifiers.'
+        : 'Scores submitted. All judges have scored and the qualifiers have been set.'
+    }
+
+    const canManage = hasPermission(req.user.roles, 'schedule:manage', { event_id: match.event_id, sport: normalizeSportName(match.sports_name) })
+    const judging = buildJudgingView(updatedMatch, sportDoc, { canManage, regNumber: judge })
+    return sendSuccessResponse(res, { judging, unresolved_ties: unresolvedTies }, message)
+  })
+)
+
+/**
+ * PUT /api/event-schedule/:id/lineups
+ * Set the lineups of a scheduled team sport match (admin, event admin, or coordinator for this sport)
+ * Body: { lineups: [{ team_name, starters: [reg_number], substitutes: [reg_number] }] }
+ * Starters are exactly team_size players of the team's roster; the other roster players may be listed as substitutes.
+ * Lineups of teams not in the body are kept; a team's lineup is fixed once a substitution has been recorded for it
+ */
+router.put(
+  '/event-schedule/:id/lineups',
+  authenticateToken,
+  validateRequest('PUT /api/event-schedule/:id/lineups'),
+  authorize('schedule:manage', { scope: resolveMatchScope }),
+  requireEventPeriod,
+  asyncHandler(async (req, res) => {
+    const match = await EventSchedule.findById(req.params.id)
+    if (!match) {
+      return handleNotFoundError(res, 'Match')
+    }
+
+    const sportDoc = await findSportByNameAndId(match.sports_name, match.event_id)
+    if (!isLineupSport(sportDoc)) {
+      return sendErrorResponse(res, 400, 'Lineups only apply to team sports')
+    }
+    if (match.status !== 'scheduled') {
+      return sendErrorResponse(res, 400, 'Lineups can only be changed while the match is scheduled')
+    }
+
+    const lineupsValidation = validateLineups(req.body.lineups, match, sportDoc)
+    if (!lineupsValidation.isValid) {
+      return sendErrorResponse(res, 400, lineupsValidation.error)
+    }
+
+    const substitutedTeam = lineupsValidation.value.find(lineup =>
+      match.substitutions.some(substitution => substitution.team_name === lineup.team_name)
+    )
+    if (substitutedTeam) {
+      return sendErrorResponse(
+        res,
+        400,
+        `The lineup of "${substitutedTeam.team_name}" cannot be changed after substitutions have been recorded. Delete its substitutions first.`
+      )
+    }
+
+    const updatedTeams = lineupsValidation.value.map(lineup => lineup.team_name)
+    const lineups = match.lineups
+      .filter(lineup => !updatedTeams.includes(lineup.team_name))
+      .map(lineup => ({ team_name: lineup.team_name, starters: lineup.starters, substitutes: lineup.substitutes }))
+      .concat(lineupsValidation.value)
+
+    const updatedMatch = await EventSchedule.findByIdAndUpdate(
+      match._id,
+      { $set: { lineups, updatedBy: req.user.reg_number } },
+      { new: true, runValidators: true }
+    )
+
+    await clearMatchCaches(updatedMatch)
+
+    return sendSuccessResponse(res, { match: updatedMatch }, 'Lineups updated successfully')
+  })
+)
+
+/**
+ * POST /api/event-schedule/:id/substitutions
+ * Record a substitution during a team sport match (admin, event admin, or coordinator for this sport)
+ * Body: { team_name, player_out, player_in, minute, reason } - minute and reason are optional
+ * The player going off must be on the field and the player coming on must be in the team's lineup but not on the field
+ */
+router.post(
+  '/event-schedule/:id/substitutions',
+  authenticateToken,
+  validateRequest('POST /api/event-schedule/:id/substitutions'),
+  authorize('schedule:manage', { scope: resolveMatchScope }),
+  requireEventStatusUpdatePeriod,
+  asyncHandler(async (req, res) => {
+    const match = await EventSchedule.findById(req.params.id)
+    if (!match) {
+      return handleNotFoundError(res, 'Match')
+    }
+
+    const sportDoc = await findSportByNameAndId(match.sports_name, match.event_id)
+    if (!isLineupSport(sportDoc)) {
+      return sendErrorResponse(res, 400, 'Substitutions only apply to team sports')
+    }
+    if (match.status === 'cancelled') {
+      return sendErrorResponse(res, 400, 'Cannot record substitutions for a cancelled match')
+    }
+
+    const matchDate = new Date(match.match_date)
+    const today = new Date()
+    matchDate.setHours(0, 0, 0, 0)
+    today.setHours(0, 0, 0, 0)
+    if (matchDate > today) {
+      return sendErrorResponse(res, 400, 'Cannot record substitutions for future matches. Please wait until the match date.')
+    }
+
+    const substitutionValidation = validateSubstitution(req.body, match, match.substitutions)
+    if (!substitutionValidation.isValid) {
+      return sendErrorResponse(res, 400, substitutionValidation.error)
+    }
+
+    const updatedMatch = await EventSchedule.findByIdAndUpdate(
+      match._id,
+      {
+        $push: {
+          substitutions: {
+            ...substitutionValidation.value,
+            recorded_by: req.user.reg_number,
+            recorded_at: new Date()
+          }
+        },
+        $set: { updatedBy: req.user.reg_number }
+      },
+      { new: true, runValidators: true }
+    )
 
-    return sendSuccessResponse(res, { match: updatedMatch }, 'Match updated successfully')
+    await clearMatchCaches(updatedMatch)
+
+    return sendSuccessResponse(res, { match: updatedMatch }, 'Substitution recorded successfully', 201)
+  })
+)
+
+/**
+ * DELETE /api/event-schedule/:id/substitutions/:substitutionId
+ * Delete a recorded substitution (admin, event admin, or coordinator for this sport)
+ * Rejected when a later substitution depends on it (e.g. the player it brought on was substituted again)
+ */
+router.delete(
+  '/event-schedule/:id/substitutions/:substitutionId',
+  authenticateToken,
+  validateRequest('DELETE /api/event-schedule/:id/substitutions/:substitutionId'),
+  authorize('schedule:manage', { scope: resolveMatchScope }),
+  requireEventStatusUpdatePeriod,
+  asyncHandler(async (req, res) => {
+    const match = await EventSchedule.findById(req.params.id)
+    if (!match) {
+      return handleNotFoundError(res, 'Match')
+    }
+
+    const { substitutionId } = req.params
+    const substitution = match.substitutions.find(entry => String(entry._id) === substitutionId)
+    if (!substitution) {
+      return handleNotFoundError(res, 'Substitution')
+    }
+
+    // Replay the remaining substitutions of the team to make sure they still hold
+    const remaining = match.substitutions.filter(entry => String(entry._id) !== substitutionId)
+    const replayed = []
+    for (const entry of remaining) {
+      if (entry.team_name === substitution.team_name) {
+        const replay = validateSubstitution(entry, match, replayed)
+        if (!replay.isValid) {
+          return sendErrorResponse(
+            res,
+            400,
+            `Cannot delete this substitution: a later substitution of "${substitution.team_name}" depends on it (${replay.error}). Delete the later substitution first.`
+          )
+        }
+      }
+      replayed.push(entry)
+    }
+
+    const sportDoc = await findSportByNameAndId(match.sports_name, match.event_id).catch(() => null)
+
+    const updatedMatch = await EventSchedule.findByIdAndUpdate(
+      match._id,
+      {
+        $pull: { substitutions: { _id: substitution._id } },
+        $set: { updatedBy: req.user.reg_number }
+      },
+      { new: true, runValidators: true }
+    )
+
+    await clearMatchCaches(updatedMatch)
+
+    return sendSuccessResponse(res, { match: updatedMatch }, 'Substitution deleted successfully')
   })
 )
 
 /**
  * DELETE /api/event-schedule/:id
- * Delete a match (admin only)
+ * Delete a match (admin, event admin, or coordinator for this sport)
  * Event Context: Match is already associated with event_id (use for points table cleanup)
  */
 router.delete(
   '/event-schedule/:id',
   authenticateToken,
+  validateRequest('DELETE /api/event-schedule/:id'),
+  authorize('schedule:manage', { scope: resolveMatchScope }),
   requireEventPeriod,
   asyncHandler(async (req, res) => {
     const { id } = req.params
@@ -926,13 +2165,6 @@ router.delete(
       return handleNotFoundError(res, 'Match')
     }
 
-    // Check if user is admin or coordinator for this sport
-    try {
-      await requireAdminOrCoordinator(req.user.reg_number, match.sports_name, match.event_id)
-    } catch (error) {
-      return sendErrorResponse(res, 403, error.message)
-    }
-
     // Only allow deletion of scheduled matches
     if (match.status !== 'scheduled') {
       return sendErrorResponse(
@@ -942,6 +2174,24 @@ router.delete(
       )
     }
 
+    // Generated bracket matches reference each other; regenerate the bracket instead
+    if (match.bracket_round) {
+      return sendErrorResponse(
+        res,
+        400,
+        'Matches of a generated bracket cannot be deleted individually. Regenerate the bracket with replace set to true instead.'
+      )
+    }
+
+    // Heats are filled from the previous round; regenerate the heats instead
+    if (match.heat_round) {
+      return sendErrorResponse(
+        res,
+        400,
+        'Heats cannot be deleted individually. Regenerate the heats with replace set to true instead.'
+      )
+    }
+
     // If it's a league match, clean up points table
     if (match.match_type === 'league') {
       // Points table cleanup will be handled by updatePointsTable when status changes
@@ -955,7 +2205,7 @@ router.delete(
     await EventSchedule.findByIdAndDelete(id)
 
     // Clear caches using helper function
-    await clearMatchCaches(match, null, sportDoc)
+    await clearMatchCaches(match)
 
     return sendSuccessResponse(res, {}, 'Match deleted successfully')
   })
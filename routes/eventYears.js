@@ -3,10 +3,17 @@ import EventYear from '../models/EventYear.js'
 import Sport from '../models/Sport.js'
 import EventSchedule from '../models/EventSchedule.js'
 import PointsTable from '../models/PointsTable.js'
-import { authenticateToken, requireAdmin } from '../middleware/auth.js'
-import { getCache, setCache, clearCache } from '../utils/cache.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { getCache, setCache, clearCache, invalidateCacheTags, cacheTags } from '../utils/cache.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
-import { findActiveEventYear, shouldEventYearBeActive, validateDateRelationships, getUpdatableDateFields } from '../utils/yearHelpers.js'
+import { findActiveEventYear, shouldEventYearBeActive, validateDateRelationships, validateNewEventYearDates, getUpdatableDateFields, getEventYearStatus, validateEventYearStatusTransition } from '../utils/yearHelpers.js'
+import { hasPermission } from '../utils/roleHelpers.js'
+import { validateChampionshipPoints } from '../utils/championship.js'
+import { validateCloneParts, buildEventYearClonePlan, commitEventYearClone } from '../utils/eventYearClone.js'
+import { archiveEventYear, getResultsSnapshot } from '../utils/resultsSnapshot.js'
+import { syncInvitationExpiry } from '../utils/invitationHelpers.js'
+import { runInTransaction } from '../utils/unitOfWork.js'
+import { validateRequest } from '../middleware/validateRequest.js'
 
 const router = express.Router()
 
@@ -35,9 +42,9 @@ function getOrdinal(day) {
 /**
  * GET /api/event-years
  * Get all event years (all authenticated users)
- * Includes computed is_active status based on dates
+ * Includes computed is_active status based on dates and the lifecycle status (derived from the dates for older event years)
  */
-router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/', authenticateToken, validateRequest('GET /api/event-years'), authorize('event_years:read'), asyncHandler(async (req, res) => {
   const eventYears = await EventYear.find()
     .sort({ event_year: -1 })
     .lean()
@@ -45,7 +52,8 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
   // Add computed is_active status based on dates
   const eventYearsWithActiveStatus = eventYears.map(eventYear => ({
     ...eventYear,
-    is_active: shouldEventYearBeActive(eventYear)
+    is_active: shouldEventYearBeActive(eventYear),
+    status: getEventYearStatus(eventYear)
   }))
   
   return sendSuccessResponse(res, { eventYears: eventYearsWithActiveStatus })
@@ -56,16 +64,16 @@ router.get('/', authenticateToken, asyncHandler(async (req, res) => {
  * Get currently active event year (public)
  * Automatically determines active event year based on registration start and event end dates
  */
-router.get('/active', asyncHandler(async (req, res) => {
+router.get('/active', validateRequest('GET /api/event-years/active'), asyncHandler(async (req, res) => {
   // Check cache first
-  const cached = getCache('/api/event-years/active')
+  const cached = await getCache('/api/event-years/active')
   if (cached) {
     // Verify cached event year is still active
     if (shouldEventYearBeActive(cached)) {
-      return res.json({ success: true, eventYear: cached })
+      return res.json({ success: true, eventYear: { ...cached, status: getEventYearStatus(cached) } })
     } else {
       // Cache expired, clear it
-      clearCache('/api/event-years/active')
+      await clearCache('/api/event-years/active')
     }
   }
   
@@ -78,9 +86,9 @@ router.get('/active', asyncHandler(async (req, res) => {
   }
   
   // Cache the result
-  setCache('/api/event-years/active', activeYear)
+  await setCache('/api/event-years/active', activeYear, [cacheTags.eventYears()])
   
-  res.json({ success: true, eventYear: activeYear })
+  res.json({ success: true, eventYear: { ...activeYear, status: getEventYearStatus(activeYear) } })
 }))
 
 /**
@@ -90,7 +98,7 @@ router.get('/active', asyncHandler(async (req, res) => {
  * Validates that registration start date is not in the past
  * Note: requireRegistrationPeriod is not applied here to allow creation of first event year
  */
-router.post('/', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+router.post('/', authenticateToken, validateRequest('POST /api/event-years'), authorize('event_years:create'), asyncHandler(async (req, res) => {
   const { createdBy, updatedBy, ...bodyData } = req.body
   
   // Explicitly reject if user tries to send createdBy or updatedBy
@@ -98,65 +106,44 @@ router.post('/', authenticateToken, requireAdmin, asyncHandler(async (req, res)
     return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
   }
   
-  const { event_year, event_name, event_dates, registration_dates, event_organizer, event_title, event_highlight } = bodyData
+  const { event_year, event_name, event_dates, registration_dates, event_organizer, event_title, event_highlight, championship_points } = bodyData
   
-  if (!event_year || !event_name || !event_dates || !registration_dates) {
-    return sendErrorResponse(res, 400, 'All required fields are required (event_year, event_name, event_dates, registration_dates)')
-  }
-  
-  // Validate date relationships: regStart < regEnd < eventStart < eventEnd
-  const dateValidation = validateDateRelationships(registration_dates, event_dates)
+  // Validate date relationships (regStart < regEnd < eventStart < eventEnd) and that dates are not in the past
+  const dateValidation = validateNewEventYearDates(registration_dates, event_dates)
   if (!dateValidation.isValid) {
     return sendErrorResponse(res, 400, dateValidation.error)
   }
-  
-  // Validate registration start date is not in the past
-  const now = new Date()
-  now.setHours(0, 0, 0, 0)
-  const regStart = new Date(registration_dates.start)
-  regStart.setHours(0, 0, 0, 0)
-  
-  if (regStart < now) {
-    return sendErrorResponse(res, 400, 'Registration start date cannot be in the past. Event creation is only allowed for current or future dates.')
-  }
-  
-  // Validate event start date is not in the past
-  const eventStart = new Date(event_dates.start)
-  eventStart.setHours(0, 0, 0, 0)
-  
-  if (eventStart < now) {
-    return sendErrorResponse(res, 400, 'Event start date cannot be in the past. Event creation is only allowed for current or future dates.')
-  }
-  
-  // Validate event_year is a number
-  const eventYearNum = parseInt(event_year)
-  if (isNaN(eventYearNum)) {
-    return sendErrorResponse(res, 400, 'event_year must be a valid number')
+
+  const championshipPointsValidation = validateChampionshipPoints(championship_points)
+  if (!championshipPointsValidation.isValid) {
+    return sendErrorResponse(res, 400, championshipPointsValidation.error)
   }
 
-  const eventNameTrimmed = event_name.trim().toLowerCase()
+  const eventNameTrimmed = event_name.toLowerCase()
   
   // Check if event year + event name combination already exists
-  const existingYear = await EventYear.findOne({ event_year: eventYearNum, event_name: eventNameTrimmed })
+  const existingYear = await EventYear.findOne({ event_year, event_name: eventNameTrimmed })
   if (existingYear) {
     return sendErrorResponse(res, 409, 'Event year and event name combination already exists')
   }
   
   const eventYear = new EventYear({
-    event_year: eventYearNum,
+    event_year,
     event_name: eventNameTrimmed,
     event_dates,
     registration_dates,
     event_organizer: event_organizer ? event_organizer.trim() : undefined, // Will use default if not provided
     event_title: event_title ? event_title.trim() : undefined, // Will use default if not provided
     event_highlight: event_highlight ? event_highlight.trim() : undefined, // Will use default if not provided
+    championship_points: championshipPointsValidation.value,
+    status: 'draft',
     createdBy: req.user.reg_number
   })
   
   await eventYear.save()
   
   // Clear cache
-  clearCache('/api/event-years/active')
+  await invalidateCacheTags([cacheTags.eventYears()])
   
   const responseEventYear = {
     _id: eventYear._id,
@@ -167,19 +154,92 @@ router.post('/', authenticateToken, requireAdmin, asyncHandler(async (req, res)
     registration_dates: eventYear.registration_dates,
     event_organizer: eventYear.event_organizer,
     event_title: eventYear.event_title,
-    event_highlight: eventYear.event_highlight
+    event_highlight: eventYear.event_highlight,
+    championship_points: eventYear.championship_points,
+    status: eventYear.status
   }
   
   return sendSuccessResponse(res, responseEventYear, 'Event year created successfully', 201)
 }))
 
+/**
+ * POST /api/event-years/:event_id/clone
+ * Clone an event year's setup into a new event year (admin only)
+ * Accepts: { event_year, event_name, registration_dates?, event_dates?, include?, dry_run? }
+ * Dates default to the source dates shifted by the difference in event_year
+ * include selects the parts to copy: { sports, batches, coordinators, points_rules } (all true by default)
+ * Participants, teams, matches and points tables are never copied
+ * dry_run (default true) returns a preview of what will be created without saving
+ */
+router.post('/:event_id/clone', authenticateToken, validateRequest('POST /api/event-years/:event_id/clone'), authorize('event_years:create', { scope: { event_id: 'params.event_id' } }), asyncHandler(async (req, res) => {
+  const { event_id } = req.params
+  const { event_year, event_name, registration_dates, event_dates, include, dry_run } = req.body
+  const isDryRun = dry_run !== false
+
+  const sourceEventId = event_id.toLowerCase()
+  const sourceDoc = await EventYear.findOne({ event_id: sourceEventId }).lean()
+  if (!sourceDoc) {
+    return handleNotFoundError(res, 'Event year')
+  }
+
+  if (!registration_dates !== !event_dates) {
+    return sendErrorResponse(res, 400, 'Provide both registration_dates and event_dates, or neither to shift the source dates')
+  }
+
+  const includeValidation = validateCloneParts(include)
+  if (!includeValidation.isValid) {
+    return sendErrorResponse(res, 400, includeValidation.error)
+  }
+
+  const planResult = await buildEventYearClonePlan(sourceDoc, {
+    eventYear: event_year,
+    eventName: event_name,
+    registrationDates: registration_dates,
+    eventDates: event_dates,
+    include: includeValidation.value
+  })
+  if (!planResult.isValid) {
+    return sendErrorResponse(res, planResult.statusCode, planResult.error)
+  }
+  const { plan } = planResult
+
+  const summary = {
+    dry_run: isDryRun,
+    source_event_id: sourceDoc.event_id,
+    include: includeValidation.value,
+    ...plan
+  }
+  const coordinatorCount = plan.sports.reduce((total, sport) => total + sport.eligible_coordinators.length, 0)
+  const description = `${plan.sports.length} sport(s), ${plan.batches.length} batch(es) and ${coordinatorCount} coordinator assignment(s)`
+
+  if (isDryRun) {
+    return sendSuccessResponse(res, summary, `Cloning will create event year ${plan.event_year.event_id} with ${description}.`)
+  }
+
+  const eventYear = await commitEventYearClone(plan, req.user.reg_number)
+
+  // Clear cache
+  await invalidateCacheTags([
+    cacheTags.eventYears(),
+    cacheTags.sports(eventYear.event_id),
+    cacheTags.batches(eventYear.event_id)
+  ])
+
+  return sendSuccessResponse(
+    res,
+    { ...summary, eventYear },
+    `Event year ${eventYear.event_id} created with ${description}.`,
+    201
+  )
+}))
+
 /**
  * PUT /api/event-years/:event_id
- * Update event year configuration (admin only)
+ * Update event year configuration (admin or event admin for this event year)
  * Validates date relationships and enforces update restrictions based on current date
  * Allows updates until registration end date (current date <= registration end date)
  */
-router.put('/:event_id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+router.put('/:event_id', authenticateToken, validateRequest('PUT /api/event-years/:event_id'), authorize('event_years:update', { scope: { event_id: 'params.event_id' } }), asyncHandler(async (req, res) => {
   const { event_id } = req.params
   const { createdBy, updatedBy, ...bodyData } = req.body
   
@@ -188,11 +248,8 @@ router.put('/:event_id', authenticateToken, requireAdmin, asyncHandler(async (re
     return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
   }
   
-  const { event_name, event_dates, registration_dates, event_organizer, event_title, event_highlight } = bodyData
-  const eventId = String(event_id || '').trim().toLowerCase()
-  if (!eventId) {
-    return sendErrorResponse(res, 400, 'event_id parameter is required to update an event year')
-  }
+  const { event_name, event_dates, registration_dates, event_organizer, event_title, event_highlight, championship_points } = bodyData
+  const eventId = event_id.toLowerCase()
   
   const eventYear = await EventYear.findOne({ event_id: eventId })
   if (!eventYear) {
@@ -217,12 +274,12 @@ router.put('/:event_id', authenticateToken, requireAdmin, asyncHandler(async (re
   const eventHasEnded = now > eventEnd
   
   // Update non-date fields (not allowed after event ends)
-  if (eventHasEnded && (event_name || event_organizer !== undefined || event_title !== undefined || event_highlight !== undefined)) {
+  if (eventHasEnded && (event_name || event_organizer !== undefined || event_title !== undefined || event_highlight !== undefined || championship_points !== undefined)) {
     return sendErrorResponse(res, 400, 'Cannot update event configuration. The event has already ended.')
   }
   
   if (event_name) {
-    const nextEventName = String(event_name).trim().toLowerCase()
+    const nextEventName = event_name.toLowerCase()
     if (nextEventName && nextEventName !== eventYear.event_name) {
       const existing = await EventYear.findOne({
         event_year: eventYear.event_year,
@@ -245,7 +302,16 @@ router.put('/:event_id', authenticateToken, requireAdmin, asyncHandler(async (re
     eventYear.event_highlight = event_highlight ? event_highlight.trim() : 'Community Entertainment Fest'
   }
   
+  if (championship_points !== undefined) {
+    const championshipPointsValidation = validateChampionshipPoints(championship_points)
+    if (!championshipPointsValidation.isValid) {
+      return sendErrorResponse(res, 400, championshipPointsValidation.error)
+    }
+    eventYear.championship_points = championshipPointsValidation.value
+  }
+  
   // Handle date updates with restrictions
+  const previousRegEnd = new Date(eventYear.registration_dates.end).getTime()
   const updatableFields = getUpdatableDateFields(eventYear)
   const finalRegDates = registration_dates ? { ...eventYear.registration_dates, ...registration_dates } : eventYear.registration_dates
   const finalEventDates = event_dates ? { ...eventYear.event_dates, ...event_dates } : eventYear.event_dates
@@ -288,26 +354,97 @@ router.put('/:event_id', authenticateToken, requireAdmin, asyncHandler(async (re
   // Set updatedBy from token
   eventYear.updatedBy = req.user.reg_number
   
-  await eventYear.save()
+  // Pending team invitations expire with the registration period, so they follow a new end date
+  const regEndChanged = new Date(eventYear.registration_dates.end).getTime() !== previousRegEnd
+  await runInTransaction(async () => {
+    await eventYear.save()
+    if (regEndChanged) {
+      await syncInvitationExpiry(eventYear)
+    }
+  })
   
   // Clear cache
-  clearCache('/api/event-years/active')
+  const tags = [cacheTags.eventYears(), cacheTags.championship(eventYear.event_id)]
+  if (regEndChanged) {
+    tags.push(cacheTags.event(eventYear.event_id))
+  }
+  await invalidateCacheTags(tags)
   
   return sendSuccessResponse(res, eventYear, 'Event year updated successfully')
 }))
 
 
+/**
+ * PUT /api/event-years/:event_id/status
+ * Move an event year to the next lifecycle status (admin or event admin for this event year; archiving is admin only)
+ * Accepts: { status } - draft -> registration -> live -> completed -> archived, one step at a time
+ * Archiving (only after the event end date) stores a frozen results snapshot; archived event years are read-only
+ */
+router.put('/:event_id/status', authenticateToken, validateRequest('PUT /api/event-years/:event_id/status'), authorize('event_years:update', { scope: { event_id: 'params.event_id' } }), asyncHandler(async (req, res) => {
+  const { event_id } = req.params
+  const { status } = req.body
+  const eventId = event_id.toLowerCase()
+
+  const eventYear = await EventYear.findOne({ event_id: eventId })
+  if (!eventYear) {
+    return handleNotFoundError(res, 'Event year')
+  }
+
+  const transition = validateEventYearStatusTransition(eventYear, status)
+  if (!transition.isValid) {
+    return sendErrorResponse(res, 400, transition.error)
+  }
+
+  if (status === 'archived') {
+    if (!hasPermission(req.user.roles, 'event_years:archive', { event_id: eventId, sport: null })) {
+      return sendErrorResponse(res, 403, 'Only admins can archive an event year')
+    }
+
+    const snapshot = await archiveEventYear(eventYear, req.user.reg_number)
+
+    // Clear cache (every cached response of the year - results are served from the snapshot from now on)
+    await invalidateCacheTags([cacheTags.eventYears(), cacheTags.event(eventId)])
+
+    return sendSuccessResponse(
+      res,
+      { eventYear, snapshot: { winners: snapshot.winners.length, points_tables: snapshot.points_tables.length, rosters: snapshot.rosters.length } },
+      `Event year ${eventId} archived. Its results are now frozen and it is read-only.`
+    )
+  }
+
+  eventYear.status = status
+  eventYear.updatedBy = req.user.reg_number
+  await eventYear.save()
+
+  // Clear cache
+  await invalidateCacheTags([cacheTags.eventYears()])
+
+  return sendSuccessResponse(res, { eventYear }, `Event year status changed to ${status}`)
+}))
+
+/**
+ * GET /api/event-years/:event_id/results
+ * Get the frozen results snapshot of an archived event year (all authenticated users)
+ * Returns final championship standings, winners, league tables and rosters as they were when the year was archived
+ */
+router.get('/:event_id/results', authenticateToken, validateRequest('GET /api/event-years/:event_id/results'), authorize('event_years:read', { scope: { event_id: 'params.event_id' } }), asyncHandler(async (req, res) => {
+  const { event_id } = req.params
+  const snapshot = await getResultsSnapshot(event_id)
+  if (!snapshot) {
+    return sendErrorResponse(res, 404, 'Results snapshot not found. Only archived event years have one.')
+  }
+
+  return sendSuccessResponse(res, { snapshot })
+}))
+
 /**
  * DELETE /api/event-years/:event_id
  * Delete event year (admin only, only if no data exists and not active)
  * Allows deletion only before registration start date
  */
-router.delete('/:event_id', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+router.delete('/:event_id', authenticateToken, validateRequest('DELETE /api/event-years/:event_id'), authorize('event_years:delete', { scope: { event_id: 'params.event_id' } }), asyncHandler(async (req, res) => {
   const { event_id } = req.params
-  const eventId = String(event_id || '').trim().toLowerCase()
-  if (!eventId) {
-    return sendErrorResponse(res, 400, 'event_id parameter is required to delete an event year')
-  }
+  const eventId = event_id.toLowerCase()
   
   const yearDoc = await EventYear.findOne({ event_id: eventId })
   if (!yearDoc) {
@@ -371,7 +508,7 @@ router.delete('/:event_id', authenticateToken, requireAdmin, asyncHandler(async
   await EventYear.findByIdAndDelete(yearDoc._id)
   
   // Clear cache
-  clearCache('/api/event-years/active')
+  await invalidateCacheTags([cacheTags.eventYears()])
   
   return sendSuccessResponse(res, {}, 'Event year deleted successfully')
 }))
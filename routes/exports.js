@@ -7,7 +7,8 @@ import express from 'express'
 import XLSX from 'xlsx'
 import Player from '../models/Player.js'
 import Sport from '../models/Sport.js'
-import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
 import { asyncHandler, sendErrorResponse } from '../utils/errorHandler.js'
 import { computePlayerParticipation } from '../utils/playerHelpers.js'
 import { getPlayersBatchNames } from '../utils/batchHelpers.js'
@@ -18,7 +19,7 @@ const router = express.Router()
 
 /**
  * GET /api/export-excel
- * Export players data to Excel (admin only)
+ * Export players data to Excel (admin, event admin or viewer)
  * Event ID Filter: Accepts ?event_id=2026-umang parameter (defaults to active event)
  * Query Sports collection to get all sports dynamically (filtered by event_id)
  * Compute participation from Sports collection (filtered by event_id)
@@ -27,9 +28,10 @@ const router = express.Router()
 router.get(
   '/export-excel',
   authenticateToken,
-  requireAdmin,
+  validateRequest('GET /api/export-excel'),
+  authorize('exports:read', { scope: { event_id: 'query.event_id' } }),
   asyncHandler(async (req, res) => {
-    const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
+    const eventIdQuery = req.query.event_id || null
 
     // Get event year with document (defaults to active event if not provided)
     let eventYearDoc = null
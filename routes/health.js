@@ -0,0 +1,63 @@
+/**
+ * Health Routes
+ * Liveness (/healthz) and readiness (/readyz) probes and Prometheus metrics (/metrics)
+ * Mounted at the root, outside /api, so probes and scrapes are not counted in the access log or request metrics
+ */
+
+import express from 'express'
+import { timingSafeEqual } from 'crypto'
+import { noCache } from '../middleware/noCache.js'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { asyncHandler, sendErrorResponse } from '../utils/errorHandler.js'
+import { runHealthChecks } from '../utils/healthChecks.js'
+import { isShuttingDown } from '../utils/lifecycle.js'
+import { renderMetrics } from '../utils/metrics.js'
+
+const router = express.Router()
+
+/**
+ * GET /healthz
+ * Liveness probe: 200 while the process is serving requests (503 once shutdown has started)
+ * Reports MongoDB, cache store and email transport status, but does not fail on them - restarting the process would not fix them
+ */
+router.get('/healthz', noCache, validateRequest('GET /healthz'), asyncHandler(async (req, res) => {
+  const { status, checks } = await runHealthChecks()
+  if (isShuttingDown()) {
+    return res.status(503).json({ success: false, status: 'shutting_down', checks })
+  }
+  return res.status(200).json({ success: true, status, uptime_seconds: Math.round(process.uptime()), checks })
+}))
+
+/**
+ * GET /readyz
+ * Readiness probe: 200 when MongoDB answers a ping, 503 otherwise or once shutdown has started
+ * A failing cache store or email transport reports status "degraded" but keeps the server ready
+ */
+router.get('/readyz', noCache, validateRequest('GET /readyz'), asyncHandler(async (req, res) => {
+  const { ready, status, checks } = await runHealthChecks()
+  if (isShuttingDown()) {
+    return res.status(503).json({ success: false, status: 'shutting_down', checks })
+  }
+  return res.status(ready ? 200 : 503).json({ success: ready, status, checks })
+}))
+
+/**
+ * GET /metrics
+ * Prometheus text format: API request counts and latencies per route, cache hit ratios, process metrics
+ * When METRICS_TOKEN is set, requests must send Authorization: Bearer <METRICS_TOKEN>
+ */
+router.get('/metrics', noCache, validateRequest('GET /metrics'), (req, res) => {
+  const metricsToken = process.env.METRICS_TOKEN
+  if (metricsToken) {
+    const expected = Buffer.from(`Bearer ${metricsToken}`)
+    const provided = Buffer.from(req.get('Authorization') || '')
+    if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+      return sendErrorResponse(res, 401, 'Metrics token required')
+    }
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+  return res.send(renderMetrics())
+})
+
+export default router
@@ -0,0 +1,47 @@
+/**
+ * Lockout Routes
+ * Lists and clears login/password reset lockouts (super admin only)
+ */
+
+import express from 'express'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { listLockouts, clearAccountLockout, clearIpLockout } from '../middleware/rateLimit.js'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { asyncHandler, sendSuccessResponse } from '../utils/errorHandler.js'
+
+const router = express.Router()
+
+/**
+ * GET /api/locked-accounts
+ * Get currently locked accounts and IP addresses (super admin only)
+ */
+router.get('/', authenticateToken, validateRequest('GET /api/locked-accounts'), authorize('auth:manage_lockouts'), asyncHandler(async (req, res) => {
+  const { accounts, ips } = await listLockouts()
+  return sendSuccessResponse(res, { locked_accounts: accounts, locked_ips: ips })
+}))
+
+/**
+ * DELETE /api/locked-accounts/ip/:ip
+ * Clear lockout and failed attempts for an IP address (super admin only)
+ */
+router.delete('/ip/:ip', authenticateToken, validateRequest('DELETE /api/locked-accounts/ip/:ip'), authorize('auth:manage_lockouts'), asyncHandler(async (req, res) => {
+  const { ip } = req.params
+
+  await clearIpLockout(ip)
+
+  return sendSuccessResponse(res, {}, `Lockout cleared for IP ${ip}`)
+}))
+
+/**
+ * DELETE /api/locked-accounts/:reg_number
+ * Clear lockout and failed attempts for an account (super admin only)
+ */
+router.delete('/:reg_number', authenticateToken, validateRequest('DELETE /api/locked-accounts/:reg_number'), authorize('auth:manage_lockouts'), asyncHandler(async (req, res) => {
+  const regNumber = req.params.reg_number
+
+  await clearAccountLockout(regNumber)
+
+  return sendSuccessResponse(res, {}, `Lockout cleared for ${regNumber}`)
+}))
+
+export default router
@@ -0,0 +1,139 @@
+/**
+ * Notification Routes
+ * Email notification preferences of the logged-in player, and the email outbox (queued notification emails)
+ */
+
+import express from 'express'
+import Player from '../models/Player.js'
+import EmailOutbox from '../models/EmailOutbox.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
+import { getNotificationPreferences } from '../utils/notifications.js'
+import { wakeOutboxWorker } from '../utils/emailOutbox.js'
+import { isEmailConfigured } from '../utils/emailService.js'
+import { DEFAULT_NOTIFICATION_OUTBOX_PAGE_SIZE } from '../constants/index.js'
+
+const router = express.Router()
+
+/**
+ * GET /api/notifications/preferences
+ * Get the logged-in player's email notification preferences (categories default to on)
+ */
+router.get('/preferences', authenticateToken, validateRequest('GET /api/notifications/preferences'), authorize('notifications:manage_preferences'), asyncHandler(async (req, res) => {
+  const player = await Player.findOne({ reg_number: req.user.reg_number })
+    .select('reg_number notification_preferences')
+    .lean()
+  if (!player) {
+    return handleNotFoundError(res, 'Player')
+  }
+
+  return sendSuccessResponse(res, {
+    preferences: getNotificationPreferences(player),
+    email_enabled: isEmailConfigured()
+  })
+}))
+
+/**
+ * PUT /api/notifications/preferences
+ * Update the logged-in player's email notification preferences
+ * Body: preferences ({ match_updates, team_updates, role_updates }: booleans, any subset)
+ */
+router.put('/preferences', authenticateToken, validateRequest('PUT /api/notifications/preferences'), authorize('notifications:manage_preferences'), asyncHandler(async (req, res) => {
+  const $set = {}
+  for (const [category, enabled] of Object.entries(req.body.preferences)) {
+    $set[`notification_preferences.${category}`] = enabled
+  }
+
+  const player = await Player.findOneAndUpdate(
+    { reg_number: req.user.reg_number },
+    { $set },
+    { new: true, runValidators: true }
+  ).select('reg_number notification_preferences').lean()
+  if (!player) {
+    return handleNotFoundError(res, 'Player')
+  }
+
+  return sendSuccessResponse(res, { preferences: getNotificationPreferences(player) }, 'Notification preferences updated successfully')
+}))
+
+/**
+ * GET /api/notifications/outbox
+ * Get queued notification emails, newest first (admin only)
+ * Optional filters: ?status (pending, sent, failed), ?type, ?reg_number, ?event_id
+ * Pagination: ?page (default 1), ?limit (default 25, max 100)
+ */
+router.get('/outbox', authenticateToken, validateRequest('GET /api/notifications/outbox'), authorize('notifications:read_outbox', { scope: { event_id: 'query.event_id' } }), asyncHandler(async (req, res) => {
+  const query = {}
+
+  if (req.query.status) {
+    query.status = req.query.status
+  }
+  if (req.query.type) {
+    query.type = req.query.type
+  }
+  if (req.query.reg_number) {
+    query.reg_number = req.query.reg_number
+  }
+  if (req.query.event_id) {
+    query.event_id = req.query.event_id.toLowerCase()
+  }
+
+  const page = req.query.page || 1
+  const limit = Math.min(100, req.query.limit || DEFAULT_NOTIFICATION_OUTBOX_PAGE_SIZE)
+
+  const [totalCount, entries] = await Promise.all([
+    EmailOutbox.countDocuments(query),
+    EmailOutbox.find(query)
+      .select('-html -text')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean()
+  ])
+
+  const totalPages = Math.ceil(totalCount / limit)
+
+  return sendSuccessResponse(res, {
+    entries,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalCount,
+      limit,
+      hasNextPage: page < totalPages,
+      hasPreviousPage: page > 1
+    }
+  })
+}))
+
+/**
+ * POST /api/notifications/outbox/:id/retry
+ * Queue a failed notification email again with a fresh set of attempts (admin only)
+ */
+router.post('/outbox/:id/retry', authenticateToken, validateRequest('POST /api/notifications/outbox/:id/retry'), authorize('notifications:manage_outbox'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+
+  const email = await EmailOutbox.findById(id).select('status').lean()
+  if (!email) {
+    return handleNotFoundError(res, 'Email')
+  }
+  if (email.status !== 'failed') {
+    return sendErrorResponse(res, 400, `Only failed emails can be retried (this email is ${email.status})`)
+  }
+
+  const updatedEmail = await EmailOutbox.findOneAndUpdate(
+    { _id: id, status: 'failed' },
+    { $set: { status: 'pending', attempts: 0, next_attempt_at: new Date(), last_error: null, expires_at: null } },
+    { new: true, runValidators: true }
+  ).select('-html -text').lean()
+  if (!updatedEmail) {
+    return sendErrorResponse(res, 409, 'The email was changed by another request. Please reload and try again.')
+  }
+
+  wakeOutboxWorker()
+
+  return sendSuccessResponse(res, { email: updatedEmail }, 'Email queued for another attempt')
+}))
+
+export default router
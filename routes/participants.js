@@ -7,26 +7,28 @@ import express from 'express'
 import Sport from '../models/Sport.js'
 import Player from '../models/Player.js'
 import EventSchedule from '../models/EventSchedule.js'
-import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
 import { requireRegistrationPeriod } from '../middleware/dateRestrictions.js'
+import { validateRequest } from '../middleware/validateRequest.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
-import { trimObjectFields } from '../utils/validation.js'
-import { getCache, setCache, clearCache, clearCachePattern } from '../utils/cache.js'
+import { clearParticipationCaches } from '../utils/cacheHelpers.js'
 import { getEventYear } from '../utils/yearHelpers.js'
 import { findSportByNameAndId, normalizeSportName } from '../utils/sportHelpers.js'
-import { requireAdminOrCoordinator } from '../utils/coordinatorHelpers.js'
+import { hasPermission } from '../utils/roleHelpers.js'
 
 const router = express.Router()
 
 /**
  * GET /api/participants/:sport
- * Get all participants for a specific sport (non-team events) (admin only)
+ * Get all participants for a specific sport (non-team events) (admin, event admin, viewer, or coordinator for this sport)
  * Event ID Filter: Accepts ?event_id=2026-umang parameter (defaults to active event)
  * Query Sports collection's players_participated array (filtered by event)
  */
 router.get(
   '/participants/:sport',
   authenticateToken,
+  validateRequest('GET /api/participants/:sport'),
+  authorize('participants:read', { scope: { event_id: 'query.event_id', sport: 'params.sport' } }),
   asyncHandler(async (req, res) => {
     // Decode the sport name from URL parameter
     let sport = decodeURIComponent(req.params.sport)
@@ -35,17 +37,6 @@ router.get(
     const eventYearData = await getEventYear(eventIdQuery, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
-    if (!sport) {
-      return sendErrorResponse(res, 400, 'Sport name is required')
-    }
-
-    // Check if user is admin or coordinator for this sport
-    try {
-      await requireAdminOrCoordinator(req.user.reg_number, sport, eventId)
-    } catch (error) {
-      return sendErrorResponse(res, 403, error.message)
-    }
-
     // Find sport by name and event_id
     const sportDoc = await findSportByNameAndId(sport, eventId)
 
@@ -87,6 +78,8 @@ router.get(
 router.get(
   '/participants-count/:sport',
   authenticateToken,
+  validateRequest('GET /api/participants-count/:sport'),
+  authorize('participants:read_count', { scope: { event_id: 'query.event_id', sport: 'params.sport' } }),
   asyncHandler(async (req, res) => {
     // Decode the sport name from URL parameter
     let sport = decodeURIComponent(req.params.sport)
@@ -95,10 +88,6 @@ router.get(
     const eventYearData = await getEventYear(eventIdQuery, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
-    if (!sport) {
-      return sendErrorResponse(res, 400, 'Sport name is required')
-    }
-
     // Find sport by name and event_id
     const sportDoc = await findSportByNameAndId(sport, eventId)
 
@@ -121,38 +110,21 @@ router.get(
 router.post(
   '/update-participation',
   authenticateToken,
+  validateRequest('POST /api/update-participation'),
+  authorize('participants:register', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    let { reg_number, sport, event_id } = req.body
-
-    // Trim fields
-    const trimmed = trimObjectFields({ reg_number, sport, event_id })
-    reg_number = trimmed.reg_number
-    sport = trimmed.sport
-    event_id = trimmed.event_id
-
-    if (!event_id || !String(event_id).trim()) {
-      return sendErrorResponse(res, 400, 'event_id is required')
-    }
+    const { reg_number, sport, event_id } = req.body
 
     // Get event with document
-    const eventYearData = await getEventYear(String(event_id).trim(), { returnDoc: true })
+    const eventYearData = await getEventYear(event_id, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
-    // Validate required fields
-    if (!reg_number || !sport) {
-      return sendErrorResponse(res, 400, 'Registration number and sport are required')
-    }
-
     const isSelfRegistration = req.user?.reg_number === reg_number
 
     // Only admins/coordinators can register other users
-    if (!isSelfRegistration) {
-      try {
-        await requireAdminOrCoordinator(req.user.reg_number, sport, eventId)
-      } catch (error) {
-        return sendErrorResponse(res, 403, error.message)
-      }
+    if (!isSelfRegistration && !hasPermission(req.user.roles, 'participants:manage', { event_id: eventId, sport: normalizeSportName(sport) })) {
+      return sendErrorResponse(res, 403, 'Admin or coordinator access required for this sport')
     }
 
     // Validate player exists
@@ -190,13 +162,7 @@ router.post(
     await sportDoc.save()
 
     // Clear cache
-    clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/participants/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/participants-count/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports-counts?event_id=${encodeURIComponent(eventId)}`)
-    clearCachePattern('/api/players')
-    clearCachePattern('/api/me')
+    await clearParticipationCaches(eventId, sport)
 
     return sendSuccessResponse(res, { sport: sportDoc }, `Participation updated successfully for ${sport}`)
   })
@@ -204,43 +170,23 @@ router.post(
 
 /**
  * DELETE /api/remove-participation
- * Remove participation (team or individual) (admin only)
+ * Remove participation (team or individual) (admin, event admin, or coordinator for this sport)
  * Event ID Required: event_id field required in request body (defaults to active event)
  * Update Sports collection's teams_participated or players_participated (for the specified year)
  */
 router.delete(
   '/remove-participation',
   authenticateToken,
+  validateRequest('DELETE /api/remove-participation'),
+  authorize('participants:manage', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    let { reg_number, sport, event_id } = req.body
-
-    // Trim fields
-    const trimmed = trimObjectFields({ reg_number, sport, event_id })
-    reg_number = trimmed.reg_number
-    sport = trimmed.sport
-    event_id = trimmed.event_id
-
-    if (!event_id || !String(event_id).trim()) {
-      return sendErrorResponse(res, 400, 'event_id is required')
-    }
+    const { reg_number, sport, event_id } = req.body
 
     // Get event with document
-    const eventYearData = await getEventYear(String(event_id).trim(), { returnDoc: true })
+    const eventYearData = await getEventYear(event_id, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
-    // Check if user is admin or coordinator for this sport
-    try {
-      await requireAdminOrCoordinator(req.user.reg_number, sport, eventId)
-    } catch (error) {
-      return sendErrorResponse(res, 403, error.message)
-    }
-
-    // Validate required fields
-    if (!reg_number || !sport) {
-      return sendErrorResponse(res, 400, 'Registration number and sport are required')
-    }
-
     // Find sport by name and event_id
     const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
     const normalizedSport = normalizeSportName(sport)
@@ -314,14 +260,7 @@ router.delete(
     await sportDoc.save()
 
     // Clear cache
-    clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/teams/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/participants/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/participants-count/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports-counts?event_id=${encodeURIComponent(eventId)}`)
-    clearCachePattern('/api/players')
-    clearCachePattern('/api/me')
+    await clearParticipationCaches(eventId, sport)
 
     return sendSuccessResponse(res, { sport: sportDoc }, `Participation removed successfully for ${sport}`)
   })
@@ -8,16 +8,20 @@ import Player from '../models/Player.js'
 import Sport from '../models/Sport.js'
 import EventSchedule from '../models/EventSchedule.js'
 import Batch from '../models/Batch.js'
-import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
 import { requireRegistrationPeriod } from '../middleware/dateRestrictions.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
-import { validateUpdatePlayerData, validatePlayerData, trimObjectFields } from '../utils/validation.js'
 import { computePlayerParticipation, computePlayersParticipationBatch, validateDepartmentExists } from '../utils/playerHelpers.js'
 import { getPlayerBatchName } from '../utils/batchHelpers.js'
+import { parsePlayerImportFile, validatePlayerImportRows, commitPlayerImport } from '../utils/playerImport.js'
 import { getEventYear } from '../utils/yearHelpers.js'
-import { getCache, setCache, clearCache, clearCachePattern } from '../utils/cache.js'
+import { getCache, setCache, invalidateCacheTags, cacheTags } from '../utils/cache.js'
 import { clearPlayerGenderCache } from '../utils/genderHelpers.js'
 import { findActiveEventYear } from '../utils/yearHelpers.js'
+import { formatRolesForResponse } from '../utils/roleHelpers.js'
+import { revokeAllSessions } from '../utils/sessionHelpers.js'
+import { runInTransaction } from '../utils/unitOfWork.js'
 import { DEFAULT_PLAYERS_PAGE_SIZE } from '../constants/index.js'
 import logger from '../utils/logger.js'
 
@@ -55,11 +59,14 @@ async function addComputedFields(player, eventId) {
  * GET /api/me
  * Get current authenticated user data
  * Add computed participated_in, captain_in, coordinator_in, and batch_name fields (filtered by active event)
+ * Includes roles (super_admin, event_admin, viewer, coordinator, captain entries)
  * Supports event_id
  */
 router.get(
   '/me',
   authenticateToken,
+  validateRequest('GET /api/me'),
+  authorize('players:read', { scope: { event_id: 'query.event_id' } }),
   asyncHandler(async (req, res) => {
     const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
     let eventId = null
@@ -79,17 +86,18 @@ router.get(
       }
     }
 
-    // Check cache (include event_id in cache key for proper isolation)
+    // Check cache (include event_id and reg_number in cache key for proper isolation)
+    const cacheKey = `/api/me?event_id=${encodeURIComponent(eventId)}&reg_number=${encodeURIComponent(req.user.reg_number)}`
     if (eventId) {
-      const cacheKey = `/api/me?event_id=${encodeURIComponent(eventId)}`
-      const cached = getCache(cacheKey)
+      const cached = await getCache(cacheKey)
       if (cached && cached.reg_number === req.user.reg_number) {
         // Always use sendSuccessResponse for consistency, even for cached data
         // Note: cached data might be the player object directly, so wrap it
+        // Roles are attached per request (not cached) so role changes apply immediately
         if (cached.player) {
-          return sendSuccessResponse(res, cached)
+          return sendSuccessResponse(res, { ...cached, player: { ...cached.player, roles: formatRolesForResponse(req.user.roles) } })
         } else {
-          return sendSuccessResponse(res, { player: cached })
+          return sendSuccessResponse(res, { player: { ...cached, roles: formatRolesForResponse(req.user.roles) } })
         }
       }
     }
@@ -117,11 +125,15 @@ router.get(
 
     // Cache the result (store as player object to match response format)
     if (eventId) {
-      const cacheKey = `/api/me?event_id=${encodeURIComponent(eventId)}`
-      setCache(cacheKey, userWithComputed)
+      await setCache(cacheKey, userWithComputed, [
+        cacheTags.event(eventId),
+        cacheTags.players(eventId),
+        cacheTags.allPlayers(),
+        cacheTags.player(req.user.reg_number)
+      ])
     }
 
-    return sendSuccessResponse(res, { player: userWithComputed })
+    return sendSuccessResponse(res, { player: { ...userWithComputed, roles: formatRolesForResponse(req.user.roles) } })
   })
 )
 
@@ -144,27 +156,17 @@ router.get(
 router.get(
   '/players',
   authenticateToken,
+  validateRequest('GET /api/players'),
+  authorize('players:read', { scope: { event_id: 'query.event_id' } }),
   asyncHandler(async (req, res) => {
     const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
     
-    const searchQuery = req.query.search ? req.query.search.trim() : null
-    const hasPageParam = req.query.page !== undefined && req.query.page !== null && req.query.page !== ''
-    // Validate and parse page parameter if provided
-    let page = 1
-    if (hasPageParam) {
-      const parsedPage = parseInt(req.query.page)
-      page = isNaN(parsedPage) || parsedPage < 1 ? 1 : parsedPage
-    }
+    const searchQuery = req.query.search || null
+    // page and limit are positive integers when given (checked by the request schema)
+    const hasPageParam = req.query.page !== undefined && req.query.page !== ''
+    const page = hasPageParam ? req.query.page : 1
     // If page parameter is provided, use pagination; otherwise return all records
-    let limit = null
-    if (hasPageParam) {
-      if (req.query.limit !== undefined && req.query.limit !== null && req.query.limit !== '') {
-        const parsedLimit = parseInt(req.query.limit)
-        limit = isNaN(parsedLimit) || parsedLimit < 1 ? DEFAULT_PLAYERS_PAGE_SIZE : Math.min(100, parsedLimit)
-      } else {
-        limit = DEFAULT_PLAYERS_PAGE_SIZE
-      }
-    }
+    const limit = hasPageParam ? Math.min(100, req.query.limit || DEFAULT_PLAYERS_PAGE_SIZE) : null
     const skip = hasPageParam && limit ? (page - 1) * limit : 0
 
     let eventId = null
@@ -198,7 +200,7 @@ router.get(
     // Check cache only if no search query, no pagination (all records), and page 1
     if (!searchQuery && !hasPageParam && eventId) {
       const cacheKey = `/api/players?event_id=${encodeURIComponent(eventId)}`
-      const cached = getCache(cacheKey)
+      const cached = await getCache(cacheKey)
       if (cached) {
         // Always use sendSuccessResponse for consistency, even for cached data
         return sendSuccessResponse(res, cached)
@@ -272,7 +274,7 @@ router.get(
     // Cache the result only if no search query and no pagination (all records)
     if (!searchQuery && !hasPageParam && eventId) {
       const cacheKey = `/api/players?event_id=${encodeURIComponent(eventId)}`
-      setCache(cacheKey, result)
+      await setCache(cacheKey, result, [cacheTags.event(eventId), cacheTags.players(eventId), cacheTags.allPlayers()])
     }
 
     return sendSuccessResponse(res, result)
@@ -288,21 +290,15 @@ router.get(
 router.post(
   '/save-player',
   requireRegistrationPeriod,
+  validateRequest('POST /api/save-player'),
   asyncHandler(async (req, res) => {
-    const trimmed = trimObjectFields(req.body)
-    const { batch_name, createdBy, updatedBy, ...playerData } = trimmed // Extract batch_name and exclude createdBy/updatedBy (set from token only)
+    const { batch_name, createdBy, updatedBy, ...playerData } = req.body // Extract batch_name and exclude createdBy/updatedBy (set from token only)
 
     // Explicitly reject if user tries to send createdBy or updatedBy
     if (createdBy !== undefined || updatedBy !== undefined) {
       return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
     }
 
-    const validation = await validatePlayerData(playerData)
-
-    if (!validation.isValid) {
-      return sendErrorResponse(res, 400, validation.errors.join('; '))
-    }
-
     const { reg_number } = playerData
 
     // Check if player with same reg_number already exists
@@ -331,12 +327,8 @@ router.post(
     }
 
     // Validate batch exists before creating player
-    if (!batch_name || !batch_name.trim()) {
-      return sendErrorResponse(res, 400, 'Batch name is required')
-    }
-
     const batch = await Batch.findOne({
-      name: batch_name.trim(),
+      name: batch_name,
       event_id: activeEventYear.event_id
     })
 
@@ -346,31 +338,93 @@ router.post(
 
     // Create new player object (without year field)
     const newPlayer = new Player(playerData)
-    await newPlayer.save()
 
-    try {
+    // Player and batch membership are written in one transaction
+    await runInTransaction(async () => {
+      await newPlayer.save()
+
       // Add player to batch if not already present
-      if (!batch.players.includes(reg_number)) {
-        batch.players.push(reg_number)
-        await batch.save()
-      }
-    } catch (batchError) {
-      // Roll back player creation if batch update fails
-      await Player.findOneAndDelete({ reg_number })
-      throw batchError
-    }
+      await Batch.updateOne({ _id: batch._id }, { $addToSet: { players: reg_number } })
+    })
 
     const savedPlayer = newPlayer.toObject()
     delete savedPlayer.password
 
-    // Clear cache (use pattern to clear all variations with query params)
-    clearCachePattern('/api/players')
-    clearCache(`/api/batches?event_id=${encodeURIComponent(activeEventYear.event_id)}`)
+    // Clear cache
+    await invalidateCacheTags([cacheTags.allPlayers(), cacheTags.batches(activeEventYear.event_id)])
 
     return sendSuccessResponse(res, { player: savedPlayer }, 'Player data saved successfully')
   })
 )
 
+/**
+ * POST /api/players/import
+ * Bulk import players from a CSV/XLSX spreadsheet (admin only)
+ * Accepts: { file: base64 spreadsheet, batch_name?: string, dry_run?: boolean } and ?event_id=2026-umang
+ * Columns: reg_number, name, gender, department, mobile, email; optional password and batch
+ * dry_run (default true) validates every row and returns a row-level report without saving
+ * dry_run: false imports all rows or none: any invalid row rejects the whole file
+ */
+router.post(
+  '/players/import',
+  authenticateToken,
+  validateRequest('POST /api/players/import'),
+  authorize('players:import', { scope: { event_id: 'query.event_id' } }),
+  requireRegistrationPeriod,
+  asyncHandler(async (req, res) => {
+    const { file, dry_run } = req.body // file type and size are checked by the request schema
+    const batchName = req.body.batch_name || null
+    const isDryRun = dry_run !== false
+    const eventIdQuery = req.query.event_id || null
+
+    const parsed = parsePlayerImportFile(file)
+    if (!parsed.isValid) {
+      return sendErrorResponse(res, 400, parsed.error)
+    }
+
+    const eventYearData = await getEventYear(eventIdQuery, { returnDoc: true })
+    const eventId = eventYearData.doc.event_id
+
+    const { report, players } = await validatePlayerImportRows(parsed.rows, eventId, batchName)
+    const invalidRows = report.filter(entry => entry.errors.length > 0)
+    const summary = {
+      dry_run: isDryRun,
+      event_id: eventId,
+      total_rows: report.length,
+      valid_rows: players.length,
+      invalid_rows: invalidRows.length,
+      rows: report
+    }
+
+    if (isDryRun) {
+      const message = invalidRows.length > 0
+        ? `${invalidRows.length} of ${report.length} row(s) have errors. Fix them before importing.`
+        : `All ${report.length} row(s) are valid and ready to import.`
+      return sendSuccessResponse(res, summary, message)
+    }
+
+    if (invalidRows.length > 0) {
+      // Custom error response to always include the row-level report
+      return res.status(400).json({
+        success: false,
+        error: `${invalidRows.length} of ${report.length} row(s) have errors. No players were imported.`,
+        ...summary
+      })
+    }
+
+    const result = await commitPlayerImport(players, req.user.reg_number)
+
+    // Clear cache
+    await invalidateCacheTags([cacheTags.allPlayers(), cacheTags.batches(eventId)])
+
+    return sendSuccessResponse(
+      res,
+      { ...summary, ...result },
+      `Successfully imported ${result.imported_count} player(s).`
+    )
+  })
+)
+
 /**
  * PUT /api/update-player
  * Update player data (admin only)
@@ -380,11 +434,11 @@ router.post(
 router.put(
   '/update-player',
   authenticateToken,
-  requireAdmin,
+  validateRequest('PUT /api/update-player'),
+  authorize('players:update'),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    const trimmed = trimObjectFields(req.body)
-    const { createdBy, updatedBy, batch_name, ...updateData } = trimmed // Exclude createdBy/updatedBy and batch_name (set from token only, batch handled separately)
+    const { createdBy, updatedBy, batch_name, ...updateData } = req.body // Exclude createdBy/updatedBy and batch_name (set from token only, batch handled separately)
 
     // Explicitly reject if user tries to send createdBy or updatedBy
     if (createdBy !== undefined || updatedBy !== undefined) {
@@ -396,12 +450,6 @@ router.put(
       return sendErrorResponse(res, 400, 'Batch cannot be modified through player update. Batch assignment is handled separately via batch management endpoints.')
     }
 
-    const validation = await validateUpdatePlayerData(updateData)
-
-    if (!validation.isValid) {
-      return sendErrorResponse(res, 400, validation.errors.join('; '))
-    }
-
     const { reg_number, full_name, department_branch, mobile_number, email_id, gender } = updateData
 
     const player = await Player.findOne({ reg_number })
@@ -436,12 +484,10 @@ router.put(
     const playerData = player.toObject()
     delete playerData.password
 
-    // Clear cache (use pattern to clear all variations with query params)
-    clearCachePattern('/api/players')
-    clearCachePattern('/api/me')
-    clearCachePattern('/api/teams')
+    // Clear cache (player lists, /api/me and team rosters show the player's details)
+    await invalidateCacheTags([cacheTags.allPlayers()])
     // Clear gender cache for this player (in case gender derivation is affected)
-    clearPlayerGenderCache(reg_number)
+    await clearPlayerGenderCache(reg_number)
 
     return sendSuccessResponse(res, { player: playerData }, 'Player data updated successfully')
   })
@@ -456,17 +502,13 @@ router.put(
 router.post(
   '/bulk-player-enrollments',
   authenticateToken,
-  requireAdmin,
+  validateRequest('POST /api/bulk-player-enrollments'),
+  authorize('players:read_enrollments', { scope: { event_id: 'query.event_id' } }),
   asyncHandler(async (req, res) => {
     const { reg_numbers } = req.body
-    const eventIdQuery = req.query.event_id ?? req.body.event_id
+    const eventIdQuery = req.query.event_id || null
 
-    // Validate input
-    if (!Array.isArray(reg_numbers) || reg_numbers.length === 0) {
-      return sendErrorResponse(res, 400, 'reg_numbers must be a non-empty array')
-    }
-
-    const eventYearData = await getEventYear(eventIdQuery ? String(eventIdQuery).trim() : null, { returnDoc: true })
+    const eventYearData = await getEventYear(eventIdQuery, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
     // Check if all players exist
@@ -619,7 +661,8 @@ router.post(
 router.get(
   '/player-enrollments/:reg_number',
   authenticateToken,
-  requireAdmin,
+  validateRequest('GET /api/player-enrollments/:reg_number'),
+  authorize('players:read_enrollments', { scope: { event_id: 'query.event_id' } }),
   asyncHandler(async (req, res) => {
     const { reg_number } = req.params
     // event_id is optional; defaults to active event if not provided
@@ -711,7 +754,8 @@ router.get(
 router.delete(
   '/delete-player/:reg_number',
   authenticateToken,
-  requireAdmin,
+  validateRequest('DELETE /api/delete-player/:reg_number'),
+  authorize('players:delete', { scope: { event_id: 'query.event_id' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
     const { reg_number } = req.params
@@ -806,6 +850,7 @@ router.delete(
     }
 
     // Remove player from non-team events
+    const sportsToUpdate = []
     for (const event of nonTeamEvents) {
       const sportQuery = {
         name: event.sport,
@@ -823,31 +868,41 @@ router.delete(
         if (req.user && req.user.reg_number) {
           sport.updatedBy = req.user.reg_number
         }
-        await sport.save()
-
-        // Clear cache for this sport
-        clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-        clearCache(`/api/sports/${event.sport}?event_id=${encodeURIComponent(eventId)}`)
-        clearCache(`/api/participants/${event.sport}?event_id=${encodeURIComponent(eventId)}`)
-        clearCache(`/api/participants-count/${event.sport}?event_id=${encodeURIComponent(eventId)}`)
-        clearCache(`/api/sports-counts?event_id=${encodeURIComponent(eventId)}`)
+        sportsToUpdate.push(sport)
       }
     }
 
-    // Remove player from batch (if assigned)
-    await Batch.updateMany(
-      { event_id: eventId, players: reg_number },
-      { $pull: { players: reg_number } }
-    )
+    // Sports, batch, invitations, player and sessions are written in one transaction
+    await runInTransaction(async () => {
+      for (const sport of sportsToUpdate) {
+        await sport.save()
+      }
+
+      // Remove player from batch (if assigned)
+      await Batch.updateMany(
+        { event_id: eventId, players: reg_number },
+        { $pull: { players: reg_number } }
+      )
 
-    // Delete player from database
-    await Player.findOneAndDelete({ reg_number })
+      // Remove player's team invitations
+      await Sport.updateMany(
+        { event_id: eventId, 'teams_participated.invitations.reg_number': reg_number },
+        { $pull: { 'teams_participated.$[].invitations': { reg_number } } }
+      )
 
-    // Clear cache (use pattern to clear all variations with query params)
-    clearCachePattern('/api/players')
-    clearCache(`/api/me?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/batches?event_id=${encodeURIComponent(eventId)}`)
-    clearPlayerGenderCache(reg_number)
+      // Delete player from database and end their sessions
+      await Player.findOneAndDelete({ reg_number })
+      await revokeAllSessions(reg_number)
+    })
+
+    // Clear cache for the sports the player left, player lists and team rosters (invitations), and batches
+    await invalidateCacheTags([
+      cacheTags.sports(eventId),
+      ...sportsToUpdate.map(sport => cacheTags.sport(eventId, sport.name)),
+      cacheTags.allPlayers(),
+      cacheTags.batches(eventId)
+    ])
+    await clearPlayerGenderCache(reg_number)
 
     return sendSuccessResponse(
       res,
@@ -874,22 +929,13 @@ router.delete(
 router.post(
   '/bulk-delete-players',
   authenticateToken,
-  requireAdmin,
+  validateRequest('POST /api/bulk-delete-players'),
+  authorize('players:delete', { scope: { event_id: 'query.event_id' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    const { reg_numbers } = req.body
+    const { reg_numbers } = req.body // 1 to DEFAULT_PLAYERS_PAGE_SIZE registration numbers (checked by the request schema)
     const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
 
-    // Validate input
-    if (!Array.isArray(reg_numbers) || reg_numbers.length === 0) {
-      return sendErrorResponse(res, 400, 'reg_numbers must be a non-empty array')
-    }
-
-    // Maximum players deletion limit (uses same constant as page size)
-    if (reg_numbers.length > DEFAULT_PLAYERS_PAGE_SIZE) {
-      return sendErrorResponse(res, 400, `Maximum ${DEFAULT_PLAYERS_PAGE_SIZE} players can be deleted at a time`)
-    }
-
     const eventYearData = await getEventYear(eventIdQuery, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
@@ -1116,52 +1162,54 @@ router.post(
       }
     }
 
-    // OPTIMIZATION: Update all sports in batch (one query per sport)
+    // Sports, batches, invitations, players and sessions are written in one transaction
     const sportNames = Object.keys(sportUpdatesMap)
-    for (const sportName of sportNames) {
-      const regNumbersToRemove = sportUpdatesMap[sportName]
-      
-      // Update sport to remove all players at once
-      await Sport.updateOne(
-        {
-          name: sportName,
-          event_id: eventId
-        },
-        {
-          $pull: { players_participated: { $in: regNumbersToRemove } }
-        }
-      )
+    await runInTransaction(async () => {
+      // OPTIMIZATION: Update all sports in batch (one query per sport)
+      for (const sportName of sportNames) {
+        // Update sport to remove all players at once
+        await Sport.updateOne(
+          {
+            name: sportName,
+            event_id: eventId
+          },
+          {
+            $pull: { players_participated: { $in: sportUpdatesMap[sportName] } }
+          }
+        )
+      }
 
-      // Clear cache for this sport (only once per sport)
-      clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-      clearCache(`/api/sports/${sportName}?event_id=${encodeURIComponent(eventId)}`)
-      clearCache(`/api/participants/${sportName}?event_id=${encodeURIComponent(eventId)}`)
-      clearCache(`/api/participants-count/${sportName}?event_id=${encodeURIComponent(eventId)}`)
-      clearCache(`/api/sports-counts?event_id=${encodeURIComponent(eventId)}`)
-    }
+      if (regNumbersToDelete.length > 0) {
+        // Remove deleted players from batches (if assigned)
+        await Batch.updateMany(
+          { event_id: eventId, players: { $in: regNumbersToDelete } },
+          { $pull: { players: { $in: regNumbersToDelete } } }
+        )
 
-    // Remove deleted players from batches (if assigned)
-    if (regNumbersToDelete.length > 0) {
-      await Batch.updateMany(
-        { event_id: eventId, players: { $in: regNumbersToDelete } },
-        { $pull: { players: { $in: regNumbersToDelete } } }
-      )
-    }
+        // Remove deleted players' team invitations
+        await Sport.updateMany(
+          { event_id: eventId, 'teams_participated.invitations.reg_number': { $in: regNumbersToDelete } },
+          { $pull: { 'teams_participated.$[].invitations': { reg_number: { $in: regNumbersToDelete } } } }
+        )
 
-    // OPTIMIZATION: Delete all players in one query
-    if (regNumbersToDelete.length > 0) {
-      await Player.deleteMany({ reg_number: { $in: regNumbersToDelete } })
-      
-      // Clear player gender cache for all deleted players
-      for (const reg_number of regNumbersToDelete) {
-        clearPlayerGenderCache(reg_number)
+        // OPTIMIZATION: Delete all players in one query
+        await Player.deleteMany({ reg_number: { $in: regNumbersToDelete } })
+        await revokeAllSessions(regNumbersToDelete)
       }
-    }
+    })
 
-    // Clear cache (use pattern to clear all variations with query params)
-    clearCachePattern('/api/players')
-    clearCache(`/api/me?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/batches?event_id=${encodeURIComponent(eventId)}`)
+    // Clear cache for each updated sport, player lists and team rosters (invitations), and batches
+    await invalidateCacheTags([
+      cacheTags.sports(eventId),
+      ...sportNames.map(sportName => cacheTags.sport(eventId, sportName)),
+      cacheTags.allPlayers(),
+      cacheTags.batches(eventId)
+    ])
+
+    // Clear player gender cache for all deleted players
+    for (const reg_number of regNumbersToDelete) {
+      await clearPlayerGenderCache(reg_number)
+    }
 
     return sendSuccessResponse(
       res,
@@ -5,30 +5,35 @@
 
 import express from 'express'
 import PointsTable from '../models/PointsTable.js'
-import { authenticateToken } from '../middleware/auth.js'
-import { getCache, setCache, clearCache } from '../utils/cache.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { getCache, setCache, invalidateCacheTags, cacheTags } from '../utils/cache.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
 import { getEventYear } from '../utils/yearHelpers.js'
 import { normalizeSportName, findSportByNameAndId } from '../utils/sportHelpers.js'
-import { requireAdminOrCoordinator } from '../utils/coordinatorHelpers.js'
-import { getPointsEntryGender, getMatchGender } from '../utils/genderHelpers.js'
+import { getMatchGender } from '../utils/genderHelpers.js'
+import { getRankedPointsTable, getPointsRules } from '../utils/pointsTable.js'
+import { getResultsSnapshot } from '../utils/resultsSnapshot.js'
 import logger from '../utils/logger.js'
 
 const router = express.Router()
 
 /**
  * GET /api/points-table/:sport
- * Get points table for a specific sport (sorted by points descending)
+ * Get points table for a specific sport (ranked by points, then the sport's tie-breakers)
  * Event ID Filter: Accepts ?event_id=2026-umang parameter (defaults to active event)
  * Filter by event_id and sports_name
+ * Archived event years return the table frozen in their results snapshot
  */
 router.get(
   '/points-table/:sport',
   authenticateToken,
+  validateRequest('GET /api/points-table/:sport'),
+  authorize('points_table:read', { scope: { event_id: 'query.event_id', sport: 'params.sport' } }),
   asyncHandler(async (req, res) => {
     const { sport } = req.params
     
-    const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
+    const eventIdQuery = req.query.event_id || null
     
     let eventYearData
     
@@ -50,37 +55,41 @@ router.get(
     }
 
     const eventId = eventYearData.doc.event_id
-    const gender = req.query.gender // Required: 'Male' or 'Female'
-
-    // Validate gender is provided
-    if (!gender || (gender !== 'Male' && gender !== 'Female')) {
-      return sendErrorResponse(res, 400, 'Gender parameter is required and must be "Male" or "Female"')
-    }
+    const { gender } = req.query
 
     // Check cache
     const cacheKey = `/api/points-table/${sport}?event_id=${encodeURIComponent(eventId)}&gender=${gender}`
-    const cached = getCache(cacheKey)
+    const cacheEntryTags = [cacheTags.event(eventId), cacheTags.sport(eventId, normalizeSportName(sport))]
+    const cached = await getCache(cacheKey)
     if (cached) {
       // Always use sendSuccessResponse for consistency, even for cached data
       // sendSuccessResponse will add success: true, overriding any existing success field
       return sendSuccessResponse(res, cached)
     }
 
-    // Get all points table entries for this sport and event_id (gender will be derived)
-    // Only returns teams/players who have played at least one league match
-    const allPointsEntries = await PointsTable.find({
-      sports_name: normalizeSportName(sport),
-      event_id: eventId
-    })
-      .sort({ points: -1, matches_won: -1 })
-      .lean()
+    // Archived event years are served from their results snapshot without recomputation
+    if (eventYearData.doc.status === 'archived') {
+      const snapshot = await getResultsSnapshot(eventId)
+      if (snapshot) {
+        const frozenTable = snapshot.points_tables.find(table => table.sport === normalizeSportName(sport) && table.gender === gender)
+        const result = frozenTable
+          ? { ...frozenTable, sport }
+          : { sport, gender, points_table: [], total_participants: 0, has_league_matches: false, points_rules: getPointsRules(null) }
+        await setCache(cacheKey, result, cacheEntryTags)
+        return sendSuccessResponse(res, result)
+      }
+    }
 
     // Performance optimization: batch lookup sport document once (needed for gender derivation)
     const sportDoc = await findSportByNameAndId(sport, eventId).catch(() => null)
 
+    // Entries of the requested gender ranked by points, then the sport's tie-breakers
+    // Only returns teams/players who have played at least one league match
+    const pointsEntries = sportDoc ? await getRankedPointsTable(sportDoc, eventId, gender) : []
+
     // If no entries found, check if there are completed league matches that might need backfilling
     // Also check if there are any league matches at all for this gender
-    if (allPointsEntries.length === 0) {
+    if (pointsEntries.length === 0) {
       const EventSchedule = (await import('../models/EventSchedule.js')).default
       
       // Check for completed league matches (might need backfilling) - filter by event_id
@@ -116,28 +125,6 @@ router.get(
       }
     }
 
-    // Derive gender for each entry and filter by requested gender
-    const pointsEntries = []
-    const entriesWithNullGender = []
-    
-    for (const entry of allPointsEntries) {
-      const entryGender = await getPointsEntryGender(entry, sportDoc)
-      if (entryGender === gender) {
-        pointsEntries.push(entry)
-      } else if (entryGender === null) {
-        // Log entries where gender derivation failed for debugging
-        entriesWithNullGender.push({
-          participant: entry.participant,
-          participant_type: entry.participant_type
-        })
-      }
-    }
-    
-    // Log warning if gender derivation failed for some entries (for debugging)
-    if (entriesWithNullGender.length > 0) {
-      logger.warn(`[PointsTable] Could not derive gender for ${entriesWithNullGender.length} entries in ${sport} (${eventId}):`, entriesWithNullGender.slice(0, 5))
-    }
-
     // Check if there are any league matches for this gender (for better error messaging)
     let hasLeagueMatchesForGender = false
     if (pointsEntries.length === 0) {
@@ -161,19 +148,73 @@ router.get(
       sport: sport,
       points_table: pointsEntries,
       total_participants: pointsEntries.length,
-      has_league_matches: hasLeagueMatchesForGender // Flag to help frontend show appropriate message
+      has_league_matches: hasLeagueMatchesForGender, // Flag to help frontend show appropriate message
+      points_rules: getPointsRules(sportDoc)
     }
 
     // Cache the result (without success field, as sendSuccessResponse adds it)
-    setCache(cacheKey, result)
+    await setCache(cacheKey, result, cacheEntryTags)
 
     return sendSuccessResponse(res, result)
   })
 )
 
+/**
+ * PUT /api/points-table/:sport/coin-toss
+ * Record the coin toss order of participants level on points (admin, event admin, or coordinator for that sport)
+ * Body: { gender, order: [participant, ...] } - first participant ranks highest
+ * Only used when the sport's tie-breakers include coin_toss; the order survives points recalculation
+ */
+router.put(
+  '/points-table/:sport/coin-toss',
+  authenticateToken,
+  validateRequest('PUT /api/points-table/:sport/coin-toss'),
+  authorize('points_table:manage', { scope: { event_id: 'query.event_id', sport: 'params.sport' } }),
+  asyncHandler(async (req, res) => {
+    const { sport } = req.params
+    const { gender, order: participants } = req.body
+
+    const eventIdQuery = req.query.event_id || null
+    const eventYearData = await getEventYear(eventIdQuery, { returnDoc: true })
+    const eventId = eventYearData.doc.event_id
+
+    const sportDoc = await findSportByNameAndId(sport, eventId).catch(() => null)
+    if (!sportDoc) {
+      return handleNotFoundError(res, 'Sport')
+    }
+    if (!getPointsRules(sportDoc).tie_breakers.includes('coin_toss')) {
+      return sendErrorResponse(res, 400, 'Coin toss is not one of the tie-breakers of this sport')
+    }
+
+    // All participants must be level on points in the current table
+    const ranked = await getRankedPointsTable(sportDoc, eventId, gender)
+    const entriesByParticipant = new Map(ranked.map(entry => [entry.participant, entry]))
+    const missing = participants.find(p => !entriesByParticipant.has(p))
+    if (missing) {
+      return sendErrorResponse(res, 400, `"${missing}" is not in the ${gender} points table`)
+    }
+    const tieGroups = new Set(participants.map(p => entriesByParticipant.get(p).tie_group))
+    if (tieGroups.size !== 1 || tieGroups.has(null)) {
+      return sendErrorResponse(res, 400, 'A coin toss can only order participants that are still level after the other tie-breakers')
+    }
+
+    for (let index = 0; index < participants.length; index++) {
+      await PointsTable.updateOne(
+        { _id: entriesByParticipant.get(participants[index])._id },
+        { $set: { coin_toss_rank: index + 1, updatedBy: req.user.reg_number } }
+      )
+    }
+
+    await invalidateCacheTags([cacheTags.sport(eventId, normalizeSportName(sport))])
+
+    const pointsTable = await getRankedPointsTable(sportDoc, eventId, gender)
+    return sendSuccessResponse(res, { points_table: pointsTable }, 'Coin toss order saved')
+  })
+)
+
 /**
  * POST /api/points-table/backfill/:sport
- * Backfill points table for a specific sport (admin or coordinator for that sport)
+ * Backfill points table for a specific sport (admin, event admin, or coordinator for that sport)
  * Useful when points table entries are missing for existing completed matches
  * Note: Backfill is a read-only recalculation operation and is allowed anytime
  * (not restricted by event period since it only recalculates from existing completed matches)
@@ -181,14 +222,14 @@ router.get(
 router.post(
   '/points-table/backfill/:sport',
   authenticateToken,
+  validateRequest('POST /api/points-table/backfill/:sport'),
+  authorize('points_table:manage', { scope: { event_id: 'query.event_id', sport: 'params.sport' } }),
   asyncHandler(async (req, res) => {
     const { sport } = req.params
     
-    const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
+    const eventIdQuery = req.query.event_id || null
     const eventYearData = await getEventYear(eventIdQuery, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
-    
-    await requireAdminOrCoordinator(req.user.reg_number, sport, eventId)
 
     const { backfillPointsTableForSport } = await import('../utils/backfillPointsTable.js')
     const result = await backfillPointsTableForSport(sport, eventId)
@@ -198,8 +239,7 @@ router.post(
     }
     
     // Clear cache after backfill
-    clearCache(`/api/points-table/${sport}?event_id=${encodeURIComponent(eventId)}&gender=Male`)
-    clearCache(`/api/points-table/${sport}?event_id=${encodeURIComponent(eventId)}&gender=Female`)
+    await invalidateCacheTags([cacheTags.sport(eventId, normalizeSportName(sport))])
     
     return sendSuccessResponse(res, result, result.message || 'Points table backfilled successfully')
   })
@@ -0,0 +1,114 @@
+/**
+ * Role Routes
+ * Handles explicit role assignments (super admin, event admin, viewer)
+ * Coordinator and captain roles are managed through /api/add-coordinator and /api/add-captain
+ */
+
+import express from 'express'
+import RoleAssignment from '../models/RoleAssignment.js'
+import Player from '../models/Player.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
+import { getEventYear } from '../utils/yearHelpers.js'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { ROLES } from '../constants/index.js'
+
+const router = express.Router()
+
+/**
+ * GET /api/roles
+ * Get role assignments (super admin only)
+ * Optional filters: ?event_id=2026-umang, ?reg_number=...
+ */
+router.get('/', authenticateToken, validateRequest('GET /api/roles'), authorize('roles:read', { scope: { event_id: 'query.event_id' } }), asyncHandler(async (req, res) => {
+  const query = {}
+  if (req.query.event_id) {
+    query.event_id = req.query.event_id.toLowerCase()
+  }
+  if (req.query.reg_number) {
+    query.reg_number = req.query.reg_number
+  }
+
+  const roles = await RoleAssignment.find(query)
+    .sort({ event_id: 1, role: 1, reg_number: 1 })
+    .lean()
+
+  return sendSuccessResponse(res, { roles })
+}))
+
+/**
+ * POST /api/roles
+ * Assign a role to a player (super admin only)
+ * Body: { reg_number, role, event_id }
+ * event_id is required for event_admin, optional for viewer (omit for all event years), not allowed for super_admin
+ */
+router.post('/', authenticateToken, validateRequest('POST /api/roles'), authorize('roles:manage', { scope: { event_id: 'body.event_id' } }), asyncHandler(async (req, res) => {
+  const { createdBy, updatedBy, ...bodyData } = req.body
+
+  // Explicitly reject if user tries to send createdBy or updatedBy
+  if (createdBy !== undefined || updatedBy !== undefined) {
+    return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
+  }
+
+  const { reg_number, role } = bodyData
+  const rawEventId = bodyData.event_id || null
+
+  if (role === ROLES.EVENT_ADMIN && !rawEventId) {
+    return sendErrorResponse(res, 400, 'event_id is required for event_admin role')
+  }
+
+  if (role === ROLES.SUPER_ADMIN && rawEventId) {
+    return sendErrorResponse(res, 400, 'super_admin role cannot be scoped to an event year')
+  }
+
+  // Validate player exists
+  const player = await Player.findOne({ reg_number }).select('reg_number').lean()
+  if (!player) {
+    return handleNotFoundError(res, 'Player')
+  }
+
+  // Validate event year exists
+  let eventId = null
+  if (rawEventId) {
+    try {
+      eventId = await getEventYear(rawEventId, { requireId: true })
+    } catch (error) {
+      return sendErrorResponse(res, 400, error.message)
+    }
+  }
+
+  const existingRole = await RoleAssignment.findOne({ reg_number, role, event_id: eventId })
+  if (existingRole) {
+    return sendErrorResponse(res, 409, `Player already has the ${role} role${eventId ? ` for ${eventId}` : ''}`)
+  }
+
+  const roleAssignment = new RoleAssignment({
+    reg_number,
+    role,
+    event_id: eventId,
+    createdBy: req.user.reg_number
+  })
+
+  await roleAssignment.save()
+
+  return sendSuccessResponse(res, { role: roleAssignment }, 'Role assigned successfully', 201)
+}))
+
+/**
+ * DELETE /api/roles/:id
+ * Remove a role assignment (super admin only)
+ */
+router.delete('/:id', authenticateToken, validateRequest('DELETE /api/roles/:id'), authorize('roles:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+
+  const roleAssignment = await RoleAssignment.findById(id)
+  if (!roleAssignment) {
+    return handleNotFoundError(res, 'Role assignment')
+  }
+
+  await RoleAssignment.findByIdAndDelete(id)
+
+  return sendSuccessResponse(res, {}, 'Role removed successfully')
+}))
+
+export default router
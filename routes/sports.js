@@ -7,12 +7,30 @@ import express from 'express'
 import Sport from '../models/Sport.js'
 import EventSchedule from '../models/EventSchedule.js'
 import PointsTable from '../models/PointsTable.js'
-import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
 import { requireRegistrationPeriod } from '../middleware/dateRestrictions.js'
-import { getCache, setCache, clearCache, clearCachePattern } from '../utils/cache.js'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { getCache, setCache, invalidateCacheTags, cacheTags } from '../utils/cache.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse } from '../utils/errorHandler.js'
 import { getEventYear } from '../utils/yearHelpers.js'
-import { isTeamSportType, validateTeamSize, normalizeSportName, findSportByNameAndId } from '../utils/sportHelpers.js'
+import { isTeamSportType, validateTeamSize, validateReserveSlots, normalizeSportName, findSportByNameAndId } from '../utils/sportHelpers.js'
+import { validateScoringRules } from '../utils/scoreHelpers.js'
+import { validatePointsRules, recalculatePointsTableForGender } from '../utils/pointsTable.js'
+import { runInTransaction } from '../utils/unitOfWork.js'
+
+/**
+ * Validate points rules for a sport type (league points table is only kept for dual sports)
+ * @param {any} points_rules - Points rules from the request body
+ * @param {string} type - Sport type
+ * @returns {Object} { isValid, value, error }
+ */
+function validateSportPointsRules(points_rules, type) {
+  const validation = validatePointsRules(points_rules ?? null)
+  if (validation.isValid && validation.value && type !== 'dual_team' && type !== 'dual_player') {
+    return { isValid: false, value: null, error: 'points_rules only apply to dual_team and dual_player sports' }
+  }
+  return validation
+}
 
 const router = express.Router()
 
@@ -23,7 +41,7 @@ const router = express.Router()
  * Filters by event_id
  * IMPORTANT: This route must come before /:name to avoid conflicts
  */
-router.get('/sports', asyncHandler(async (req, res) => {
+router.get('/sports', validateRequest('GET /api/sports'), asyncHandler(async (req, res) => {
   const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
   
   let eventYearData
@@ -44,7 +62,7 @@ router.get('/sports', asyncHandler(async (req, res) => {
   
   // Check cache
   const cacheKey = `/api/sports?event_id=${encodeURIComponent(eventId)}`
-  const cached = getCache(cacheKey)
+  const cached = await getCache(cacheKey)
   if (cached) {
     return res.json(cached)
   }
@@ -55,20 +73,22 @@ router.get('/sports', asyncHandler(async (req, res) => {
     .lean()
   
   // Cache the result
-  setCache(cacheKey, sports)
+  await setCache(cacheKey, sports, [cacheTags.event(eventId), cacheTags.sports(eventId)])
   
   res.json(sports)
 }))
 
 /**
  * POST /api/sports
- * Create new sport (admin only)
+ * Create new sport (admin or event admin for the event year)
  * event_id is REQUIRED in request body
  * Validates event_id exists in EventYear collection
- * Admin sets type, category, team_size
- * Validates team_size only for team sports
+ * Admin sets type, category, team_size, reserve_slots, scoring
+ * Validates team_size and reserve_slots only for team sports
+ * Validates scoring format against the sport type (optional, null = winner/qualifiers only)
+ * Validates points_rules (optional, dual sports only, null = default points)
  */
-router.post('/sports', authenticateToken, requireAdmin, requireRegistrationPeriod, asyncHandler(async (req, res) => {
+router.post('/sports', authenticateToken, validateRequest('POST /api/sports'), authorize('sports:manage', { scope: { event_id: 'body.event_id' } }), requireRegistrationPeriod, asyncHandler(async (req, res) => {
     const { createdBy, updatedBy, ...bodyData } = req.body
     
     // Explicitly reject if user tries to send createdBy or updatedBy
@@ -76,25 +96,10 @@ router.post('/sports', authenticateToken, requireAdmin, requireRegistrationPerio
       return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
     }
     
-    const { name, event_id, type, category, team_size, imageUri } = bodyData
-    
-    if (!name || !name.trim()) {
-    return sendErrorResponse(res, 400, 'Sport name is required')
-    }
-    
-    if (!type || !['dual_team', 'multi_team', 'dual_player', 'multi_player'].includes(type)) {
-    return sendErrorResponse(res, 400, 'Valid sport type is required')
-    }
-    
-    if (!category || !['team events', 'individual events', 'literary and cultural activities'].includes(category)) {
-    return sendErrorResponse(res, 400, 'Valid category is required')
-    }
-    
-  if (!event_id || !String(event_id).trim()) {
-    return sendErrorResponse(res, 400, 'event_id is required')
-  }
+    // name, type, category and event_id are required (checked by the request schema)
+    const { name, event_id, type, category, team_size, reserve_slots, imageUri, scoring, points_rules } = bodyData
   
-  const eventYearData = await getEventYear(String(event_id).trim(), { requireId: true, returnDoc: true })
+  const eventYearData = await getEventYear(event_id, { requireId: true, returnDoc: true })
   const eventId = eventYearData.doc.event_id
     
     // Validate team_size
@@ -103,6 +108,24 @@ router.post('/sports', authenticateToken, requireAdmin, requireRegistrationPerio
     return sendErrorResponse(res, 400, teamSizeValidation.error)
       }
   const parsedTeamSize = teamSizeValidation.value
+
+  // Validate reserve_slots
+  const reserveSlotsValidation = validateReserveSlots(reserve_slots, type)
+  if (!reserveSlotsValidation.isValid) {
+    return sendErrorResponse(res, 400, reserveSlotsValidation.error)
+  }
+
+  // Validate scoring format
+  const scoringValidation = validateScoringRules(scoring ?? null, type)
+  if (!scoringValidation.isValid) {
+    return sendErrorResponse(res, 400, scoringValidation.error)
+  }
+
+  // Validate points rules
+  const pointsRulesValidation = validateSportPointsRules(points_rules, type)
+  if (!pointsRulesValidation.isValid) {
+    return sendErrorResponse(res, 400, pointsRulesValidation.error)
+  }
     
     // Check if sport with same name already exists for this event_id
     const existingSport = await Sport.findOne({ 
@@ -119,28 +142,32 @@ router.post('/sports', authenticateToken, requireAdmin, requireRegistrationPerio
       type,
       category,
     team_size: isTeamSportType(type) ? parsedTeamSize : null,
+    reserve_slots: reserveSlotsValidation.value,
       imageUri: imageUri?.trim() || null,
+      scoring: scoringValidation.value,
+      points_rules: pointsRulesValidation.value,
       createdBy: req.user.reg_number
     })
     
     await sport.save()
     
     // Clear sports cache
-  clearCachePattern('/api/sports')
-  clearCachePattern('/api/sports-counts')
+  await invalidateCacheTags([cacheTags.sports(sport.event_id)])
     
   return sendSuccessResponse(res, sport, 'Sport created successfully', 201)
 }))
 
 /**
  * PUT /api/sports/:id
- * Update sport (admin only)
+ * Update sport (admin or event admin for the event year)
  * Accepts ?event_id=2026-umang parameter (defaults to active event if not provided)
  * Validates sport belongs to that event
  * Update within same event (cannot change event_id)
- * Validates team_size if updated
+ * Validates team_size and reserve_slots if updated
+ * Validates scoring if updated (or if type changes, against the new type)
+ * Validates points_rules if updated and recalculates the points table with the new rules
  */
-router.put('/sports/:id', authenticateToken, requireAdmin, requireRegistrationPeriod, asyncHandler(async (req, res) => {
+router.put('/sports/:id', authenticateToken, validateRequest('PUT /api/sports/:id'), authorize('sports:manage', { scope: { event_id: 'query.event_id' } }), requireRegistrationPeriod, asyncHandler(async (req, res) => {
     const { id } = req.params
   const { createdBy, updatedBy, ...bodyData } = req.body
   
@@ -149,7 +176,7 @@ router.put('/sports/:id', authenticateToken, requireAdmin, requireRegistrationPe
     return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
   }
   
-  const { type, category, team_size, imageUri } = bodyData
+  const { type, category, team_size, reserve_slots, imageUri, scoring, points_rules } = bodyData
     
     const sport = await Sport.findById(id)
     if (!sport) {
@@ -184,18 +211,12 @@ router.put('/sports/:id', authenticateToken, requireAdmin, requireRegistrationPe
     return sendErrorResponse(res, 400, 'Cannot change event_id. Create a new sport for a different event.')
     }
     
-    // Update allowed fields
+    // Update allowed fields (type and category values are checked by the request schema)
     if (type) {
-      if (!['dual_team', 'multi_team', 'dual_player', 'multi_player'].includes(type)) {
-      return sendErrorResponse(res, 400, 'Invalid sport type')
-      }
       sport.type = type
     }
     
     if (category) {
-      if (!['team events', 'individual events', 'literary and cultural activities'].includes(category)) {
-      return sendErrorResponse(res, 400, 'Invalid category')
-      }
       sport.category = category
     }
     
@@ -215,32 +236,90 @@ router.put('/sports/:id', authenticateToken, requireAdmin, requireRegistrationPe
     // If changing from team sport to non-team sport, clear team_size
     sport.team_size = null
     }
+
+  // Validate reserve_slots (cleared when the sport is no longer a team sport)
+  if (reserve_slots !== undefined) {
+    const reserveSlotsValidation = validateReserveSlots(reserve_slots, finalType)
+    if (!reserveSlotsValidation.isValid) {
+      return sendErrorResponse(res, 400, reserveSlotsValidation.error)
+    }
+    sport.reserve_slots = reserveSlotsValidation.value
+  } else if (!isTeamSportType(finalType)) {
+    sport.reserve_slots = 0
+  }
     
     // Update imageUri if provided
     if (imageUri !== undefined) {
       sport.imageUri = imageUri?.trim() || null
     }
+
+  // Validate scoring if provided, or re-check the existing scoring when the type changes
+  if (scoring !== undefined || (type && sport.scoring?.format)) {
+    const scoringValidation = validateScoringRules(
+      scoring !== undefined ? scoring : sport.scoring.toObject(),
+      finalType
+    )
+    if (!scoringValidation.isValid) {
+      return sendErrorResponse(res, 400, scoringValidation.error)
+    }
+
+    // Recorded scores are stored in the current format, so the format is fixed once a match has scores
+    const newFormat = scoringValidation.value?.format || null
+    if (newFormat !== (sport.scoring?.format || null)) {
+      const scoredMatchCount = await EventSchedule.countDocuments({
+        event_id: sport.event_id,
+        sports_name: sport.name,
+        'scores.0': { $exists: true }
+      })
+      if (scoredMatchCount > 0) {
+        return sendErrorResponse(res, 400, `Cannot change scoring format. ${scoredMatchCount} match(es) already have recorded scores.`)
+      }
+    }
+    sport.scoring = scoringValidation.value
+  }
+
+  // Validate points rules if provided, or re-check the existing rules when the type changes
+  let pointsRulesChanged = false
+  if (points_rules !== undefined || (type && sport.points_rules)) {
+    const pointsRulesValidation = validateSportPointsRules(
+      points_rules !== undefined ? points_rules : sport.points_rules.toObject(),
+      finalType
+    )
+    if (!pointsRulesValidation.isValid) {
+      return sendErrorResponse(res, 400, pointsRulesValidation.error)
+    }
+    const previousPointsRules = sport.points_rules ? sport.points_rules.toObject() : null
+    pointsRulesChanged = JSON.stringify(previousPointsRules) !== JSON.stringify(pointsRulesValidation.value)
+    sport.points_rules = pointsRulesValidation.value
+  }
     
     // Set updatedBy from token
     sport.updatedBy = req.user.reg_number
     
+  // Existing league results are re-scored with the new points rules (in the same transaction as the sport)
+  const rescorePointsTable = pointsRulesChanged && (sport.type === 'dual_team' || sport.type === 'dual_player')
+  await runInTransaction(async () => {
     await sport.save()
+    if (rescorePointsTable) {
+      await recalculatePointsTableForGender(sport.name, sport.event_id, 'Male', req.user.reg_number)
+      await recalculatePointsTableForGender(sport.name, sport.event_id, 'Female', req.user.reg_number)
+    }
+  })
     
-    // Clear sports cache
-  clearCachePattern('/api/sports')
-  clearCachePattern('/api/sports-counts')
+    // Clear sports cache and the sport's schedule, teams and points table (re-scored above)
+  await invalidateCacheTags([cacheTags.sports(sport.event_id), cacheTags.sport(sport.event_id, sport.name)])
     
   return sendSuccessResponse(res, sport, 'Sport updated successfully')
 }))
 
 /**
  * DELETE /api/sports/:id
- * Delete sport (admin only)
+ * Delete sport (admin or event admin for the event year)
  * Accepts ?event_id=2026-umang parameter (defaults to active event if not provided)
  * Validates sport belongs to that event
  * Validates no matches or points table entries exist for this sport in the same event
  */
-router.delete('/sports/:id', authenticateToken, requireAdmin, requireRegistrationPeriod, asyncHandler(async (req, res) => {
+router.delete('/sports/:id', authenticateToken, validateRequest('DELETE /api/sports/:id'), authorize('sports:manage', { scope: { event_id: 'query.event_id' } }), requireRegistrationPeriod, asyncHandler(async (req, res) => {
     const { id } = req.params
     
     const sport = await Sport.findById(id)
@@ -313,8 +392,7 @@ router.delete('/sports/:id', authenticateToken, requireAdmin, requireRegistratio
     await Sport.findByIdAndDelete(id)
     
     // Clear sports cache
-  clearCachePattern('/api/sports')
-  clearCachePattern('/api/sports-counts')
+  await invalidateCacheTags([cacheTags.sports(sport.event_id), cacheTags.sport(sport.event_id, sport.name)])
     
   return sendSuccessResponse(res, {}, 'Sport deleted successfully')
 }))
@@ -325,7 +403,7 @@ router.delete('/sports/:id', authenticateToken, requireAdmin, requireRegistratio
  * Query Sports collection, filter by event_id
  * IMPORTANT: This route must come BEFORE /:name to avoid route conflicts
  */
-router.get('/sports-counts', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/sports-counts', authenticateToken, validateRequest('GET /api/sports-counts'), authorize('sports:read_counts', { scope: { event_id: 'query.event_id' } }), asyncHandler(async (req, res) => {
   const eventIdQuery = req.query.event_id ? String(req.query.event_id).trim() : null
   
   let eventYearData
@@ -350,7 +428,7 @@ router.get('/sports-counts', authenticateToken, asyncHandler(async (req, res) =>
   
   // Check cache
   const cacheKey = `/api/sports-counts?event_id=${encodeURIComponent(eventId)}`
-  const cached = getCache(cacheKey)
+  const cached = await getCache(cacheKey)
   if (cached) {
     return res.json(cached)
   }
@@ -377,7 +455,7 @@ router.get('/sports-counts', authenticateToken, asyncHandler(async (req, res) =>
   }
   
   // Cache the result
-  setCache(cacheKey, result)
+  await setCache(cacheKey, result, [cacheTags.event(eventId), cacheTags.sports(eventId)])
   
   res.json(result)
 }))
@@ -390,17 +468,13 @@ router.get('/sports-counts', authenticateToken, asyncHandler(async (req, res) =>
  * IMPORTANT: This route must come AFTER /sports-counts to avoid route conflicts
  * Also exclude 'sports-counts' from matching this route
  */
-router.get('/sports/:name', asyncHandler(async (req, res) => {
+router.get('/sports/:name', validateRequest('GET /api/sports/:name'), asyncHandler(async (req, res) => {
   // Prevent 'sports-counts' from matching this route (should be handled by /sports-counts route above)
   if (req.params.name === 'sports-counts') {
     return sendErrorResponse(res, 404, 'Route not found')
   }
   
-  // Additional safeguard: if name is empty or just whitespace, it shouldn't match
   const { name } = req.params
-  if (!name || !name.trim()) {
-    return sendErrorResponse(res, 404, 'Route not found')
-  }
   
   // event_id is optional; defaults to active event if not provided
   // If one is provided, the other is also required for composite key filtering
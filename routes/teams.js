@@ -7,264 +7,234 @@ import express from 'express'
 import Sport from '../models/Sport.js'
 import Player from '../models/Player.js'
 import EventSchedule from '../models/EventSchedule.js'
-import { authenticateToken, requireAdmin } from '../middleware/auth.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
 import { requireRegistrationPeriod } from '../middleware/dateRestrictions.js'
+import { validateRequest } from '../middleware/validateRequest.js'
 import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError, handleForbiddenError } from '../utils/errorHandler.js'
-import { trimObjectFields } from '../utils/validation.js'
-import { getCache, setCache, clearCache, clearCachePattern } from '../utils/cache.js'
+import { getCache, setCache, invalidateCacheTags, cacheTags } from '../utils/cache.js'
+import { clearParticipationCaches } from '../utils/cacheHelpers.js'
 import { clearTeamGenderCache, clearSportGenderCache } from '../utils/genderHelpers.js'
 import { getEventYear } from '../utils/yearHelpers.js'
-import { findSportByNameAndId, normalizeSportName } from '../utils/sportHelpers.js'
+import { findSportByNameAndId, normalizeSportName, getTeamRosterLimit, isTeamComplete } from '../utils/sportHelpers.js'
 import { getPlayersBatchNames } from '../utils/batchHelpers.js'
-import { requireAdminOrCoordinator } from '../utils/coordinatorHelpers.js'
+import {
+  getInvitationState,
+  getOpenInvitations,
+  findTeamByName,
+  buildInvitation,
+  validateTeamCandidate,
+  validateInvitationRoom,
+  removePlayerInvitations
+} from '../utils/invitationHelpers.js'
+import { notifyTeamInvitations } from '../utils/notifications.js'
+import { runInTransaction } from '../utils/unitOfWork.js'
 
 const router = express.Router()
 
+/**
+ * Clear caches affected by a change to a team's invitations
+ * @param {string} sport - Sport name
+ * @param {string} eventId - Event ID
+ * @param {string} teamName - Team name
+ * @param {boolean} membersChanged - True when the team's players changed (an invitation was accepted)
+ */
+async function clearTeamInvitationCaches(sport, eventId, teamName, membersChanged = false) {
+  if (membersChanged) {
+    await clearParticipationCaches(eventId, sport)
+    await clearTeamGenderCache(teamName, sport, eventId)
+  } else {
+    await invalidateCacheTags([cacheTags.sport(eventId, normalizeSportName(sport))])
+  }
+}
+
 /**
  * POST /api/update-team-participation
  * Captain creates a team (workflow: captain assigned via POST /api/add-captain)
  * Event ID Required: event_id field required in request body (defaults to active event)
  * Update Sports collection's teams_participated array (for the specified event)
+ * The captain joins the team; every other player receives a pending invitation (see /api/team-invitations)
+ * Invited players are emailed (team_invitation) unless they opted out
  */
 router.post(
   '/update-team-participation',
   authenticateToken,
+  validateRequest('POST /api/update-team-participation'),
+  authorize('teams:create', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    let { team_name, sport, reg_numbers, event_id } = req.body
+    const { team_name, sport, reg_numbers, event_id } = req.body
 
-    // Trim fields
-    const trimmed = trimObjectFields({ team_name, sport, event_id })
-    sport = trimmed.sport
-    team_name = trimmed.team_name
-    event_id = trimmed.event_id
-
-    if (!event_id || !String(event_id).trim()) {
-      return sendErrorResponse(res, 400, 'event_id is required')
-    }
-
-    // Get event (default to active event if not provided)
-    const eventYearData = await getEventYear(String(event_id).trim(), { returnDoc: true })
+    // Get event
+    const eventYearData = await getEventYear(event_id, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
-    // Validate required fields
-    if (!team_name || !sport || !reg_numbers || !Array.isArray(reg_numbers) || reg_numbers.length === 0) {
-      return sendErrorResponse(res, 400, 'Team name, sport, and registration numbers array are required')
-    }
-
-    // Trim reg_numbers array
-    reg_numbers = reg_numbers.map((rn) => rn?.trim()).filter((rn) => rn)
-
-    // Check for duplicate players in the team
-    const regNumberSet = new Set()
-    const duplicates = []
-    for (const reg_number of reg_numbers) {
-      if (regNumberSet.has(reg_number)) {
-        duplicates.push(reg_number)
-      } else {
-        regNumberSet.add(reg_number)
-      }
-    }
-    if (duplicates.length > 0) {
-      return sendErrorResponse(
-        res,
-        400,
-        `Duplicate players found in team: ${duplicates.join(', ')}. Each player can only be selected once.`
-      )
-    }
-
-    // Find sport by name and event_id
-    const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
-
     // Validate captain eligibility
     const loggedInUserRegNumber = req.user?.reg_number
     if (!loggedInUserRegNumber) {
       return handleForbiddenError(res, 'You must be logged in to create a team')
     }
 
-    // Coordinators cannot participate in the same sport
-    if (sportDoc.eligible_coordinators && sportDoc.eligible_coordinators.includes(loggedInUserRegNumber)) {
-      return handleForbiddenError(
-        res,
-        `You are a coordinator for ${sport} and cannot create or join a team for that sport.`
-      )
-    }
+    // The sport, player and batch reads, the checks on them and the save run in one transaction (queries inside the
+    // callback use its session), so a concurrent request cannot take the team name or a player before the save
+    const result = await runInTransaction(async () => {
+      // Find sport by name and event_id
+      const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
 
-    // Validate sport is a team sport
-    if (sportDoc.type !== 'dual_team' && sportDoc.type !== 'multi_team') {
-      return sendErrorResponse(res, 400, 'Team participation is only applicable for team sports (dual_team or multi_team)')
-    }
+      // Coordinators cannot participate in the same sport
+      if (sportDoc.eligible_coordinators && sportDoc.eligible_coordinators.includes(loggedInUserRegNumber)) {
+        return { error: { statusCode: 403, message: `You are a coordinator for ${sport} and cannot create or join a team for that sport.` } }
+      }
 
-    // Check if team name already exists for this sport
-    const existingTeam = sportDoc.teams_participated.find(
-      team => team.team_name.toLowerCase() === team_name.toLowerCase()
-    )
-    if (existingTeam) {
-      return sendErrorResponse(
-        res,
-        400,
-        `Team name "${team_name}" already exists for ${sport}. Please choose a different team name.`
+      // Validate sport is a team sport
+      if (sportDoc.type !== 'dual_team' && sportDoc.type !== 'multi_team') {
+        return { error: { statusCode: 400, message: 'Team participation is only applicable for team sports (dual_team or multi_team)' } }
+      }
+
+      // Check if team name already exists for this sport
+      const existingTeam = sportDoc.teams_participated.find(
+        team => team.team_name.toLowerCase() === team_name.toLowerCase()
       )
-    }
+      if (existingTeam) {
+        return { error: { statusCode: 400, message: `Team name "${team_name}" already exists for ${sport}. Please choose a different team name.` } }
+      }
 
-    // Fetch all players at once
-    const players = await Player.find({ reg_number: { $in: reg_numbers } }).select('-password')
-    const playersMap = new Map(players.map((p) => [p.reg_number, p]))
+      // Fetch all players at once
+      const players = await Player.find({ reg_number: { $in: reg_numbers } }).select('-password')
+      const playersMap = new Map(players.map((p) => [p.reg_number, p]))
 
-    // Validate all players exist
-    const errors = []
-    for (const reg_number of reg_numbers) {
-      if (!playersMap.has(reg_number)) {
-        errors.push(`Player with reg_number ${reg_number} not found`)
+      // Validate all players exist
+      const errors = []
+      for (const reg_number of reg_numbers) {
+        if (!playersMap.has(reg_number)) {
+          errors.push(`Player with reg_number ${reg_number} not found`)
+        }
+      }
+      if (errors.length > 0) {
+        return { error: { statusCode: 400, message: errors.join('; ') } }
       }
-    }
-    if (errors.length > 0) {
-      return sendErrorResponse(res, 400, errors.join('; '))
-    }
 
-    const playerData = reg_numbers.map(rn => playersMap.get(rn))
+      const playerData = reg_numbers.map(rn => playersMap.get(rn))
 
-    // CRITICAL: Validate that all players are in the same batch
-    const batchMap = await getPlayersBatchNames(reg_numbers, eventId)
-    const missingBatch = reg_numbers.filter(rn => !batchMap[rn])
-    if (missingBatch.length > 0) {
-      return sendErrorResponse(
-        res,
-        400,
-        `Batch assignment missing for: ${missingBatch.join(', ')}. Please assign batches before creating a team.`
-      )
-    }
+      // CRITICAL: Validate that all players are in the same batch
+      const batchMap = await getPlayersBatchNames(reg_numbers, eventId)
+      const missingBatch = reg_numbers.filter(rn => !batchMap[rn])
+      if (missingBatch.length > 0) {
+        return { error: { statusCode: 400, message: `Batch assignment missing for: ${missingBatch.join(', ')}. Please assign batches before creating a team.` } }
+      }
 
-    const firstBatch = batchMap[reg_numbers[0]]
-    const batchMismatches = reg_numbers.filter(rn => batchMap[rn] && batchMap[rn] !== firstBatch)
-    if (batchMismatches.length > 0) {
-      const mismatchNames = batchMismatches.map((rn) => {
-        const player = playersMap.get(rn)
-        return player ? `${player.full_name} (${player.reg_number})` : rn
-      })
-      return sendErrorResponse(
-        res,
-        400,
-        `Batch mismatch: ${mismatchNames.join(', ')} must be in the same batch (${firstBatch}) as other team members.`
-      )
-    }
+      const firstBatch = batchMap[reg_numbers[0]]
+      const batchMismatches = reg_numbers.filter(rn => batchMap[rn] && batchMap[rn] !== firstBatch)
+      if (batchMismatches.length > 0) {
+        const mismatchNames = batchMismatches.map((rn) => {
+          const player = playersMap.get(rn)
+          return player ? `${player.full_name} (${player.reg_number})` : rn
+        })
+        return { error: { statusCode: 400, message: `Batch mismatch: ${mismatchNames.join(', ')} must be in the same batch (${firstBatch}) as other team members.` } }
+      }
 
-    // Coordinators cannot participate in the same sport
-    if (sportDoc.eligible_coordinators && sportDoc.eligible_coordinators.length > 0) {
-      const coordinatorInTeam = reg_numbers.find(rn => sportDoc.eligible_coordinators.includes(rn))
-      if (coordinatorInTeam) {
-        return sendErrorResponse(
-          res,
-          400,
-          `Player ${coordinatorInTeam} is a coordinator for ${sport} and cannot participate in that sport.`
-        )
+      // Coordinators cannot participate in the same sport
+      if (sportDoc.eligible_coordinators && sportDoc.eligible_coordinators.length > 0) {
+        const coordinatorInTeam = reg_numbers.find(rn => sportDoc.eligible_coordinators.includes(rn))
+        if (coordinatorInTeam) {
+          return { error: { statusCode: 400, message: `Player ${coordinatorInTeam} is a coordinator for ${sport} and cannot participate in that sport.` } }
+        }
       }
-    }
 
-    // Validate that all players have the same gender
-    if (playerData.length > 0) {
-      const firstGender = playerData[0].gender
-      const genderMismatches = playerData.filter((p) => p.gender !== firstGender).map((p) => `${p.full_name} (${p.reg_number})`)
+      // Validate that all players have the same gender
+      if (playerData.length > 0) {
+        const firstGender = playerData[0].gender
+        const genderMismatches = playerData.filter((p) => p.gender !== firstGender).map((p) => `${p.full_name} (${p.reg_number})`)
 
-      if (genderMismatches.length > 0) {
-        return sendErrorResponse(
-          res,
-          400,
-          `Gender mismatch: ${genderMismatches.join(', ')} must have the same gender (${firstGender}) as other team members.`
-        )
+        if (genderMismatches.length > 0) {
+          return { error: { statusCode: 400, message: `Gender mismatch: ${genderMismatches.join(', ')} must have the same gender (${firstGender}) as other team members.` } }
+        }
       }
-    }
 
-    // Validate captain eligibility
-
-    // Check if logged-in user is in eligible_captains
-    if (!sportDoc.eligible_captains || !sportDoc.eligible_captains.includes(loggedInUserRegNumber)) {
-      return handleForbiddenError(
-        res,
-        `You can only create teams for sports where you are assigned as captain. You are not assigned as captain for ${sport}.`
-      )
-    }
+      // Validate captain eligibility
 
-    // Check if logged-in user is in the team
-    if (!reg_numbers.includes(loggedInUserRegNumber)) {
-      return handleForbiddenError(res, 'You must be included in the team to create it.')
-    }
+      // Check if logged-in user is in eligible_captains
+      if (!sportDoc.eligible_captains || !sportDoc.eligible_captains.includes(loggedInUserRegNumber)) {
+        return { error: { statusCode: 403, message: `You can only create teams for sports where you are assigned as captain. You are not assigned as captain for ${sport}.` } }
+      }
 
-    // Validate exactly one captain in the team
-    const captainsInTeam = playerData.filter(
-      (p) => sportDoc.eligible_captains && sportDoc.eligible_captains.includes(p.reg_number)
-    )
+      // Check if logged-in user is in the team
+      if (!reg_numbers.includes(loggedInUserRegNumber)) {
+        return { error: { statusCode: 403, message: 'You must be included in the team to create it.' } }
+      }
 
-    if (captainsInTeam.length === 0) {
-      return sendErrorResponse(
-        res,
-        400,
-        `Team must have exactly one captain for ${sport}. At least one player in the team must be assigned as captain for this sport.`
+      // Validate exactly one captain in the team
+      const captainsInTeam = playerData.filter(
+        (p) => sportDoc.eligible_captains && sportDoc.eligible_captains.includes(p.reg_number)
       )
-    }
 
-    if (captainsInTeam.length > 1) {
-      const captainNames = captainsInTeam.map((p) => `${p.full_name} (${p.reg_number})`)
-      return sendErrorResponse(
-        res,
-        400,
-        `Multiple captains found in the same team: ${captainNames.join(', ')}. A team can only have exactly one captain for ${sport}.`
-      )
-    }
+      if (captainsInTeam.length === 0) {
+        return { error: { statusCode: 400, message: `Team must have exactly one captain for ${sport}. At least one player in the team must be assigned as captain for this sport.` } }
+      }
 
-    // Validate team size
-    if (sportDoc.team_size !== null && sportDoc.team_size !== undefined) {
-      if (reg_numbers.length !== sportDoc.team_size) {
-        return sendErrorResponse(
-          res,
-          400,
-          `Team size mismatch. This sport requires exactly ${sportDoc.team_size} players, but ${reg_numbers.length} players were provided.`
-        )
+      if (captainsInTeam.length > 1) {
+        const captainNames = captainsInTeam.map((p) => `${p.full_name} (${p.reg_number})`)
+        return { error: { statusCode: 400, message: `Multiple captains found in the same team: ${captainNames.join(', ')}. A team can only have exactly one captain for ${sport}.` } }
       }
-    }
 
-    // Check if any player is already in a team for this sport
-    for (const player of playerData) {
-      const existingTeam = sportDoc.teams_participated.find(
-        team => team.players && team.players.includes(player.reg_number)
-      )
-      if (existingTeam) {
-        return sendErrorResponse(
-          res,
-          400,
-          `${player.full_name} (${player.reg_number}) is already in a team (${existingTeam.team_name}) for ${sport}. A player can only belong to one team per sport.`
+      // Validate team size (team_size players plus up to reserve_slots reserves)
+      const rosterLimit = getTeamRosterLimit(sportDoc)
+      if (rosterLimit !== null) {
+        if (reg_numbers.length < sportDoc.team_size || reg_numbers.length > rosterLimit) {
+          const expected = rosterLimit > sportDoc.team_size
+            ? `${sportDoc.team_size} to ${rosterLimit} players (${sportDoc.team_size} plus up to ${sportDoc.reserve_slots} reserves)`
+            : `exactly ${sportDoc.team_size} players`
+          return { error: { statusCode: 400, message: `Team size mismatch. This sport requires ${expected}, but ${reg_numbers.length} players were provided.` } }
+        }
+      }
+
+      // Check if any player is already in a team for this sport
+      for (const player of playerData) {
+        const existingTeam = sportDoc.teams_participated.find(
+          team => team.players && team.players.includes(player.reg_number)
         )
+        if (existingTeam) {
+          return { error: { statusCode: 400, message: `${player.full_name} (${player.reg_number}) is already in a team (${existingTeam.team_name}) for ${sport}. A player can only belong to one team per sport.` } }
+        }
       }
-    }
 
-    // Add team to teams_participated array
-    const captain = captainsInTeam[0]
-    const newTeam = {
-      team_name: team_name.trim(),
-      captain: captain.reg_number,
-      players: reg_numbers
-    }
+      // Add team to teams_participated array
+      // Only the captain is a member; the other players are invited and join by accepting
+      const captain = captainsInTeam[0]
+      const newTeam = {
+        team_name: team_name.trim(),
+        captain: captain.reg_number,
+        players: [captain.reg_number],
+        invitations: reg_numbers
+          .filter(rn => rn !== captain.reg_number)
+          .map(rn => buildInvitation(rn, loggedInUserRegNumber, req.eventYearDoc))
+      }
+
+      if (!sportDoc.teams_participated) {
+        sportDoc.teams_participated = []
+      }
+      sportDoc.teams_participated.push(newTeam)
+      await sportDoc.save()
 
-    if (!sportDoc.teams_participated) {
-      sportDoc.teams_participated = []
+      return { newTeam, sportDoc }
+    })
+
+    if (result.error) {
+      return sendErrorResponse(res, result.error.statusCode, result.error.message)
     }
-    sportDoc.teams_participated.push(newTeam)
-    await sportDoc.save()
+    const { newTeam, sportDoc } = result
 
     // Clear cache
-    clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/teams/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports-counts?event_id=${encodeURIComponent(eventId)}`)
-    clearCachePattern('/api/players')
-    clearCachePattern('/api/me')
+    await clearParticipationCaches(eventId, sport)
     // Clear gender cache for this team (team composition changed)
-    clearTeamGenderCache(team_name, sport, eventId)
+    await clearTeamGenderCache(team_name, sport, eventId)
+
+    // Queue invitation emails (never fails the request)
+    await notifyTeamInvitations(newTeam.invitations, sportDoc, newTeam.team_name, loggedInUserRegNumber, eventId)
 
     return sendSuccessResponse(
       res,
       { team: newTeam, sport: sportDoc },
-      `Team "${team_name}" created successfully for ${sport}`
+      `Team "${team_name}" created successfully for ${sport}. Invitations sent to ${newTeam.invitations.length} player(s).`
     )
   })
 )
@@ -278,14 +248,12 @@ router.post(
 router.get(
   '/teams/:sport',
   authenticateToken,
+  validateRequest('GET /api/teams/:sport'),
+  authorize('teams:read', { scope: { event_id: 'query.event_id', sport: 'params.sport' } }),
   asyncHandler(async (req, res) => {
     // Decode the sport name from URL parameter
     let sport = decodeURIComponent(req.params.sport)
 
-    if (!sport) {
-      return sendErrorResponse(res, 400, 'Sport name is required')
-    }
-
     let eventYearData
     
     try {
@@ -310,7 +278,7 @@ router.get(
 
     // Check cache
     const cacheKey = `/api/teams/${sport}?event_id=${encodeURIComponent(eventId)}`
-    const cached = getCache(cacheKey)
+    const cached = await getCache(cacheKey)
     if (cached) {
       // Always use sendSuccessResponse for consistency, even for cached data
       return sendSuccessResponse(res, cached)
@@ -334,12 +302,13 @@ router.get(
       throw error
     }
 
-    // Get all unique player registration numbers from all teams
+    // Get all unique player registration numbers from all teams (members and invited players)
     const allRegNumbers = new Set()
     ;(sportDoc.teams_participated || []).forEach(team => {
       if (team.players && Array.isArray(team.players)) {
         team.players.forEach(regNumber => allRegNumbers.add(regNumber))
       }
+      ;(team.invitations || []).forEach(invitation => allRegNumbers.add(invitation.reg_number))
     })
 
     // Fetch all players at once for efficiency
@@ -374,11 +343,22 @@ router.get(
         })
         .filter(p => p !== null) // Remove any null entries (players not found)
       
+      const invitations = (team.invitations || []).map(invitation => ({
+        reg_number: invitation.reg_number,
+        full_name: playersMap.get(invitation.reg_number)?.full_name || null,
+        status: getInvitationState(invitation),
+        invited_at: invitation.invited_at,
+        expires_at: invitation.expires_at
+      }))
+
       return {
         team_name: team.team_name,
         captain: team.captain,
         players: playerDetails,
-        player_count: playerDetails.length
+        player_count: playerDetails.length,
+        invitations,
+        // Only accepted players count toward team_size; incomplete teams cannot be scheduled
+        is_complete: isTeamComplete(sportDoc, team)
       }
     })
 
@@ -387,12 +367,14 @@ router.get(
 
     const result = {
       sport: sport,
+      team_size: sportDoc.team_size ?? null,
+      reserve_slots: sportDoc.reserve_slots || 0,
       teams: teams,
       total_teams: teams.length
     }
 
-    // Cache the result
-    setCache(cacheKey, result)
+    // Cache the result (rosters show players' names, so player updates invalidate it too)
+    await setCache(cacheKey, result, [cacheTags.event(eventId), cacheTags.sport(eventId, normalizeSportName(sport)), cacheTags.allPlayers()])
 
     return sendSuccessResponse(res, result)
   })
@@ -400,49 +382,24 @@ router.get(
 
 /**
  * POST /api/update-team-player
- * Update/replace a player in a team (admin only)
+ * Update/replace a player in a team (admin, event admin, or coordinator for this sport)
  * Event ID Filter: Accepts ?event_id=2026-umang parameter (defaults to active event)
- * Update Sports collection's teams_participated[].players array (for the specified event)
+ * Removes the old player from Sports collection's teams_participated[].players and invites the new player
+ * (who joins the team by accepting the invitation); the new player is emailed unless they opted out
  */
 router.post(
   '/update-team-player',
   authenticateToken,
+  validateRequest('POST /api/update-team-player'),
+  authorize('teams:manage', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    let { team_name, sport, old_reg_number, new_reg_number, event_id } = req.body
-
-    // Trim fields
-    const trimmed = trimObjectFields({ team_name, sport, old_reg_number, new_reg_number, event_id })
-    sport = trimmed.sport
-    team_name = trimmed.team_name
-    old_reg_number = trimmed.old_reg_number
-    new_reg_number = trimmed.new_reg_number
-    event_id = trimmed.event_id
-
-    if (!event_id || !String(event_id).trim()) {
-      return sendErrorResponse(res, 400, 'event_id is required')
-    }
+    const { team_name, sport, old_reg_number, new_reg_number, event_id } = req.body
 
     // Get event with document
-    const eventYearData = await getEventYear(String(event_id).trim(), { returnDoc: true })
+    const eventYearData = await getEventYear(event_id, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
-    // Check if user is admin or coordinator for this sport
-    try {
-      await requireAdminOrCoordinator(req.user.reg_number, sport, eventId)
-    } catch (error) {
-      return sendErrorResponse(res, 403, error.message)
-    }
-
-    // Validate required fields
-    if (!team_name || !sport || !old_reg_number || !new_reg_number) {
-      return sendErrorResponse(
-        res,
-        400,
-        'Team name, sport, old registration number, and new registration number are required'
-      )
-    }
-
     // Find sport by name and event_id
     const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
 
@@ -464,6 +421,11 @@ router.post(
       return sendErrorResponse(res, 400, 'New player is already in this team')
     }
 
+    // Check if new player is already invited to this team
+    if (getOpenInvitations(team).some(invitation => invitation.reg_number === new_reg_number)) {
+      return sendErrorResponse(res, 400, 'New player already has a pending invitation to this team')
+    }
+
     // Find old and new players
     const oldPlayer = await Player.findOne({ reg_number: old_reg_number })
     if (!oldPlayer) {
@@ -569,22 +531,22 @@ router.post(
       )
     }
 
-    // Replace player in team
-    const playerIndex = team.players.indexOf(old_reg_number)
-    if (playerIndex !== -1) {
-      team.players[playerIndex] = new_reg_number
-      await sportDoc.save()
-    }
+    // Remove old player from team and invite the new player in their place
+    const newInvitation = buildInvitation(new_reg_number, req.user.reg_number, req.eventYearDoc)
+    team.players = team.players.filter(rn => rn !== old_reg_number)
+    team.invitations = [
+      ...(team.invitations || []).filter(invitation => invitation.reg_number !== new_reg_number),
+      newInvitation
+    ]
+    await sportDoc.save()
 
     // Clear cache
-    clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/teams/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports-counts?event_id=${encodeURIComponent(eventId)}`)
-    clearCachePattern('/api/players')
-    clearCachePattern('/api/me')
+    await clearParticipationCaches(eventId, sport)
     // Clear gender cache for this team (team composition changed - first player might have changed)
-    clearTeamGenderCache(team_name, sport, eventId)
+    await clearTeamGenderCache(team_name, sport, eventId)
+
+    // Queue the invitation email (never fails the request)
+    await notifyTeamInvitations([newInvitation], sportDoc, team.team_name, req.user.reg_number, eventId)
 
     const newPlayerData = newPlayer.toObject()
     delete newPlayerData.password
@@ -596,95 +558,77 @@ router.post(
         new_player: newPlayerData,
         team: team
       },
-      `Player updated successfully in team ${team_name}`
+      `${oldPlayer.full_name} removed from team ${team_name}. ${newPlayer.full_name} has been invited to join.`
     )
   })
 )
 
 /**
  * DELETE /api/delete-team
- * Delete a team (remove from teams_participated array) (admin only)
+ * Delete a team (remove from teams_participated array) (admin, event admin, or coordinator for this sport)
  * Event ID Required: event_id field required in request body (defaults to active event)
  */
 router.delete(
   '/delete-team',
   authenticateToken,
+  validateRequest('DELETE /api/delete-team'),
+  authorize('teams:manage', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
   requireRegistrationPeriod,
   asyncHandler(async (req, res) => {
-    let { team_name, sport, event_id } = req.body
-
-    // Trim fields
-    const trimmed = trimObjectFields({ team_name, sport, event_id })
-    sport = trimmed.sport
-    team_name = trimmed.team_name
-    event_id = trimmed.event_id
-
-    if (!event_id || !String(event_id).trim()) {
-      return sendErrorResponse(res, 400, 'event_id is required')
-    }
+    const { team_name, sport, event_id } = req.body
 
     // Get event with document
-    const eventYearData = await getEventYear(String(event_id).trim(), { returnDoc: true })
+    const eventYearData = await getEventYear(event_id, { returnDoc: true })
     const eventId = eventYearData.doc.event_id
 
-    // Check if user is admin or coordinator for this sport
-    try {
-      await requireAdminOrCoordinator(req.user.reg_number, sport, eventId)
-    } catch (error) {
-      return sendErrorResponse(res, 403, error.message)
-    }
+    // The sport read, the match history check, the roster read and the removal run in one transaction
+    // (queries inside the callback use its session), so the removal commits only against what was checked
+    const result = await runInTransaction(async () => {
+      // Find sport by name and event_id
+      const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
 
-    // Validate required fields
-    if (!team_name || !sport) {
-      return sendErrorResponse(res, 400, 'Team name and sport are required')
-    }
+      // Find the team
+      const teamIndex = sportDoc.teams_participated.findIndex(
+        t => t.team_name.toLowerCase() === team_name.toLowerCase()
+      )
+      if (teamIndex === -1) {
+        return { error: { statusCode: 404, message: 'Team not found' } }
+      }
 
-    // Find sport by name and event_id
-    const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
+      const team = sportDoc.teams_participated[teamIndex]
 
-    // Find the team
-    const teamIndex = sportDoc.teams_participated.findIndex(
-      t => t.team_name.toLowerCase() === team_name.toLowerCase()
-    )
-    if (teamIndex === -1) {
-      return handleNotFoundError(res, 'Team')
-    }
+      // Block deletion if match history exists for this team
+      const normalizedSport = normalizeSportName(sport)
+      const teamMatchCount = await EventSchedule.countDocuments({
+        event_id: eventId,
+        sports_name: normalizedSport,
+        teams: team.team_name
+      })
+      if (teamMatchCount > 0) {
+        return { error: { statusCode: 400, message: `Cannot delete team "${team_name}". Match history exists for ${sport}.` } }
+      }
 
-    const team = sportDoc.teams_participated[teamIndex]
+      // Get team members info
+      const teamMembers = await Player.find({
+        reg_number: { $in: team.players || [] }
+      }).select('reg_number full_name').lean()
 
-    // Block deletion if match history exists for this team
-    const normalizedSport = normalizeSportName(sport)
-    const teamMatchCount = await EventSchedule.countDocuments({
-      event_id: eventId,
-      sports_name: normalizedSport,
-      teams: team.team_name
-    })
-    if (teamMatchCount > 0) {
-      return sendErrorResponse(
-        res,
-        400,
-        `Cannot delete team "${team_name}". Match history exists for ${sport}.`
-      )
-    }
+      // Remove team from teams_participated array
+      sportDoc.teams_participated.splice(teamIndex, 1)
+      await sportDoc.save()
 
-    // Get team members info
-    const teamMembers = await Player.find({
-      reg_number: { $in: team.players || [] }
-    }).select('reg_number full_name').lean()
+      return { teamMembers }
+    })
 
-    // Remove team from teams_participated array
-    sportDoc.teams_participated.splice(teamIndex, 1)
-    await sportDoc.save()
+    if (result.error) {
+      return sendErrorResponse(res, result.error.statusCode, result.error.message)
+    }
+    const { teamMembers } = result
 
     // Clear cache
-    clearCache(`/api/sports?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/teams/${sport}?event_id=${encodeURIComponent(eventId)}`)
-    clearCache(`/api/sports-counts?event_id=${encodeURIComponent(eventId)}`)
-    clearCachePattern('/api/players')
-    clearCachePattern('/api/me')
+    await clearParticipationCaches(eventId, sport)
     // Clear gender cache for this team (team deleted)
-    clearTeamGenderCache(team_name, sport, eventId)
+    await clearTeamGenderCache(team_name, sport, eventId)
 
     return sendSuccessResponse(
       res,
@@ -705,20 +649,10 @@ router.delete(
 router.post(
   '/validate-participations',
   authenticateToken,
+  validateRequest('POST /api/validate-participations'),
+  authorize('teams:validate', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
   asyncHandler(async (req, res) => {
-    let { reg_numbers, sport, event_id } = req.body
-
-    // Trim fields
-    sport = sport?.trim()
-    event_id = event_id ? String(event_id).trim() : null
-    if (Array.isArray(reg_numbers)) {
-      reg_numbers = reg_numbers.map((rn) => rn?.trim()).filter((rn) => rn)
-    }
-
-    // Validate required fields
-    if (!reg_numbers || !Array.isArray(reg_numbers) || reg_numbers.length === 0 || !sport) {
-      return sendErrorResponse(res, 400, 'Registration numbers array and sport are required')
-    }
+    const { reg_numbers, sport, event_id } = req.body
 
     // Get event with document (default to active event if not provided)
     const eventYearData = await getEventYear(event_id || null, { returnDoc: true })
@@ -769,4 +703,253 @@ router.post(
   })
 )
 
+/**
+ * GET /api/team-invitations
+ * Get the logged-in player's team invitations (pending, declined or expired)
+ * Event ID Filter: Accepts ?event_id=2026-umang parameter (defaults to active event)
+ */
+router.get(
+  '/team-invitations',
+  authenticateToken,
+  validateRequest('GET /api/team-invitations'),
+  authorize('teams:respond_invitation', { scope: { event_id: 'query.event_id' } }),
+  asyncHandler(async (req, res) => {
+    const eventYearData = await getEventYear(req.query.event_id ? String(req.query.event_id).trim() : null, { returnDoc: true })
+    const eventId = eventYearData.doc.event_id
+    const regNumber = req.user.reg_number
+
+    const sports = await Sport.find({ event_id: eventId, 'teams_participated.invitations.reg_number': regNumber })
+      .select('name team_size reserve_slots teams_participated')
+      .lean()
+
+    const invitations = []
+    for (const sportDoc of sports) {
+      for (const team of sportDoc.teams_participated || []) {
+        const invitation = (team.invitations || []).find(inv => inv.reg_number === regNumber)
+        if (!invitation) continue
+        invitations.push({
+          sport: sportDoc.name,
+          team_name: team.team_name,
+          captain: team.captain,
+          status: getInvitationState(invitation),
+          invited_at: invitation.invited_at,
+          expires_at: invitation.expires_at,
+          player_count: (team.players || []).length,
+          team_size: sportDoc.team_size ?? null,
+          reserve_slots: sportDoc.reserve_slots || 0
+        })
+      }
+    }
+
+    // Resolve captain names for display
+    const captains = await Player.find({ reg_number: { $in: [...new Set(invitations.map(inv => inv.captain))] } })
+      .select('reg_number full_name')
+      .lean()
+    const captainNames = new Map(captains.map(p => [p.reg_number, p.full_name]))
+    invitations.forEach(inv => {
+      inv.captain_name = captainNames.get(inv.captain) || null
+    })
+
+    invitations.sort((a, b) => new Date(b.invited_at) - new Date(a.invited_at))
+
+    return sendSuccessResponse(res, { invitations, total: invitations.length })
+  })
+)
+
+/**
+ * POST /api/team-invitations
+ * Captain invites a player to their team (e.g. to replace a player who declined)
+ * Event ID Required: event_id field required in request body
+ * Accepted players and pending invitations together may not exceed the sport's team_size plus its reserve slots
+ * The invited player is emailed unless they opted out
+ */
+router.post(
+  '/team-invitations',
+  authenticateToken,
+  validateRequest('POST /api/team-invitations'),
+  authorize('teams:create', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
+  requireRegistrationPeriod,
+  asyncHandler(async (req, res) => {
+    const { team_name, sport, reg_number, event_id } = req.body
+
+    const eventYearData = await getEventYear(event_id, { returnDoc: true })
+    const eventId = eventYearData.doc.event_id
+
+    const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
+    const team = findTeamByName(sportDoc, team_name)
+    if (!team) {
+      return handleNotFoundError(res, 'Team')
+    }
+
+    if (team.captain !== req.user.reg_number) {
+      return handleForbiddenError(res, `Only the captain of team "${team.team_name}" can invite players.`)
+    }
+
+    if (getOpenInvitations(team).some(invitation => invitation.reg_number === reg_number)) {
+      return sendErrorResponse(res, 400, `Player ${reg_number} already has a pending invitation to this team`)
+    }
+
+    const roomError = validateInvitationRoom(sportDoc, team)
+    if (roomError) {
+      return sendErrorResponse(res, roomError.statusCode, roomError.message)
+    }
+
+    const { player, error } = await validateTeamCandidate(sportDoc, team, reg_number, eventId)
+    if (error) {
+      return sendErrorResponse(res, error.statusCode, error.message)
+    }
+
+    // A declined or expired invitation is replaced by the new one
+    const invitation = buildInvitation(reg_number, req.user.reg_number, req.eventYearDoc)
+    team.invitations = [
+      ...(team.invitations || []).filter(inv => inv.reg_number !== reg_number),
+      invitation
+    ]
+    await sportDoc.save()
+
+    await clearTeamInvitationCaches(sportDoc.name, eventId, team.team_name)
+
+    // Queue the invitation email (never fails the request)
+    await notifyTeamInvitations([invitation], sportDoc, team.team_name, req.user.reg_number, eventId)
+
+    return sendSuccessResponse(
+      res,
+      { invitation },
+      `${player.full_name} has been invited to join team ${team.team_name}`
+    )
+  })
+)
+
+/**
+ * DELETE /api/team-invitations
+ * Captain withdraws an invitation to their team
+ * Event ID Required: event_id field required in request body
+ */
+router.delete(
+  '/team-invitations',
+  authenticateToken,
+  validateRequest('DELETE /api/team-invitations'),
+  authorize('teams:create', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
+  requireRegistrationPeriod,
+  asyncHandler(async (req, res) => {
+    const { team_name, sport, reg_number, event_id } = req.body
+
+    const eventYearData = await getEventYear(event_id, { returnDoc: true })
+    const eventId = eventYearData.doc.event_id
+
+    const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
+    const team = findTeamByName(sportDoc, team_name)
+    if (!team) {
+      return handleNotFoundError(res, 'Team')
+    }
+
+    if (team.captain !== req.user.reg_number) {
+      return handleForbiddenError(res, `Only the captain of team "${team.team_name}" can withdraw invitations.`)
+    }
+
+    if (!(team.invitations || []).some(invitation => invitation.reg_number === reg_number)) {
+      return handleNotFoundError(res, 'Invitation')
+    }
+
+    team.invitations = team.invitations.filter(invitation => invitation.reg_number !== reg_number)
+    await sportDoc.save()
+
+    await clearTeamInvitationCaches(sportDoc.name, eventId, team.team_name)
+
+    return sendSuccessResponse(res, { reg_number }, `Invitation to ${reg_number} withdrawn`)
+  })
+)
+
+/**
+ * POST /api/team-invitations/respond
+ * Invited player accepts or declines a team invitation (action: 'accept' | 'decline')
+ * Event ID Required: event_id field required in request body
+ * Accepting re-validates the player against the team and removes their other invitations for the sport;
+ * invitations can no longer be answered once the registration period has ended
+ */
+router.post(
+  '/team-invitations/respond',
+  authenticateToken,
+  validateRequest('POST /api/team-invitations/respond'),
+  authorize('teams:respond_invitation', { scope: { event_id: 'body.event_id', sport: 'body.sport' } }),
+  requireRegistrationPeriod,
+  asyncHandler(async (req, res) => {
+    const { team_name, sport, action, event_id } = req.body
+
+    const eventYearData = await getEventYear(event_id, { returnDoc: true })
+    const eventId = eventYearData.doc.event_id
+    const regNumber = req.user.reg_number
+
+    // The sport read, the roster and membership checks and the save run in one transaction (queries inside the
+    // callback use its session): two accepts writing the same sport conflict, and the retried one sees the other's
+    // player, so a team cannot go past its roster limit and a player cannot join two teams of the sport
+    const result = await runInTransaction(async () => {
+      const sportDoc = await findSportByNameAndId(sport, eventId, { lean: false })
+      const team = findTeamByName(sportDoc, team_name)
+      if (!team) {
+        return { error: { statusCode: 404, message: 'Team not found' } }
+      }
+
+      const invitation = (team.invitations || []).find(inv => inv.reg_number === regNumber)
+      if (!invitation) {
+        return { error: { statusCode: 404, message: 'Invitation not found' } }
+      }
+
+      const state = getInvitationState(invitation)
+      if (state === 'expired') {
+        return { error: { statusCode: 400, message: 'This invitation expired when the registration period ended' } }
+      }
+      if (state === 'declined') {
+        return { error: { statusCode: 400, message: 'You have already declined this invitation' } }
+      }
+
+      if (action === 'decline') {
+        invitation.status = 'declined'
+        invitation.responded_at = new Date()
+        await sportDoc.save()
+        return { sportName: sportDoc.name, teamName: team.team_name }
+      }
+
+      const { error } = await validateTeamCandidate(sportDoc, team, regNumber, eventId)
+      if (error) {
+        return { error }
+      }
+
+      const rosterLimit = getTeamRosterLimit(sportDoc)
+      if (rosterLimit !== null && team.players.length >= rosterLimit) {
+        return { error: { statusCode: 400, message: `Team ${team.team_name} is already full (${rosterLimit} players including reserves)` } }
+      }
+
+      team.players.push(regNumber)
+      // A player belongs to one team per sport - their remaining invitations for the sport are void
+      removePlayerInvitations(sportDoc, regNumber)
+      await sportDoc.save()
+      return { sportName: sportDoc.name, teamName: team.team_name }
+    })
+
+    if (result.error) {
+      return sendErrorResponse(res, result.error.statusCode, result.error.message)
+    }
+    const { sportName, teamName } = result
+
+    if (action === 'decline') {
+      await clearTeamInvitationCaches(sportName, eventId, teamName)
+
+      return sendSuccessResponse(
+        res,
+        { sport: sportName, team_name: teamName, status: 'declined' },
+        `You declined the invitation to team ${teamName}`
+      )
+    }
+
+    await clearTeamInvitationCaches(sportName, eventId, teamName, true)
+
+    return sendSuccessResponse(
+      res,
+      { sport: sportName, team_name: teamName, status: 'accepted' },
+      `You joined team ${teamName} for ${sportName}`
+    )
+  })
+)
+
 export default router
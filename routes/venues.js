@@ -0,0 +1,158 @@
+/**
+ * Venue Routes
+ * Venues/grounds that matches are scheduled at (not year-dependent, like departments)
+ */
+
+import express from 'express'
+import Venue from '../models/Venue.js'
+import EventSchedule from '../models/EventSchedule.js'
+import { authenticateToken, authorize } from '../middleware/auth.js'
+import { validateRequest } from '../middleware/validateRequest.js'
+import { asyncHandler, sendSuccessResponse, sendErrorResponse, handleNotFoundError } from '../utils/errorHandler.js'
+import { clearCache } from '../utils/cache.js'
+
+const router = express.Router()
+
+/**
+ * Normalize a courts array from the request body (validated as an array of strings, already trimmed)
+ * @param {Array<string>} courts - Courts from the request body
+ * @returns {Array<string>} Unique, non-blank court names
+ */
+function normalizeCourts(courts) {
+  return [...new Set(courts.filter(Boolean))]
+}
+
+/**
+ * GET /api/venues
+ * Get all venues (public)
+ * Includes match_count for each venue (for UI to disable delete button)
+ */
+router.get('/', validateRequest('GET /api/venues'), asyncHandler(async (req, res) => {
+  const venues = await Venue.find({}).sort({ name: 1 }).lean()
+
+  const venuesWithCounts = await Promise.all(
+    venues.map(async (venue) => ({
+      ...venue,
+      match_count: await EventSchedule.countDocuments({ venue: venue.name })
+    }))
+  )
+
+  return sendSuccessResponse(res, { venues: venuesWithCounts })
+}))
+
+/**
+ * POST /api/venues
+ * Create new venue (admin only)
+ * Validation: Venue name must be unique
+ */
+router.post('/', authenticateToken, validateRequest('POST /api/venues'), authorize('venues:manage'), asyncHandler(async (req, res) => {
+  const { createdBy, updatedBy, ...bodyData } = req.body
+
+  // Explicitly reject if user tries to send createdBy or updatedBy
+  if (createdBy !== undefined || updatedBy !== undefined) {
+    return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
+  }
+
+  const { name, location, courts } = bodyData
+
+  const normalizedCourts = Array.isArray(courts) ? normalizeCourts(courts) : []
+
+  const existingVenue = await Venue.findOne({ name })
+  if (existingVenue) {
+    return sendErrorResponse(res, 409, 'Venue with this name already exists')
+  }
+
+  const venue = new Venue({
+    name,
+    location: location || '',
+    courts: normalizedCourts,
+    createdBy: req.user.reg_number
+  })
+
+  await venue.save()
+
+  await clearCache('/api/venues')
+
+  return sendSuccessResponse(res, venue, 'Venue created successfully', 201)
+}))
+
+/**
+ * PUT /api/venues/:id
+ * Update venue location and courts (admin only)
+ * Restriction: Name cannot be changed (matches reference venues by name)
+ * Validation: Courts used by scheduled matches cannot be removed
+ */
+router.put('/:id', authenticateToken, validateRequest('PUT /api/venues/:id'), authorize('venues:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+  const { createdBy, updatedBy, ...bodyData } = req.body
+
+  // Explicitly reject if user tries to send createdBy or updatedBy
+  if (createdBy !== undefined || updatedBy !== undefined) {
+    return sendErrorResponse(res, 400, 'createdBy and updatedBy fields cannot be set by user. They are automatically set from authentication token.')
+  }
+
+  if (bodyData.name !== undefined) {
+    return sendErrorResponse(res, 400, 'Venue name cannot be modified. Only location and courts can be updated.')
+  }
+
+  const venue = await Venue.findById(id)
+  if (!venue) {
+    return handleNotFoundError(res, 'Venue')
+  }
+
+  if (bodyData.location !== undefined) {
+    venue.location = bodyData.location || ''
+  }
+
+  if (Array.isArray(bodyData.courts)) {
+    const normalizedCourts = normalizeCourts(bodyData.courts)
+
+    const removedCourts = (venue.courts || []).filter(c => !normalizedCourts.includes(c))
+    if (removedCourts.length > 0) {
+      const usedCount = await EventSchedule.countDocuments({
+        venue: venue.name,
+        court: { $in: removedCourts },
+        status: 'scheduled'
+      })
+      if (usedCount > 0) {
+        return sendErrorResponse(res, 400, `Cannot remove court(s) ${removedCourts.join(', ')}. ${usedCount} scheduled match(es) use them.`)
+      }
+    }
+
+    venue.courts = normalizedCourts
+  }
+
+  venue.updatedBy = req.user.reg_number
+  await venue.save()
+
+  await clearCache('/api/venues')
+
+  return sendSuccessResponse(res, venue, 'Venue updated successfully')
+}))
+
+/**
+ * DELETE /api/venues/:id
+ * Delete venue (admin only)
+ * Validation: Venues referenced by any match cannot be deleted
+ */
+router.delete('/:id', authenticateToken, validateRequest('DELETE /api/venues/:id'), authorize('venues:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params
+
+  const venue = await Venue.findById(id)
+  if (!venue) {
+    return handleNotFoundError(res, 'Venue')
+  }
+
+  const matchCount = await EventSchedule.countDocuments({ venue: venue.name })
+  if (matchCount > 0) {
+    return sendErrorResponse(res, 400, `Cannot delete venue. ${matchCount} match(es) are scheduled at this venue.`)
+  }
+
+  await Venue.findByIdAndDelete(id)
+
+  await clearCache('/api/venues')
+
+  return sendSuccessResponse(res, {}, 'Venue deleted successfully')
+}))
+
+export default router
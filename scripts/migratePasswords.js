@@ -0,0 +1,26 @@
+/**
+ * One-shot script to hash plaintext passwords
+ * Usage: npm run migrate:passwords
+ */
+
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import connectDB from '../config/database.js'
+import logger from '../utils/logger.js'
+import { migratePlaintextPasswords } from '../utils/migratePasswords.js'
+
+const run = async () => {
+  await connectDB()
+  try {
+    const result = await migratePlaintextPasswords()
+    logger.server(`Scanned ${result.scanned} player(s), hashed ${result.migrated}, errors ${result.errors}`)
+    process.exitCode = result.errors > 0 ? 1 : 0
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+run().catch((error) => {
+  logger.error('Password migration failed:', error)
+  process.exit(1)
+})
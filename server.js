@@ -1,73 +1,36 @@
 import 'dotenv/config'
-import express from 'express'
-import cors from 'cors'
-import connectDB from './config/database.js'
+import connectDB, { disconnectDB } from './config/database.js'
 import logger from './utils/logger.js'
+import { migratePlaintextPasswords } from './utils/migratePasswords.js'
+import { startOutboxWorker, stopOutboxWorker } from './utils/emailOutbox.js'
+import { setupGracefulShutdown } from './utils/lifecycle.js'
+import { closeCache } from './utils/cache.js'
+import { checkTransactionSupport } from './utils/unitOfWork.js'
+import app from './app.js'
 
-// Import middleware
-import { authenticateToken, requireAdmin } from './middleware/auth.js'
-import { checkRegistrationDeadline } from './middleware/registrationDeadline.js'
-import { noCache } from './middleware/noCache.js'
-
-// Import routes
-import authRoutes from './routes/auth.js'
-import playerRoutes from './routes/players.js'
-import sportsRoutes from './routes/sports.js'
-import captainRoutes from './routes/captains.js'
-import coordinatorRoutes from './routes/coordinators.js'
-import batchRoutes from './routes/batches.js'
-import teamRoutes from './routes/teams.js'
-import participantRoutes from './routes/participants.js'
-import eventScheduleRoutes from './routes/eventSchedule.js'
-import exportRoutes from './routes/exports.js'
-import departmentRoutes from './routes/departments.js'
-import eventYearRoutes from './routes/eventYears.js'
-import pointsTableRoutes from './routes/pointsTable.js'
-
-const app = express()
 const PORT = process.env.PORT || 3001
 
-// Disable ETag generation (Express default)
-app.set('etag', false)
-
-// Middleware
-// Allow all origins, methods, and headers - most permissive configuration for Netlify
-app.use(cors())
-app.use(express.json())
-app.use(express.urlencoded({ extended: true }))
-
-// Apply API middleware
-app.use('/api', checkRegistrationDeadline)
-app.use('/api', noCache)
-
-// Use route modules
-// IMPORTANT: More specific routes must be registered BEFORE generic /api routes
-app.use('/api/event-years', eventYearRoutes)
-app.use('/api/departments', departmentRoutes)
-
-// Generic /api routes (registered after specific routes)
-app.use('/api', authRoutes)
-app.use('/api', playerRoutes)
-app.use('/api', sportsRoutes)
-app.use('/api', captainRoutes)
-app.use('/api', coordinatorRoutes)
-app.use('/api', batchRoutes)
-app.use('/api', teamRoutes)
-app.use('/api', participantRoutes)
-app.use('/api', eventScheduleRoutes)
-app.use('/api', exportRoutes)
-app.use('/api', pointsTableRoutes)
+// Start listening right away so /healthz answers while MongoDB is still connecting (/readyz fails until it is up)
+const server = app.listen(PORT, () => {
+  logger.server(`Server running on http://localhost:${PORT}`)
+})
 
-// 404 handler for API routes (after all routes)
-app.use('/api/*', (req, res) => {
-  res.status(404).json({ error: 'Route not found', path: req.originalUrl })
+// On SIGTERM/SIGINT: finish in-flight requests, let the outbox worker finish its batch, close the cache store and MongoDB
+setupGracefulShutdown(server, async () => {
+  await stopOutboxWorker()
+  await closeCache()
+  await disconnectDB()
 })
 
-// Connect to MongoDB
+// Connect to MongoDB (retrying until it is up), warn when it cannot run transactions, then hash any plaintext
+// passwords left from older deployments and start sending queued notification emails
 connectDB()
-
-app.listen(PORT, () => {
-  logger.server(`Server running on http://localhost:${PORT}`)
-  logger.server(`MongoDB connected. Player data stored in MongoDB.`)
-})
+  .then(async () => {
+    await checkTransactionSupport()
+    startOutboxWorker()
+    return migratePlaintextPasswords()
+  })
+  .catch((error) => {
+    logger.error('Error migrating plaintext passwords:', error)
+  })
 
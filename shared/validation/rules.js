@@ -0,0 +1,165 @@
+/**
+ * Validation Rules
+ * Field rules and form schemas used by both the API (request schemas) and the frontend forms
+ * Messages are the ones the API returns, so a form shows the same error the server would
+ */
+
+import { VALID_GENDERS } from '../../constants/index.js'
+
+export const EMAIL_PATTERN = '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$'
+export const PHONE_PATTERN = '^[0-9]{10}$'
+export const TIME_PATTERN = '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+
+/**
+ * Field rules (schemas of single fields)
+ */
+export const fields = {
+  regNumber: { type: 'string', title: 'Registration number', example: '2024CS001' },
+  fullName: { type: 'string', title: 'Full name', example: 'Asha Verma' },
+  gender: {
+    type: 'string',
+    title: 'Gender',
+    enum: VALID_GENDERS,
+    messages: { enum: `Invalid gender. Must be one of: ${VALID_GENDERS.join(', ')}` }
+  },
+  departmentBranch: { type: 'string', title: 'Department/branch', example: 'CSE' },
+  batchName: { type: 'string', title: 'Batch name', example: '1st Year (2025)' },
+  mobileNumber: {
+    type: 'string',
+    title: 'Mobile number',
+    pattern: PHONE_PATTERN,
+    example: '9876543210',
+    messages: { pattern: 'Invalid mobile number. Must be 10 digits.' }
+  },
+  emailId: {
+    type: 'string',
+    title: 'Email ID',
+    format: 'email',
+    pattern: EMAIL_PATTERN,
+    example: 'asha@example.com',
+    messages: { pattern: 'Invalid email format' }
+  },
+  password: { type: 'string', title: 'Password', format: 'password' },
+  eventId: { type: 'string', title: 'Event ID', example: '2026-umang' },
+  sport: { type: 'string', title: 'Sport name', example: 'cricket' },
+  teamName: { type: 'string', title: 'Team name', example: 'Smashers' }
+}
+
+/**
+ * Non-empty list of registration numbers
+ * @param {string} title - Field name used in error messages
+ * @param {number} [maxItems] - Largest number of players (no limit when omitted)
+ * @returns {Object} Schema
+ */
+export const regNumberList = (title, maxItems) => ({
+  type: 'array',
+  title,
+  items: { ...fields.regNumber, minLength: 1 },
+  minItems: 1,
+  ...(maxItems ? { maxItems } : {}),
+  messages: { type: `${title} must be a non-empty array`, minItems: `${title} must be a non-empty array` }
+})
+
+/**
+ * POST /api/save-player (registration form)
+ */
+export const playerRegistrationSchema = {
+  type: 'object',
+  properties: {
+    reg_number: fields.regNumber,
+    full_name: fields.fullName,
+    gender: fields.gender,
+    department_branch: fields.departmentBranch,
+    batch_name: fields.batchName,
+    mobile_number: fields.mobileNumber,
+    email_id: fields.emailId,
+    password: fields.password
+  },
+  required: ['reg_number', 'full_name', 'gender', 'department_branch', 'batch_name', 'mobile_number', 'email_id', 'password']
+}
+
+/**
+ * PUT /api/update-player (player edit form; batch and password are changed elsewhere)
+ */
+export const playerUpdateSchema = {
+  type: 'object',
+  properties: {
+    reg_number: fields.regNumber,
+    full_name: fields.fullName,
+    gender: fields.gender,
+    department_branch: fields.departmentBranch,
+    mobile_number: fields.mobileNumber,
+    email_id: fields.emailId
+  },
+  required: ['reg_number', 'full_name', 'gender', 'department_branch', 'mobile_number', 'email_id']
+}
+
+/**
+ * POST /api/update-team-participation (team registration form; every player can be selected once)
+ */
+export const teamRegistrationSchema = {
+  type: 'object',
+  properties: {
+    team_name: fields.teamName,
+    sport: fields.sport,
+    reg_numbers: {
+      ...regNumberList('reg_numbers'),
+      uniqueItems: true,
+      messages: {
+        ...regNumberList('reg_numbers').messages,
+        uniqueItems: 'Duplicate players selected. Each player can only be selected once.'
+      }
+    },
+    event_id: fields.eventId
+  },
+  required: ['team_name', 'sport', 'reg_numbers', 'event_id']
+}
+
+/**
+ * POST /api/login
+ */
+export const loginSchema = {
+  type: 'object',
+  properties: {
+    reg_number: fields.regNumber,
+    password: fields.password
+  },
+  required: ['reg_number', 'password']
+}
+
+/**
+ * POST /api/change-password
+ */
+export const changePasswordSchema = {
+  type: 'object',
+  properties: {
+    current_password: { ...fields.password, title: 'Current password' },
+    new_password: { ...fields.password, title: 'New password' }
+  },
+  required: ['current_password', 'new_password']
+}
+
+/**
+ * POST /api/reset-password (request a reset code)
+ */
+export const resetPasswordSchema = {
+  type: 'object',
+  properties: {
+    reg_number: fields.regNumber,
+    email_id: fields.emailId
+  },
+  required: ['reg_number', 'email_id']
+}
+
+/**
+ * POST /api/reset-password/confirm (set a new password with the emailed code)
+ */
+export const resetPasswordConfirmSchema = {
+  type: 'object',
+  properties: {
+    reg_number: fields.regNumber,
+    token: { type: 'string', title: 'Reset code' },
+    new_password: { ...fields.password, title: 'New password' }
+  },
+  required: ['reg_number', 'token', 'new_password']
+}
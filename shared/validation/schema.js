@@ -0,0 +1,214 @@
+/**
+ * Schema Validation
+ * Validator for declarative schemas, shared by the backend (request validation middleware, OpenAPI document)
+ * and the frontend forms so both enforce the same rules
+ *
+ * Schemas are plain objects in the OpenAPI 3 schema format (a subset of JSON Schema):
+ * type (string, integer, number, boolean, array, object), title, description, example, enum, pattern, format,
+ * minLength, maxLength, minimum, maximum, items, minItems, maxItems, uniqueItems, properties, required,
+ * additionalProperties (false only), minProperties
+ * One extension: messages ({ keyword: message }) replaces the default error message of a keyword
+ */
+
+/**
+ * Check whether a value counts as missing (undefined, null or a blank string)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if missing
+ */
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects that are not arrays
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Get the error message of a keyword (schema.messages override the default)
+ * @param {Object} schema - Schema
+ * @param {string} keyword - Failed keyword
+ * @param {string} fallback - Default message
+ * @returns {string} Message
+ */
+const getMessage = (schema, keyword, fallback) => schema.messages?.[keyword] || fallback
+
+/**
+ * Convert a query or path parameter string to the schema type (numbers and booleans)
+ * @param {Object} schema - Schema
+ * @param {*} value - Raw value
+ * @returns {*} Converted value, or the raw value when it cannot be converted
+ */
+function coerceValue(schema, value) {
+  if (typeof value !== 'string') {
+    return value
+  }
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const number = Number(value.trim())
+    return value.trim() !== '' && !Number.isNaN(number) ? number : value
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true'
+  }
+  return value
+}
+
+/**
+ * Validate a value against a schema, collecting errors
+ * @param {Object} schema - Schema
+ * @param {*} input - Value to validate
+ * @param {string} field - Field path (e.g. reg_numbers[2]), empty for the root
+ * @param {Object} options - { coerce }
+ * @param {Array} errors - Collected { field, message } errors
+ * @returns {*} Normalized value (strings trimmed, parameters converted)
+ */
+function checkValue(schema, input, field, options, errors) {
+  const name = schema.title || field || 'Value'
+  const value = options.coerce ? coerceValue(schema, input) : input
+  const errorCount = errors.length
+  const fail = (keyword, fallback) => {
+    errors.push({ field, message: getMessage(schema, keyword, fallback) })
+    return value
+  }
+
+  let result = value
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value !== 'string') {
+        return fail('type', `${name} must be a string`)
+      }
+      result = value.trim()
+      if (schema.minLength !== undefined && result.length < schema.minLength) {
+        fail('minLength', `${name} must be at least ${schema.minLength} characters`)
+      }
+      if (schema.maxLength !== undefined && result.length > schema.maxLength) {
+        fail('maxLength', `${name} must be at most ${schema.maxLength} characters`)
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(result)) {
+        fail('pattern', `Invalid ${name}`)
+      }
+      break
+    }
+    case 'integer':
+    case 'number': {
+      const isInteger = schema.type === 'integer'
+      if (typeof value !== 'number' || !Number.isFinite(value) || (isInteger && !Number.isInteger(value))) {
+        return fail('type', `${name} must be ${isInteger ? 'an integer' : 'a number'}`)
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail('minimum', `${name} must be at least ${schema.minimum}`)
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail('maximum', `${name} must be at most ${schema.maximum}`)
+      }
+      break
+    }
+    case 'boolean': {
+      if (typeof value !== 'boolean') {
+        return fail('type', `${name} must be true or false`)
+      }
+      break
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return fail('type', `${name} must be an array`)
+      }
+      result = schema.items
+        ? value.map((item, index) => checkValue(schema.items, item, `${field}[${index}]`, options, errors))
+        : value
+      if (schema.minItems !== undefined && result.length < schema.minItems) {
+        fail('minItems', `${name} must contain at least ${schema.minItems} item(s)`)
+      }
+      if (schema.maxItems !== undefined && result.length > schema.maxItems) {
+        fail('maxItems', `${name} must contain at most ${schema.maxItems} item(s)`)
+      }
+      if (schema.uniqueItems && new Set(result).size !== result.length) {
+        fail('uniqueItems', `${name} must not contain duplicates`)
+      }
+      break
+    }
+    case 'object': {
+      if (!isPlainObject(value)) {
+        return fail('type', `${name} must be an object`)
+      }
+      result = checkProperties(schema, value, field, options, errors)
+      break
+    }
+    default:
+      break
+  }
+
+  if (schema.enum && errors.length === errorCount && !schema.enum.includes(result)) {
+    fail('enum', `${name} must be one of: ${schema.enum.join(', ')}`)
+  }
+
+  return result
+}
+
+/**
+ * Validate the properties of an object
+ * Properties not listed in the schema are kept as they are unless additionalProperties is false
+ * @param {Object} schema - Object schema
+ * @param {Object} value - Object to validate
+ * @param {string} field - Field path of the object
+ * @param {Object} options - { coerce }
+ * @param {Array} errors - Collected { field, message } errors
+ * @returns {Object} Object with normalized property values
+ */
+function checkProperties(schema, value, field, options, errors) {
+  const properties = schema.properties || {}
+  const required = schema.required || []
+  const result = { ...value }
+  const propertyPath = (key) => (field ? `${field}.${key}` : key)
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    const propertyValue = value[key]
+    if (isBlank(propertyValue)) {
+      if (required.includes(key)) {
+        const name = propertySchema.title || key
+        errors.push({ field: propertyPath(key), message: getMessage(propertySchema, 'required', `${name} is required`) })
+      } else if (typeof propertyValue === 'string') {
+        result[key] = propertyValue.trim()
+      }
+      continue
+    }
+    result[key] = checkValue(propertySchema, propertyValue, propertyPath(key), options, errors)
+  }
+
+  if (schema.additionalProperties === false) {
+    const allowed = Object.keys(properties)
+    for (const key of Object.keys(value)) {
+      if (!allowed.includes(key)) {
+        errors.push({
+          field: propertyPath(key),
+          message: getMessage(schema, 'additionalProperties', `Unknown field "${key}". Allowed: ${allowed.join(', ')}`)
+        })
+      }
+    }
+  }
+
+  if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+    const name = schema.title || field || 'Value'
+    errors.push({ field, message: getMessage(schema, 'minProperties', `${name} must have at least ${schema.minProperties} field(s)`) })
+  }
+
+  return result
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema (see file header)
+ * @param {*} value - Value to validate (e.g. form data or a request body)
+ * @param {Object} options - Options
+ * @param {boolean} options.coerce - Convert numeric and boolean strings to the schema type (query and path parameters)
+ * @returns {Object} { isValid, errors: Array<{ field, message }>, value } - value has strings trimmed
+ */
+export function validateSchema(schema, value, options = {}) {
+  const errors = []
+  const normalized = checkValue(schema, value === undefined ? {} : value, '', { coerce: Boolean(options.coerce) }, errors)
+  return {
+    isValid: errors.length === 0,
+    errors,
+    value: normalized
+  }
+}
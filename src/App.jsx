@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react'
-import { fetchWithAuth, fetchCurrentUser, decodeJWT, clearCache } from './utils/api'
+import { fetchWithAuth, fetchCurrentUser, decodeJWT, clearCache, clearStoredTokens, logoutSession } from './utils/api'
 import { buildApiUrlWithYear } from './utils/apiHelpers'
 import logger from './utils/logger'
 import { useEventYear } from './hooks/useEventYear'
@@ -8,6 +8,7 @@ import { formatDateRange } from './utils/dateFormatters'
 import Navbar from './components/Navbar'
 import Hero from './components/Hero'
 import SportsSection from './components/SportsSection'
+import ChampionshipLeaderboard from './components/ChampionshipLeaderboard'
 import RegisterModal from './components/RegisterModal'
 import LoginModal from './components/LoginModal'
 import ChangePasswordModal from './components/ChangePasswordModal'
@@ -98,7 +99,7 @@ function App() {
         if (result.user) {
           // Successfully fetched user data
           setLoggedInUser(result.user)
-          setAuthToken(tokenBeforeFetch) // Ensure authToken state is set
+          setAuthToken(tokenAfterFetch || tokenBeforeFetch) // Ensure authToken state is set (token may have been refreshed)
           setIsLoadingUser(false) // Stop loading
           // Ensure token is set (in case it was temporarily missing)
           if (tokenBeforeFetch && !tokenAfterFetch) {
@@ -157,7 +158,7 @@ function App() {
               } else if (retryResult.authError) {
                 // Auth error on retry - clear token
                 logger.info('Authentication error on retry, clearing token')
-                localStorage.removeItem('authToken')
+                clearStoredTokens()
                 setAuthToken(null)
                 setLoggedInUser(null)
                 setIsLoadingUser(false) // Stop loading on auth error
@@ -202,7 +203,7 @@ function App() {
                 setAuthToken(localStorage.getItem('authToken'))
                 setIsLoadingUser(false)
               } else if (retryResult.authError) {
-                localStorage.removeItem('authToken')
+                clearStoredTokens()
                 setAuthToken(null)
                 setLoggedInUser(null)
                 setIsLoadingUser(false)
@@ -331,7 +332,7 @@ function App() {
       } else if (result.authError) {
         // Auth error - clear user and token
         setLoggedInUser(null)
-        localStorage.removeItem('authToken')
+        clearStoredTokens()
         setAuthToken(null)
       } else {
         // Temporary error - keep current user state, don't clear
@@ -350,14 +351,22 @@ function App() {
     clearCache('/api/players')
   }
 
-  const handleLogout = () => {
-    // Clear logged-in user data from memory and token from localStorage
+  const handleLogout = async () => {
+    // End the session on the server, then clear logged-in user data from memory and tokens from localStorage
+    await logoutSession()
     setLoggedInUser(null)
     setAuthToken(null)
-    localStorage.removeItem('authToken')
     showStatusPopup('✅ Logged out successfully!', 'success', 2000)
   }
 
+  const handleLogoutAll = async () => {
+    // End every session of this user (all devices)
+    await logoutSession({ allDevices: true })
+    setLoggedInUser(null)
+    setAuthToken(null)
+    showStatusPopup('✅ Logged out from all devices!', 'success', 2000)
+  }
+
   const showStatusPopup = (message, type = 'success', duration = 2500) => {
     setStatusPopup({ show: true, message, type })
     setTimeout(() => {
@@ -430,6 +439,7 @@ function App() {
           onLoginClick={() => setIsLoginModalOpen(true)}
           onResetPasswordClick={() => setIsResetPasswordModalOpen(true)}
           onLogout={handleLogout}
+          onLogoutAll={handleLogoutAll}
           onChangePasswordClick={() => setIsChangePasswordModalOpen(true)}
           onCaptainManagementClick={() => setIsCaptainManagementModalOpen(true)}
           onCoordinatorManagementClick={() => setIsCoordinatorManagementModalOpen(true)}
@@ -437,6 +447,7 @@ function App() {
           onListPlayersClick={() => setIsPlayerListModalOpen(true)}
           onExportExcel={handleExportExcel}
           onAdminDashboardClick={() => setIsAdminDashboardModalOpen(true)}
+          onStatusPopup={showStatusPopup}
         />
         <main id="top" className="max-w-[1300px] mx-auto px-4 py-6 pb-10 grid grid-cols-[minmax(0,1.6fr)] gap-10 max-md:grid-cols-1">
         <section>
@@ -512,6 +523,7 @@ function App() {
                 loggedInUser={loggedInUser} 
                 selectedEventId={selectedEventId}
               />
+              <ChampionshipLeaderboard selectedEventId={selectedEventId} />
             </>
           )}
         </section>
@@ -593,6 +605,7 @@ function App() {
         onClose={() => setIsPlayerListModalOpen(false)}
         onStatusPopup={showStatusPopup}
         selectedEventId={selectedEventId}
+        loggedInUser={loggedInUser}
       />
       <EventScheduleModal
         isOpen={isEventScheduleModalOpen}
@@ -1,6 +1,6 @@
 /**
  * Admin Dashboard Modal
- * Main admin panel for managing Event Years, Sports, and Departments
+ * Main admin panel for managing Event Years, Sports, Departments and Venues, and viewing the Audit Log
  */
 
 import { useState, useEffect, useRef } from 'react'
@@ -17,14 +17,70 @@ import ErrorMessage from './ui/ErrorMessage'
 import { formatSportName } from '../utils/stringHelpers'
 import ConfirmationDialog from './ui/ConfirmationDialog'
 import EventYearSelector from './EventYearSelector'
+import EventYearClonePanel from './EventYearClonePanel'
 import { validateDateRelationships, getUpdatableDateFields, shouldDisableDatabaseOperations, canDeleteEventYear } from '../utils/yearHelpers'
+import { isEventAdmin, isSuperAdmin } from '../utils/roleHelpers'
+import { SCORING_FORMAT_OPTIONS, DUAL_ONLY_SCORING_FORMATS, SCORE_UNIT_OPTIONS, DEFAULT_SCORE_UNITS, DEFAULT_POINTS_RULES, TIE_BREAKER_OPTIONS, SPORT_CATEGORY_OPTIONS, DEFAULT_CHAMPIONSHIP_POINTS, EVENT_YEAR_STATUS_OPTIONS, MAX_RESERVE_SLOTS } from '../constants/app'
 
 const TABS = {
   EVENT_YEARS: 'event_years',
   SPORTS: 'sports',
-  DEPARTMENTS: 'departments'
+  DEPARTMENTS: 'departments',
+  VENUES: 'venues',
+  AUDIT_LOG: 'audit_log'
 }
 
+const AUDIT_ENTITY_TYPES = ['Player', 'Sport', 'EventYear', 'Department', 'Venue', 'Batch', 'EventSchedule', 'PointsTable', 'RoleAssignment']
+
+/**
+ * Format an audited value for display
+ * @param {*} value - Value from an audit entry's changes
+ * @returns {string} Display string
+ */
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined) return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const CHAMPIONSHIP_PLACES = [
+  { key: 'first', label: '1st' },
+  { key: 'second', label: '2nd' },
+  { key: 'third', label: '3rd' }
+]
+
+/**
+ * Championship points form values of an event year (blank = default points)
+ * @param {Array} championshipPoints - Configured points of an event year ([{ category, first, second, third }])
+ * @returns {Object} Map of category -> { first, second, third } (strings)
+ */
+const toChampionshipPointsForm = (championshipPoints = []) => Object.fromEntries(
+  SPORT_CATEGORY_OPTIONS.map(({ value }) => {
+    const entry = championshipPoints.find(c => c.category === value)
+    return [value, {
+      first: entry ? String(entry.first) : '',
+      second: entry ? String(entry.second) : '',
+      third: entry ? String(entry.third) : ''
+    }]
+  })
+)
+
+/**
+ * Build the championship_points payload; categories left blank are omitted (default points)
+ * @param {Object} form - Championship points form from toChampionshipPointsForm
+ * @returns {Array} [{ category, first, second, third }]
+ */
+const buildChampionshipPointsPayload = (form) => SPORT_CATEGORY_OPTIONS
+  .filter(({ value }) => Object.values(form[value]).some(points => points.trim() !== ''))
+  .map(({ value }) => {
+    const entry = { category: value }
+    CHAMPIONSHIP_PLACES.forEach(({ key }) => {
+      const points = form[value][key].trim()
+      entry[key] = points !== '' ? Number(points) : DEFAULT_CHAMPIONSHIP_POINTS[key]
+    })
+    return entry
+  })
+
 function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId, onEventYearChange, loggedInUser }) {
   const [activeTab, setActiveTab] = useState(TABS.EVENT_YEARS)
   const { eventYear: activeEventYear, eventYearConfig } = useEventYear()
@@ -41,6 +97,8 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
     ? eventYears.find(ey => ey.event_id === currentEventId) || null
     : null
   const currentEventYear = selectedEventData?.event_year || activeEventYear
+  // Event admins only manage their own event year; creating/deleting event years and departments is super admin only
+  const canManageAllEvents = isSuperAdmin(loggedInUser)
   const [eventYearForm, setEventYearForm] = useState({
     event_year: '',
     event_name: '',
@@ -48,13 +106,17 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
     event_title: '',
     event_highlight: '',
     event_dates: { start: '', end: '' },
-    registration_dates: { start: '', end: '' }
+    registration_dates: { start: '', end: '' },
+    championship_points: toChampionshipPointsForm()
   })
   const [editingEventYear, setEditingEventYear] = useState(null)
+  const [cloningEventYear, setCloningEventYear] = useState(null)
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null)
+  const [showStatusConfirm, setShowStatusConfirm] = useState(null)
   const [loadingEventYears, setLoadingEventYears] = useState(false)
   const [loadingSports, setLoadingSports] = useState(false)
   const [loadingDepts, setLoadingDepts] = useState(false)
+  const [loadingVenues, setLoadingVenues] = useState(false)
 
   // Sports State
   const [sports, setSports] = useState([])
@@ -63,7 +125,18 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
     type: '',
     category: '',
     team_size: '',
-    imageUri: ''
+    reserve_slots: '',
+    imageUri: '',
+    scoring_format: '',
+    best_of: '',
+    max_overs: '',
+    scoring_unit: '',
+    points_win: '',
+    points_draw: '',
+    points_loss: '',
+    points_cancelled: '',
+    points_walkover: '',
+    tie_breakers: []
   })
   const [editingSport, setEditingSport] = useState(null)
   const [showDeleteSportConfirm, setShowDeleteSportConfirm] = useState(null)
@@ -78,6 +151,24 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
   const [editingDept, setEditingDept] = useState(null)
   const [showDeleteDeptConfirm, setShowDeleteDeptConfirm] = useState(null)
 
+  // Venues State
+  const [venues, setVenues] = useState([])
+  const [venueForm, setVenueForm] = useState({
+    name: '',
+    location: '',
+    courts: ''
+  })
+  const [editingVenue, setEditingVenue] = useState(null)
+  const [showDeleteVenueConfirm, setShowDeleteVenueConfirm] = useState(null)
+
+  // Audit Log State
+  const [auditEntries, setAuditEntries] = useState([])
+  const [auditPagination, setAuditPagination] = useState(null)
+  const [auditPage, setAuditPage] = useState(1)
+  const [auditFilters, setAuditFilters] = useState({ entity_type: '', action: '', actor: '' })
+  const [loadingAudit, setLoadingAudit] = useState(false)
+  const canViewAuditLog = isEventAdmin(loggedInUser, currentEventId)
+
   // Fetch data when tab changes or selected event changes
   useEffect(() => {
     if (!isOpen) return
@@ -90,8 +181,12 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       fetchSportsData()
     } else if (activeTab === TABS.DEPARTMENTS) {
       fetchDepartmentsData()
+    } else if (activeTab === TABS.VENUES) {
+      fetchVenuesData()
+    } else if (activeTab === TABS.AUDIT_LOG) {
+      fetchAuditLogData()
     }
-  }, [isOpen, activeTab, currentEventId, currentEventYear])
+  }, [isOpen, activeTab, currentEventId, currentEventYear, auditPage, auditFilters])
 
   // Fetch Event Years
   const fetchEventYearsData = async () => {
@@ -182,6 +277,67 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
     }
   }
 
+  // Fetch Venues
+  const fetchVenuesData = async () => {
+    setLoadingVenues(true)
+    try {
+      const response = await fetchWithAuth('/api/venues')
+      if (!response.ok) {
+        if (response.status >= 500) {
+          onStatusPopup('❌ Failed to fetch venues', 'error', 3000)
+        }
+        setVenues([])
+        return
+      }
+      const data = await response.json()
+      setVenues(data.venues || [])
+    } catch (error) {
+      if (error.name === 'TypeError' || error.message?.includes('fetch')) {
+        onStatusPopup('❌ Failed to fetch venues', 'error', 3000)
+      }
+      setVenues([])
+    } finally {
+      setLoadingVenues(false)
+    }
+  }
+
+  // Fetch Audit Log (always fresh - entries change with every write)
+  const fetchAuditLogData = async () => {
+    setLoadingAudit(true)
+    try {
+      const params = new URLSearchParams({ page: String(auditPage) })
+      if (currentEventId) params.set('event_id', currentEventId)
+      Object.entries(auditFilters).forEach(([key, value]) => {
+        if (value.trim()) params.set(key, value.trim())
+      })
+      const response = await fetchWithAuth(`/api/audit-log?${params.toString()}`, { skipCache: true })
+      if (!response.ok) {
+        if (response.status >= 500) {
+          onStatusPopup('❌ Failed to fetch audit log', 'error', 3000)
+        }
+        setAuditEntries([])
+        setAuditPagination(null)
+        return
+      }
+      const data = await response.json()
+      setAuditEntries(data.entries || [])
+      setAuditPagination(data.pagination || null)
+    } catch (error) {
+      if (error.name === 'TypeError' || error.message?.includes('fetch')) {
+        onStatusPopup('❌ Failed to fetch audit log', 'error', 3000)
+      }
+      setAuditEntries([])
+      setAuditPagination(null)
+    } finally {
+      setLoadingAudit(false)
+    }
+  }
+
+  const handleAuditFilterChange = (key, value) => {
+    setAuditFilters(prev => ({ ...prev, [key]: value }))
+    setAuditPage(1)
+  }
+
   // Event Year Handlers
   const handleCreateEventYear = async (e) => {
     e.preventDefault()
@@ -228,7 +384,7 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          event_year: eventYearForm.event_year,
+          event_year: eventYearNum,
           event_name: eventYearForm.event_name.trim().toLowerCase(),
           event_organizer: eventYearForm.event_organizer || undefined,
           event_title: eventYearForm.event_title || undefined,
@@ -240,7 +396,8 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
           registration_dates: {
             start: new Date(eventYearForm.registration_dates.start + 'T00:00:00'),
             end: new Date(eventYearForm.registration_dates.end + 'T23:59:59')
-          }
+          },
+          championship_points: buildChampionshipPointsPayload(eventYearForm.championship_points)
         })
       })
       if (!response.ok) {
@@ -252,7 +409,7 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       // Dispatch custom event to trigger refetch in all components using useEventYear hook
       window.dispatchEvent(new CustomEvent('eventYearUpdated'))
       onStatusPopup('✅ Event year created successfully', 'success', 2500)
-      setEventYearForm({ event_year: '', event_name: '', event_organizer: '', event_title: '', event_highlight: '', event_dates: { start: '', end: '' }, registration_dates: { start: '', end: '' } })
+      setEventYearForm({ event_year: '', event_name: '', event_organizer: '', event_title: '', event_highlight: '', event_dates: { start: '', end: '' }, registration_dates: { start: '', end: '' }, championship_points: toChampionshipPointsForm() })
       // Add the newly created year to the list immediately (optimistic update)
       setEventYears(prev => {
         // Check if event year already exists to avoid duplicates
@@ -312,6 +469,7 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       updateData.event_organizer = eventYearForm.event_organizer ? eventYearForm.event_organizer.trim() : ''
       updateData.event_title = eventYearForm.event_title ? eventYearForm.event_title.trim() : ''
       updateData.event_highlight = eventYearForm.event_highlight ? eventYearForm.event_highlight.trim() : ''
+      updateData.championship_points = buildChampionshipPointsPayload(eventYearForm.championship_points)
     }
     
     // Build date objects with only allowed fields
@@ -407,7 +565,7 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       window.dispatchEvent(new CustomEvent('eventYearUpdated'))
       onStatusPopup('✅ Event year updated successfully', 'success', 2500)
       setEditingEventYear(null)
-      setEventYearForm({ event_year: '', event_name: '', event_organizer: '', event_title: '', event_highlight: '', event_dates: { start: '', end: '' }, registration_dates: { start: '', end: '' } })
+      setEventYearForm({ event_year: '', event_name: '', event_organizer: '', event_title: '', event_highlight: '', event_dates: { start: '', end: '' }, registration_dates: { start: '', end: '' }, championship_points: toChampionshipPointsForm() })
       fetchEventYearsData()
     } catch (error) {
       onStatusPopup(`❌ ${error.message}`, 'error', 3000)
@@ -438,10 +596,50 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       registration_dates: {
         start: formatDateForInput(eventYear.registration_dates.start),
         end: formatDateForInput(eventYear.registration_dates.end)
-      }
+      },
+      championship_points: toChampionshipPointsForm(eventYear.championship_points || [])
     })
   }
 
+  // Championship points inputs (1st/2nd/3rd per sport category) shared by the create and edit forms
+  const renderChampionshipPointsInputs = (disabled = false) => (
+    <div className="col-span-1 md:col-span-2">
+      <div className="text-[0.85rem] font-bold text-[#cbd5ff] mb-1">Championship Points</div>
+      <p className="text-[0.75rem] text-[#94a3b8] mb-2">
+        Points a department/batch earns for a 1st, 2nd or 3rd place finish in a sport. Leave blank for the defaults ({DEFAULT_CHAMPIONSHIP_POINTS.first}/{DEFAULT_CHAMPIONSHIP_POINTS.second}/{DEFAULT_CHAMPIONSHIP_POINTS.third}).
+      </p>
+      <div className="space-y-2">
+        {SPORT_CATEGORY_OPTIONS.map(({ value, label }) => (
+          <div key={value} className="grid grid-cols-1 md:grid-cols-4 gap-2 md:items-end">
+            <div className="text-[0.8rem] text-[#e5e7eb] font-semibold md:pb-3">{label}</div>
+            {CHAMPIONSHIP_PLACES.map(({ key, label: placeLabel }) => (
+              <Input
+                key={key}
+                label={placeLabel}
+                type="number"
+                name={`championship_${value}_${key}`}
+                min="0"
+                max="100"
+                step="1"
+                value={eventYearForm.championship_points[value][key]}
+                onChange={(e) => setEventYearForm({
+                  ...eventYearForm,
+                  championship_points: {
+                    ...eventYearForm.championship_points,
+                    [value]: { ...eventYearForm.championship_points[value], [key]: e.target.value }
+                  }
+                })}
+                placeholder={`Default: ${DEFAULT_CHAMPIONSHIP_POINTS[key]}`}
+                disabled={disabled}
+                className={disabled ? 'opacity-50 cursor-not-allowed' : ''}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+
   const handleDeleteEventYear = async (eventYear) => {
     try {
       const response = await fetchWithAuth(
@@ -466,6 +664,28 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
     }
   }
 
+  const handleChangeEventYearStatus = async ({ event_id, status }) => {
+    try {
+      const response = await fetchWithAuth(`/api/event-years/${encodeURIComponent(event_id)}/status`, {
+        method: 'PUT',
+        body: JSON.stringify({ status })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to change event year status')
+      }
+      clearCache('/api/event-years/active')
+      // Dispatch custom event to trigger refetch in all components using useEventYear hook
+      window.dispatchEvent(new CustomEvent('eventYearUpdated'))
+      onStatusPopup(`✅ ${data.message || 'Event year status changed'}`, 'success', 3000)
+      setShowStatusConfirm(null)
+      fetchEventYearsData()
+    } catch (error) {
+      onStatusPopup(`❌ ${error.message}`, 'error', 3500)
+      setShowStatusConfirm(null)
+    }
+  }
+
   // Helper function to validate if event exists in database
   const validateEventYearExists = (eventId, eventYearForMessage) => {
     if (!eventId) {
@@ -518,16 +738,23 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       return
     }
     
+    const { scoring_format, best_of, max_overs, scoring_unit, points_win, points_draw, points_loss, points_cancelled, points_walkover, tie_breakers, ...sportFields } = sportForm
+
     try {
       const response = await fetchWithAuth(buildApiUrlWithYear('/api/sports', currentEventId), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          ...sportForm,
+          ...sportFields,
+          scoring: buildScoringPayload(),
+          points_rules: buildPointsRulesPayload(),
           event_id: currentEventId,
           team_size: sportForm.team_size && String(sportForm.team_size).trim() !== '' 
             ? parseInt(sportForm.team_size, 10) 
-            : null
+            : null,
+          reserve_slots: sportForm.type === 'dual_team' || sportForm.type === 'multi_team'
+            ? parseInt(sportForm.reserve_slots, 10) || 0
+            : 0
         })
       })
       if (!response.ok) {
@@ -540,13 +767,56 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       clearCache(buildApiUrlWithYear('/api/captains-by-sport', currentEventId))
       clearCache(buildApiUrlWithYear('/api/coordinators-by-sport', currentEventId))
       onStatusPopup('✅ Sport created successfully', 'success', 2500)
-      setSportForm({ name: '', type: '', category: '', team_size: '', imageUri: '' })
+      setSportForm({ name: '', type: '', category: '', team_size: '', reserve_slots: '', imageUri: '', scoring_format: '', best_of: '', max_overs: '', scoring_unit: '', points_win: '', points_draw: '', points_loss: '', points_cancelled: '', points_walkover: '', tie_breakers: [] })
       fetchSportsData()
     } catch (error) {
       onStatusPopup(`❌ ${error.message}`, 'error', 3000)
     }
   }
 
+  // Scoring format of the sport form (null = winner/qualifiers only)
+  const buildScoringPayload = () => {
+    if (!sportForm.scoring_format) {
+      return null
+    }
+    return {
+      format: sportForm.scoring_format,
+      best_of: sportForm.scoring_format === 'sets' && sportForm.best_of ? parseInt(sportForm.best_of, 10) : null,
+      max_overs: sportForm.scoring_format === 'cricket' && sportForm.max_overs ? parseInt(sportForm.max_overs, 10) : null,
+      unit: SCORE_UNIT_OPTIONS[sportForm.scoring_format] && sportForm.scoring_unit ? sportForm.scoring_unit : null
+    }
+  }
+
+  // League points rules of the sport form (null = default points, no tie-breakers; blank points use the defaults)
+  const buildPointsRulesPayload = () => {
+    const isDualSport = sportForm.type === 'dual_team' || sportForm.type === 'dual_player'
+    const points = {
+      win: sportForm.points_win,
+      draw: sportForm.points_draw,
+      loss: sportForm.points_loss,
+      cancelled: sportForm.points_cancelled,
+      walkover: sportForm.points_walkover
+    }
+    const hasCustomPoints = Object.values(points).some(value => String(value).trim() !== '')
+    if (!isDualSport || (!hasCustomPoints && sportForm.tie_breakers.length === 0)) {
+      return null
+    }
+    const rules = {}
+    Object.entries(points).forEach(([key, value]) => {
+      rules[key] = String(value).trim() !== '' ? Number(value) : DEFAULT_POINTS_RULES[key]
+    })
+    return { ...rules, tie_breakers: sportForm.tie_breakers }
+  }
+
+  // Set the tie-breaker at a position; clearing a position removes it and every tie-breaker after it
+  const handleTieBreakerChange = (index, value) => {
+    const tieBreakers = sportForm.tie_breakers.slice(0, index)
+    if (value) {
+      tieBreakers.push(value)
+    }
+    setSportForm({ ...sportForm, tie_breakers: tieBreakers })
+  }
+
   const handleUpdateSport = async (e) => {
     e.preventDefault()
     if (!editingSport) return
@@ -575,15 +845,22 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       return
     }
     
+    const { scoring_format, best_of, max_overs, scoring_unit, points_win, points_draw, points_loss, points_cancelled, points_walkover, tie_breakers, ...sportFields } = sportForm
+
     try {
       const response = await fetchWithAuth(buildApiUrlWithYear(`/api/sports/${editingSport._id}`, currentEventId), {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          ...sportForm,
+          ...sportFields,
+          scoring: buildScoringPayload(),
+          points_rules: buildPointsRulesPayload(),
           team_size: sportForm.team_size && String(sportForm.team_size).trim() !== '' 
             ? parseInt(sportForm.team_size, 10) 
-            : null
+            : null,
+          reserve_slots: sportForm.type === 'dual_team' || sportForm.type === 'multi_team'
+            ? parseInt(sportForm.reserve_slots, 10) || 0
+            : 0
         })
       })
       if (!response.ok) {
@@ -597,7 +874,7 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       clearCache(buildApiUrlWithYear('/api/coordinators-by-sport', currentEventId))
       onStatusPopup('✅ Sport updated successfully', 'success', 2500)
       setEditingSport(null)
-      setSportForm({ name: '', type: '', category: '', team_size: '', imageUri: '' })
+      setSportForm({ name: '', type: '', category: '', team_size: '', reserve_slots: '', imageUri: '', scoring_format: '', best_of: '', max_overs: '', scoring_unit: '', points_win: '', points_draw: '', points_loss: '', points_cancelled: '', points_walkover: '', tie_breakers: [] })
       fetchSportsData()
     } catch (error) {
       onStatusPopup(`❌ ${error.message}`, 'error', 3000)
@@ -654,7 +931,18 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       type: sport.type,
       category: sport.category,
       team_size: sport.team_size ? String(sport.team_size) : '',
-      imageUri: sport.imageUri || ''
+      reserve_slots: sport.reserve_slots ? String(sport.reserve_slots) : '',
+      imageUri: sport.imageUri || '',
+      scoring_format: sport.scoring?.format || '',
+      best_of: sport.scoring?.best_of ? String(sport.scoring.best_of) : '',
+      max_overs: sport.scoring?.max_overs ? String(sport.scoring.max_overs) : '',
+      scoring_unit: sport.scoring?.unit || '',
+      points_win: sport.points_rules ? String(sport.points_rules.win) : '',
+      points_draw: sport.points_rules ? String(sport.points_rules.draw) : '',
+      points_loss: sport.points_rules ? String(sport.points_rules.loss) : '',
+      points_cancelled: sport.points_rules ? String(sport.points_rules.cancelled) : '',
+      points_walkover: sport.points_rules ? String(sport.points_rules.walkover) : '',
+      tie_breakers: sport.points_rules?.tie_breakers || []
     })
   }
 
@@ -742,14 +1030,100 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
     })
   }
 
+  // Venue Handlers
+  // Courts are entered as a comma-separated list
+  const parseCourts = (value) => value.split(',').map(c => c.trim()).filter(Boolean)
+
+  const handleCreateVenue = async (e) => {
+    e.preventDefault()
+    try {
+      const response = await fetchWithAuth('/api/venues', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: venueForm.name,
+          location: venueForm.location,
+          courts: parseCourts(venueForm.courts)
+        })
+      })
+      if (!response.ok) {
+        const error = await response.json()
+        throw new Error(error.error || 'Failed to create venue')
+      }
+      clearCache('/api/venues')
+      onStatusPopup('✅ Venue created successfully', 'success', 2500)
+      setVenueForm({ name: '', location: '', courts: '' })
+      fetchVenuesData()
+    } catch (error) {
+      onStatusPopup(`❌ ${error.message}`, 'error', 3000)
+    }
+  }
+
+  const handleUpdateVenue = async (e) => {
+    e.preventDefault()
+    if (!editingVenue) return
+    try {
+      const response = await fetchWithAuth(`/api/venues/${editingVenue._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          location: venueForm.location,
+          courts: parseCourts(venueForm.courts)
+        })
+      })
+      if (!response.ok) {
+        const error = await response.json()
+        throw new Error(error.error || 'Failed to update venue')
+      }
+      clearCache('/api/venues')
+      onStatusPopup('✅ Venue updated successfully', 'success', 2500)
+      setEditingVenue(null)
+      setVenueForm({ name: '', location: '', courts: '' })
+      fetchVenuesData()
+    } catch (error) {
+      onStatusPopup(`❌ ${error.message}`, 'error', 3000)
+    }
+  }
+
+  const handleDeleteVenue = async (venueId) => {
+    const venueToDelete = venues.find(v => v._id === venueId)
+    const venueName = venueToDelete?.name || 'this venue'
+
+    try {
+      const response = await fetchWithAuth(`/api/venues/${venueId}`, {
+        method: 'DELETE'
+      })
+      if (!response.ok) {
+        const error = await response.json()
+        throw new Error(error.error || `Failed to delete venue "${venueName}"`)
+      }
+      clearCache('/api/venues')
+      onStatusPopup('✅ Venue deleted successfully', 'success', 2500)
+      setShowDeleteVenueConfirm(null)
+      fetchVenuesData()
+    } catch (error) {
+      onStatusPopup(`❌ ${error.message}`, 'error', 4000)
+      setShowDeleteVenueConfirm(null)
+    }
+  }
+
+  const handleEditVenue = (venue) => {
+    setEditingVenue(venue)
+    setVenueForm({
+      name: venue.name,
+      location: venue.location || '',
+      courts: (venue.courts || []).join(', ')
+    })
+  }
+
 
   // Scroll to top when editing starts or delete confirmation is shown
   useEffect(() => {
-    if (editingEventYear || editingSport || editingDept || showDeleteConfirm || showDeleteSportConfirm || showDeleteDeptConfirm) {
+    if (editingEventYear || cloningEventYear || editingSport || editingDept || editingVenue || showDeleteConfirm || showStatusConfirm || showDeleteSportConfirm || showDeleteDeptConfirm || showDeleteVenueConfirm) {
       // Use setTimeout to ensure DOM is updated and form/dialog is rendered
       setTimeout(() => {
-        // Scroll the page window to top (for delete confirmation dialogs)
-        if (showDeleteConfirm || showDeleteSportConfirm || showDeleteDeptConfirm) {
+        // Scroll the page window to top (for delete and status confirmation dialogs)
+        if (showDeleteConfirm || showStatusConfirm || showDeleteSportConfirm || showDeleteDeptConfirm || showDeleteVenueConfirm) {
           window.scrollTo({ top: 0, behavior: 'smooth' })
         }
         
@@ -767,7 +1141,7 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
         }
       }, 100)
     }
-  }, [editingEventYear, editingSport, editingDept, showDeleteConfirm, showDeleteSportConfirm, showDeleteDeptConfirm])
+  }, [editingEventYear, cloningEventYear, editingSport, editingDept, editingVenue, showDeleteConfirm, showStatusConfirm, showDeleteSportConfirm, showDeleteDeptConfirm, showDeleteVenueConfirm])
 
   return (
     <Modal
@@ -781,7 +1155,8 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
         {Object.entries({
           [TABS.EVENT_YEARS]: 'Event Years',
           [TABS.SPORTS]: 'Sports',
-          [TABS.DEPARTMENTS]: 'Departments'
+          ...(canManageAllEvents ? { [TABS.DEPARTMENTS]: 'Departments', [TABS.VENUES]: 'Venues' } : {}),
+          ...(canViewAuditLog ? { [TABS.AUDIT_LOG]: 'Audit Log' } : {})
         }).map(([key, label]) => (
           <button
             key={key}
@@ -800,8 +1175,24 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
       {/* Event Years Tab */}
       {activeTab === TABS.EVENT_YEARS && (
         <div>
+          {/* Clone Panel */}
+          {cloningEventYear && (
+            <EventYearClonePanel
+              sourceEventYear={cloningEventYear}
+              onStatusPopup={onStatusPopup}
+              onCancel={() => setCloningEventYear(null)}
+              onCloned={() => {
+                setCloningEventYear(null)
+                clearCache('/api/event-years/active')
+                // Dispatch custom event to trigger refetch in all components using useEventYear hook
+                window.dispatchEvent(new CustomEvent('eventYearUpdated'))
+                fetchEventYearsData()
+              }}
+            />
+          )}
+
           {/* Create/Edit Form */}
-          {!editingEventYear ? (
+          {cloningEventYear ? null : !editingEventYear ? (canManageAllEvents && (
             <form onSubmit={handleCreateEventYear} className="mb-6 p-4 bg-[rgba(0,0,0,0.3)] rounded-lg">
               <h4 className="text-md font-bold text-[#cbd5ff] mb-3">Create New Event Year</h4>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -869,10 +1260,11 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                 onChange={(e) => setEventYearForm({ ...eventYearForm, registration_dates: { ...eventYearForm.registration_dates, end: e.target.value } })}
                 required
               />
+              {renderChampionshipPointsInputs()}
             </div>
             <Button type="submit" className="mt-4">Create</Button>
           </form>
-          ) : (
+          )) : (
             <form onSubmit={handleUpdateEventYear} className="mb-6 p-4 bg-[rgba(0,0,0,0.3)] rounded-lg">
               <h4 className="text-md font-bold text-[#cbd5ff] mb-3">Edit Event Year: {editingEventYear.event_year}</h4>
               {(() => {
@@ -977,6 +1369,7 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                         className={!updatableFields.canUpdateRegEnd ? 'opacity-50 cursor-not-allowed' : ''}
                       />
                     </div>
+                    {renderChampionshipPointsInputs(!updatableFields.canUpdateNonDateFields)}
                   </div>
                 )
               })()}
@@ -987,7 +1380,7 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                   variant="secondary"
                   onClick={() => {
                     setEditingEventYear(null)
-                    setEventYearForm({ event_year: '', event_name: '', event_organizer: '', event_title: '', event_highlight: '', event_dates: { start: '', end: '' }, registration_dates: { start: '', end: '' } })
+                    setEventYearForm({ event_year: '', event_name: '', event_organizer: '', event_title: '', event_highlight: '', event_dates: { start: '', end: '' }, registration_dates: { start: '', end: '' }, championship_points: toChampionshipPointsForm() })
                   }}
                 >
                   Cancel
@@ -1005,7 +1398,13 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
               <p className="text-[#94a3b8]">No event years found</p>
             ) : (
               <div className="space-y-2">
-                {eventYears.map((eventYear) => (
+                {eventYears.map((eventYear) => {
+                  const statusIndex = EVENT_YEAR_STATUS_OPTIONS.findIndex(option => option.value === eventYear.status)
+                  const statusLabel = EVENT_YEAR_STATUS_OPTIONS[statusIndex]?.label
+                  const nextStatus = EVENT_YEAR_STATUS_OPTIONS[statusIndex + 1]
+                  const isArchived = eventYear.status === 'archived'
+                  const canChangeStatus = nextStatus && (nextStatus.value === 'archived' ? canManageAllEvents : isEventAdmin(loggedInUser, eventYear.event_id))
+                  return (
                   <div key={eventYear._id || eventYear.event_year} className="p-3 bg-[rgba(0,0,0,0.3)] rounded-lg flex flex-col md:flex-row md:items-center md:justify-between gap-3">
                     <div className="flex flex-row items-center justify-start gap-2">
                       <div>
@@ -1014,6 +1413,11 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                         {eventYear.is_active && (
                           <span className="ml-2 px-2 py-1 bg-[#22c55e] text-white text-xs rounded">Active</span>
                         )}
+                        {statusLabel && (
+                          <span className={`ml-2 px-2 py-1 text-xs rounded ${isArchived ? 'bg-[#64748b] text-white' : 'bg-[rgba(255,255,255,0.1)] text-[#cbd5ff]'}`}>
+                            {statusLabel}
+                          </span>
+                        )}
                       </div>
                     </div>
                     <div className="flex gap-2 md:ml-0">
@@ -1021,11 +1425,32 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                         variant="secondary"
                         onClick={() => handleEditEventYear(eventYear)}
                         className="px-3 py-1 text-xs"
-                        disabled={!!editingEventYear}
+                        disabled={!!editingEventYear || !!cloningEventYear || isArchived || !isEventAdmin(loggedInUser, eventYear.event_id)}
+                        title={isArchived ? 'Archived event years are read-only' : ''}
                       >
                         Edit
                       </Button>
-                      {(() => {
+                      {canChangeStatus && (
+                        <Button
+                          variant={nextStatus.value === 'archived' ? 'danger' : 'secondary'}
+                          onClick={() => setShowStatusConfirm({ event_id: eventYear.event_id, event_year: eventYear.event_year, event_name: eventYear.event_name, status: nextStatus.value, label: nextStatus.label })}
+                          className="px-3 py-1 text-xs"
+                          disabled={!!editingEventYear || !!cloningEventYear}
+                        >
+                          {nextStatus.value === 'archived' ? 'Archive' : `Move to ${nextStatus.label}`}
+                        </Button>
+                      )}
+                      {canManageAllEvents && (
+                        <Button
+                          variant="secondary"
+                          onClick={() => setCloningEventYear(eventYear)}
+                          className="px-3 py-1 text-xs"
+                          disabled={!!editingEventYear || !!cloningEventYear}
+                        >
+                          Clone
+                        </Button>
+                      )}
+                      {canManageAllEvents && (() => {
                         const deleteStatus = canDeleteEventYear(eventYear)
                         return (
                           <Button
@@ -1051,7 +1476,8 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                       })()}
                     </div>
                   </div>
-                ))}
+                  )
+                })}
               </div>
             )}
           </div>
@@ -1111,11 +1537,7 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                 name="category"
                 value={sportForm.category}
                 onChange={(e) => setSportForm({ ...sportForm, category: e.target.value })}
-                options={[
-                  { value: 'team events', label: 'Team Events' },
-                  { value: 'individual events', label: 'Individual Events' },
-                  { value: 'literary and cultural activities', label: 'Literary and Cultural Activities' }
-                ]}
+                options={SPORT_CATEGORY_OPTIONS}
                 required
               />
                 <Input
@@ -1146,6 +1568,17 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                 disabled={!(sportForm.type === 'dual_team' || sportForm.type === 'multi_team')}
                 required={sportForm.type === 'dual_team' || sportForm.type === 'multi_team'}
                 />
+              <Input
+                label="Reserve Slots"
+                type="number"
+                name="reserve_slots"
+                min="0"
+                max={MAX_RESERVE_SLOTS}
+                value={sportForm.reserve_slots || ''}
+                onChange={(e) => setSportForm({ ...sportForm, reserve_slots: e.target.value })}
+                placeholder="0 (No reserves)"
+                disabled={!(sportForm.type === 'dual_team' || sportForm.type === 'multi_team')}
+              />
               <Input
                 label="Image URI"
                 name="imageUri"
@@ -1153,6 +1586,100 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                 onChange={(e) => setSportForm({ ...sportForm, imageUri: e.target.value })}
                 placeholder="/images/sport.jpg"
               />
+              <Input
+                label="Scoring Format"
+                type="select"
+                name="scoring_format"
+                value={sportForm.scoring_format}
+                onChange={(e) => setSportForm({ ...sportForm, scoring_format: e.target.value, best_of: '', max_overs: '', scoring_unit: '' })}
+              >
+                <option value="">None (Winner / Qualifiers Only)</option>
+                {SCORING_FORMAT_OPTIONS
+                  .filter(option => sportForm.type === 'dual_team' || sportForm.type === 'dual_player' || !DUAL_ONLY_SCORING_FORMATS.includes(option.value))
+                  .map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+              </Input>
+              {sportForm.scoring_format === 'sets' && (
+                <Input
+                  label="Best Of (Sets)"
+                  type="select"
+                  name="best_of"
+                  value={sportForm.best_of}
+                  onChange={(e) => setSportForm({ ...sportForm, best_of: e.target.value })}
+                >
+                  <option value="">No Limit</option>
+                  <option value="1">1 Set</option>
+                  <option value="3">3 Sets</option>
+                  <option value="5">5 Sets</option>
+                  <option value="7">7 Sets</option>
+                </Input>
+              )}
+              {sportForm.scoring_format === 'cricket' && (
+                <Input
+                  label="Overs Per Innings"
+                  type="number"
+                  name="max_overs"
+                  min="1"
+                  value={sportForm.max_overs}
+                  onChange={(e) => setSportForm({ ...sportForm, max_overs: e.target.value })}
+                  placeholder="Optional (e.g. 20)"
+                />
+              )}
+              {SCORE_UNIT_OPTIONS[sportForm.scoring_format] && (
+                <Input
+                  label="Result Unit"
+                  type="select"
+                  name="scoring_unit"
+                  value={sportForm.scoring_unit}
+                  onChange={(e) => setSportForm({ ...sportForm, scoring_unit: e.target.value })}
+                >
+                  {SCORE_UNIT_OPTIONS[sportForm.scoring_format].map(option => (
+                    <option key={option.value} value={option.value === DEFAULT_SCORE_UNITS[sportForm.scoring_format] ? '' : option.value}>{option.label}</option>
+                  ))}
+                </Input>
+              )}
+              {(sportForm.type === 'dual_team' || sportForm.type === 'dual_player') && (
+                <>
+                  {[
+                    { key: 'points_win', label: 'Points for Win', defaultValue: DEFAULT_POINTS_RULES.win },
+                    { key: 'points_draw', label: 'Points for Draw', defaultValue: DEFAULT_POINTS_RULES.draw },
+                    { key: 'points_loss', label: 'Points for Loss', defaultValue: DEFAULT_POINTS_RULES.loss },
+                    { key: 'points_cancelled', label: 'Points for Cancelled', defaultValue: DEFAULT_POINTS_RULES.cancelled },
+                    { key: 'points_walkover', label: 'Points for Walkover Win', defaultValue: DEFAULT_POINTS_RULES.walkover }
+                  ].map(({ key, label, defaultValue }) => (
+                    <Input
+                      key={key}
+                      label={label}
+                      type="number"
+                      name={key}
+                      min="-100"
+                      max="100"
+                      step="any"
+                      value={sportForm[key]}
+                      onChange={(e) => setSportForm({ ...sportForm, [key]: e.target.value })}
+                      placeholder={`Default: ${defaultValue}`}
+                    />
+                  ))}
+                  {TIE_BREAKER_OPTIONS.slice(0, sportForm.tie_breakers.length + 1).map((_, index) => (
+                    <Input
+                      key={`tie_breaker_${index}`}
+                      label={`Tie-Breaker ${index + 1}`}
+                      type="select"
+                      name={`tie_breaker_${index}`}
+                      value={sportForm.tie_breakers[index] || ''}
+                      onChange={(e) => handleTieBreakerChange(index, e.target.value)}
+                    >
+                      <option value="">{index === 0 ? 'None (Matches Won, then Name)' : 'None'}</option>
+                      {TIE_BREAKER_OPTIONS
+                        .filter(option => option.value === sportForm.tie_breakers[index] || !sportForm.tie_breakers.includes(option.value))
+                        .map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </Input>
+                  ))}
+                </>
+              )}
             </div>
             <div className="flex gap-2 mt-4">
               <Button 
@@ -1173,7 +1700,7 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                   variant="secondary"
                   onClick={() => {
                     setEditingSport(null)
-                    setSportForm({ name: '', type: '', category: '', team_size: '', imageUri: '' })
+                    setSportForm({ name: '', type: '', category: '', team_size: '', reserve_slots: '', imageUri: '', scoring_format: '', best_of: '', max_overs: '', scoring_unit: '', points_win: '', points_draw: '', points_loss: '', points_cancelled: '', points_walkover: '', tie_breakers: [] })
                   }}
                 >
                   Cancel
@@ -1216,6 +1743,9 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
                           {sport.team_size && (
                             <span className="text-[#cbd5ff] text-sm">Team Size: {sport.team_size}</span>
                           )}
+                          {sport.reserve_slots > 0 && (
+                            <span className="text-[#cbd5ff] text-sm">Reserves: {sport.reserve_slots}</span>
+                          )}
                         </div>
                         <span className="text-[#cbd5ff] text-sm md:ml-2">
                           ({displayCount} {displayLabel}{displayCount !== 1 ? 's' : ''} participated)
@@ -1387,6 +1917,237 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
         </div>
       )}
 
+      {/* Venues Tab */}
+      {activeTab === TABS.VENUES && (
+        <div>
+          {/* Create Form */}
+          {!editingVenue && (
+            <form onSubmit={handleCreateVenue} className="mb-6 p-4 bg-[rgba(0,0,0,0.3)] rounded-lg">
+              <h4 className="text-md font-bold text-[#cbd5ff] mb-3">Create New Venue</h4>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <Input
+                  label="Venue Name"
+                  name="name"
+                  value={venueForm.name}
+                  onChange={(e) => setVenueForm({ ...venueForm, name: e.target.value })}
+                  required
+                />
+                <Input
+                  label="Location (Optional)"
+                  name="location"
+                  value={venueForm.location}
+                  onChange={(e) => setVenueForm({ ...venueForm, location: e.target.value })}
+                />
+                <Input
+                  label="Courts (Optional)"
+                  name="courts"
+                  placeholder="Court 1, Court 2"
+                  value={venueForm.courts}
+                  onChange={(e) => setVenueForm({ ...venueForm, courts: e.target.value })}
+                />
+              </div>
+              <Button type="submit" className="mt-4">Create</Button>
+            </form>
+          )}
+
+          {/* Edit Form */}
+          {editingVenue && (
+            <form onSubmit={handleUpdateVenue} className="mb-6 p-4 bg-[rgba(0,0,0,0.3)] rounded-lg">
+              <h4 className="text-md font-bold text-[#cbd5ff] mb-3">Edit Venue: {editingVenue.name}</h4>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Input
+                  label="Location (Optional)"
+                  name="location"
+                  value={venueForm.location}
+                  onChange={(e) => setVenueForm({ ...venueForm, location: e.target.value })}
+                />
+                <Input
+                  label="Courts (Optional)"
+                  name="courts"
+                  placeholder="Court 1, Court 2"
+                  value={venueForm.courts}
+                  onChange={(e) => setVenueForm({ ...venueForm, courts: e.target.value })}
+                />
+              </div>
+              <div className="flex gap-2 mt-4">
+                <Button type="submit">Update</Button>
+                <Button
+                  type="button"
+                  variant="secondary"
+                  onClick={() => {
+                    setEditingVenue(null)
+                    setVenueForm({ name: '', location: '', courts: '' })
+                  }}
+                >
+                  Cancel
+                </Button>
+              </div>
+            </form>
+          )}
+
+          {/* List */}
+          <div>
+            <h4 className="text-md font-bold text-[#cbd5ff] mb-3">Existing Venues</h4>
+            {loadingVenues ? (
+              <LoadingSpinner />
+            ) : venues.length === 0 ? (
+              <p className="text-[#94a3b8]">No venues found</p>
+            ) : (
+              <div className="space-y-2">
+                {venues.map((venue) => {
+                  const matchCount = venue.match_count || 0
+                  return (
+                    <div key={venue._id || venue.name} className="p-3 bg-[rgba(0,0,0,0.3)] rounded-lg flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                      <div className="flex flex-col gap-1">
+                        <div className="flex items-center flex-wrap gap-2">
+                          <span className="font-bold text-[#ffe66d]">{venue.name}</span>
+                          {venue.location && <span className="text-[#94a3b8]">({venue.location})</span>}
+                          <span className="text-[#cbd5ff] text-sm">
+                            ({matchCount} match{matchCount !== 1 ? 'es' : ''})
+                          </span>
+                        </div>
+                        {venue.courts?.length > 0 && (
+                          <span className="text-[#94a3b8] text-sm">Courts: {venue.courts.join(', ')}</span>
+                        )}
+                      </div>
+                      <div className="flex gap-2 md:ml-0">
+                        <Button
+                          variant="secondary"
+                          onClick={() => handleEditVenue(venue)}
+                          className="px-3 py-1 text-xs"
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          variant="danger"
+                          onClick={() => setShowDeleteVenueConfirm(venue._id)}
+                          disabled={matchCount > 0}
+                          className="px-3 py-1 text-xs"
+                          title={matchCount > 0 ? `Cannot delete venue with ${matchCount} match(es).` : "Delete Venue"}
+                        >
+                          Delete
+                        </Button>
+                      </div>
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Audit Log Tab */}
+      {activeTab === TABS.AUDIT_LOG && canViewAuditLog && (
+        <div>
+          {/* Filters */}
+          <div className="mb-6 p-4 bg-[rgba(0,0,0,0.3)] rounded-lg">
+            <h4 className="text-md font-bold text-[#cbd5ff] mb-3">Filters</h4>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <Input
+                label="Entity"
+                type="select"
+                name="entity_type"
+                value={auditFilters.entity_type}
+                onChange={(e) => handleAuditFilterChange('entity_type', e.target.value)}
+              >
+                <option value="">All</option>
+                {AUDIT_ENTITY_TYPES.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </Input>
+              <Input
+                label="Action"
+                type="select"
+                name="action"
+                value={auditFilters.action}
+                onChange={(e) => handleAuditFilterChange('action', e.target.value)}
+              >
+                <option value="">All</option>
+                <option value="create">Create</option>
+                <option value="update">Update</option>
+                <option value="delete">Delete</option>
+              </Input>
+              <Input
+                label="Actor (Reg Number)"
+                name="actor"
+                value={auditFilters.actor}
+                onChange={(e) => handleAuditFilterChange('actor', e.target.value)}
+              />
+            </div>
+          </div>
+
+          {/* List */}
+          <div>
+            <h4 className="text-md font-bold text-[#cbd5ff] mb-3">
+              Recent Changes{auditPagination ? ` (${auditPagination.totalCount})` : ''}
+            </h4>
+            {loadingAudit ? (
+              <LoadingSpinner />
+            ) : auditEntries.length === 0 ? (
+              <p className="text-[#94a3b8]">No audit entries found</p>
+            ) : (
+              <div className="space-y-2">
+                {auditEntries.map((entry) => {
+                  const changedFields = Object.entries(entry.changes || {})
+                  return (
+                    <div key={entry._id} className="p-3 bg-[rgba(0,0,0,0.3)] rounded-lg">
+                      <div className="flex flex-wrap items-center gap-2 text-sm">
+                        <span className={`font-bold uppercase text-xs ${
+                          entry.action === 'delete' ? 'text-red-400' : entry.action === 'create' ? 'text-green-400' : 'text-[#ffe66d]'
+                        }`}>
+                          {entry.action}
+                        </span>
+                        <span className="font-bold text-[#e5e7eb]">{entry.entity_type}</span>
+                        <span className="text-[#94a3b8] text-xs">{entry.entity_id}</span>
+                      </div>
+                      <div className="text-xs text-[#94a3b8] mt-1">
+                        {new Date(entry.createdAt).toLocaleString()} · by {entry.actor || 'anonymous'}
+                        {entry.route && <> · {entry.method} {entry.route}</>}
+                      </div>
+                      {changedFields.length > 0 && (
+                        <ul className="mt-2 text-xs text-[#cbd5ff] space-y-1 break-all">
+                          {changedFields.map(([field, change]) => (
+                            <li key={field}>
+                              <span className="font-semibold">{field}</span>: {formatAuditValue(change?.from)} → {formatAuditValue(change?.to)}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+
+            {/* Pagination */}
+            {auditPagination && auditPagination.totalPages > 1 && (
+              <div className="flex items-center justify-between mt-4">
+                <Button
+                  variant="secondary"
+                  onClick={() => setAuditPage(page => Math.max(1, page - 1))}
+                  disabled={!auditPagination.hasPreviousPage || loadingAudit}
+                  className="px-3 py-1 text-xs"
+                >
+                  Previous
+                </Button>
+                <span className="text-sm text-[#94a3b8]">
+                  Page {auditPagination.currentPage} of {auditPagination.totalPages}
+                </span>
+                <Button
+                  variant="secondary"
+                  onClick={() => setAuditPage(page => page + 1)}
+                  disabled={!auditPagination.hasNextPage || loadingAudit}
+                  className="px-3 py-1 text-xs"
+                >
+                  Next
+                </Button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Confirmation Dialogs */}
       {showDeleteConfirm && (
         <ConfirmationDialog
@@ -1398,6 +2159,20 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
         />
       )}
 
+      {showStatusConfirm && (
+        <ConfirmationDialog
+          isOpen={!!showStatusConfirm}
+          onClose={() => setShowStatusConfirm(null)}
+          onConfirm={() => handleChangeEventYearStatus(showStatusConfirm)}
+          title={showStatusConfirm.status === 'archived' ? 'Archive Event Year' : 'Change Event Year Status'}
+          message={showStatusConfirm.status === 'archived'
+            ? `Archive event year ${showStatusConfirm.event_year} - ${showStatusConfirm.event_name}? Its results will be frozen and all its data becomes read-only. This action cannot be undone.`
+            : `Move event year ${showStatusConfirm.event_year} - ${showStatusConfirm.event_name} to ${showStatusConfirm.label}? Statuses only move forward.`}
+          confirmText={showStatusConfirm.status === 'archived' ? 'Archive' : 'Move'}
+          variant={showStatusConfirm.status === 'archived' ? 'danger' : 'success'}
+        />
+      )}
+
       {showDeleteSportConfirm && (() => {
         const sportToDelete = sports.find(s => s._id === showDeleteSportConfirm)
         const sportName = sportToDelete?.name || 'this sport'
@@ -1447,6 +2222,31 @@ function AdminDashboardModal({ isOpen, onClose, onStatusPopup, selectedEventId,
           />
         )
       })()}
+
+      {showDeleteVenueConfirm && (() => {
+        const venueToDelete = venues.find(v => v._id === showDeleteVenueConfirm)
+        const venueName = venueToDelete?.name || 'this venue'
+        return (
+          <ConfirmationDialog
+            isOpen={!!showDeleteVenueConfirm}
+            onClose={() => setShowDeleteVenueConfirm(null)}
+            onConfirm={() => handleDeleteVenue(showDeleteVenueConfirm)}
+            title="Delete Venue"
+            message={
+              <>
+                Are you sure you want to delete venue <span className="font-semibold text-[#ffe66d]">{venueName}</span>?
+                <br />
+                <span className="text-[0.9rem] text-red-400 mt-2 block">
+                  This action cannot be undone. If any matches are scheduled at this venue, deletion will be prevented.
+                </span>
+              </>
+            }
+            confirmText="Delete"
+            cancelText="Cancel"
+            variant="danger"
+          />
+        )
+      })()}
     </Modal>
   )
 }
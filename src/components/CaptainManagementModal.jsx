@@ -5,6 +5,7 @@ import { fetchWithAuth, clearCache } from '../utils/api'
 import { buildApiUrlWithYear } from '../utils/apiHelpers'
 import { formatSportName } from '../utils/stringHelpers'
 import { isCoordinatorForSportScope } from '../utils/sportHelpers'
+import { isEventAdmin } from '../utils/roleHelpers'
 import logger from '../utils/logger'
 import { shouldDisableDatabaseOperations } from '../utils/yearHelpers'
 
@@ -33,7 +34,7 @@ function CaptainManagementModal({ isOpen, onClose, onStatusPopup, selectedEventI
   const { eventYear, eventId } = useEventYearWithFallback(selectedEventId)
   const { eventYearConfig } = useEventYear()
   const confirmModal = useModal(false)
-  const isAdmin = loggedInUser?.reg_number === 'admin'
+  const isAdmin = isEventAdmin(loggedInUser, eventId)
   
   // Check if database operations should be disabled
   const operationStatus = shouldDisableDatabaseOperations(eventYearConfig)
@@ -0,0 +1,193 @@
+/**
+ * Championship Leaderboard
+ * Overall trophy standings of departments and batches, with the placings of every sport
+ */
+
+import { useState, useEffect } from 'react'
+import { fetchWithAuth } from '../utils/api'
+import { buildApiUrlWithYear } from '../utils/apiHelpers'
+import { useEventYearWithFallback } from '../hooks'
+import logger from '../utils/logger'
+import { LoadingSpinner, EmptyState } from './ui'
+import { formatSportName } from '../utils/stringHelpers'
+
+const PLACE_LABELS = { 1: '🥇', 2: '🥈', 3: '🥉' }
+
+function ChampionshipLeaderboard({ selectedEventId }) {
+  const [standings, setStandings] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [view, setView] = useState('departments') // 'departments' or 'batches'
+  const [showSports, setShowSports] = useState(false)
+  const [refreshKey, setRefreshKey] = useState(0)
+  const { eventId } = useEventYearWithFallback(selectedEventId)
+
+  useEffect(() => {
+    // Wait for eventId before making API call
+    if (!eventId) return
+
+    let isMounted = true
+    const abortController = new AbortController()
+
+    const fetchStandings = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const response = await fetchWithAuth(buildApiUrlWithYear('/api/championship', eventId), {
+          signal: abortController.signal,
+          skipCache: refreshKey > 0,
+        })
+        if (!response.ok) {
+          throw new Error(`Failed to fetch championship standings: ${response.status}`)
+        }
+        const data = await response.json()
+        if (isMounted) {
+          setStandings(data)
+        }
+      } catch (err) {
+        if (err.name === 'AbortError') return
+        logger.error('Error fetching championship standings:', err)
+        if (isMounted) {
+          setError(err.message || 'Failed to fetch championship standings')
+          setStandings(null)
+        }
+      } finally {
+        if (isMounted) {
+          setLoading(false)
+        }
+      }
+    }
+
+    fetchStandings()
+
+    return () => {
+      isMounted = false
+      abortController.abort()
+    }
+  }, [eventId, refreshKey])
+
+  const rows = standings ? (view === 'departments' ? standings.departments : standings.batches) || [] : []
+  const completedSports = (standings?.sports || []).filter(s => s.completed)
+  const pendingSports = (standings?.sports || []).filter(s => !s.completed)
+  const hasResults = completedSports.length > 0
+
+  return (
+    <section id="championship" className="mt-[2.2rem]">
+      <h3 className="text-center mt-14 mb-[1.4rem] text-[1.4rem] tracking-[0.16em] uppercase text-[#ffe66d]">
+        Overall Championship
+      </h3>
+
+      {loading && !standings ? (
+        <LoadingSpinner message="Loading championship standings..." />
+      ) : error ? (
+        <EmptyState message="Unable to load championship standings. Please try again later." />
+      ) : !hasResults ? (
+        <EmptyState message="Championship standings appear once the first final is completed." />
+      ) : (
+        <div className="rounded-[18px] bg-[rgba(12,16,40,0.75)] border border-[rgba(255,255,255,0.1)] p-4 shadow-[0_18px_40px_rgba(0,0,0,0.6)]">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <div className="flex gap-2">
+              {[
+                { value: 'departments', label: 'Departments' },
+                { value: 'batches', label: 'Batches' }
+              ].map(tab => (
+                <button
+                  key={tab.value}
+                  type="button"
+                  onClick={() => setView(tab.value)}
+                  className={`px-4 py-1.5 rounded-full text-[0.85rem] font-bold uppercase tracking-[0.05em] transition-colors ${
+                    view === tab.value
+                      ? 'bg-[#ffe66d] text-[#020617]'
+                      : 'bg-[rgba(255,255,255,0.08)] text-[#cbd5ff] hover:bg-[rgba(255,255,255,0.15)]'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setRefreshKey(key => key + 1)}
+              disabled={loading}
+              className="px-3 py-1.5 rounded-full text-[0.8rem] font-bold bg-[rgba(255,255,255,0.08)] text-[#cbd5ff] hover:bg-[rgba(255,255,255,0.15)] disabled:opacity-50"
+            >
+              {loading ? 'Refreshing...' : 'Refresh'}
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse">
+              <thead>
+                <tr className="border-b border-[rgba(255,255,255,0.1)]">
+                  <th className="px-3 py-2 text-left text-[0.8rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">Rank</th>
+                  <th className="px-3 py-2 text-left text-[0.8rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">
+                    {view === 'departments' ? 'Department' : 'Batch'}
+                  </th>
+                  <th className="px-3 py-2 text-center text-[0.8rem] font-bold text-[#ffe66d]" title="1st place">🥇</th>
+                  <th className="px-3 py-2 text-center text-[0.8rem] font-bold text-[#ffe66d]" title="2nd place">🥈</th>
+                  <th className="px-3 py-2 text-center text-[0.8rem] font-bold text-[#ffe66d]" title="3rd place">🥉</th>
+                  <th className="px-3 py-2 text-center text-[0.8rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">Points</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.name} className="border-b border-[rgba(255,255,255,0.05)]">
+                    <td className="px-3 py-2 text-[#e5e7eb] font-semibold">{row.position}</td>
+                    <td className="px-3 py-2 text-[#e5e7eb] font-semibold">{row.name}</td>
+                    <td className="px-3 py-2 text-center text-[#cbd5ff]">{row.gold}</td>
+                    <td className="px-3 py-2 text-center text-[#cbd5ff]">{row.silver}</td>
+                    <td className="px-3 py-2 text-center text-[#cbd5ff]">{row.bronze}</td>
+                    <td className="px-3 py-2 text-center text-[#ffe66d] font-bold">{row.points}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-4 text-center">
+            <button
+              type="button"
+              onClick={() => setShowSports(prev => !prev)}
+              className="text-[0.85rem] font-bold text-[#06b6d4] hover:underline"
+            >
+              {showSports ? 'Hide results by sport' : `Show results by sport (${completedSports.length} decided, ${pendingSports.length} pending)`}
+            </button>
+          </div>
+
+          {showSports && (
+            <div className="mt-3 grid grid-cols-[repeat(auto-fit,minmax(260px,1fr))] gap-3">
+              {completedSports.map(result => (
+                <div key={`${result.sport}-${result.gender || ''}`} className="p-3 rounded-lg bg-[rgba(255,255,255,0.05)] border border-[rgba(255,255,255,0.08)]">
+                  <div className="text-[0.9rem] font-extrabold text-[#ffe66d] uppercase">
+                    {formatSportName(result.sport)}
+                    {result.gender && <span className="ml-2 text-[0.75rem] text-[#94a3b8] normal-case">({result.gender})</span>}
+                  </div>
+                  <ul className="mt-2 space-y-1">
+                    {result.placings.map(placing => (
+                      <li key={`${placing.place}-${placing.participant}`} className="text-[0.8rem] text-[#e5e7eb] flex justify-between gap-2">
+                        <span>
+                          {PLACE_LABELS[placing.place]} {placing.participant_name}
+                          {placing.department && <span className="text-[#94a3b8]"> · {placing.department}</span>}
+                          {placing.batch && <span className="text-[#94a3b8]"> · {placing.batch}</span>}
+                        </span>
+                        <span className="text-[#ffe66d] font-bold whitespace-nowrap">+{placing.points}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+              {pendingSports.map(result => (
+                <div key={`${result.sport}-pending`} className="p-3 rounded-lg bg-[rgba(255,255,255,0.03)] border border-[rgba(255,255,255,0.05)]">
+                  <div className="text-[0.9rem] font-extrabold text-[#94a3b8] uppercase">{formatSportName(result.sport)}</div>
+                  <div className="mt-1 text-[0.8rem] text-[#94a3b8]">Final not completed yet</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default ChampionshipLeaderboard
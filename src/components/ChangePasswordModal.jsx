@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
 import { Modal, Button, Input } from './ui'
 import { useApi } from '../hooks'
-import { fetchWithAuth } from '../utils/api'
+import { fetchWithAuth, storeTokens } from '../utils/api'
 import { validatePassword } from '../utils/formValidation'
 import logger from '../utils/logger'
 
@@ -52,6 +52,8 @@ function ChangePasswordModal({ isOpen, onClose, onStatusPopup, onPasswordChanged
         }),
         {
           onSuccess: (data) => {
+            // Other sessions were ended - keep this one with the newly issued tokens
+            storeTokens(data.token, data.refresh_token)
             onStatusPopup('✅ Password changed successfully!', 'success', 2500)
             setCurrentPassword('')
             setNewPassword('')
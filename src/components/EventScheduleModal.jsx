@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react'
 import { Modal, Button, Input, DatePickerInput, ConfirmationDialog, LoadingSpinner, ErrorMessage, EmptyState } from './ui'
-import { useApi, useModal, useEventYearWithFallback, useEventYear } from '../hooks'
+import { useApi, useModal, useEventYearWithFallback, useEventYear, useVenues } from '../hooks'
 import { fetchWithAuth, clearCache } from '../utils/api'
 import { buildSportApiUrl, buildEventScheduleApiUrl, buildApiUrlWithYear } from '../utils/apiHelpers'
 import logger from '../utils/logger'
@@ -13,6 +13,14 @@ import {
 } from '../utils/participantValidation'
 import { getEventPeriodStatus, getEventStatusUpdatePeriodStatus } from '../utils/yearHelpers'
 import { isCoordinatorForSportScope } from '../utils/sportHelpers'
+import { isEventAdmin } from '../utils/roleHelpers'
+import { formatMatchScore, formatParticipantScore, sortScoresByRank } from '../utils/scoreHelpers'
+import FixtureGeneratorPanel from './FixtureGeneratorPanel'
+import HeatGeneratorPanel from './HeatGeneratorPanel'
+import ScoreEntryForm from './ScoreEntryForm'
+import JudgingPanel from './JudgingPanel'
+import LineupPanel from './LineupPanel'
+import { JUDGED_SPORT_CATEGORIES, HEAT_SCORING_FORMATS } from '../constants/app'
 
 function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: sportDetailsProp = null, loggedInUser, onStatusPopup, embedded = false, selectedEventId }) {
   const { eventYearConfig } = useEventYear()
@@ -21,6 +29,8 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
   const [loading, setLoading] = useState(false)
   const [expandedMatches, setExpandedMatches] = useState(new Set())
   const [showAddForm, setShowAddForm] = useState(false)
+  const [showFixtureGenerator, setShowFixtureGenerator] = useState(false)
+  const [showHeatGenerator, setShowHeatGenerator] = useState(false)
   const [deletingMatchId, setDeletingMatchId] = useState(null)
   const [fetchedSportDetails, setFetchedSportDetails] = useState(null) // Store sport details to know exact type
   const [selectedGenderTab, setSelectedGenderTab] = useState('Male') // Gender tab for viewing matches (default to Male)
@@ -39,6 +49,12 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
   const [playerOne, setPlayerOne] = useState('')
   const [playerTwo, setPlayerTwo] = useState('')
   const [matchDate, setMatchDate] = useState('')
+  const [venue, setVenue] = useState('')
+  const [court, setCourt] = useState('')
+  const [startTime, setStartTime] = useState('')
+  const [endTime, setEndTime] = useState('')
+  const { venues } = useVenues()
+  const selectedVenueCourts = venues.find(v => v.name === venue)?.courts || []
   const [teamsList, setTeamsList] = useState([]) // Array of team names (for backward compatibility)
   const [teamsListWithGender, setTeamsListWithGender] = useState([]) // Array of { team_name, gender } objects
   const [playersList, setPlayersList] = useState([])
@@ -53,17 +69,26 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
   
   // Qualifier selection state (for multi_team and multi_player)
   const [pendingQualifiers, setPendingQualifiers] = useState({}) // { matchId: [{ participant, position }] }
+
+  // Score entry state (sports with a scoring format)
+  const [scoringMatchId, setScoringMatchId] = useState(null) // Match whose score form is open
+
+  // Judging state (judged sport categories)
+  const [judgingMatchId, setJudgingMatchId] = useState(null) // Match whose judging panel is open
+
+  // Lineup state (team sports)
+  const [lineupMatchId, setLineupMatchId] = useState(null) // Match whose lineup panel is open
   
-  const isAdmin = loggedInUser?.reg_number === 'admin'
   const sportDetails = fetchedSportDetails || sportDetailsProp
-  const isCoordinator = !isAdmin && isCoordinatorForSportScope(loggedInUser, sport, sportDetails)
-  const canManageSport = isAdmin || isCoordinator
   const { loading: submitting, execute: executeSubmit } = useApi()
   const { loading: updatingStatus, execute: executeStatusUpdate } = useApi()
   const { loading: updatingWinner, execute: executeWinnerUpdate } = useApi()
   const { loading: updatingQualifiers, execute: executeQualifiersUpdate } = useApi()
   const { loading: deleting, execute: executeDelete } = useApi()
   const { eventYear, eventId } = useEventYearWithFallback(selectedEventId)
+  const isAdmin = isEventAdmin(loggedInUser, eventId)
+  const isCoordinator = !isAdmin && isCoordinatorForSportScope(loggedInUser, sport, sportDetails)
+  const canManageSport = isAdmin || isCoordinator
   const deleteConfirmModal = useModal(false)
 
   // Helper function to check if match date is in the future
@@ -82,6 +107,8 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
       setMatches([])
       setExpandedMatches(new Set())
       setShowAddForm(false)
+      setShowFixtureGenerator(false)
+      setShowHeatGenerator(false)
       setDeletingMatchId(null)
       deleteConfirmModal.close()
       setTeamOne('')
@@ -89,6 +116,10 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
       setPlayerOne('')
       setPlayerTwo('')
       setMatchDate('')
+      setVenue('')
+      setCourt('')
+      setStartTime('')
+      setEndTime('')
       setSelectedGender('')
       setAllPlayersList([])
       setUpdatingMatchId(null)
@@ -125,6 +156,10 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
       setPlayerOne('')
       setPlayerTwo('')
       setMatchDate('')
+      setVenue('')
+      setCourt('')
+      setStartTime('')
+      setEndTime('')
       setSelectedGender('')
       setNumberOfParticipants('')
       setMultiTeams([])
@@ -442,7 +477,8 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
     }
   }
 
-  const handleWinnerSelect = async (matchId, winnerName) => {
+  // walkover: winner did not have to play (opponent absent); awards the sport's walkover points
+  const handleWinnerSelect = async (matchId, winnerName, walkover = false) => {
     if (!winnerName) {
       return
     }
@@ -471,13 +507,14 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
           method: 'PUT',
           body: JSON.stringify({ 
             winner: winnerName,
-            status: 'completed' // Ensure status is completed when winner is set
+            status: 'completed', // Ensure status is completed when winner is set
+            ...(walkover ? { walkover: true } : {})
           }),
         }),
         {
           onSuccess: (data) => {
             if (onStatusPopup) {
-              onStatusPopup(`✅ Winner updated successfully!`, 'success', 2500)
+              onStatusPopup(walkover ? '✅ Walkover recorded successfully!' : '✅ Winner updated successfully!', 'success', 2500)
             }
             // Clear cache and refresh matches (with and without gender for backward compatibility)
             clearCache(buildEventScheduleApiUrl(sport, '', eventId))
@@ -518,6 +555,81 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
     }
   }
 
+  const handleScoreSubmit = async (matchId, scores) => {
+    if (isStatusUpdateDisabled) {
+      if (onStatusPopup) {
+        onStatusPopup(`❌ ${statusUpdateStatus.reason}`, 'error', 4000)
+      }
+      return
+    }
+
+    setUpdatingMatchId(matchId)
+    const scoredMatch = matches.find(m => m._id === matchId)
+
+    try {
+      // Winner and status of dual matches are derived from the scores by the backend;
+      // recording the results of a heat completes it (participants advance once the whole round is completed)
+      await executeWinnerUpdate(
+        () => fetchWithAuth(`/api/event-schedule/${matchId}`, {
+          method: 'PUT',
+          body: JSON.stringify(scoredMatch?.heat_round ? { scores, status: 'completed' } : { scores }),
+        }),
+        {
+          onSuccess: (data) => {
+            if (onStatusPopup) {
+              const advancement = data?.heat_advancement
+              if (advancement?.unresolved_ties?.length > 0) {
+                onStatusPopup(`⚠️ ${data.message}`, 'info', 5000)
+              } else if (advancement?.next_round) {
+                onStatusPopup(`✅ Results recorded. ${advancement.advanced.length} participant(s) advanced to round ${advancement.next_round}.`, 'success', 3500)
+              } else {
+                onStatusPopup('✅ Score recorded successfully!', 'success', 2500)
+              }
+            }
+            clearCache(buildEventScheduleApiUrl(sport, '', eventId))
+            const match = matches.find(m => m._id === matchId)
+            if (match) {
+              clearCache(buildEventScheduleApiUrl(sport, '', eventId, match.gender))
+              clearCache(buildEventScheduleApiUrl(sport, 'teams-players', eventId, match.gender))
+              if (match.match_type === 'league') {
+                const encodedSport = encodeURIComponent(sport)
+                clearCache(buildApiUrlWithYear(`/api/points-table/${encodedSport}`, eventId, match.gender))
+              }
+            }
+            fetchMatches()
+            if (canManageSport && match && match.gender) {
+              fetchTeamsPlayers(match.gender)
+            }
+            setScoringMatchId(null)
+            setUpdatingMatchId(null)
+          },
+          onError: (err) => {
+            const errorMessage = err?.message || err?.error || 'Error recording score. Please try again.'
+            if (onStatusPopup) {
+              onStatusPopup(`❌ ${errorMessage}`, 'error', 3500)
+            }
+            setUpdatingMatchId(null)
+          },
+        }
+      )
+    } catch (err) {
+      // This catch handles cases where execute throws before onError is called
+      logger.error('Error recording score:', err)
+      setUpdatingMatchId(null)
+    }
+  }
+
+  // Refresh a match after its judges, rubric, a judge's scores, lineups or substitutions changed
+  const handleJudgingUpdated = (match) => {
+    clearCache(buildEventScheduleApiUrl(sport, '', eventId))
+    clearCache(buildEventScheduleApiUrl(sport, '', eventId, match.gender))
+    clearCache(buildEventScheduleApiUrl(sport, 'teams-players', eventId, match.gender))
+    if (match.match_type === 'league') {
+      clearCache(buildApiUrlWithYear(`/api/points-table/${encodeURIComponent(sport)}`, eventId, match.gender))
+    }
+    fetchMatches()
+  }
+
   // Handle clicking "Qualified" button next to a participant
   const handleQualifyParticipant = (matchId, participant) => {
     if (isStatusUpdateDisabled) {
@@ -742,6 +854,10 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
     setPlayerOne('')
     setPlayerTwo('')
     setMatchDate('')
+    setVenue('')
+    setCourt('')
+    setStartTime('')
+    setEndTime('')
     setSelectedGender(selectedGenderTab) // Set form gender to selected tab gender
     setNumberOfParticipants('')
     setMultiTeams([])
@@ -1220,6 +1336,10 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
             teams: teams,
             players: players,
             match_date: matchDate + 'T00:00:00', // Add time for MongoDB storage
+            venue: venue || undefined,
+            court: court || undefined,
+            start_time: startTime || undefined,
+            end_time: endTime || undefined,
             event_id: eventId,
             // Gender is not sent - it will be derived from participants on the backend
             number_of_participants: isMultiSport ? parseInt(numberOfParticipants) : undefined,
@@ -1260,6 +1380,10 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
             setPlayerOne('')
             setPlayerTwo('')
             setMatchDate('')
+            setVenue('')
+            setCourt('')
+            setStartTime('')
+            setEndTime('')
             setNumberOfParticipants('')
             setMultiTeams([])
             setMultiPlayers([])
@@ -1330,8 +1454,8 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
           </button>
         </div>
 
-        {canManageSport && !showAddForm && (
-          <div className="mb-4 flex justify-center">
+        {canManageSport && !showAddForm && !showFixtureGenerator && !showHeatGenerator && (
+          <div className="mb-4 flex justify-center gap-3">
             {hasActiveFinalMatch ? (
               <div className="text-center">
                 <p className="text-yellow-400 text-sm mb-2">
@@ -1353,9 +1477,67 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                 Add Match
               </Button>
             )}
+            {!hasActiveFinalMatch && sportDetails && (sportDetails.type === 'dual_team' || sportDetails.type === 'dual_player') && (
+              <Button
+                type="button"
+                onClick={() => setShowFixtureGenerator(true)}
+                disabled={isSchedulingDisabled}
+                title={isSchedulingDisabled ? schedulingStatus.reason : 'Generate round-robin league fixtures'}
+                variant="secondary"
+                className="px-4 py-2 text-[0.85rem] font-bold rounded-lg"
+              >
+                Generate League
+              </Button>
+            )}
+            {!hasActiveFinalMatch && sportDetails && (sportDetails.type === 'multi_team' || sportDetails.type === 'multi_player') &&
+              HEAT_SCORING_FORMATS.includes(sportDetails.scoring?.format) && (
+              <Button
+                type="button"
+                onClick={() => setShowHeatGenerator(true)}
+                disabled={isSchedulingDisabled}
+                title={isSchedulingDisabled ? schedulingStatus.reason : 'Generate heats with lanes; qualifiers advance automatically'}
+                variant="secondary"
+                className="px-4 py-2 text-[0.85rem] font-bold rounded-lg"
+              >
+                Generate Heats
+              </Button>
+            )}
           </div>
         )}
 
+        {showHeatGenerator && canManageSport && (
+          <HeatGeneratorPanel
+            sport={sport}
+            eventId={eventId}
+            gender={selectedGenderTab}
+            onStatusPopup={onStatusPopup}
+            onCancel={() => setShowHeatGenerator(false)}
+            onGenerated={() => {
+              setShowHeatGenerator(false)
+              clearCache(buildEventScheduleApiUrl(sport, '', eventId))
+              clearCache(buildEventScheduleApiUrl(sport, '', eventId, selectedGenderTab))
+              fetchMatches()
+            }}
+          />
+        )}
+
+        {showFixtureGenerator && canManageSport && (
+          <FixtureGeneratorPanel
+            sport={sport}
+            eventId={eventId}
+            gender={selectedGenderTab}
+            onStatusPopup={onStatusPopup}
+            onCancel={() => setShowFixtureGenerator(false)}
+            onGenerated={() => {
+              setShowFixtureGenerator(false)
+              clearCache(buildEventScheduleApiUrl(sport, '', eventId))
+              clearCache(buildEventScheduleApiUrl(sport, '', eventId, selectedGenderTab))
+              clearCache(buildApiUrlWithYear(`/api/points-table/${encodeURIComponent(sport)}`, eventId, selectedGenderTab))
+              fetchMatches()
+            }}
+          />
+        )}
+
         {showAddForm && canManageSport && (
           <div className="mb-6 p-4 bg-[rgba(255,255,255,0.05)] rounded-lg border border-[rgba(255,255,255,0.1)]">
             <div className="text-[0.9rem] font-bold text-[#ffe66d] mb-3">Schedule New Match</div>
@@ -1702,6 +1884,46 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                 className="mb-4"
               />
 
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                <Input
+                  label="Venue (Optional)"
+                  type="select"
+                  value={venue}
+                  onChange={(e) => {
+                    setVenue(e.target.value)
+                    setCourt('')
+                  }}
+                  options={venues.map(v => ({ value: v.name, label: v.location ? `${v.name} (${v.location})` : v.name }))}
+                />
+                <Input
+                  label="Court (Optional)"
+                  type="select"
+                  value={court}
+                  onChange={(e) => setCourt(e.target.value)}
+                  options={selectedVenueCourts}
+                  disabled={selectedVenueCourts.length === 0}
+                />
+                <Input
+                  label="Start Time (Optional)"
+                  type="time"
+                  value={startTime}
+                  onChange={(e) => setStartTime(e.target.value)}
+                  required={!!endTime}
+                />
+                <Input
+                  label="End Time (Optional)"
+                  type="time"
+                  value={endTime}
+                  onChange={(e) => setEndTime(e.target.value)}
+                  required={!!startTime}
+                />
+              </div>
+              {(startTime || endTime) && (
+                <p className="text-[0.75rem] text-[#94a3b8] mb-4">
+                  Matches with a start and end time are checked for clashes with other matches at the same venue and with the same players.
+                </p>
+              )}
+
               <div className="flex justify-center gap-3">
                 <Button
                   type="submit"
@@ -1728,6 +1950,10 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                     setPlayerOne('')
                     setPlayerTwo('')
                     setMatchDate('')
+                    setVenue('')
+                    setCourt('')
+                    setStartTime('')
+                    setEndTime('')
                   }}
                   variant="secondary"
                   className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
@@ -1747,6 +1973,19 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
           <div className="space-y-2">
             {filteredMatches.map((match) => {
               const isExpanded = expandedMatches.has(match._id)
+              const scoring = sportDetails?.scoring
+              const scoreSummary = formatMatchScore(match, scoring)
+              const canRecordScore = canManageSport && scoring?.format && ['scheduled', 'completed'].includes(match.status) &&
+                !isMatchInFuture(match.match_date) && (match.teams || []).length + (match.players || []).length >= 2
+              const isJudgedMatch = JUDGED_SPORT_CATEGORIES.includes(sportDetails?.category) && !scoring?.format &&
+                (sportDetails?.type === 'multi_team' || sportDetails?.type === 'multi_player')
+              const isAssignedJudge = (match.judges || []).includes(loggedInUser?.reg_number)
+              const canOpenJudging = isJudgedMatch && (canManageSport || (match.judges || []).length > 0)
+              const isLineupMatch = sportDetails?.type === 'dual_team' || sportDetails?.type === 'multi_team'
+              const canOpenLineups = isLineupMatch && (match.teams || []).length > 0 &&
+                (canManageSport || (match.lineups || []).length > 0)
+              // Qualifiers of heats before the final are set automatically from the round's results
+              const hasAutomaticQualifiers = !!match.heat_round && match.match_type !== 'final'
               return (
                 <div
                   key={match._id}
@@ -1761,6 +2000,21 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                       <span className="text-[0.75rem] text-[#cbd5ff] uppercase">
                         {match.match_type}
                       </span>
+                      {match.league_group && (
+                        <span className="text-[0.75rem] text-[#cbd5ff]">
+                          Group {match.league_group}
+                        </span>
+                      )}
+                      {match.bracket_round && (
+                        <span className="text-[0.75rem] text-[#cbd5ff]">
+                          Round {match.bracket_round}
+                        </span>
+                      )}
+                      {match.heat_round && (
+                        <span className="text-[0.75rem] text-[#cbd5ff]">
+                          {match.match_type === 'final' ? `Round ${match.heat_round} · Final` : `Round ${match.heat_round} · Heat ${match.heat_number}`}
+                        </span>
+                      )}
                       {match.gender && (
                         <span className="text-[0.75rem] text-[#86efac] font-semibold">
                           {match.gender}
@@ -1768,7 +2022,18 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                       )}
                       <span className="text-[0.75rem] text-[#e5e7eb]">
                         {formatDate(match.match_date)}
+                        {match.start_time && ` · ${match.start_time}-${match.end_time}`}
                       </span>
+                      {match.venue && (
+                        <span className="text-[0.75rem] text-[#cbd5ff]">
+                          {match.court ? `${match.venue} - ${match.court}` : match.venue}
+                        </span>
+                      )}
+                      {scoreSummary && (
+                        <span className="text-[0.75rem] text-[#ffe66d] font-semibold">
+                          {scoreSummary}
+                        </span>
+                      )}
                       {match.status && (
                         <span className={`text-[0.75rem] px-2 py-1 rounded ${
                           match.status === 'completed' ? 'bg-[rgba(34,197,94,0.3)] text-[#86efac]' :
@@ -1785,19 +2050,21 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                         <>
                           {match.status === 'scheduled' && (
                             <>
-                              <Button
-                                type="button"
-                                onClick={(e) => {
-                                  e.stopPropagation()
-                                  handleDeleteClick(match._id)
-                                }}
-                                disabled={isSchedulingDisabled || updatingStatus || updatingWinner}
-                                title={isSchedulingDisabled ? schedulingStatus.reason : ''}
-                                variant="danger"
-                                className="px-2 py-1.5 text-[0.8rem] font-semibold uppercase tracking-[0.05em] rounded-[8px]"
-                              >
-                                Remove
-                              </Button>
+                              {!match.bracket_round && !match.heat_round && (
+                                <Button
+                                  type="button"
+                                  onClick={(e) => {
+                                    e.stopPropagation()
+                                    handleDeleteClick(match._id)
+                                  }}
+                                  disabled={isSchedulingDisabled || updatingStatus || updatingWinner}
+                                  title={isSchedulingDisabled ? schedulingStatus.reason : ''}
+                                  variant="danger"
+                                  className="px-2 py-1.5 text-[0.8rem] font-semibold uppercase tracking-[0.05em] rounded-[8px]"
+                                >
+                                  Remove
+                                </Button>
+                              )}
                               {!isMatchInFuture(match.match_date) && (
                                 <div className="[&>div]:!mb-0 [&>div]:!w-fit [&>div]:inline-flex [&>div>select]:!w-auto [&>div>select]:!max-w-[120px]">
                                   <Input
@@ -1817,7 +2084,8 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                                     options={[
                                       { value: 'scheduled', label: 'Scheduled' },
                                       { value: 'completed', label: 'Completed' },
-                                      { value: 'draw', label: 'Draw' },
+                                      // Bracket matches and heats need a result to advance
+                                      ...(match.bracket_round || match.heat_round ? [] : [{ value: 'draw', label: 'Draw' }]),
                                       { value: 'cancelled', label: 'Cancelled' },
                                     ]}
                                     className="px-[2px] py-1.5 text-[0.8rem] font-semibold uppercase tracking-[0.05em] rounded-[8px] bg-[rgba(59,130,246,0.8)] hover:bg-[rgba(59,130,246,1)] text-white"
@@ -1852,6 +2120,18 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                           <span className="text-[#ffe66d]">Match Date:</span>{' '}
                           <span className="text-[#e5e7eb]">{formatDate(match.match_date)}</span>
                         </div>
+                        {match.start_time && (
+                          <div>
+                            <span className="text-[#ffe66d]">Time:</span>{' '}
+                            <span className="text-[#e5e7eb]">{match.start_time} - {match.end_time}</span>
+                          </div>
+                        )}
+                        {match.venue && (
+                          <div>
+                            <span className="text-[#ffe66d]">Venue:</span>{' '}
+                            <span className="text-[#e5e7eb]">{match.court ? `${match.venue} - ${match.court}` : match.venue}</span>
+                          </div>
+                        )}
                         <div>
                           <span className="text-[#ffe66d]">Status:</span>{' '}
                           <span className={`capitalize ${
@@ -1863,6 +2143,41 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                             {match.status || 'N/A'}
                           </span>
                         </div>
+                        {/* Bracket matches wait for winners of the previous round */}
+                        {match.bracket_round && (match.teams || []).length + (match.players || []).length < 2 && (
+                          <div>
+                            <span className="text-[#ffe66d]">Participants:</span>{' '}
+                            <span className="text-[#94a3b8]">Awaiting winners of round {match.bracket_round - 1}</span>
+                          </div>
+                        )}
+                        {/* Later heats are filled once every heat of the previous round is completed */}
+                        {match.heat_round > 1 && (match.teams || []).length + (match.players || []).length === 0 && (
+                          <div>
+                            <span className="text-[#ffe66d]">Participants:</span>{' '}
+                            <span className="text-[#94a3b8]">
+                              {match.status === 'cancelled' ? 'Not needed (too few qualifiers)' : `Awaiting qualifiers of round ${match.heat_round - 1}`}
+                            </span>
+                          </div>
+                        )}
+                        {match.heat_round && (match.lanes || []).length > 0 && (
+                          <div>
+                            <span className="text-[#ffe66d]">Lanes:</span>{' '}
+                            <span className="text-[#e5e7eb]">
+                              {match.lanes.map(entry => {
+                                const player = allPlayersList.find(p => p.reg_number === entry.participant)
+                                return `${entry.lane}: ${player ? player.full_name : entry.participant}`
+                              }).join(' · ')}
+                            </span>
+                          </div>
+                        )}
+                        {hasAutomaticQualifiers && (
+                          <div>
+                            <span className="text-[#ffe66d]">Advancing:</span>{' '}
+                            <span className="text-[#94a3b8]">
+                              Top {match.heat_advance_top} per heat{match.heat_advance_fastest > 0 ? ` + ${match.heat_advance_fastest} fastest across the round` : ''}
+                            </span>
+                          </div>
+                        )}
                         {/* Display Teams (for team sports) */}
                         {sportDetails && (sportDetails.type === 'dual_team' || sportDetails.type === 'multi_team') && match.teams && match.teams.length > 0 && (
                           <div>
@@ -1876,7 +2191,7 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                                 // Check pending qualifiers (before freezing)
                                 const pendingQuals = pendingQualifiers[match._id] || []
                                 const pendingQualInfo = pendingQuals.find(q => q.participant === team)
-                                const showQualifiedButton = canManageSport && match.status === 'completed' && (!match.qualifiers || match.qualifiers.length === 0) && !isMatchInFuture(match.match_date) && sportDetails && sportDetails.type === 'multi_team' && !pendingQualInfo
+                                const showQualifiedButton = canManageSport && !hasAutomaticQualifiers && match.status === 'completed' && (!match.qualifiers || match.qualifiers.length === 0) && !isMatchInFuture(match.match_date) && sportDetails && sportDetails.type === 'multi_team' && !pendingQualInfo
                                 
                                 return (
                                   <div key={index} className="flex items-center gap-2 flex-wrap">
@@ -1918,9 +2233,24 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                                         Winner
                                       </Button>
                                     )}
+                                    {canManageSport && match.status === 'completed' && !match.winner && !(match.scores && match.scores.length > 0) && !isMatchInFuture(match.match_date) && sportDetails && sportDetails.type === 'dual_team' && (
+                                      <Button
+                                        type="button"
+                                        onClick={(e) => {
+                                          e.stopPropagation()
+                                          handleWinnerSelect(match._id, team, true)
+                                        }}
+                                        disabled={isStatusUpdateDisabled || updatingWinner || updatingMatchId === match._id}
+                                        title={isStatusUpdateDisabled ? statusUpdateStatus.reason : 'Won without play (opponent did not turn up)'}
+                                        variant="secondary"
+                                        className="px-2.5 py-1.5 text-[0.85rem] font-bold rounded-lg"
+                                      >
+                                        Walkover
+                                      </Button>
+                                    )}
                                     {match.status === 'completed' && isWinner && (
                                       <span className="px-2 py-1 rounded text-[0.75rem] font-bold bg-[rgba(34,197,94,0.8)] text-white">
-                                        Winner
+                                        {match.walkover ? 'Winner (W/O)' : 'Winner'}
                                       </span>
                                     )}
                                     {match.status === 'completed' && !isWinner && match.winner && sportDetails && sportDetails.type === 'dual_team' && (
@@ -1933,7 +2263,7 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                               })}
                             </div>
                             {/* Freeze button for multi_team */}
-                            {canManageSport && match.status === 'completed' && (!match.qualifiers || match.qualifiers.length === 0) && !isMatchInFuture(match.match_date) && sportDetails && sportDetails.type === 'multi_team' && (pendingQualifiers[match._id] || []).length > 0 && (
+                            {canManageSport && !hasAutomaticQualifiers && match.status === 'completed' && (!match.qualifiers || match.qualifiers.length === 0) && !isMatchInFuture(match.match_date) && sportDetails && sportDetails.type === 'multi_team' && (pendingQualifiers[match._id] || []).length > 0 && (
                               <div className="mt-3 pt-3 border-t border-[rgba(148,163,184,0.2)]">
                                 <Button
                                   type="button"
@@ -1970,7 +2300,7 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                                 // Check pending qualifiers (before freezing) - use reg_number for consistency
                                 const pendingQuals = pendingQualifiers[match._id] || []
                                 const pendingQualInfo = pendingQuals.find(q => q.participant === playerRegNumber)
-                                const showQualifiedButton = canManageSport && match.status === 'completed' && (!match.qualifiers || match.qualifiers.length === 0) && !isMatchInFuture(match.match_date) && sportDetails && sportDetails.type === 'multi_player' && !pendingQualInfo
+                                const showQualifiedButton = canManageSport && !hasAutomaticQualifiers && match.status === 'completed' && (!match.qualifiers || match.qualifiers.length === 0) && !isMatchInFuture(match.match_date) && sportDetails && sportDetails.type === 'multi_player' && !pendingQualInfo
                                 
                                 return (
                                   <div key={index} className="flex items-center gap-2 flex-wrap">
@@ -2012,9 +2342,24 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                                         Winner
                                       </Button>
                                     )}
+                                    {canManageSport && match.status === 'completed' && !match.winner && !(match.scores && match.scores.length > 0) && !isMatchInFuture(match.match_date) && sportDetails && sportDetails.type === 'dual_player' && (
+                                      <Button
+                                        type="button"
+                                        onClick={(e) => {
+                                          e.stopPropagation()
+                                          handleWinnerSelect(match._id, playerRegNumber, true)
+                                        }}
+                                        disabled={isStatusUpdateDisabled || updatingWinner || updatingMatchId === match._id}
+                                        title={isStatusUpdateDisabled ? statusUpdateStatus.reason : 'Won without play (opponent did not turn up)'}
+                                        variant="secondary"
+                                        className="px-2.5 py-1.5 text-[0.85rem] font-bold rounded-lg"
+                                      >
+                                        Walkover
+                                      </Button>
+                                    )}
                                     {match.status === 'completed' && isWinner && (
                                       <span className="px-2 py-1 rounded text-[0.75rem] font-bold bg-[rgba(34,197,94,0.8)] text-white">
-                                        Winner
+                                        {match.walkover ? 'Winner (W/O)' : 'Winner'}
                                       </span>
                                     )}
                                     {match.status === 'completed' && !isWinner && match.winner && sportDetails && sportDetails.type === 'dual_player' && (
@@ -2027,7 +2372,7 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                               })}
                             </div>
                             {/* Freeze button for multi_player */}
-                            {canManageSport && match.status === 'completed' && (!match.qualifiers || match.qualifiers.length === 0) && !isMatchInFuture(match.match_date) && sportDetails && sportDetails.type === 'multi_player' && (pendingQualifiers[match._id] || []).length > 0 && (
+                            {canManageSport && !hasAutomaticQualifiers && match.status === 'completed' && (!match.qualifiers || match.qualifiers.length === 0) && !isMatchInFuture(match.match_date) && sportDetails && sportDetails.type === 'multi_player' && (pendingQualifiers[match._id] || []).length > 0 && (
                               <div className="mt-3 pt-3 border-t border-[rgba(148,163,184,0.2)]">
                                 <Button
                                   type="button"
@@ -2082,6 +2427,125 @@ function EventScheduleModal({ isOpen, onClose, sport, sportType, sportDetails: s
                             )}
                           </>
                         )}
+                        {scoreSummary ? (
+                          <div>
+                            <span className="text-[#ffe66d]">Score:</span>{' '}
+                            <span className="text-[#e5e7eb]">{scoreSummary}</span>
+                          </div>
+                        ) : scoring?.format && match.scores && match.scores.length > 0 && (
+                          <div>
+                            <span className="text-[#ffe66d]">Scores:</span>
+                            <div className="mt-1 space-y-1">
+                              {sortScoresByRank(match.scores, scoring.format).map((score) => (
+                                <div key={score.participant} className="text-[#e5e7eb] text-[0.8rem]">
+                                  {score.participant}: {formatParticipantScore(score, scoring.format)}
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+                        {canRecordScore && scoringMatchId !== match._id && (
+                          <div>
+                            <Button
+                              type="button"
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                setScoringMatchId(match._id)
+                              }}
+                              disabled={isStatusUpdateDisabled || updatingMatchId === match._id}
+                              title={isStatusUpdateDisabled ? statusUpdateStatus.reason : ''}
+                              variant="secondary"
+                              className="px-3 py-1.5 text-[0.8rem] font-bold rounded-lg"
+                            >
+                              {match.scores && match.scores.length > 0 ? 'Edit Score' : 'Record Score'}
+                            </Button>
+                          </div>
+                        )}
+                        {canRecordScore && scoringMatchId === match._id && (
+                          <ScoreEntryForm
+                            match={match}
+                            scoring={scoring}
+                            isDualSport={sportDetails.type === 'dual_team' || sportDetails.type === 'dual_player'}
+                            participants={(match.teams && match.teams.length > 0)
+                              ? match.teams.map(team => ({ value: team, label: team }))
+                              : (match.players || []).map(regNumber => {
+                                  const player = allPlayersList.find(p => p.reg_number === regNumber)
+                                  return { value: regNumber, label: player ? `${player.full_name} (${regNumber})` : regNumber }
+                                })}
+                            submitting={updatingMatchId === match._id}
+                            onSubmit={(scores) => handleScoreSubmit(match._id, scores)}
+                            onCancel={() => setScoringMatchId(null)}
+                          />
+                        )}
+                        {isJudgedMatch && (match.judges || []).length > 0 && (
+                          <div>
+                            <span className="text-[#ffe66d]">Judges Scored:</span>{' '}
+                            <span className="text-[#e5e7eb]">{(match.judges_submitted || []).length}/{match.judges.length}</span>
+                          </div>
+                        )}
+                        {canOpenJudging && judgingMatchId !== match._id && (
+                          <div>
+                            <Button
+                              type="button"
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                setJudgingMatchId(match._id)
+                              }}
+                              variant="secondary"
+                              className="px-3 py-1.5 text-[0.8rem] font-bold rounded-lg"
+                            >
+                              {canManageSport ? 'Judging' : isAssignedJudge && match.status === 'scheduled' ? 'Score as Judge' : 'Judging Results'}
+                            </Button>
+                          </div>
+                        )}
+                        {canOpenJudging && judgingMatchId === match._id && (
+                          <JudgingPanel
+                            match={match}
+                            participants={(match.teams && match.teams.length > 0)
+                              ? match.teams.map(team => ({ value: team, label: team }))
+                              : (match.players || []).map(regNumber => {
+                                  const player = allPlayersList.find(p => p.reg_number === regNumber)
+                                  return { value: regNumber, label: player ? `${player.full_name} (${regNumber})` : regNumber }
+                                })}
+                            canManage={canManageSport}
+                            loggedInUser={loggedInUser}
+                            setupStatus={schedulingStatus}
+                            scoringStatus={statusUpdateStatus}
+                            onStatusPopup={onStatusPopup}
+                            onUpdated={() => handleJudgingUpdated(match)}
+                            onCancel={() => setJudgingMatchId(null)}
+                          />
+                        )}
+                        {canOpenLineups && lineupMatchId !== match._id && (
+                          <div>
+                            <Button
+                              type="button"
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                setLineupMatchId(match._id)
+                              }}
+                              variant="secondary"
+                              className="px-3 py-1.5 text-[0.8rem] font-bold rounded-lg"
+                            >
+                              Lineups{(match.substitutions || []).length > 0 ? ` (${match.substitutions.length} Sub${match.substitutions.length === 1 ? '' : 's'})` : ''}
+                            </Button>
+                          </div>
+                        )}
+                        {canOpenLineups && lineupMatchId === match._id && (
+                          <LineupPanel
+                            match={match}
+                            sport={sport}
+                            eventId={eventId}
+                            teamSize={sportDetails.team_size || null}
+                            canManage={canManageSport}
+                            lineupStatus={schedulingStatus}
+                            substitutionStatus={statusUpdateStatus}
+                            isMatchInFuture={isMatchInFuture(match.match_date)}
+                            onStatusPopup={onStatusPopup}
+                            onUpdated={() => handleJudgingUpdated(match)}
+                            onCancel={() => setLineupMatchId(null)}
+                          />
+                        )}
                         {match.winner && match.status === 'completed' && (
                           <div>
                             <span className="text-[#ffe66d]">Winner:</span>{' '}
@@ -0,0 +1,256 @@
+/**
+ * Event Year Clone Panel
+ * Clones the setup of an event year (sports, batches, coordinators, points rules) into a new event year:
+ * preview what will be created, then clone
+ */
+
+import { useState } from 'react'
+import { Button, Input, DatePickerInput } from './ui'
+import { useApi } from '../hooks'
+import { fetchWithAuth } from '../utils/api'
+import { validateDateRelationships } from '../utils/yearHelpers'
+import { formatSportName } from '../utils/stringHelpers'
+import logger from '../utils/logger'
+
+const CLONE_PART_OPTIONS = [
+  { key: 'sports', label: 'Sports (type, category, team size, image, scoring)' },
+  { key: 'coordinators', label: 'Coordinator assignments' },
+  { key: 'points_rules', label: 'Points rules (league and championship points)' },
+  { key: 'batches', label: 'Batches (without players)' }
+]
+
+/**
+ * Shift a date string (YYYY-MM-DD) by a number of years; 29 Feb falls back to 28 Feb
+ * @param {string|Date} date - Date to shift
+ * @param {number} years - Number of years to add
+ * @returns {string} Shifted date (YYYY-MM-DD), '' for invalid input
+ */
+const shiftDateByYears = (date, years) => {
+  const shifted = new Date(date)
+  if (isNaN(shifted.getTime()) || isNaN(years)) return ''
+  const month = shifted.getMonth()
+  shifted.setFullYear(shifted.getFullYear() + years)
+  if (shifted.getMonth() !== month) {
+    shifted.setDate(0)
+  }
+  return shifted.toISOString().split('T')[0]
+}
+
+/**
+ * Source dates shifted to a new event year
+ * @param {Object} source - Source event year
+ * @param {number} eventYear - New event year
+ * @returns {Object} { registration_dates, event_dates } as YYYY-MM-DD strings
+ */
+const shiftedDates = (source, eventYear) => {
+  const years = eventYear - source.event_year
+  return {
+    registration_dates: {
+      start: shiftDateByYears(source.registration_dates.start, years),
+      end: shiftDateByYears(source.registration_dates.end, years)
+    },
+    event_dates: {
+      start: shiftDateByYears(source.event_dates.start, years),
+      end: shiftDateByYears(source.event_dates.end, years)
+    }
+  }
+}
+
+function EventYearClonePanel({ sourceEventYear, onStatusPopup, onCloned, onCancel }) {
+  const [form, setForm] = useState(() => ({
+    event_year: String(sourceEventYear.event_year + 1),
+    event_name: sourceEventYear.event_name,
+    ...shiftedDates(sourceEventYear, sourceEventYear.event_year + 1),
+    include: { sports: true, batches: true, coordinators: true, points_rules: true }
+  }))
+  const [preview, setPreview] = useState(null)
+  const { loading: previewing, execute: executePreview } = useApi()
+  const { loading: cloning, execute: executeClone } = useApi()
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }))
+    // Any change invalidates the preview
+    setPreview(null)
+  }
+
+  const handleEventYearChange = (value) => {
+    const eventYear = parseInt(value, 10)
+    // Keep the dates in step with the event year until the admin edits them
+    updateForm(isNaN(eventYear) ? { event_year: value } : { event_year: value, ...shiftedDates(sourceEventYear, eventYear) })
+  }
+
+  const handleIncludeChange = (key, checked) => {
+    const include = { ...form.include, [key]: checked }
+    // Coordinators are stored on sports
+    if (key === 'sports' && !checked) include.coordinators = false
+    if (key === 'coordinators' && checked) include.sports = true
+    updateForm({ include })
+  }
+
+  const requestClone = (dryRun, execute, onSuccess) => {
+    const dateValidation = validateDateRelationships(form.registration_dates, form.event_dates)
+    if (!dateValidation.isValid) {
+      onStatusPopup?.(`❌ ${dateValidation.error}`, 'error', 3000)
+      return
+    }
+
+    return execute(
+      () => fetchWithAuth(`/api/event-years/${encodeURIComponent(sourceEventYear.event_id)}/clone`, {
+        method: 'POST',
+        body: JSON.stringify({
+          event_year: parseInt(form.event_year, 10),
+          event_name: form.event_name.trim().toLowerCase(),
+          registration_dates: {
+            start: new Date(form.registration_dates.start + 'T00:00:00'),
+            end: new Date(form.registration_dates.end + 'T23:59:59')
+          },
+          event_dates: {
+            start: new Date(form.event_dates.start + 'T00:00:00'),
+            end: new Date(form.event_dates.end + 'T23:59:59')
+          },
+          include: form.include,
+          dry_run: dryRun
+        })
+      }),
+      {
+        onSuccess,
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Error cloning event year. Please try again.'}`, 'error', 3500)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error cloning event year:', err))
+  }
+
+  const handlePreview = () => requestClone(true, executePreview, (data) => setPreview(data))
+
+  const handleClone = () => requestClone(false, executeClone, (data) => {
+    onStatusPopup?.(`✅ ${data.message || 'Event year cloned'}`, 'success', 3000)
+    setPreview(null)
+    onCloned?.(data.eventYear)
+  })
+
+  return (
+    <div className="mb-6 p-4 bg-[rgba(0,0,0,0.3)] rounded-lg">
+      <h4 className="text-md font-bold text-[#cbd5ff] mb-1">
+        Clone Event Year: {sourceEventYear.event_year} - {sourceEventYear.event_name}
+      </h4>
+      <p className="text-[0.75rem] text-[#94a3b8] mb-3">
+        Participants, teams, matches and points tables are not copied.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label="New Event Year"
+          type="number"
+          value={form.event_year}
+          onChange={(e) => handleEventYearChange(e.target.value)}
+          required
+        />
+        <Input
+          label="New Event Name"
+          value={form.event_name}
+          onChange={(e) => updateForm({ event_name: e.target.value })}
+          required
+        />
+        <DatePickerInput
+          label="Registration Start Date"
+          value={form.registration_dates.start}
+          onChange={(e) => updateForm({ registration_dates: { ...form.registration_dates, start: e.target.value } })}
+          required
+        />
+        <DatePickerInput
+          label="Registration End Date"
+          value={form.registration_dates.end}
+          onChange={(e) => updateForm({ registration_dates: { ...form.registration_dates, end: e.target.value } })}
+          required
+        />
+        <DatePickerInput
+          label="Event Start Date"
+          value={form.event_dates.start}
+          onChange={(e) => updateForm({ event_dates: { ...form.event_dates, start: e.target.value } })}
+          required
+        />
+        <DatePickerInput
+          label="Event End Date"
+          value={form.event_dates.end}
+          onChange={(e) => updateForm({ event_dates: { ...form.event_dates, end: e.target.value } })}
+          required
+        />
+      </div>
+
+      <div className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-2">
+        {CLONE_PART_OPTIONS.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-2 text-[0.85rem] text-[#e5e7eb] cursor-pointer">
+            <input
+              type="checkbox"
+              checked={form.include[key]}
+              onChange={(e) => handleIncludeChange(key, e.target.checked)}
+              className="w-4 h-4 rounded border-[rgba(148,163,184,0.3)] bg-[rgba(15,23,42,0.6)] text-[#ffe66d] focus:ring-[#ffe66d] focus:ring-2 cursor-pointer"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {preview && (
+        <div className="mt-4">
+          <p className="text-[0.85rem] mb-2 text-[#86efac]">{preview.message}</p>
+          {preview.skipped_coordinators.length > 0 && (
+            <p className="text-[0.8rem] mb-2 text-yellow-400">
+              Not copied (no longer registered): {preview.skipped_coordinators.map(c => `${c.reg_number} (${formatSportName(c.sport)})`).join(', ')}
+            </p>
+          )}
+          <div className="max-h-[220px] overflow-y-auto space-y-1 pr-1">
+            {preview.sports.map(sport => (
+              <div key={sport.name} className="flex flex-wrap items-center gap-2 text-[0.8rem] px-2 py-1 bg-[rgba(0,0,0,0.25)] rounded">
+                <span className="text-[#ffe66d] font-bold">{formatSportName(sport.name)}</span>
+                <span className="text-[#94a3b8]">{sport.type} · {sport.category}</span>
+                {sport.eligible_coordinators.length > 0 && (
+                  <span className="text-[#cbd5ff]">Coordinators: {sport.eligible_coordinators.join(', ')}</span>
+                )}
+              </div>
+            ))}
+            {preview.batches.length > 0 && (
+              <div className="text-[0.8rem] px-2 py-1 bg-[rgba(0,0,0,0.25)] rounded text-[#e5e7eb]">
+                <span className="text-[#ffe66d] font-bold">Batches:</span> {preview.batches.map(b => b.name).join(', ')}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-center gap-3 mt-4">
+        <Button
+          type="button"
+          onClick={handlePreview}
+          disabled={previewing || cloning || !form.event_year || !form.event_name.trim()}
+          loading={previewing}
+          variant="secondary"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          {previewing ? 'Previewing...' : 'Preview'}
+        </Button>
+        <Button
+          type="button"
+          onClick={handleClone}
+          disabled={!preview || cloning}
+          loading={cloning}
+          variant="success"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          {cloning ? 'Cloning...' : 'Clone'}
+        </Button>
+        <Button
+          type="button"
+          onClick={onCancel}
+          variant="secondary"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          Cancel
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default EventYearClonePanel
@@ -0,0 +1,221 @@
+/**
+ * Fixture Generator Panel
+ * Generates round-robin league fixtures for a dual sport: preview the draft, then commit it
+ */
+
+import { useState } from 'react'
+import { Button, Input, DatePickerInput } from './ui'
+import { useApi, useVenues } from '../hooks'
+import { fetchWithAuth } from '../utils/api'
+import logger from '../utils/logger'
+
+function FixtureGeneratorPanel({ sport, eventId, gender, onStatusPopup, onGenerated, onCancel }) {
+  const [options, setOptions] = useState({
+    matches_per_day: '4',
+    groups: '1',
+    double_round_robin: false,
+    start_date: '',
+    end_date: '',
+    first_match_time: '',
+    slot_minutes: '60',
+    venue: '',
+    court: ''
+  })
+  const [draft, setDraft] = useState(null)
+  const { loading: previewing, execute: executePreview } = useApi()
+  const { loading: committing, execute: executeCommit } = useApi()
+  const { venues } = useVenues()
+  const selectedVenueCourts = venues.find(v => v.name === options.venue)?.courts || []
+
+  const updateOption = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }))
+    // Any change invalidates the previewed draft
+    setDraft(null)
+  }
+
+  const buildRequestBody = (commit) => JSON.stringify({
+    event_id: eventId,
+    gender,
+    matches_per_day: parseInt(options.matches_per_day),
+    groups: parseInt(options.groups) || 1,
+    double_round_robin: options.double_round_robin,
+    start_date: options.start_date || undefined,
+    end_date: options.end_date || undefined,
+    first_match_time: options.first_match_time || undefined,
+    slot_minutes: options.first_match_time ? parseInt(options.slot_minutes) : undefined,
+    venue: options.venue || undefined,
+    court: options.court || undefined,
+    commit
+  })
+
+  const requestFixtures = (commit, execute, onSuccess) => execute(
+    () => fetchWithAuth(`/api/event-schedule/${encodeURIComponent(sport)}/generate-fixtures`, {
+      method: 'POST',
+      body: buildRequestBody(commit)
+    }),
+    {
+      onSuccess,
+      onError: (err) => {
+        onStatusPopup?.(`❌ ${err?.message || 'Error generating fixtures. Please try again.'}`, 'error', 3500)
+      },
+      showError: false
+    }
+  ).catch(err => logger.error('Error generating fixtures:', err))
+
+  const handlePreview = () => requestFixtures(false, executePreview, (data) => setDraft(data))
+
+  const handleCommit = () => requestFixtures(true, executeCommit, (data) => {
+    onStatusPopup?.(`✅ ${data.message || 'League fixtures scheduled'}`, 'success', 2500)
+    setDraft(null)
+    onGenerated?.()
+  })
+
+  const formatFixtureDate = (fixture) => {
+    const day = new Date(fixture.match_date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+    return fixture.start_time ? `${day}, ${fixture.start_time}-${fixture.end_time}` : day
+  }
+
+  const hasConflicts = draft?.fixtures.some(fixture => fixture.conflicts?.length > 0)
+
+  return (
+    <div className="mb-6 p-4 bg-[rgba(255,255,255,0.05)] rounded-lg border border-[rgba(255,255,255,0.1)]">
+      <div className="text-[0.9rem] font-bold text-[#ffe66d] mb-3">Generate League Fixtures ({gender})</div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+        <Input
+          label="Matches Per Day"
+          type="number"
+          min="1"
+          max="100"
+          value={options.matches_per_day}
+          onChange={(e) => updateOption('matches_per_day', e.target.value)}
+          required
+        />
+        <Input
+          label="Groups"
+          type="number"
+          min="1"
+          max="26"
+          value={options.groups}
+          onChange={(e) => updateOption('groups', e.target.value)}
+        />
+        <Input
+          label="Format"
+          type="select"
+          value={options.double_round_robin ? 'double' : 'single'}
+          onChange={(e) => updateOption('double_round_robin', e.target.value === 'double')}
+        >
+          <option value="single">Single Round-Robin</option>
+          <option value="double">Double Round-Robin</option>
+        </Input>
+        <DatePickerInput
+          label="From (Optional)"
+          value={options.start_date}
+          onChange={(e) => updateOption('start_date', e.target.value)}
+          min={new Date().toISOString().split('T')[0]}
+        />
+        <DatePickerInput
+          label="To (Optional)"
+          value={options.end_date}
+          onChange={(e) => updateOption('end_date', e.target.value)}
+          min={options.start_date || new Date().toISOString().split('T')[0]}
+        />
+        <div className="grid grid-cols-2 gap-2">
+          <Input
+            label="First Match"
+            type="time"
+            value={options.first_match_time}
+            onChange={(e) => updateOption('first_match_time', e.target.value)}
+          />
+          <Input
+            label="Slot (Min)"
+            type="number"
+            min="5"
+            max="720"
+            value={options.slot_minutes}
+            onChange={(e) => updateOption('slot_minutes', e.target.value)}
+            disabled={!options.first_match_time}
+          />
+        </div>
+        <Input
+          label="Venue (Optional)"
+          type="select"
+          value={options.venue}
+          onChange={(e) => {
+            updateOption('venue', e.target.value)
+            updateOption('court', '')
+          }}
+          options={venues.map(v => ({ value: v.name, label: v.name }))}
+        />
+        <Input
+          label="Court (Optional)"
+          type="select"
+          value={options.court}
+          onChange={(e) => updateOption('court', e.target.value)}
+          options={selectedVenueCourts}
+          disabled={selectedVenueCourts.length === 0}
+        />
+      </div>
+
+      {draft && (
+        <div className="mt-3">
+          <p className={`text-[0.85rem] mb-2 ${draft.unscheduled?.length > 0 || hasConflicts ? 'text-yellow-400' : 'text-[#86efac]'}`}>
+            {draft.message}
+          </p>
+          <div className="max-h-[260px] overflow-y-auto space-y-1 pr-1">
+            {draft.fixtures.map((fixture) => {
+              const participants = fixture.teams.length > 0 ? fixture.teams : fixture.players
+              return (
+                <div key={fixture.match_number} className="flex flex-wrap items-center gap-2 text-[0.8rem] px-2 py-1 bg-[rgba(0,0,0,0.25)] rounded">
+                  <span className="text-[#ffe66d] font-bold">#{fixture.match_number}</span>
+                  <span className="text-[#94a3b8]">{formatFixtureDate(fixture)}</span>
+                  {fixture.league_group && <span className="text-[#cbd5ff]">Group {fixture.league_group}</span>}
+                  <span className="text-[#94a3b8]">R{fixture.round}</span>
+                  <span className="text-[#e5e7eb]">{participants.join(' vs ')}</span>
+                  {fixture.conflicts?.map((conflict) => (
+                    <span key={`${conflict.type}-${conflict.match_id}`} className="text-red-400 w-full">
+                      Clashes with Match #{conflict.match_number} ({conflict.sports_name}, {conflict.start_time}-{conflict.end_time}):{' '}
+                      {conflict.type === 'venue' ? 'same venue' : `player(s) ${conflict.players.join(', ')}`}
+                    </span>
+                  ))}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-center gap-3 mt-4">
+        <Button
+          type="button"
+          onClick={handlePreview}
+          disabled={previewing || committing || !options.matches_per_day}
+          loading={previewing}
+          variant="secondary"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          {previewing ? 'Previewing...' : 'Preview'}
+        </Button>
+        <Button
+          type="button"
+          onClick={handleCommit}
+          disabled={!draft || draft.fixtures.length === 0 || draft.unscheduled?.length > 0 || hasConflicts || committing}
+          loading={committing}
+          variant="success"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          {committing ? 'Scheduling...' : 'Commit'}
+        </Button>
+        <Button
+          type="button"
+          onClick={onCancel}
+          variant="secondary"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          Cancel
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default FixtureGeneratorPanel
@@ -0,0 +1,173 @@
+/**
+ * Heat Generator Panel
+ * Generates rounds of heats with lanes for a multi sport with time/distance results: preview the draft, then commit it
+ */
+
+import { useState } from 'react'
+import { Button, Input, DatePickerInput } from './ui'
+import { useApi } from '../hooks'
+import { fetchWithAuth } from '../utils/api'
+import logger from '../utils/logger'
+import { MAX_HEAT_LANES, DEFAULT_HEAT_LANES } from '../constants/app'
+
+function HeatGeneratorPanel({ sport, eventId, gender, onStatusPopup, onGenerated, onCancel }) {
+  const [options, setOptions] = useState({
+    match_date: '',
+    lanes: String(DEFAULT_HEAT_LANES),
+    advance_top: '2',
+    advance_fastest: '2',
+    replace: false
+  })
+  const [draft, setDraft] = useState(null)
+  const { loading: previewing, execute: executePreview } = useApi()
+  const { loading: committing, execute: executeCommit } = useApi()
+
+  const updateOption = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }))
+    // Any change invalidates the previewed draft
+    setDraft(null)
+  }
+
+  const buildRequestBody = (commit) => JSON.stringify({
+    event_id: eventId,
+    gender,
+    match_date: options.match_date,
+    lanes: parseInt(options.lanes),
+    advance_top: parseInt(options.advance_top),
+    advance_fastest: parseInt(options.advance_fastest) || 0,
+    replace: options.replace,
+    commit
+  })
+
+  const requestHeats = (commit, execute, onSuccess) => execute(
+    () => fetchWithAuth(`/api/event-schedule/${encodeURIComponent(sport)}/generate-heats`, {
+      method: 'POST',
+      body: buildRequestBody(commit)
+    }),
+    {
+      onSuccess,
+      onError: (err) => {
+        onStatusPopup?.(`❌ ${err?.message || 'Error generating heats. Please try again.'}`, 'error', 3500)
+      },
+      showError: false
+    }
+  ).catch(err => logger.error('Error generating heats:', err))
+
+  const handlePreview = () => requestHeats(false, executePreview, (data) => setDraft(data))
+
+  const handleCommit = () => requestHeats(true, executeCommit, (data) => {
+    onStatusPopup?.(`✅ ${data.message || 'Heats generated'}`, 'success', 2500)
+    setDraft(null)
+    onGenerated?.()
+  })
+
+  const describeAdvancement = (round) => {
+    if (round.advance_top === null) return 'Final'
+    return round.advance_fastest > 0
+      ? `Top ${round.advance_top} per heat + ${round.advance_fastest} fastest advance`
+      : `Top ${round.advance_top} per heat advance`
+  }
+
+  return (
+    <div className="mb-6 p-4 bg-[rgba(255,255,255,0.05)] rounded-lg border border-[rgba(255,255,255,0.1)]">
+      <div className="text-[0.9rem] font-bold text-[#ffe66d] mb-3">Generate Heats ({gender})</div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+        <DatePickerInput
+          label="Date"
+          value={options.match_date}
+          onChange={(e) => updateOption('match_date', e.target.value)}
+          min={new Date().toISOString().split('T')[0]}
+          required
+        />
+        <Input
+          label="Lanes Per Heat"
+          type="number"
+          min="2"
+          max={MAX_HEAT_LANES}
+          value={options.lanes}
+          onChange={(e) => updateOption('lanes', e.target.value)}
+          required
+        />
+        <Input
+          label="Existing Heats"
+          type="select"
+          value={options.replace ? 'replace' : 'keep'}
+          onChange={(e) => updateOption('replace', e.target.value === 'replace')}
+        >
+          <option value="keep">Keep</option>
+          <option value="replace">Replace Unplayed Heats</option>
+        </Input>
+        <Input
+          label="Advance Per Heat (Top N)"
+          type="number"
+          min="1"
+          value={options.advance_top}
+          onChange={(e) => updateOption('advance_top', e.target.value)}
+          required
+        />
+        <Input
+          label="Fastest Losers"
+          type="number"
+          min="0"
+          value={options.advance_fastest}
+          onChange={(e) => updateOption('advance_fastest', e.target.value)}
+        />
+      </div>
+
+      {draft && (
+        <div className="mt-3">
+          <p className="text-[0.85rem] mb-2 text-[#86efac]">{draft.message}</p>
+          <div className="max-h-[260px] overflow-y-auto space-y-2 pr-1">
+            {draft.rounds.map((round) => (
+              <div key={round.round} className="text-[0.8rem] px-2 py-1 bg-[rgba(0,0,0,0.25)] rounded">
+                <div className="text-[#ffe66d] font-bold">
+                  Round {round.round}: {round.heats} heat(s), {round.participants} participant(s)
+                  <span className="text-[#94a3b8] font-normal"> · {describeAdvancement(round)}</span>
+                </div>
+                {draft.heats.filter(heat => heat.heat_round === round.round && heat.lanes.length > 0).map(heat => (
+                  <div key={heat.match_number} className="text-[#e5e7eb]">
+                    <span className="text-[#cbd5ff]">Heat {heat.heat_number} (#{heat.match_number}):</span>{' '}
+                    {heat.lanes.map(entry => `L${entry.lane} ${entry.participant}`).join(', ')}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-center gap-3 mt-4">
+        <Button
+          type="button"
+          onClick={handlePreview}
+          disabled={previewing || committing || !options.match_date || !options.lanes || !options.advance_top}
+          loading={previewing}
+          variant="secondary"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          {previewing ? 'Previewing...' : 'Preview'}
+        </Button>
+        <Button
+          type="button"
+          onClick={handleCommit}
+          disabled={!draft || committing}
+          loading={committing}
+          variant="success"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          {committing ? 'Generating...' : 'Commit'}
+        </Button>
+        <Button
+          type="button"
+          onClick={onCancel}
+          variant="secondary"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          Cancel
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default HeatGeneratorPanel
@@ -0,0 +1,305 @@
+/**
+ * Judging Panel
+ * Judged matches (literary and cultural activities): coordinators assign judges and a weighted rubric,
+ * assigned judges submit their score sheet, and everyone sees the normalized ranking with ties flagged
+ */
+
+import { useState, useEffect } from 'react'
+import { Button, Input, LoadingSpinner } from './ui'
+import { useApi } from '../hooks'
+import { fetchWithAuth } from '../utils/api'
+import logger from '../utils/logger'
+import { MAX_JUDGES_PER_MATCH, MAX_RUBRIC_CRITERIA } from '../constants/app'
+
+const EMPTY_CRITERION = { name: '', weight: '1', max_score: '10' }
+
+function JudgingPanel({ match, participants, canManage, loggedInUser, setupStatus, scoringStatus, onStatusPopup, onUpdated, onCancel }) {
+  const [judging, setJudging] = useState(null)
+  const [setup, setSetup] = useState({ judges: '', judged_qualifiers: '', rubric: [{ ...EMPTY_CRITERION }] })
+  const [sheet, setSheet] = useState({})
+  const [formError, setFormError] = useState('')
+  const { loading, execute: executeLoad } = useApi()
+  const { loading: saving, execute: executeSave } = useApi()
+
+  const regNumber = loggedInUser?.reg_number
+  const isScheduled = match.status === 'scheduled'
+  const labelOf = (participant) => participants.find(p => p.value === participant)?.label || participant
+
+  const applyJudging = (data) => {
+    setJudging(data)
+    setSetup({
+      judges: data.judges.join(', '),
+      judged_qualifiers: data.judged_qualifiers ? String(data.judged_qualifiers) : '',
+      rubric: data.rubric.length > 0
+        ? data.rubric.map(c => ({ name: c.name, weight: String(c.weight), max_score: String(c.max_score) }))
+        : [{ ...EMPTY_CRITERION }]
+    })
+    // Prefill the judge's sheet with their earlier submission
+    const initial = {}
+    participants.forEach(({ value }) => {
+      initial[value] = {}
+      data.rubric.forEach(criterion => {
+        const entry = data.judge_scores.find(s => s.judge === regNumber && s.participant === value)
+        const score = entry?.criteria.find(c => c.name === criterion.name)?.score
+        initial[value][criterion.name] = score === undefined ? '' : String(score)
+      })
+    })
+    setSheet(initial)
+  }
+
+  useEffect(() => {
+    executeLoad(
+      () => fetchWithAuth(`/api/event-schedule/${match._id}/judging`, { skipCache: true }),
+      {
+        onSuccess: (data) => applyJudging(data.judging),
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Error loading judging. Please try again.'}`, 'error', 3500)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error loading judging:', err))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [match._id])
+
+  const updateCriterion = (index, field, value) => {
+    setSetup(prev => ({ ...prev, rubric: prev.rubric.map((c, i) => (i === index ? { ...c, [field]: value } : c)) }))
+    setFormError('')
+  }
+
+  const handleSaveSetup = () => {
+    const judges = setup.judges.split(',').map(j => j.trim()).filter(Boolean)
+    if (judges.length === 0) {
+      setFormError('Enter at least one judge reg number')
+      return
+    }
+    if (setup.rubric.some(c => !c.name.trim())) {
+      setFormError('Every rubric criterion needs a name')
+      return
+    }
+
+    executeSave(
+      () => fetchWithAuth(`/api/event-schedule/${match._id}/judging`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          judges,
+          rubric: setup.rubric.map(c => ({ name: c.name.trim(), weight: Number(c.weight), max_score: Number(c.max_score) })),
+          judged_qualifiers: setup.judged_qualifiers ? Number(setup.judged_qualifiers) : undefined
+        })
+      }),
+      {
+        onSuccess: (data) => {
+          onStatusPopup?.('✅ Judges and rubric saved', 'success', 2500)
+          applyJudging(data.judging)
+          onUpdated?.()
+        },
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Error saving judging. Please try again.'}`, 'error', 3500)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error saving judging:', err))
+  }
+
+  const handleSubmitSheet = () => {
+    const scores = []
+    for (const { value, label } of participants) {
+      const criteria = []
+      for (const criterion of judging.rubric) {
+        const score = sheet[value]?.[criterion.name] ?? ''
+        if (String(score).trim() === '') {
+          setFormError(`Enter the ${criterion.name} score for ${label}`)
+          return
+        }
+        criteria.push({ name: criterion.name, score: Number(score) })
+      }
+      scores.push({ participant: value, criteria })
+    }
+
+    executeSave(
+      () => fetchWithAuth(`/api/event-schedule/${match._id}/judge-scores`, {
+        method: 'POST',
+        body: JSON.stringify({ scores })
+      }),
+      {
+        onSuccess: (data) => {
+          onStatusPopup?.(`✅ ${data.message || 'Scores submitted'}`, data.unresolved_ties?.length > 0 ? 'info' : 'success', 3500)
+          applyJudging(data.judging)
+          onUpdated?.()
+        },
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Error submitting scores. Please try again.'}`, 'error', 3500)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error submitting judge scores:', err))
+  }
+
+  if (loading || !judging) {
+    return (
+      <div className="mt-2 p-3" onClick={(e) => e.stopPropagation()}>
+        <LoadingSpinner message="Loading judging..." />
+      </div>
+    )
+  }
+
+  const canEditSetup = canManage && isScheduled
+  const canScore = judging.judges.includes(regNumber) && isScheduled && judging.rubric.length > 0
+
+  return (
+    <div className="mt-2 p-3 bg-[rgba(255,255,255,0.05)] rounded-lg border border-[rgba(255,255,255,0.1)]" onClick={(e) => e.stopPropagation()}>
+      <div className="text-[0.85rem] font-bold text-[#ffe66d] mb-1">Judging</div>
+      <p className="text-[0.75rem] text-[#94a3b8] mb-3">
+        Each judge&apos;s score is the weighted share of the rubric&apos;s maximum scores (out of 100); participants are ranked by the average over all judges.
+      </p>
+
+      {canEditSetup && (
+        <div className="mb-3">
+          <Input
+            label={`Judges (Reg Numbers, Comma Separated, Max ${MAX_JUDGES_PER_MATCH})`}
+            type="text"
+            value={setup.judges}
+            onChange={(e) => { setSetup(prev => ({ ...prev, judges: e.target.value })); setFormError('') }}
+          />
+          <Input
+            label="Qualifying Places"
+            type="number"
+            min="1"
+            max={participants.length}
+            placeholder={String(Math.min(3, participants.length))}
+            value={setup.judged_qualifiers}
+            onChange={(e) => setSetup(prev => ({ ...prev, judged_qualifiers: e.target.value }))}
+          />
+          <div className="text-[0.8rem] text-[#e5e7eb] font-semibold mb-1">Rubric</div>
+          {setup.rubric.map((criterion, index) => (
+            <div key={index} className="grid grid-cols-[2fr_1fr_1fr_auto] gap-2 items-end">
+              <Input label="Criterion" type="text" value={criterion.name} onChange={(e) => updateCriterion(index, 'name', e.target.value)} disabled={judging.submitted_judges.length > 0} />
+              <Input label="Weight" type="number" min="0.1" step="0.1" value={criterion.weight} onChange={(e) => updateCriterion(index, 'weight', e.target.value)} disabled={judging.submitted_judges.length > 0} />
+              <Input label="Max Score" type="number" min="1" step="1" value={criterion.max_score} onChange={(e) => updateCriterion(index, 'max_score', e.target.value)} disabled={judging.submitted_judges.length > 0} />
+              <Button
+                type="button"
+                onClick={() => setSetup(prev => ({ ...prev, rubric: prev.rubric.filter((_, i) => i !== index) }))}
+                disabled={setup.rubric.length === 1 || judging.submitted_judges.length > 0}
+                variant="danger"
+                className="px-2 py-1.5 mb-4 text-[0.8rem] font-bold rounded-lg"
+              >
+                Remove
+              </Button>
+            </div>
+          ))}
+          {judging.submitted_judges.length > 0 && (
+            <p className="text-[0.75rem] text-[#94a3b8] mb-2">The rubric is fixed once a judge has scored.</p>
+          )}
+          <div className="flex justify-center gap-3">
+            <Button
+              type="button"
+              onClick={() => setSetup(prev => ({ ...prev, rubric: [...prev.rubric, { ...EMPTY_CRITERION }] }))}
+              disabled={setup.rubric.length >= MAX_RUBRIC_CRITERIA || judging.submitted_judges.length > 0}
+              variant="secondary"
+              className="px-3 py-1.5 text-[0.85rem] font-bold rounded-lg"
+            >
+              Add Criterion
+            </Button>
+            <Button
+              type="button"
+              onClick={handleSaveSetup}
+              disabled={saving || setupStatus.disabled}
+              loading={saving}
+              title={setupStatus.disabled ? setupStatus.reason : ''}
+              variant="success"
+              className="px-3 py-1.5 text-[0.85rem] font-bold rounded-lg"
+            >
+              {saving ? 'Saving...' : 'Save Judging'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {judging.judges.length > 0 && (
+        <div className="text-[0.8rem] text-[#e5e7eb] mb-3">
+          <span className="text-[#ffe66d]">Judges scored:</span> {judging.submitted_judges.length}/{judging.judges.length}
+          {canManage && judging.pending_judges.length > 0 && (
+            <span className="text-[#94a3b8]"> (waiting for {judging.pending_judges.join(', ')})</span>
+          )}
+        </div>
+      )}
+
+      {canScore && (
+        <div className="mb-3">
+          <div className="text-[0.8rem] text-[#e5e7eb] font-semibold mb-1">Your Scores</div>
+          {participants.map(({ value, label }) => (
+            <div key={value} className="mb-2">
+              <div className="text-[0.8rem] text-[#e5e7eb] mb-1">{label}</div>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                {judging.rubric.map(criterion => (
+                  <Input
+                    key={criterion.name}
+                    label={`${criterion.name} (0-${criterion.max_score})`}
+                    type="number"
+                    min="0"
+                    max={criterion.max_score}
+                    step="0.5"
+                    value={sheet[value]?.[criterion.name] ?? ''}
+                    onChange={(e) => {
+                      const score = e.target.value
+                      setSheet(prev => ({ ...prev, [value]: { ...prev[value], [criterion.name]: score } }))
+                      setFormError('')
+                    }}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+          <div className="flex justify-center">
+            <Button
+              type="button"
+              onClick={handleSubmitSheet}
+              disabled={saving || scoringStatus.disabled}
+              loading={saving}
+              title={scoringStatus.disabled ? scoringStatus.reason : ''}
+              variant="success"
+              className="px-3 py-1.5 text-[0.85rem] font-bold rounded-lg"
+            >
+              {saving ? 'Submitting...' : judging.submitted_judges.includes(regNumber) ? 'Update Scores' : 'Submit Scores'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {formError && <p className="text-red-400 text-[0.8rem] mb-2">{formError}</p>}
+
+      {judging.ranking.length > 0 && (
+        <div className="mb-3">
+          <div className="text-[0.8rem] text-[#e5e7eb] font-semibold mb-1">
+            Ranking{!judging.complete && ' (Provisional)'}
+          </div>
+          <div className="space-y-1">
+            {judging.ranking.map(entry => (
+              <div key={entry.participant} className="text-[0.8rem] text-[#e5e7eb]">
+                {entry.position}. {labelOf(entry.participant)}: {entry.score.toFixed(2)}
+                {entry.tied && <span className="ml-2 text-[#fbbf24] font-bold">Tied</span>}
+              </div>
+            ))}
+          </div>
+          {judging.complete && judging.ties.length > 0 && isScheduled && (
+            <p className="text-[0.75rem] text-[#fbbf24] mt-2">
+              Tied participants share a qualifying place. A coordinator must set the qualifiers to break the tie.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-center">
+        <Button
+          type="button"
+          onClick={onCancel}
+          variant="secondary"
+          className="px-3 py-1.5 text-[0.85rem] font-bold rounded-lg"
+        >
+          Close
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default JudgingPanel
@@ -0,0 +1,358 @@
+/**
+ * Lineup Panel
+ * Team sport matches: coordinators pick each team's starters and substitutes from its roster (including reserves)
+ * and record substitutions during the match; everyone sees the lineups and who is on the field
+ */
+
+import { useState, useEffect } from 'react'
+import { Button, Input, LoadingSpinner } from './ui'
+import { useApi } from '../hooks'
+import { fetchWithAuth } from '../utils/api'
+import { buildSportApiUrl } from '../utils/apiHelpers'
+import logger from '../utils/logger'
+import { MAX_SUBSTITUTION_REASON_LENGTH } from '../constants/app'
+
+const EMPTY_SUBSTITUTION = { team_name: '', player_out: '', player_in: '', minute: '', reason: '' }
+
+/**
+ * Players of a team on the field after replaying its substitutions on the starters
+ */
+const getOnField = (lineup, substitutions) => {
+  const onField = [...(lineup?.starters || [])]
+  substitutions
+    .filter(substitution => substitution.team_name === lineup?.team_name)
+    .forEach(substitution => {
+      const index = onField.indexOf(substitution.player_out)
+      if (index !== -1) onField[index] = substitution.player_in
+    })
+  return onField
+}
+
+function LineupPanel({ match, sport, eventId, teamSize, canManage, lineupStatus, substitutionStatus, isMatchInFuture, onStatusPopup, onUpdated, onCancel }) {
+  const [rosters, setRosters] = useState(null) // { team_name: [{ reg_number, full_name }] }
+  const [lineups, setLineups] = useState(match.lineups || [])
+  const [substitutions, setSubstitutions] = useState(match.substitutions || [])
+  const [roles, setRoles] = useState({}) // { team_name: { reg_number: 'starter' | 'substitute' | '' } }
+  const [substitution, setSubstitution] = useState({ ...EMPTY_SUBSTITUTION })
+  const [formError, setFormError] = useState('')
+  const { loading, execute: executeLoad } = useApi()
+  const { loading: saving, execute: executeSave } = useApi()
+
+  const isScheduled = match.status === 'scheduled'
+  const canRecordSubstitutions = canManage && match.status !== 'cancelled' && !isMatchInFuture
+
+  const nameOf = (teamName, regNumber) => {
+    const player = (rosters?.[teamName] || []).find(p => p.reg_number === regNumber)
+    return player ? `${player.full_name} (${regNumber})` : regNumber
+  }
+
+  const applyMatch = (updated) => {
+    setLineups(updated.lineups || [])
+    setSubstitutions(updated.substitutions || [])
+  }
+
+  useEffect(() => {
+    executeLoad(
+      () => fetchWithAuth(buildSportApiUrl('teams', sport, eventId), { skipCache: true }),
+      {
+        onSuccess: (data) => {
+          const byTeam = {}
+          const initialRoles = {}
+          ;(data.teams || [])
+            .filter(team => (match.teams || []).includes(team.team_name))
+            .forEach(team => {
+              byTeam[team.team_name] = team.players
+              const lineup = (match.lineups || []).find(l => l.team_name === team.team_name)
+              initialRoles[team.team_name] = {}
+              team.players.forEach(player => {
+                initialRoles[team.team_name][player.reg_number] = lineup?.starters.includes(player.reg_number)
+                  ? 'starter'
+                  : lineup?.substitutes.includes(player.reg_number) ? 'substitute' : ''
+              })
+            })
+          setRosters(byTeam)
+          setRoles(initialRoles)
+        },
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Error loading team rosters. Please try again.'}`, 'error', 3500)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error loading team rosters:', err))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [match._id])
+
+  const setRole = (teamName, regNumber, role) => {
+    setRoles(prev => ({ ...prev, [teamName]: { ...prev[teamName], [regNumber]: role } }))
+    setFormError('')
+  }
+
+  const handleSaveLineup = (teamName) => {
+    const teamRoles = roles[teamName] || {}
+    const starters = Object.keys(teamRoles).filter(reg => teamRoles[reg] === 'starter')
+    const substitutes = Object.keys(teamRoles).filter(reg => teamRoles[reg] === 'substitute')
+    if (teamSize && starters.length !== teamSize) {
+      setFormError(`Pick exactly ${teamSize} starters for ${teamName}`)
+      return
+    }
+
+    executeSave(
+      () => fetchWithAuth(`/api/event-schedule/${match._id}/lineups`, {
+        method: 'PUT',
+        body: JSON.stringify({ lineups: [{ team_name: teamName, starters, substitutes }] })
+      }),
+      {
+        onSuccess: (data) => {
+          onStatusPopup?.(`✅ Lineup of ${teamName} saved`, 'success', 2500)
+          applyMatch(data.match)
+          onUpdated?.()
+        },
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Error saving lineup. Please try again.'}`, 'error', 3500)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error saving lineup:', err))
+  }
+
+  const handleRecordSubstitution = () => {
+    if (!substitution.team_name || !substitution.player_out || !substitution.player_in) {
+      setFormError('Pick the team, the player going off and the player coming on')
+      return
+    }
+
+    executeSave(
+      () => fetchWithAuth(`/api/event-schedule/${match._id}/substitutions`, {
+        method: 'POST',
+        body: JSON.stringify({
+          team_name: substitution.team_name,
+          player_out: substitution.player_out,
+          player_in: substitution.player_in,
+          minute: substitution.minute === '' ? null : Number(substitution.minute),
+          reason: substitution.reason.trim() || null
+        })
+      }),
+      {
+        onSuccess: (data) => {
+          onStatusPopup?.('✅ Substitution recorded', 'success', 2500)
+          applyMatch(data.match)
+          setSubstitution({ ...EMPTY_SUBSTITUTION, team_name: substitution.team_name })
+          onUpdated?.()
+        },
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Error recording substitution. Please try again.'}`, 'error', 3500)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error recording substitution:', err))
+  }
+
+  const handleDeleteSubstitution = (substitutionId) => {
+    executeSave(
+      () => fetchWithAuth(`/api/event-schedule/${match._id}/substitutions/${substitutionId}`, { method: 'DELETE' }),
+      {
+        onSuccess: (data) => {
+          onStatusPopup?.('✅ Substitution deleted', 'success', 2500)
+          applyMatch(data.match)
+          onUpdated?.()
+        },
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Error deleting substitution. Please try again.'}`, 'error', 3500)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error deleting substitution:', err))
+  }
+
+  if (loading || !rosters) {
+    return (
+      <div className="mt-2 p-3" onClick={(e) => e.stopPropagation()}>
+        <LoadingSpinner message="Loading lineups..." />
+      </div>
+    )
+  }
+
+  const substitutionLineup = lineups.find(l => l.team_name === substitution.team_name)
+  const substitutionOnField = getOnField(substitutionLineup, substitutions)
+
+  return (
+    <div className="mt-2 p-3 bg-[rgba(255,255,255,0.05)] rounded-lg border border-[rgba(255,255,255,0.1)]" onClick={(e) => e.stopPropagation()}>
+      <div className="text-[0.85rem] font-bold text-[#ffe66d] mb-1">Lineups</div>
+      {teamSize && (
+        <p className="text-[0.75rem] text-[#94a3b8] mb-3">
+          Each team starts {teamSize} players; other roster players can be named as substitutes and brought on during the match.
+        </p>
+      )}
+
+      {(match.teams || []).map(teamName => {
+        const lineup = lineups.find(l => l.team_name === teamName)
+        const hasSubstitutions = substitutions.some(s => s.team_name === teamName)
+        const canEditLineup = canManage && isScheduled && !hasSubstitutions
+        const onField = getOnField(lineup, substitutions)
+        const starterCount = Object.values(roles[teamName] || {}).filter(role => role === 'starter').length
+
+        return (
+          <div key={teamName} className="mb-3">
+            <div className="text-[0.8rem] text-[#e5e7eb] font-semibold mb-1">{teamName}</div>
+            {canEditLineup ? (
+              <>
+                {(rosters[teamName] || []).map(player => (
+                  <div key={player.reg_number} className="grid grid-cols-[2fr_1fr] gap-2 items-center">
+                    <span className="text-[0.8rem] text-[#e5e7eb]">{player.full_name} ({player.reg_number})</span>
+                    <Input
+                      type="select"
+                      value={roles[teamName]?.[player.reg_number] || ''}
+                      onChange={(e) => setRole(teamName, player.reg_number, e.target.value)}
+                    >
+                      <option value="">Not Selected</option>
+                      <option value="starter">Starter</option>
+                      <option value="substitute">Substitute</option>
+                    </Input>
+                  </div>
+                ))}
+                <div className="flex justify-center items-center gap-3">
+                  {teamSize && (
+                    <span className="text-[0.75rem] text-[#94a3b8]">Starters: {starterCount}/{teamSize}</span>
+                  )}
+                  <Button
+                    type="button"
+                    onClick={() => handleSaveLineup(teamName)}
+                    disabled={saving || lineupStatus.disabled}
+                    loading={saving}
+                    title={lineupStatus.disabled ? lineupStatus.reason : ''}
+                    variant="success"
+                    className="px-3 py-1.5 text-[0.85rem] font-bold rounded-lg"
+                  >
+                    {lineup ? 'Update Lineup' : 'Save Lineup'}
+                  </Button>
+                </div>
+              </>
+            ) : lineup ? (
+              <div className="text-[0.8rem] text-[#e5e7eb] space-y-1">
+                <div>
+                  <span className="text-[#ffe66d]">On Field:</span> {onField.map(reg => nameOf(teamName, reg)).join(', ')}
+                </div>
+                <div>
+                  <span className="text-[#ffe66d]">Bench:</span>{' '}
+                  {[...lineup.starters, ...lineup.substitutes].filter(reg => !onField.includes(reg)).map(reg => nameOf(teamName, reg)).join(', ') || 'None'}
+                </div>
+                {canManage && isScheduled && hasSubstitutions && (
+                  <p className="text-[0.75rem] text-[#94a3b8]">The lineup is fixed once a substitution has been recorded.</p>
+                )}
+              </div>
+            ) : (
+              <p className="text-[0.8rem] text-[#94a3b8]">No lineup set.</p>
+            )}
+          </div>
+        )
+      })}
+
+      {substitutions.length > 0 && (
+        <div className="mb-3">
+          <div className="text-[0.8rem] text-[#e5e7eb] font-semibold mb-1">Substitutions</div>
+          <div className="space-y-1">
+            {substitutions.map(entry => (
+              <div key={entry._id} className="flex items-center justify-between gap-2 text-[0.8rem] text-[#e5e7eb]">
+                <span>
+                  {entry.minute !== null && entry.minute !== undefined && <span className="text-[#ffe66d]">{entry.minute}&apos; </span>}
+                  {entry.team_name}: {nameOf(entry.team_name, entry.player_in)} on for {nameOf(entry.team_name, entry.player_out)}
+                  {entry.reason && <span className="text-[#94a3b8]"> ({entry.reason})</span>}
+                </span>
+                {canRecordSubstitutions && (
+                  <Button
+                    type="button"
+                    onClick={() => handleDeleteSubstitution(entry._id)}
+                    disabled={saving || substitutionStatus.disabled}
+                    title={substitutionStatus.disabled ? substitutionStatus.reason : ''}
+                    variant="danger"
+                    className="px-2 py-1 text-[0.75rem] font-bold rounded-lg"
+                  >
+                    Delete
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {canRecordSubstitutions && lineups.length > 0 && (
+        <div className="mb-3">
+          <div className="text-[0.8rem] text-[#e5e7eb] font-semibold mb-1">Record Substitution</div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-x-3">
+            <Input
+              label="Team"
+              type="select"
+              value={substitution.team_name}
+              onChange={(e) => { setSubstitution({ ...EMPTY_SUBSTITUTION, team_name: e.target.value }); setFormError('') }}
+              options={lineups.map(l => ({ value: l.team_name, label: l.team_name }))}
+            />
+            <Input
+              label="Player Off"
+              type="select"
+              value={substitution.player_out}
+              onChange={(e) => setSubstitution(prev => ({ ...prev, player_out: e.target.value }))}
+              options={substitutionOnField.map(reg => ({ value: reg, label: nameOf(substitution.team_name, reg) }))}
+              disabled={!substitutionLineup}
+            />
+            <Input
+              label="Player On"
+              type="select"
+              value={substitution.player_in}
+              onChange={(e) => setSubstitution(prev => ({ ...prev, player_in: e.target.value }))}
+              options={substitutionLineup
+                ? [...substitutionLineup.starters, ...substitutionLineup.substitutes]
+                    .filter(reg => !substitutionOnField.includes(reg))
+                    .map(reg => ({ value: reg, label: nameOf(substitution.team_name, reg) }))
+                : []}
+              disabled={!substitutionLineup}
+            />
+            <Input
+              label="Minute (Optional)"
+              type="number"
+              min="0"
+              value={substitution.minute}
+              onChange={(e) => setSubstitution(prev => ({ ...prev, minute: e.target.value }))}
+            />
+            <Input
+              label="Reason (Optional)"
+              type="text"
+              maxLength={MAX_SUBSTITUTION_REASON_LENGTH}
+              placeholder="e.g. Injury"
+              value={substitution.reason}
+              onChange={(e) => setSubstitution(prev => ({ ...prev, reason: e.target.value }))}
+            />
+          </div>
+          <div className="flex justify-center">
+            <Button
+              type="button"
+              onClick={handleRecordSubstitution}
+              disabled={saving || substitutionStatus.disabled}
+              loading={saving}
+              title={substitutionStatus.disabled ? substitutionStatus.reason : ''}
+              variant="success"
+              className="px-3 py-1.5 text-[0.85rem] font-bold rounded-lg"
+            >
+              {saving ? 'Saving...' : 'Record Substitution'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {formError && <p className="text-red-400 text-[0.8rem] mb-2">{formError}</p>}
+
+      <div className="flex justify-center">
+        <Button
+          type="button"
+          onClick={onCancel}
+          variant="secondary"
+          className="px-3 py-1.5 text-[0.85rem] font-bold rounded-lg"
+        >
+          Close
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default LineupPanel
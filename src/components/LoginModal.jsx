@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
 import { Modal, Button, Input } from './ui'
 import { useApi } from '../hooks'
-import { buildApiUrl, clearCachePattern } from '../utils/api'
+import { buildApiUrl, clearCachePattern, storeTokens } from '../utils/api'
 import logger from '../utils/logger'
 
 function LoginModal({ isOpen, onClose, onLoginSuccess, onStatusPopup, onResetPasswordClick }) {
@@ -48,10 +48,8 @@ function LoginModal({ isOpen, onClose, onLoginSuccess, onStatusPopup, onResetPas
             clearCachePattern('/api/coordinators-by-sport')
             clearCachePattern('/api/sports-counts')
             
-            // Store JWT token in localStorage (user data is handled by App.jsx)
-            if (data.token) {
-              localStorage.setItem('authToken', data.token)
-            }
+            // Store JWT access and refresh tokens in localStorage (user data is handled by App.jsx)
+            storeTokens(data.token, data.refresh_token)
             
             // Pass player data to App.jsx (will be stored in memory only)
             // Also pass change_password_required flag so App.jsx can handle showing the modal
@@ -3,6 +3,7 @@ import { createPortal } from 'react-dom'
 import { useEventYear } from '../hooks/useEventYear'
 import { isWithinRegistrationPeriod } from '../utils/yearHelpers'
 import ProfileModal from './ProfileModal'
+import { isEventAdmin, canViewEventAdminData } from '../utils/roleHelpers'
 
 function Navbar({
   loggedInUser,
@@ -11,13 +12,15 @@ function Navbar({
   onRegisterClick,
   onResetPasswordClick,
   onLogout,
+  onLogoutAll,
   onChangePasswordClick,
   onCaptainManagementClick,
   onCoordinatorManagementClick,
   onBatchManagementClick,
   onListPlayersClick,
   onExportExcel,
-  onAdminDashboardClick
+  onAdminDashboardClick,
+  onStatusPopup
 }) {
   const { eventYearConfig } = useEventYear()
   const eventTitle = eventYearConfig?.event_title || 'Community Entertainment'
@@ -25,10 +28,12 @@ function Navbar({
   const isRegistrationPeriodActive = eventYearConfig?.registration_dates
     ? isWithinRegistrationPeriod(eventYearConfig.registration_dates)
     : false
-  const isAdmin = loggedInUser?.reg_number === 'admin'
+  const currentEventId = selectedEventId || eventYearConfig?.event_id || null
+  const isAdmin = isEventAdmin(loggedInUser, currentEventId)
   const isCoordinator = Array.isArray(loggedInUser?.coordinator_in) && loggedInUser.coordinator_in.length > 0
+  const canViewAdminData = canViewEventAdminData(loggedInUser, currentEventId)
   const canManageCaptains = isAdmin || isCoordinator
-  const canListPlayers = isAdmin || isCoordinator
+  const canListPlayers = canViewAdminData || isCoordinator
   const hasMenuActions = !!loggedInUser || !!onLoginClick || !!onRegisterClick || !!onResetPasswordClick
   const [isMenuOpen, setIsMenuOpen] = useState(false)
   const [menuPosition, setMenuPosition] = useState({ top: 0, left: 0, maxHeight: 0 })
@@ -149,7 +154,7 @@ function Navbar({
                               <span className="text-[#6366f1]">●</span> Add/Remove Captain
                             </button>
                           )}
-                          {loggedInUser?.reg_number === 'admin' && onCoordinatorManagementClick && (
+                          {isAdmin && onCoordinatorManagementClick && (
                             <button
                               onClick={() => {
                                 setIsMenuOpen(false)
@@ -160,7 +165,7 @@ function Navbar({
                               <span className="text-[#10b981]">●</span> Add/Remove Coordinator
                             </button>
                           )}
-                          {loggedInUser?.reg_number === 'admin' && onBatchManagementClick && (
+                          {isAdmin && onBatchManagementClick && (
                             <button
                               onClick={() => {
                                 setIsMenuOpen(false)
@@ -182,7 +187,7 @@ function Navbar({
                               <span className="text-[#059669]">●</span> List Players
                             </button>
                           )}
-                          {loggedInUser?.reg_number === 'admin' && onExportExcel && (
+                          {canViewAdminData && onExportExcel && (
                             <button
                               onClick={() => {
                                 setIsMenuOpen(false)
@@ -193,7 +198,7 @@ function Navbar({
                               <span className="text-[#3b82f6]">●</span> Export Excel
                             </button>
                           )}
-                          {loggedInUser?.reg_number === 'admin' && onAdminDashboardClick && (
+                          {isAdmin && onAdminDashboardClick && (
                             <button
                               onClick={() => {
                                 setIsMenuOpen(false)
@@ -228,6 +233,17 @@ function Navbar({
                                   <span className="text-red-400">●</span> Logout
                                 </button>
                               )}
+                              {onLogoutAll && (
+                                <button
+                                  onClick={() => {
+                                    setIsMenuOpen(false)
+                                    onLogoutAll()
+                                  }}
+                                  className="w-full px-4 py-2.5 text-left text-sm font-semibold text-[#e5e7eb] hover:bg-[rgba(148,163,184,0.2)] transition-colors flex items-center gap-2"
+                                >
+                                  <span className="text-red-400">●</span> Logout All Devices
+                                </button>
+                              )}
                             </div>
                           )}
                         </>
@@ -314,6 +330,7 @@ function Navbar({
         onClose={() => setIsProfileModalOpen(false)}
         loggedInUser={loggedInUser}
         selectedEventId={selectedEventId}
+        onStatusPopup={onStatusPopup}
       />
     </nav>
   )
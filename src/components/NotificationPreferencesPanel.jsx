@@ -0,0 +1,77 @@
+/**
+ * Notification Preferences Panel
+ * Lets the logged-in player choose which email notifications they receive; every change is saved immediately
+ */
+
+import { useState, useEffect } from 'react'
+import { useApi } from '../hooks'
+import { fetchWithAuth } from '../utils/api'
+import logger from '../utils/logger'
+import { NOTIFICATION_CATEGORY_OPTIONS } from '../constants/app'
+
+function NotificationPreferencesPanel({ onStatusPopup }) {
+  const [preferences, setPreferences] = useState(null)
+  const [emailEnabled, setEmailEnabled] = useState(true)
+  const { loading: saving, execute: executeSave } = useApi()
+
+  useEffect(() => {
+    fetchWithAuth('/api/notifications/preferences', { skipCache: true })
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          setPreferences(data.preferences)
+          setEmailEnabled(data.email_enabled !== false)
+        }
+      })
+      .catch(err => logger.warn('Error fetching notification preferences:', err))
+  }, [])
+
+  const handleToggle = (key, enabled) => {
+    const previous = preferences
+    setPreferences(prev => ({ ...prev, [key]: enabled }))
+    executeSave(
+      () => fetchWithAuth('/api/notifications/preferences', {
+        method: 'PUT',
+        body: JSON.stringify({ preferences: { [key]: enabled } })
+      }),
+      {
+        onSuccess: (data) => {
+          setPreferences(data.preferences)
+          onStatusPopup?.('✅ Notification preferences saved', 'success', 2000)
+        },
+        onError: (err) => {
+          setPreferences(previous)
+          onStatusPopup?.(`❌ ${err?.message || 'Error saving notification preferences. Please try again.'}`, 'error', 4000)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error saving notification preferences:', err))
+  }
+
+  if (!preferences) return null
+
+  return (
+    <div className="p-4 bg-[rgba(15,23,42,0.6)] rounded-lg border border-[rgba(148,163,184,0.3)]">
+      <div className="text-[#cbd5ff] text-sm font-semibold mb-2">Email Notifications:</div>
+      {!emailEnabled && (
+        <p className="text-[0.8rem] mb-2 text-yellow-400">Email sending is currently not configured, so no emails are sent.</p>
+      )}
+      <div className="space-y-2">
+        {NOTIFICATION_CATEGORY_OPTIONS.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-2 text-[0.85rem] text-[#e5e7eb] cursor-pointer">
+            <input
+              type="checkbox"
+              checked={preferences[key] !== false}
+              onChange={(e) => handleToggle(key, e.target.checked)}
+              disabled={saving}
+              className="w-4 h-4 rounded border-[rgba(148,163,184,0.3)] bg-[rgba(15,23,42,0.6)] text-[#ffe66d] focus:ring-[#ffe66d] focus:ring-2 cursor-pointer"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default NotificationPreferencesPanel
@@ -5,6 +5,7 @@ import { fetchWithAuth } from '../utils/api'
 import { buildApiUrlWithYear } from '../utils/apiHelpers'
 import { clearIndividualParticipationCaches } from '../utils/cacheHelpers'
 import { isCoordinatorForSportScope } from '../utils/sportHelpers'
+import { isEventAdmin } from '../utils/roleHelpers'
 import { shouldDisableDatabaseOperations } from '../utils/yearHelpers'
 import logger from '../utils/logger'
 
@@ -266,7 +267,7 @@ function ParticipantDetailsModal({ isOpen, onClose, sport, sportDetails = null,
     setParticipantToDelete(null)
   }
 
-  const isAdmin = loggedInUser?.reg_number === 'admin'
+  const isAdmin = isEventAdmin(loggedInUser, eventId)
   const isCoordinator = !isAdmin && isCoordinatorForSportScope(loggedInUser, sport, sportDetails)
   const canManageSport = isAdmin || isCoordinator
 
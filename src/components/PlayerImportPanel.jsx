@@ -0,0 +1,188 @@
+/**
+ * Player Import Panel
+ * Bulk imports players from a CSV/XLSX spreadsheet: validate the file (dry run), then import every row at once
+ */
+
+import { useState, useEffect } from 'react'
+import { Button, Input } from './ui'
+import { useApi } from '../hooks'
+import { fetchWithAuth } from '../utils/api'
+import { buildApiUrlWithYear } from '../utils/apiHelpers'
+import logger from '../utils/logger'
+import { PLAYER_IMPORT_MAX_FILE_SIZE } from '../constants/app'
+
+const ACCEPTED_FILE_TYPES = '.csv,.xlsx,.xls'
+
+/**
+ * Read a file as a base64 data URL
+ * @param {File} file - Selected file
+ * @returns {Promise<string>} Data URL
+ */
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(file)
+  })
+}
+
+function PlayerImportPanel({ eventId, onStatusPopup, onImported, onCancel }) {
+  const [file, setFile] = useState(null)
+  const [batchName, setBatchName] = useState('')
+  const [batches, setBatches] = useState([])
+  const [report, setReport] = useState(null)
+  const { loading: validating, execute: executeValidate } = useApi()
+  const { loading: importing, execute: executeImport } = useApi()
+
+  useEffect(() => {
+    if (!eventId) return
+
+    const abortController = new AbortController()
+    fetchWithAuth(buildApiUrlWithYear('/api/batches', eventId), { signal: abortController.signal })
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => setBatches(data?.success ? data.batches || [] : []))
+      .catch(err => {
+        if (err.name === 'AbortError') return
+        logger.error('Error fetching batches:', err)
+        setBatches([])
+      })
+
+    return () => abortController.abort()
+  }, [eventId])
+
+  const requestImport = async (dryRun, execute, onSuccess) => {
+    if (file.size > PLAYER_IMPORT_MAX_FILE_SIZE) {
+      onStatusPopup?.(`❌ File is too large. Upload a spreadsheet of at most ${PLAYER_IMPORT_MAX_FILE_SIZE / (1024 * 1024)} MB.`, 'error', 3500)
+      return
+    }
+
+    let content
+    try {
+      content = await readFileAsDataUrl(file)
+    } catch (err) {
+      logger.error('Error reading import file:', err)
+      onStatusPopup?.('❌ Could not read the selected file.', 'error', 3500)
+      return
+    }
+
+    return execute(
+      () => fetchWithAuth(buildApiUrlWithYear('/api/players/import', eventId), {
+        method: 'POST',
+        body: JSON.stringify({
+          file: content,
+          batch_name: batchName || undefined,
+          dry_run: dryRun
+        })
+      }),
+      {
+        onSuccess,
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Error importing players. Please try again.'}`, 'error', 4000)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error importing players:', err))
+  }
+
+  const handleValidate = () => requestImport(true, executeValidate, (data) => setReport(data))
+
+  const handleImport = () => requestImport(false, executeImport, (data) => {
+    onStatusPopup?.(`✅ ${data.message || 'Players imported'}`, 'success', 3000)
+    setReport(null)
+    setFile(null)
+    onImported?.()
+  })
+
+  const invalidRows = report ? report.rows.filter(row => row.errors.length > 0) : []
+
+  return (
+    <div className="mb-4 p-4 bg-[rgba(255,255,255,0.05)] rounded-lg border border-[rgba(255,255,255,0.1)]">
+      <div className="text-[0.9rem] font-bold text-[#ffe66d] mb-1">Import Players</div>
+      <p className="text-[0.75rem] text-[#94a3b8] mb-3">
+        Columns: reg_number, name, gender, department, mobile, email. Optional: password and batch.
+        Players without a password set one with Forgot Password. Every row must be valid before anything is imported.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+        <div className="flex flex-col mb-[0.7rem]">
+          <label htmlFor="playerImportFile" className="text-[0.78rem] uppercase text-[#cbd5ff] mb-1 tracking-[0.06em]">
+            Spreadsheet (CSV/XLSX)
+          </label>
+          <input
+            id="playerImportFile"
+            type="file"
+            accept={ACCEPTED_FILE_TYPES}
+            onChange={(e) => {
+              setFile(e.target.files?.[0] || null)
+              // A new file invalidates the previous report
+              setReport(null)
+            }}
+            className="w-full text-[0.8rem] text-[#e5e7eb] file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-[rgba(255,255,255,0.1)] file:text-[#cbd5ff] file:font-bold"
+          />
+        </div>
+        <Input
+          label="Batch (Optional)"
+          type="select"
+          value={batchName}
+          onChange={(e) => {
+            setBatchName(e.target.value)
+            setReport(null)
+          }}
+          options={batches.map(b => ({ value: b.name, label: b.name }))}
+        />
+      </div>
+
+      {report && (
+        <div className="mt-1">
+          <p className={`text-[0.85rem] mb-2 ${invalidRows.length > 0 ? 'text-yellow-400' : 'text-[#86efac]'}`}>
+            {report.message}
+          </p>
+          {invalidRows.length > 0 && (
+            <div className="max-h-[220px] overflow-y-auto space-y-1 pr-1">
+              {invalidRows.map(row => (
+                <div key={row.row} className="text-[0.8rem] px-2 py-1 bg-[rgba(0,0,0,0.25)] rounded">
+                  <span className="text-[#ffe66d] font-bold">Row {row.row}</span>
+                  {row.reg_number && <span className="ml-2 text-[#cbd5ff]">{row.reg_number}</span>}
+                  <span className="ml-2 text-red-400">{row.errors.join('; ')}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-center gap-3 mt-4">
+        <Button
+          type="button"
+          onClick={handleValidate}
+          disabled={!file || validating || importing}
+          loading={validating}
+          variant="secondary"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          {validating ? 'Validating...' : 'Validate'}
+        </Button>
+        <Button
+          type="button"
+          onClick={handleImport}
+          disabled={!report || report.valid_rows === 0 || invalidRows.length > 0 || importing}
+          loading={importing}
+          variant="success"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          {importing ? 'Importing...' : `Import${report ? ` (${report.valid_rows})` : ''}`}
+        </Button>
+        <Button
+          type="button"
+          onClick={onCancel}
+          variant="secondary"
+          className="w-32 md:w-36 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-bold rounded-lg"
+        >
+          Cancel
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default PlayerImportPanel
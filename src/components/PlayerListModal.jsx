@@ -5,10 +5,12 @@ import { fetchWithAuth, buildApiUrl, clearCache, clearCachePattern } from '../ut
 import { buildApiUrlWithYear } from '../utils/apiHelpers'
 import { GENDER_OPTIONS, DEFAULT_PLAYERS_PAGE_SIZE } from '../constants/app'
 import logger from '../utils/logger'
-import { trimFormData, validateEmail, validatePhone, validateRequired } from '../utils/formValidation'
+import { trimFormData, validatePlayerUpdateForm } from '../utils/formValidation'
 import { shouldDisableDatabaseOperations } from '../utils/yearHelpers'
+import { isSuperAdmin } from '../utils/roleHelpers'
+import PlayerImportPanel from './PlayerImportPanel'
 
-function PlayerListModal({ isOpen, onClose, onStatusPopup, selectedEventId }) {
+function PlayerListModal({ isOpen, onClose, onStatusPopup, selectedEventId, loggedInUser }) {
   const [players, setPlayers] = useState([])
   const [loading, setLoading] = useState(false)
   const [editingPlayer, setEditingPlayer] = useState(null)
@@ -43,6 +45,7 @@ function PlayerListModal({ isOpen, onClose, onStatusPopup, selectedEventId }) {
   const { loading: saving, execute } = useApi()
   const { loading: deleting, execute: executeDelete } = useApi()
   const [bulkDeleting, setBulkDeleting] = useState(false)
+  const [showImportPanel, setShowImportPanel] = useState(false)
   const [departments, setDepartments] = useState([])
   const [loadingDepartments, setLoadingDepartments] = useState(false)
   const { eventYear, eventId } = useEventYearWithFallback(selectedEventId)
@@ -687,31 +690,10 @@ function PlayerListModal({ isOpen, onClose, onStatusPopup, selectedEventId }) {
 
   const handleSavePlayer = async () => {
     const trimmed = trimFormData(editedData)
-    const requiredValidation = validateRequired({
-      'Registration number': trimmed.reg_number,
-      'Full name': trimmed.full_name,
-      Gender: trimmed.gender,
-      'Department/Branch': trimmed.department_branch,
-      'Mobile number': trimmed.mobile_number,
-      'Email ID': trimmed.email_id,
-    })
-    if (!requiredValidation.isValid) {
-      if (onStatusPopup) {
-        onStatusPopup(`❌ ${requiredValidation.errors.join(' ')}`, 'error', 2500)
-      }
-      return
-    }
-
-    if (!validateEmail(trimmed.email_id)) {
+    const validation = validatePlayerUpdateForm(trimmed)
+    if (!validation.isValid) {
       if (onStatusPopup) {
-        onStatusPopup('❌ Invalid email format.', 'error', 2500)
-      }
-      return
-    }
-
-    if (!validatePhone(trimmed.mobile_number)) {
-      if (onStatusPopup) {
-        onStatusPopup('❌ Invalid mobile number. Must be 10 digits.', 'error', 2500)
+        onStatusPopup(`❌ ${validation.errors.join(' ')}`, 'error', 2500)
       }
       return
     }
@@ -804,6 +786,45 @@ function PlayerListModal({ isOpen, onClose, onStatusPopup, selectedEventId }) {
       title="List Players"
       maxWidth="max-w-[800px]"
     >
+      {/* Player Import (super admin only) */}
+      {isSuperAdmin(loggedInUser) && (
+        showImportPanel ? (
+          <PlayerImportPanel
+            eventId={eventId}
+            onStatusPopup={onStatusPopup}
+            onCancel={() => setShowImportPanel(false)}
+            onImported={() => {
+              setShowImportPanel(false)
+              isRefreshingRef.current = true
+              // Clear players cache pattern to match backend behavior
+              clearCachePattern('/api/players')
+              fetchPlayers(null, false, searchQuery, 1).finally(() => {
+                isRefreshingRef.current = false
+              })
+            }}
+          />
+        ) : (
+          <div className="mb-4 flex justify-end">
+            <Button
+              type="button"
+              onClick={() => {
+                if (isOperationDisabled) {
+                  onStatusPopup(`❌ ${operationStatus.reason}`, 'error', 4000)
+                  return
+                }
+                setShowImportPanel(true)
+              }}
+              disabled={isOperationDisabled}
+              title={isOperationDisabled ? operationStatus.reason : ''}
+              variant="secondary"
+              className="px-2 py-1 sm:px-4 sm:py-2 text-[0.75rem] sm:text-[0.85rem]"
+            >
+              Import Players
+            </Button>
+          </div>
+        )
+      )}
+
       {/* Search Bar */}
       <div className="mb-4">
         <div className="relative">
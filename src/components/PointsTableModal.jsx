@@ -5,6 +5,7 @@ import { buildApiUrlWithYear } from '../utils/apiHelpers'
 import { useEventYearWithFallback, useApi, useEventYears } from '../hooks'
 import logger from '../utils/logger'
 import { isCoordinatorForSportScope } from '../utils/sportHelpers'
+import { isEventAdmin } from '../utils/roleHelpers'
 
 function PointsTableModal({ isOpen, onClose, sport, sportDetails = null, loggedInUser, embedded = false, selectedEventId, isActive = true, onStatusPopup }) {
   const [pointsTable, setPointsTable] = useState([])
@@ -17,10 +18,14 @@ function PointsTableModal({ isOpen, onClose, sport, sportDetails = null, loggedI
   const abortControllerRef = useRef(null)
   const currentSportRef = useRef(null)
   const previousIsActiveRef = useRef(false)
-  const isAdmin = loggedInUser?.reg_number === 'admin'
+  const isAdmin = isEventAdmin(loggedInUser, eventId)
   const isCoordinator = !isAdmin && isCoordinatorForSportScope(loggedInUser, sport, sportDetails)
   const canManageSport = isAdmin || isCoordinator
   const { loading: backfilling, execute: executeBackfill } = useApi()
+  const { loading: savingCoinToss, execute: executeCoinToss } = useApi()
+  const [pointsRules, setPointsRules] = useState(null)
+  const showScoreDifference = Boolean(sportDetails?.scoring?.format)
+  const canRecordCoinToss = canManageSport && Boolean(pointsRules?.tie_breakers?.includes('coin_toss'))
 
   useEffect(() => {
     if (!isOpen || !sport) {
@@ -127,6 +132,7 @@ function PointsTableModal({ isOpen, onClose, sport, sportDetails = null, loggedI
       if (isMounted) {
         if (data.success) {
           setPointsTable(data.points_table || [])
+          setPointsRules(data.points_rules || null)
           // Store has_league_matches flag for better empty state messaging
           if (data.has_league_matches !== undefined) {
             // This will be used in empty state message
@@ -216,6 +222,65 @@ function PointsTableModal({ isOpen, onClose, sport, sportDetails = null, loggedI
     }
   }
 
+  // Move a participant one place up within its coin toss group (participants level after all other tie-breakers)
+  const handleCoinTossMoveUp = async (entry) => {
+    const group = pointsTable.filter(e => e.tie_group === entry.tie_group)
+    const groupIndex = group.findIndex(e => e.participant === entry.participant)
+    if (groupIndex <= 0) {
+      return
+    }
+    const order = group.map(e => e.participant)
+    ;[order[groupIndex - 1], order[groupIndex]] = [order[groupIndex], order[groupIndex - 1]]
+
+    try {
+      await executeCoinToss(
+        () => fetchWithAuth(buildApiUrlWithYear(`/api/points-table/${encodeURIComponent(sport)}/coin-toss`, eventId), {
+          method: 'PUT',
+          body: JSON.stringify({ gender: selectedGender, order }),
+        }),
+        {
+          onSuccess: (data) => {
+            if (onStatusPopup) {
+              onStatusPopup('✅ Coin toss order saved', 'success', 2500)
+            }
+            clearCache(buildApiUrlWithYear(`/api/points-table/${encodeURIComponent(sport)}`, eventId, selectedGender))
+            setPointsTable(data.points_table || [])
+          },
+          onError: (err) => {
+            const errorMessage = err?.message || err?.error || 'Error saving coin toss order. Please try again.'
+            if (onStatusPopup) {
+              onStatusPopup(`❌ ${errorMessage}`, 'error', 3000)
+            }
+          },
+        }
+      )
+    } catch (err) {
+      // onError callback should have already displayed the error message
+      logger.error('Error saving coin toss order:', err)
+    }
+  }
+
+  // Rank cell: position, coin toss marker and (for managers) the move-up control
+  const renderRankCell = (entry, index) => (
+    <td className="px-4 py-3 text-[#e5e7eb] font-semibold whitespace-nowrap">
+      {entry.position || index + 1}
+      {entry.tie_group && (
+        <span className="ml-1 text-[#94a3b8]" title="Level after all other tie-breakers - ordered by coin toss">*</span>
+      )}
+      {canRecordCoinToss && entry.tie_group && pointsTable[index - 1]?.tie_group === entry.tie_group && (
+        <button
+          type="button"
+          onClick={() => handleCoinTossMoveUp(entry)}
+          disabled={savingCoinToss}
+          className="ml-2 px-1.5 text-[0.75rem] rounded bg-[rgba(255,230,109,0.2)] text-[#ffe66d] disabled:opacity-50"
+          title="Won the coin toss against the participant above"
+        >
+          ▲
+        </button>
+      )}
+    </td>
+  )
+
   if (!embedded) {
     return (
       <Modal
@@ -292,19 +357,25 @@ function PointsTableModal({ isOpen, onClose, sport, sportDetails = null, loggedI
                   <th className="px-4 py-3 text-center text-[0.85rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">Lost</th>
                   <th className="px-4 py-3 text-center text-[0.85rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">Draw</th>
                   <th className="px-4 py-3 text-center text-[0.85rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">Cancelled</th>
+                  {showScoreDifference && (
+                    <th className="px-4 py-3 text-center text-[0.85rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]" title="Scores for minus scores against">Score Diff</th>
+                  )}
                   <th className="px-4 py-3 text-center text-[0.85rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">Points</th>
                 </tr>
               </thead>
               <tbody>
                 {pointsTable.map((entry, index) => (
                   <tr key={entry._id || index} className="border-b border-[rgba(148,163,184,0.1)] hover:bg-[rgba(255,255,255,0.02)]">
-                    <td className="px-4 py-3 text-[#e5e7eb] font-semibold">{index + 1}</td>
+                    {renderRankCell(entry, index)}
                     <td className="px-4 py-3 text-[#e5e7eb]">{entry.participant}</td>
                     <td className="px-4 py-3 text-center text-[#e5e7eb]">{entry.matches_played || 0}</td>
                     <td className="px-4 py-3 text-center text-[#86efac]">{entry.matches_won || 0}</td>
                     <td className="px-4 py-3 text-center text-[#f87171]">{entry.matches_lost || 0}</td>
                     <td className="px-4 py-3 text-center text-[#fbbf24]">{entry.matches_draw || 0}</td>
                     <td className="px-4 py-3 text-center text-[#94a3b8]">{entry.matches_cancelled || 0}</td>
+                    {showScoreDifference && (
+                      <td className="px-4 py-3 text-center text-[#cbd5ff]">{entry.score_difference > 0 ? `+${entry.score_difference}` : entry.score_difference || 0}</td>
+                    )}
                     <td className="px-4 py-3 text-center text-[#ffe66d] font-bold text-[1.1rem]">{entry.points || 0}</td>
                   </tr>
                 ))}
@@ -386,19 +457,25 @@ function PointsTableModal({ isOpen, onClose, sport, sportDetails = null, loggedI
                 <th className="px-4 py-3 text-center text-[0.85rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">Lost</th>
                 <th className="px-4 py-3 text-center text-[0.85rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">Draw</th>
                 <th className="px-4 py-3 text-center text-[0.85rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">Cancelled</th>
+                {showScoreDifference && (
+                  <th className="px-4 py-3 text-center text-[0.85rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]" title="Scores for minus scores against">Score Diff</th>
+                )}
                 <th className="px-4 py-3 text-center text-[0.85rem] font-bold text-[#ffe66d] uppercase tracking-[0.05em]">Points</th>
               </tr>
             </thead>
             <tbody>
               {pointsTable.map((entry, index) => (
                 <tr key={entry._id || index} className="border-b border-[rgba(148,163,184,0.1)] hover:bg-[rgba(255,255,255,0.02)]">
-                  <td className="px-4 py-3 text-[#e5e7eb] font-semibold">{index + 1}</td>
+                  {renderRankCell(entry, index)}
                   <td className="px-4 py-3 text-[#e5e7eb]">{entry.participant}</td>
                   <td className="px-4 py-3 text-center text-[#e5e7eb]">{entry.matches_played || 0}</td>
                   <td className="px-4 py-3 text-center text-[#86efac]">{entry.matches_won || 0}</td>
                   <td className="px-4 py-3 text-center text-[#f87171]">{entry.matches_lost || 0}</td>
                   <td className="px-4 py-3 text-center text-[#fbbf24]">{entry.matches_draw || 0}</td>
                   <td className="px-4 py-3 text-center text-[#94a3b8]">{entry.matches_cancelled || 0}</td>
+                  {showScoreDifference && (
+                    <td className="px-4 py-3 text-center text-[#cbd5ff]">{entry.score_difference > 0 ? `+${entry.score_difference}` : entry.score_difference || 0}</td>
+                  )}
                   <td className="px-4 py-3 text-center text-[#ffe66d] font-bold text-[1.1rem]">{entry.points || 0}</td>
                 </tr>
               ))}
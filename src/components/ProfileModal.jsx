@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react'
 import { Modal } from './ui'
+import TeamInvitationsPanel from './TeamInvitationsPanel'
+import NotificationPreferencesPanel from './NotificationPreferencesPanel'
 import { useEventYearWithFallback } from '../hooks'
 import { fetchCurrentUser } from '../utils/api'
 import logger from '../utils/logger'
 
-function ProfileModal({ isOpen, onClose, loggedInUser, selectedEventId, onUserUpdate = null }) {
+function ProfileModal({ isOpen, onClose, loggedInUser, selectedEventId, onUserUpdate = null, onStatusPopup = null }) {
   const { eventId } = useEventYearWithFallback(selectedEventId)
   const [profileUser, setProfileUser] = useState(loggedInUser)
   
@@ -38,6 +40,20 @@ function ProfileModal({ isOpen, onClose, loggedInUser, selectedEventId, onUserUp
     }
   }, [isOpen, eventId, loggedInUser, selectedEventId, onUserUpdate])
   
+  // Refresh participations after the player joined a team by accepting an invitation
+  const handleInvitationAccepted = () => {
+    fetchCurrentUser(eventId)
+      .then(result => {
+        if (result.user) {
+          setProfileUser(result.user)
+          if (onUserUpdate) {
+            onUserUpdate(result.user)
+          }
+        }
+      })
+      .catch(error => logger.warn('Error refetching user data after joining a team:', error))
+  }
+
   if (!profileUser) return null
 
   const batchDisplay = profileUser.batch_name || 'N/A'
@@ -134,6 +150,16 @@ function ProfileModal({ isOpen, onClose, loggedInUser, selectedEventId, onUserUp
           </div>
         )}
 
+        {isOpen && (
+          <TeamInvitationsPanel
+            eventId={eventId}
+            onStatusPopup={onStatusPopup}
+            onResponded={handleInvitationAccepted}
+          />
+        )}
+
+        {isOpen && <NotificationPreferencesPanel onStatusPopup={onStatusPopup} />}
+
         {profileUser.participated_in && profileUser.participated_in.length > 0 && (
           <div className="p-4 bg-[rgba(15,23,42,0.6)] rounded-lg border border-[rgba(148,163,184,0.3)] overflow-x-auto">
             <table className="w-full border-collapse text-left">
@@ -9,8 +9,8 @@ import { GENDER_OPTIONS } from '../constants/app'
 import { formatSportName } from '../utils/stringHelpers'
 import { trimFormData, validatePlayerForm } from '../utils/formValidation'
 import { isCoordinatorForSportScope } from '../utils/sportHelpers'
-import { isTeamSport, getSportType, getTeamSize, isCaptainForSport, isEnrolledInTeamEvent, hasParticipatedInIndividual } from '../utils/sportHelpers'
-import { validateParticipantSelection, validateNoDuplicates, validateGenderMatch, validateBatchMatch } from '../utils/participantValidation'
+import { isTeamSport, getSportType, getTeamSize, getReserveSlots, isCaptainForSport, isEnrolledInTeamEvent, hasParticipatedInIndividual } from '../utils/sportHelpers'
+import { validateParticipantSelection, validateTeamRegistration, validateGenderMatch, validateBatchMatch } from '../utils/participantValidation'
 import { shouldDisableDatabaseOperations } from '../utils/yearHelpers'
 
 function RegisterModal({ isOpen, onClose, selectedSport, onStatusPopup, loggedInUser, onUserUpdate, embedded = false, selectedEventId }) {
@@ -39,6 +39,8 @@ function RegisterModal({ isOpen, onClose, selectedSport, onStatusPopup, loggedIn
   const sportType = getSportType(selectedSport)
   const isTeam = isTeamSport(sportType)
   const playerCount = isTeam ? getTeamSize(selectedSport) : 0
+  // Reserve player selects follow the required ones and may be left empty
+  const slotCount = playerCount > 0 ? playerCount + getReserveSlots(selectedSport) : 0
   const isGeneralRegistration = !selectedSport
   const prevSportNameRef = useRef(null)
   const isMountedRef = useRef(true)
@@ -334,7 +336,7 @@ function RegisterModal({ isOpen, onClose, selectedSport, onStatusPopup, loggedIn
   useEffect(() => {
     if (isOpen && isTeam && playerCount > 0) {
       const initial = {}
-      for (let i = 1; i <= playerCount; i++) {
+      for (let i = 1; i <= slotCount; i++) {
         initial[i] = ''
       }
       // Auto-select logged-in user as Player 1 if they are a captain
@@ -346,7 +348,7 @@ function RegisterModal({ isOpen, onClose, selectedSport, onStatusPopup, loggedIn
       setSelectedPlayers({})
     }
     // Reset state when modal closes is handled by useApi hook
-  }, [isOpen, isTeam, playerCount, loggedInUser])
+  }, [isOpen, isTeam, playerCount, slotCount, loggedInUser])
 
 
   const handlePlayerSelect = (playerIndex, regNumber) => {
@@ -468,11 +470,6 @@ function RegisterModal({ isOpen, onClose, selectedSport, onStatusPopup, loggedIn
     const form = e.target
     const teamName = form.querySelector('[name="teamName"]')?.value?.trim()
 
-    if (!teamName) {
-      onStatusPopup('❌ Please enter team name.', 'error', 2500)
-      return
-    }
-
     // Validate all players are selected
     const missingPlayers = []
     for (let i = 1; i <= playerCount; i++) {
@@ -495,8 +492,8 @@ function RegisterModal({ isOpen, onClose, selectedSport, onStatusPopup, loggedIn
 
     // Check for duplicate players
     const playerRegNumbers = []
-    // Collect player reg numbers
-    for (let i = 1; i <= playerCount; i++) {
+    // Collect player reg numbers (including any selected reserves)
+    for (let i = 1; i <= slotCount; i++) {
       if (selectedPlayers[i]) {
         playerRegNumbers.push(selectedPlayers[i])
       }
@@ -505,10 +502,15 @@ function RegisterModal({ isOpen, onClose, selectedSport, onStatusPopup, loggedIn
     // Get selected player objects for validation
     const selectedPlayerObjects = players.filter(p => playerRegNumbers.includes(p.reg_number))
 
-    // Validate no duplicates
-    const duplicateValidation = validateNoDuplicates(playerRegNumbers, players)
-    if (!duplicateValidation.isValid) {
-      onStatusPopup(`❌ ${duplicateValidation.error}`, 'error', 5000)
+    // Same rules as the API: team name, sport, event and every player selected once
+    const teamValidation = validateTeamRegistration({
+      team_name: teamName,
+      sport: selectedSport.name,
+      reg_numbers: playerRegNumbers,
+      event_id: eventId
+    })
+    if (!teamValidation.isValid) {
+      onStatusPopup(`❌ ${teamValidation.errors.join(' ')}`, 'error', 5000)
       return
     }
 
@@ -586,7 +588,7 @@ function RegisterModal({ isOpen, onClose, selectedSport, onStatusPopup, loggedIn
                 }
               }
 
-              onStatusPopup(`✅ Your team registration for ${formatSportName(selectedSport.name)} has been saved!`, 'success', 2500)
+              onStatusPopup(`✅ Your team for ${formatSportName(selectedSport.name)} has been created! Your teammates join once they accept their invitations.`, 'success', 3500)
               form.reset()
               setSelectedPlayers({})
               
@@ -836,7 +838,7 @@ function RegisterModal({ isOpen, onClose, selectedSport, onStatusPopup, loggedIn
             required
           />
 
-            {Array.from({ length: playerCount }, (_, i) => i + 1).map((index) => {
+            {Array.from({ length: slotCount }, (_, i) => i + 1).map((index) => {
               // Get all selected reg_numbers except the current one
               const otherSelectedRegNumbers = Object.entries(selectedPlayers)
                 .filter(([key, value]) => key !== String(index) && value)
@@ -926,16 +928,20 @@ function RegisterModal({ isOpen, onClose, selectedSport, onStatusPopup, loggedIn
                     label: `${player.full_name} (${player.reg_number})`
                   }))
 
+              const isReserve = index > playerCount
+
               return (
                 <Input
                   key={index}
-                  label={`Player ${index} ${index === 1 && loggedInUser ? '(You - Required)' : ''}`}
+                  label={isReserve
+                    ? `Reserve ${index - playerCount} (Optional)`
+                    : `Player ${index} ${index === 1 && loggedInUser ? '(You - Required)' : ''}`}
                   id={`player_${index}`}
                   name={`player_${index}`}
                   type="select"
                   value={selectedPlayers[index] || ''}
                   onChange={(e) => handlePlayerSelect(index, e.target.value)}
-                  required
+                  required={!isReserve}
                   options={playerOptions}
                 />
               )
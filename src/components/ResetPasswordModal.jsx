@@ -2,23 +2,32 @@ import { useState, useEffect } from 'react'
 import { Modal, Button, Input } from './ui'
 import { useApi } from '../hooks'
 import { buildApiUrl } from '../utils/api'
-import { validateEmail } from '../utils/formValidation'
+import { validateEmail, validatePassword } from '../utils/formValidation'
 import logger from '../utils/logger'
 
 function ResetPasswordModal({ isOpen, onClose, onStatusPopup }) {
+  // Step 'request': ask for reg number + email, step 'confirm': enter emailed code + new password
+  const [step, setStep] = useState('request')
   const [regNumber, setRegNumber] = useState('')
   const [emailId, setEmailId] = useState('')
+  const [resetCode, setResetCode] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
   const { loading, execute } = useApi()
 
   // Reset form when modal closes
   useEffect(() => {
     if (!isOpen) {
+      setStep('request')
       setRegNumber('')
       setEmailId('')
+      setResetCode('')
+      setNewPassword('')
+      setConfirmPassword('')
     }
   }, [isOpen])
 
-  const handleSubmit = async (e) => {
+  const handleRequestSubmit = async (e) => {
     e.preventDefault()
 
     if (!regNumber.trim()) {
@@ -50,11 +59,56 @@ function ResetPasswordModal({ isOpen, onClose, onStatusPopup }) {
           }),
         }),
         {
-          onSuccess: (data) => {
+          onSuccess: () => {
             // Always show success message (for security, don't reveal if email exists)
-            onStatusPopup('✅ If the registration number and email match, a new password has been sent.', 'success', 4000)
-            setRegNumber('')
-            setEmailId('')
+            onStatusPopup('✅ If the registration number and email match, a reset code has been sent.', 'success', 4000)
+            setStep('confirm')
+          },
+          onError: (err) => {
+            const errorMessage = err?.message || err?.error || 'Error resetting password. Please try again.'
+            onStatusPopup(`❌ ${errorMessage}`, 'error', 3000)
+          },
+        }
+      )
+    } catch (err) {
+      logger.error('Error requesting password reset:', err)
+    }
+  }
+
+  const handleConfirmSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!resetCode.trim()) {
+      onStatusPopup('❌ Please enter the reset code from your email.', 'error', 2500)
+      return
+    }
+
+    if (!validatePassword(newPassword) || !validatePassword(confirmPassword)) {
+      onStatusPopup('❌ Please fill all fields.', 'error', 2500)
+      return
+    }
+
+    if (newPassword !== confirmPassword) {
+      onStatusPopup('❌ New password and confirm password do not match.', 'error', 2500)
+      return
+    }
+
+    try {
+      await execute(
+        () => fetch(buildApiUrl('/api/reset-password/confirm'), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            reg_number: regNumber.trim(),
+            token: resetCode.trim(),
+            new_password: newPassword.trim(),
+          }),
+        }),
+        {
+          onSuccess: () => {
+            onStatusPopup('✅ Password reset successfully. Please login with your new password.', 'success', 3000)
             onClose()
           },
           onError: (err) => {
@@ -64,7 +118,7 @@ function ResetPasswordModal({ isOpen, onClose, onStatusPopup }) {
         }
       )
     } catch (err) {
-      logger.error('Error resetting password:', err)
+      logger.error('Error confirming password reset:', err)
     }
   }
 
@@ -75,50 +129,107 @@ function ResetPasswordModal({ isOpen, onClose, onStatusPopup }) {
       title="Reset Password"
       maxWidth="max-w-[420px]"
     >
-      <form onSubmit={handleSubmit}>
-        <div className="mb-4 text-sm text-[#cbd5ff]">
-          Enter your registration number and email ID. If they match, we'll send you a new password.
-        </div>
-
-        <Input
-          label="Registration Number"
-          id="reset_reg_number"
-          name="reg_number"
-          value={regNumber}
-          onChange={(e) => setRegNumber(e.target.value)}
-          required
-        />
-
-        <Input
-          label="Email ID"
-          id="reset_email_id"
-          name="email_id"
-          type="email"
-          value={emailId}
-          onChange={(e) => setEmailId(e.target.value)}
-          required
-        />
-
-        <div className="flex gap-[0.6rem] mt-[0.8rem]">
-          <Button
-            type="submit"
-            disabled={loading}
-            loading={loading}
-            fullWidth
-          >
-            {loading ? 'Sending...' : 'Send New Password'}
-          </Button>
-          <Button
-            type="button"
-            onClick={onClose}
-            disabled={loading}
-            variant="secondary"
-            fullWidth
-          >
-            Cancel
-          </Button>
-        </div>
-      </form>
+      {step === 'request' ? (
+        <form onSubmit={handleRequestSubmit}>
+          <div className="mb-4 text-sm text-[#cbd5ff]">
+            Enter your registration number and email ID. If they match, we'll email you a reset code.
+          </div>
+
+          <Input
+            label="Registration Number"
+            id="reset_reg_number"
+            name="reg_number"
+            value={regNumber}
+            onChange={(e) => setRegNumber(e.target.value)}
+            required
+          />
+
+          <Input
+            label="Email ID"
+            id="reset_email_id"
+            name="email_id"
+            type="email"
+            value={emailId}
+            onChange={(e) => setEmailId(e.target.value)}
+            required
+          />
+
+          <div className="flex gap-[0.6rem] mt-[0.8rem]">
+            <Button
+              type="submit"
+              disabled={loading}
+              loading={loading}
+              fullWidth
+            >
+              {loading ? 'Sending...' : 'Send Reset Code'}
+            </Button>
+            <Button
+              type="button"
+              onClick={onClose}
+              disabled={loading}
+              variant="secondary"
+              fullWidth
+            >
+              Cancel
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <form onSubmit={handleConfirmSubmit}>
+          <div className="mb-4 text-sm text-[#cbd5ff]">
+            Enter the reset code sent to {emailId.trim()} and choose a new password. The code expires shortly and can be used only once.
+          </div>
+
+          <Input
+            label="Reset Code"
+            id="reset_code"
+            name="token"
+            value={resetCode}
+            onChange={(e) => setResetCode(e.target.value)}
+            required
+          />
+
+          <Input
+            label="New Password"
+            id="reset_new_password"
+            name="new_password"
+            type="password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            required
+          />
+
+          <Input
+            label="Confirm New Password"
+            id="reset_confirm_password"
+            name="confirm_password"
+            type="password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+          />
+
+          <div className="flex gap-[0.6rem] mt-[0.8rem]">
+            <Button
+              type="submit"
+              disabled={loading}
+              loading={loading}
+              fullWidth
+            >
+              {loading ? 'Resetting...' : 'Reset Password'}
+            </Button>
+            <Button
+              type="button"
+              onClick={() => setStep('request')}
+              disabled={loading}
+              variant="secondary"
+              fullWidth
+            >
+              Back
+            </Button>
+          </div>
+        </form>
+      )}
     </Modal>
   )
 }
@@ -0,0 +1,221 @@
+/**
+ * Score Entry Form
+ * Records the score of each participant of a match in the sport's scoring format
+ */
+
+import { useState } from 'react'
+import { Button, Input } from './ui'
+import { SCORE_UNIT_OPTIONS, DEFAULT_SCORE_UNITS } from '../constants/app'
+import { getUnitFactor, toBaseUnit } from '../utils/scoreHelpers'
+
+const FORMAT_HINTS = {
+  goals: 'Enter the goals/points of each side. The higher score wins; level scores are a draw.',
+  sets: 'Enter the games won in each set, separated by commas (e.g. 21, 15, 21). Both sides need the same number of sets.',
+  cricket: 'Enter runs, wickets and overs (overs.balls, e.g. 19.4). The higher total wins.',
+  time: 'Enter times in the selected unit (e.g. 12.45 seconds). Leave blank for participants who did not finish. Lowest time ranks first.',
+  distance: 'Enter distances in the selected unit (e.g. 6.45 metres). Leave blank for participants without a valid attempt. Longest distance ranks first.'
+}
+
+/**
+ * Build the initial form values of a participant from an existing score
+ * Times and distances are shown in the form's unit
+ * @param {Object|undefined} score - Existing score entry
+ * @param {string|null} unit - Unit of the form (time/distance formats)
+ * @returns {Object} Form values (strings)
+ */
+function toFormValues(score, unit) {
+  const read = (value) => (value === undefined || value === null ? '' : String(value))
+  const inUnit = (format) => {
+    if (typeof score?.[format] !== 'number') return ''
+    return String(Math.round((toBaseUnit(score, format) / getUnitFactor(format, unit)) * 1e6) / 1e6)
+  }
+  return {
+    goals: read(score?.goals),
+    sets: score?.sets ? score.sets.join(', ') : '',
+    runs: read(score?.runs),
+    wickets: read(score?.wickets),
+    overs: read(score?.overs),
+    time: inUnit('time'),
+    distance: inUnit('distance')
+  }
+}
+
+function ScoreEntryForm({ match, participants, scoring, isDualSport, submitting = false, onSubmit, onCancel }) {
+  const unitOptions = SCORE_UNIT_OPTIONS[scoring.format] || null
+  const [unit, setUnit] = useState(unitOptions ? (scoring.unit || DEFAULT_SCORE_UNITS[scoring.format]) : null)
+  const unitLabel = unitOptions ? unitOptions.find(option => option.value === unit)?.label : ''
+  const [values, setValues] = useState(() => {
+    const initial = {}
+    participants.forEach(({ value }) => {
+      initial[value] = toFormValues((match.scores || []).find(s => s.participant === value), unit)
+    })
+    return initial
+  })
+  const [formError, setFormError] = useState('')
+
+  // Switching the unit converts the values already entered so they keep their meaning
+  const changeUnit = (nextUnit) => {
+    const format = scoring.format
+    const ratio = getUnitFactor(format, unit) / getUnitFactor(format, nextUnit)
+    setValues(prev => {
+      const next = {}
+      Object.entries(prev).forEach(([participant, entry]) => {
+        const current = entry[format].trim()
+        next[participant] = current === '' || isNaN(Number(current))
+          ? entry
+          : { ...entry, [format]: String(Math.round(Number(current) * ratio * 1e6) / 1e6) }
+      })
+      return next
+    })
+    setUnit(nextUnit)
+  }
+
+  const updateValue = (participant, field, value) => {
+    setValues(prev => ({ ...prev, [participant]: { ...prev[participant], [field]: value } }))
+    setFormError('')
+  }
+
+  // Convert the form values into the scores payload; returns an error message for incomplete input
+  const buildScores = () => {
+    const scores = []
+    for (const { value: participant, label } of participants) {
+      const entry = values[participant]
+      const filled = Object.values(entry).some(v => v.trim() !== '')
+      if (!filled) {
+        if (isDualSport) {
+          return { error: `Enter a score for ${label}` }
+        }
+        continue
+      }
+
+      switch (scoring.format) {
+        case 'goals':
+          scores.push({ participant, goals: Number(entry.goals) })
+          break
+        case 'sets':
+          scores.push({ participant, sets: entry.sets.split(',').map(s => s.trim()).filter(Boolean).map(Number) })
+          break
+        case 'cricket':
+          if (entry.runs.trim() === '' || entry.wickets.trim() === '' || entry.overs.trim() === '') {
+            return { error: `Enter runs, wickets and overs for ${label}` }
+          }
+          scores.push({ participant, runs: Number(entry.runs), wickets: Number(entry.wickets), overs: Number(entry.overs) })
+          break
+        case 'time':
+          scores.push({ participant, time: Number(entry.time), unit })
+          break
+        case 'distance':
+          scores.push({ participant, distance: Number(entry.distance), unit })
+          break
+        default:
+          break
+      }
+    }
+    if (scores.length === 0) {
+      return { error: 'Enter at least one score' }
+    }
+    return { scores }
+  }
+
+  const handleSubmit = () => {
+    const { scores, error } = buildScores()
+    if (error) {
+      setFormError(error)
+      return
+    }
+    onSubmit(scores)
+  }
+
+  const renderInputs = (participant) => {
+    const entry = values[participant]
+    switch (scoring.format) {
+      case 'goals':
+        return (
+          <Input label="Goals / Points" type="number" min="0" step="1" value={entry.goals} onChange={(e) => updateValue(participant, 'goals', e.target.value)} />
+        )
+      case 'sets':
+        return (
+          <Input
+            label={scoring.best_of ? `Games Per Set (Best of ${scoring.best_of})` : 'Games Per Set'}
+            type="text"
+            placeholder="21, 15, 21"
+            value={entry.sets}
+            onChange={(e) => updateValue(participant, 'sets', e.target.value)}
+          />
+        )
+      case 'cricket':
+        return (
+          <div className="grid grid-cols-3 gap-2">
+            <Input label="Runs" type="number" min="0" step="1" value={entry.runs} onChange={(e) => updateValue(participant, 'runs', e.target.value)} />
+            <Input label="Wickets" type="number" min="0" max="10" step="1" value={entry.wickets} onChange={(e) => updateValue(participant, 'wickets', e.target.value)} />
+            <Input
+              label={scoring.max_overs ? `Overs (Max ${scoring.max_overs})` : 'Overs'}
+              type="number"
+              min="0"
+              max={scoring.max_overs || undefined}
+              step="0.1"
+              value={entry.overs}
+              onChange={(e) => updateValue(participant, 'overs', e.target.value)}
+            />
+          </div>
+        )
+      case 'time':
+        return (
+          <Input label={`Time (${unitLabel})`} type="number" min="0" step="any" value={entry.time} onChange={(e) => updateValue(participant, 'time', e.target.value)} />
+        )
+      case 'distance':
+        return (
+          <Input label={`Distance (${unitLabel})`} type="number" min="0" step="any" value={entry.distance} onChange={(e) => updateValue(participant, 'distance', e.target.value)} />
+        )
+      default:
+        return null
+    }
+  }
+
+  return (
+    <div className="mt-2 p-3 bg-[rgba(255,255,255,0.05)] rounded-lg border border-[rgba(255,255,255,0.1)]" onClick={(e) => e.stopPropagation()}>
+      <div className="text-[0.85rem] font-bold text-[#ffe66d] mb-1">Record Score</div>
+      <p className="text-[0.75rem] text-[#94a3b8] mb-3">{FORMAT_HINTS[scoring.format]}</p>
+      {unitOptions && (
+        <div className="mb-2">
+          <Input label="Unit" type="select" name="score_unit" value={unit} onChange={(e) => changeUnit(e.target.value)}>
+            {unitOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </Input>
+        </div>
+      )}
+      <div className="space-y-2">
+        {participants.map(({ value, label }) => (
+          <div key={value}>
+            <div className="text-[0.8rem] text-[#e5e7eb] font-semibold mb-1">{label}</div>
+            {renderInputs(value)}
+          </div>
+        ))}
+      </div>
+      {formError && <p className="text-red-400 text-[0.8rem] mt-1">{formError}</p>}
+      <div className="flex justify-center gap-3 mt-3">
+        <Button
+          type="button"
+          onClick={handleSubmit}
+          disabled={submitting}
+          loading={submitting}
+          variant="success"
+          className="px-3 py-1.5 text-[0.85rem] font-bold rounded-lg"
+        >
+          {submitting ? 'Saving...' : 'Save Score'}
+        </Button>
+        <Button
+          type="button"
+          onClick={onCancel}
+          variant="secondary"
+          className="px-3 py-1.5 text-[0.85rem] font-bold rounded-lg"
+        >
+          Cancel
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default ScoreEntryForm
@@ -6,6 +6,7 @@ import EventScheduleModal from './EventScheduleModal'
 import PointsTableModal from './PointsTableModal'
 import { formatSportName } from '../utils/stringHelpers'
 import { isTeamSport, getSportType, isCaptainForSport, isEnrolledInTeamEvent, hasParticipatedInIndividual, isCoordinatorForSportScope } from '../utils/sportHelpers'
+import { isEventAdmin, isSuperAdmin } from '../utils/roleHelpers'
 import { fetchWithAuth } from '../utils/api'
 import { buildSportApiUrl } from '../utils/apiHelpers'
 import { useEventYearWithFallback } from '../hooks'
@@ -80,7 +81,7 @@ function SportDetailsModal({ isOpen, onClose, selectedSport, loggedInUser, onSta
       setActiveTab(null)
     }
     
-    const isAdmin = loggedInUser?.reg_number === 'admin'
+    const isAdmin = isEventAdmin(loggedInUser, eventId)
     const isCoordinator = !isAdmin && isCoordinatorForSportScope(loggedInUser, selectedSport?.name, selectedSport)
     const canManageSport = isAdmin || isCoordinator
     // Get sport type from fetched sportDetails (most reliable) or from selectedSport
@@ -174,10 +175,10 @@ function SportDetailsModal({ isOpen, onClose, selectedSport, loggedInUser, onSta
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isOpen, selectedSport?.name, loggedInUser, sportDetails])
+  }, [isOpen, selectedSport?.name, loggedInUser, sportDetails, eventId])
 
   // Compute values needed for useMemo (must be before useMemo hook)
-  const isAdmin = loggedInUser?.reg_number === 'admin'
+  const isAdmin = isEventAdmin(loggedInUser, eventId)
   const isCoordinator = !isAdmin && isCoordinatorForSportScope(loggedInUser, selectedSport?.name, selectedSport)
   const canManageSport = isAdmin || isCoordinator
   // Get sport type from fetched sportDetails (most reliable) or from selectedSport
@@ -207,8 +208,8 @@ function SportDetailsModal({ isOpen, onClose, selectedSport, loggedInUser, onSta
         // Only show create team form if user is a captain and not enrolled
         // Recompute here to ensure we have the latest values
         if (isTeam) {
-          const isCaptain = !isAdmin && isCaptainForSport(loggedInUser, selectedSport?.name)
-          const isEnrolled = !isAdmin && isEnrolledInTeamEvent(loggedInUser, selectedSport?.name)
+          const isCaptain = !isSuperAdmin(loggedInUser) && isCaptainForSport(loggedInUser, selectedSport?.name)
+          const isEnrolled = !isSuperAdmin(loggedInUser) && isEnrolledInTeamEvent(loggedInUser, selectedSport?.name)
           
           if (isCaptain && !isEnrolled) {
         return (
@@ -29,6 +29,7 @@ function SportCard({ sport, type, onSportClick, onEventScheduleClick, loggedInUs
       name: sport.name, 
       type: sportType, 
       players: sport.team_size || 0,
+      reserve_slots: sport.reserve_slots || 0,
       sportType: sport.type // Pass original type for backend compatibility
     })
   }
@@ -3,7 +3,8 @@ import { Modal, Button, Input, ConfirmationDialog, LoadingSpinner, ErrorMessage,
 import { useApi, useModal, useEventYearWithFallback, useEventYear } from '../hooks'
 import { fetchWithAuth, clearCache, clearCachePattern } from '../utils/api'
 import { clearSportCaches } from '../utils/cacheHelpers'
-import { isCoordinatorForSportScope } from '../utils/sportHelpers'
+import { isCoordinatorForSport, isCoordinatorForSportScope } from '../utils/sportHelpers'
+import { isEventAdmin } from '../utils/roleHelpers'
 import { buildSportApiUrl, buildApiUrlWithYear } from '../utils/apiHelpers'
 import logger from '../utils/logger'
 import { validateGenderMatch, validateBatchMatch, validateNoDuplicates } from '../utils/participantValidation'
@@ -14,6 +15,8 @@ function TeamDetailsModal({ isOpen, onClose, sport, sportDetails = null, loggedI
   const eventHighlight = eventYearConfig?.event_highlight || 'Community Entertainment Fest'
   const [teams, setTeams] = useState([])
   const [totalTeams, setTotalTeams] = useState(0)
+  const [teamSize, setTeamSize] = useState(null)
+  const [reserveSlots, setReserveSlots] = useState(0)
   const [loading, setLoading] = useState(false)
   const [expandedTeams, setExpandedTeams] = useState(new Set())
   const [error, setError] = useState(null)
@@ -21,10 +24,13 @@ function TeamDetailsModal({ isOpen, onClose, sport, sportDetails = null, loggedI
   const [editingPlayer, setEditingPlayer] = useState(null) // { team_name, old_reg_number }
   const [selectedReplacementPlayer, setSelectedReplacementPlayer] = useState('')
   const [deletingTeam, setDeletingTeam] = useState(null) // team_name being deleted
+  const [invitingTeam, setInvitingTeam] = useState(null) // team_name the captain is inviting a player to
+  const [selectedInvitee, setSelectedInvitee] = useState('')
   const currentSportRef = useRef(null)
   const abortControllerRef = useRef(null)
   const { loading: updating, execute: executeUpdate } = useApi()
   const { loading: deleting, execute: executeDelete } = useApi()
+  const { loading: inviting, execute: executeInvite } = useApi()
   const { eventYear, eventId } = useEventYearWithFallback(selectedEventId)
   const deleteConfirmModal = useModal(false)
   
@@ -32,7 +38,7 @@ function TeamDetailsModal({ isOpen, onClose, sport, sportDetails = null, loggedI
   const operationStatus = shouldDisableDatabaseOperations(eventYearConfig)
   const isOperationDisabled = operationStatus.disabled
   
-  const isAdmin = loggedInUser?.reg_number === 'admin'
+  const isAdmin = isEventAdmin(loggedInUser, eventId)
   const isCoordinator = !isAdmin && isCoordinatorForSportScope(loggedInUser, sport, sportDetails)
   const canManageSport = isAdmin || isCoordinator
   const isCaptain = !canManageSport && loggedInUser?.captain_in && 
@@ -81,6 +87,8 @@ function TeamDetailsModal({ isOpen, onClose, sport, sportDetails = null, loggedI
       setEditingPlayer(null)
       setSelectedReplacementPlayer('')
       setDeletingTeam(null)
+      setInvitingTeam(null)
+      setSelectedInvitee('')
       deleteConfirmModal.close()
       currentSportRef.current = null
       if (abortControllerRef.current) {
@@ -208,6 +216,8 @@ function TeamDetailsModal({ isOpen, onClose, sport, sportDetails = null, loggedI
         if (data.success) {
           // Store total teams count from API response
           setTotalTeams(data.total_teams || 0)
+          setTeamSize(data.team_size ?? null)
+          setReserveSlots(data.reserve_slots || 0)
           
           let teamsToShow = data.teams || []
           
@@ -373,7 +383,7 @@ function TeamDetailsModal({ isOpen, onClose, sport, sportDetails = null, loggedI
         {
           onSuccess: (data) => {
             if (onStatusPopup) {
-              onStatusPopup(`✅ Player updated successfully!`, 'success', 2500)
+              onStatusPopup(`✅ ${data.message || 'Player updated successfully!'}`, 'success', 3000)
             }
             // Clear cache before refreshing to ensure we get fresh data
             clearSportCaches(sport, eventId)
@@ -400,6 +410,47 @@ function TeamDetailsModal({ isOpen, onClose, sport, sportDetails = null, loggedI
     }
   }
 
+  const handleStartInvite = async (teamName) => {
+    setInvitingTeam(teamName)
+    setSelectedInvitee('')
+    // Captains only load the players list when inviting
+    if (players.length === 0) {
+      await fetchPlayers(null)
+    }
+  }
+
+  // Captain invites a player (POST) or withdraws an invitation (DELETE)
+  const handleInvitation = (teamName, regNumber, method) => {
+    if (!eventId) {
+      onStatusPopup?.('❌ Event is not configured. Please try again later.', 'error', 3000)
+      return
+    }
+    executeInvite(
+      () => fetchWithAuth('/api/team-invitations', {
+        method,
+        body: JSON.stringify({
+          team_name: teamName,
+          sport: sport,
+          reg_number: regNumber,
+          event_id: eventId,
+        }),
+      }),
+      {
+        onSuccess: (data) => {
+          onStatusPopup?.(`✅ ${data.message || 'Invitation updated'}`, 'success', 2500)
+          clearSportCaches(sport, eventId)
+          fetchTeamDetails(null)
+          setInvitingTeam(null)
+          setSelectedInvitee('')
+        },
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Failed to update invitation. Please try again.'}`, 'error', 4000)
+        },
+        showError: false,
+      }
+    ).catch(err => logger.error('Error updating team invitation:', err))
+  }
+
   const handleDeleteTeam = async (teamName) => {
     deleteConfirmModal.close()
     if (!eventId) {
@@ -464,6 +515,112 @@ function TeamDetailsModal({ isOpen, onClose, sport, sportDetails = null, loggedI
     }
   }
 
+  // Invited players who have not joined yet; the team's captain can withdraw them or invite another player
+  const renderInvitations = (team) => {
+    const invitations = team.invitations || []
+    const isTeamCaptain = loggedInUser?.reg_number === team.captain
+    const openCount = invitations.filter(invitation => invitation.status === 'pending').length
+    // Reserves can be invited once the team is complete
+    const canInvite = isTeamCaptain && !isOperationDisabled &&
+      (!teamSize || team.player_count + openCount < teamSize + reserveSlots)
+    if (invitations.length === 0 && !canInvite) return null
+
+    const memberRegNumbers = team.players.map(p => p.reg_number)
+    const invitedRegNumbers = invitations.filter(invitation => invitation.status === 'pending').map(invitation => invitation.reg_number)
+    const teamGender = team.players.length > 0 ? team.players[0].gender : null
+    const teamBatch = team.players.length > 0 ? team.players[0].batch_name : null
+
+    return (
+      <div className="mt-3">
+        {invitations.length > 0 && (
+          <>
+            <div className="text-[#cbd5ff] text-[0.8rem] font-semibold mb-1">Invitations</div>
+            <div className="space-y-1">
+              {invitations.map(invitation => (
+                <div
+                  key={invitation.reg_number}
+                  className="flex items-center justify-between px-3 py-1.5 rounded-[8px] bg-[rgba(15,23,42,0.8)] border border-[rgba(148,163,184,0.15)] text-[0.8rem]"
+                >
+                  <span className="text-[#e5e7eb]">
+                    {invitation.full_name || invitation.reg_number} ({invitation.reg_number}) ·{' '}
+                    <span className={`capitalize font-semibold ${invitation.status === 'pending' ? 'text-[#ffe66d]' : 'text-[#94a3b8]'}`}>
+                      {invitation.status}
+                    </span>
+                  </span>
+                  {isTeamCaptain && !isOperationDisabled && (
+                    <Button
+                      type="button"
+                      onClick={() => handleInvitation(team.team_name, invitation.reg_number, 'DELETE')}
+                      disabled={inviting}
+                      variant="ghost"
+                      className="ml-3 px-3 py-1 text-[0.75rem] font-semibold rounded-[6px]"
+                    >
+                      {invitation.status === 'pending' ? 'Withdraw' : 'Remove'}
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        {canInvite && (invitingTeam === team.team_name ? (
+          <div className="mt-2 space-y-2">
+            <Input
+              label="Invite Player"
+              type="select"
+              value={selectedInvitee}
+              onChange={(e) => setSelectedInvitee(e.target.value)}
+              options={players.length === 0
+                ? [{ value: '', label: 'Loading players...' }]
+                : players
+                  .filter((player) =>
+                    player.reg_number !== 'admin' &&
+                    player.gender === teamGender &&
+                    player.batch_name === teamBatch &&
+                    !memberRegNumbers.includes(player.reg_number) &&
+                    !invitedRegNumbers.includes(player.reg_number)
+                  )
+                  .map((player) => ({
+                    value: player.reg_number,
+                    label: `${player.full_name} (${player.reg_number})`
+                  }))
+              }
+            />
+            <div className="flex gap-2">
+              <Button
+                type="button"
+                onClick={() => handleInvitation(team.team_name, selectedInvitee, 'POST')}
+                disabled={inviting || !selectedInvitee}
+                loading={inviting}
+                className="flex-1 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-semibold rounded-[8px]"
+              >
+                {inviting ? 'Inviting...' : 'Invite'}
+              </Button>
+              <Button
+                type="button"
+                onClick={() => setInvitingTeam(null)}
+                disabled={inviting}
+                variant="secondary"
+                className="flex-1 px-2 md:px-4 py-1.5 md:py-2 text-xs md:text-[0.85rem] font-semibold rounded-[8px]"
+              >
+                Cancel
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <Button
+            type="button"
+            onClick={() => handleStartInvite(team.team_name)}
+            variant="secondary"
+            className="mt-2 px-3 py-1.5 text-[0.8rem] font-semibold rounded-[6px]"
+          >
+            Invite Player
+          </Button>
+        ))}
+      </div>
+    )
+  }
+
   return (
     <>
       <Modal
@@ -539,6 +696,11 @@ function TeamDetailsModal({ isOpen, onClose, sport, sportDetails = null, loggedI
                         <span className="text-[#a5b4fc] text-[0.8rem]">
                           ({team.player_count} {team.player_count === 1 ? 'player' : 'players'})
                         </span>
+                        {team.is_complete === false && (
+                          <span className="px-2 py-0.5 rounded text-[0.7rem] font-bold bg-[rgba(248,113,113,0.15)] text-[#f87171] border border-[rgba(248,113,113,0.4)]">
+                            INCOMPLETE
+                          </span>
+                        )}
                       </div>
                     </button>
                     {canManageSport && (
@@ -681,6 +843,7 @@ function TeamDetailsModal({ isOpen, onClose, sport, sportDetails = null, loggedI
                           )
                         })}
                       </div>
+                      {renderInvitations(team)}
                     </div>
                   )}
                 </div>
@@ -0,0 +1,128 @@
+/**
+ * Team Invitations Panel
+ * Lists the logged-in player's team invitations; pending ones can be accepted or declined until registration closes
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { Button } from './ui'
+import { useApi } from '../hooks'
+import { fetchWithAuth } from '../utils/api'
+import { clearTeamParticipationCaches } from '../utils/cacheHelpers'
+import { buildApiUrlWithYear } from '../utils/apiHelpers'
+import { formatSportName } from '../utils/stringHelpers'
+import logger from '../utils/logger'
+
+const STATUS_STYLES = {
+  pending: 'text-[#ffe66d]',
+  declined: 'text-[#94a3b8]',
+  expired: 'text-[#f87171]'
+}
+
+function TeamInvitationsPanel({ eventId, onStatusPopup, onResponded }) {
+  const [invitations, setInvitations] = useState([])
+  const [respondingTo, setRespondingTo] = useState(null) // `${sport}|${team_name}`
+  const { loading: responding, execute: executeRespond } = useApi()
+
+  const loadInvitations = useCallback(() => {
+    if (!eventId) return
+    fetchWithAuth(buildApiUrlWithYear('/api/team-invitations', eventId), { skipCache: true })
+      .then(response => response.json())
+      .then(data => setInvitations(data.success ? (data.invitations || []) : []))
+      .catch(err => logger.warn('Error fetching team invitations:', err))
+  }, [eventId])
+
+  useEffect(() => {
+    loadInvitations()
+  }, [loadInvitations])
+
+  const respond = (invitation, action) => {
+    setRespondingTo(`${invitation.sport}|${invitation.team_name}`)
+    executeRespond(
+      () => fetchWithAuth('/api/team-invitations/respond', {
+        method: 'POST',
+        body: JSON.stringify({
+          event_id: eventId,
+          sport: invitation.sport,
+          team_name: invitation.team_name,
+          action
+        })
+      }),
+      {
+        onSuccess: (data) => {
+          onStatusPopup?.(`✅ ${data.message || 'Invitation updated'}`, 'success', 2500)
+          clearTeamParticipationCaches(invitation.sport, eventId)
+          setRespondingTo(null)
+          loadInvitations()
+          if (action === 'accept') {
+            onResponded?.()
+          }
+        },
+        onError: (err) => {
+          onStatusPopup?.(`❌ ${err?.message || 'Error responding to invitation. Please try again.'}`, 'error', 4000)
+          setRespondingTo(null)
+        },
+        showError: false
+      }
+    ).catch(err => logger.error('Error responding to team invitation:', err))
+  }
+
+  if (invitations.length === 0) return null
+
+  return (
+    <div className="p-4 bg-[rgba(15,23,42,0.6)] rounded-lg border border-[rgba(148,163,184,0.3)]">
+      <div className="text-[#cbd5ff] text-sm font-semibold mb-2">Team Invitations:</div>
+      <div className="space-y-2">
+        {invitations.map(invitation => {
+          const key = `${invitation.sport}|${invitation.team_name}`
+          const isResponding = responding && respondingTo === key
+          return (
+            <div
+              key={key}
+              className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 px-3 py-2 rounded-[8px] bg-[rgba(15,23,42,0.8)] border border-[rgba(148,163,184,0.15)]"
+            >
+              <div className="text-sm">
+                <div className="text-[#e5e7eb] font-semibold">
+                  {invitation.team_name} · {formatSportName(invitation.sport)}
+                </div>
+                <div className="text-[#94a3b8] text-[0.8rem]">
+                  Captain: {invitation.captain_name || invitation.captain}
+                  {invitation.team_size ? ` · ${invitation.player_count}/${invitation.team_size} players` : ''}
+                  {' · '}
+                  <span className={`font-semibold capitalize ${STATUS_STYLES[invitation.status] || ''}`}>{invitation.status}</span>
+                  {invitation.status === 'pending' && invitation.expires_at && (
+                    <> (until {new Date(invitation.expires_at).toLocaleDateString()})</>
+                  )}
+                </div>
+              </div>
+              {invitation.status === 'pending' && (
+                <div className="flex gap-2">
+                  <Button
+                    type="button"
+                    onClick={() => respond(invitation, 'accept')}
+                    disabled={responding}
+                    loading={isResponding}
+                    variant="success"
+                    className="px-3 py-1.5 text-[0.8rem] font-semibold rounded-[6px]"
+                  >
+                    Accept
+                  </Button>
+                  <Button
+                    type="button"
+                    onClick={() => respond(invitation, 'decline')}
+                    disabled={responding}
+                    variant="danger"
+                    className="px-3 py-1.5 text-[0.8rem] font-semibold rounded-[6px]"
+                  >
+                    Decline
+                  </Button>
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default TeamInvitationsPanel
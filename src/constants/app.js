@@ -12,3 +12,89 @@ export const DEFAULT_PLAYERS_PAGE_SIZE = 25
 
 export const ADMIN_REG_NUMBER = 'admin'
 
+// Sport categories (see Sport.category)
+export const SPORT_CATEGORY_OPTIONS = [
+  { value: 'team events', label: 'Team Events' },
+  { value: 'individual events', label: 'Individual Events' },
+  { value: 'literary and cultural activities', label: 'Literary and Cultural Activities' },
+]
+
+// Judged sport categories: multi sport matches without a scoring format are scored by a judge panel against a rubric
+export const JUDGED_SPORT_CATEGORIES = ['literary and cultural activities']
+export const MAX_JUDGES_PER_MATCH = 10
+export const MAX_RUBRIC_CRITERIA = 10
+
+// Championship points for 1st/2nd/3rd place when an event year has none configured for a category
+export const DEFAULT_CHAMPIONSHIP_POINTS = { first: 5, second: 3, third: 1 }
+
+// Event year lifecycle in order (see EventYear.status) - a year moves forward one step at a time
+// Archived years are read-only and show the results frozen when they were archived
+export const EVENT_YEAR_STATUS_OPTIONS = [
+  { value: 'draft', label: 'Draft' },
+  { value: 'registration', label: 'Registration' },
+  { value: 'live', label: 'Live' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'archived', label: 'Archived' },
+]
+
+// Score formats a sport can be configured with (see Sport.scoring.format)
+export const SCORING_FORMAT_OPTIONS = [
+  { value: 'goals', label: 'Goals / Points' },
+  { value: 'sets', label: 'Sets (Games per Set)' },
+  { value: 'cricket', label: 'Runs / Wickets / Overs' },
+  { value: 'time', label: 'Time (Lowest Wins)' },
+  { value: 'distance', label: 'Distance (Highest Wins)' },
+]
+
+// Formats that compare two sides (not available for multi_team / multi_player sports)
+export const DUAL_ONLY_SCORING_FORMATS = ['goals', 'sets', 'cricket']
+
+// Units time and distance results can be entered in, with their factor of the base unit (seconds / metres)
+export const SCORE_UNIT_OPTIONS = {
+  time: [
+    { value: 'ms', label: 'Milliseconds', factor: 0.001 },
+    { value: 's', label: 'Seconds', factor: 1 },
+    { value: 'min', label: 'Minutes', factor: 60 },
+    { value: 'h', label: 'Hours', factor: 3600 },
+  ],
+  distance: [
+    { value: 'cm', label: 'Centimetres', factor: 0.01 },
+    { value: 'm', label: 'Metres', factor: 1 },
+    { value: 'km', label: 'Kilometres', factor: 1000 },
+  ],
+}
+export const DEFAULT_SCORE_UNITS = { time: 's', distance: 'm' }
+
+// Heats: rounds of multi sports with time/distance results; the top places of each heat plus the
+// fastest losers across a round advance automatically until the field fits one final
+export const HEAT_SCORING_FORMATS = ['time', 'distance']
+export const MAX_HEAT_LANES = 12
+export const DEFAULT_HEAT_LANES = 8
+
+// Reserve slots: players a team may register beyond team_size; per match a lineup names the starters
+// and substitutes, and substitutions are recorded during the match (team sports)
+export const MAX_RESERVE_SLOTS = 10
+export const MAX_SUBSTITUTION_REASON_LENGTH = 200
+
+// Email notification categories a player can opt out of (see Player.notification_preferences)
+export const NOTIFICATION_CATEGORY_OPTIONS = [
+  { key: 'match_updates', label: 'Match scheduled, rescheduled, cancelled or result posted' },
+  { key: 'team_updates', label: 'Team invitations' },
+  { key: 'role_updates', label: 'Captain or coordinator assignments' },
+]
+
+// League points per result when a sport has no points rules configured
+export const DEFAULT_POINTS_RULES = { win: 2, draw: 1, loss: 0, cancelled: 1, walkover: 2 }
+
+// Tie-breakers a sport can apply (in order) when league entries are level on points
+export const TIE_BREAKER_OPTIONS = [
+  { value: 'head_to_head', label: 'Head-to-Head' },
+  { value: 'score_difference', label: 'Score Difference' },
+  { value: 'scores_for', label: 'Scores For' },
+  { value: 'fewest_losses', label: 'Fewest Losses' },
+  { value: 'coin_toss', label: 'Coin Toss (Manual)' },
+]
+
+
+// Largest spreadsheet the player import accepts, in bytes (see PLAYER_IMPORT_MAX_FILE_SIZE in the backend constants)
+export const PLAYER_IMPORT_MAX_FILE_SIZE = 7 * 1024 * 1024
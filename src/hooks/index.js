@@ -7,6 +7,7 @@ export { useAuth } from './useAuth'
 export { useApi, useFetch } from './useApi'
 export { useModal } from './useModal'
 export { useDepartments } from './useDepartments'
+export { useVenues } from './useVenues'
 export { useEventYear } from './useEventYear'
 export { useEventYearWithFallback } from './useEventYearWithFallback'
 export { useEventYears } from './useEventYears'
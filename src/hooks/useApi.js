@@ -49,6 +49,10 @@ export const useApi = () => {
           const clonedResponse = response.clone()
           const errorData = await clonedResponse.json()
           errorMessage = errorData.error || errorData.message || errorMessage
+          // Server errors carry a request ID the user can quote when reporting the problem
+          if (errorData.request_id) {
+            errorMessage = `${errorMessage} (Reference: ${errorData.request_id})`
+          }
         } catch (e) {
           errorMessage = `HTTP ${response.status}: ${response.statusText}`
         }
@@ -4,7 +4,7 @@
  */
 
 import { useState, useEffect, useCallback } from 'react'
-import { fetchCurrentUser, decodeJWT } from '../utils/api'
+import { fetchCurrentUser, decodeJWT, clearStoredTokens, logoutSession } from '../utils/api'
 import logger from '../utils/logger'
 
 /**
@@ -52,7 +52,7 @@ export const useAuth = () => {
 
         if (result.user) {
           setLoggedInUser(result.user)
-          setAuthToken(tokenBeforeFetch)
+          setAuthToken(tokenAfterFetch || tokenBeforeFetch)
           setIsAuthenticated(true)
           setIsLoadingUser(false)
           if (tokenBeforeFetch && !tokenAfterFetch) {
@@ -61,7 +61,7 @@ export const useAuth = () => {
         } else if (result.authError || tokenWasCleared) {
           logger.info('Authentication error detected, clearing token')
           if (localStorage.getItem('authToken')) {
-            localStorage.removeItem('authToken')
+            clearStoredTokens()
           }
           setAuthToken(null)
           setLoggedInUser(null)
@@ -83,7 +83,7 @@ export const useAuth = () => {
                 setIsLoadingUser(false)
               } else if (retryResult.authError) {
                 logger.info('Authentication error on retry, clearing token')
-                localStorage.removeItem('authToken')
+                clearStoredTokens()
                 setAuthToken(null)
                 setLoggedInUser(null)
                 setIsAuthenticated(false)
@@ -121,7 +121,7 @@ export const useAuth = () => {
                 setIsAuthenticated(true)
                 setIsLoadingUser(false)
               } else if (retryResult.authError) {
-                localStorage.removeItem('authToken')
+                clearStoredTokens()
                 setAuthToken(null)
                 setLoggedInUser(null)
                 setIsAuthenticated(false)
@@ -158,12 +158,12 @@ export const useAuth = () => {
     }
   }, [])
 
-  // Logout function
-  const logout = useCallback(() => {
+  // Logout function (ends the server session, then clears local state)
+  const logout = useCallback(async () => {
+    await logoutSession()
     setLoggedInUser(null)
     setAuthToken(null)
     setIsAuthenticated(false)
-    localStorage.removeItem('authToken')
   }, [])
 
   // Update user data
@@ -0,0 +1,44 @@
+/**
+ * Custom hook to fetch venues
+ * Fetches all venues (with their courts) for dropdowns
+ * Note: Venues are not year-dependent
+ */
+
+import { useState, useEffect } from 'react'
+import { fetchWithAuth } from '../utils/api'
+import logger from '../utils/logger'
+
+export function useVenues() {
+  const [venues, setVenues] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchVenues = async () => {
+      setLoading(true)
+      setError(null)
+
+      try {
+        const response = await fetchWithAuth('/api/venues')
+
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`)
+        }
+
+        const data = await response.json()
+        setVenues(data.success ? (data.venues || []) : [])
+      } catch (err) {
+        logger.error('Error fetching venues:', err)
+        setError(err.message || 'Failed to fetch venues')
+        // Fallback to empty array on error
+        setVenues([])
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchVenues()
+  }, [])
+
+  return { venues, loading, error }
+}
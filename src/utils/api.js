@@ -17,6 +17,26 @@ const pendingRequests = new Map()
 // All concurrent calls will share the same promise
 let currentUserRequest = null
 
+// Singleton lock for token refresh - concurrent 401s share one refresh request
+// (the refresh token rotates, so a second parallel refresh with the same token would fail)
+let refreshRequest = null
+
+// Store access and refresh tokens after login, refresh or password change
+export const storeTokens = (token, refreshToken) => {
+  if (token) {
+    localStorage.setItem('authToken', token)
+  }
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken)
+  }
+}
+
+// Clear both tokens (logout or unrecoverable auth error)
+export const clearStoredTokens = () => {
+  localStorage.removeItem('authToken')
+  localStorage.removeItem('refreshToken')
+}
+
 // Utility function to decode JWT token (without verification - for client-side use only)
 export const decodeJWT = (token) => {
   try {
@@ -52,6 +72,71 @@ export const buildApiUrl = (endpoint) => {
   return `${normalizedApiUrl}${normalizedEndpoint}`
 }
 
+// Exchange the stored refresh token for a new access token
+// Returns the new access token, or null if the session can't be refreshed
+export const refreshAccessToken = async () => {
+  if (refreshRequest) {
+    return refreshRequest
+  }
+
+  const refreshToken = localStorage.getItem('refreshToken')
+  if (!refreshToken) {
+    return null
+  }
+
+  refreshRequest = (async () => {
+    try {
+      const response = await fetch(buildApiUrl('/api/refresh-token'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken }),
+      })
+
+      if (!response.ok) {
+        // Another tab may have rotated the refresh token in the meantime - use its tokens
+        const latestRefreshToken = localStorage.getItem('refreshToken')
+        if (latestRefreshToken && latestRefreshToken !== refreshToken) {
+          return localStorage.getItem('authToken')
+        }
+        if (response.status === 401) {
+          clearStoredTokens()
+        }
+        return null
+      }
+
+      const data = await response.json()
+      storeTokens(data.token, data.refresh_token)
+      return data.token || null
+    } catch (error) {
+      // Network error - keep tokens, the next request can try again
+      logger.warn('Error refreshing access token:', error)
+      return null
+    } finally {
+      refreshRequest = null
+    }
+  })()
+
+  return refreshRequest
+}
+
+// End the current session on the server (best effort) and clear stored tokens
+// Pass { allDevices: true } to end every session of the user
+export const logoutSession = async ({ allDevices = false } = {}) => {
+  try {
+    if (localStorage.getItem('authToken')) {
+      await fetchWithAuth(allDevices ? '/api/logout-all' : '/api/logout', {
+        method: 'POST',
+        reloadOnAuthError: false,
+      })
+    }
+  } catch (error) {
+    logger.warn('Error ending session on server:', error)
+  } finally {
+    clearStoredTokens()
+    clearCache()
+  }
+}
+
 // Get cache key from URL and options
 const getCacheKey = (url, options = {}) => {
   const method = (options.method || 'GET').toUpperCase()
@@ -123,10 +208,6 @@ export const fetchWithAuth = async (url, options = {}) => {
     ...options.headers,
   }
 
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`
-  }
-
   // Check cache for GET requests (skip if skipCache option is set)
   const cacheKey = getCacheKey(url, options)
   if (cacheKey && !options.skipCache) {
@@ -154,20 +235,35 @@ export const fetchWithAuth = async (url, options = {}) => {
   const abortController = options.signal ? null : new AbortController()
   const signal = options.signal || abortController.signal
 
-  // Make the request
-  const requestPromise = fetch(fullUrl, {
+  // Send the request with the given access token
+  const sendRequest = (accessToken) => fetch(fullUrl, {
     ...options,
-    headers,
+    headers: accessToken ? { ...headers, 'Authorization': `Bearer ${accessToken}` } : headers,
     signal,
-  }).then(async (response) => {
+  })
+
+  // Make the request
+  const requestPromise = sendRequest(token).then(async (response) => {
+    // Access token expired - refresh once and replay the request
+    // Other 401s (revoked session, wrong current password) are not retried
+    if (response.status === 401 && token && localStorage.getItem('refreshToken')) {
+      const errorBody = await response.clone().json().catch(() => null)
+      if (errorBody?.code === 'TOKEN_EXPIRED') {
+        const newToken = await refreshAccessToken()
+        if (newToken) {
+          response = await sendRequest(newToken)
+        }
+      }
+    }
+
     // Handle token expiration (401 Unauthorized) - user is not authenticated
     if (response.status === 401) {
       // Only clear token if explicitly requested (default true for backward compatibility)
       // During initial user fetch (reloadOnAuthError: false), don't clear token immediately
       // Let the calling code handle auth errors appropriately
       if (options.clearTokenOnAuthError !== false) {
-      // Clear token only (user data is not stored in localStorage)
-      localStorage.removeItem('authToken')
+      // Clear tokens only (user data is not stored in localStorage)
+      clearStoredTokens()
       // Clear cache on auth failure
       clearCache()
       }
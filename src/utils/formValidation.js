@@ -1,22 +1,24 @@
 /**
  * Form Validation Utilities
  * Reusable validation functions for forms
+ * Player forms use the API's own schemas (shared/validation) so client and server rules cannot drift
  */
 
+import { validateSchema } from '../../shared/validation/schema.js'
+import { EMAIL_PATTERN, PHONE_PATTERN, playerRegistrationSchema, playerUpdateSchema } from '../../shared/validation/rules.js'
+
 /**
  * Validate email format
  */
 export const validateEmail = (email) => {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-  return emailRegex.test(email?.trim() || '')
+  return new RegExp(EMAIL_PATTERN).test(email?.trim() || '')
 }
 
 /**
  * Validate phone number (10 digits)
  */
 export const validatePhone = (phone) => {
-  const phoneRegex = /^[0-9]{10}$/
-  return phoneRegex.test(phone?.trim() || '')
+  return new RegExp(PHONE_PATTERN).test(phone?.trim() || '')
 }
 
 /**
@@ -45,50 +47,29 @@ export const validateRequired = (fields) => {
 }
 
 /**
- * Validate player form data
+ * Validate a form against a shared schema
+ * @param {Object} schema - Schema from shared/validation/rules.js
+ * @param {Object} data - Form data
+ * @returns {Object} { isValid, errors: Array<string> } - the messages the API would return
  */
-export const validatePlayerForm = (data) => {
-  const errors = []
-
-  // Required fields
-  const requiredFields = {
-    'Registration number': data.reg_number,
-    'Full name': data.full_name,
-    'Gender': data.gender,
-    'Department/Branch': data.department_branch,
-    'Batch': data.batch_name,
-    'Mobile number': data.mobile_number,
-    'Email ID': data.email_id,
-    'Password': data.password,
-  }
-
-  for (const [field, value] of Object.entries(requiredFields)) {
-    if (!value || (typeof value === 'string' && !value.trim())) {
-      errors.push(`${field} is required`)
-    }
-  }
-
-  // Email validation
-  if (data.email_id && !validateEmail(data.email_id)) {
-    errors.push('Invalid email format')
-  }
-
-  // Phone validation
-  if (data.mobile_number && !validatePhone(data.mobile_number)) {
-    errors.push('Invalid mobile number. Must be 10 digits.')
-  }
-
-  // Password validation
-  if (data.password !== undefined && !validatePassword(data.password)) {
-    errors.push('Password is required')
-  }
-
+const validateForm = (schema, data) => {
+  const validation = validateSchema(schema, data)
   return {
-    isValid: errors.length === 0,
-    errors,
+    isValid: validation.isValid,
+    errors: validation.errors.map(error => error.message),
   }
 }
 
+/**
+ * Validate player registration form data (same rules as POST /api/save-player)
+ */
+export const validatePlayerForm = (data) => validateForm(playerRegistrationSchema, data)
+
+/**
+ * Validate player edit form data (same rules as PUT /api/update-player)
+ */
+export const validatePlayerUpdateForm = (data) => validateForm(playerUpdateSchema, data)
+
 /**
  * Trim form data
  */
@@ -1,8 +1,25 @@
 /**
  * Participant Validation Utilities
  * Centralized validation logic for participant selection and matching
+ * Team registration uses the API's own schema (shared/validation) so client and server rules cannot drift
  */
 
+import { validateSchema } from '../../shared/validation/schema.js'
+import { teamRegistrationSchema } from '../../shared/validation/rules.js'
+
+/**
+ * Validate the team registration form (same rules as POST /api/update-team-participation)
+ * @param {Object} data - { team_name, sport, reg_numbers, event_id }
+ * @returns {Object} { isValid: boolean, errors: Array<string> } - the messages the API would return
+ */
+export function validateTeamRegistration(data) {
+  const validation = validateSchema(teamRegistrationSchema, data)
+  return {
+    isValid: validation.isValid,
+    errors: validation.errors.map(error => error.message)
+  }
+}
+
 /**
  * Validate that all participants have the same gender
  * @param {Array} participants - Array of participant objects with gender property
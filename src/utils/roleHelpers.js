@@ -0,0 +1,54 @@
+/**
+ * Role Helper Functions (Frontend)
+ * Utility functions for checking the roles returned with the logged-in user (/api/me, /api/login)
+ * These only control what the UI shows - the backend enforces the permissions matrix
+ */
+
+import { ADMIN_REG_NUMBER } from '../constants/app'
+
+/**
+ * Check if user holds a role, optionally for a specific event
+ * Roles without event_id (super_admin, all-events viewer) match every event
+ * @param {Object} user - User object with roles array
+ * @param {string} role - Role name (e.g., 'event_admin', 'viewer')
+ * @param {string|null} eventId - Event ID to check against (optional)
+ * @returns {boolean} True if user holds the role
+ */
+export function hasRole(user, role, eventId = null) {
+  if (!user || !Array.isArray(user.roles)) return false
+  return user.roles.some(entry =>
+    entry.role === role && (!entry.event_id || !eventId || entry.event_id === eventId)
+  )
+}
+
+/**
+ * Check if user is a super admin (shared admin login or assigned super_admin role)
+ * @param {Object} user - User object
+ * @returns {boolean} True if super admin
+ */
+export function isSuperAdmin(user) {
+  if (!user) return false
+  return user.reg_number === ADMIN_REG_NUMBER || hasRole(user, 'super_admin')
+}
+
+/**
+ * Check if user can administer an event year (super admin or event admin for that event)
+ * @param {Object} user - User object
+ * @param {string|null} eventId - Event ID
+ * @returns {boolean} True if user has admin rights for the event
+ */
+export function isEventAdmin(user, eventId) {
+  if (isSuperAdmin(user)) return true
+  if (!eventId) return false
+  return hasRole(user, 'event_admin', eventId)
+}
+
+/**
+ * Check if user has read-only access to admin views for an event year
+ * @param {Object} user - User object
+ * @param {string|null} eventId - Event ID
+ * @returns {boolean} True if user is an event admin or viewer for the event
+ */
+export function canViewEventAdminData(user, eventId) {
+  return isEventAdmin(user, eventId) || hasRole(user, 'viewer', eventId)
+}
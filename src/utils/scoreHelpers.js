@@ -0,0 +1,118 @@
+/**
+ * Score Helper Functions (Frontend)
+ * Formatting of match scores for each sport scoring format
+ */
+
+import { SCORE_UNIT_OPTIONS, DEFAULT_SCORE_UNITS } from '../constants/app'
+
+/**
+ * Get the factor of a time/distance unit relative to the base unit (seconds / metres)
+ * @param {string} format - 'time' or 'distance'
+ * @param {string|undefined} unit - Unit key (scores without a unit are in the base unit)
+ * @returns {number} Factor
+ */
+export function getUnitFactor(format, unit) {
+  const option = (SCORE_UNIT_OPTIONS[format] || []).find(o => o.value === (unit || DEFAULT_SCORE_UNITS[format]))
+  return option ? option.factor : 1
+}
+
+/**
+ * Get a time/distance score in the base unit (seconds / metres)
+ * @param {Object} score - Score entry ({ time | distance, unit })
+ * @param {string} format - 'time' or 'distance'
+ * @returns {number} Value in the base unit
+ */
+export function toBaseUnit(score, format) {
+  return score[format] * getUnitFactor(format, score.unit)
+}
+
+/**
+ * Format seconds as a race time (e.g. 12.34s, 1:02.50, 1:05:02.50)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatRaceTime(seconds) {
+  if (seconds < 60) {
+    return `${seconds.toFixed(2)}s`
+  }
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds - hours * 3600) / 60)
+  const remainder = (seconds - hours * 3600 - minutes * 60).toFixed(2).padStart(5, '0')
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${remainder}` : `${minutes}:${remainder}`
+}
+
+/**
+ * Format one participant's score
+ * @param {Object} score - Score entry ({ participant, goals, sets, runs, wickets, overs, time, distance, unit })
+ * @param {string} format - Scoring format ('goals', 'sets', 'cricket', 'time', 'distance')
+ * @returns {string} Formatted score (e.g. '3', '21, 15, 21', '156/7 (20 ov)', '12.34s', '6.45 m', '42.2 km')
+ */
+export function formatParticipantScore(score, format) {
+  if (!score) {
+    return ''
+  }
+  switch (format) {
+    case 'goals':
+      return String(score.goals ?? '')
+    case 'sets':
+      return (score.sets || []).join(', ')
+    case 'cricket':
+      return `${score.runs}/${score.wickets} (${score.overs} ov)`
+    case 'time':
+      return typeof score.time === 'number' ? formatRaceTime(toBaseUnit(score, 'time')) : ''
+    case 'distance':
+      if (typeof score.distance !== 'number') return ''
+      return score.unit && score.unit !== DEFAULT_SCORE_UNITS.distance
+        ? `${score.distance} ${score.unit}`
+        : `${score.distance.toFixed(2)} m`
+    default:
+      return ''
+  }
+}
+
+/**
+ * Sort scores from best to worst (time ascending, other formats descending; times and distances in any unit)
+ * Sets are not ranked on their own and keep their order
+ * @param {Array<Object>} scores - Score entries
+ * @param {string} format - Scoring format
+ * @returns {Array<Object>} Sorted copy of scores
+ */
+export function sortScoresByRank(scores, format) {
+  const valueOf = (score) => {
+    if (format === 'goals') return score.goals
+    if (format === 'cricket') return score.runs
+    if (format === 'time') return -toBaseUnit(score, 'time')
+    if (format === 'distance') return toBaseUnit(score, 'distance')
+    return 0
+  }
+  return [...(scores || [])].sort((a, b) => valueOf(b) - valueOf(a))
+}
+
+/**
+ * Build a one-line score summary of a dual match
+ * @param {Object} match - Match with teams/players and scores
+ * @param {Object|null} scoring - Sport scoring ({ format, best_of, max_overs })
+ * @returns {string} Summary (e.g. 'Team A 3 – 1 Team B', 'A 2 – 1 B (21-18, 15-21, 21-19)'), '' when unavailable
+ */
+export function formatMatchScore(match, scoring) {
+  const scores = match?.scores || []
+  if (!scoring?.format || scores.length !== 2) {
+    return ''
+  }
+
+  // Keep the participant order of the match
+  const participants = (match.teams && match.teams.length > 0) ? match.teams : (match.players || [])
+  const [scoreA, scoreB] = [...scores].sort((a, b) => participants.indexOf(a.participant) - participants.indexOf(b.participant))
+
+  if (scoring.format === 'sets') {
+    const setsA = scoreA.sets || []
+    const setsB = scoreB.sets || []
+    const wonA = setsA.filter((games, index) => games > setsB[index]).length
+    const wonB = setsA.length - wonA
+    const setDetails = setsA.map((games, index) => `${games}-${setsB[index]}`).join(', ')
+    return `${scoreA.participant} ${wonA} – ${wonB} ${scoreB.participant} (${setDetails})`
+  }
+
+  const format = scoring.format
+  return `${scoreA.participant} ${formatParticipantScore(scoreA, format)} – ${formatParticipantScore(scoreB, format)} ${scoreB.participant}`
+}
@@ -124,3 +124,13 @@ export function getTeamSize(sport) {
   return sport.players || sport.team_size || 0
 }
 
+/**
+ * Get the reserve slots of a team sport (players a team may register beyond its team size)
+ * @param {Object} sport - Sport object
+ * @returns {number} Reserve slots or 0
+ */
+export function getReserveSlots(sport) {
+  if (!sport) return 0
+  return sport.reserve_slots || 0
+}
+
@@ -312,8 +312,9 @@ export function isWithinEventStatusUpdatePeriod(eventYearConfig) {
  * Check if database operations should be disabled (frontend)
  * Operations are disabled if:
  * 1. Event year configuration is not available
- * 2. Registration period has ended
- * 3. Event has ended
+ * 2. Event year is archived
+ * 3. Registration period has ended
+ * 4. Event has ended
  * @param {Object} eventYearConfig - Event year configuration object
  * @returns {Object} { disabled: boolean, reason: string } - Whether operations should be disabled and why
  */
@@ -326,6 +327,14 @@ export function shouldDisableDatabaseOperations(eventYearConfig) {
     }
   }
 
+  // Archived event years are read-only
+  if (eventYearConfig.status === 'archived') {
+    return {
+      disabled: true,
+      reason: 'Event year is archived. All operations are now view-only.'
+    }
+  }
+
   // Check if registration dates are configured
   if (!eventYearConfig.registration_dates || !eventYearConfig.registration_dates.end) {
     return {
@@ -0,0 +1,135 @@
+import { after, before, beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import Player from '../models/Player.js'
+import Session from '../models/Session.js'
+import { clearAccountLockout, clearIpLockout } from '../middleware/rateLimit.js'
+import { hashPassword, verifyPassword } from '../utils/passwordHelpers.js'
+import { createSession } from '../utils/sessionHelpers.js'
+import { RATE_LIMITS } from '../constants/index.js'
+import { request, resetDatabase, seedEventYear, seedPlayer, signInAs, startTestServer } from './setup.js'
+
+const PASSWORD = 'correct-password'
+
+describe('auth hardening', () => {
+  let api
+
+  before(async () => {
+    api = await startTestServer()
+  })
+
+  after(async () => {
+    await api.stop()
+  })
+
+  beforeEach(async () => {
+    await resetDatabase()
+    // The limiters use the in-memory store, which outlives resetDatabase; the server sees IPv4 clients as IPv4-mapped
+    await Promise.all(['127.0.0.1', '::ffff:127.0.0.1'].map(clearIpLockout))
+    await clearAccountLockout('PL1')
+    await seedEventYear()
+    await seedPlayer('PL1', { password: await hashPassword(PASSWORD) })
+  })
+
+  const login = (password) => request(api.baseUrl, 'POST', '/login', { body: { reg_number: 'PL1', password } })
+
+  describe('POST /api/login', () => {
+    it('locks the account on the failure that reaches the limit and sends Retry-After', async () => {
+      const { maxAttempts, baseLockoutMinutes } = RATE_LIMITS.LOGIN_ACCOUNT
+      for (let attempt = 1; attempt < maxAttempts; attempt++) {
+        assert.equal((await login('wrong-password')).status, 401)
+      }
+
+      const locked = await login('wrong-password')
+
+      assert.equal(locked.status, 429)
+      assert.equal(locked.headers.get('retry-after'), String(baseLockoutMinutes * 60))
+      assert.equal(locked.body.retry_after, baseLockoutMinutes * 60)
+
+      // The right password is refused too until the lock expires
+      const refused = await login(PASSWORD)
+      assert.equal(refused.status, 429)
+      assert.ok(Number(refused.headers.get('retry-after')) > 0)
+    })
+
+    it('forgets earlier failures after a successful login', async () => {
+      const { maxAttempts } = RATE_LIMITS.LOGIN_ACCOUNT
+      for (let attempt = 1; attempt < maxAttempts; attempt++) {
+        await login('wrong-password')
+      }
+      assert.equal((await login(PASSWORD)).status, 200)
+
+      for (let attempt = 1; attempt < maxAttempts; attempt++) {
+        assert.equal((await login('wrong-password')).status, 401)
+      }
+    })
+  })
+
+  describe('POST /api/refresh-token', () => {
+    const refresh = (refreshToken) => request(api.baseUrl, 'POST', '/refresh-token', {
+      body: { refresh_token: refreshToken }
+    })
+
+    it('rejects a refresh token once it has been rotated', async () => {
+      const { refreshToken } = await createSession('PL1')
+
+      const rotated = await refresh(refreshToken)
+      assert.equal(rotated.status, 200, rotated.body.error)
+      assert.notEqual(rotated.body.refresh_token, refreshToken)
+
+      assert.equal((await refresh(refreshToken)).status, 401)
+      // Within the grace window a reuse is not treated as theft: the new token still works
+      assert.equal((await refresh(rotated.body.refresh_token)).status, 200)
+    })
+
+    it('revokes the session when a rotated token is reused after the grace window', async () => {
+      const { session, refreshToken } = await createSession('PL1')
+      const rotated = await refresh(refreshToken)
+      await Session.updateOne({ _id: session._id }, { $set: { last_used_at: new Date(Date.now() - 60 * 1000) } })
+
+      assert.equal((await refresh(refreshToken)).status, 401)
+
+      assert.ok((await Session.findById(session._id)).revoked_at)
+      assert.equal((await refresh(rotated.body.refresh_token)).status, 401)
+    })
+  })
+
+  describe('access tokens after a password change', () => {
+    const getMe = (token) => request(api.baseUrl, 'GET', '/me', { token })
+
+    it('rejects tokens issued before password_changed_at', async () => {
+      const token = await signInAs('PL1')
+      assert.equal((await getMe(token)).status, 200)
+
+      // JWT iat has second precision: move the change past the second the token was issued in
+      await Player.updateOne({ reg_number: 'PL1' }, { $set: { password_changed_at: new Date(Date.now() + 1000) } })
+
+      const response = await getMe(token)
+      assert.equal(response.status, 401)
+      assert.equal(response.body.code, 'SESSION_REVOKED')
+    })
+
+    it('ends other sessions on change-password and returns working tokens', async () => {
+      const otherToken = await signInAs('PL1')
+      const { refreshToken: otherRefreshToken } = await createSession('PL1')
+      const currentToken = await signInAs('PL1')
+
+      const changed = await request(api.baseUrl, 'POST', '/change-password', {
+        token: currentToken,
+        body: { current_password: PASSWORD, new_password: 'new-password' }
+      })
+      assert.equal(changed.status, 200, changed.body.error)
+
+      assert.equal((await getMe(otherToken)).status, 401)
+      assert.equal((await getMe(currentToken)).status, 401)
+      assert.equal((await request(api.baseUrl, 'POST', '/refresh-token', {
+        body: { refresh_token: otherRefreshToken }
+      })).status, 401)
+      assert.equal((await getMe(changed.body.token)).status, 200)
+
+      // The new password is stored hashed
+      const player = await Player.findOne({ reg_number: 'PL1' })
+      assert.notEqual(player.password, 'new-password')
+      assert.equal(await verifyPassword('new-password', player.password), true)
+    })
+  })
+})
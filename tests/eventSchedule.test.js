@@ -0,0 +1,98 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import EventSchedule from '../models/EventSchedule.js'
+import PointsTable from '../models/PointsTable.js'
+import Sport from '../models/Sport.js'
+import {
+  EVENT_ID,
+  request,
+  resetDatabase,
+  seedEventYear,
+  seedPlayer,
+  signInAsAdmin,
+  startTestServer
+} from './setup.js'
+
+const SPORT = 'badminton'
+
+describe('PUT /api/event-schedule/:id (league result)', () => {
+  let api
+  let adminToken
+  let matchId
+
+  before(async () => {
+    api = await startTestServer()
+  })
+
+  after(async () => {
+    await api.stop()
+  })
+
+  beforeEach(async () => {
+    await resetDatabase()
+    await seedEventYear()
+    await seedPlayer('P1')
+    await seedPlayer('P2')
+    await Sport.create({
+      name: SPORT,
+      event_id: EVENT_ID,
+      type: 'dual_player',
+      category: 'individual events',
+      players_participated: ['P1', 'P2']
+    })
+    const match = await EventSchedule.create({
+      event_id: EVENT_ID,
+      match_number: 1,
+      match_type: 'league',
+      sports_name: SPORT,
+      players: ['P1', 'P2'],
+      match_date: new Date()
+    })
+    matchId = String(match._id)
+    adminToken = await signInAsAdmin()
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  const recordWinner = () => request(api.baseUrl, 'PUT', `/event-schedule/${matchId}`, {
+    token: adminToken,
+    body: { status: 'completed', winner: 'P1' }
+  })
+
+  it('commits the result and the points table together', async () => {
+    const response = await recordWinner()
+
+    assert.equal(response.status, 200, response.body.error)
+    const match = await EventSchedule.findById(matchId).lean()
+    assert.equal(match.status, 'completed')
+    assert.equal(match.winner, 'P1')
+    const entries = await PointsTable.find({ event_id: EVENT_ID, sports_name: SPORT }).sort({ participant: 1 }).lean()
+    assert.deepEqual(entries.map(entry => [entry.participant, entry.matches_won, entry.matches_lost]), [
+      ['P1', 1, 0],
+      ['P2', 0, 1]
+    ])
+  })
+
+  it('rolls the result and the saved points back when a later points table write fails', async () => {
+    const save = PointsTable.prototype.save
+    let saves = 0
+    mock.method(PointsTable.prototype, 'save', async function (...args) {
+      saves += 1
+      if (saves === 2) {
+        throw new Error('Injected failure on the second points table entry')
+      }
+      return save.apply(this, args)
+    })
+
+    const response = await recordWinner()
+
+    assert.equal(response.status, 500)
+    assert.equal(saves, 2)
+    const match = await EventSchedule.findById(matchId).lean()
+    assert.equal(match.status, 'scheduled')
+    assert.equal(match.winner, null)
+    assert.equal(await PointsTable.countDocuments({ event_id: EVENT_ID, sports_name: SPORT }), 0)
+  })
+})
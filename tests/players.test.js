@@ -0,0 +1,111 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import Batch from '../models/Batch.js'
+import Player from '../models/Player.js'
+import Session from '../models/Session.js'
+import {
+  BATCH_NAME,
+  DEPARTMENT,
+  EVENT_ID,
+  request,
+  resetDatabase,
+  seedEventYear,
+  seedPlayer,
+  signInAs,
+  signInAsAdmin,
+  startTestServer
+} from './setup.js'
+
+describe('player writes', () => {
+  let api
+
+  before(async () => {
+    api = await startTestServer()
+  })
+
+  after(async () => {
+    await api.stop()
+  })
+
+  beforeEach(async () => {
+    await resetDatabase()
+    await seedEventYear()
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  const getBatchPlayers = async () => (await Batch.findOne({ name: BATCH_NAME, event_id: EVENT_ID }).lean()).players
+
+  describe('POST /api/save-player', () => {
+    const register = () => request(api.baseUrl, 'POST', '/save-player', {
+      body: {
+        reg_number: 'NEW1',
+        full_name: 'New Player',
+        gender: 'Female',
+        department_branch: DEPARTMENT,
+        batch_name: BATCH_NAME,
+        mobile_number: '9876543210',
+        email_id: 'new1@example.com',
+        password: 'Password@123'
+      }
+    })
+
+    it('commits the player and their batch membership together', async () => {
+      const response = await register()
+
+      assert.equal(response.status, 200, response.body.error)
+      assert.ok(await Player.exists({ reg_number: 'NEW1' }))
+      assert.deepEqual(await getBatchPlayers(), ['NEW1'])
+    })
+
+    it('rolls the player back when the batch update fails', async () => {
+      mock.method(Batch, 'updateOne', async () => {
+        throw new Error('Injected batch update failure')
+      })
+
+      const response = await register()
+
+      assert.equal(response.status, 500)
+      assert.equal(await Player.exists({ reg_number: 'NEW1' }), null)
+    })
+  })
+
+  describe('DELETE /api/delete-player/:reg_number', () => {
+    let adminToken
+
+    beforeEach(async () => {
+      await seedPlayer('OLD1')
+      await Batch.updateOne({ name: BATCH_NAME, event_id: EVENT_ID }, { $set: { players: ['OLD1'] } })
+      await signInAs('OLD1')
+      adminToken = await signInAsAdmin()
+    })
+
+    const deletePlayer = () => request(api.baseUrl, 'DELETE', `/delete-player/OLD1?event_id=${EVENT_ID}`, {
+      token: adminToken
+    })
+
+    it('commits the player, batch and session writes together', async () => {
+      const response = await deletePlayer()
+
+      assert.equal(response.status, 200, response.body.error)
+      assert.equal(await Player.exists({ reg_number: 'OLD1' }), null)
+      assert.deepEqual(await getBatchPlayers(), [])
+      assert.equal(await Session.countDocuments({ reg_number: 'OLD1', revoked_at: null }), 0)
+    })
+
+    it('rolls the batch and player writes back when revoking the sessions fails', async () => {
+      mock.method(Session, 'updateMany', async () => {
+        throw new Error('Injected session revoke failure')
+      })
+
+      const response = await deletePlayer()
+
+      assert.equal(response.status, 500)
+      assert.ok(await Player.exists({ reg_number: 'OLD1' }))
+      assert.deepEqual(await getBatchPlayers(), ['OLD1'])
+      assert.equal(await Session.countDocuments({ reg_number: 'OLD1', revoked_at: null }), 1)
+    })
+  })
+})
@@ -0,0 +1,92 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMemoryStore, createRateLimiter } from '../utils/rateLimiter.js'
+
+const MINUTE_MS = 60 * 1000
+const POLICY = { maxAttempts: 3, windowMinutes: 15, baseLockoutMinutes: 1, maxLockoutMinutes: 4 }
+
+describe('createRateLimiter', () => {
+  let limiter
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T10:00:00Z') })
+    limiter = createRateLimiter({ name: 'test', policy: POLICY, store: createMemoryStore() })
+  })
+
+  afterEach(() => {
+    mock.timers.reset()
+  })
+
+  // Count an attempt and, if it was let through, record it as failed
+  const failAttempt = async (id) => {
+    const hit = await limiter.hit(id)
+    if (hit.locked) return hit
+    return limiter.fail(id, hit.attempts)
+  }
+
+  it('locks on the failure that reaches maxAttempts, for the base lockout', async () => {
+    assert.equal((await failAttempt('PL1')).locked, false)
+    assert.equal((await failAttempt('PL1')).locked, false)
+
+    assert.deepEqual(await failAttempt('PL1'), { locked: true, retryAfterMs: MINUTE_MS })
+    assert.deepEqual(await limiter.check('PL1'), { locked: true, retryAfterMs: MINUTE_MS })
+    assert.deepEqual(await limiter.check('PL2'), { locked: false, retryAfterMs: 0 })
+  })
+
+  it('reports the time left on the lock as the retry delay', async () => {
+    for (let attempt = 0; attempt < POLICY.maxAttempts; attempt++) {
+      await failAttempt('PL1')
+    }
+
+    mock.timers.tick(20 * 1000)
+    assert.equal((await limiter.check('PL1')).retryAfterMs, 40 * 1000)
+    assert.equal((await limiter.hit('PL1')).retryAfterMs, 40 * 1000)
+
+    mock.timers.tick(40 * 1000)
+    assert.deepEqual(await limiter.check('PL1'), { locked: false, retryAfterMs: 0 })
+  })
+
+  it('doubles the lockout each time the id is locked again, up to maxLockoutMinutes', async () => {
+    const lockouts = []
+    for (let lockout = 0; lockout < 4; lockout++) {
+      let result
+      for (let attempt = 0; attempt < POLICY.maxAttempts; attempt++) {
+        result = await failAttempt('PL1')
+      }
+      lockouts.push(result.retryAfterMs / MINUTE_MS)
+      mock.timers.tick(result.retryAfterMs)
+    }
+
+    assert.deepEqual(lockouts, [1, 2, 4, 4])
+  })
+
+  it('lets only maxAttempts of many parallel attempts through and locks once', async () => {
+    const hits = await Promise.all(Array.from({ length: 10 }, () => limiter.hit('PL1')))
+
+    assert.equal(hits.filter(hit => !hit.locked).length, POLICY.maxAttempts)
+    const [entry] = await limiter.listLocked()
+    assert.equal(entry.id, 'pl1')
+    assert.equal(entry.lockout_count, 1)
+  })
+
+  it('does not count attempts that are released', async () => {
+    for (let attempt = 0; attempt < POLICY.maxAttempts * 2; attempt++) {
+      const hit = await limiter.hit('PL1')
+      assert.equal(hit.locked, false)
+      await limiter.release('PL1')
+    }
+
+    assert.deepEqual(await limiter.check('PL1'), { locked: false, retryAfterMs: 0 })
+  })
+
+  it('forgets the lockout on reset', async () => {
+    for (let attempt = 0; attempt < POLICY.maxAttempts; attempt++) {
+      await failAttempt('PL1')
+    }
+
+    await limiter.reset('PL1')
+
+    assert.deepEqual(await limiter.check('PL1'), { locked: false, retryAfterMs: 0 })
+    assert.deepEqual(await limiter.listLocked(), [])
+  })
+})
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import app from '../app.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { requestSchemas } from '../utils/requestSchemas.js'
+import { buildOpenApiDocument } from '../utils/openApi.js'
+
+/**
+ * Turn the regexp Express 4 builds for a router mount path back into the path (e.g. '/api/event-years')
+ * @param {RegExp} regexp - Layer regexp
+ * @returns {string} Mount path ('' at the root)
+ */
+function getMountPath(regexp) {
+  return regexp.source
+    .replace('^', '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/\\\//g, '/')
+}
+
+/**
+ * List the routes served by the app
+ * @returns {Array<Object>} { key, auth } - requestSchemas key (e.g. 'GET /api/event-years') and whether it needs a token
+ */
+function listAppRoutes() {
+  const routes = []
+  for (const layer of app._router.stack) {
+    if (layer.name !== 'router') continue
+    const mountPath = getMountPath(layer.regexp)
+    for (const routeLayer of layer.handle.stack) {
+      if (!routeLayer.route) continue
+      const path = `${mountPath}${routeLayer.route.path}`.replace(/(.)\/$/, '$1')
+      const auth = routeLayer.route.stack.some(handlerLayer => handlerLayer.handle === authenticateToken)
+      for (const method of Object.keys(routeLayer.route.methods)) {
+        routes.push({ key: `${method.toUpperCase()} ${path}`, auth })
+      }
+    }
+  }
+  return routes
+}
+
+describe('request schemas', () => {
+  it('declare every route of the app, and only those', () => {
+    const appRoutes = listAppRoutes().map(route => route.key)
+
+    assert.deepEqual(appRoutes.filter(route => !requestSchemas[route]), [])
+    assert.deepEqual(Object.keys(requestSchemas).filter(route => !appRoutes.includes(route)), [])
+  })
+
+  it('mark exactly the routes that need a token as auth', () => {
+    const mismatches = listAppRoutes().filter(route => Boolean(requestSchemas[route.key]?.auth) !== route.auth)
+
+    assert.deepEqual(mismatches, [])
+  })
+
+  it('list every route in the OpenAPI document', () => {
+    const { paths } = buildOpenApiDocument()
+    const operationCount = Object.values(paths).reduce((total, operations) => total + Object.keys(operations).length, 0)
+
+    assert.equal(operationCount, Object.keys(requestSchemas).length)
+  })
+})
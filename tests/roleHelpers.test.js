@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createScopeResolver, findScopeConflict } from '../utils/roleHelpers.js'
+
+const buildRequest = ({ params = {}, query = {}, body = {} } = {}) => ({ params, query, body })
+
+describe('findScopeConflict', () => {
+  it('accepts the same event and sport named in several places', () => {
+    const req = buildRequest({
+      params: { sport: 'Badminton' },
+      query: { event_id: '2026-Umang' },
+      body: { event_id: '2026-umang', sports_name: 'badminton' }
+    })
+
+    assert.equal(findScopeConflict(req), null)
+  })
+
+  it('ignores empty values', () => {
+    const req = buildRequest({ query: { event_id: '' }, body: { event_id: '2026-umang', sport: null } })
+
+    assert.equal(findScopeConflict(req), null)
+  })
+
+  it('reports sport and sports_name naming different sports', () => {
+    const req = buildRequest({ body: { sport: 'badminton', sports_name: 'cricket' } })
+
+    assert.equal(findScopeConflict(req), 'sport')
+  })
+
+  it('reports a body event_id that differs from the query', () => {
+    const req = buildRequest({ query: { event_id: '2026-umang' }, body: { event_id: '2025-umang' } })
+
+    assert.equal(findScopeConflict(req), 'event_id')
+  })
+})
+
+describe('createScopeResolver', () => {
+  it('reads only the declared fields', async () => {
+    const resolveScope = createScopeResolver({ event_id: 'body.event_id', sport: 'body.sports_name' })
+    const req = buildRequest({
+      query: { event_id: '2025-umang' },
+      body: { event_id: ' 2026-UMANG ', sport: 'badminton', sports_name: 'Cricket' }
+    })
+
+    assert.deepEqual(await resolveScope(req), { event_id: '2026-umang', sport: 'cricket' })
+  })
+})
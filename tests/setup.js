@@ -0,0 +1,131 @@
+/**
+ * Test Setup
+ * Serves the API against an in-memory single-node replica set (MongoDB transactions need a replica set),
+ * seeds the documents the tested routes need and signs access tokens
+ */
+
+import { MongoMemoryReplSet } from 'mongodb-memory-server'
+import mongoose from 'mongoose'
+import app from '../app.js'
+import Batch from '../models/Batch.js'
+import Department from '../models/Department.js'
+import EventYear from '../models/EventYear.js'
+import Player from '../models/Player.js'
+import { clearCache } from '../utils/cache.js'
+import { getUserRoles } from '../utils/roleHelpers.js'
+import { createSession, signAccessToken } from '../utils/sessionHelpers.js'
+import { ADMIN_REG_NUMBER } from '../constants/index.js'
+
+export const EVENT_ID = '2026-umang'
+export const DEPARTMENT = 'Computer Science'
+export const BATCH_NAME = '1st Year (2026)'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Start the replica set, connect Mongoose and serve the app on a free port
+ * @returns {Promise<{baseUrl: string, stop: Function}>} API base URL and a function that shuts everything down
+ */
+export async function startTestServer() {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } })
+  await mongoose.connect(replSet.getUri())
+  // Create collections and indexes up front: catalog changes inside a transaction conflict with it
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()))
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, () => resolve(listener))
+  })
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/api`,
+    stop: async () => {
+      await new Promise(resolve => server.close(resolve))
+      await mongoose.disconnect()
+      await replSet.stop()
+    }
+  }
+}
+
+/**
+ * Remove every document and cached value left by the previous test
+ */
+export async function resetDatabase() {
+  await Promise.all(Object.values(mongoose.models).map(model => model.deleteMany({})))
+  await clearCache()
+}
+
+/**
+ * Seed an event year in both its registration and event period, a department and an empty batch
+ * Inserted directly so the dates can overlap (the API keeps registration before the event)
+ */
+export async function seedEventYear() {
+  const now = Date.now()
+  await EventYear.collection.insertOne({
+    event_id: EVENT_ID,
+    event_year: 2026,
+    event_name: 'umang',
+    event_dates: { start: new Date(now - DAY_MS), end: new Date(now + 2 * DAY_MS) },
+    registration_dates: { start: new Date(now - DAY_MS), end: new Date(now + DAY_MS) },
+    championship_points: []
+  })
+  await Department.create({ name: DEPARTMENT })
+  await Batch.create({ name: BATCH_NAME, event_id: EVENT_ID, players: [] })
+}
+
+/**
+ * Seed a player (inserted directly: the password hash is never checked by these tests)
+ * @param {string} regNumber - Registration number
+ * @param {Object} overrides - Fields to override
+ */
+export async function seedPlayer(regNumber, overrides = {}) {
+  await Player.collection.insertOne({
+    reg_number: regNumber,
+    full_name: `Player ${regNumber}`,
+    gender: 'Male',
+    department_branch: DEPARTMENT,
+    mobile_number: '9876543210',
+    email_id: `${regNumber.toLowerCase()}@example.com`,
+    password: 'not-a-real-hash',
+    ...overrides
+  })
+}
+
+/**
+ * Sign an access token for a seeded player, backed by an active session
+ * @param {string} regNumber - Registration number (ADMIN_REG_NUMBER for the super admin)
+ * @returns {Promise<string>} Bearer token
+ */
+export async function signInAs(regNumber) {
+  const player = await Player.findOne({ reg_number: regNumber }).lean()
+  const { session } = await createSession(regNumber)
+  return signAccessToken(player, await getUserRoles(regNumber), session._id)
+}
+
+/**
+ * Seed the super admin and sign them in
+ * @returns {Promise<string>} Bearer token
+ */
+export async function signInAsAdmin() {
+  await seedPlayer(ADMIN_REG_NUMBER, { full_name: 'Admin' })
+  return signInAs(ADMIN_REG_NUMBER)
+}
+
+/**
+ * Send a JSON request to the API
+ * @param {string} baseUrl - API base URL from startTestServer
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api
+ * @param {Object} options - { token, body }
+ * @returns {Promise<{status: number, headers: Headers, body: Object}>} Response status, headers and parsed body
+ */
+export async function request(baseUrl, method, path, { token = null, body } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  })
+  return { status: response.status, headers: response.headers, body: await response.json() }
+}
@@ -0,0 +1,134 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import AuditLog from '../models/AuditLog.js'
+import Batch from '../models/Batch.js'
+import Sport from '../models/Sport.js'
+import {
+  BATCH_NAME,
+  EVENT_ID,
+  request,
+  resetDatabase,
+  seedEventYear,
+  seedPlayer,
+  signInAs,
+  startTestServer
+} from './setup.js'
+
+const SPORT = 'volleyball'
+
+describe('POST /api/update-team-participation', () => {
+  let api
+  let captainToken
+
+  before(async () => {
+    api = await startTestServer()
+  })
+
+  after(async () => {
+    await api.stop()
+  })
+
+  beforeEach(async () => {
+    await resetDatabase()
+    await seedEventYear()
+    await seedPlayer('CAP1')
+    await seedPlayer('PL2')
+    await Batch.updateOne({ name: BATCH_NAME, event_id: EVENT_ID }, { $set: { players: ['CAP1', 'PL2'] } })
+    await Sport.create({
+      name: SPORT,
+      event_id: EVENT_ID,
+      type: 'dual_team',
+      category: 'team events',
+      team_size: 2,
+      eligible_captains: ['CAP1']
+    })
+    captainToken = await signInAs('CAP1')
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  const createTeam = () => request(api.baseUrl, 'POST', '/update-team-participation', {
+    token: captainToken,
+    body: { team_name: 'Smashers', sport: SPORT, reg_numbers: ['CAP1', 'PL2'], event_id: EVENT_ID }
+  })
+
+  it('commits the team and its audit entry together', async () => {
+    const response = await createTeam()
+
+    assert.equal(response.status, 200, response.body.error)
+    const sportDoc = await Sport.findOne({ name: SPORT, event_id: EVENT_ID }).lean()
+    assert.equal(sportDoc.teams_participated.length, 1)
+    assert.deepEqual(sportDoc.teams_participated[0].players, ['CAP1'])
+    assert.deepEqual(sportDoc.teams_participated[0].invitations.map(invitation => invitation.reg_number), ['PL2'])
+    assert.equal(await AuditLog.countDocuments({ entity_type: 'Sport', action: 'update' }), 1)
+  })
+
+  it('rolls the team and its audit entry back when the unit of work fails after the save', async () => {
+    const save = Sport.prototype.save
+    mock.method(Sport.prototype, 'save', async function (...args) {
+      await save.apply(this, args)
+      throw new Error('Injected failure after the sport was saved')
+    })
+
+    const response = await createTeam()
+
+    assert.equal(response.status, 500)
+    const sportDoc = await Sport.findOne({ name: SPORT, event_id: EVENT_ID }).lean()
+    assert.equal(sportDoc.teams_participated.length, 0)
+    assert.equal(await AuditLog.countDocuments({ entity_type: 'Sport' }), 0)
+  })
+})
+
+describe('POST /api/team-invitations/respond', () => {
+  let api
+
+  before(async () => {
+    api = await startTestServer()
+  })
+
+  after(async () => {
+    await api.stop()
+  })
+
+  beforeEach(async () => {
+    await resetDatabase()
+    await seedEventYear()
+    for (const regNumber of ['CAP1', 'PL2', 'PL3']) {
+      await seedPlayer(regNumber)
+    }
+    await Batch.updateOne({ name: BATCH_NAME, event_id: EVENT_ID }, { $set: { players: ['CAP1', 'PL2', 'PL3'] } })
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000)
+    await Sport.create({
+      name: SPORT,
+      event_id: EVENT_ID,
+      type: 'dual_team',
+      category: 'team events',
+      team_size: 2,
+      eligible_captains: ['CAP1'],
+      teams_participated: [{
+        team_name: 'Smashers',
+        captain: 'CAP1',
+        players: ['CAP1'],
+        invitations: [
+          { reg_number: 'PL2', invited_by: 'CAP1', expires_at: expiresAt },
+          { reg_number: 'PL3', invited_by: 'CAP1', expires_at: expiresAt }
+        ]
+      }]
+    })
+  })
+
+  const accept = async (regNumber) => request(api.baseUrl, 'POST', '/team-invitations/respond', {
+    token: await signInAs(regNumber),
+    body: { team_name: 'Smashers', sport: SPORT, action: 'accept', event_id: EVENT_ID }
+  })
+
+  it('lets only one of two concurrent accepts take the last roster slot', async () => {
+    const responses = await Promise.all([accept('PL2'), accept('PL3')])
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 400])
+    const sportDoc = await Sport.findOne({ name: SPORT, event_id: EVENT_ID }).lean()
+    assert.equal(sportDoc.teams_participated[0].players.length, 2)
+  })
+})
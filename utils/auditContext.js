@@ -0,0 +1,26 @@
+/**
+ * Audit Context
+ * Carries the current request through async calls so model hooks know who made a change
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+
+const auditStorage = new AsyncLocalStorage()
+
+/**
+ * Run a function with an audit context
+ * @param {Object} context - { req }
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithAuditContext(context, fn) {
+  return auditStorage.run(context, fn)
+}
+
+/**
+ * Get the audit context of the current request
+ * @returns {Object|undefined} Context, or undefined outside a mutating API request
+ */
+export function getAuditContext() {
+  return auditStorage.getStore()
+}
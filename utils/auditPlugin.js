@@ -0,0 +1,255 @@
+/**
+ * Audit Plugin
+ * Mongoose schema plugin that records create/update/delete of documents in AuditLog
+ * Only writes made inside a mutating API request (see middleware/auditContext.js) are recorded
+ */
+
+import AuditLog from '../models/AuditLog.js'
+import logger from './logger.js'
+import { getAuditContext } from './auditContext.js'
+import { AUDIT_BULK_MAX_DOCUMENTS } from '../constants/index.js'
+
+const REDACTED = '[REDACTED]'
+
+// Bookkeeping fields that never count as a change
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt']
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate']
+const DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete']
+const SINGLE_DOC_QUERIES = ['updateOne', 'findOneAndUpdate', 'deleteOne', 'findOneAndDelete']
+
+// Fields loaded for every audited document, whatever the update changes
+const IDENTIFYING_FIELDS = ['_id', 'event_id']
+
+// Entity id of the entry that summarizes the documents of a bulk write not audited one by one
+const BULK_ENTITY_ID = '*'
+
+/**
+ * Convert a value to plain JSON (ObjectIds and Dates become strings)
+ * @param {*} value - Value to normalize
+ * @returns {*} JSON-safe value
+ */
+function normalizeValue(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Compute a field-level diff between two plain objects
+ * @param {Object|null} before - Document before the write (null for create)
+ * @param {Object|null} after - Document after the write (null for delete)
+ * @param {Array<string>} sensitiveFields - Fields whose values are redacted
+ * @returns {Object} { field: { from, to } }
+ */
+export function computeChanges(before, after, sensitiveFields = []) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  const changes = {}
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue
+
+    const from = normalizeValue(before?.[field])
+    const to = normalizeValue(after?.[field])
+    if (JSON.stringify(from) === JSON.stringify(to)) continue
+
+    if (sensitiveFields.includes(field)) {
+      changes[field] = { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+    } else {
+      changes[field] = { from, to }
+    }
+  }
+
+  return changes
+}
+
+/**
+ * Get the top-level fields an update document writes (e.g. { $pull: { 'teams.$.players': x } } -> ['teams'])
+ * @param {Object|Array} update - Update document
+ * @returns {Array<string>|null} Field names, or null when they cannot be known (aggregation pipeline updates)
+ */
+export function getUpdatedFields(update) {
+  if (!update || Array.isArray(update)) return null
+
+  const fields = new Set()
+  for (const [key, value] of Object.entries(update)) {
+    if (!key.startsWith('$')) {
+      fields.add(key.split('.')[0])
+    } else if (value && typeof value === 'object') {
+      for (const path of Object.keys(value)) {
+        fields.add(path.split('.')[0])
+      }
+    }
+  }
+  return [...fields]
+}
+
+/**
+ * Resolve the route pattern of a request (e.g. /api/event-schedule/:id)
+ * @param {Object} req - Express request
+ * @returns {string} Route pattern, or the request path when no route matched yet
+ */
+function getRoutePattern(req) {
+  if (req.route?.path) {
+    return `${req.baseUrl}${req.route.path}`
+  }
+  return req.originalUrl.split('?')[0]
+}
+
+/**
+ * Store one audit entry (errors are logged, never thrown - auditing must not break the request)
+ * @param {Object} context - Audit context of the request
+ * @param {Object} entry - { entityType, action, entityId, eventId, changes }
+ */
+async function createAuditEntry({ req }, { entityType, action, entityId, eventId, changes }) {
+  const requestEventId = req.body?.event_id || req.query?.event_id || null
+
+  try {
+    await AuditLog.create({
+      actor: req.user?.reg_number || null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId,
+      event_id: eventId || (requestEventId ? String(requestEventId) : null),
+      method: req.method,
+      route: getRoutePattern(req),
+      changes
+    })
+  } catch (error) {
+    logger.error(`Error writing audit log for ${entityType} ${entityId}:`, error)
+  }
+}
+
+/**
+ * Write the audit entry of one document
+ * @param {Object} options - Entry options
+ */
+async function writeAuditLog({ entityType, action, before, after, sensitiveFields }) {
+  const context = getAuditContext()
+  if (!context) return
+
+  const changes = computeChanges(before, after, sensitiveFields)
+  if (action === 'update' && Object.keys(changes).length === 0) return
+
+  const source = after || before
+  await createAuditEntry(context, {
+    entityType,
+    action,
+    entityId: String(source._id),
+    eventId: source.event_id,
+    changes
+  })
+}
+
+/**
+ * Write one entry for the documents of a bulk write beyond AUDIT_BULK_MAX_DOCUMENTS
+ * @param {Object} options - { entityType, action, matched, itemized }
+ */
+async function writeBulkSummary({ entityType, action, matched, itemized }) {
+  const context = getAuditContext()
+  if (!context || matched <= itemized) return
+
+  await createAuditEntry(context, {
+    entityType,
+    action,
+    entityId: BULK_ENTITY_ID,
+    eventId: null,
+    changes: { documents: { from: null, to: `${matched - itemized} more of ${matched} matched documents, not itemized` } }
+  })
+}
+
+/**
+ * Audit plugin
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {string} options.entityType - Entity name stored in AuditLog (e.g. 'Player')
+ * @param {Array<string>} options.sensitiveFields - Fields whose values are redacted (e.g. ['password'])
+ */
+export default function auditPlugin(schema, { entityType, sensitiveFields = [] }) {
+  const toPlain = (doc) => doc.toObject({ depopulate: true })
+
+  // Snapshot loaded documents so document saves can be diffed without another query
+  schema.post('init', function(doc) {
+    if (getAuditContext()) {
+      doc.$locals.auditSnapshot = toPlain(doc)
+    }
+  })
+
+  schema.pre('save', function(next) {
+    this.$locals.auditIsNew = this.isNew
+    next()
+  })
+
+  schema.post('save', async function(doc) {
+    const isNew = doc.$locals.auditIsNew
+    await writeAuditLog({
+      entityType,
+      action: isNew ? 'create' : 'update',
+      before: isNew ? null : (doc.$locals.auditSnapshot || null),
+      after: toPlain(doc),
+      sensitiveFields
+    })
+    if (getAuditContext()) {
+      doc.$locals.auditSnapshot = toPlain(doc)
+    }
+  })
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await writeAuditLog({ entityType, action: 'delete', before: toPlain(doc), after: null, sensitiveFields })
+  })
+
+  // Query writes: load affected documents first, then diff (updates) or confirm removal (deletes)
+  // Updates load only the fields they write (plus identifying fields); bulk writes itemize at most
+  // AUDIT_BULK_MAX_DOCUMENTS documents and summarize the rest, so memory stays bounded
+  schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], { document: false, query: true }, async function() {
+    if (!getAuditContext()) return
+
+    const updatedFields = UPDATE_QUERIES.includes(this.op) ? getUpdatedFields(this.getUpdate()) : null
+    this._auditProjection = updatedFields ? [...new Set([...IDENTIFYING_FIELDS, ...updatedFields])].join(' ') : null
+
+    let beforeQuery = this.model.find(this.getFilter())
+    if (this._auditProjection) {
+      beforeQuery = beforeQuery.select(this._auditProjection)
+    }
+    if (SINGLE_DOC_QUERIES.includes(this.op)) {
+      beforeQuery = beforeQuery.sort(this.getOptions().sort || {}).limit(1)
+    } else {
+      beforeQuery = beforeQuery.sort({ _id: 1 }).limit(AUDIT_BULK_MAX_DOCUMENTS)
+    }
+    this._auditBefore = await beforeQuery.lean()
+    this._auditMatched = this._auditBefore.length < AUDIT_BULK_MAX_DOCUMENTS
+      ? this._auditBefore.length
+      : await this.model.countDocuments(this.getFilter())
+  })
+
+  schema.post(UPDATE_QUERIES, { document: false, query: true }, async function() {
+    if (!this._auditBefore?.length) return
+
+    let afterQuery = this.model.find({ _id: { $in: this._auditBefore.map(doc => doc._id) } })
+    if (this._auditProjection) {
+      afterQuery = afterQuery.select(this._auditProjection)
+    }
+    const afterDocs = await afterQuery.lean()
+    const afterById = new Map(afterDocs.map(doc => [String(doc._id), doc]))
+
+    for (const before of this._auditBefore) {
+      const after = afterById.get(String(before._id))
+      if (after) {
+        await writeAuditLog({ entityType, action: 'update', before, after, sensitiveFields })
+      }
+    }
+    await writeBulkSummary({ entityType, action: 'update', matched: this._auditMatched, itemized: this._auditBefore.length })
+  })
+
+  schema.post(DELETE_QUERIES, { document: false, query: true }, async function() {
+    if (!this._auditBefore?.length) return
+
+    const remaining = await this.model.find({ _id: { $in: this._auditBefore.map(doc => doc._id) } }).select('_id').lean()
+    const remainingIds = new Set(remaining.map(doc => String(doc._id)))
+
+    for (const before of this._auditBefore) {
+      if (!remainingIds.has(String(before._id))) {
+        await writeAuditLog({ entityType, action: 'delete', before, after: null, sensitiveFields })
+      }
+    }
+    await writeBulkSummary({ entityType, action: 'delete', matched: this._auditMatched, itemized: this._auditBefore.length })
+  })
+}
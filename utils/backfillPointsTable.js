@@ -7,6 +7,7 @@
 import EventSchedule from '../models/EventSchedule.js'
 import { recalculatePointsTableForGender } from './pointsTable.js'
 import { findSportByNameAndId } from './sportHelpers.js'
+import logger from './logger.js'
 
 /**
  * Backfill points table for a specific sport and year
@@ -36,19 +37,19 @@ export async function backfillPointsTableForSport(sportName, eventId) {
 
     try {
       // Recalculate for Male
-      await recalculatePointsTableForGender(sportName, eventId, 'Male', eventId)
+      await recalculatePointsTableForGender(sportName, eventId, 'Male')
       created++
     } catch (error) {
-      console.error(`Error recalculating points table for Male:`, error)
+      logger.error(`Error recalculating points table for Male:`, error)
       errors++
     }
 
     try {
       // Recalculate for Female
-      await recalculatePointsTableForGender(sportName, eventId, 'Female', eventId)
+      await recalculatePointsTableForGender(sportName, eventId, 'Female')
       created++
     } catch (error) {
-      console.error(`Error recalculating points table for Female:`, error)
+      logger.error(`Error recalculating points table for Female:`, error)
       errors++
     }
 
@@ -67,7 +68,7 @@ export async function backfillPointsTableForSport(sportName, eventId) {
       message: `Recalculated points table for ${completedMatches} matches (both genders), ${errors} errors`
     }
   } catch (error) {
-    console.error('Error in backfillPointsTableForSport:', error)
+    logger.error('Error in backfillPointsTableForSport:', error)
     return {
       processed: 0,
       created: 0,
@@ -114,7 +115,7 @@ export async function backfillPointsTableForYear(eventId) {
       details: results
     }
   } catch (error) {
-    console.error('Error in backfillPointsTableForYear:', error)
+    logger.error('Error in backfillPointsTableForYear:', error)
     return {
       sportsProcessed: 0,
       totalMatchesProcessed: 0,
@@ -0,0 +1,169 @@
+/**
+ * Knockout Bracket Helpers
+ * Single-elimination bracket planning, seeding and winner advancement
+ */
+
+import EventSchedule from '../models/EventSchedule.js'
+import { getRankedPointsTable } from './pointsTable.js'
+import logger from './logger.js'
+
+/**
+ * Get the standard seed order for a bracket size (1 v N, 2 v N-1, top seeds kept apart)
+ * e.g. size 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+ * @param {number} size - Bracket size (power of two)
+ * @returns {Array<number>} Seed numbers in first-round slot order
+ */
+export function getSeedOrder(size) {
+  let order = [1]
+  while (order.length < size) {
+    const nextSize = order.length * 2
+    order = order.flatMap(seed => [seed, nextSize + 1 - seed])
+  }
+  return order
+}
+
+/**
+ * Plan a single-elimination bracket
+ * Non-power-of-two counts get byes for the top seeds: a bye slot has no first-round match
+ * and its seed is placed straight into the second round
+ * @param {Array<string>} seeds - Participants ordered by seed (seed 1 first)
+ * @returns {Object} { rounds, matches: [{ round, position, participants, next: { position, slot } | null }], byes }
+ */
+export function buildBracketPlan(seeds) {
+  const size = Math.max(2, 2 ** Math.ceil(Math.log2(seeds.length)))
+  const rounds = Math.log2(size)
+  const slots = getSeedOrder(size).map(seed => seeds[seed - 1] || null)
+
+  // Participants per match slot: matchSlots[round][position] = [slot0, slot1]
+  const matchSlots = {}
+  for (let round = 1; round <= rounds; round++) {
+    matchSlots[round] = Array.from({ length: size / 2 ** round }, () => [null, null])
+  }
+
+  const byes = []
+  matchSlots[1].forEach((pair, position) => {
+    pair[0] = slots[position * 2]
+    pair[1] = slots[position * 2 + 1]
+    if (rounds > 1 && (!pair[0] || !pair[1])) {
+      const advancing = pair[0] || pair[1]
+      byes.push(advancing)
+      matchSlots[2][Math.floor(position / 2)][position % 2] = advancing
+    }
+  })
+
+  const matches = []
+  for (let round = 1; round <= rounds; round++) {
+    matchSlots[round].forEach((pair, position) => {
+      // Byes do not get a first-round match
+      if (round === 1 && rounds > 1 && (!pair[0] || !pair[1])) return
+      matches.push({
+        round,
+        position,
+        participants: pair.filter(Boolean),
+        next: round < rounds ? { position: Math.floor(position / 2), slot: position % 2 } : null
+      })
+    })
+  }
+
+  return { rounds, matches, byes }
+}
+
+/**
+ * Get seeds from the league standings (points, then the sport's tie-breakers)
+ * @param {Object} sportDoc - Sport document
+ * @param {string} eventId - Event ID
+ * @param {string} gender - Gender ('Male' or 'Female')
+ * @returns {Promise<Array<string>>} Participants ordered by standing
+ */
+export async function getStandingsSeeds(sportDoc, eventId, gender) {
+  const standings = await getRankedPointsTable(sportDoc, eventId, gender)
+  return standings.map(entry => entry.participant)
+}
+
+/**
+ * Validate that a bracket match result can be recorded or changed
+ * @param {Object} match - Current match document
+ * @param {string|undefined} winner - New winner from the request (undefined if not changing)
+ * @param {string|undefined} status - New status from the request (undefined if not changing)
+ * @returns {Promise<Object|null>} Error object if validation fails, null otherwise
+ */
+export async function validateBracketResultUpdate(match, winner, status) {
+  if (!match.bracket_round) {
+    return null
+  }
+
+  if (status === 'draw') {
+    return {
+      statusCode: 400,
+      message: 'A bracket match cannot end in a draw. Complete the match and declare the winner instead.'
+    }
+  }
+
+  const participants = (match.teams && match.teams.length > 0) ? match.teams : (match.players || [])
+  const recordsResult = winner !== undefined || status === 'completed'
+  if (recordsResult && participants.length < 2) {
+    return {
+      statusCode: 400,
+      message: 'Cannot record a result for this bracket match yet. Both participants advance from previous round matches.'
+    }
+  }
+
+  // A winner that already advanced cannot change once the next match has a result
+  const trimmedWinner = winner !== undefined ? (winner || '').trim() : undefined
+  if (match.next_match_id && match.winner && trimmedWinner !== undefined && trimmedWinner !== match.winner) {
+    const nextMatch = await EventSchedule.findById(match.next_match_id).select('match_number status').lean()
+    if (nextMatch && nextMatch.status !== 'scheduled') {
+      return {
+        statusCode: 400,
+        message: `Cannot change winner. The winner has already played Match #${nextMatch.match_number} (${nextMatch.status}).`
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Advance the winner of a bracket match into its next match
+ * Replaces the previous winner if the result was corrected
+ * @param {Object} match - Updated match document (with winner set)
+ * @param {string|null} previousWinner - Winner before the update
+ * @param {string} updatedBy - reg_number of the user making the change
+ * @returns {Promise<Object|null>} Updated next match, or null if nothing advanced
+ */
+export async function advanceBracketWinner(match, previousWinner, updatedBy) {
+  if (!match.next_match_id || !match.winner || match.winner === previousWinner) {
+    return null
+  }
+
+  const nextMatch = await EventSchedule.findById(match.next_match_id)
+  if (!nextMatch) {
+    logger.warn(`[Bracket] Next match ${match.next_match_id} of match ${match._id} not found`)
+    return null
+  }
+
+  const field = match.teams && match.teams.length > 0 ? 'teams' : 'players'
+  const participants = [...(nextMatch[field] || [])]
+  const previousIndex = previousWinner ? participants.indexOf(previousWinner) : -1
+
+  if (previousIndex !== -1) {
+    participants[previousIndex] = match.winner
+  } else if (participants.length === 0) {
+    participants.push(match.winner)
+  } else if (participants.length === 1) {
+    // Keep participants in slot order so the bracket reads top to bottom
+    if (match.next_match_slot === 0) {
+      participants.unshift(match.winner)
+    } else {
+      participants.push(match.winner)
+    }
+  } else {
+    logger.warn(`[Bracket] Match #${nextMatch.match_number} already has two participants, ${match.winner} not advanced`)
+    return null
+  }
+
+  nextMatch[field] = participants
+  nextMatch.updatedBy = updatedBy
+  await nextMatch.save()
+  return nextMatch
+}
@@ -1,96 +1,336 @@
 /**
  * Cache Utility
- * Simple in-memory cache for backend API responses
- * Can be replaced with Redis for production
+ * Cache for backend API responses with tag-based invalidation
+ * Storage is pluggable: in-memory by default, Redis when CACHE_STORE=redis
+ * (use Redis when running more than one server instance, so a write on one instance invalidates the others)
+ *
+ * Every entry carries tags (see cacheTags) naming the data it was built from, e.g. the event year, the sport or
+ * the player. A write invalidates every dependent response in one call: invalidateCacheTags([...]).
  */
 
-// In-memory cache
-const cache = new Map()
+import Redis from 'ioredis'
+import logger from './logger.js'
 
 // Cache TTL configuration (in milliseconds)
 const CACHE_TTL = {
   '/api/departments': 10000, // 10 seconds
   '/api/event-years/active': 10000, // 10 seconds
+  '/api/event-years/archived': 10000, // 10 seconds
   '/api/sports': 10000, // 10 seconds
   '/api/sports-counts': 10000, // 10 seconds
   default: 5000, // 5 seconds default
 }
 
+// TTL of keys starting with a prefix (data that only changes with writes that invalidate it)
+const CACHE_TTL_BY_PREFIX = {
+  'gender:': 5 * 60 * 1000, // 5 minutes (participant genders, see genderHelpers.js)
+}
+
+// Tag sets outlive every entry they list, so an entry can always be found through its tags
+const TAG_TTL = Math.max(...Object.values(CACHE_TTL), ...Object.values(CACHE_TTL_BY_PREFIX)) * 2
+
 /**
- * Get cache key from URL
+ * Cache tags
+ * An entry is tagged with everything it depends on; writes invalidate by the same tags
  */
-const getCacheKey = (url) => {
-  return url
+export const cacheTags = {
+  // Active and archived event year lookups
+  eventYears: () => 'event-years',
+  // Every entry scoped to one event year
+  event: (eventId) => `event:${eventId}`,
+  // Sport lists and participation counts of an event year
+  sports: (eventId) => `sports:${eventId}`,
+  // Schedule, teams and points table of one sport
+  sport: (eventId, sport) => `sport:${eventId}:${sport}`,
+  // Player lists and /api/me of every event year (personal data)
+  allPlayers: () => 'players',
+  // Player lists and /api/me of an event year (participation, captain and coordinator roles)
+  players: (eventId) => `players:${eventId}`,
+  // /api/me of one player
+  player: (regNumber) => `player:${regNumber}`,
+  // Batches of an event year
+  batches: (eventId) => `batches:${eventId}`,
+  // Overall championship standings of an event year
+  championship: (eventId) => `championship:${eventId}`,
+  // Every participant gender (genderHelpers.js)
+  genders: () => 'genders',
+  // Genders of the teams of one sport
+  teamGenders: (eventId, sport) => `genders:${eventId}:${sport}`,
 }
 
 /**
- * Check if cached data is still valid
+ * Get the TTL of a cache key
+ * @param {string} key - Cache key
+ * @returns {number} TTL in milliseconds
  */
-const isCacheValid = (cacheEntry, url) => {
-  if (!cacheEntry) return false
-  
-  const ttl = CACHE_TTL[url] || CACHE_TTL.default
-  const now = Date.now()
-  return (now - cacheEntry.timestamp) < ttl
+const getTtl = (key) => {
+  if (CACHE_TTL[key]) {
+    return CACHE_TTL[key]
+  }
+  const prefix = Object.keys(CACHE_TTL_BY_PREFIX).find(candidate => key.startsWith(candidate))
+  return prefix ? CACHE_TTL_BY_PREFIX[prefix] : CACHE_TTL.default
 }
 
 /**
- * Get cached data
+ * Create an in-memory store
+ * Entries are lost on restart and not shared between server instances
+ * @returns {Object} Store with get/set/delete/invalidateTags/clear/size/ping/close
  */
-export const getCache = (url) => {
-  const cacheKey = getCacheKey(url)
-  const cached = cache.get(cacheKey)
-  
-  if (cached && isCacheValid(cached, url)) {
-    return cached.data
+export function createMemoryStore() {
+  const entries = new Map()
+  // tag -> Set of keys
+  const tagIndex = new Map()
+
+  const removeEntry = (key) => {
+    const entry = entries.get(key)
+    if (!entry) return
+    entries.delete(key)
+    for (const tag of entry.tags) {
+      const keys = tagIndex.get(tag)
+      if (keys) {
+        keys.delete(key)
+        if (keys.size === 0) tagIndex.delete(tag)
+      }
+    }
   }
-  
-  // Remove expired cache entry
-  if (cached) {
-    cache.delete(cacheKey)
+
+  return {
+    async get(key) {
+      const entry = entries.get(key)
+      if (!entry) return null
+      if (entry.expiresAt <= Date.now()) {
+        removeEntry(key)
+        return null
+      }
+      return entry.data
+    },
+    async set(key, data, ttlMs, tags) {
+      removeEntry(key)
+      entries.set(key, { data, tags, expiresAt: Date.now() + ttlMs })
+      for (const tag of tags) {
+        if (!tagIndex.has(tag)) tagIndex.set(tag, new Set())
+        tagIndex.get(tag).add(key)
+      }
+    },
+    async delete(key) {
+      removeEntry(key)
+    },
+    async invalidateTags(tags) {
+      for (const tag of tags) {
+        const keys = tagIndex.get(tag)
+        if (!keys) continue
+        for (const key of [...keys]) {
+          removeEntry(key)
+        }
+      }
+    },
+    async clear() {
+      entries.clear()
+      tagIndex.clear()
+    },
+    size() {
+      return entries.size
+    },
+    async ping() {},
+    async close() {}
   }
-  
-  return null
 }
 
 /**
- * Set cache data
+ * Serialize a value for Redis (Dates are kept as Dates, everything else as JSON)
+ * @param {*} value - Value to store
+ * @returns {string} Serialized value
+ */
+function serialize(value) {
+  return JSON.stringify(value, function (key, current) {
+    return this[key] instanceof Date ? { $date: this[key].toISOString() } : current
+  })
+}
+
+/**
+ * Deserialize a value stored by serialize
+ * @param {string} text - Serialized value
+ * @returns {*} Value
  */
-export const setCache = (url, data) => {
-  const cacheKey = getCacheKey(url)
-  cache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
+function deserialize(text) {
+  return JSON.parse(text, (key, value) => {
+    return value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1
+      ? new Date(value.$date)
+      : value
   })
 }
 
 /**
- * Clear cache for a specific endpoint or all cache
+ * Create a Redis-backed store (works with any Redis-compatible server, e.g. Redis, Valkey, KeyDB)
+ * Shared between server instances; each tag is a Redis set of the keys tagged with it
+ * Values are stored as JSON, so cached documents come back as plain objects
+ * @param {string} url - Redis connection URL (REDIS_URL)
+ * @returns {Object} Store with get/set/delete/invalidateTags/clear/size/ping/close
+ */
+export function createRedisStore(url) {
+  const prefix = process.env.CACHE_KEY_PREFIX || 'annual-sports:cache:'
+  // Fail fast while Redis is unreachable: a cache miss is better than a request waiting for Redis
+  const client = new Redis(url, { maxRetriesPerRequest: 1, enableOfflineQueue: false })
+  client.on('error', (error) => {
+    logger.warn('[Cache] Redis error:', error.message)
+  })
+
+  const entryKey = (key) => `${prefix}entry:${key}`
+  const tagKey = (tag) => `${prefix}tag:${tag}`
+
+  return {
+    async get(key) {
+      const text = await client.get(entryKey(key))
+      return text === null ? null : deserialize(text)
+    },
+    async set(key, data, ttlMs, tags) {
+      const pipeline = client.multi().set(entryKey(key), serialize(data), 'PX', ttlMs)
+      for (const tag of tags) {
+        pipeline.sadd(tagKey(tag), key).pexpire(tagKey(tag), TAG_TTL)
+      }
+      await pipeline.exec()
+    },
+    async delete(key) {
+      await client.del(entryKey(key))
+    },
+    async invalidateTags(tags) {
+      const tagKeys = tags.map(tagKey)
+      const memberLists = await client.pipeline(tagKeys.map(key => ['smembers', key])).exec()
+      const keys = new Set()
+      for (const [error, members] of memberLists) {
+        if (error) throw error
+        members.forEach(member => keys.add(entryKey(member)))
+      }
+      await client.del(...tagKeys, ...keys)
+    },
+    async clear() {
+      let cursor = '0'
+      do {
+        const [nextCursor, keys] = await client.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 500)
+        if (keys.length > 0) {
+          await client.del(...keys)
+        }
+        cursor = nextCursor
+      } while (cursor !== '0')
+    },
+    size() {
+      // Entries are shared between instances and expire in Redis; not counted per process
+      return null
+    },
+    async ping() {
+      await client.ping()
+    },
+    async close() {
+      await client.quit()
+    }
+  }
+}
+
+const storeName = process.env.CACHE_STORE === 'redis' ? 'redis' : 'memory'
+const store = storeName === 'redis'
+  ? createRedisStore(process.env.REDIS_URL || 'redis://localhost:6379')
+  : createMemoryStore()
+
+// Lookup counters for /metrics (since server start)
+const stats = { hits: 0, misses: 0 }
+
+/**
+ * Get cached data
+ * Store errors are logged and treated as a miss
+ * @param {string} key - Cache key (request URL)
+ * @param {Object} counters - Hit/miss counters to update (defaults to the API response counters)
+ * @returns {Promise<*>} Cached data or null
+ */
+export const getCache = async (key, counters = stats) => {
+  let data = null
+  try {
+    data = await store.get(key)
+  } catch (error) {
+    logger.warn(`[Cache] Error reading ${key}:`, error.message)
+  }
+
+  if (data === null || data === undefined) {
+    counters.misses++
+    return null
+  }
+  counters.hits++
+  return data
+}
+
+/**
+ * Set cache data
+ * @param {string} key - Cache key (request URL)
+ * @param {*} data - Data to cache
+ * @param {string[]} tags - Tags of the data the entry depends on (see cacheTags)
  */
-export const clearCache = (url = null) => {
-  if (url) {
-    const cacheKey = getCacheKey(url)
-    cache.delete(cacheKey)
-  } else {
-    cache.clear()
+export const setCache = async (key, data, tags = []) => {
+  try {
+    await store.set(key, data, getTtl(key), [...new Set(tags)])
+  } catch (error) {
+    logger.warn(`[Cache] Error writing ${key}:`, error.message)
   }
 }
 
 /**
- * Clear all caches matching a pattern
+ * Clear cache for a specific key or all cache
+ * @param {string|null} key - Cache key, or null to clear everything
  */
-export const clearCachePattern = (pattern) => {
-  for (const key of cache.keys()) {
-    if (key.includes(pattern)) {
-      cache.delete(key)
+export const clearCache = async (key = null) => {
+  try {
+    if (key) {
+      await store.delete(key)
+    } else {
+      await store.clear()
     }
+  } catch (error) {
+    logger.error('[Cache] Error clearing cache:', error)
+  }
+}
+
+/**
+ * Invalidate every entry carrying one of the tags
+ * @param {string[]} tags - Tags to invalidate (see cacheTags)
+ */
+export const invalidateCacheTags = async (tags) => {
+  const uniqueTags = [...new Set(tags.filter(Boolean))]
+  if (uniqueTags.length === 0) return
+  try {
+    await store.invalidateTags(uniqueTags)
+  } catch (error) {
+    logger.error(`[Cache] Error invalidating tags ${uniqueTags.join(', ')}:`, error)
   }
 }
 
+/**
+ * Get cache statistics (hits and misses since server start, current entries; entries is null for Redis)
+ */
+export const getCacheStats = () => {
+  return { hits: stats.hits, misses: stats.misses, entries: store.size() }
+}
+
+/**
+ * Check that the cache store answers (health checks)
+ * @returns {Promise<string>} Store name ('memory' or 'redis'); rejects when the store is unreachable
+ */
+export const pingCache = async () => {
+  await store.ping()
+  return storeName
+}
+
+/**
+ * Close the cache store connection (graceful shutdown)
+ */
+export const closeCache = async () => {
+  await store.close()
+}
+
 export default {
   getCache,
   setCache,
   clearCache,
-  clearCachePattern
+  invalidateCacheTags,
+  getCacheStats,
+  pingCache,
+  closeCache,
+  cacheTags
 }
-
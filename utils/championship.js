@@ -0,0 +1,313 @@
+/**
+ * Championship Helper Functions
+ * Overall trophy standings: departments and batches collect points for 1st/2nd/3rd place finishes in every sport
+ */
+
+import Sport from '../models/Sport.js'
+import EventSchedule from '../models/EventSchedule.js'
+import Player from '../models/Player.js'
+import Batch from '../models/Batch.js'
+import Department from '../models/Department.js'
+import { getMatchGender } from './genderHelpers.js'
+import { DEFAULT_CHAMPIONSHIP_POINTS, SPORT_CATEGORIES } from '../constants/index.js'
+
+const PLACES = ['first', 'second', 'third']
+const MEDALS = ['gold', 'silver', 'bronze']
+
+/**
+ * Validate and normalize the championship points of an event year
+ * Missing places fall back to DEFAULT_CHAMPIONSHIP_POINTS
+ * @param {any} championshipPoints - Array of { category, first, second, third }, or null for the defaults
+ * @returns {Object} { isValid: boolean, value: Array|null, error: string|null }
+ */
+export function validateChampionshipPoints(championshipPoints) {
+  if (championshipPoints === null || championshipPoints === undefined) {
+    return { isValid: true, value: [], error: null }
+  }
+  if (!Array.isArray(championshipPoints)) {
+    return { isValid: false, value: null, error: 'championship_points must be an array' }
+  }
+
+  const categories = new Set()
+  const value = []
+  for (const entry of championshipPoints) {
+    if (!entry || typeof entry !== 'object' || !SPORT_CATEGORIES.includes(entry.category)) {
+      return { isValid: false, value: null, error: `championship_points category must be one of: ${SPORT_CATEGORIES.join(', ')}` }
+    }
+    if (categories.has(entry.category)) {
+      return { isValid: false, value: null, error: `championship_points has more than one entry for "${entry.category}"` }
+    }
+    categories.add(entry.category)
+
+    const points = { category: entry.category }
+    for (const place of PLACES) {
+      const raw = entry[place]
+      const parsed = raw === undefined || raw === null || raw === '' ? DEFAULT_CHAMPIONSHIP_POINTS[place] : Number(raw)
+      if (!Number.isInteger(parsed) || parsed < 0 || parsed > 100) {
+        return { isValid: false, value: null, error: `championship_points.${place} must be a whole number between 0 and 100` }
+      }
+      points[place] = parsed
+    }
+    if (points.first < points.second || points.second < points.third) {
+      return { isValid: false, value: null, error: `championship_points for "${entry.category}" cannot award more points to a lower place` }
+    }
+    value.push(points)
+  }
+
+  return { isValid: true, value, error: null }
+}
+
+/**
+ * Get the championship points of every sport category (defaults for categories without configured points)
+ * @param {Object|null} eventYearDoc - Event year document
+ * @returns {Object} Map of category -> { first, second, third }
+ */
+export function getChampionshipPoints(eventYearDoc) {
+  const configured = eventYearDoc?.championship_points || []
+  const points = {}
+  SPORT_CATEGORIES.forEach(category => {
+    const entry = configured.find(c => c.category === category)
+    points[category] = entry
+      ? { first: entry.first, second: entry.second, third: entry.third }
+      : { ...DEFAULT_CHAMPIONSHIP_POINTS }
+  })
+  return points
+}
+
+/**
+ * Get the 1st/2nd/3rd places of one final match
+ * Dual sports: winner 1st, runner-up 2nd (a drawn final makes both joint 1st) and the
+ * losers of the finalists' last knockout matches (semi-finals) joint 3rd
+ * Multi sports: qualifiers with positions 1-3
+ * @param {Object} finalMatch - Completed (or drawn) final match
+ * @param {Object} sportDoc - Sport document
+ * @param {Array} knockoutMatches - Completed knockout matches of the sport
+ * @returns {Array} [{ place: 1|2|3, participant }]
+ */
+function getFinalPlacings(finalMatch, sportDoc, knockoutMatches) {
+  const isDual = sportDoc.type === 'dual_team' || sportDoc.type === 'dual_player'
+  if (!isDual) {
+    return (finalMatch.qualifiers || [])
+      .filter(q => q.position >= 1 && q.position <= 3)
+      .sort((a, b) => a.position - b.position)
+      .map(q => ({ place: q.position, participant: q.participant.trim() }))
+  }
+
+  const participants = (sportDoc.type === 'dual_team' ? finalMatch.teams : finalMatch.players).map(p => p.trim())
+  if (participants.length !== 2) {
+    return []
+  }
+
+  let placings
+  if (finalMatch.status === 'draw') {
+    placings = participants.map(participant => ({ place: 1, participant }))
+  } else {
+    const winner = finalMatch.winner ? finalMatch.winner.trim() : null
+    if (!winner || !participants.includes(winner)) {
+      return []
+    }
+    placings = [
+      { place: 1, participant: winner },
+      { place: 2, participant: participants.find(p => p !== winner) }
+    ]
+  }
+
+  // Semi-final losers: the opponent of each finalist in the latest knockout match they won
+  participants.forEach(finalist => {
+    const semiFinal = knockoutMatches
+      .filter(m => m.winner && m.winner.trim() === finalist)
+      .sort((a, b) => new Date(b.match_date) - new Date(a.match_date) || b.match_number - a.match_number)[0]
+    if (!semiFinal) {
+      return
+    }
+    const semiParticipants = (sportDoc.type === 'dual_team' ? semiFinal.teams : semiFinal.players).map(p => p.trim())
+    const loser = semiParticipants.find(p => p !== finalist)
+    if (loser && !placings.some(p => p.participant === loser)) {
+      placings.push({ place: 3, participant: loser })
+    }
+  })
+
+  return placings
+}
+
+/**
+ * Department of a team: the department most of its players belong to (captain's department on a tie)
+ * @param {Object} team - Team from Sport.teams_participated
+ * @param {Map} playersByRegNumber - reg_number -> player
+ * @returns {string|null} Department name
+ */
+function getTeamDepartment(team, playersByRegNumber) {
+  const counts = new Map()
+  team.players.forEach(regNumber => {
+    const department = playersByRegNumber.get(regNumber)?.department_branch
+    if (department) {
+      counts.set(department, (counts.get(department) || 0) + 1)
+    }
+  })
+  const captainDepartment = playersByRegNumber.get(team.captain)?.department_branch || null
+  let best = captainDepartment
+  let bestCount = captainDepartment ? (counts.get(captainDepartment) || 0) : 0
+  counts.forEach((count, department) => {
+    if (count > bestCount) {
+      best = department
+      bestCount = count
+    }
+  })
+  return best
+}
+
+/**
+ * Sort tally rows by points, then golds, silvers, bronzes and name; equal rows share a position
+ * @param {Array} rows - [{ name, points, gold, silver, bronze }]
+ * @returns {Array} Sorted rows with position
+ */
+function rankTally(rows) {
+  const sorted = [...rows].sort((a, b) =>
+    b.points - a.points ||
+    b.gold - a.gold ||
+    b.silver - a.silver ||
+    b.bronze - a.bronze ||
+    a.name.localeCompare(b.name)
+  )
+  let position = 0
+  return sorted.map((row, index) => {
+    const previous = sorted[index - 1]
+    const tied = previous &&
+      previous.points === row.points &&
+      previous.gold === row.gold &&
+      previous.silver === row.silver &&
+      previous.bronze === row.bronze
+    if (!tied) {
+      position = index + 1
+    }
+    return { ...row, position }
+  })
+}
+
+/**
+ * Build the championship standings of an event year
+ * Every completed final awards its category's points to the department and batch of each placed participant
+ * @param {Object} eventYearDoc - Event year document
+ * @returns {Promise<Object>} { event_id, points, departments, batches, sports }
+ */
+export async function buildChampionshipStandings(eventYearDoc) {
+  const eventId = eventYearDoc.event_id
+  const points = getChampionshipPoints(eventYearDoc)
+
+  const [sports, matches, departments, batches] = await Promise.all([
+    Sport.find({ event_id: eventId }).sort({ category: 1, name: 1 }).lean(),
+    EventSchedule.find({
+      event_id: eventId,
+      match_type: { $in: ['knockout', 'final'] },
+      status: { $in: ['completed', 'draw'] }
+    }).lean(),
+    Department.find().sort({ display_order: 1, name: 1 }).lean(),
+    Batch.find({ event_id: eventId }).lean()
+  ])
+
+  // Placings of every completed final
+  const sportResults = []
+  for (const sportDoc of sports) {
+    const sportMatches = matches.filter(m => m.sports_name === sportDoc.name)
+    const finals = sportMatches.filter(m => m.match_type === 'final')
+    const knockoutMatches = sportMatches.filter(m => m.match_type === 'knockout' && m.status === 'completed')
+
+    for (const finalMatch of finals) {
+      const placings = getFinalPlacings(finalMatch, sportDoc, knockoutMatches)
+      if (placings.length === 0) {
+        continue
+      }
+      sportResults.push({
+        sportDoc,
+        gender: await getMatchGender(finalMatch, sportDoc),
+        placings
+      })
+    }
+  }
+
+  // Department and batch of every placed participant
+  const regNumbers = new Set()
+  sportResults.forEach(({ sportDoc, placings }) => {
+    placings.forEach(({ participant }) => {
+      if (sportDoc.type === 'dual_team' || sportDoc.type === 'multi_team') {
+        const team = (sportDoc.teams_participated || []).find(t => t.team_name === participant)
+        team?.players.forEach(regNumber => regNumbers.add(regNumber))
+      } else {
+        regNumbers.add(participant)
+      }
+    })
+  })
+  const players = await Player.find({ reg_number: { $in: [...regNumbers] } })
+    .select('reg_number full_name department_branch')
+    .lean()
+  const playersByRegNumber = new Map(players.map(p => [p.reg_number, p]))
+  const batchByRegNumber = new Map()
+  batches.forEach(batch => batch.players.forEach(regNumber => batchByRegNumber.set(regNumber, batch.name)))
+
+  const departmentTally = new Map(departments.map(d => [d.name, { name: d.name, points: 0, gold: 0, silver: 0, bronze: 0 }]))
+  const batchTally = new Map(batches.map(b => [b.name, { name: b.name, points: 0, gold: 0, silver: 0, bronze: 0 }]))
+  const award = (tally, name, place, placePoints) => {
+    if (!name) {
+      return
+    }
+    if (!tally.has(name)) {
+      tally.set(name, { name, points: 0, gold: 0, silver: 0, bronze: 0 })
+    }
+    const row = tally.get(name)
+    row.points += placePoints
+    row[MEDALS[place - 1]] += 1
+  }
+
+  const sportsBreakdown = sportResults.map(({ sportDoc, gender, placings }) => ({
+    sport: sportDoc.name,
+    category: sportDoc.category,
+    type: sportDoc.type,
+    gender,
+    completed: true,
+    placings: placings.map(({ place, participant }) => {
+      let department = null
+      let batch = null
+      let participantName = participant
+      if (sportDoc.type === 'dual_team' || sportDoc.type === 'multi_team') {
+        const team = (sportDoc.teams_participated || []).find(t => t.team_name === participant)
+        if (team) {
+          department = getTeamDepartment(team, playersByRegNumber)
+          batch = batchByRegNumber.get(team.captain) || null
+        }
+      } else {
+        const player = playersByRegNumber.get(participant)
+        department = player?.department_branch || null
+        batch = batchByRegNumber.get(participant) || null
+        participantName = player?.full_name || participant
+      }
+
+      const placePoints = points[sportDoc.category]?.[PLACES[place - 1]] ?? 0
+      award(departmentTally, department, place, placePoints)
+      award(batchTally, batch, place, placePoints)
+      return { place, participant, participant_name: participantName, department, batch, points: placePoints }
+    })
+  }))
+
+  // Sports still waiting for their final result
+  const decidedSports = new Set(sportResults.map(r => r.sportDoc.name))
+  sports
+    .filter(sportDoc => !decidedSports.has(sportDoc.name))
+    .forEach(sportDoc => {
+      sportsBreakdown.push({
+        sport: sportDoc.name,
+        category: sportDoc.category,
+        type: sportDoc.type,
+        gender: null,
+        completed: false,
+        placings: []
+      })
+    })
+
+  return {
+    event_id: eventId,
+    points,
+    departments: rankTally([...departmentTally.values()]),
+    batches: rankTally([...batchTally.values()]),
+    sports: sportsBreakdown
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Email Outbox Worker
+ * Sends queued notification emails (EmailOutbox) in the background. An email is claimed atomically before it is
+ * sent, so several server instances can share the outbox; failed sends are retried with exponential backoff until
+ * they reach their maximum number of attempts.
+ */
+
+import EmailOutbox from '../models/EmailOutbox.js'
+import logger from './logger.js'
+import { sendEmail } from './emailService.js'
+import {
+  NOTIFICATION_RETRY_BASE_SECONDS,
+  NOTIFICATION_SEND_LEASE_SECONDS,
+  NOTIFICATION_WORKER_INTERVAL_SECONDS,
+  NOTIFICATION_WORKER_BATCH_SIZE,
+  NOTIFICATION_OUTBOX_RETENTION_DAYS
+} from '../constants/index.js'
+
+let workerTimer = null
+// Promise of the run in progress (null when idle)
+let currentRun = null
+let wakeScheduled = false
+
+/**
+ * Get the time a finished (sent or failed) email is removed
+ * @returns {Date} Expiry date
+ */
+function getRetentionExpiry() {
+  return new Date(Date.now() + NOTIFICATION_OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+}
+
+/**
+ * Get the delay before the next attempt of an email (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelayMs(attempts) {
+  return NOTIFICATION_RETRY_BASE_SECONDS * 1000 * Math.pow(2, Math.max(0, attempts - 1))
+}
+
+/**
+ * Claim the next due email: it is pushed forward by the send lease so no other worker picks it up meanwhile
+ * @returns {Promise<Object|null>} Claimed email or null when none is due
+ */
+async function claimNextEmail() {
+  const now = new Date()
+  return EmailOutbox.findOneAndUpdate(
+    { status: 'pending', next_attempt_at: { $lte: now } },
+    {
+      $inc: { attempts: 1 },
+      $set: { next_attempt_at: new Date(now.getTime() + NOTIFICATION_SEND_LEASE_SECONDS * 1000) }
+    },
+    { sort: { next_attempt_at: 1 }, new: true }
+  )
+}
+
+/**
+ * Send a claimed email and record the outcome
+ * @param {Object} email - Claimed email
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+async function deliverEmail(email) {
+  try {
+    await sendEmail({ to: email.to, subject: email.subject, html: email.html, text: email.text })
+    await EmailOutbox.updateOne(
+      { _id: email._id },
+      { $set: { status: 'sent', sent_at: new Date(), last_error: null, expires_at: getRetentionExpiry() } }
+    )
+    return true
+  } catch (error) {
+    const failed = email.attempts >= email.max_attempts
+    await EmailOutbox.updateOne(
+      { _id: email._id },
+      {
+        $set: failed
+          ? { status: 'failed', last_error: error.message, expires_at: getRetentionExpiry() }
+          : { last_error: error.message, next_attempt_at: new Date(Date.now() + getRetryDelayMs(email.attempts)) }
+      }
+    )
+    logger.warn(`[EmailOutbox] Attempt ${email.attempts}/${email.max_attempts} to send ${email.type} email to ${email.reg_number} failed: ${error.message}`)
+    return false
+  }
+}
+
+/**
+ * Send one batch of due emails
+ * @returns {Promise<Object>} { sent, failed }
+ */
+async function sendDueEmails() {
+  const result = { sent: 0, failed: 0 }
+  try {
+    for (let i = 0; i < NOTIFICATION_WORKER_BATCH_SIZE; i++) {
+      const email = await claimNextEmail()
+      if (!email) {
+        break
+      }
+      if (await deliverEmail(email)) {
+        result.sent++
+      } else {
+        result.failed++
+      }
+    }
+  } catch (error) {
+    logger.error('[EmailOutbox] Error processing outbox:', error)
+  }
+  return result
+}
+
+/**
+ * Send the due emails of the outbox (at most one batch per run; runs never overlap within a process)
+ * @returns {Promise<Object>} { sent, failed }
+ */
+export async function processOutbox() {
+  if (currentRun) {
+    return { sent: 0, failed: 0 }
+  }
+  currentRun = sendDueEmails()
+  try {
+    return await currentRun
+  } finally {
+    currentRun = null
+  }
+}
+
+/**
+ * Process the outbox soon without waiting for the next interval (called after emails are queued)
+ * Does nothing until the worker has been started
+ */
+export function wakeOutboxWorker() {
+  if (!workerTimer || wakeScheduled) {
+    return
+  }
+  wakeScheduled = true
+  setImmediate(() => {
+    wakeScheduled = false
+    processOutbox()
+  })
+}
+
+/**
+ * Start processing the outbox periodically (does not keep the process alive on its own)
+ */
+export function startOutboxWorker() {
+  if (workerTimer) {
+    return
+  }
+  workerTimer = setInterval(processOutbox, NOTIFICATION_WORKER_INTERVAL_SECONDS * 1000)
+  workerTimer.unref()
+  processOutbox()
+}
+
+/**
+ * Stop processing the outbox
+ * @returns {Promise<void>} Resolves once the run in progress (if any) has finished, so no send is cut off midway
+ */
+export async function stopOutboxWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer)
+    workerTimer = null
+  }
+  if (currentRun) {
+    await currentRun
+  }
+}
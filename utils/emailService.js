@@ -2,6 +2,7 @@
  * Email Service
  * Handles sending emails using nodemailer
  * Supports multiple email providers (Gmail SMTP, SendGrid, Resend, etc.)
+ * Notification emails are not sent from here directly: they are queued in the outbox (utils/emailOutbox.js)
  */
 
 import nodemailer from 'nodemailer'
@@ -90,12 +91,14 @@ function createTransporter() {
 
 /**
  * Send password reset email
+ * Contains a single-use reset code - the account password is not changed until the code is confirmed
  * @param {string} toEmail - Recipient email address
- * @param {string} newPassword - New password to send
+ * @param {string} resetToken - Single-use reset token to send
  * @param {string} recipientName - Recipient name (optional)
+ * @param {number} expiresInMinutes - Token lifetime shown in the email
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export async function sendPasswordResetEmail(toEmail, newPassword, recipientName = null) {
+export async function sendPasswordResetEmail(toEmail, resetToken, recipientName = null, expiresInMinutes = 30) {
   try {
     const transporter = createTransporter()
     
@@ -143,17 +146,18 @@ export async function sendPasswordResetEmail(toEmail, newPassword, recipientName
               text-align: center;
               margin: -30px -30px 20px -30px;
             }
-            .password-box {
+            .token-box {
               background-color: #fff;
               border: 2px solid #667eea;
               border-radius: 8px;
               padding: 20px;
               margin: 20px 0;
               text-align: center;
-              font-size: 24px;
+              font-family: monospace;
+              font-size: 16px;
               font-weight: bold;
               color: #667eea;
-              letter-spacing: 2px;
+              word-break: break-all;
             }
             .warning {
               background-color: #fff3cd;
@@ -181,19 +185,19 @@ export async function sendPasswordResetEmail(toEmail, newPassword, recipientName
             
             <p>Hello ${recipientName || 'User'},</p>
             
-            <p>You have requested to reset your password for your account. Your new temporary password is:</p>
+            <p>You have requested to reset your password for your account. Your password reset code is:</p>
             
-            <div class="password-box">
-              ${newPassword}
+            <div class="token-box">
+              ${resetToken}
             </div>
             
             <div class="warning">
-              <strong>⚠️ Important:</strong> For security reasons, you will be required to change this password immediately after logging in.
+              <strong>⚠️ Important:</strong> This code can be used only once and expires in ${expiresInMinutes} minutes.
             </div>
             
-            <p>Please use this password to log in, and then change it to a password of your choice.</p>
+            <p>Enter this code in the Reset Password window along with your new password. Your current password keeps working until you do.</p>
             
-            <p>If you did not request this password reset, please contact the administrator immediately.</p>
+            <p>If you did not request this password reset, you can safely ignore this email.</p>
             
             <div class="footer">
               <p>This is an automated email. Please do not reply to this message.</p>
@@ -208,15 +212,15 @@ Password Reset - ${appName}
 
 Hello ${recipientName || 'User'},
 
-You have requested to reset your password for your account. Your new temporary password is:
+You have requested to reset your password for your account. Your password reset code is:
 
-${newPassword}
+${resetToken}
 
-IMPORTANT: For security reasons, you will be required to change this password immediately after logging in.
+IMPORTANT: This code can be used only once and expires in ${expiresInMinutes} minutes.
 
-Please use this password to log in, and then change it to a password of your choice.
+Enter this code in the Reset Password window along with your new password. Your current password keeps working until you do.
 
-If you did not request this password reset, please contact the administrator immediately.
+If you did not request this password reset, you can safely ignore this email.
 
 This is an automated email. Please do not reply to this message.
 
@@ -241,6 +245,110 @@ This is an automated email. Please do not reply to this message.
   }
 }
 
+// Transporter shared by outbox sends (undefined until first use, null when email is not configured)
+let sharedTransporter
+
+/**
+ * Get the shared transporter, creating it on first use
+ * @returns {Object|null} Nodemailer transporter or null when email is not configured
+ */
+function getSharedTransporter() {
+  if (sharedTransporter === undefined) {
+    sharedTransporter = createTransporter()
+  }
+  return sharedTransporter
+}
+
+/**
+ * Check if an email provider is configured
+ * @returns {boolean} True if emails can be sent
+ */
+export function isEmailConfigured() {
+  return getSharedTransporter() !== null
+}
+
+/**
+ * Escape text for use in email HTML
+ * @param {any} value - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Render a notification email in the application's email layout
+ * @param {Object} content - { heading, recipientName, lines: [string], footerNote }
+ * @returns {Object} { html, text }
+ */
+export function renderEmailLayout({ heading, recipientName, lines, footerNote }) {
+  const appName = process.env.APP_NAME || 'Sports Event Management System'
+  const year = new Date().getFullYear()
+  const html = `
+<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"></head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background-color: #f9f9f9; border-radius: 10px; padding: 30px; border: 1px solid #ddd;">
+    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 10px 10px 0 0; text-align: center; margin: -30px -30px 20px -30px;">
+      <h1 style="margin: 0;">${escapeHtml(appName)}</h1>
+      <h2 style="margin: 8px 0 0 0;">${escapeHtml(heading)}</h2>
+    </div>
+    <p>Hello ${escapeHtml(recipientName || 'User')},</p>
+    ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n    ')}
+    <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; text-align: center; color: #666; font-size: 12px;">
+      <p>${escapeHtml(footerNote || 'This is an automated email. Please do not reply to this message.')}</p>
+      <p>&copy; ${year} ${escapeHtml(appName)}. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>
+`.trim()
+
+  const text = [
+    `${heading} - ${appName}`,
+    '',
+    `Hello ${recipientName || 'User'},`,
+    '',
+    ...lines.flatMap(line => [line, '']),
+    footerNote || 'This is an automated email. Please do not reply to this message.',
+    '',
+    `© ${year} ${appName}. All rights reserved.`
+  ].join('\n')
+
+  return { html, text }
+}
+
+/**
+ * Send an email (used by the notification outbox worker)
+ * Unlike sendPasswordResetEmail, errors are thrown so the outbox can schedule a retry
+ * @param {Object} email - { to, subject, html, text }
+ * @returns {Promise<string>} Message ID
+ */
+export async function sendEmail({ to, subject, html, text }) {
+  const transporter = getSharedTransporter()
+  if (!transporter) {
+    throw new Error('Email service not configured')
+  }
+
+  const fromEmail = process.env.EMAIL_FROM || process.env.GMAIL_USER || 'noreply@sportsevent.com'
+  const fromName = process.env.EMAIL_FROM_NAME || 'Sports Event Management'
+
+  const info = await transporter.sendMail({
+    from: `"${fromName}" <${fromEmail}>`,
+    to,
+    subject,
+    html,
+    text
+  })
+  return info.messageId
+}
+
 /**
  * Verify email transporter configuration
  * @returns {Promise<boolean>} True if email service is properly configured
@@ -7,6 +7,7 @@ import logger from './logger.js'
 
 /**
  * Standard error response format
+ * Server errors (5xx) include the request ID so users can quote it when reporting the problem
  */
 export const sendErrorResponse = (res, statusCode, message, details = null) => {
   const response = {
@@ -14,6 +15,10 @@ export const sendErrorResponse = (res, statusCode, message, details = null) => {
     error: message,
   }
 
+  if (statusCode >= 500 && res.req && res.req.id) {
+    response.request_id = res.req.id
+  }
+
   if (details && process.env.NODE_ENV === 'development') {
     response.details = details
   }
@@ -37,9 +42,36 @@ export const sendSuccessResponse = (res, data = {}, message = null, statusCode =
   return res.status(statusCode).json(response)
 }
 
+/**
+ * Scheduling conflict response format (409)
+ * conflicts is a list of structured conflict objects so clients can show which matches clash
+ */
+export const sendConflictResponse = (res, message, conflicts) => {
+  return res.status(409).json({
+    success: false,
+    error: message,
+    conflicts,
+  })
+}
+
+/**
+ * Request validation response format (400)
+ * error joins every message (as other 400 responses do); errors lists them per field so forms can mark each input
+ * @param {Object} res - Express response
+ * @param {Array} errors - [{ location: 'body' | 'query' | 'params', field, message }]
+ */
+export const sendValidationErrorResponse = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    error: errors.map(error => error.message).join('; '),
+    errors,
+  })
+}
+
 /**
  * Async route handler wrapper
  * Catches errors and sends appropriate error responses
+ * The error is logged with the request ID, which is also returned in the response body
  */
 export const asyncHandler = (fn) => {
   return (req, res, next) => {
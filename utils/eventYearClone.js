@@ -0,0 +1,189 @@
+/**
+ * Event Year Clone Helper Functions
+ * Copies the setup of an event year (sports, batches, coordinators, points rules) into a new event year
+ * Participants, teams, matches and points tables are never copied
+ */
+
+import EventYear from '../models/EventYear.js'
+import Sport from '../models/Sport.js'
+import Batch from '../models/Batch.js'
+import Player from '../models/Player.js'
+import { validateNewEventYearDates } from './yearHelpers.js'
+
+export const CLONE_PARTS = ['sports', 'batches', 'coordinators', 'points_rules']
+
+/**
+ * Shift a date by a number of years (29 Feb falls back to 28 Feb in non-leap years)
+ * @param {Date|string} date - Date to shift
+ * @param {number} years - Number of years to add
+ * @returns {Date} Shifted date
+ */
+function shiftDateByYears(date, years) {
+  const shifted = new Date(date)
+  const month = shifted.getMonth()
+  shifted.setFullYear(shifted.getFullYear() + years)
+  if (shifted.getMonth() !== month) {
+    shifted.setDate(0)
+  }
+  return shifted
+}
+
+/**
+ * Build the event_id of an event year (same rule as the EventYear pre-validate hook)
+ * @param {number} eventYear - Event year
+ * @param {string} eventName - Event name
+ * @returns {string} event_id
+ */
+function buildEventId(eventYear, eventName) {
+  return `${eventYear}-${eventName.toLowerCase().trim().replace(/\s+/g, '-')}`.toLowerCase()
+}
+
+/**
+ * Validate the parts of an event year to clone
+ * Coordinators are stored on sports, so they need sports
+ * @param {any} include - { sports, batches, coordinators, points_rules } booleans (omitted parts default to true, coordinators to sports)
+ * @returns {Object} { isValid: boolean, value: Object|null, error: string|null }
+ */
+export function validateCloneParts(include) {
+  if (include === undefined || include === null) {
+    return { isValid: true, value: Object.fromEntries(CLONE_PARTS.map(part => [part, true])), error: null }
+  }
+  if (typeof include !== 'object' || Array.isArray(include)) {
+    return { isValid: false, value: null, error: `include must be an object with boolean fields: ${CLONE_PARTS.join(', ')}` }
+  }
+
+  const value = {}
+  for (const part of CLONE_PARTS) {
+    if (include[part] !== undefined && typeof include[part] !== 'boolean') {
+      return { isValid: false, value: null, error: `include.${part} must be a boolean` }
+    }
+    value[part] = include[part] !== false
+  }
+  // Coordinators follow sports unless set explicitly
+  if (include.coordinators === undefined) {
+    value.coordinators = value.sports
+  }
+  if (!value.sports && value.coordinators) {
+    return { isValid: false, value: null, error: 'Coordinators can only be cloned together with sports' }
+  }
+  return { isValid: true, value, error: null }
+}
+
+/**
+ * Build the plan of a clone: the new event year and everything that will be created for it
+ * @param {Object} sourceDoc - Source event year document
+ * @param {Object} options - Clone options
+ * @param {number} options.eventYear - New event year
+ * @param {string} options.eventName - New event name
+ * @param {Object} [options.registrationDates] - New registration dates (default: source dates shifted by the year difference)
+ * @param {Object} [options.eventDates] - New event dates (default: source dates shifted by the year difference)
+ * @param {Object} options.include - Parts to clone (from validateCloneParts)
+ * @returns {Promise<Object>} { isValid, error, statusCode, plan: { event_year, sports, batches, skipped_coordinators } }
+ */
+export async function buildEventYearClonePlan(sourceDoc, { eventYear, eventName, registrationDates, eventDates, include }) {
+  const eventId = buildEventId(eventYear, eventName)
+  if (eventId === sourceDoc.event_id) {
+    return { isValid: false, statusCode: 400, error: 'The new event year must differ from the event year being cloned' }
+  }
+  if (await EventYear.exists({ event_id: eventId })) {
+    return { isValid: false, statusCode: 409, error: 'Event year and event name combination already exists' }
+  }
+
+  const yearShift = eventYear - sourceDoc.event_year
+  const registration_dates = registrationDates || {
+    start: shiftDateByYears(sourceDoc.registration_dates.start, yearShift),
+    end: shiftDateByYears(sourceDoc.registration_dates.end, yearShift)
+  }
+  const event_dates = eventDates || {
+    start: shiftDateByYears(sourceDoc.event_dates.start, yearShift),
+    end: shiftDateByYears(sourceDoc.event_dates.end, yearShift)
+  }
+  const dateValidation = validateNewEventYearDates(registration_dates, event_dates)
+  if (!dateValidation.isValid) {
+    return { isValid: false, statusCode: 400, error: dateValidation.error }
+  }
+
+  const [sports, batches] = await Promise.all([
+    include.sports ? Sport.find({ event_id: sourceDoc.event_id }).sort({ category: 1, name: 1 }).lean() : [],
+    include.batches ? Batch.find({ event_id: sourceDoc.event_id }).sort({ name: 1 }).lean() : []
+  ])
+
+  // Coordinators who are no longer registered players are left out
+  let existingCoordinators = new Set()
+  if (include.coordinators) {
+    const coordinatorRegNumbers = [...new Set(sports.flatMap(s => s.eligible_coordinators || []))]
+    const players = await Player.find({ reg_number: { $in: coordinatorRegNumbers } }).select('reg_number').lean()
+    existingCoordinators = new Set(players.map(p => p.reg_number))
+  }
+  const skippedCoordinators = []
+
+  const plannedSports = sports.map(sport => {
+    const coordinators = include.coordinators ? (sport.eligible_coordinators || []) : []
+    coordinators
+      .filter(regNumber => !existingCoordinators.has(regNumber))
+      .forEach(regNumber => skippedCoordinators.push({ sport: sport.name, reg_number: regNumber }))
+    return {
+      name: sport.name,
+      type: sport.type,
+      category: sport.category,
+      team_size: sport.team_size ?? null,
+      reserve_slots: sport.reserve_slots || 0,
+      imageUri: sport.imageUri || null,
+      scoring: sport.scoring || null,
+      points_rules: include.points_rules ? (sport.points_rules || null) : null,
+      eligible_coordinators: coordinators.filter(regNumber => existingCoordinators.has(regNumber))
+    }
+  })
+
+  return {
+    isValid: true,
+    statusCode: 200,
+    error: null,
+    plan: {
+      event_year: {
+        event_id: eventId,
+        event_year: eventYear,
+        event_name: eventName.toLowerCase().trim(),
+        registration_dates,
+        event_dates,
+        event_organizer: sourceDoc.event_organizer,
+        event_title: sourceDoc.event_title,
+        event_highlight: sourceDoc.event_highlight,
+        championship_points: include.points_rules ? (sourceDoc.championship_points || []) : [],
+        status: 'draft'
+      },
+      sports: plannedSports,
+      batches: batches.map(batch => ({ name: batch.name })),
+      skipped_coordinators: skippedCoordinators
+    }
+  }
+}
+
+/**
+ * Create the event year, sports and batches of a clone plan
+ * All-or-nothing: if any write fails, everything created for the new event year is removed again
+ * @param {Object} plan - Plan from buildEventYearClonePlan
+ * @param {string} createdBy - reg_number of the admin cloning the event year
+ * @returns {Promise<Object>} Created event year document
+ */
+export async function commitEventYearClone(plan, createdBy) {
+  const eventId = plan.event_year.event_id
+  const eventYear = new EventYear({ ...plan.event_year, createdBy })
+  await eventYear.save()
+
+  try {
+    for (const sport of plan.sports) {
+      await new Sport({ ...sport, event_id: eventId, createdBy }).save()
+    }
+    for (const batch of plan.batches) {
+      await new Batch({ name: batch.name, event_id: eventId, players: [], createdBy }).save()
+    }
+  } catch (error) {
+    await Sport.deleteMany({ event_id: eventId })
+    await Batch.deleteMany({ event_id: eventId })
+    await EventYear.deleteOne({ _id: eventYear._id })
+    throw error
+  }
+
+  return eventYear
+}
@@ -0,0 +1,148 @@
+/**
+ * League Fixture Helpers
+ * Round-robin fixture generation, group splitting and match day allocation
+ */
+
+import { parseTimeToMinutes, formatMinutesAsTime } from './scheduleConflicts.js'
+
+/**
+ * Split participants into groups (snake order, so seeded participants are spread evenly)
+ * @param {Array<string>} participants - Participants in seed order
+ * @param {number} groupCount - Number of groups
+ * @returns {Array<Object>} [{ name: 'A', participants: [...] }]
+ */
+export function splitIntoGroups(participants, groupCount) {
+  const groups = Array.from({ length: groupCount }, (_, index) => ({
+    name: groupCount > 1 ? String.fromCharCode(65 + index) : null,
+    participants: []
+  }))
+
+  participants.forEach((participant, index) => {
+    const pass = Math.floor(index / groupCount)
+    const offset = index % groupCount
+    const groupIndex = pass % 2 === 0 ? offset : groupCount - 1 - offset
+    groups[groupIndex].participants.push(participant)
+  })
+
+  return groups
+}
+
+/**
+ * Build a round-robin schedule using the circle method
+ * Odd participant counts get a bye each round; every participant plays at most once per round
+ * @param {Array<string>} participants - Participants
+ * @param {Object} options - { doubleRoundRobin } - second leg repeats every pairing with sides swapped
+ * @returns {Array<Object>} [{ round, participants: [home, away] }] ordered by round
+ */
+export function buildRoundRobin(participants, { doubleRoundRobin = false } = {}) {
+  const rotation = participants.length % 2 === 0 ? [...participants] : [...participants, null]
+  const roundCount = rotation.length - 1
+  const half = rotation.length / 2
+  const fixtures = []
+
+  for (let round = 1; round <= roundCount; round++) {
+    for (let i = 0; i < half; i++) {
+      const home = rotation[i]
+      const away = rotation[rotation.length - 1 - i]
+      if (home && away) {
+        // Alternate sides so nobody is always listed first
+        fixtures.push({ round, participants: round % 2 === 0 ? [away, home] : [home, away] })
+      }
+    }
+    // Keep the first participant fixed and rotate the rest clockwise
+    rotation.splice(1, 0, rotation.pop())
+  }
+
+  if (doubleRoundRobin) {
+    const firstLeg = [...fixtures]
+    firstLeg.forEach(fixture => {
+      fixtures.push({ round: fixture.round + roundCount, participants: [fixture.participants[1], fixture.participants[0]] })
+    })
+  }
+
+  return fixtures
+}
+
+/**
+ * Get a date key (YYYY-MM-DD, local time) for per-day bookkeeping
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+export function getDateKey(date) {
+  const d = new Date(date)
+  const month = String(d.getMonth() + 1).padStart(2, '0')
+  const day = String(d.getDate()).padStart(2, '0')
+  return `${d.getFullYear()}-${month}-${day}`
+}
+
+/**
+ * Get the match days available for fixtures: event days from today onwards, optionally narrowed
+ * @param {Object} eventYearDoc - Event year document
+ * @param {Object} options - { from, to } optional Date bounds (inclusive)
+ * @returns {Array<Date>} Days at local midnight
+ */
+export function getFixtureDays(eventYearDoc, { from = null, to = null } = {}) {
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+
+  const start = new Date(eventYearDoc.event_dates.start)
+  start.setHours(0, 0, 0, 0)
+  const end = new Date(eventYearDoc.event_dates.end)
+  end.setHours(0, 0, 0, 0)
+
+  const first = new Date(Math.max(start, today, from ? new Date(from).setHours(0, 0, 0, 0) : start))
+  const last = new Date(Math.min(end, to ? new Date(to).setHours(0, 0, 0, 0) : end))
+
+  const days = []
+  for (const day = new Date(first); day <= last; day.setDate(day.getDate() + 1)) {
+    days.push(new Date(day))
+  }
+  return days
+}
+
+/**
+ * Allocate fixtures to match days
+ * Each fixture goes to the earliest day with a free slot after both participants' previous matches,
+ * so nobody plays twice on one day and rounds stay in order
+ * @param {Array<Object>} fixtures - Fixtures in play order ({ participants })
+ * @param {Array<Date>} days - Available days (local midnight)
+ * @param {Object} options - Allocation options
+ * @param {number} options.matchesPerDay - Slot limit per day
+ * @param {Map<string, number>} options.existingCounts - Slots already used per date key
+ * @param {string|null} options.firstMatchTime - 'HH:MM' of the first slot (null = date only)
+ * @param {number} options.slotMinutes - Length of each slot in minutes
+ * @returns {Object} { scheduled: [{ ...fixture, match_date, start_time, end_time }], unscheduled: [fixture] }
+ */
+export function allocateFixtureDates(fixtures, days, { matchesPerDay, existingCounts = new Map(), firstMatchTime = null, slotMinutes = 60 }) {
+  const usedSlots = days.map(day => existingCounts.get(getDateKey(day)) || 0)
+  const lastDayIndex = new Map()
+  const scheduled = []
+  const unscheduled = []
+
+  const firstSlotMinutes = firstMatchTime ? parseTimeToMinutes(firstMatchTime) : 0
+
+  for (const fixture of fixtures) {
+    const earliest = Math.max(...fixture.participants.map(p => (lastDayIndex.has(p) ? lastDayIndex.get(p) + 1 : 0)))
+    let dayIndex = earliest
+    while (dayIndex < days.length && usedSlots[dayIndex] >= matchesPerDay) {
+      dayIndex++
+    }
+
+    if (dayIndex >= days.length) {
+      unscheduled.push(fixture)
+      continue
+    }
+
+    const slotStart = firstSlotMinutes + usedSlots[dayIndex] * slotMinutes
+    usedSlots[dayIndex]++
+    fixture.participants.forEach(p => lastDayIndex.set(p, dayIndex))
+    scheduled.push({
+      ...fixture,
+      match_date: new Date(days[dayIndex]),
+      start_time: firstMatchTime ? formatMinutesAsTime(slotStart) : null,
+      end_time: firstMatchTime ? formatMinutesAsTime(slotStart + slotMinutes) : null
+    })
+  }
+
+  return { scheduled, unscheduled }
+}
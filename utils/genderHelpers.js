@@ -1,25 +1,34 @@
 /**
  * Gender Helper Functions
  * Utility functions to derive gender from participants (teams/players)
- * Performance optimized with caching and batch operations
+ * Performance optimized with caching (shared cache store) and batch operations
  */
 
 import Player from '../models/Player.js'
 import Sport from '../models/Sport.js'
-
-// In-memory cache for gender lookups (cleared on server restart)
-// Key format: 'team:{sportName}:{eventYear}:{eventName}:{teamName}' or 'player:{regNumber}'
-const genderCache = new Map()
-const CACHE_TTL = 5 * 60 * 1000 // 5 minutes
-
-// Helper to get cache key
-const getCacheKey = (type, ...args) => `${type}:${args.join(':')}`
-
-// Helper to check if cache entry is valid
-const isCacheValid = (entry) => {
-  if (!entry) return false
-  return Date.now() - entry.timestamp < CACHE_TTL
-}
+import logger from './logger.js'
+import { getCache, setCache, clearCache, invalidateCacheTags, cacheTags } from './cache.js'
+
+// Gender lookups live in the shared cache store (memory or Redis), so a team change on one server instance
+// is seen by the others; entries expire after 5 minutes (see CACHE_TTL_BY_PREFIX in cache.js)
+// Key format: 'gender:team:{sportName}:{eventId}:{teamName}' or 'gender:player:{regNumber}'
+const teamCacheKey = (sportName, eventId, teamName) =>
+  `gender:team:${sportName.toLowerCase().trim()}:${String(eventId).trim().toLowerCase()}:${teamName.trim()}`
+const playerCacheKey = (regNumber) => `gender:player:${regNumber.trim()}`
+
+// Lookup counters for /metrics (since server start)
+const cacheStats = { hits: 0, misses: 0 }
+
+// Helper to read a cached gender (counts the hit or miss)
+const readCache = (cacheKey) => getCache(cacheKey, cacheStats)
+
+// Helper to cache the gender of a team (invalidated with the sport's teams) or player
+const cacheTeamGender = (sportName, eventId, teamName, gender) => setCache(
+  teamCacheKey(sportName, eventId, teamName),
+  gender,
+  [cacheTags.genders(), cacheTags.teamGenders(String(eventId).trim().toLowerCase(), sportName.toLowerCase().trim())]
+)
+const cachePlayerGender = (regNumber, gender) => setCache(playerCacheKey(regNumber), gender, [cacheTags.genders()])
 
 /**
  * Get gender from a team by looking up the first player's gender
@@ -31,15 +40,9 @@ const isCacheValid = (entry) => {
 export async function getTeamGender(teamName, sportName, eventId) {
   try {
     // Check cache first
-    const cacheKey = getCacheKey(
-      'team',
-      sportName.toLowerCase().trim(),
-      String(eventId).trim().toLowerCase(),
-      teamName.trim()
-    )
-    const cached = genderCache.get(cacheKey)
-    if (isCacheValid(cached)) {
-      return cached.value
+    const cached = await readCache(teamCacheKey(sportName, eventId, teamName))
+    if (cached) {
+      return cached
     }
 
     // Find the sport to get team details
@@ -71,12 +74,12 @@ export async function getTeamGender(teamName, sportName, eventId) {
     
     // Cache the result
     if (gender) {
-      genderCache.set(cacheKey, { value: gender, timestamp: Date.now() })
+      await cacheTeamGender(sportName, eventId, teamName, gender)
     }
 
     return gender
   } catch (error) {
-    console.error('Error getting team gender:', error)
+    logger.error('Error getting team gender:', error)
     return null
   }
 }
@@ -89,10 +92,9 @@ export async function getTeamGender(teamName, sportName, eventId) {
 export async function getPlayerGender(regNumber) {
   try {
     // Check cache first
-    const cacheKey = getCacheKey('player', regNumber.trim())
-    const cached = genderCache.get(cacheKey)
-    if (isCacheValid(cached)) {
-      return cached.value
+    const cached = await readCache(playerCacheKey(regNumber))
+    if (cached) {
+      return cached
     }
 
     const player = await Player.findOne({ reg_number: regNumber.trim() })
@@ -103,12 +105,12 @@ export async function getPlayerGender(regNumber) {
     
     // Cache the result
     if (gender) {
-      genderCache.set(cacheKey, { value: gender, timestamp: Date.now() })
+      await cachePlayerGender(regNumber, gender)
     }
 
     return gender
   } catch (error) {
-    console.error('Error getting player gender:', error)
+    logger.error('Error getting player gender:', error)
     return null
   }
 }
@@ -148,9 +150,10 @@ export async function getMatchGender(match, sportDoc = null) {
       }
     }
 
-    return null
+    // Generated bracket matches and heats store their gender until participants advance into them
+    return match.bracket_gender || match.heat_gender || null
   } catch (error) {
-    console.error('Error getting match gender:', error)
+    logger.error('Error getting match gender:', error)
     return null
   }
 }
@@ -188,7 +191,7 @@ export async function getPointsEntryGender(pointsEntry, sportDoc = null) {
       return await getPlayerGender(pointsEntry.participant)
     }
   } catch (error) {
-    console.error('Error getting points entry gender:', error)
+    logger.error('Error getting points entry gender:', error)
     return null
   }
 }
@@ -214,16 +217,12 @@ export async function getParticipantsGender(participants, participantType, sport
 
     try {
       // Check cache for each team
-      participants.forEach(teamName => {
-        const cacheKey = getCacheKey(
-          'team',
-          sportName.toLowerCase().trim(),
-          normalizedEventId,
-          teamName.trim()
-        )
-        const cached = genderCache.get(cacheKey)
-        if (isCacheValid(cached)) {
-          genderMap.set(teamName.trim(), cached.value)
+      const cachedGenders = await Promise.all(
+        participants.map(teamName => readCache(teamCacheKey(sportName, normalizedEventId, teamName)))
+      )
+      participants.forEach((teamName, index) => {
+        if (cachedGenders[index]) {
+          genderMap.set(teamName.trim(), cachedGenders[index])
         } else {
           uncachedParticipants.push(teamName)
         }
@@ -265,7 +264,7 @@ export async function getParticipantsGender(participants, participantType, sport
           .lean()
 
         // Map team names to genders and cache results
-        uncachedParticipants.forEach(teamName => {
+        for (const teamName of uncachedParticipants) {
           const firstPlayerRegNumber = teamPlayerMap.get(teamName.trim())
           if (firstPlayerRegNumber) {
             const player = players.find(p => p.reg_number === firstPlayerRegNumber)
@@ -273,29 +272,22 @@ export async function getParticipantsGender(participants, participantType, sport
               const trimmedTeamName = teamName.trim()
               genderMap.set(trimmedTeamName, player.gender)
               // Cache the result
-              const cacheKey = getCacheKey(
-                'team',
-                sportName.toLowerCase().trim(),
-                normalizedEventId,
-                trimmedTeamName
-              )
-              genderCache.set(cacheKey, { value: player.gender, timestamp: Date.now() })
+              await cacheTeamGender(sportName, normalizedEventId, trimmedTeamName, player.gender)
             }
           }
-        })
+        }
       }
     } catch (error) {
-      console.error('Error batch getting team genders:', error)
+      logger.error('Error batch getting team genders:', error)
     }
   } else {
     // For players, check cache first, then batch fetch uncached
     try {
       // Check cache for each player
-      participants.forEach(regNumber => {
-        const cacheKey = getCacheKey('player', regNumber.trim())
-        const cached = genderCache.get(cacheKey)
-        if (isCacheValid(cached)) {
-          genderMap.set(regNumber.trim(), cached.value)
+      const cachedGenders = await Promise.all(participants.map(regNumber => readCache(playerCacheKey(regNumber))))
+      participants.forEach((regNumber, index) => {
+        if (cachedGenders[index]) {
+          genderMap.set(regNumber.trim(), cachedGenders[index])
         } else {
           uncachedParticipants.push(regNumber)
         }
@@ -310,18 +302,17 @@ export async function getParticipantsGender(participants, participantType, sport
         .select('reg_number gender')
         .lean()
 
-      uncachedParticipants.forEach(regNumber => {
+      for (const regNumber of uncachedParticipants) {
         const player = players.find(p => p.reg_number === regNumber.trim())
         if (player && player.gender) {
           const trimmedRegNumber = regNumber.trim()
           genderMap.set(trimmedRegNumber, player.gender)
           // Cache the result
-          const cacheKey = getCacheKey('player', trimmedRegNumber)
-          genderCache.set(cacheKey, { value: player.gender, timestamp: Date.now() })
+          await cachePlayerGender(trimmedRegNumber, player.gender)
         }
-      })
+      }
     } catch (error) {
-      console.error('Error batch getting player genders:', error)
+      logger.error('Error batch getting player genders:', error)
     }
   }
 
@@ -332,42 +323,40 @@ export async function getParticipantsGender(participants, participantType, sport
  * Clear gender cache for a specific player
  * @param {string} regNumber - Player registration number
  */
-export function clearPlayerGenderCache(regNumber) {
-  const cacheKey = getCacheKey('player', regNumber.trim())
-  genderCache.delete(cacheKey)
+export async function clearPlayerGenderCache(regNumber) {
+  await clearCache(playerCacheKey(regNumber))
 }
 
 /**
  * Clear gender cache for a specific team
  * @param {string} teamName - Team name
  * @param {string} sportName - Sport name
- * @param {number} eventYear - Event year
+ * @param {string} eventId - Event ID
  */
-export function clearTeamGenderCache(teamName, sportName, eventId) {
-  const normalizedEventId = String(eventId).trim().toLowerCase()
-  const cacheKey = getCacheKey('team', sportName.toLowerCase().trim(), normalizedEventId, teamName.trim())
-  genderCache.delete(cacheKey)
+export async function clearTeamGenderCache(teamName, sportName, eventId) {
+  await clearCache(teamCacheKey(sportName, eventId, teamName))
 }
 
 /**
  * Clear all gender cache entries for a sport (when team composition changes)
  * @param {string} sportName - Sport name
- * @param {number} eventYear - Event year
+ * @param {string} eventId - Event ID
  */
-export function clearSportGenderCache(sportName, eventId) {
-  const normalizedEventId = String(eventId).trim().toLowerCase()
-  const prefix = `team:${sportName.toLowerCase().trim()}:${normalizedEventId}:`
-  for (const key of genderCache.keys()) {
-    if (key.startsWith(prefix)) {
-      genderCache.delete(key)
-    }
-  }
+export async function clearSportGenderCache(sportName, eventId) {
+  await invalidateCacheTags([cacheTags.teamGenders(String(eventId).trim().toLowerCase(), sportName.toLowerCase().trim())])
 }
 
 /**
- * Clear all gender cache (use sparingly, e.g., on server restart or major data migration)
+ * Get gender cache statistics (hits and misses since server start; entries are in the shared store, not counted)
+ * @returns {Object} { hits, misses, entries }
  */
-export function clearAllGenderCache() {
-  genderCache.clear()
+export function getGenderCacheStats() {
+  return { hits: cacheStats.hits, misses: cacheStats.misses, entries: null }
 }
 
+/**
+ * Clear all gender cache (use sparingly, e.g., after a major data migration)
+ */
+export async function clearAllGenderCache() {
+  await invalidateCacheTags([cacheTags.genders()])
+}
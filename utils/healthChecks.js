@@ -0,0 +1,95 @@
+/**
+ * Health Checks
+ * Dependency checks for /healthz and /readyz: MongoDB (required), the cache store and the email transport (optional)
+ */
+
+import mongoose from 'mongoose'
+import { isEmailConfigured, verifyEmailConfiguration } from './emailService.js'
+import { pingCache } from './cache.js'
+import { HEALTH_CHECK_TIMEOUT_MS, EMAIL_CHECK_CACHE_SECONDS } from '../constants/index.js'
+
+const MONGOOSE_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting']
+
+// Last email transport check: { result, checkedAt }
+let emailCheck = null
+
+/**
+ * Wait for a promise, or reject once HEALTH_CHECK_TIMEOUT_MS has passed
+ * @param {Promise} promise - Check to wait for
+ * @returns {Promise<any>} Result of the check
+ */
+function withTimeout(promise) {
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Check MongoDB connectivity with a ping
+ * @returns {Promise<Object>} { status: 'up' | 'down', latency_ms?, state?, error? }
+ */
+export async function checkMongo() {
+  const { readyState } = mongoose.connection
+  if (readyState !== 1) {
+    return { status: 'down', state: MONGOOSE_STATES[readyState] || 'unknown' }
+  }
+
+  const startedAt = Date.now()
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping())
+    return { status: 'up', latency_ms: Date.now() - startedAt }
+  } catch (error) {
+    return { status: 'down', error: error.message }
+  }
+}
+
+/**
+ * Check the cache store with a ping (always up for the in-memory store)
+ * @returns {Promise<Object>} { status: 'up' | 'down', store?, latency_ms?, error? }
+ */
+export async function checkCache() {
+  const startedAt = Date.now()
+  try {
+    const store = await withTimeout(pingCache())
+    return { status: 'up', store, latency_ms: Date.now() - startedAt }
+  } catch (error) {
+    return { status: 'down', error: error.message }
+  }
+}
+
+/**
+ * Check the email transport (SMTP login), reusing the result for EMAIL_CHECK_CACHE_SECONDS
+ * @returns {Promise<Object>} { status: 'up' | 'down' | 'not_configured', checked_at? }
+ */
+export async function checkEmail() {
+  if (!isEmailConfigured()) {
+    return { status: 'not_configured' }
+  }
+
+  if (!emailCheck || Date.now() - emailCheck.checkedAt.getTime() >= EMAIL_CHECK_CACHE_SECONDS * 1000) {
+    let verified = false
+    try {
+      verified = await withTimeout(verifyEmailConfiguration())
+    } catch {
+      verified = false
+    }
+    emailCheck = { result: verified ? 'up' : 'down', checkedAt: new Date() }
+  }
+  return { status: emailCheck.result, checked_at: emailCheck.checkedAt.toISOString() }
+}
+
+/**
+ * Run all dependency checks
+ * MongoDB is required for the server to be ready; a failing cache store or email transport only degrades it
+ * (cache lookups fall back to MongoDB, notifications stay queued in the outbox until it works again)
+ * @returns {Promise<Object>} { ready, status: 'ok' | 'degraded' | 'unavailable', checks: { mongodb, cache, email } }
+ */
+export async function runHealthChecks() {
+  const [mongodb, cache, email] = await Promise.all([checkMongo(), checkCache(), checkEmail()])
+  const ready = mongodb.status === 'up'
+  const degraded = cache.status === 'down' || email.status === 'down'
+  const status = !ready ? 'unavailable' : (degraded ? 'degraded' : 'ok')
+  return { ready, status, checks: { mongodb, cache, email } }
+}
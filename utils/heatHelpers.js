@@ -0,0 +1,310 @@
+/**
+ * Heat Helpers
+ * Heats, lanes and round-by-round advancement for multi sports with timed or measured results (athletics):
+ * the top places of every heat plus the fastest (best) losers across the round advance to the next round
+ */
+
+import EventSchedule from '../models/EventSchedule.js'
+import { deriveResultFromScores } from './scoreHelpers.js'
+import { MAX_HEAT_LANES } from '../constants/index.js'
+import logger from './logger.js'
+
+/**
+ * Get the order lanes are handed out in: centre lanes first (best seed in the middle of the track)
+ * e.g. 8 lanes -> [4, 5, 3, 6, 2, 7, 1, 8]
+ * @param {number} laneCount - Number of lanes
+ * @returns {Array<number>} Lane numbers in seed order
+ */
+export function getLaneOrder(laneCount) {
+  const order = []
+  let low = Math.floor((laneCount + 1) / 2)
+  let high = low + 1
+  while (order.length < laneCount) {
+    if (low >= 1) order.push(low--)
+    if (high <= laneCount && order.length < laneCount) order.push(high++)
+  }
+  return order
+}
+
+/**
+ * Distribute seeded participants over heats in serpentine order (1-2-3, 3-2-1, ...) so heats are balanced,
+ * and give the best seeds of each heat the centre lanes
+ * @param {Array<string>} seeds - Participants ordered by seed (best first)
+ * @param {number} heatCount - Number of heats
+ * @param {number} laneCount - Lanes per heat
+ * @returns {Array<Object>} [{ participants, lanes: [{ participant, lane }] }] one entry per heat
+ */
+export function distributeIntoHeats(seeds, heatCount, laneCount) {
+  const heats = Array.from({ length: heatCount }, () => [])
+  seeds.forEach((participant, index) => {
+    const row = Math.floor(index / heatCount)
+    const column = index % heatCount
+    heats[row % 2 === 0 ? column : heatCount - 1 - column].push(participant)
+  })
+
+  const laneOrder = getLaneOrder(laneCount)
+  return heats.map(participants => ({
+    participants,
+    lanes: participants.map((participant, index) => ({ participant, lane: laneOrder[index] }))
+  }))
+}
+
+/**
+ * Plan the rounds of heats for a number of participants
+ * Rounds continue while the field is larger than the lane count; the last round is a single final
+ * @param {number} count - Number of participants
+ * @param {Object} options - { lanes, advanceTop, advanceFastest }
+ * @returns {Object} { rounds: [{ round, heats, participants, advance_top, advance_fastest }] | null, error: string|null }
+ */
+export function buildHeatPlan(count, { lanes, advanceTop, advanceFastest }) {
+  const rounds = []
+  let remaining = count
+  while (remaining > lanes) {
+    const heats = Math.ceil(remaining / lanes)
+    const smallestHeat = Math.floor(remaining / heats)
+    if (advanceTop >= smallestHeat) {
+      return { rounds: null, error: `advance_top must be less than the smallest heat size in round ${rounds.length + 1} (${smallestHeat})` }
+    }
+    const advancing = heats * advanceTop + advanceFastest
+    if (advancing >= remaining) {
+      return { rounds: null, error: `${advancing} of ${remaining} participants would advance from round ${rounds.length + 1}. Lower advance_top or advance_fastest.` }
+    }
+    if (advancing < 2) {
+      return { rounds: null, error: 'At least 2 participants must advance from every round' }
+    }
+    rounds.push({ round: rounds.length + 1, heats, participants: remaining, advance_top: advanceTop, advance_fastest: advanceFastest })
+    remaining = advancing
+  }
+  rounds.push({ round: rounds.length + 1, heats: 1, participants: remaining, advance_top: null, advance_fastest: null })
+  return { rounds, error: null }
+}
+
+/**
+ * Get the participants of a heat (team names or player reg_numbers)
+ * @param {Object} match - Heat match
+ * @returns {Array<string>} Participants
+ */
+function getHeatParticipants(match) {
+  return (match.teams && match.teams.length > 0) ? match.teams : (match.players || [])
+}
+
+/**
+ * Validate the lane draw of a heat: every participant exactly once, each on a different lane
+ * @param {any} lanes - [{ participant, lane }]
+ * @param {Object} match - Heat match
+ * @returns {Object} { isValid: boolean, value: Array|null, error: string|null }
+ */
+export function validateLanes(lanes, match) {
+  const participants = getHeatParticipants(match)
+  const laneCount = Math.min(match.heat_lanes || MAX_HEAT_LANES, MAX_HEAT_LANES)
+  if (!Array.isArray(lanes) || lanes.length !== participants.length) {
+    return { isValid: false, value: null, error: `lanes must contain one entry for each of the ${participants.length} participants` }
+  }
+
+  const value = []
+  for (const entry of lanes) {
+    const participant = typeof entry?.participant === 'string' ? entry.participant.trim() : ''
+    const lane = Number(entry?.lane)
+    if (!participants.includes(participant)) {
+      return { isValid: false, value: null, error: `"${participant}" is not a participant of this heat` }
+    }
+    if (!Number.isInteger(lane) || lane < 1 || lane > laneCount) {
+      return { isValid: false, value: null, error: `Lane of "${participant}" must be a whole number between 1 and ${laneCount}` }
+    }
+    if (value.some(other => other.participant === participant)) {
+      return { isValid: false, value: null, error: `"${participant}" is given more than one lane` }
+    }
+    const taken = value.find(other => other.lane === lane)
+    if (taken) {
+      return { isValid: false, value: null, error: `Lane ${lane} is given to both "${taken.participant}" and "${participant}"` }
+    }
+    value.push({ participant, lane })
+  }
+
+  return { isValid: true, value: value.sort((a, b) => a.lane - b.lane), error: null }
+}
+
+/**
+ * Get the participants whose result equals the one at a cut-off (a tie the cut-off cannot split)
+ * @param {Array<Object>} ranking - [{ participant, value }] best first
+ * @param {number} count - Number of places above the cut-off
+ * @returns {Array<string>} Tied participants, empty when the cut-off is clear
+ */
+function getCutoffTie(ranking, count) {
+  if (count <= 0 || count >= ranking.length || ranking[count - 1].value !== ranking[count].value) {
+    return []
+  }
+  const cutoffValue = ranking[count].value
+  return ranking.filter(entry => entry.value === cutoffValue).map(entry => entry.participant)
+}
+
+/**
+ * Derive the placed finishers of a heat from its scores: the top `count` of the ranking
+ * A tie across the cut-off cannot be placed automatically
+ * @param {Object} sportDoc - Sport document (with scoring)
+ * @param {Array<Object>} scores - Recorded scores of the heat
+ * @param {number} count - Number of places
+ * @returns {Object} { qualifiers: Array|null, unresolved_ties: Array<Array<string>> }
+ */
+export function deriveHeatQualifiers(sportDoc, scores, count) {
+  const { ranking } = deriveResultFromScores(sportDoc.scoring, scores || [], sportDoc.type)
+  const placeCount = Math.min(count, ranking.length)
+  const tie = getCutoffTie(ranking, placeCount)
+  if (tie.length > 0) {
+    return { qualifiers: null, unresolved_ties: [tie] }
+  }
+  return {
+    qualifiers: ranking.slice(0, placeCount).map((entry, index) => ({ participant: entry.participant, position: index + 1 })),
+    unresolved_ties: []
+  }
+}
+
+/**
+ * Find the heats of one round of a generated heat series
+ * @param {Object} match - Any heat of the series
+ * @param {number} round - Round to load
+ * @returns {Promise<Array<Object>>} Heats ordered by heat number
+ */
+function findRoundHeats(match, round) {
+  return EventSchedule.find({
+    event_id: match.event_id,
+    sports_name: match.sports_name,
+    heat_gender: match.heat_gender,
+    heat_round: round
+  }).sort({ heat_number: 1 })
+}
+
+/**
+ * Validate that a heat result can be recorded or changed
+ * Heats cannot end in a draw; qualifiers of heats before the final follow from the scores (advancement),
+ * and results are fixed once the next round has results
+ * @param {Object} match - Current match document
+ * @param {Object} update - { status, qualifiers, scores } from the request (undefined if not changing)
+ * @returns {Promise<Object|null>} Error object if validation fails, null otherwise
+ */
+export async function validateHeatResultUpdate(match, { status, qualifiers, scores }) {
+  if (!match.heat_round) {
+    return null
+  }
+
+  if (status === 'draw') {
+    return { statusCode: 400, message: 'A heat cannot end in a draw. Record the results and complete the heat instead.' }
+  }
+
+  const isFinal = match.match_type === 'final'
+  const recordsResult = scores !== undefined || qualifiers !== undefined || status === 'completed'
+  if (recordsResult && getHeatParticipants(match).length === 0) {
+    return { statusCode: 400, message: 'Cannot record a result for this heat yet. Its participants advance from the previous round.' }
+  }
+
+  if (!isFinal && qualifiers !== undefined) {
+    return { statusCode: 400, message: 'Qualifiers of a heat are set automatically from the results once every heat of the round is completed' }
+  }
+
+  const finalScores = scores !== undefined ? scores : (match.scores || [])
+  if (!isFinal && (status || match.status) === 'completed' && (!Array.isArray(finalScores) || finalScores.length === 0)) {
+    return { statusCode: 400, message: 'Record the results of the heat before completing it' }
+  }
+
+  // Advanced participants cannot change once the next round has results
+  if (!isFinal && match.status !== 'scheduled' && (scores !== undefined || status !== undefined)) {
+    const nextRound = await findRoundHeats(match, match.heat_round + 1).select('status scores').lean()
+    if (nextRound.some(heat => heat.status === 'completed' || heat.scores?.length > 0)) {
+      return { statusCode: 400, message: `Cannot change the result. Round ${match.heat_round + 1} already has results.` }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Advance a round of heats once every heat in it is completed or cancelled
+ * From each completed heat the top `heat_advance_top` places advance, then the `heat_advance_fastest` best
+ * remaining results across the round; participants without a result did not finish. Each heat's qualifiers
+ * are set to its advancing participants, and the next round's heats are refilled (seeded by result, serpentine,
+ * centre lanes first). Heats of the next round left without participants are cancelled.
+ * A tie at a cut-off blocks advancement until the results are corrected (e.g. recorded more precisely).
+ * @param {Object} match - Updated heat (any heat of the round)
+ * @param {Object} sportDoc - Sport document (with scoring)
+ * @param {string} updatedBy - reg_number of the user making the change
+ * @returns {Promise<Object|null>} { round, complete, pending, advanced, next_round, unresolved_ties }, null for finals
+ */
+export async function advanceHeatRound(match, sportDoc, updatedBy) {
+  if (!match.heat_round || match.match_type === 'final') {
+    return null
+  }
+
+  const round = match.heat_round
+  const heats = await findRoundHeats(match, round)
+  const pending = heats.filter(heat => heat.status === 'scheduled').map(heat => heat.heat_number)
+  if (pending.length > 0) {
+    return { round, complete: false, pending, advanced: [], next_round: null, unresolved_ties: [] }
+  }
+
+  const advanceTop = match.heat_advance_top || 0
+  const advanceFastest = match.heat_advance_fastest || 0
+  const unresolvedTies = []
+  const placed = []
+  const losers = []
+  const heatRankings = new Map()
+
+  for (const heat of heats.filter(h => h.status === 'completed')) {
+    const { ranking } = deriveResultFromScores(sportDoc.scoring, heat.scores || [], sportDoc.type)
+    heatRankings.set(String(heat._id), ranking)
+    const placeCount = Math.min(advanceTop, ranking.length)
+    const tie = getCutoffTie(ranking, placeCount)
+    if (tie.length > 0) {
+      unresolvedTies.push(tie)
+    }
+    placed.push(...ranking.slice(0, placeCount))
+    losers.push(...ranking.slice(placeCount))
+  }
+
+  losers.sort((a, b) => b.value - a.value)
+  const fastestCount = Math.min(advanceFastest, losers.length)
+  const fastestTie = getCutoffTie(losers, fastestCount)
+  if (fastestTie.length > 0) {
+    unresolvedTies.push(fastestTie)
+  }
+
+  if (unresolvedTies.length > 0) {
+    return { round, complete: true, pending: [], advanced: [], next_round: null, unresolved_ties: unresolvedTies }
+  }
+
+  // Places first, then the fastest losers, each group seeded by result
+  const seeds = [
+    ...[...placed].sort((a, b) => b.value - a.value),
+    ...losers.slice(0, fastestCount)
+  ].map(entry => entry.participant)
+  const advancing = new Set(seeds)
+
+  for (const heat of heats) {
+    const ranking = heatRankings.get(String(heat._id)) || []
+    const qualifiers = ranking
+      .filter(entry => advancing.has(entry.participant))
+      .map((entry, index) => ({ participant: entry.participant, position: index + 1 }))
+    await EventSchedule.findByIdAndUpdate(heat._id, { $set: { qualifiers, updatedBy } }, { runValidators: true })
+  }
+
+  const nextHeats = await findRoundHeats(match, round + 1)
+  if (nextHeats.length === 0) {
+    logger.warn(`[Heats] Round ${round + 1} of ${match.sports_name} (${match.event_id}, ${match.heat_gender}) not found`)
+    return { round, complete: true, pending: [], advanced: seeds, next_round: null, unresolved_ties: [] }
+  }
+
+  const field = match.teams && match.teams.length > 0 ? 'teams' : 'players'
+  const distribution = distributeIntoHeats(seeds, nextHeats.length, nextHeats[0].heat_lanes || seeds.length)
+  for (let index = 0; index < nextHeats.length; index++) {
+    const { participants, lanes } = distribution[index]
+    await EventSchedule.findByIdAndUpdate(nextHeats[index]._id, {
+      $set: {
+        [field]: participants,
+        lanes,
+        status: participants.length > 0 ? 'scheduled' : 'cancelled',
+        updatedBy
+      }
+    }, { runValidators: true })
+  }
+
+  return { round, complete: true, pending: [], advanced: seeds, next_round: round + 1, unresolved_ties: [] }
+}
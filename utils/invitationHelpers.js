@@ -0,0 +1,202 @@
+/**
+ * Team Invitation Helper Functions
+ * Pending invitations of team sports (Sport.teams_participated[].invitations): only accepted players
+ * are team members, and a pending invitation expires when the registration period ends
+ * (expires_at follows the registration end date when the event year's dates change)
+ */
+
+import Player from '../models/Player.js'
+import Sport from '../models/Sport.js'
+import { getPlayersBatchNames } from './batchHelpers.js'
+import { getTeamRosterLimit } from './sportHelpers.js'
+import { getRegistrationEndDate } from '../middleware/dateRestrictions.js'
+
+/**
+ * Get the state of an invitation at a point in time
+ * @param {Object} invitation - Team invitation
+ * @param {Date} now - Point in time (defaults to now)
+ * @returns {string} 'pending' | 'declined' | 'expired'
+ */
+export function getInvitationState(invitation, now = new Date()) {
+  if (invitation.status === 'pending' && new Date(invitation.expires_at) < now) {
+    return 'expired'
+  }
+  return invitation.status
+}
+
+/**
+ * Get the invitations of a team that can still be accepted
+ * @param {Object} team - Team from Sport.teams_participated
+ * @param {Date} now - Point in time (defaults to now)
+ * @returns {Array<Object>} Pending, unexpired invitations
+ */
+export function getOpenInvitations(team, now = new Date()) {
+  return (team.invitations || []).filter(invitation => getInvitationState(invitation, now) === 'pending')
+}
+
+/**
+ * Find the team of a sport a player is a member of (accepted players only)
+ * @param {Object} sportDoc - Sport document
+ * @param {string} regNumber - Player registration number
+ * @returns {Object|null} Team or null
+ */
+export function findPlayerTeam(sportDoc, regNumber) {
+  return (sportDoc.teams_participated || []).find(team => (team.players || []).includes(regNumber)) || null
+}
+
+/**
+ * Find a team of a sport by name (case-insensitive)
+ * @param {Object} sportDoc - Sport document
+ * @param {string} teamName - Team name
+ * @returns {Object|null} Team or null
+ */
+export function findTeamByName(sportDoc, teamName) {
+  const name = String(teamName || '').toLowerCase()
+  return (sportDoc.teams_participated || []).find(team => team.team_name.toLowerCase() === name) || null
+}
+
+/**
+ * Build a pending invitation that expires when the event year's registration period ends
+ * @param {string} regNumber - Invited player registration number
+ * @param {string} invitedBy - Registration number of the inviting user
+ * @param {Object} eventYearDoc - Event year document
+ * @returns {Object} Invitation
+ */
+export function buildInvitation(regNumber, invitedBy, eventYearDoc) {
+  return {
+    reg_number: regNumber,
+    status: 'pending',
+    invited_by: invitedBy || null,
+    invited_at: new Date(),
+    expires_at: getRegistrationEndDate(eventYearDoc),
+    responded_at: null
+  }
+}
+
+/**
+ * Move the expiry of every pending invitation of an event year to its current registration end date
+ * Called after the registration end date changes, so invitations neither outlive a shortened registration
+ * period nor expire early when it is extended
+ * @param {Object} eventYearDoc - Event year document (with the new registration_dates)
+ * @returns {Promise<number>} Number of sports whose invitations were updated
+ */
+export async function syncInvitationExpiry(eventYearDoc) {
+  const result = await Sport.updateMany(
+    { event_id: eventYearDoc.event_id, 'teams_participated.invitations.status': 'pending' },
+    { $set: { 'teams_participated.$[].invitations.$[invitation].expires_at': getRegistrationEndDate(eventYearDoc) } },
+    { arrayFilters: [{ 'invitation.status': 'pending' }] }
+  )
+  return result.modifiedCount
+}
+
+/**
+ * Validate that a player can be invited to (or accept an invitation of) a team:
+ * not a coordinator or another eligible captain of the sport, not already a member of a team
+ * of the sport, and the same gender and batch as the team's captain
+ * @param {Object} sportDoc - Sport document
+ * @param {Object} team - Team from Sport.teams_participated
+ * @param {string} regNumber - Player registration number
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} { player: Object|null, error: { statusCode, message }|null }
+ */
+export async function validateTeamCandidate(sportDoc, team, regNumber, eventId) {
+  const sport = sportDoc.name
+
+  // One read at a time: this runs inside transactions, whose operations must not run in parallel
+  const player = await Player.findOne({ reg_number: regNumber }).select('-password').lean()
+  const captain = await Player.findOne({ reg_number: team.captain }).select('-password').lean()
+  if (!player) {
+    return { player: null, error: { statusCode: 404, message: `Player with reg_number ${regNumber} not found` } }
+  }
+
+  if ((sportDoc.eligible_coordinators || []).includes(regNumber)) {
+    return {
+      player,
+      error: { statusCode: 400, message: `Player ${regNumber} is a coordinator for ${sport} and cannot participate in that sport.` }
+    }
+  }
+
+  if ((sportDoc.eligible_captains || []).includes(regNumber)) {
+    return {
+      player,
+      error: { statusCode: 400, message: `Player ${regNumber} is an eligible captain for ${sport}. Teams can only include one captain.` }
+    }
+  }
+
+  const existingTeam = findPlayerTeam(sportDoc, regNumber)
+  if (existingTeam) {
+    return {
+      player,
+      error: {
+        statusCode: 400,
+        message: `${player.full_name} (${regNumber}) is already in a team (${existingTeam.team_name}) for ${sport}. A player can only belong to one team per sport.`
+      }
+    }
+  }
+
+  if (captain && player.gender !== captain.gender) {
+    return {
+      player,
+      error: { statusCode: 400, message: `Gender mismatch: ${player.full_name} (${regNumber}) must have the same gender (${captain.gender}) as the team captain.` }
+    }
+  }
+
+  const batchMap = await getPlayersBatchNames([team.captain, regNumber], eventId)
+  if (!batchMap[regNumber]) {
+    return {
+      player,
+      error: { statusCode: 400, message: `Batch assignment missing for: ${regNumber}. Please assign batches before joining a team.` }
+    }
+  }
+  if (batchMap[team.captain] && batchMap[regNumber] !== batchMap[team.captain]) {
+    return {
+      player,
+      error: {
+        statusCode: 400,
+        message: `Batch mismatch: ${player.full_name} (${regNumber}) must be in the same batch (${batchMap[team.captain]}) as the team captain.`
+      }
+    }
+  }
+
+  return { player, error: null }
+}
+
+/**
+ * Validate that a team has room for another invitation: accepted players plus open invitations
+ * may not exceed the sport's team_size plus its reserve slots
+ * @param {Object} sportDoc - Sport document
+ * @param {Object} team - Team from Sport.teams_participated
+ * @returns {Object|null} { statusCode, message } or null when there is room
+ */
+export function validateInvitationRoom(sportDoc, team) {
+  const rosterLimit = getTeamRosterLimit(sportDoc)
+  if (rosterLimit === null) {
+    return null
+  }
+  const reserved = (team.players || []).length + getOpenInvitations(team).length
+  if (reserved >= rosterLimit) {
+    return {
+      statusCode: 400,
+      message: `Team "${team.team_name}" is full: its players and pending invitations already fill all ${rosterLimit} places (including reserves). Withdraw a pending invitation first.`
+    }
+  }
+  return null
+}
+
+/**
+ * Remove a player's invitations to every team of a sport (after they joined a team)
+ * @param {Object} sportDoc - Sport document (mutated)
+ * @param {string} regNumber - Player registration number
+ * @returns {Array<string>} Names of the teams whose invitations were removed
+ */
+export function removePlayerInvitations(sportDoc, regNumber) {
+  const teamNames = []
+  for (const team of sportDoc.teams_participated || []) {
+    const invitations = team.invitations || []
+    if (invitations.some(invitation => invitation.reg_number === regNumber)) {
+      team.invitations = invitations.filter(invitation => invitation.reg_number !== regNumber)
+      teamNames.push(team.team_name)
+    }
+  }
+  return teamNames
+}
@@ -0,0 +1,273 @@
+/**
+ * Judging Helper Functions
+ * Judge panels and weighted rubrics for judged matches (literary and cultural activities),
+ * and the qualifier ranking that follows from the judges' normalized scores
+ */
+
+import Player from '../models/Player.js'
+import { JUDGED_SPORT_CATEGORIES, MAX_JUDGES_PER_MATCH, MAX_RUBRIC_CRITERIA } from '../constants/index.js'
+
+/**
+ * Check if a sport's matches can be judged (multi sport in a judged category without a scoring format)
+ * @param {Object|null} sportDoc - Sport document
+ * @returns {boolean} True if judging applies
+ */
+export function isJudgedSport(sportDoc) {
+  return !!sportDoc &&
+    JUDGED_SPORT_CATEGORIES.includes(sportDoc.category) &&
+    (sportDoc.type === 'multi_team' || sportDoc.type === 'multi_player') &&
+    !sportDoc.scoring?.format
+}
+
+/**
+ * Get the participants of a match (team names or player reg_numbers)
+ * @param {Object} match - Match document
+ * @param {Object} sportDoc - Sport document
+ * @returns {Array<string>} Participants
+ */
+function getMatchParticipants(match, sportDoc) {
+  return sportDoc.type === 'multi_team' ? (match.teams || []) : (match.players || [])
+}
+
+/**
+ * Validate a rubric: 1..MAX_RUBRIC_CRITERIA criteria with unique names, a positive weight and a maximum score
+ * @param {any} rubric - [{ name, weight, max_score }]
+ * @returns {Object} { isValid: boolean, value: Array|null, error: string|null }
+ */
+export function validateRubric(rubric) {
+  if (!Array.isArray(rubric) || rubric.length === 0) {
+    return { isValid: false, value: null, error: 'rubric must be a non-empty array of { name, weight, max_score }' }
+  }
+  if (rubric.length > MAX_RUBRIC_CRITERIA) {
+    return { isValid: false, value: null, error: `A rubric can have at most ${MAX_RUBRIC_CRITERIA} criteria` }
+  }
+
+  const value = []
+  const names = new Set()
+  for (const criterion of rubric) {
+    const name = typeof criterion?.name === 'string' ? criterion.name.trim() : ''
+    if (!name) {
+      return { isValid: false, value: null, error: 'Every rubric criterion needs a name' }
+    }
+    if (names.has(name.toLowerCase())) {
+      return { isValid: false, value: null, error: `Rubric criterion "${name}" is listed more than once` }
+    }
+    names.add(name.toLowerCase())
+
+    const weight = Number(criterion.weight)
+    if (criterion.weight === null || criterion.weight === '' || !Number.isFinite(weight) || weight <= 0) {
+      return { isValid: false, value: null, error: `Weight of "${name}" must be a positive number` }
+    }
+    const maxScore = Number(criterion.max_score)
+    if (criterion.max_score === null || criterion.max_score === '' || !Number.isFinite(maxScore) || maxScore < 1) {
+      return { isValid: false, value: null, error: `Maximum score of "${name}" must be a number of at least 1` }
+    }
+    value.push({ name, weight, max_score: maxScore })
+  }
+
+  return { isValid: true, value, error: null }
+}
+
+/**
+ * Validate the judge panel of a match
+ * Judges must be registered players and cannot take part in the match themselves
+ * @param {any} judges - Judge reg_numbers
+ * @param {Object} match - Match document
+ * @param {Object} sportDoc - Sport document
+ * @returns {Promise<Object>} { isValid: boolean, value: Array|null, error: string|null }
+ */
+export async function validateJudges(judges, match, sportDoc) {
+  if (!Array.isArray(judges) || judges.length === 0) {
+    return { isValid: false, value: null, error: 'judges must be a non-empty array of reg_numbers' }
+  }
+  const value = [...new Set(judges.map(judge => (typeof judge === 'string' ? judge.trim() : '')))]
+  if (value.some(judge => !judge)) {
+    return { isValid: false, value: null, error: 'Every judge must be a reg_number' }
+  }
+  if (value.length !== judges.length) {
+    return { isValid: false, value: null, error: 'A judge can only be assigned once' }
+  }
+  if (value.length > MAX_JUDGES_PER_MATCH) {
+    return { isValid: false, value: null, error: `A match can have at most ${MAX_JUDGES_PER_MATCH} judges` }
+  }
+
+  const players = await Player.find({ reg_number: { $in: value } }).select('reg_number').lean()
+  const registered = new Set(players.map(p => p.reg_number))
+  const unknown = value.filter(judge => !registered.has(judge))
+  if (unknown.length > 0) {
+    return { isValid: false, value: null, error: `Judge(s) not found: ${unknown.join(', ')}` }
+  }
+
+  // Judges cannot score their own performance
+  const participantPlayers = new Set(sportDoc.type === 'multi_team'
+    ? (sportDoc.teams_participated || []).filter(t => match.teams.includes(t.team_name)).flatMap(t => t.players)
+    : match.players)
+  const participating = value.filter(judge => participantPlayers.has(judge))
+  if (participating.length > 0) {
+    return { isValid: false, value: null, error: `Judge(s) taking part in this match: ${participating.join(', ')}` }
+  }
+
+  return { isValid: true, value, error: null }
+}
+
+/**
+ * Validate the score sheet of one judge: every participant scored on every rubric criterion
+ * @param {any} scores - [{ participant, criteria: [{ name, score }] }]
+ * @param {Object} match - Match document (with rubric)
+ * @param {Object} sportDoc - Sport document
+ * @returns {Object} { isValid: boolean, value: Array|null, error: string|null } - value: [{ participant, criteria }]
+ */
+export function validateJudgeSheet(scores, match, sportDoc) {
+  const participants = getMatchParticipants(match, sportDoc)
+  if (!Array.isArray(scores) || scores.length !== participants.length) {
+    return { isValid: false, value: null, error: `scores must contain one entry for each of the ${participants.length} participants` }
+  }
+
+  const value = []
+  const seen = new Set()
+  for (const entry of scores) {
+    const participant = typeof entry?.participant === 'string' ? entry.participant.trim() : ''
+    if (!participants.includes(participant)) {
+      return { isValid: false, value: null, error: `"${participant}" is not a participant of this match` }
+    }
+    if (seen.has(participant)) {
+      return { isValid: false, value: null, error: `"${participant}" is scored more than once` }
+    }
+    seen.add(participant)
+
+    if (!Array.isArray(entry.criteria)) {
+      return { isValid: false, value: null, error: `criteria of "${participant}" must be an array of { name, score }` }
+    }
+    const criteria = []
+    for (const criterion of match.rubric) {
+      const given = entry.criteria.find(c => typeof c?.name === 'string' && c.name.trim().toLowerCase() === criterion.name.toLowerCase())
+      const score = Number(given?.score)
+      if (!given || given.score === null || given.score === '' || !Number.isFinite(score)) {
+        return { isValid: false, value: null, error: `Missing or invalid "${criterion.name}" score for "${participant}"` }
+      }
+      if (score < 0 || score > criterion.max_score) {
+        return { isValid: false, value: null, error: `"${criterion.name}" for "${participant}" must be between 0 and ${criterion.max_score}` }
+      }
+      criteria.push({ name: criterion.name, score })
+    }
+    if (entry.criteria.length !== match.rubric.length) {
+      return { isValid: false, value: null, error: `"${participant}" must be scored on exactly the rubric criteria: ${match.rubric.map(c => c.name).join(', ')}` }
+    }
+    value.push({ participant, criteria })
+  }
+
+  return { isValid: true, value, error: null }
+}
+
+/**
+ * Normalized score (0-100) one judge gave one participant: the weighted share of the rubric's maximum scores
+ * Normalizing keeps criteria with different maximum scores comparable
+ * @param {Array} rubric - Match rubric
+ * @param {Array} criteria - [{ name, score }]
+ * @returns {number} Score out of 100
+ */
+function normalizeJudgeScore(rubric, criteria) {
+  const totalWeight = rubric.reduce((total, criterion) => total + criterion.weight, 0)
+  const weighted = rubric.reduce((total, criterion) => {
+    const given = criteria.find(c => c.name === criterion.name)
+    return total + criterion.weight * ((given?.score || 0) / criterion.max_score)
+  }, 0)
+  return (weighted / totalWeight) * 100
+}
+
+/**
+ * Compute the judging results of a match
+ * Each participant's aggregate is the average of the judges' normalized scores (rounded to 2 decimals);
+ * participants with the same aggregate share a position and are flagged as tied
+ * @param {Object} match - Match document (with judges, rubric, judge_scores)
+ * @param {Object} sportDoc - Sport document
+ * @returns {Object} { submitted_judges, pending_judges, complete, ranking: [{ participant, score, position, tied }], ties: [[participant]] }
+ */
+export function computeJudgingResults(match, sportDoc) {
+  const judges = match.judges || []
+  const judgeScores = match.judge_scores || []
+  const submittedJudges = judges.filter(judge => judgeScores.some(entry => entry.judge === judge))
+  const pendingJudges = judges.filter(judge => !submittedJudges.includes(judge))
+
+  const participants = getMatchParticipants(match, sportDoc)
+  const scored = participants.map(participant => {
+    const judgeTotals = submittedJudges
+      .map(judge => judgeScores.find(entry => entry.judge === judge && entry.participant === participant))
+      .filter(Boolean)
+      .map(entry => normalizeJudgeScore(match.rubric, entry.criteria))
+    const average = judgeTotals.length > 0 ? judgeTotals.reduce((a, b) => a + b, 0) / judgeTotals.length : 0
+    return { participant, score: Math.round(average * 100) / 100 }
+  })
+
+  const sorted = scored.sort((a, b) => b.score - a.score || a.participant.localeCompare(b.participant))
+  const ranking = sorted.map(entry => {
+    const position = sorted.findIndex(other => other.score === entry.score) + 1
+    const tied = sorted.filter(other => other.score === entry.score).length > 1
+    return { ...entry, position, tied }
+  })
+
+  const ties = []
+  ranking.filter(entry => entry.tied).forEach(entry => {
+    const group = ties.find(tie => ranking.find(r => r.participant === tie[0]).score === entry.score)
+    if (group) {
+      group.push(entry.participant)
+    } else {
+      ties.push([entry.participant])
+    }
+  })
+
+  return {
+    submitted_judges: submittedJudges,
+    pending_judges: pendingJudges,
+    complete: judges.length > 0 && pendingJudges.length === 0,
+    ranking,
+    ties
+  }
+}
+
+/**
+ * Derive the qualifiers of a fully judged match: the top `count` participants of the ranking
+ * Ties at or above the cut-off cannot be placed automatically and are left to the coordinator
+ * @param {Object} results - Results from computeJudgingResults (complete)
+ * @param {number} count - Number of participants that qualify
+ * @returns {Object} { qualifiers: Array|null, unresolved_ties: Array<Array<string>> }
+ */
+export function deriveJudgedQualifiers(results, count) {
+  const qualifyCount = Math.min(count || results.ranking.length, results.ranking.length)
+  const unresolvedTies = results.ties.filter(tie => {
+    const position = results.ranking.find(entry => entry.participant === tie[0]).position
+    return position <= qualifyCount
+  })
+  if (unresolvedTies.length > 0) {
+    return { qualifiers: null, unresolved_ties: unresolvedTies }
+  }
+
+  const qualifiers = results.ranking
+    .slice(0, qualifyCount)
+    .map(entry => ({ participant: entry.participant, position: entry.position }))
+  return { qualifiers, unresolved_ties: [] }
+}
+
+/**
+ * Build the judging view of a match for one user
+ * Managers see every score sheet; a judge sees only their own sheet, and the ranking once all judges have scored
+ * @param {Object} match - Match document
+ * @param {Object} sportDoc - Sport document
+ * @param {Object} viewer - { canManage: boolean, regNumber: string }
+ * @returns {Object} { judges, rubric, judged_qualifiers, submitted_judges, pending_judges, complete, judge_scores, ranking, ties }
+ */
+export function buildJudgingView(match, sportDoc, { canManage, regNumber }) {
+  const results = computeJudgingResults(match, sportDoc)
+  const showResults = canManage || results.complete
+  return {
+    judges: match.judges || [],
+    rubric: match.rubric || [],
+    judged_qualifiers: match.judged_qualifiers ?? null,
+    submitted_judges: results.submitted_judges,
+    pending_judges: results.pending_judges,
+    complete: results.complete,
+    judge_scores: (match.judge_scores || []).filter(entry => canManage || entry.judge === regNumber),
+    ranking: showResults ? results.ranking : [],
+    ties: showResults ? results.ties : []
+  }
+}
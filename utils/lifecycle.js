@@ -0,0 +1,57 @@
+/**
+ * Server Lifecycle
+ * Graceful shutdown on SIGTERM/SIGINT: stop accepting connections, let in-flight requests finish,
+ * run the cleanup (background workers, database connection) and exit
+ */
+
+import logger from './logger.js'
+import { SHUTDOWN_TIMEOUT_SECONDS } from '../constants/index.js'
+
+let shuttingDown = false
+
+/**
+ * Check if the server is shutting down (readiness fails from then on)
+ * @returns {boolean} True once a shutdown signal was received
+ */
+export function isShuttingDown() {
+  return shuttingDown
+}
+
+/**
+ * Shut the server down gracefully when the process receives SIGTERM or SIGINT
+ * The process exits with code 1 if shutdown takes longer than SHUTDOWN_TIMEOUT_SECONDS
+ * @param {http.Server} server - HTTP server returned by app.listen
+ * @param {Function} cleanup - async () => void, run after the server has stopped handling requests
+ */
+export function setupGracefulShutdown(server, cleanup) {
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      return
+    }
+    shuttingDown = true
+    logger.server(`${signal} received, shutting down`)
+
+    const forceExitTimer = setTimeout(() => {
+      logger.error(`Shutdown did not finish within ${SHUTDOWN_TIMEOUT_SECONDS}s, exiting`)
+      process.exit(1)
+    }, SHUTDOWN_TIMEOUT_SECONDS * 1000)
+    forceExitTimer.unref()
+
+    try {
+      // Stops accepting connections; resolves once in-flight requests have finished
+      await new Promise(resolve => {
+        server.close(resolve)
+        server.closeIdleConnections()
+      })
+      await cleanup()
+      logger.server('Shutdown complete')
+      process.exit(0)
+    } catch (error) {
+      logger.error('Error during shutdown:', error)
+      process.exit(1)
+    }
+  }
+
+  process.once('SIGTERM', () => shutdown('SIGTERM'))
+  process.once('SIGINT', () => shutdown('SIGINT'))
+}
@@ -0,0 +1,166 @@
+/**
+ * Lineup Helper Functions
+ * Per-match lineups (starters and substitutes from the team roster) and substitutions of team sports;
+ * who is on the field follows from replaying the substitutions on the starters
+ */
+
+import { MAX_SUBSTITUTION_REASON_LENGTH } from '../constants/index.js'
+
+/**
+ * Check if a sport's matches have lineups (team sports)
+ * @param {Object|null} sportDoc - Sport document
+ * @returns {boolean} True if lineups apply
+ */
+export function isLineupSport(sportDoc) {
+  return !!sportDoc && (sportDoc.type === 'dual_team' || sportDoc.type === 'multi_team')
+}
+
+/**
+ * Normalize a list of reg_numbers
+ * @param {any} list - Array of reg_numbers
+ * @returns {Array<string>|null} Trimmed reg_numbers or null when not an array of strings
+ */
+function normalizeRegNumbers(list) {
+  if (list === undefined || list === null) {
+    return []
+  }
+  if (!Array.isArray(list) || list.some(reg => typeof reg !== 'string' || !reg.trim())) {
+    return null
+  }
+  return list.map(reg => reg.trim())
+}
+
+/**
+ * Validate the lineups of a match: every team plays in the match and is listed once, starts exactly
+ * team_size players, and every starter and substitute is a distinct member of the team's roster
+ * @param {any} lineups - [{ team_name, starters: [reg_number], substitutes: [reg_number] }]
+ * @param {Object} match - Match document
+ * @param {Object} sportDoc - Sport document
+ * @returns {Object} { isValid: boolean, value: Array|null, error: string|null }
+ */
+export function validateLineups(lineups, match, sportDoc) {
+  if (!Array.isArray(lineups) || lineups.length === 0) {
+    return { isValid: false, value: null, error: 'lineups must be a non-empty array of { team_name, starters, substitutes }' }
+  }
+
+  const value = []
+  const seenTeams = new Set()
+  for (const lineup of lineups) {
+    const teamName = typeof lineup?.team_name === 'string' ? lineup.team_name.trim() : ''
+    if (!teamName || !(match.teams || []).includes(teamName)) {
+      return { isValid: false, value: null, error: `Team "${teamName}" does not play in this match` }
+    }
+    if (seenTeams.has(teamName)) {
+      return { isValid: false, value: null, error: `Team "${teamName}" is listed more than once` }
+    }
+    seenTeams.add(teamName)
+
+    const starters = normalizeRegNumbers(lineup.starters)
+    const substitutes = normalizeRegNumbers(lineup.substitutes)
+    if (!starters || !substitutes) {
+      return { isValid: false, value: null, error: `starters and substitutes of "${teamName}" must be arrays of reg_numbers` }
+    }
+    if (sportDoc.team_size && starters.length !== sportDoc.team_size) {
+      return {
+        isValid: false,
+        value: null,
+        error: `Team "${teamName}" must start exactly ${sportDoc.team_size} players, but ${starters.length} were provided`
+      }
+    }
+
+    const team = (sportDoc.teams_participated || []).find(t => t.team_name === teamName)
+    const roster = team?.players || []
+    const listed = new Set()
+    for (const reg of [...starters, ...substitutes]) {
+      if (listed.has(reg)) {
+        return { isValid: false, value: null, error: `Player ${reg} is listed more than once in the lineup of "${teamName}"` }
+      }
+      listed.add(reg)
+      if (!roster.includes(reg)) {
+        return { isValid: false, value: null, error: `Player ${reg} is not on the roster of "${teamName}"` }
+      }
+    }
+
+    value.push({ team_name: teamName, starters, substitutes })
+  }
+
+  return { isValid: true, value, error: null }
+}
+
+/**
+ * Get the players of a team on the field after replaying its substitutions on the starters
+ * @param {Object} lineup - Lineup of the team
+ * @param {Array<Object>} substitutions - Substitutions of the match in recording order
+ * @returns {Array<string>} Reg_numbers on the field
+ */
+export function getOnField(lineup, substitutions) {
+  const onField = [...(lineup?.starters || [])]
+  for (const substitution of substitutions || []) {
+    if (substitution.team_name !== lineup?.team_name) {
+      continue
+    }
+    const index = onField.indexOf(substitution.player_out)
+    if (index !== -1) {
+      onField[index] = substitution.player_in
+    }
+  }
+  return onField
+}
+
+/**
+ * Validate a substitution against the lineup and the substitutions recorded before it:
+ * the player going off is on the field, and the player coming on is in the lineup but not on the field
+ * @param {any} substitution - { team_name, player_out, player_in, minute, reason }
+ * @param {Object} match - Match document (lineups)
+ * @param {Array<Object>} previous - Substitutions recorded before this one
+ * @returns {Object} { isValid: boolean, value: Object|null, error: string|null }
+ */
+export function validateSubstitution(substitution, match, previous) {
+  const teamName = typeof substitution?.team_name === 'string' ? substitution.team_name.trim() : ''
+  const lineup = (match.lineups || []).find(l => l.team_name === teamName)
+  if (!lineup) {
+    return { isValid: false, value: null, error: `Set the lineup of "${teamName}" before recording substitutions` }
+  }
+
+  const playerOut = typeof substitution.player_out === 'string' ? substitution.player_out.trim() : ''
+  const playerIn = typeof substitution.player_in === 'string' ? substitution.player_in.trim() : ''
+  if (!playerOut || !playerIn) {
+    return { isValid: false, value: null, error: 'player_out and player_in are required' }
+  }
+
+  const onField = getOnField(lineup, previous)
+  if (!onField.includes(playerOut)) {
+    return { isValid: false, value: null, error: `Player ${playerOut} is not on the field for "${teamName}"` }
+  }
+  if (![...lineup.starters, ...lineup.substitutes].includes(playerIn)) {
+    return { isValid: false, value: null, error: `Player ${playerIn} is not in the lineup of "${teamName}"` }
+  }
+  if (onField.includes(playerIn)) {
+    return { isValid: false, value: null, error: `Player ${playerIn} is already on the field for "${teamName}"` }
+  }
+
+  let minute = null
+  if (substitution.minute !== undefined && substitution.minute !== null && substitution.minute !== '') {
+    minute = Number(substitution.minute)
+    if (!Number.isInteger(minute) || minute < 0) {
+      return { isValid: false, value: null, error: 'minute must be a non-negative whole number' }
+    }
+  }
+
+  let reason = null
+  if (substitution.reason !== undefined && substitution.reason !== null) {
+    if (typeof substitution.reason !== 'string') {
+      return { isValid: false, value: null, error: 'reason must be a string' }
+    }
+    reason = substitution.reason.trim() || null
+    if (reason && reason.length > MAX_SUBSTITUTION_REASON_LENGTH) {
+      return { isValid: false, value: null, error: `reason must be at most ${MAX_SUBSTITUTION_REASON_LENGTH} characters` }
+    }
+  }
+
+  return {
+    isValid: true,
+    value: { team_name: teamName, player_out: playerOut, player_in: playerIn, minute, reason },
+    error: null
+  }
+}
@@ -1,71 +1,128 @@
 // Logging utility for backend (Node.js)
-// In production, only errors are logged. In development, verbose logs can be disabled.
+// Writes one structured entry per log call: JSON lines by default in production, readable lines in development.
+// Entries logged while handling an API request carry its request_id (see middleware/requestLogger.js).
+
+import { format } from 'util'
+import { getRequestId } from './requestContext.js'
 
 const isDevelopment = process.env.NODE_ENV !== 'production'
 
-// Set ENABLE_VERBOSE_LOGS=true in .env to enable verbose API/debug logs in development
-// Default: verbose logs disabled to reduce console noise
-const enableVerboseLogs = isDevelopment && process.env.ENABLE_VERBOSE_LOGS === 'true'
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+
+// LOG_LEVEL: debug | info | warn | error | silent (default: info)
+// ENABLE_VERBOSE_LOGS=true is still honoured as LOG_LEVEL=debug when LOG_LEVEL is not set
+const configuredLevel = (process.env.LOG_LEVEL || '').trim().toLowerCase()
+const minLevel = LEVELS[configuredLevel] ??
+  (process.env.ENABLE_VERBOSE_LOGS === 'true' ? LEVELS.debug : LEVELS.info)
+
+// LOG_FORMAT: json | pretty (default: json in production, pretty in development)
+const configuredFormat = (process.env.LOG_FORMAT || '').trim().toLowerCase()
+const useJson = configuredFormat ? configuredFormat === 'json' : !isDevelopment
+
+/**
+ * Serialize an error for a log entry (stack traces are kept for debugging)
+ * @param {Error} error - Error to serialize
+ * @returns {Object} { name, message, code?, stack }
+ */
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message }
+  if (error.code !== undefined) {
+    serialized.code = error.code
+  }
+  serialized.stack = error.stack
+  return serialized
+}
+
+/**
+ * Write a log entry if its level is enabled
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - Message
+ * @param {Object} fields - Extra structured fields (e.g. { status, duration_ms })
+ * @param {Error|null} error - Error to attach, if any
+ */
+function write(level, message, fields = {}, error = null) {
+  if (LEVELS[level] < minLevel) {
+    return
+  }
+
+  const entry = { time: new Date().toISOString(), level, msg: message }
+  const requestId = getRequestId()
+  if (requestId) {
+    entry.request_id = requestId
+  }
+  Object.assign(entry, fields)
+  if (error) {
+    entry.err = serializeError(error)
+  }
+
+  const output = level === 'error' || level === 'warn' ? console.error : console.log
+  if (useJson) {
+    output(JSON.stringify(entry))
+    return
+  }
+
+  const { time, level: _level, msg, err, ...rest } = entry
+  const details = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+  output(`[${level.toUpperCase()}]`, msg, ...details)
+  if (err) {
+    output(err.stack || `${err.name}: ${err.message}`)
+  }
+}
+
+/**
+ * Write a log entry from console-style arguments: the first Error becomes the entry's err field,
+ * everything else is formatted into the message
+ * @param {string} level - Log level
+ * @param {Array} args - Arguments passed to the logger method
+ * @param {Object} fields - Extra structured fields
+ */
+function writeArgs(level, args, fields = {}) {
+  const errorIndex = args.findIndex(arg => arg instanceof Error)
+  const error = errorIndex === -1 ? null : args[errorIndex]
+  const messageArgs = errorIndex === -1 ? args : args.filter((_, index) => index !== errorIndex)
+  const message = format(...messageArgs).replace(/:\s*$/, '') || (error ? error.message : '')
+  write(level, message, fields, error)
+}
 
 const logger = {
   /**
-   * Log debug information (only in development, and only if verbose logs enabled)
+   * Log debug information (only when LOG_LEVEL=debug)
    */
-  debug: (...args) => {
-    if (isDevelopment && enableVerboseLogs) {
-      console.log('[DEBUG]', ...args)
-    }
-  },
+  debug: (...args) => writeArgs('debug', args),
 
   /**
-   * Log informational messages (only in development, and only if verbose logs enabled)
+   * Log informational messages
    */
-  info: (...args) => {
-    if (isDevelopment && enableVerboseLogs) {
-      console.info('[INFO]', ...args)
-    }
-  },
+  info: (...args) => writeArgs('info', args),
 
   /**
-   * Log warnings (always logged in development)
+   * Log warnings
    */
-  warn: (...args) => {
-    if (isDevelopment) {
-      console.warn('[WARN]', ...args)
-    }
-  },
+  warn: (...args) => writeArgs('warn', args),
 
   /**
-   * Log errors (always logged, even in production)
-   * In production, you might want to send these to an error tracking service
+   * Log errors (with the error's stack when an Error is passed)
    */
-  error: (...args) => {
-    if (isDevelopment) {
-      console.error('[ERROR]', ...args)
-    } else {
-      // In production, you could send errors to a logging service
-      // Example: sendToErrorTrackingService(...args)
-      console.error('[ERROR]', ...args) // Still log errors in production for debugging
-    }
-  },
+  error: (...args) => writeArgs('error', args),
 
   /**
-   * Log API-related debug information (only in development, and only if verbose logs enabled)
+   * Log API-related debug information (only when LOG_LEVEL=debug)
    * Use sparingly - these can be very verbose
    */
-  api: (...args) => {
-    if (isDevelopment && enableVerboseLogs) {
-      console.log('[API]', ...args)
-    }
-  },
+  api: (...args) => writeArgs('debug', args, { source: 'api' }),
 
   /**
-   * Log server startup messages (always logged)
+   * Log server startup messages (info level)
    */
-  server: (...args) => {
-    console.log('[SERVER]', ...args)
-  },
+  server: (...args) => writeArgs('info', args, { source: 'server' }),
+
+  /**
+   * Log a structured entry
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields, e.g. { method, path, status, duration_ms }
+   */
+  log: (level, message, fields = {}) => write(LEVELS[level] !== undefined && level !== 'silent' ? level : 'info', message, fields),
 }
 
 export default logger
-
@@ -5,8 +5,8 @@
 
 import EventSchedule from '../models/EventSchedule.js'
 import Player from '../models/Player.js'
-import { getMatchGender } from './genderHelpers.js'
-import { normalizeSportName } from './sportHelpers.js'
+import { getMatchGender, getParticipantsGender } from './genderHelpers.js'
+import { normalizeSportName, isTeamComplete, getCompleteTeams } from './sportHelpers.js'
 import logger from './logger.js'
 
 /**
@@ -192,8 +192,8 @@ export async function getActiveParticipants(sportDoc, gender, knockedOut, inSche
   let activeParticipants = []
 
   if (sportDoc.type === 'dual_team' || sportDoc.type === 'multi_team') {
-    // Get teams from teams_participated
-    const eligibleTeams = (sportDoc.teams_participated || [])
+    // Get complete teams from teams_participated
+    const eligibleTeams = getCompleteTeams(sportDoc)
       .filter(team => {
         const trimmedTeamName = (team.team_name || '').trim()
         return trimmedTeamName && !knockedOut.has(trimmedTeamName) && !inScheduled.has(trimmedTeamName)
@@ -483,3 +483,63 @@ export async function validateAllLeagueMatchesCompletedBeforeKnockout(sportsName
   return null
 }
 
+/**
+ * Validate that teams have enough accepted players to play (see isTeamComplete)
+ * @param {Object} sportDoc - Sport document
+ * @param {Array<string>} teamNames - Team names
+ * @returns {Object|null} Error object if a team is incomplete, null otherwise
+ */
+export function validateTeamsComplete(sportDoc, teamNames) {
+  const incomplete = (sportDoc.teams_participated || [])
+    .filter(team => teamNames.includes((team.team_name || '').trim()) && !isTeamComplete(sportDoc, team))
+  if (incomplete.length === 0) {
+    return null
+  }
+  const details = incomplete.map(team => `${team.team_name} (${(team.players || []).length}/${sportDoc.team_size})`)
+  return {
+    statusCode: 400,
+    message: `The following team(s) do not have ${sportDoc.team_size} accepted players yet and cannot be scheduled: ${details.join(', ')}`
+  }
+}
+
+/**
+ * Validate that participants are registered for a sport (teams complete) and all have the given gender
+ * @param {Object} sportDoc - Sport document
+ * @param {Array<string>} participants - Team names (team sports) or player reg_numbers (individual sports)
+ * @param {string} gender - Expected gender ('Male' or 'Female')
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} Error object if validation fails, null otherwise
+ */
+export async function validateParticipantsForGender(sportDoc, participants, gender, eventId) {
+  const isTeamSport = sportDoc.type === 'dual_team' || sportDoc.type === 'multi_team'
+  const participantType = isTeamSport ? 'team(s)' : 'player(s)'
+
+  const registered = new Set(isTeamSport
+    ? (sportDoc.teams_participated || []).map(t => (t.team_name || '').trim())
+    : (sportDoc.players_participated || []).map(p => (p || '').trim()))
+  const unregistered = participants.filter(p => !registered.has(p))
+  if (unregistered.length > 0) {
+    return {
+      statusCode: 400,
+      message: `The following ${participantType} are not registered for ${sportDoc.name}: ${unregistered.join(', ')}`
+    }
+  }
+
+  if (isTeamSport) {
+    const incompleteError = validateTeamsComplete(sportDoc, participants)
+    if (incompleteError) {
+      return incompleteError
+    }
+  }
+
+  const genderMap = await getParticipantsGender(participants, isTeamSport ? 'team' : 'player', sportDoc.name, eventId)
+  const wrongGender = participants.filter(p => genderMap.get(p) !== gender)
+  if (wrongGender.length > 0) {
+    return {
+      statusCode: 400,
+      message: `The following ${participantType} do not match gender ${gender}: ${wrongGender.join(', ')}`
+    }
+  }
+
+  return null
+}
@@ -0,0 +1,140 @@
+/**
+ * Metrics
+ * Request counts and latencies per route, cache statistics and process metrics in the Prometheus text format
+ * (served by GET /metrics). Values are kept in memory per process and reset on restart.
+ */
+
+import mongoose from 'mongoose'
+import { getCacheStats } from './cache.js'
+import { getGenderCacheStats } from './genderHelpers.js'
+import { METRICS_LATENCY_BUCKETS_SECONDS } from '../constants/index.js'
+
+// Key: method|route|status -> count
+const requestCounts = new Map()
+// Key: method|route -> { buckets: number[], sum, count }
+const requestDurations = new Map()
+
+/**
+ * Record a finished API request
+ * @param {string} method - HTTP method
+ * @param {string} route - Route pattern (e.g. /api/players/:reg_number), not the raw path, to keep label values bounded
+ * @param {number} status - Response status code
+ * @param {number} durationSeconds - Time until the response was finished
+ */
+export function recordRequest(method, route, status, durationSeconds) {
+  const countKey = `${method}|${route}|${status}`
+  requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1)
+
+  const durationKey = `${method}|${route}`
+  let histogram = requestDurations.get(durationKey)
+  if (!histogram) {
+    histogram = { buckets: METRICS_LATENCY_BUCKETS_SECONDS.map(() => 0), sum: 0, count: 0 }
+    requestDurations.set(durationKey, histogram)
+  }
+  METRICS_LATENCY_BUCKETS_SECONDS.forEach((bound, index) => {
+    if (durationSeconds <= bound) {
+      histogram.buckets[index]++
+    }
+  })
+  histogram.sum += durationSeconds
+  histogram.count++
+}
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+/**
+ * Format labels as {name="value",...}
+ * @param {Object} labels - Label names and values
+ * @returns {string} Formatted labels (empty string when there are none)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) {
+    return ''
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+/**
+ * Add a metric (HELP, TYPE and its samples) to the output lines
+ * @param {string[]} lines - Output lines
+ * @param {string} name - Metric name
+ * @param {string} type - counter, gauge or histogram
+ * @param {string} help - Description
+ * @param {Array} samples - [{ labels, value, suffix? }]
+ */
+function addMetric(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`)
+  lines.push(`# TYPE ${name} ${type}`)
+  for (const { labels = {}, value, suffix = '' } of samples) {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`)
+  }
+}
+
+/**
+ * Get the hit ratio of a cache (0 before the first lookup)
+ * @param {Object} stats - { hits, misses }
+ * @returns {number} Hits / lookups
+ */
+function getHitRatio(stats) {
+  const lookups = stats.hits + stats.misses
+  return lookups === 0 ? 0 : stats.hits / lookups
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ * @returns {string} Metrics text
+ */
+export function renderMetrics() {
+  const lines = []
+
+  addMetric(lines, 'http_requests_total', 'counter', 'API requests by method, route and status',
+    [...requestCounts.entries()].map(([key, value]) => {
+      const [method, route, status] = key.split('|')
+      return { labels: { method, route, status }, value }
+    })
+  )
+
+  const durationSamples = []
+  for (const [key, histogram] of requestDurations.entries()) {
+    const [method, route] = key.split('|')
+    METRICS_LATENCY_BUCKETS_SECONDS.forEach((bound, index) => {
+      durationSamples.push({ suffix: '_bucket', labels: { method, route, le: bound }, value: histogram.buckets[index] })
+    })
+    durationSamples.push({ suffix: '_bucket', labels: { method, route, le: '+Inf' }, value: histogram.count })
+    durationSamples.push({ suffix: '_sum', labels: { method, route }, value: histogram.sum })
+    durationSamples.push({ suffix: '_count', labels: { method, route }, value: histogram.count })
+  }
+  addMetric(lines, 'http_request_duration_seconds', 'histogram', 'API request latency by method and route', durationSamples)
+
+  const caches = [
+    { cache: 'api_response', stats: getCacheStats() },
+    { cache: 'gender', stats: getGenderCacheStats() }
+  ]
+  addMetric(lines, 'cache_hits_total', 'counter', 'Cache lookups that found a valid entry',
+    caches.map(({ cache, stats }) => ({ labels: { cache }, value: stats.hits })))
+  addMetric(lines, 'cache_misses_total', 'counter', 'Cache lookups that found no valid entry',
+    caches.map(({ cache, stats }) => ({ labels: { cache }, value: stats.misses })))
+  addMetric(lines, 'cache_hit_ratio', 'gauge', 'Cache hits per lookup since server start',
+    caches.map(({ cache, stats }) => ({ labels: { cache }, value: getHitRatio(stats) })))
+  // Entries of a shared (Redis) cache are not counted per process
+  addMetric(lines, 'cache_entries', 'gauge', 'Entries currently stored in the cache',
+    caches.filter(({ stats }) => stats.entries !== null).map(({ cache, stats }) => ({ labels: { cache }, value: stats.entries })))
+
+  addMetric(lines, 'mongodb_connected', 'gauge', '1 if the MongoDB connection is open',
+    [{ value: mongoose.connection.readyState === 1 ? 1 : 0 }])
+
+  const memory = process.memoryUsage()
+  addMetric(lines, 'process_uptime_seconds', 'gauge', 'Seconds since the server process started', [{ value: process.uptime() }])
+  addMetric(lines, 'process_resident_memory_bytes', 'gauge', 'Resident memory size', [{ value: memory.rss }])
+  addMetric(lines, 'nodejs_heap_used_bytes', 'gauge', 'V8 heap in use', [{ value: memory.heapUsed }])
+
+  return `${lines.join('\n')}\n`
+}
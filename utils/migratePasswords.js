@@ -0,0 +1,51 @@
+/**
+ * Password Migration Utility
+ * Rehashes any plaintext passwords left over from before password hashing was introduced
+ * Safe to run repeatedly - already-hashed passwords are skipped
+ */
+
+import Player from '../models/Player.js'
+import { hashPassword, isPasswordHashed } from './passwordHelpers.js'
+import logger from './logger.js'
+
+/**
+ * Hash every plaintext password in the players collection
+ * Writes directly with updateOne so the pre-save hook does not run twice
+ * @returns {Promise<{scanned: number, migrated: number, errors: number}>}
+ */
+export async function migratePlaintextPasswords() {
+  const candidates = await Player.find({ password: { $not: /^scrypt\$/ } })
+    .select('reg_number password')
+    .lean()
+
+  let migrated = 0
+  let errors = 0
+
+  for (const player of candidates) {
+    if (!player.password || isPasswordHashed(player.password)) {
+      continue
+    }
+
+    try {
+      const hashed = await hashPassword(player.password)
+      await Player.updateOne(
+        { _id: player._id, password: player.password },
+        { $set: { password: hashed } }
+      )
+      migrated++
+    } catch (error) {
+      logger.error(`Error migrating password for player ${player.reg_number}:`, error)
+      errors++
+    }
+  }
+
+  if (migrated > 0 || errors > 0) {
+    logger.server(`Password migration: ${migrated} plaintext password(s) hashed, ${errors} error(s)`)
+  }
+
+  return {
+    scanned: candidates.length,
+    migrated,
+    errors
+  }
+}
@@ -0,0 +1,358 @@
+/**
+ * Notification Helper Functions
+ * Templated email notifications (match scheduled/rescheduled/cancelled/result, team invitations, captain and
+ * coordinator assignments) are queued in the email outbox and sent by the outbox worker, so a failing email
+ * provider never fails the API request that triggered them. Players can opt out per category.
+ */
+
+import Player from '../models/Player.js'
+import EmailOutbox from '../models/EmailOutbox.js'
+import logger from './logger.js'
+import { isEmailConfigured, renderEmailLayout } from './emailService.js'
+import { wakeOutboxWorker } from './emailOutbox.js'
+import { NOTIFICATION_CATEGORIES } from '../constants/index.js'
+
+/**
+ * Get the preference category of a notification type
+ * @param {string} type - Notification type
+ * @returns {string|null} Category key or null
+ */
+export function getNotificationCategory(type) {
+  return Object.keys(NOTIFICATION_CATEGORIES).find(category => NOTIFICATION_CATEGORIES[category].includes(type)) || null
+}
+
+/**
+ * Get a player's notification preferences with defaults for missing categories (everything on)
+ * @param {Object} player - Player document
+ * @returns {Object} { [category]: boolean }
+ */
+export function getNotificationPreferences(player) {
+  const preferences = {}
+  for (const category of Object.keys(NOTIFICATION_CATEGORIES)) {
+    preferences[category] = player?.notification_preferences?.[category] !== false
+  }
+  return preferences
+}
+
+/**
+ * Format a match date for emails
+ * @param {Date|string} date - Match date
+ * @returns {string} Formatted date
+ */
+function formatMatchDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })
+}
+
+/**
+ * Describe when and where a match is played
+ * @param {Object} match - Match document
+ * @returns {string} e.g. "Mon, Mar 2, 2026, 10:00-11:00 at Main Ground (Court 1)"
+ */
+function describeMatchSlot(match) {
+  let slot = formatMatchDate(match.match_date)
+  if (match.start_time) {
+    slot += match.end_time ? `, ${match.start_time}-${match.end_time}` : `, ${match.start_time}`
+  }
+  if (match.venue) {
+    slot += ` at ${match.venue}${match.court ? ` (${match.court})` : ''}`
+  }
+  return slot
+}
+
+/**
+ * Describe the result of a completed match
+ * @param {Object} match - Match document
+ * @param {Function} label - Maps a participant (team name or reg_number) to a display name
+ * @returns {string} Result line
+ */
+function describeMatchResult(match, label) {
+  if (match.status === 'draw') {
+    return 'The match ended in a draw.'
+  }
+  if (match.winner) {
+    return `Winner: ${label(match.winner)}${match.walkover ? ' (walkover)' : ''}.`
+  }
+  const qualifiers = [...(match.qualifiers || [])].sort((a, b) => a.position - b.position)
+  if (qualifiers.length > 0) {
+    return `Placings: ${qualifiers.map(q => `${q.position}. ${label(q.participant)}`).join(', ')}.`
+  }
+  return 'The match has been completed.'
+}
+
+/**
+ * Build the subject and content of a notification
+ * @param {string} type - Notification type
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, heading, lines }
+ */
+export function buildNotificationContent(type, data) {
+  const sport = data.sport
+  const matchTitle = data.match ? `${sport} match #${data.match.match_number}` : ''
+
+  switch (type) {
+    case 'match_scheduled':
+      return {
+        subject: `Match scheduled: ${matchTitle}`,
+        heading: 'Match Scheduled',
+        lines: [
+          `Your ${matchTitle} (${data.participants}) has been scheduled.`,
+          `When and where: ${describeMatchSlot(data.match)}.`
+        ]
+      }
+    case 'match_rescheduled':
+      return {
+        subject: `Match rescheduled: ${matchTitle}`,
+        heading: 'Match Rescheduled',
+        lines: [
+          `Your ${matchTitle} (${data.participants}) has been rescheduled.`,
+          `Previously: ${describeMatchSlot(data.previousMatch)}.`,
+          `Now: ${describeMatchSlot(data.match)}.`
+        ]
+      }
+    case 'match_cancelled':
+      return {
+        subject: `Match cancelled: ${matchTitle}`,
+        heading: 'Match Cancelled',
+        lines: [
+          `Your ${matchTitle} (${data.participants}) on ${formatMatchDate(data.match.match_date)} has been cancelled.`
+        ]
+      }
+    case 'match_result':
+      return {
+        subject: `Result posted: ${matchTitle}`,
+        heading: 'Match Result',
+        lines: [
+          `The result of your ${matchTitle} (${data.participants}) has been posted.`,
+          describeMatchResult(data.match, data.label)
+        ]
+      }
+    case 'team_invitation':
+      return {
+        subject: `Team invitation: ${data.teamName} (${sport})`,
+        heading: 'Team Invitation',
+        lines: [
+          `${data.invitedByName || 'A team captain'} has invited you to join team "${data.teamName}" for ${sport}.`,
+          data.expiresAt
+            ? `Log in to accept or decline the invitation before ${formatMatchDate(data.expiresAt)}.`
+            : 'Log in to accept or decline the invitation.'
+        ]
+      }
+    case 'captain_assigned':
+      return {
+        subject: `You are now an eligible captain for ${sport}`,
+        heading: 'Captain Assignment',
+        lines: [
+          `You have been made an eligible captain for ${sport}.`,
+          'Log in to create your team and invite its players.'
+        ]
+      }
+    case 'coordinator_assigned':
+      return {
+        subject: `You are now a coordinator for ${sport}`,
+        heading: 'Coordinator Assignment',
+        lines: [
+          `You have been made a coordinator for ${sport}.`,
+          'Log in to manage the schedule and results of the sport.'
+        ]
+      }
+    default:
+      throw new Error(`Unknown notification type: ${type}`)
+  }
+}
+
+/**
+ * Queue a notification for players who have an email address and have not opted out of its category
+ * Never throws: a failure is logged so the request that triggered the notification still succeeds
+ * @param {Array<Object>} players - Players (reg_number, full_name, email_id, notification_preferences)
+ * @param {string} type - Notification type
+ * @param {Object} data - Template data
+ * @param {Object} options - { eventId, createdBy }
+ * @returns {Promise<number>} Number of emails queued
+ */
+async function queueForPlayers(players, type, data, { eventId = null, createdBy = null } = {}) {
+  try {
+    const category = getNotificationCategory(type)
+    const recipients = players.filter(player => player.email_id && getNotificationPreferences(player)[category])
+    if (recipients.length === 0) {
+      return 0
+    }
+
+    const content = buildNotificationContent(type, data)
+    const emails = recipients.map(player => {
+      const { html, text } = renderEmailLayout({
+        heading: content.heading,
+        recipientName: player.full_name,
+        lines: content.lines,
+        footerNote: 'You can turn off these emails under notification preferences in your profile.'
+      })
+      return {
+        type,
+        reg_number: player.reg_number,
+        to: player.email_id,
+        subject: content.subject,
+        html,
+        text,
+        event_id: eventId,
+        createdBy
+      }
+    })
+
+    await EmailOutbox.insertMany(emails)
+    wakeOutboxWorker()
+    return emails.length
+  } catch (error) {
+    logger.error(`[Notifications] Error queueing ${type} notifications:`, error)
+    return 0
+  }
+}
+
+/**
+ * Load notification recipients by reg_number
+ * @param {Array<string>} regNumbers - Player registration numbers
+ * @returns {Promise<Array<Object>>} Players
+ */
+async function loadRecipients(regNumbers) {
+  const unique = [...new Set((regNumbers || []).filter(Boolean))]
+  if (unique.length === 0) {
+    return []
+  }
+  return Player.find({ reg_number: { $in: unique } })
+    .select('reg_number full_name email_id notification_preferences')
+    .lean()
+}
+
+/**
+ * Queue a notification for players by reg_number (skipped entirely when no email provider is configured)
+ * @param {Array<string>} regNumbers - Player registration numbers
+ * @param {string} type - Notification type
+ * @param {Object} data - Template data
+ * @param {Object} options - { eventId, createdBy }
+ * @returns {Promise<number>} Number of emails queued
+ */
+export async function queueNotifications(regNumbers, type, data, options = {}) {
+  if (!isEmailConfigured()) {
+    return 0
+  }
+  try {
+    const players = await loadRecipients(regNumbers)
+    return queueForPlayers(players, type, data, options)
+  } catch (error) {
+    logger.error(`[Notifications] Error loading recipients for ${type} notifications:`, error)
+    return 0
+  }
+}
+
+/**
+ * Get a comparable key of a match's placings
+ * @param {Object} match - Match document
+ * @returns {string} Key of the qualifiers in position order
+ */
+function getQualifiersKey(match) {
+  return [...(match.qualifiers || [])]
+    .sort((a, b) => a.position - b.position)
+    .map(q => `${q.position}:${q.participant}`)
+    .join('|')
+}
+
+/**
+ * Queue invitation emails to the players invited to a team
+ * @param {Array<Object>} invitations - New invitations (reg_number, expires_at)
+ * @param {Object} sportDoc - Sport document
+ * @param {string} teamName - Team name
+ * @param {string} invitedBy - Registration number of the inviting user
+ * @param {string} eventId - Event ID
+ * @returns {Promise<number>} Number of emails queued
+ */
+export async function notifyTeamInvitations(invitations, sportDoc, teamName, invitedBy, eventId) {
+  if (!invitations || invitations.length === 0 || !isEmailConfigured()) {
+    return 0
+  }
+  try {
+    const inviter = await Player.findOne({ reg_number: invitedBy }).select('full_name').lean()
+    return queueNotifications(
+      invitations.map(invitation => invitation.reg_number),
+      'team_invitation',
+      { sport: sportDoc.name, teamName, invitedByName: inviter?.full_name, expiresAt: invitations[0].expires_at },
+      { eventId, createdBy: invitedBy }
+    )
+  } catch (error) {
+    logger.error('[Notifications] Error queueing team invitation notifications:', error)
+    return 0
+  }
+}
+
+/**
+ * Decide which notification a match change triggers
+ * @param {Object|null} before - Match before the change (null when the match was just created)
+ * @param {Object} after - Match after the change
+ * @returns {string|null} Notification type or null when nothing worth notifying changed
+ */
+export function getMatchNotificationType(before, after) {
+  if (!before) {
+    return after.status === 'scheduled' ? 'match_scheduled' : null
+  }
+
+  if (after.status === 'cancelled') {
+    return before.status !== 'cancelled' ? 'match_cancelled' : null
+  }
+
+  if (after.status === 'completed' || after.status === 'draw') {
+    const resultChanged = before.status !== after.status ||
+      (before.winner || null) !== (after.winner || null) ||
+      getQualifiersKey(before) !== getQualifiersKey(after)
+    return resultChanged ? 'match_result' : null
+  }
+
+  if (after.status === 'scheduled') {
+    const slotChanged = new Date(before.match_date).getTime() !== new Date(after.match_date).getTime() ||
+      ['start_time', 'end_time', 'venue', 'court'].some(field => (before[field] || null) !== (after[field] || null))
+    return slotChanged ? 'match_rescheduled' : null
+  }
+
+  return null
+}
+
+/**
+ * Queue the notification for a created or updated match: the players of the teams in the match
+ * (team sports) or the players in the match (individual sports) are notified
+ * @param {Object|null} before - Match before the change (null when the match was just created)
+ * @param {Object} after - Match after the change
+ * @param {Object} sportDoc - Sport document
+ * @param {string} actor - Registration number of the user who made the change
+ * @returns {Promise<number>} Number of emails queued
+ */
+export async function notifyMatchChange(before, after, sportDoc, actor) {
+  const type = getMatchNotificationType(before, after)
+  if (!type || !sportDoc || !isEmailConfigured()) {
+    return 0
+  }
+
+  try {
+    const teams = after.teams || []
+    let players
+    let label
+    if (teams.length > 0) {
+      const regNumbers = (sportDoc.teams_participated || [])
+        .filter(team => teams.includes(team.team_name))
+        .flatMap(team => team.players || [])
+      players = await loadRecipients(regNumbers)
+      label = participant => participant
+    } else {
+      players = await loadRecipients(after.players)
+      const names = new Map(players.map(player => [player.reg_number, player.full_name]))
+      label = participant => names.get(participant) ? `${names.get(participant)} (${participant})` : participant
+    }
+
+    const participantList = teams.length > 0 ? teams : (after.players || [])
+    const participants = participantList.map(label).join(participantList.length > 2 ? ', ' : ' vs ')
+    return queueForPlayers(
+      players,
+      type,
+      { sport: sportDoc.name, match: after, previousMatch: before, participants, label },
+      { eventId: after.event_id, createdBy: actor }
+    )
+  } catch (error) {
+    logger.error('[Notifications] Error queueing match notifications:', error)
+    return 0
+  }
+}
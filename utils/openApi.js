@@ -0,0 +1,186 @@
+/**
+ * OpenAPI Document
+ * Builds an OpenAPI 3 document of every route from the request schemas (utils/requestSchemas.js), served at /api/docs
+ * The document is built once per process
+ */
+
+import { requestSchemas } from './requestSchemas.js'
+
+// Keywords of the shared schema format that are not part of OpenAPI
+const NON_OPENAPI_KEYWORDS = ['messages']
+
+const JSON_CONTENT = 'application/json'
+
+let cachedDocument = null
+
+/**
+ * Convert a shared schema to an OpenAPI schema object (drops validator-only keywords)
+ * @param {Object} schema - Schema
+ * @returns {Object} OpenAPI schema object
+ */
+function toOpenApiSchema(schema) {
+  const result = {}
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (NON_OPENAPI_KEYWORDS.includes(keyword)) continue
+    if (keyword === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, propertySchema]) => [name, toOpenApiSchema(propertySchema)])
+      )
+    } else if (keyword === 'items') {
+      result.items = toOpenApiSchema(value)
+    } else {
+      result[keyword] = value
+    }
+  }
+  return result
+}
+
+/**
+ * Build the parameter objects of a query or path schema
+ * @param {Object} schema - Object schema of the parameters
+ * @param {string} location - 'query' or 'path'
+ * @returns {Array} OpenAPI parameter objects
+ */
+function toParameters(schema, location) {
+  const required = schema.required || []
+  return Object.entries(schema.properties || {}).map(([name, propertySchema]) => {
+    const parameterSchema = toOpenApiSchema(propertySchema)
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      schema: parameterSchema
+    }
+    if (propertySchema.description) {
+      parameter.description = propertySchema.description
+    }
+    return parameter
+  })
+}
+
+/**
+ * Build the operation object of one route
+ * @param {Object} definition - Route entry of requestSchemas
+ * @returns {Object} OpenAPI operation object
+ */
+function toOperation(definition) {
+  const operation = {
+    tags: [definition.tag],
+    summary: definition.summary,
+    parameters: [
+      ...(definition.params ? toParameters(definition.params, 'path') : []),
+      ...(definition.query ? toParameters(definition.query, 'query') : [])
+    ],
+    responses: {
+      200: { $ref: '#/components/responses/Success' }
+    }
+  }
+
+  // Only routes with inputs can fail validation
+  if (definition.params || definition.query || definition.body) {
+    operation.responses[400] = { $ref: '#/components/responses/ValidationError' }
+  }
+
+  if (definition.body) {
+    operation.requestBody = {
+      required: (definition.body.required || []).length > 0,
+      content: { [JSON_CONTENT]: { schema: toOpenApiSchema(definition.body) } }
+    }
+  }
+
+  if (definition.auth) {
+    operation.security = [{ bearerAuth: [] }]
+    operation.responses[401] = { $ref: '#/components/responses/Error' }
+    operation.responses[403] = { $ref: '#/components/responses/Error' }
+  }
+
+  for (const [status, description] of Object.entries(definition.responses || {})) {
+    operation.responses[status] = { description }
+  }
+
+  if (operation.parameters.length === 0) {
+    delete operation.parameters
+  }
+  return operation
+}
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object} OpenAPI 3 document
+ */
+export function buildOpenApiDocument() {
+  const paths = {}
+  for (const [route, definition] of Object.entries(requestSchemas)) {
+    const [method, expressPath] = route.split(' ')
+    const path = expressPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}')
+    paths[path] = paths[path] || {}
+    paths[path][method.toLowerCase()] = toOperation(definition)
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Sports Event Management API',
+      version: '1.0.0',
+      description: 'Every route of the API. Requests with invalid body, query or path parameters get a 400 response listing every failed field.'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string' }
+          }
+        },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string', description: 'Every message, joined with "; "' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  location: { type: 'string', enum: ['body', 'query', 'params'] },
+                  field: { type: 'string', example: 'email_id' },
+                  message: { type: 'string', example: 'Invalid email format' }
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        Success: {
+          description: 'Success',
+          content: { [JSON_CONTENT]: { schema: { type: 'object', properties: { success: { type: 'boolean', example: true } } } } }
+        },
+        ValidationError: {
+          description: 'Invalid request',
+          content: { [JSON_CONTENT]: { schema: { $ref: '#/components/schemas/ValidationError' } } }
+        },
+        Error: {
+          description: 'Error',
+          content: { [JSON_CONTENT]: { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Get the OpenAPI document (built on first use; schemas do not change while the server runs)
+ * @returns {Object} OpenAPI 3 document
+ */
+export function getOpenApiDocument() {
+  if (!cachedDocument) {
+    cachedDocument = buildOpenApiDocument()
+  }
+  return cachedDocument
+}
@@ -0,0 +1,108 @@
+/**
+ * Password Helper Functions
+ * Salted scrypt hashing and verification for stored passwords
+ * Uses Node's built-in crypto module (no external dependency)
+ */
+
+import crypto from 'crypto'
+
+// Hash format: scrypt$<N>$<r>$<p>$<salt(base64)>$<hash(base64)>
+// Parameters are stored with the hash so they can be raised later without breaking old hashes
+const HASH_PREFIX = 'scrypt'
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+const KEY_LENGTH = 64
+const SALT_LENGTH = 16
+
+/**
+ * Promisified scrypt
+ * @param {string} password - Plain text password
+ * @param {Buffer} salt - Salt
+ * @param {Object} params - Scrypt cost parameters { N, r, p }
+ * @returns {Promise<Buffer>} Derived key
+ */
+function deriveKey(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, { ...params, maxmem: 64 * 1024 * 1024 }, (err, derivedKey) => {
+      if (err) {
+        reject(err)
+      } else {
+        resolve(derivedKey)
+      }
+    })
+  })
+}
+
+/**
+ * Check if a stored password value is already hashed
+ * @param {string} value - Stored password value
+ * @returns {boolean} True if value is in the scrypt hash format
+ */
+export function isPasswordHashed(value) {
+  if (!value || typeof value !== 'string') return false
+  const parts = value.split('$')
+  return parts.length === 6 && parts[0] === HASH_PREFIX
+}
+
+/**
+ * Hash a plain text password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash string
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH)
+  const derivedKey = await deriveKey(String(password), salt, SCRYPT_PARAMS)
+  const { N, r, p } = SCRYPT_PARAMS
+  return [HASH_PREFIX, N, r, p, salt.toString('base64'), derivedKey.toString('base64')].join('$')
+}
+
+/**
+ * Verify a plain text password against a stored hash
+ * Uses a constant-time comparison to avoid timing attacks
+ * A corrupt hash (e.g. invalid cost parameters) counts as a mismatch rather than an error
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Stored hash string
+ * @returns {Promise<boolean>} True if password matches
+ */
+export async function verifyPassword(password, storedHash) {
+  if (!password || !isPasswordHashed(storedHash)) {
+    return false
+  }
+
+  const [, N, r, p, saltBase64, hashBase64] = storedHash.split('$')
+  const expected = Buffer.from(hashBase64, 'base64')
+  let derivedKey
+  try {
+    derivedKey = await deriveKey(String(password), Buffer.from(saltBase64, 'base64'), {
+      N: parseInt(N, 10),
+      r: parseInt(r, 10),
+      p: parseInt(p, 10)
+    })
+  } catch {
+    return false
+  }
+
+  if (derivedKey.length !== expected.length) {
+    return false
+  }
+
+  return crypto.timingSafeEqual(derivedKey, expected)
+}
+
+/**
+ * Generate a single-use password reset token
+ * Only the SHA-256 hash is stored on the player; the raw token is emailed
+ * @returns {{token: string, tokenHash: string}}
+ */
+export function generateResetToken() {
+  const token = crypto.randomBytes(32).toString('hex')
+  return { token, tokenHash: hashResetToken(token) }
+}
+
+/**
+ * Hash a password reset token for storage/lookup
+ * @param {string} token - Raw reset token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex')
+}
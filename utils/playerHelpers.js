@@ -5,6 +5,7 @@
 
 import Sport from '../models/Sport.js'
 import { getEventYear } from './yearHelpers.js'
+import logger from './logger.js'
 
 /**
  * Compute player participation from Sports collection
@@ -216,7 +217,7 @@ export async function validateDepartmentExists(departmentName) {
       department
     }
   } catch (error) {
-    console.error('Error validating department:', error)
+    logger.error('Error validating department:', error)
     return { exists: false, department: null }
   }
 }
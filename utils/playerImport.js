@@ -0,0 +1,215 @@
+/**
+ * Player Import Helper Functions
+ * Parses CSV/XLSX player spreadsheets, validates every row and creates the players in one all-or-nothing step
+ */
+
+import crypto from 'crypto'
+import XLSX from 'xlsx'
+import Player from '../models/Player.js'
+import Batch from '../models/Batch.js'
+import { validatePlayerData } from './validation.js'
+import { PLAYER_IMPORT_MAX_ROWS } from '../constants/index.js'
+import { hashPassword } from './passwordHelpers.js'
+import { runInTransaction } from './unitOfWork.js'
+import logger from './logger.js'
+
+// Accepted column headers (normalized: lowercase, non-alphanumerics as underscores) for each player field
+const COLUMN_ALIASES = {
+  reg_number: ['reg_number', 'reg_no', 'registration_number', 'registration_no', 'reg'],
+  full_name: ['full_name', 'name', 'player_name'],
+  gender: ['gender'],
+  department_branch: ['department_branch', 'department', 'branch', 'dept'],
+  mobile_number: ['mobile_number', 'mobile', 'mobile_no', 'phone', 'phone_number'],
+  email_id: ['email_id', 'email', 'email_address'],
+  password: ['password'],
+  batch_name: ['batch_name', 'batch']
+}
+const REQUIRED_COLUMNS = ['reg_number', 'full_name', 'gender', 'department_branch', 'mobile_number', 'email_id']
+const HASH_CHUNK_SIZE = 10
+
+/**
+ * Normalize a spreadsheet header (e.g. "Reg. Number" -> "reg_number")
+ * @param {string} header - Raw header
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+}
+
+/**
+ * Normalize a gender cell ("male", "MALE" -> "Male")
+ * @param {string} value - Raw gender
+ * @returns {string} Normalized gender
+ */
+function normalizeGender(value) {
+  const trimmed = value.trim()
+  return trimmed ? trimmed.charAt(0).toUpperCase() + trimmed.slice(1).toLowerCase() : ''
+}
+
+/**
+ * Parse a base64 encoded CSV/XLSX spreadsheet into player rows (first sheet only)
+ * @param {string} file - Base64 file content (a data URL prefix is allowed)
+ * @returns {Object} { isValid, rows: [{ row, data }], error }
+ */
+export function parsePlayerImportFile(file) {
+  if (!file || typeof file !== 'string') {
+    return { isValid: false, rows: [], error: 'file is required (base64 encoded CSV or XLSX)' }
+  }
+
+  let workbook
+  try {
+    const buffer = Buffer.from(file.replace(/^data:[^,]*,/, ''), 'base64')
+    // raw keeps CSV cells as text so registration and mobile numbers are not turned into numbers
+    workbook = XLSX.read(buffer, { type: 'buffer', raw: true })
+  } catch (error) {
+    logger.warn('Could not read player import file:', error.message)
+    return { isValid: false, rows: [], error: 'File could not be read. Upload a CSV or XLSX file.' }
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]]
+  if (!sheet) {
+    return { isValid: false, rows: [], error: 'File does not contain any sheet' }
+  }
+
+  const sheetRows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false })
+  if (sheetRows.length === 0) {
+    return { isValid: false, rows: [], error: 'File does not contain any player rows' }
+  }
+  if (sheetRows.length > PLAYER_IMPORT_MAX_ROWS) {
+    return { isValid: false, rows: [], error: `Maximum ${PLAYER_IMPORT_MAX_ROWS} players can be imported at a time` }
+  }
+
+  // Map each spreadsheet header to a player field
+  const headerFields = {}
+  Object.keys(sheetRows[0]).forEach(header => {
+    const normalized = normalizeHeader(header)
+    const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalized))
+    if (field && !Object.values(headerFields).includes(field)) {
+      headerFields[header] = field
+    }
+  })
+  const missingColumns = REQUIRED_COLUMNS.filter(field => !Object.values(headerFields).includes(field))
+  if (missingColumns.length > 0) {
+    return { isValid: false, rows: [], error: `Missing column(s): ${missingColumns.join(', ')}` }
+  }
+
+  const rows = sheetRows.map((sheetRow, index) => {
+    const data = {}
+    Object.entries(headerFields).forEach(([header, field]) => {
+      data[field] = String(sheetRow[header] ?? '').trim()
+    })
+    data.gender = normalizeGender(data.gender)
+    // __rowNum__ is the 0-based sheet row (header included); fall back to the position after the header
+    const row = sheetRow.__rowNum__ !== undefined ? sheetRow.__rowNum__ + 1 : index + 2
+    return { row, data }
+  })
+
+  return { isValid: true, rows, error: null }
+}
+
+/**
+ * Validate parsed player rows
+ * Every row is checked with validatePlayerData (which checks the department via validateDepartmentExists), against existing players,
+ * against earlier rows of the same file and (when a batch is given) against the batches of the event
+ * @param {Array} rows - Rows from parsePlayerImportFile
+ * @param {string} eventId - Event ID used for batch assignment
+ * @param {string|null} defaultBatchName - Batch for rows without a batch column value
+ * @returns {Promise<Object>} { report: [{ row, reg_number, full_name, batch_name, errors }], players: [{ row, data, batch }] }
+ */
+export async function validatePlayerImportRows(rows, eventId, defaultBatchName = null) {
+  const regNumbers = rows.map(({ data }) => data.reg_number).filter(Boolean)
+  const [existingPlayers, batches] = await Promise.all([
+    Player.find({ reg_number: { $in: regNumbers } }).select('reg_number').lean(),
+    Batch.find({ event_id: eventId }).lean()
+  ])
+  const existingRegNumbers = new Set(existingPlayers.map(p => p.reg_number))
+  const batchesByName = new Map(batches.map(b => [b.name, b]))
+
+  const seenRegNumbers = new Map() // reg_number -> first row
+  const report = []
+  const players = []
+
+  for (const { row, data } of rows) {
+    const { batch_name: rowBatchName, password, ...playerData } = data
+    // Rows without a password get a random one; players set their own via "Forgot Password"
+    const validation = await validatePlayerData({ ...playerData, password: password || 'temporary' })
+    const errors = [...validation.errors]
+
+    const regNumber = playerData.reg_number
+    if (regNumber) {
+      if (existingRegNumbers.has(regNumber)) {
+        errors.push('Registration number already exists')
+      } else if (seenRegNumbers.has(regNumber)) {
+        errors.push(`Duplicate registration number (same as row ${seenRegNumbers.get(regNumber)})`)
+      }
+      if (!seenRegNumbers.has(regNumber)) {
+        seenRegNumbers.set(regNumber, row)
+      }
+    }
+
+    const batchName = rowBatchName || defaultBatchName || null
+    const batch = batchName ? batchesByName.get(batchName) : null
+    if (batchName && !batch) {
+      errors.push(`Batch "${batchName}" does not exist. Please create the batch first.`)
+    }
+
+    report.push({ row, reg_number: regNumber || null, full_name: playerData.full_name || null, batch_name: batchName, errors })
+    if (errors.length === 0) {
+      players.push({ row, data: { ...playerData, password: password || null }, batch })
+    }
+  }
+
+  return { report, players }
+}
+
+/**
+ * Create all validated players and add them to their batches
+ * All-or-nothing: the players and batch memberships are written in one transaction, so a failed write rolls the
+ * whole import back. Passwords are hashed before it (flagged so the save hook does not hash them again), so the
+ * slow hashing does not hold the transaction open
+ * @param {Array} players - Valid players from validatePlayerImportRows
+ * @param {string} createdBy - reg_number of the importing admin
+ * @returns {Promise<Object>} { imported_count, batches: { [batch_name]: count } }
+ */
+export async function commitPlayerImport(players, createdBy) {
+  const passwords = []
+  for (let i = 0; i < players.length; i += HASH_CHUNK_SIZE) {
+    const chunk = players.slice(i, i + HASH_CHUNK_SIZE)
+    passwords.push(...await Promise.all(chunk.map(({ data }) =>
+      hashPassword(data.password || crypto.randomBytes(24).toString('base64url'))
+    )))
+  }
+
+  const batchUpdates = new Map() // batch _id -> { name, reg_numbers }
+  players.forEach(({ data, batch }) => {
+    if (!batch) return
+    const key = String(batch._id)
+    if (!batchUpdates.has(key)) {
+      batchUpdates.set(key, { name: batch.name, reg_numbers: [] })
+    }
+    batchUpdates.get(key).reg_numbers.push(data.reg_number)
+  })
+
+  await runInTransaction(async () => {
+    // One write at a time: operations of a transaction must not run in parallel
+    for (const [index, { data }] of players.entries()) {
+      const player = new Player({
+        ...data,
+        password: passwords[index],
+        change_password_required: true,
+        createdBy
+      })
+      player.$locals.passwordHashed = true
+      await player.save()
+    }
+    for (const [batchId, { reg_numbers }] of batchUpdates) {
+      await Batch.updateOne({ _id: batchId }, { $addToSet: { players: { $each: reg_numbers } } })
+    }
+  })
+
+  const batchCounts = {}
+  batchUpdates.forEach(({ name, reg_numbers }) => {
+    batchCounts[name] = reg_numbers.length
+  })
+  return { imported_count: players.length, batches: batchCounts }
+}
@@ -7,16 +7,106 @@ import PointsTable from '../models/PointsTable.js'
 import EventSchedule from '../models/EventSchedule.js'
 import { normalizeSportName } from './sportHelpers.js'
 import { getPointsEntryGender, getMatchGender } from './genderHelpers.js'
+import { getScoreTotals } from './scoreHelpers.js'
+import logger from './logger.js'
+import { DEFAULT_POINTS_RULES, TIE_BREAKERS } from '../constants/index.js'
+
+const POINTS_RULE_KEYS = ['win', 'draw', 'loss', 'cancelled', 'walkover']
+
+/**
+ * Get the points rules of a sport (defaults when the sport has none)
+ * @param {Object|null} sportDoc - Sport document
+ * @returns {Object} { win, draw, loss, cancelled, walkover, tie_breakers }
+ */
+export function getPointsRules(sportDoc) {
+  const rules = sportDoc?.points_rules
+  if (!rules) {
+    return { ...DEFAULT_POINTS_RULES, tie_breakers: [] }
+  }
+  return {
+    win: rules.win,
+    draw: rules.draw,
+    loss: rules.loss,
+    cancelled: rules.cancelled,
+    walkover: rules.walkover,
+    tie_breakers: [...(rules.tie_breakers || [])]
+  }
+}
+
+/**
+ * Validate and normalize points rules for a sport
+ * Missing point values fall back to DEFAULT_POINTS_RULES
+ * @param {any} pointsRules - Points rules from the request body, or null for the defaults
+ * @returns {Object} { isValid: boolean, value: Object|null, error: string|null }
+ */
+export function validatePointsRules(pointsRules) {
+  if (pointsRules === null || pointsRules === '') {
+    return { isValid: true, value: null, error: null }
+  }
+  if (typeof pointsRules !== 'object' || Array.isArray(pointsRules)) {
+    return { isValid: false, value: null, error: 'points_rules must be an object' }
+  }
+
+  const value = {}
+  for (const key of POINTS_RULE_KEYS) {
+    const raw = pointsRules[key]
+    if (raw === undefined || raw === null || raw === '') {
+      value[key] = DEFAULT_POINTS_RULES[key]
+      continue
+    }
+    const parsed = typeof raw === 'string' ? Number(raw.trim()) : raw
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed) || parsed < -100 || parsed > 100) {
+      return { isValid: false, value: null, error: `points_rules.${key} must be a number between -100 and 100` }
+    }
+    value[key] = parsed
+  }
+
+  const tieBreakers = pointsRules.tie_breakers === undefined ? [] : pointsRules.tie_breakers
+  if (!Array.isArray(tieBreakers) || tieBreakers.some(t => !TIE_BREAKERS.includes(t))) {
+    return { isValid: false, value: null, error: `points_rules.tie_breakers must be a list of: ${TIE_BREAKERS.join(', ')}` }
+  }
+  if (new Set(tieBreakers).size !== tieBreakers.length) {
+    return { isValid: false, value: null, error: 'points_rules.tie_breakers cannot contain duplicates' }
+  }
+  value.tie_breakers = tieBreakers
+
+  return { isValid: true, value, error: null }
+}
+
+/**
+ * Get the result and points of a league match for one participant
+ * @param {Object} match - Match (status, winner, walkover)
+ * @param {string} participant - Trimmed participant name
+ * @param {Object} rules - Points rules from getPointsRules
+ * @returns {Object} { outcome: 'won'|'lost'|'draw'|'cancelled'|null, points: number }
+ */
+export function getMatchPointsForParticipant(match, participant, rules) {
+  const trimmedWinner = match.winner ? match.winner.trim() : null
+  if (match.status === 'completed' && trimmedWinner) {
+    if (trimmedWinner === participant) {
+      return { outcome: 'won', points: match.walkover ? rules.walkover : rules.win }
+    }
+    return { outcome: 'lost', points: rules.loss }
+  }
+  if (match.status === 'draw') {
+    return { outcome: 'draw', points: rules.draw }
+  }
+  if (match.status === 'cancelled') {
+    return { outcome: 'cancelled', points: rules.cancelled }
+  }
+  return { outcome: null, points: 0 }
+}
 
 /**
  * Recalculate points table from scratch for a sport and gender
- * This recalculates all points based on completed league matches
+ * This recalculates all points based on completed league matches and the sport's points rules
  * @param {string} sportName - Sport name
  * @param {number} eventYear - Event year
  * @param {string} gender - Gender ('Male' or 'Female')
+ * @param {string} userRegNumber - User registration number for createdBy/updatedBy (optional)
  * @returns {Promise<void>}
  */
-export async function recalculatePointsTableForGender(sportName, eventId, gender) {
+export async function recalculatePointsTableForGender(sportName, eventId, gender, userRegNumber = null) {
   // Find sport to verify it exists and is dual type
   const Sport = (await import('../models/Sport.js')).default
   const normalizedEventId = String(eventId).trim().toLowerCase()
@@ -31,6 +121,7 @@ export async function recalculatePointsTableForGender(sportName, eventId, gender
 
   const normalizedSportsName = normalizeSportName(sportName)
   const participantType = (sportDoc.type === 'dual_team') ? 'team' : 'player'
+  const rules = getPointsRules(sportDoc)
 
   // Get all completed league matches for this sport and year
   const allLeagueMatches = await EventSchedule.find({
@@ -73,7 +164,9 @@ export async function recalculatePointsTableForGender(sportName, eventId, gender
       matches_won: 0,
       matches_lost: 0,
       matches_draw: 0,
-      matches_cancelled: 0
+      matches_cancelled: 0,
+      scores_for: 0,
+      scores_against: 0
     })
   }
 
@@ -84,7 +177,7 @@ export async function recalculatePointsTableForGender(sportName, eventId, gender
       continue
     }
 
-    const trimmedWinner = match.winner ? match.winner.trim() : null
+    const scoreTotals = getScoreTotals(sportDoc.scoring, match.scores)
 
     for (const participant of participants) {
       const trimmedParticipant = (participant || '').trim()
@@ -97,22 +190,28 @@ export async function recalculatePointsTableForGender(sportName, eventId, gender
         continue
       }
 
-      entry.matches_played += 1
+      const { outcome, points } = getMatchPointsForParticipant(match, trimmedParticipant, rules)
+      if (!outcome) {
+        continue
+      }
 
-      if (match.status === 'completed' && trimmedWinner) {
-        if (trimmedWinner === trimmedParticipant) {
-          entry.points += 2
-          entry.matches_won += 1
-        } else {
-          entry.matches_lost += 1
-        }
-      } else if (match.status === 'draw') {
-        entry.points += 1
+      entry.matches_played += 1
+      entry.points += points
+      if (outcome === 'won') {
+        entry.matches_won += 1
+      } else if (outcome === 'lost') {
+        entry.matches_lost += 1
+      } else if (outcome === 'draw') {
         entry.matches_draw += 1
-      } else if (match.status === 'cancelled') {
-        entry.points += 1
+      } else {
         entry.matches_cancelled += 1
       }
+
+      const totals = scoreTotals.get(trimmedParticipant)
+      if (totals) {
+        entry.scores_for += totals.for
+        entry.scores_against += totals.against
+      }
     }
   }
 
@@ -135,9 +234,11 @@ export async function recalculatePointsTableForGender(sportName, eventId, gender
         matches_won: 0,
         matches_lost: 0,
         matches_draw: 0,
-        matches_cancelled: 0
-        // Note: createdBy/updatedBy not set here as this is a utility function without user context
+        matches_cancelled: 0,
+        createdBy: userRegNumber || null
       })
+    } else if (userRegNumber) {
+      pointsEntry.updatedBy = userRegNumber
     }
 
     // Update with recalculated values
@@ -147,6 +248,8 @@ export async function recalculatePointsTableForGender(sportName, eventId, gender
     pointsEntry.matches_lost = stats.matches_lost
     pointsEntry.matches_draw = stats.matches_draw
     pointsEntry.matches_cancelled = stats.matches_cancelled
+    pointsEntry.scores_for = stats.scores_for
+    pointsEntry.scores_against = stats.scores_against
 
     await pointsEntry.save()
   }
@@ -154,14 +257,13 @@ export async function recalculatePointsTableForGender(sportName, eventId, gender
 
 /**
  * Update points table when league match results change
- * This is used for incremental updates when a single match is updated
+ * Recalculates the table of the match's gender from scratch, so points rules
+ * and recorded scores are always applied consistently
  * @param {Object} match - EventSchedule match document (updated match)
- * @param {string} previousStatus - Previous status of the match
- * @param {string} previousWinner - Previous winner of the match (if any)
  * @param {string} userRegNumber - User registration number for updatedBy field (optional)
  * @returns {Promise<void>}
  */
-export async function updatePointsTable(match, previousStatus, previousWinner = null, userRegNumber = null) {
+export async function updatePointsTable(match, userRegNumber = null) {
   // Only update points table for league matches
   if (match.match_type !== 'league') {
     return
@@ -177,118 +279,154 @@ export async function updatePointsTable(match, previousStatus, previousWinner =
     return
   }
 
-  // Get participants from match (determine from sport type)
-  const participants = (sportDoc.type === 'dual_team') ? match.teams : match.players
-  if (!participants || participants.length === 0) {
-    return
-  }
-
-  // Determine participant type from sport type
-  const participantType = (sportDoc.type === 'dual_team') ? 'team' : 'player'
-
-  // Normalize sports_name for consistent matching
-  const normalizedSportsName = normalizeSportName(match.sports_name)
-
-  // Derive gender from match participants (performance: do once before loop)
+  // Derive gender from match participants
   const matchGender = await getMatchGender(match, sportDoc)
   if (!matchGender) {
     // If gender cannot be determined, skip points table update
     return
   }
 
-  // For each participant, update points table
-  for (const participant of participants) {
-    // Trim participant name for consistent matching
-    const trimmedParticipant = (participant || '').trim()
-    if (!trimmedParticipant) {
-      continue // Skip empty participants
-    }
+  await recalculatePointsTableForGender(match.sports_name, match.event_id, matchGender, userRegNumber)
+}
 
-    // Find or create points table entry (gender is not stored, will be derived when querying)
-    // Use participant and sport/year as unique key (gender is derived)
-    let pointsEntry = await PointsTable.findOne({
-      event_id: match.event_id,
-      sports_name: normalizedSportsName,
-      participant: trimmedParticipant
-    })
+/**
+ * Order a group of entries that are level on points using the remaining tie-breakers
+ * Groups still level before a coin toss are marked with a shared tie_group number
+ * @param {Array<Object>} group - Entries level so far
+ * @param {Array<string>} tieBreakers - Remaining tie-breakers in order
+ * @param {Object} context - { matches, rules, tieGroups: { next } }
+ * @returns {Array<Object>} Ordered entries
+ */
+function orderTiedGroup(group, tieBreakers, context) {
+  if (group.length <= 1 || tieBreakers.length === 0) {
+    // Fallback: more matches won, then name (stable order)
+    return [...group].sort((a, b) =>
+      (b.matches_won || 0) - (a.matches_won || 0) || a.participant.localeCompare(b.participant)
+    )
+  }
 
-    if (!pointsEntry) {
-      pointsEntry = new PointsTable({
-        event_id: match.event_id,
-        sports_name: normalizedSportsName,
-        participant: trimmedParticipant,
-        participant_type: participantType,
-        points: 0,
-        matches_played: 0,
-        matches_won: 0,
-        matches_lost: 0,
-        matches_draw: 0,
-        matches_cancelled: 0,
-        createdBy: userRegNumber || null
-      })
-    } else {
-      // Set updatedBy if entry exists
-      if (userRegNumber) {
-        pointsEntry.updatedBy = userRegNumber
+  const [tieBreaker, ...remaining] = tieBreakers
+  let valueOf
+
+  if (tieBreaker === 'head_to_head') {
+    const names = new Set(group.map(entry => entry.participant))
+    const headToHeadPoints = new Map(group.map(entry => [entry.participant, 0]))
+    for (const match of context.matches) {
+      const participants = ((match.teams && match.teams.length > 0) ? match.teams : (match.players || [])).map(p => (p || '').trim())
+      if (participants.length !== 2 || !participants.every(p => names.has(p))) {
+        continue
+      }
+      for (const participant of participants) {
+        const { points } = getMatchPointsForParticipant(match, participant, context.rules)
+        headToHeadPoints.set(participant, headToHeadPoints.get(participant) + points)
       }
     }
+    valueOf = (entry) => headToHeadPoints.get(entry.participant)
+  } else if (tieBreaker === 'score_difference') {
+    valueOf = (entry) => (entry.scores_for || 0) - (entry.scores_against || 0)
+  } else if (tieBreaker === 'scores_for') {
+    valueOf = (entry) => entry.scores_for || 0
+  } else if (tieBreaker === 'fewest_losses') {
+    valueOf = (entry) => -(entry.matches_lost || 0)
+  } else {
+    // coin_toss: entries without a recorded toss go last
+    const tieGroup = context.tieGroups.next++
+    group.forEach(entry => { entry.tie_group = tieGroup })
+    valueOf = (entry) => (entry.coin_toss_rank ? -entry.coin_toss_rank : -Number.MAX_SAFE_INTEGER)
+  }
 
-    // Trim previousWinner for consistent comparison
-    const trimmedPreviousWinner = previousWinner ? previousWinner.trim() : null
+  const sorted = [...group].sort((a, b) => valueOf(b) - valueOf(a))
+  const ordered = []
+  let index = 0
+  while (index < sorted.length) {
+    const value = valueOf(sorted[index])
+    const levelGroup = []
+    while (index < sorted.length && valueOf(sorted[index]) === value) {
+      levelGroup.push(sorted[index])
+      index++
+    }
+    ordered.push(...orderTiedGroup(levelGroup, remaining, context))
+  }
+  return ordered
+}
 
-    // Revert previous status points (only if previousStatus was not 'scheduled')
-    if (previousStatus === 'completed' && trimmedPreviousWinner) {
-      // Previous status was completed with a winner
-      if (trimmedPreviousWinner === trimmedParticipant) {
-        // Was winner: remove 2 points
-        pointsEntry.points = Math.max(0, pointsEntry.points - 2)
-        pointsEntry.matches_won = Math.max(0, pointsEntry.matches_won - 1)
-      } else {
-        // Was loser: remove 0 points (no change needed, but decrement matches_lost)
-        pointsEntry.matches_lost = Math.max(0, pointsEntry.matches_lost - 1)
-      }
-      pointsEntry.matches_played = Math.max(0, pointsEntry.matches_played - 1)
-    } else if (previousStatus === 'draw') {
-      // Previous status was draw: remove 1 point each
-      pointsEntry.points = Math.max(0, pointsEntry.points - 1)
-      pointsEntry.matches_draw = Math.max(0, pointsEntry.matches_draw - 1)
-      pointsEntry.matches_played = Math.max(0, pointsEntry.matches_played - 1)
-    } else if (previousStatus === 'cancelled') {
-      // Previous status was cancelled: remove 1 point each
-      pointsEntry.points = Math.max(0, pointsEntry.points - 1)
-      pointsEntry.matches_cancelled = Math.max(0, pointsEntry.matches_cancelled - 1)
-      pointsEntry.matches_played = Math.max(0, pointsEntry.matches_played - 1)
+/**
+ * Rank points table entries by points, then the sport's tie-breakers in order
+ * @param {Array<Object>} entries - Points table entries (one gender)
+ * @param {Array<Object>} matches - Completed/draw/cancelled league matches of the sport (for head-to-head)
+ * @param {Object|null} sportDoc - Sport document (points_rules)
+ * @returns {Array<Object>} Ranked entries with position, score_difference and tie_group (null unless a coin toss decides)
+ */
+export function rankPointsEntries(entries, matches, sportDoc) {
+  const rules = getPointsRules(sportDoc)
+  const context = { matches, rules, tieGroups: { next: 1 } }
+  const withTotals = entries.map(entry => ({
+    ...entry,
+    score_difference: (entry.scores_for || 0) - (entry.scores_against || 0),
+    tie_group: null
+  }))
+
+  const byPoints = [...withTotals].sort((a, b) => (b.points || 0) - (a.points || 0))
+  const ranked = []
+  let index = 0
+  while (index < byPoints.length) {
+    const points = byPoints[index].points || 0
+    const levelGroup = []
+    while (index < byPoints.length && (byPoints[index].points || 0) === points) {
+      levelGroup.push(byPoints[index])
+      index++
     }
-    // If previousStatus is 'scheduled', no points were added, so nothing to revert
-
-    // Trim match.winner for consistent comparison
-    const trimmedWinner = match.winner ? match.winner.trim() : null
-
-    // Apply new status points (only if new status is not 'scheduled')
-    if (match.status === 'completed' && trimmedWinner) {
-      // New status is completed with a winner
-      if (trimmedWinner === trimmedParticipant) {
-        // Is winner: add 2 points
-        pointsEntry.points += 2
-        pointsEntry.matches_won += 1
-      } else {
-        // Is loser: add 0 points
-        pointsEntry.matches_lost += 1
-      }
-      pointsEntry.matches_played += 1
-    } else if (match.status === 'draw') {
-      // New status is draw: add 1 point each
-      pointsEntry.points += 1
-      pointsEntry.matches_draw += 1
-      pointsEntry.matches_played += 1
-    } else if (match.status === 'cancelled') {
-      // New status is cancelled: add 1 point each
-      pointsEntry.points += 1
-      pointsEntry.matches_cancelled += 1
-      pointsEntry.matches_played += 1
+    ranked.push(...orderTiedGroup(levelGroup, rules.tie_breakers, context))
+  }
+
+  return ranked.map((entry, position) => ({ ...entry, position: position + 1 }))
+}
+
+/**
+ * Get the ranked points table of a sport for one gender
+ * @param {Object} sportDoc - Sport document
+ * @param {string} eventId - Event ID
+ * @param {string} gender - Gender ('Male' or 'Female')
+ * @returns {Promise<Array<Object>>} Ranked entries (see rankPointsEntries)
+ */
+export async function getRankedPointsTable(sportDoc, eventId, gender) {
+  const normalizedSportsName = normalizeSportName(sportDoc.name)
+  const normalizedEventId = String(eventId).trim().toLowerCase()
+
+  const allPointsEntries = await PointsTable.find({
+    sports_name: normalizedSportsName,
+    event_id: normalizedEventId
+  }).lean()
+
+  const entries = []
+  const entriesWithNullGender = []
+  for (const entry of allPointsEntries) {
+    const entryGender = await getPointsEntryGender(entry, sportDoc)
+    if (entryGender === gender) {
+      entries.push(entry)
+    } else if (entryGender === null) {
+      // Log entries where gender derivation failed for debugging
+      entriesWithNullGender.push({
+        participant: entry.participant,
+        participant_type: entry.participant_type
+      })
     }
-    // If status is 'scheduled', no points are added
+  }
 
-    await pointsEntry.save()
+  if (entriesWithNullGender.length > 0) {
+    logger.warn(`[PointsTable] Could not derive gender for ${entriesWithNullGender.length} entries in ${sportDoc.name} (${normalizedEventId}):`, entriesWithNullGender.slice(0, 5))
   }
+
+  // Head-to-head needs the league results between tied participants
+  const needsMatches = getPointsRules(sportDoc).tie_breakers.includes('head_to_head')
+  const matches = needsMatches && entries.length > 1
+    ? await EventSchedule.find({
+      sports_name: normalizedSportsName,
+      event_id: normalizedEventId,
+      match_type: 'league',
+      status: { $in: ['completed', 'draw', 'cancelled'] }
+    }).lean()
+    : []
+
+  return rankPointsEntries(entries, matches, sportDoc)
 }
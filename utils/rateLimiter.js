@@ -0,0 +1,314 @@
+/**
+ * Rate Limiter Utility
+ * Counts attempts per key and applies progressive lockout
+ * Storage is pluggable: in-memory by default, MongoDB when RATE_LIMIT_STORE=mongo
+ * (use the Mongo store when running more than one server instance)
+ * Stores count with atomic operations, so parallel attempts cannot overwrite each other's count
+ */
+
+import RateLimitEntry from '../models/RateLimitEntry.js'
+import logger from './logger.js'
+import { RATE_LIMITS } from '../constants/index.js'
+
+const MINUTE_MS = 60 * 1000
+
+/**
+ * Create an in-memory store
+ * Entries are lost on restart and not shared between server instances
+ * Expired entries are swept every RATE_LIMITS.SWEEP_MINUTES (the timer does not keep the process alive)
+ * Updates run without awaiting anything in between, so each one is atomic
+ * @returns {Object} Store with get/increment/lock/decrement/delete/listLocked/sweep
+ */
+export function createMemoryStore() {
+  const entries = new Map()
+
+  const isExpired = (entry, now) => entry.expires_at <= now
+
+  const sweep = () => {
+    const now = new Date()
+    for (const [key, entry] of entries) {
+      if (isExpired(entry, now)) {
+        entries.delete(key)
+      }
+    }
+  }
+
+  const sweepTimer = setInterval(sweep, RATE_LIMITS.SWEEP_MINUTES * MINUTE_MS)
+  sweepTimer.unref()
+
+  return {
+    sweep,
+    async get(key) {
+      const entry = entries.get(key)
+      if (!entry) return null
+      if (isExpired(entry, new Date())) {
+        entries.delete(key)
+        return null
+      }
+      return { ...entry }
+    },
+    async increment(key, { now, windowMs, expiresAt }) {
+      let entry = entries.get(key)
+      if (!entry || isExpired(entry, now)) {
+        entry = { key, attempts: 0, window_started_at: null, lockout_count: 0, locked_until: null, expires_at: expiresAt }
+        entries.set(key, entry)
+      }
+      // Start a new counting window when the previous one has passed (or ended with a lockout)
+      if (!entry.window_started_at || now - entry.window_started_at > windowMs) {
+        entry.attempts = 0
+        entry.window_started_at = now
+      }
+      entry.attempts += 1
+      entry.expires_at = new Date(Math.max(entry.expires_at.getTime(), expiresAt.getTime()))
+      return { ...entry }
+    },
+    async lock(key, { now, lockoutCount, lockedUntil, expiresAt }) {
+      const entry = entries.get(key)
+      if (!entry || isExpired(entry, now) || entry.lockout_count !== lockoutCount - 1 ||
+        (entry.locked_until && entry.locked_until > now)) {
+        return false
+      }
+      Object.assign(entry, {
+        attempts: 0,
+        window_started_at: null,
+        lockout_count: lockoutCount,
+        locked_until: lockedUntil,
+        expires_at: new Date(Math.max(entry.expires_at.getTime(), expiresAt.getTime()))
+      })
+      return true
+    },
+    async decrement(key) {
+      const entry = entries.get(key)
+      if (entry && entry.attempts > 0) {
+        entry.attempts -= 1
+      }
+    },
+    async delete(key) {
+      entries.delete(key)
+    },
+    async listLocked(prefix) {
+      const now = new Date()
+      const locked = []
+      for (const [key, entry] of entries) {
+        if (isExpired(entry, now)) {
+          entries.delete(key)
+          continue
+        }
+        if (key.startsWith(prefix) && entry.locked_until && entry.locked_until > now) {
+          locked.push({ ...entry })
+        }
+      }
+      return locked
+    }
+  }
+}
+
+/**
+ * Create a MongoDB-backed store (RateLimitEntry collection)
+ * Shared between server instances and survives restarts
+ * Each update is a single conditional write, so concurrent requests on any instance are counted exactly
+ * @returns {Object} Store with get/increment/lock/decrement/delete/listLocked
+ */
+export function createMongoStore() {
+  return {
+    async get(key) {
+      return RateLimitEntry.findOne({ key, expires_at: { $gt: new Date() } }).lean()
+    },
+    async increment(key, { now, windowMs, expiresAt }) {
+      // Expired entries are removed by the TTL index within a minute; drop one that is still there
+      await RateLimitEntry.deleteOne({ key, expires_at: { $lte: now } })
+      // Start a new counting window when the previous one has passed (or ended with a lockout)
+      await RateLimitEntry.updateOne(
+        { key, $or: [{ window_started_at: null }, { window_started_at: { $lt: new Date(now.getTime() - windowMs) } }] },
+        { $set: { attempts: 0, window_started_at: now } }
+      )
+      return RateLimitEntry.findOneAndUpdate(
+        { key },
+        {
+          $inc: { attempts: 1 },
+          $setOnInsert: { window_started_at: now, lockout_count: 0, locked_until: null },
+          $max: { expires_at: expiresAt }
+        },
+        { upsert: true, new: true }
+      ).lean()
+    },
+    async lock(key, { now, lockoutCount, lockedUntil, expiresAt }) {
+      const result = await RateLimitEntry.updateOne(
+        {
+          key,
+          expires_at: { $gt: now },
+          lockout_count: lockoutCount - 1,
+          $or: [{ locked_until: null }, { locked_until: { $lte: now } }]
+        },
+        {
+          $set: { attempts: 0, window_started_at: null, lockout_count: lockoutCount, locked_until: lockedUntil },
+          $max: { expires_at: expiresAt }
+        }
+      )
+      return result.modifiedCount === 1
+    },
+    async decrement(key) {
+      await RateLimitEntry.updateOne({ key, attempts: { $gt: 0 } }, { $inc: { attempts: -1 } })
+    },
+    async delete(key) {
+      await RateLimitEntry.deleteOne({ key })
+    },
+    async listLocked(prefix) {
+      const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      return RateLimitEntry.find({
+        key: { $regex: `^${escapedPrefix}` },
+        locked_until: { $gt: new Date() }
+      }).lean()
+    }
+  }
+}
+
+let defaultStore = null
+
+/**
+ * Get the store selected by RATE_LIMIT_STORE (memory | mongo)
+ * @returns {Object} Store
+ */
+export function getDefaultStore() {
+  if (!defaultStore) {
+    const storeType = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase()
+    if (storeType === 'mongo') {
+      defaultStore = createMongoStore()
+    } else {
+      if (storeType !== 'memory') {
+        logger.warn(`Unknown RATE_LIMIT_STORE "${storeType}", using in-memory store`)
+      }
+      defaultStore = createMemoryStore()
+    }
+  }
+  return defaultStore
+}
+
+/**
+ * Create a rate limiter with progressive lockout
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Limiter name, used as key prefix (e.g. 'login:account')
+ * @param {Object} options.policy - { maxAttempts, windowMinutes, baseLockoutMinutes, maxLockoutMinutes }
+ * @param {Object} options.store - Optional store (defaults to getDefaultStore())
+ * @returns {Object} Limiter with check/hit/fail/release/reset/listLocked
+ */
+export function createRateLimiter({ name, policy, store = null }) {
+  const windowMs = policy.windowMinutes * MINUTE_MS
+  const resetMs = RATE_LIMITS.RESET_HOURS * 60 * MINUTE_MS
+  const prefix = `${name}:`
+
+  const getStore = () => store || getDefaultStore()
+  const keyFor = (id) => `${prefix}${String(id).trim().toLowerCase()}`
+
+  const getLockoutMs = (lockoutCount) => {
+    const lockoutMinutes = policy.baseLockoutMinutes * Math.pow(2, lockoutCount - 1)
+    return Math.min(lockoutMinutes, policy.maxLockoutMinutes) * MINUTE_MS
+  }
+
+  const getRetryAfterMs = (entry, now) => {
+    if (!entry || !entry.locked_until) return 0
+    return Math.max(0, new Date(entry.locked_until).getTime() - now.getTime())
+  }
+
+  // Lock a key once: of several attempts locking it at the same time, only one raises the lockout count
+  const lock = async (key, now) => {
+    const entry = await getStore().get(key)
+    const retryAfterMs = getRetryAfterMs(entry, now)
+    if (!entry || retryAfterMs > 0) {
+      return { locked: retryAfterMs > 0, retryAfterMs }
+    }
+
+    const lockoutCount = entry.lockout_count + 1
+    const lockedUntil = new Date(now.getTime() + getLockoutMs(lockoutCount))
+    const expiresAt = new Date(Math.max(now.getTime() + resetMs, lockedUntil.getTime()))
+    if (!await getStore().lock(key, { now, lockoutCount, lockedUntil, expiresAt })) {
+      // Locked (or reset) by a concurrent attempt
+      const current = await getStore().get(key)
+      const currentRetryAfterMs = getRetryAfterMs(current, now)
+      return { locked: currentRetryAfterMs > 0, retryAfterMs: currentRetryAfterMs }
+    }
+
+    logger.warn(`Rate limit lockout #${lockoutCount} for ${key} until ${lockedUntil.toISOString()}`)
+    return { locked: true, retryAfterMs: lockedUntil.getTime() - now.getTime() }
+  }
+
+  return {
+    name,
+
+    /**
+     * Check if an id is currently locked
+     * @param {string} id - IP address or reg_number
+     * @returns {Promise<{locked: boolean, retryAfterMs: number}>}
+     */
+    async check(id) {
+      const entry = await getStore().get(keyFor(id))
+      const retryAfterMs = getRetryAfterMs(entry, new Date())
+      return { locked: retryAfterMs > 0, retryAfterMs }
+    },
+
+    /**
+     * Count an attempt before it is verified
+     * An attempt while locked is refused; one past the limit (parallel attempts racing the lockout) is refused
+     * and locks the id
+     * @param {string} id - IP address or reg_number
+     * @returns {Promise<{locked: boolean, retryAfterMs: number, attempts: number}>} attempts - this attempt's number
+     *   in the window, to pass to fail()
+     */
+    async hit(id) {
+      const key = keyFor(id)
+      const now = new Date()
+      const entry = await getStore().increment(key, { now, windowMs, expiresAt: new Date(now.getTime() + resetMs) })
+      // Locked since check() (by a parallel attempt)
+      const retryAfterMs = getRetryAfterMs(entry, now)
+      if (retryAfterMs > 0) {
+        return { locked: true, retryAfterMs, attempts: entry.attempts }
+      }
+      if (entry.attempts > policy.maxAttempts) {
+        return { ...await lock(key, now), attempts: entry.attempts }
+      }
+      return { locked: false, retryAfterMs: 0, attempts: entry.attempts }
+    },
+
+    /**
+     * Record that an attempt counted by hit() failed; the attempt that reached the limit locks the id
+     * @param {string} id - IP address or reg_number
+     * @param {number} attempts - The attempt number returned by hit()
+     * @returns {Promise<{locked: boolean, retryAfterMs: number}>}
+     */
+    async fail(id, attempts) {
+      if (attempts < policy.maxAttempts) {
+        return { locked: false, retryAfterMs: 0 }
+      }
+      return lock(keyFor(id), new Date())
+    },
+
+    /**
+     * Give back an attempt counted by hit() (it succeeded, so it does not count towards the limit)
+     * @param {string} id - IP address or reg_number
+     */
+    async release(id) {
+      await getStore().decrement(keyFor(id))
+    },
+
+    /**
+     * Forget all attempts and lockout history for an id
+     * @param {string} id - IP address or reg_number
+     */
+    async reset(id) {
+      await getStore().delete(keyFor(id))
+    },
+
+    /**
+     * List ids that are currently locked
+     * @returns {Promise<Array<{id: string, locked_until: Date, lockout_count: number}>>}
+     */
+    async listLocked() {
+      const entries = await getStore().listLocked(prefix)
+      return entries.map(entry => ({
+        id: entry.key.slice(prefix.length),
+        locked_until: entry.locked_until,
+        lockout_count: entry.lockout_count
+      }))
+    }
+  }
+}
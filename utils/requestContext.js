@@ -0,0 +1,27 @@
+/**
+ * Request Context
+ * Carries the current request's ID through async calls so log entries can be linked to the request that caused them
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+
+const requestStorage = new AsyncLocalStorage()
+
+/**
+ * Run a function with a request context
+ * @param {Object} context - { requestId, req }
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithRequestContext(context, fn) {
+  return requestStorage.run(context, fn)
+}
+
+/**
+ * Get the ID of the request being handled
+ * @returns {string|null} Request ID, or null outside an API request (e.g. background workers)
+ */
+export function getRequestId() {
+  const context = requestStorage.getStore()
+  return context ? context.requestId : null
+}
@@ -0,0 +1,1336 @@
+/**
+ * Request Schemas
+ * One entry per route ("METHOD /path", Express path syntax) with its body, query and path parameter schemas
+ * Routes without inputs have an entry too, so the OpenAPI document served at /api/docs lists every route
+ * Entry: { tag, summary, auth?, params?, query?, body?, responses? } - responses documents extra or different
+ * responses by status code (e.g. { 503: 'Not ready' })
+ * Enforced by the validateRequest middleware, which every route uses
+ * Form schemas shared with the frontend live in shared/validation/rules.js
+ */
+
+import {
+  fields,
+  TIME_PATTERN,
+  regNumberList,
+  teamRegistrationSchema,
+  playerRegistrationSchema,
+  playerUpdateSchema,
+  loginSchema,
+  changePasswordSchema,
+  resetPasswordSchema,
+  resetPasswordConfirmSchema
+} from '../shared/validation/rules.js'
+import {
+  ASSIGNABLE_ROLES,
+  DEFAULT_AUDIT_LOG_PAGE_SIZE,
+  DEFAULT_HEAT_LANES,
+  EVENT_YEAR_STATUSES,
+  DEFAULT_PLAYERS_PAGE_SIZE,
+  DEFAULT_POINTS_RULES,
+  MATCH_STATUSES,
+  MATCH_TYPES,
+  MAX_HEAT_LANES,
+  MAX_JUDGES_PER_MATCH,
+  MAX_RUBRIC_CRITERIA,
+  MAX_RESERVE_SLOTS,
+  SCORE_UNITS,
+  SCORING_FORMATS,
+  SPORT_CATEGORIES,
+  SPORT_TYPES,
+  TIE_BREAKERS,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_OUTBOX_STATUSES,
+  PLAYER_IMPORT_MAX_FILE_LENGTH,
+  PLAYER_IMPORT_MAX_FILE_SIZE
+} from '../constants/index.js'
+import { CLONE_PARTS } from './eventYearClone.js'
+
+/**
+ * MongoDB ObjectId path parameter
+ * @param {string} title - Name used in error messages (e.g. 'Department ID')
+ * @returns {Object} Schema
+ */
+const objectId = (title) => ({
+  type: 'string',
+  title,
+  pattern: '^[0-9a-fA-F]{24}$',
+  example: '665f1c2b9d3e4a0012345678',
+  messages: { pattern: `Invalid ${title.charAt(0).toLowerCase()}${title.slice(1)}` }
+})
+
+/**
+ * Object schema of optional fields
+ * @param {Object} properties - Property schemas
+ * @returns {Object} Schema
+ */
+const optionalFields = (properties) => ({ type: 'object', properties })
+
+const eventIdQuery = optionalFields({
+  event_id: { ...fields.eventId, description: 'Event year (defaults to the active event year)' }
+})
+
+const pageQuery = {
+  page: { type: 'integer', title: 'page', minimum: 1, description: 'Page number (omit to get every record)' },
+  limit: { type: 'integer', title: 'limit', minimum: 1, description: 'Items per page (capped at 100)' }
+}
+
+// Media types a browser gives CSV and Excel files in data URLs (an unknown type gives an empty one)
+const SPREADSHEET_MEDIA_TYPES = [
+  'text/csv',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/octet-stream'
+]
+
+const spreadsheetFile = {
+  type: 'string',
+  title: 'file',
+  maxLength: PLAYER_IMPORT_MAX_FILE_LENGTH,
+  pattern: `^(data:(${SPREADSHEET_MEDIA_TYPES.map(type => type.replace(/\./g, '\\.')).join('|')})?;base64,)?[A-Za-z0-9+/]*={0,2}$`,
+  description: `Base64 encoded CSV or XLSX spreadsheet, optionally as a data URL (at most ${PLAYER_IMPORT_MAX_FILE_SIZE / (1024 * 1024)} MB)`,
+  messages: {
+    required: 'file is required (base64 encoded CSV or XLSX)',
+    type: 'file must be a base64 encoded CSV or XLSX spreadsheet',
+    pattern: 'file must be a base64 encoded CSV or XLSX spreadsheet',
+    maxLength: `File is too large. Upload a spreadsheet of at most ${PLAYER_IMPORT_MAX_FILE_SIZE / (1024 * 1024)} MB.`
+  }
+}
+
+const playerSportSchema = {
+  type: 'object',
+  properties: {
+    reg_number: fields.regNumber,
+    sport: fields.sport,
+    event_id: fields.eventId
+  },
+  required: ['reg_number', 'sport', 'event_id']
+}
+
+const sportParams = { type: 'object', properties: { sport: fields.sport }, required: ['sport'] }
+
+/**
+ * Body of a team request (team, sport and event year plus the given fields)
+ * @param {Object} properties - Additional property schemas
+ * @param {Array<string>} required - Required additional properties
+ * @returns {Object} Schema
+ */
+const teamRequest = (properties = {}, required = []) => ({
+  type: 'object',
+  properties: { team_name: fields.teamName, sport: fields.sport, ...properties, event_id: fields.eventId },
+  required: ['team_name', 'sport', ...required, 'event_id']
+})
+
+const batchSchema = {
+  type: 'object',
+  properties: {
+    name: fields.batchName,
+    event_id: fields.eventId
+  },
+  required: ['name', 'event_id']
+}
+
+const venueCourts = {
+  type: 'array',
+  title: 'courts',
+  items: { type: 'string', title: 'Court name' },
+  description: 'Court names (blank and duplicate names are dropped)',
+  messages: { type: 'courts must be an array of court names' }
+}
+
+/**
+ * Path parameters of a route with a single :id
+ * @param {string} title - Name used in error messages (e.g. 'Venue ID')
+ * @returns {Object} Schema
+ */
+const idParams = (title) => ({ type: 'object', properties: { id: objectId(title) }, required: ['id'] })
+
+const departmentIdParams = idParams('Department ID')
+const venueIdParams = idParams('Venue ID')
+const sportIdParams = idParams('Sport ID')
+const regNumberParams = { type: 'object', properties: { reg_number: fields.regNumber }, required: ['reg_number'] }
+
+// Sport setup (type-specific rules such as team_size for team sports are checked by the route)
+const sportSettings = {
+  type: { type: 'string', title: 'Sport type', enum: SPORT_TYPES },
+  category: { type: 'string', title: 'Category', enum: SPORT_CATEGORIES },
+  team_size: {
+    type: 'integer',
+    title: 'team_size',
+    minimum: 1,
+    description: 'Players per team (required for dual_team and multi_team)',
+    messages: { type: 'team_size must be a positive integer', minimum: 'team_size must be a positive integer' }
+  },
+  reserve_slots: {
+    type: 'integer',
+    title: 'reserve_slots',
+    minimum: 0,
+    maximum: MAX_RESERVE_SLOTS,
+    description: 'Reserve players per team on top of team_size (team sports only)'
+  },
+  imageUri: { type: 'string', title: 'imageUri' },
+  scoring: {
+    type: 'object',
+    title: 'scoring',
+    description: 'Score format (null = winner/qualifiers only); goals, sets and cricket are for dual sports only',
+    properties: {
+      format: { type: 'string', title: 'scoring.format', enum: SCORING_FORMATS },
+      best_of: { type: 'integer', title: 'scoring.best_of', minimum: 1, description: 'Odd number of sets (sets format only)' },
+      max_overs: { type: 'integer', title: 'scoring.max_overs', minimum: 1, description: 'Overs per innings (cricket format only)' },
+      unit: {
+        type: 'string',
+        title: 'scoring.unit',
+        description: `Result unit (time: ${Object.keys(SCORE_UNITS.time).join(', ')}; distance: ${Object.keys(SCORE_UNITS.distance).join(', ')})`
+      }
+    }
+  },
+  points_rules: {
+    type: 'object',
+    title: 'points_rules',
+    description: 'League points per result and tie-breakers (dual sports only, null = default points)',
+    properties: {
+      ...Object.fromEntries(Object.entries(DEFAULT_POINTS_RULES).map(([key, points]) => [
+        key,
+        { type: 'number', title: `points_rules.${key}`, minimum: -100, maximum: 100, example: points }
+      ])),
+      tie_breakers: {
+        type: 'array',
+        title: 'points_rules.tie_breakers',
+        items: { type: 'string', title: 'Tie-breaker', enum: TIE_BREAKERS },
+        uniqueItems: true
+      }
+    }
+  }
+}
+
+/**
+ * Calendar date field (YYYY-MM-DD, a full ISO timestamp is accepted too)
+ * @param {string} title - Field name used in error messages
+ * @returns {Object} Schema
+ */
+const dateField = (title) => ({
+  type: 'string',
+  title,
+  pattern: '^[0-9]{4}-[0-9]{2}-[0-9]{2}(T.*)?$',
+  example: '2026-03-14',
+  messages: { pattern: `${title} must be a date (YYYY-MM-DD)` }
+})
+
+/**
+ * Time of day field (HH:MM, 24-hour)
+ * @param {string} title - Field name used in error messages
+ * @returns {Object} Schema
+ */
+const timeField = (title) => ({
+  type: 'string',
+  title,
+  pattern: TIME_PATTERN,
+  example: '09:30',
+  messages: { pattern: `${title} must be in HH:MM format` }
+})
+
+/**
+ * Integer field with a range
+ * @param {string} title - Field name used in error messages
+ * @param {number} minimum - Smallest value
+ * @param {number} [maximum] - Largest value (none when omitted)
+ * @returns {Object} Schema
+ */
+const integerField = (title, minimum, maximum) => {
+  const range = maximum === undefined ? `of at least ${minimum}` : `between ${minimum} and ${maximum}`
+  return {
+    type: 'integer',
+    title,
+    minimum,
+    ...(maximum === undefined ? {} : { maximum }),
+    messages: {
+      type: `${title} must be a number ${range}`,
+      minimum: `${title} must be a number ${range}`,
+      maximum: `${title} must be a number ${range}`
+    }
+  }
+}
+
+const participantList = (title) => ({
+  type: 'array',
+  title,
+  items: { type: 'string', title: 'Participant', description: 'Team name or registration number' }
+})
+
+const requiredGender = { ...fields.gender, messages: { ...fields.gender.messages, required: 'gender is required and must be "Male" or "Female"' } }
+const matchIdParams = idParams('Match ID')
+
+// Venue and time slot of a match (start_time and end_time go together; checked with the venue's courts by the route)
+const matchSlot = {
+  venue: { type: 'string', title: 'venue', description: 'Venue name' },
+  court: { type: 'string', title: 'court', description: 'Court of the venue' },
+  start_time: timeField('start_time'),
+  end_time: timeField('end_time')
+}
+
+// Options shared by the bracket and heat generators
+const seedingOptions = {
+  event_id: fields.eventId,
+  gender: requiredGender,
+  seeds: { ...participantList('seeds'), description: 'Participants in seed order' },
+  match_date: dateField('match_date'),
+  round_dates: { type: 'array', title: 'round_dates', items: dateField('round_dates'), description: 'One date per round' },
+  replace: { type: 'boolean', title: 'replace', description: 'Regenerate when no match has been played yet' }
+}
+
+// Score of one participant; which fields apply depends on the sport's scoring format (checked by the route)
+const matchScore = {
+  type: 'object',
+  title: 'Score',
+  properties: {
+    participant: { type: 'string', title: 'participant' },
+    goals: { type: 'integer', title: 'goals', minimum: 0 },
+    sets: { type: 'array', title: 'sets', items: { type: 'integer', title: 'Games won', minimum: 0 } },
+    runs: { type: 'integer', title: 'runs', minimum: 0 },
+    wickets: { type: 'integer', title: 'wickets', minimum: 0, maximum: 10 },
+    overs: { type: 'number', title: 'overs', minimum: 0, description: 'overs.balls notation (e.g. 19.4)' },
+    time: { type: 'number', title: 'time' },
+    distance: { type: 'number', title: 'distance' },
+    unit: { type: 'string', title: 'unit' }
+  },
+  required: ['participant']
+}
+
+const eventYearParams = { type: 'object', properties: { event_id: fields.eventId }, required: ['event_id'] }
+const eventYearNumber = {
+  type: 'integer',
+  title: 'event_year',
+  example: 2026,
+  messages: { type: 'event_year must be a valid number' }
+}
+const eventName = { type: 'string', title: 'event_name', example: 'umang' }
+const eventYearTexts = {
+  event_organizer: { type: 'string', title: 'event_organizer' },
+  event_title: { type: 'string', title: 'event_title' },
+  event_highlight: { type: 'string', title: 'event_highlight' }
+}
+
+/**
+ * Start and end date of a period
+ * @param {string} title - Field name used in error messages
+ * @param {boolean} complete - Whether both dates are required
+ * @returns {Object} Schema
+ */
+const dateRange = (title, complete) => ({
+  type: 'object',
+  title,
+  properties: { start: dateField(`${title}.start`), end: dateField(`${title}.end`) },
+  ...(complete ? { required: ['start', 'end'] } : {})
+})
+
+const championshipPoints = {
+  type: 'array',
+  title: 'championship_points',
+  description: 'Points per place and sport category (missing places use the defaults)',
+  items: {
+    type: 'object',
+    title: 'Category points',
+    properties: {
+      category: { type: 'string', title: 'category', enum: SPORT_CATEGORIES },
+      first: { type: 'number', title: 'first' },
+      second: { type: 'number', title: 'second' },
+      third: { type: 'number', title: 'third' }
+    },
+    required: ['category']
+  }
+}
+
+export const requestSchemas = {
+  // Auth
+  'POST /api/login': {
+    tag: 'Auth',
+    summary: 'Log in with registration number and password',
+    body: loginSchema
+  },
+  'POST /api/refresh-token': {
+    tag: 'Auth',
+    summary: 'Exchange a refresh token for a new access token',
+    body: {
+      type: 'object',
+      properties: { refresh_token: { type: 'string', title: 'Refresh token' } },
+      required: ['refresh_token']
+    }
+  },
+  'POST /api/logout': {
+    tag: 'Auth',
+    summary: 'End the current session',
+    auth: true
+  },
+  'POST /api/logout-all': {
+    tag: 'Auth',
+    summary: 'End every session of the logged-in player',
+    auth: true
+  },
+  'POST /api/change-password': {
+    tag: 'Auth',
+    summary: 'Change the password of the logged-in player',
+    auth: true,
+    body: changePasswordSchema
+  },
+  'POST /api/reset-password': {
+    tag: 'Auth',
+    summary: 'Email a password reset code',
+    body: resetPasswordSchema
+  },
+  'POST /api/reset-password/confirm': {
+    tag: 'Auth',
+    summary: 'Set a new password with an emailed reset code',
+    body: resetPasswordConfirmSchema
+  },
+
+  // Event years
+  'GET /api/event-years': {
+    tag: 'Event years',
+    summary: 'List every event year with its active flag and lifecycle status',
+    auth: true
+  },
+  'GET /api/event-years/active': {
+    tag: 'Event years',
+    summary: 'Get the active event year (null when none is active)'
+  },
+  'POST /api/event-years': {
+    tag: 'Event years',
+    summary: 'Create an event year',
+    auth: true,
+    body: {
+      type: 'object',
+      properties: {
+        event_year: eventYearNumber,
+        event_name: eventName,
+        registration_dates: dateRange('registration_dates', true),
+        event_dates: dateRange('event_dates', true),
+        ...eventYearTexts,
+        championship_points: championshipPoints
+      },
+      required: ['event_year', 'event_name', 'registration_dates', 'event_dates']
+    }
+  },
+  'POST /api/event-years/:event_id/clone': {
+    tag: 'Event years',
+    summary: 'Preview (dry run) or create a new event year from the setup of another one',
+    auth: true,
+    params: eventYearParams,
+    body: {
+      type: 'object',
+      properties: {
+        event_year: eventYearNumber,
+        event_name: eventName,
+        registration_dates: { ...dateRange('registration_dates', true), description: 'Defaults to the source dates shifted by the year difference' },
+        event_dates: { ...dateRange('event_dates', true), description: 'Defaults to the source dates shifted by the year difference' },
+        include: {
+          type: 'object',
+          title: 'include',
+          description: 'Parts to copy (all by default); coordinators follow sports unless set',
+          properties: Object.fromEntries(CLONE_PARTS.map(part => [part, { type: 'boolean', title: `include.${part}` }]))
+        },
+        dry_run: { type: 'boolean', title: 'dry_run', description: 'Only preview the clone (default true)' }
+      },
+      required: ['event_year', 'event_name']
+    }
+  },
+  'PUT /api/event-years/:event_id': {
+    tag: 'Event years',
+    summary: 'Update the name, texts, dates and championship points of an event year',
+    auth: true,
+    params: eventYearParams,
+    body: optionalFields({
+      event_name: eventName,
+      registration_dates: dateRange('registration_dates', false),
+      event_dates: dateRange('event_dates', false),
+      ...eventYearTexts,
+      championship_points: championshipPoints
+    })
+  },
+  'PUT /api/event-years/:event_id/status': {
+    tag: 'Event years',
+    summary: 'Move an event year to the next lifecycle status (archiving freezes its results)',
+    auth: true,
+    params: eventYearParams,
+    body: {
+      type: 'object',
+      properties: { status: { type: 'string', title: 'status', enum: EVENT_YEAR_STATUSES } },
+      required: ['status']
+    }
+  },
+  'GET /api/event-years/:event_id/results': {
+    tag: 'Event years',
+    summary: 'Get the frozen results snapshot of an archived event year',
+    auth: true,
+    params: eventYearParams
+  },
+  'DELETE /api/event-years/:event_id': {
+    tag: 'Event years',
+    summary: 'Delete an event year without data before its registration starts',
+    auth: true,
+    params: eventYearParams
+  },
+
+  // Players
+  'GET /api/me': {
+    tag: 'Players',
+    summary: 'Get the logged-in player with their participation and roles',
+    auth: true,
+    query: eventIdQuery
+  },
+  'GET /api/players': {
+    tag: 'Players',
+    summary: 'List players with search and optional pagination',
+    auth: true,
+    query: optionalFields({
+      event_id: eventIdQuery.properties.event_id,
+      search: { type: 'string', title: 'search', description: 'Matches registration number or name' },
+      ...pageQuery
+    })
+  },
+  'POST /api/save-player': {
+    tag: 'Players',
+    summary: 'Register a new player (registration period only)',
+    body: playerRegistrationSchema
+  },
+  'POST /api/players/import': {
+    tag: 'Players',
+    summary: 'Validate (dry run) or import players from a CSV/XLSX spreadsheet',
+    auth: true,
+    query: eventIdQuery,
+    body: {
+      type: 'object',
+      properties: {
+        file: spreadsheetFile,
+        batch_name: { ...fields.batchName, description: 'Batch of rows without a batch column' },
+        dry_run: { type: 'boolean', title: 'dry_run', description: 'Only validate the rows (default true)' }
+      },
+      required: ['file']
+    }
+  },
+  'PUT /api/update-player': {
+    tag: 'Players',
+    summary: 'Update a player',
+    auth: true,
+    body: playerUpdateSchema
+  },
+  'POST /api/bulk-player-enrollments': {
+    tag: 'Players',
+    summary: 'Get the enrollments of several players',
+    auth: true,
+    query: eventIdQuery,
+    body: {
+      type: 'object',
+      properties: {
+        reg_numbers: regNumberList('reg_numbers')
+      },
+      required: ['reg_numbers']
+    }
+  },
+  'GET /api/player-enrollments/:reg_number': {
+    tag: 'Players',
+    summary: 'Get the events, teams and matches of a player',
+    auth: true,
+    params: regNumberParams,
+    query: eventIdQuery
+  },
+  'DELETE /api/delete-player/:reg_number': {
+    tag: 'Players',
+    summary: 'Delete a player who is in no team and has no matches',
+    auth: true,
+    params: regNumberParams,
+    query: eventIdQuery
+  },
+  'POST /api/bulk-delete-players': {
+    tag: 'Players',
+    summary: `Delete up to ${DEFAULT_PLAYERS_PAGE_SIZE} players`,
+    auth: true,
+    query: eventIdQuery,
+    body: {
+      type: 'object',
+      properties: {
+        reg_numbers: {
+          ...regNumberList('reg_numbers', DEFAULT_PLAYERS_PAGE_SIZE),
+          messages: {
+            ...regNumberList('reg_numbers').messages,
+            maxItems: `Maximum ${DEFAULT_PLAYERS_PAGE_SIZE} players can be deleted at a time`
+          }
+        }
+      },
+      required: ['reg_numbers']
+    }
+  },
+
+  // Sports
+  'GET /api/sports': {
+    tag: 'Sports',
+    summary: 'List the sports of an event year',
+    query: eventIdQuery
+  },
+  'POST /api/sports': {
+    tag: 'Sports',
+    summary: 'Create a sport',
+    auth: true,
+    body: {
+      type: 'object',
+      properties: {
+        name: { ...fields.sport, title: 'Sport name' },
+        event_id: fields.eventId,
+        ...sportSettings
+      },
+      required: ['name', 'event_id', 'type', 'category']
+    }
+  },
+  'PUT /api/sports/:id': {
+    tag: 'Sports',
+    summary: 'Update a sport (name and event year are immutable)',
+    auth: true,
+    params: sportIdParams,
+    query: eventIdQuery,
+    body: optionalFields({
+      event_id: { ...fields.eventId, description: 'Must match the sport\'s event year when given' },
+      ...sportSettings
+    })
+  },
+  'DELETE /api/sports/:id': {
+    tag: 'Sports',
+    summary: 'Delete a sport without participants, matches or points',
+    auth: true,
+    params: sportIdParams,
+    query: eventIdQuery
+  },
+  'GET /api/sports-counts': {
+    tag: 'Sports',
+    summary: 'Count the teams and participants of every sport',
+    auth: true,
+    query: eventIdQuery
+  },
+  'GET /api/sports/:name': {
+    tag: 'Sports',
+    summary: 'Get a sport by name',
+    params: { type: 'object', properties: { name: fields.sport }, required: ['name'] },
+    query: eventIdQuery
+  },
+
+  // Captains and coordinators
+  'POST /api/add-captain': {
+    tag: 'Captains',
+    summary: 'Make a player eligible to captain a team in a sport',
+    auth: true,
+    body: playerSportSchema
+  },
+  'DELETE /api/remove-captain': {
+    tag: 'Captains',
+    summary: 'Remove the captain role of a player for a sport',
+    auth: true,
+    body: playerSportSchema
+  },
+  'GET /api/captains-by-sport': {
+    tag: 'Captains',
+    summary: 'List captains grouped by sport (coordinators see their own sports)',
+    auth: true,
+    query: eventIdQuery
+  },
+  'POST /api/add-coordinator': {
+    tag: 'Coordinators',
+    summary: 'Make a player coordinator of a sport',
+    auth: true,
+    body: playerSportSchema
+  },
+  'DELETE /api/remove-coordinator': {
+    tag: 'Coordinators',
+    summary: 'Remove the coordinator role of a player for a sport',
+    auth: true,
+    body: playerSportSchema
+  },
+
+  'GET /api/coordinators-by-sport': {
+    tag: 'Coordinators',
+    summary: 'List coordinators grouped by sport',
+    auth: true,
+    query: eventIdQuery
+  },
+
+  // Teams
+  'POST /api/update-team-participation': {
+    tag: 'Teams',
+    summary: 'Create a team as its captain and invite the other players',
+    auth: true,
+    body: teamRegistrationSchema
+  },
+  'GET /api/teams/:sport': {
+    tag: 'Teams',
+    summary: 'List the teams of a sport with their players',
+    auth: true,
+    params: sportParams,
+    query: eventIdQuery
+  },
+  'POST /api/update-team-player': {
+    tag: 'Teams',
+    summary: 'Replace a team player (the new player is invited)',
+    auth: true,
+    body: teamRequest(
+      {
+        old_reg_number: { ...fields.regNumber, title: 'Old registration number' },
+        new_reg_number: { ...fields.regNumber, title: 'New registration number' }
+      },
+      ['old_reg_number', 'new_reg_number']
+    )
+  },
+  'DELETE /api/delete-team': {
+    tag: 'Teams',
+    summary: 'Delete a team without match history',
+    auth: true,
+    body: teamRequest()
+  },
+  'POST /api/validate-participations': {
+    tag: 'Teams',
+    summary: 'Check that players can form a team for a sport',
+    auth: true,
+    body: {
+      type: 'object',
+      properties: {
+        reg_numbers: regNumberList('reg_numbers'),
+        sport: fields.sport,
+        event_id: { ...fields.eventId, description: 'Defaults to the active event year' }
+      },
+      required: ['reg_numbers', 'sport']
+    }
+  },
+  'GET /api/team-invitations': {
+    tag: 'Teams',
+    summary: 'List the team invitations of the logged-in player',
+    auth: true,
+    query: eventIdQuery
+  },
+  'POST /api/team-invitations': {
+    tag: 'Teams',
+    summary: 'Invite a player to the captain\'s team',
+    auth: true,
+    body: teamRequest({ reg_number: fields.regNumber }, ['reg_number'])
+  },
+  'DELETE /api/team-invitations': {
+    tag: 'Teams',
+    summary: 'Withdraw an invitation to the captain\'s team',
+    auth: true,
+    body: teamRequest({ reg_number: fields.regNumber }, ['reg_number'])
+  },
+  'POST /api/team-invitations/respond': {
+    tag: 'Teams',
+    summary: 'Accept or decline a team invitation',
+    auth: true,
+    body: teamRequest({ action: { type: 'string', title: 'action', enum: ['accept', 'decline'] } }, ['action'])
+  },
+
+  // Participants (individual and cultural events)
+  'GET /api/participants/:sport': {
+    tag: 'Participants',
+    summary: 'List the participants of an individual or cultural sport',
+    auth: true,
+    params: sportParams,
+    query: eventIdQuery
+  },
+  'GET /api/participants-count/:sport': {
+    tag: 'Participants',
+    summary: 'Count the participants of an individual or cultural sport',
+    auth: true,
+    params: sportParams,
+    query: eventIdQuery
+  },
+  'POST /api/update-participation': {
+    tag: 'Participants',
+    summary: 'Register a player for an individual or cultural sport',
+    auth: true,
+    body: playerSportSchema
+  },
+  'DELETE /api/remove-participation': {
+    tag: 'Participants',
+    summary: 'Remove a player from a sport (team or individual)',
+    auth: true,
+    body: playerSportSchema
+  },
+
+  // Event schedule
+  'GET /api/event-schedule/:sport': {
+    tag: 'Event schedule',
+    summary: 'List the matches of a sport',
+    auth: true,
+    params: sportParams,
+    query: optionalFields({
+      event_id: eventIdQuery.properties.event_id,
+      gender: { ...fields.gender, description: 'Only matches of this gender' }
+    })
+  },
+  'GET /api/event-schedule/:sport/teams-players': {
+    tag: 'Event schedule',
+    summary: 'List the teams or players that can still be scheduled in a sport',
+    auth: true,
+    params: sportParams,
+    query: {
+      type: 'object',
+      properties: {
+        event_id: eventIdQuery.properties.event_id,
+        gender: { ...fields.gender, messages: { ...fields.gender.messages, required: 'Gender parameter is required and must be "Male" or "Female"' } }
+      },
+      required: ['gender']
+    }
+  },
+  'POST /api/event-schedule': {
+    tag: 'Event schedule',
+    summary: 'Schedule a match (overlapping matches are rejected with 409)',
+    auth: true,
+    body: {
+      type: 'object',
+      properties: {
+        match_type: { type: 'string', title: 'match_type', enum: MATCH_TYPES },
+        sports_name: fields.sport,
+        teams: { ...participantList('teams'), description: 'Team names (team sports)' },
+        players: { ...participantList('players'), description: 'Registration numbers (individual sports)' },
+        number_of_participants: {
+          ...integerField('number_of_participants', 3, 100),
+          description: 'Expected participant count of a multi sport match'
+        },
+        match_date: dateField('match_date'),
+        event_id: fields.eventId,
+        ...matchSlot
+      },
+      required: ['match_type', 'sports_name', 'match_date', 'event_id']
+    }
+  },
+  'POST /api/event-schedule/:sport/generate-bracket': {
+    tag: 'Event schedule',
+    summary: 'Generate a single-elimination knockout bracket',
+    auth: true,
+    params: sportParams,
+    body: {
+      type: 'object',
+      properties: {
+        ...seedingOptions,
+        seed_from_standings: { type: 'boolean', title: 'seed_from_standings', description: 'Seed from the points table' },
+        top_n: { ...integerField('top_n', 2), description: 'Take only the top participants of the points table' }
+      },
+      required: ['event_id', 'gender', 'match_date']
+    }
+  },
+  'POST /api/event-schedule/:sport/generate-heats': {
+    tag: 'Event schedule',
+    summary: 'Preview or commit rounds of heats with lanes',
+    auth: true,
+    params: sportParams,
+    body: {
+      type: 'object',
+      properties: {
+        ...seedingOptions,
+        lanes: { ...integerField('lanes', 2, MAX_HEAT_LANES), description: `Lanes per heat (default ${DEFAULT_HEAT_LANES})` },
+        advance_top: { ...integerField('advance_top', 1), description: 'Places per heat that advance' },
+        advance_fastest: { ...integerField('advance_fastest', 0), description: 'Best losers across a round that also advance (default 0)' },
+        commit: { type: 'boolean', title: 'commit', description: 'Save the heats (default: return a draft)' }
+      },
+      required: ['event_id', 'gender', 'match_date', 'advance_top']
+    }
+  },
+  'POST /api/event-schedule/:sport/generate-fixtures': {
+    tag: 'Event schedule',
+    summary: 'Preview or commit round-robin league fixtures',
+    auth: true,
+    params: sportParams,
+    body: {
+      type: 'object',
+      properties: {
+        event_id: fields.eventId,
+        gender: requiredGender,
+        matches_per_day: integerField('matches_per_day', 1, 100),
+        participants: { ...participantList('participants'), description: 'Defaults to everyone registered for the gender' },
+        double_round_robin: { type: 'boolean', title: 'double_round_robin' },
+        groups: { ...integerField('groups', 1, 26), description: 'Round-robin groups (default 1)' },
+        start_date: dateField('start_date'),
+        end_date: dateField('end_date'),
+        first_match_time: timeField('first_match_time'),
+        slot_minutes: { ...integerField('slot_minutes', 5, 720), description: 'Minutes per match (default 60, with first_match_time)' },
+        venue: matchSlot.venue,
+        court: matchSlot.court,
+        commit: { type: 'boolean', title: 'commit', description: 'Save the fixtures (default: return a draft)' }
+      },
+      required: ['event_id', 'gender', 'matches_per_day']
+    }
+  },
+  'PUT /api/event-schedule/:id': {
+    tag: 'Event schedule',
+    summary: 'Record a match result or reschedule a match',
+    auth: true,
+    params: matchIdParams,
+    body: optionalFields({
+      status: { type: 'string', title: 'status', enum: MATCH_STATUSES, messages: { enum: 'Invalid status' } },
+      winner: { type: 'string', title: 'winner', description: 'Winner of a dual match' },
+      qualifiers: {
+        type: 'array',
+        title: 'qualifiers',
+        description: 'Placed participants of a multi match',
+        items: {
+          type: 'object',
+          title: 'Qualifier',
+          properties: {
+            participant: { type: 'string', title: 'participant' },
+            position: { type: 'integer', title: 'position', minimum: 1 }
+          },
+          required: ['participant', 'position']
+        }
+      },
+      scores: { type: 'array', title: 'scores', items: matchScore },
+      walkover: { type: 'boolean', title: 'walkover', messages: { type: 'walkover must be true or false' } },
+      lanes: {
+        type: 'array',
+        title: 'lanes',
+        description: 'Lane draw of a scheduled heat',
+        items: {
+          type: 'object',
+          title: 'Lane',
+          properties: {
+            participant: { type: 'string', title: 'participant' },
+            lane: { type: 'integer', title: 'lane', minimum: 1 }
+          },
+          required: ['participant', 'lane']
+        }
+      },
+      match_date: dateField('match_date'),
+      ...matchSlot
+    })
+  },
+  'GET /api/event-schedule/:id/judging': {
+    tag: 'Event schedule',
+    summary: 'Get the judge panel, rubric and judged ranking of a match',
+    auth: true,
+    params: matchIdParams
+  },
+  'PUT /api/event-schedule/:id/judging': {
+    tag: 'Event schedule',
+    summary: 'Assign the judge panel and rubric of a scheduled match',
+    auth: true,
+    params: matchIdParams,
+    body: {
+      type: 'object',
+      properties: {
+        judges: regNumberList('judges', MAX_JUDGES_PER_MATCH),
+        rubric: {
+          type: 'array',
+          title: 'rubric',
+          minItems: 1,
+          maxItems: MAX_RUBRIC_CRITERIA,
+          items: {
+            type: 'object',
+            title: 'Criterion',
+            properties: {
+              name: { type: 'string', title: 'name' },
+              weight: { type: 'number', title: 'weight' },
+              max_score: { type: 'number', title: 'max_score' }
+            },
+            required: ['name', 'weight', 'max_score']
+          },
+          messages: {
+            type: 'rubric must be a non-empty array of { name, weight, max_score }',
+            minItems: 'rubric must be a non-empty array of { name, weight, max_score }',
+            maxItems: `A rubric can have at most ${MAX_RUBRIC_CRITERIA} criteria`
+          }
+        },
+        judged_qualifiers: {
+          ...integerField('judged_qualifiers', 1),
+          description: 'Top-ranked participants that qualify (default 3, or every participant if fewer)'
+        }
+      },
+      required: ['judges', 'rubric']
+    }
+  },
+  'POST /api/event-schedule/:id/judge-scores': {
+    tag: 'Event schedule',
+    summary: 'Submit the score sheet of the logged-in judge',
+    auth: true,
+    params: matchIdParams,
+    body: {
+      type: 'object',
+      properties: {
+        scores: {
+          type: 'array',
+          title: 'scores',
+          description: 'Every participant on every rubric criterion',
+          items: {
+            type: 'object',
+            title: 'Score sheet entry',
+            properties: {
+              participant: { type: 'string', title: 'participant' },
+              criteria: {
+                type: 'array',
+                title: 'criteria',
+                items: {
+                  type: 'object',
+                  title: 'Criterion score',
+                  properties: { name: { type: 'string', title: 'name' }, score: { type: 'number', title: 'score' } },
+                  required: ['name', 'score']
+                }
+              }
+            },
+            required: ['participant', 'criteria']
+          }
+        }
+      },
+      required: ['scores']
+    }
+  },
+  'PUT /api/event-schedule/:id/lineups': {
+    tag: 'Event schedule',
+    summary: 'Set the lineups of a scheduled team sport match',
+    auth: true,
+    params: matchIdParams,
+    body: {
+      type: 'object',
+      properties: {
+        lineups: {
+          type: 'array',
+          title: 'lineups',
+          minItems: 1,
+          items: {
+            type: 'object',
+            title: 'Lineup',
+            properties: {
+              team_name: fields.teamName,
+              starters: { type: 'array', title: 'starters', items: fields.regNumber },
+              substitutes: { type: 'array', title: 'substitutes', items: fields.regNumber }
+            },
+            required: ['team_name', 'starters']
+          },
+          messages: {
+            type: 'lineups must be a non-empty array of { team_name, starters, substitutes }',
+            minItems: 'lineups must be a non-empty array of { team_name, starters, substitutes }'
+          }
+        }
+      },
+      required: ['lineups']
+    }
+  },
+  'POST /api/event-schedule/:id/substitutions': {
+    tag: 'Event schedule',
+    summary: 'Record a substitution during a team sport match',
+    auth: true,
+    params: matchIdParams,
+    body: {
+      type: 'object',
+      properties: {
+        team_name: fields.teamName,
+        player_out: { ...fields.regNumber, title: 'player_out' },
+        player_in: { ...fields.regNumber, title: 'player_in' },
+        minute: { type: 'integer', title: 'minute', minimum: 0 },
+        reason: { type: 'string', title: 'reason' }
+      },
+      required: ['team_name', 'player_out', 'player_in']
+    }
+  },
+  'DELETE /api/event-schedule/:id/substitutions/:substitutionId': {
+    tag: 'Event schedule',
+    summary: 'Delete a substitution no later substitution depends on',
+    auth: true,
+    params: {
+      type: 'object',
+      properties: { id: objectId('Match ID'), substitutionId: objectId('Substitution ID') },
+      required: ['id', 'substitutionId']
+    }
+  },
+  'DELETE /api/event-schedule/:id': {
+    tag: 'Event schedule',
+    summary: 'Delete a scheduled match that is not part of a bracket or heats',
+    auth: true,
+    params: matchIdParams
+  },
+
+  // Batches
+  'GET /api/batches': {
+    tag: 'Batches',
+    summary: 'List the batches of an event year with their players',
+    query: eventIdQuery
+  },
+  'POST /api/add-batch': {
+    tag: 'Batches',
+    summary: 'Create a batch in an event year',
+    auth: true,
+    body: batchSchema
+  },
+  'DELETE /api/remove-batch': {
+    tag: 'Batches',
+    summary: 'Delete a batch without players',
+    auth: true,
+    body: batchSchema
+  },
+
+  // Departments
+  'GET /api/departments': {
+    tag: 'Departments',
+    summary: 'List departments with their player counts'
+  },
+  'POST /api/departments': {
+    tag: 'Departments',
+    summary: 'Create a department',
+    auth: true,
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', title: 'Department name', example: 'CSE' },
+        code: { type: 'string', title: 'Department code' },
+        display_order: { type: 'integer', title: 'display_order' }
+      },
+      required: ['name']
+    }
+  },
+  'PUT /api/departments/:id': {
+    tag: 'Departments',
+    summary: 'Update the display order of a department (name and code are immutable)',
+    auth: true,
+    params: departmentIdParams,
+    body: optionalFields({ display_order: { type: 'integer', title: 'display_order' } })
+  },
+  'DELETE /api/departments/:id': {
+    tag: 'Departments',
+    summary: 'Delete a department no player belongs to',
+    auth: true,
+    params: departmentIdParams
+  },
+
+  // Venues
+  'GET /api/venues': {
+    tag: 'Venues',
+    summary: 'List venues with their match counts'
+  },
+  'POST /api/venues': {
+    tag: 'Venues',
+    summary: 'Create a venue',
+    auth: true,
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', title: 'Venue name', example: 'Main Ground' },
+        location: { type: 'string', title: 'location' },
+        courts: venueCourts
+      },
+      required: ['name']
+    }
+  },
+  'PUT /api/venues/:id': {
+    tag: 'Venues',
+    summary: 'Update the location and courts of a venue (name is immutable)',
+    auth: true,
+    params: venueIdParams,
+    body: optionalFields({ location: { type: 'string', title: 'location' }, courts: venueCourts })
+  },
+  'DELETE /api/venues/:id': {
+    tag: 'Venues',
+    summary: 'Delete a venue no match uses',
+    auth: true,
+    params: venueIdParams
+  },
+
+  // Notifications
+  'GET /api/notifications/preferences': {
+    tag: 'Notifications',
+    summary: 'Get the email notification preferences of the logged-in player',
+    auth: true
+  },
+  'PUT /api/notifications/preferences': {
+    tag: 'Notifications',
+    summary: 'Opt in or out of email notification categories',
+    auth: true,
+    body: {
+      type: 'object',
+      properties: {
+        preferences: {
+          type: 'object',
+          title: 'preferences',
+          properties: Object.fromEntries(
+            Object.keys(NOTIFICATION_CATEGORIES).map(category => [
+              category,
+              { type: 'boolean', title: category, messages: { type: `Preference "${category}" must be true or false` } }
+            ])
+          ),
+          additionalProperties: false,
+          minProperties: 1,
+          messages: {
+            type: 'preferences must be an object of { category: true|false }',
+            minProperties: 'At least one notification preference is required'
+          }
+        }
+      },
+      required: ['preferences']
+    }
+  },
+  'GET /api/notifications/outbox': {
+    tag: 'Notifications',
+    summary: 'List queued notification emails, newest first',
+    auth: true,
+    query: optionalFields({
+      status: { type: 'string', title: 'status', enum: NOTIFICATION_OUTBOX_STATUSES },
+      type: { type: 'string', title: 'type', enum: NOTIFICATION_TYPES },
+      reg_number: fields.regNumber,
+      event_id: fields.eventId,
+      ...pageQuery
+    })
+  },
+  'POST /api/notifications/outbox/:id/retry': {
+    tag: 'Notifications',
+    summary: 'Queue a failed notification email again',
+    auth: true,
+    params: { type: 'object', properties: { id: objectId('Email ID') }, required: ['id'] }
+  },
+
+  // Points table
+  'GET /api/points-table/:sport': {
+    tag: 'Points table',
+    summary: 'Get the ranked league table of a sport for one gender',
+    auth: true,
+    params: sportParams,
+    query: {
+      type: 'object',
+      properties: {
+        event_id: eventIdQuery.properties.event_id,
+        gender: { ...fields.gender, messages: { ...fields.gender.messages, required: 'Gender parameter is required and must be "Male" or "Female"' } }
+      },
+      required: ['gender']
+    }
+  },
+  'PUT /api/points-table/:sport/coin-toss': {
+    tag: 'Points table',
+    summary: 'Record the coin toss order of participants level on points',
+    auth: true,
+    params: sportParams,
+    query: eventIdQuery,
+    body: {
+      type: 'object',
+      properties: {
+        gender: requiredGender,
+        order: {
+          type: 'array',
+          title: 'order',
+          description: 'Participants level on points, highest ranked first',
+          items: { type: 'string', title: 'Participant', minLength: 1 },
+          minItems: 2,
+          uniqueItems: true,
+          messages: {
+            type: 'order must list at least two participants',
+            minItems: 'order must list at least two participants',
+            uniqueItems: 'order cannot contain duplicate participants'
+          }
+        }
+      },
+      required: ['gender', 'order']
+    }
+  },
+  'POST /api/points-table/backfill/:sport': {
+    tag: 'Points table',
+    summary: 'Recalculate the points table of a sport from its completed league matches',
+    auth: true,
+    params: sportParams,
+    query: eventIdQuery
+  },
+
+  // Championship and exports
+  'GET /api/championship': {
+    tag: 'Championship',
+    summary: 'Get the championship standings of departments and batches',
+    query: eventIdQuery
+  },
+  'GET /api/export-excel': {
+    tag: 'Exports',
+    summary: 'Download the players of an event year with their participation as an Excel file',
+    auth: true,
+    query: eventIdQuery,
+    responses: { 200: 'Excel workbook (application/vnd.openxmlformats-officedocument.spreadsheetml.sheet)' }
+  },
+
+  // Administration
+  'GET /api/roles': {
+    tag: 'Roles',
+    summary: 'List role assignments',
+    auth: true,
+    query: optionalFields({ event_id: fields.eventId, reg_number: fields.regNumber })
+  },
+  'POST /api/roles': {
+    tag: 'Roles',
+    summary: 'Assign a role to a player',
+    auth: true,
+    body: {
+      type: 'object',
+      properties: {
+        reg_number: fields.regNumber,
+        role: {
+          type: 'string',
+          title: 'role',
+          enum: ASSIGNABLE_ROLES,
+          messages: { enum: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` }
+        },
+        event_id: {
+          ...fields.eventId,
+          description: 'Required for event_admin, optional for viewer (omit for every event year), not allowed for super_admin'
+        }
+      },
+      required: ['reg_number', 'role']
+    }
+  },
+  'DELETE /api/roles/:id': {
+    tag: 'Roles',
+    summary: 'Remove a role assignment',
+    auth: true,
+    params: idParams('Role assignment ID')
+  },
+  'GET /api/locked-accounts': {
+    tag: 'Lockouts',
+    summary: 'List locked accounts and IP addresses',
+    auth: true
+  },
+  'DELETE /api/locked-accounts/ip/:ip': {
+    tag: 'Lockouts',
+    summary: 'Clear the lockout and failed attempts of an IP address',
+    auth: true,
+    params: { type: 'object', properties: { ip: { type: 'string', title: 'IP address', example: '203.0.113.7' } }, required: ['ip'] }
+  },
+  'DELETE /api/locked-accounts/:reg_number': {
+    tag: 'Lockouts',
+    summary: 'Clear the lockout and failed attempts of an account',
+    auth: true,
+    params: regNumberParams
+  },
+  'GET /api/audit-log': {
+    tag: 'Audit log',
+    summary: 'List audit log entries, newest first (event admins see their event year only)',
+    auth: true,
+    query: optionalFields({
+      event_id: fields.eventId,
+      actor: { ...fields.regNumber, title: 'actor' },
+      entity_type: { type: 'string', title: 'entity_type', example: 'Sport' },
+      entity_id: { type: 'string', title: 'entity_id' },
+      action: { type: 'string', title: 'action', enum: ['create', 'update', 'delete'] },
+      route: { type: 'string', title: 'route', description: 'Case-insensitive part of the request route' },
+      from: dateField('from'),
+      to: dateField('to'),
+      page: pageQuery.page,
+      limit: { ...pageQuery.limit, description: `Items per page (default ${DEFAULT_AUDIT_LOG_PAGE_SIZE}, capped at 100)` }
+    })
+  },
+
+  // Health (mounted at the root, outside /api)
+  'GET /healthz': {
+    tag: 'Health',
+    summary: 'Liveness probe with MongoDB, cache store and email transport status',
+    responses: { 503: 'Shutting down' }
+  },
+  'GET /readyz': {
+    tag: 'Health',
+    summary: 'Readiness probe (ready when MongoDB answers a ping)',
+    responses: { 503: 'Not ready or shutting down' }
+  },
+  'GET /metrics': {
+    tag: 'Health',
+    summary: 'Prometheus metrics (send Authorization: Bearer <METRICS_TOKEN> when it is set)',
+    responses: { 200: 'Metrics in the Prometheus text format', 401: 'Metrics token required' }
+  },
+
+  // Docs
+  'GET /api/docs': {
+    tag: 'Docs',
+    summary: 'Get this OpenAPI document'
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Results Snapshot Helper Functions
+ * Freezes the results of an event year (championship standings, winners, league tables, rosters) when it is archived,
+ * so archived years are served from the snapshot instead of being recomputed
+ */
+
+import Sport from '../models/Sport.js'
+import Batch from '../models/Batch.js'
+import Player from '../models/Player.js'
+import EventSchedule from '../models/EventSchedule.js'
+import ResultsSnapshot from '../models/ResultsSnapshot.js'
+import { buildChampionshipStandings } from './championship.js'
+import { getRankedPointsTable, getPointsRules } from './pointsTable.js'
+import { getMatchGender } from './genderHelpers.js'
+import { VALID_GENDERS } from '../constants/index.js'
+
+/**
+ * Build the results snapshot of an event year
+ * @param {Object} eventYearDoc - Event year document
+ * @returns {Promise<Object>} { event_id, championship, winners, points_tables, rosters, batches }
+ */
+export async function buildResultsSnapshot(eventYearDoc) {
+  const eventId = eventYearDoc.event_id
+
+  const [championship, sports, batches, leagueMatches] = await Promise.all([
+    buildChampionshipStandings(eventYearDoc),
+    Sport.find({ event_id: eventId }).sort({ category: 1, name: 1 }).lean(),
+    Batch.find({ event_id: eventId }).sort({ name: 1 }).lean(),
+    EventSchedule.find({ event_id: eventId, match_type: 'league' }).lean()
+  ])
+
+  // Winner of every decided sport
+  const winners = championship.sports
+    .filter(result => result.completed)
+    .map(result => {
+      const winner = result.placings.find(placing => placing.place === 1)
+      return winner ? { sport: result.sport, gender: result.gender, ...winner } : null
+    })
+    .filter(Boolean)
+
+  // League tables per sport and gender (same shape as GET /api/points-table/:sport)
+  const pointsTables = []
+  for (const sportDoc of sports) {
+    const sportLeagueMatches = leagueMatches.filter(m => m.sports_name === sportDoc.name)
+    const leagueGenders = new Set()
+    for (const match of sportLeagueMatches) {
+      leagueGenders.add(await getMatchGender(match, sportDoc))
+    }
+
+    for (const gender of VALID_GENDERS) {
+      const entries = await getRankedPointsTable(sportDoc, eventId, gender)
+      if (entries.length === 0 && !leagueGenders.has(gender)) {
+        continue
+      }
+      pointsTables.push({
+        sport: sportDoc.name,
+        gender,
+        points_table: entries,
+        total_participants: entries.length,
+        has_league_matches: leagueGenders.has(gender),
+        points_rules: getPointsRules(sportDoc)
+      })
+    }
+  }
+
+  // Names and departments are copied so rosters stay readable if players change or are removed later
+  const regNumbers = new Set()
+  sports.forEach(sportDoc => {
+    const teamPlayers = (sportDoc.teams_participated || []).flatMap(team => team.players)
+    teamPlayers.concat(sportDoc.players_participated || []).forEach(regNumber => regNumbers.add(regNumber))
+  })
+  const players = await Player.find({ reg_number: { $in: [...regNumbers] } })
+    .select('reg_number full_name gender department_branch')
+    .lean()
+  const playersByRegNumber = new Map(players.map(p => [p.reg_number, p]))
+  const toRosterPlayer = (regNumber) => {
+    const player = playersByRegNumber.get(regNumber)
+    return {
+      reg_number: regNumber,
+      full_name: player?.full_name || null,
+      gender: player?.gender || null,
+      department_branch: player?.department_branch || null
+    }
+  }
+
+  const rosters = sports.map(sportDoc => ({
+    sport: sportDoc.name,
+    type: sportDoc.type,
+    category: sportDoc.category,
+    teams: (sportDoc.teams_participated || []).map(team => ({
+      team_name: team.team_name,
+      captain: team.captain,
+      players: team.players.map(toRosterPlayer)
+    })),
+    participants: (sportDoc.players_participated || []).map(toRosterPlayer)
+  }))
+
+  return {
+    event_id: eventId,
+    championship,
+    winners,
+    points_tables: pointsTables,
+    rosters,
+    batches: batches.map(batch => ({ name: batch.name, players: batch.players }))
+  }
+}
+
+/**
+ * Archive an event year: store its results snapshot, then mark it archived
+ * If marking the event year fails, the snapshot is removed again
+ * @param {Object} eventYear - Event year mongoose document (validated with validateEventYearStatusTransition)
+ * @param {string} archivedBy - reg_number of the admin archiving the event year
+ * @returns {Promise<Object>} Saved snapshot document
+ */
+export async function archiveEventYear(eventYear, archivedBy) {
+  const snapshotData = await buildResultsSnapshot(eventYear)
+
+  // A snapshot left behind by an earlier failed attempt is replaced
+  await ResultsSnapshot.deleteOne({ event_id: eventYear.event_id })
+  const snapshot = new ResultsSnapshot({ ...snapshotData, createdBy: archivedBy })
+  await snapshot.save()
+
+  try {
+    eventYear.status = 'archived'
+    eventYear.updatedBy = archivedBy
+    await eventYear.save()
+  } catch (error) {
+    await ResultsSnapshot.deleteOne({ _id: snapshot._id })
+    throw error
+  }
+
+  return snapshot
+}
+
+/**
+ * Get the results snapshot of an archived event year
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} Snapshot or null
+ */
+export async function getResultsSnapshot(eventId) {
+  return ResultsSnapshot.findOne({ event_id: String(eventId).trim().toLowerCase() }).lean()
+}
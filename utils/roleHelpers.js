@@ -0,0 +1,207 @@
+/**
+ * Role Helper Functions
+ * Resolves the roles a user holds and checks them against the permissions matrix
+ */
+
+import RoleAssignment from '../models/RoleAssignment.js'
+import Sport from '../models/Sport.js'
+import { normalizeSportName } from './sportHelpers.js'
+import { getEventYear } from './yearHelpers.js'
+import { ADMIN_REG_NUMBER, PERMISSIONS, ROLES } from '../constants/index.js'
+
+// Roles limited to a single sport within an event year
+const SPORT_SCOPED_ROLES = [ROLES.COORDINATOR, ROLES.CAPTAIN]
+
+/**
+ * Get all roles held by a user
+ * Combines the implicit player role, the bootstrap admin account, explicit RoleAssignment
+ * documents and coordinator/captain entries derived from the Sports collection
+ * @param {string} regNumber - User registration number
+ * @returns {Promise<Array<{role: string, event_id: string|null, sport: string|null}>>} Role entries
+ */
+export async function getUserRoles(regNumber) {
+  if (!regNumber) {
+    return []
+  }
+
+  const roles = [{ role: ROLES.PLAYER, event_id: null, sport: null }]
+
+  // The shared admin login stays a super admin so existing deployments keep working
+  if (regNumber === ADMIN_REG_NUMBER) {
+    roles.push({ role: ROLES.SUPER_ADMIN, event_id: null, sport: null })
+  }
+
+  const [assignments, sports] = await Promise.all([
+    RoleAssignment.find({ reg_number: regNumber }).select('role event_id').lean(),
+    Sport.find({
+      $or: [
+        { eligible_coordinators: regNumber },
+        { eligible_captains: regNumber }
+      ]
+    })
+      .select('name event_id eligible_coordinators eligible_captains')
+      .lean()
+  ])
+
+  for (const assignment of assignments) {
+    roles.push({ role: assignment.role, event_id: assignment.event_id || null, sport: null })
+  }
+
+  for (const sport of sports) {
+    if ((sport.eligible_coordinators || []).includes(regNumber)) {
+      roles.push({ role: ROLES.COORDINATOR, event_id: sport.event_id, sport: sport.name })
+    }
+    if ((sport.eligible_captains || []).includes(regNumber)) {
+      roles.push({ role: ROLES.CAPTAIN, event_id: sport.event_id, sport: sport.name })
+    }
+  }
+
+  return roles
+}
+
+/**
+ * Check if a single role entry covers the requested scope
+ * @param {Object} roleEntry - Role entry from getUserRoles
+ * @param {Object} scope - { event_id, sport }
+ * @returns {boolean} True if the role applies to the scope
+ */
+function roleMatchesScope(roleEntry, scope) {
+  const eventId = scope?.event_id || null
+  const sport = scope?.sport || null
+
+  switch (roleEntry.role) {
+    case ROLES.PLAYER:
+    case ROLES.SUPER_ADMIN:
+      return true
+    case ROLES.EVENT_ADMIN:
+    case ROLES.VIEWER:
+      // A viewer without event_id can read every event year
+      return !roleEntry.event_id || roleEntry.event_id === eventId
+    case ROLES.COORDINATOR:
+    case ROLES.CAPTAIN:
+      // Without a sport in scope, any sport in the event year qualifies (handlers narrow further)
+      return roleEntry.event_id === eventId && (!sport || roleEntry.sport === sport)
+    default:
+      return false
+  }
+}
+
+/**
+ * Check if a user's roles grant a permission for a scope
+ * @param {Array} roles - Role entries from getUserRoles
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @param {Object} scope - { event_id, sport }
+ * @returns {boolean} True if allowed
+ * @throws {Error} If the permission is not defined in the matrix
+ */
+export function hasPermission(roles, permission, scope = {}) {
+  const allowedRoles = PERMISSIONS[permission]
+  if (!allowedRoles) {
+    throw new Error(`Unknown permission: ${permission}`)
+  }
+
+  return (roles || []).some(roleEntry =>
+    allowedRoles.includes(roleEntry.role) && roleMatchesScope(roleEntry, scope)
+  )
+}
+
+/**
+ * Check if a permission is granted for a whole event year (not just one sport)
+ * Used by list endpoints that show everything to admins/viewers but only own sports to coordinators
+ * @param {Array} roles - Role entries from getUserRoles
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @param {string} eventId - Event ID
+ * @returns {boolean} True if allowed for every sport in the event year
+ */
+export function hasEventWidePermission(roles, permission, eventId) {
+  const eventWideRoles = (roles || []).filter(roleEntry => !SPORT_SCOPED_ROLES.includes(roleEntry.role))
+  return hasPermission(eventWideRoles, permission, { event_id: eventId, sport: null })
+}
+
+/**
+ * Check if roles include super admin
+ * @param {Array} roles - Role entries from getUserRoles
+ * @returns {boolean} True if super admin
+ */
+export function isSuperAdmin(roles) {
+  return (roles || []).some(roleEntry => roleEntry.role === ROLES.SUPER_ADMIN)
+}
+
+/**
+ * Strip the implicit player role for API responses
+ * @param {Array} roles - Role entries from getUserRoles
+ * @returns {Array} Role entries without the implicit player role
+ */
+export function formatRolesForResponse(roles) {
+  return (roles || []).filter(roleEntry => roleEntry.role !== ROLES.PLAYER)
+}
+
+// Request fields naming the event year or sport of a request; a request must not name two different ones
+const SCOPE_FIELDS = {
+  event_id: ['params.event_id', 'query.event_id', 'body.event_id'],
+  sport: ['params.sport', 'query.sport', 'body.sport', 'body.sports_name']
+}
+
+/**
+ * Read a request field from a 'location.field' path
+ * @param {Object} req - Express request
+ * @param {string} path - e.g. 'body.sports_name'
+ * @returns {*} Field value (undefined if absent)
+ */
+function getRequestField(req, path) {
+  const [location, field] = path.split('.')
+  return req[location]?.[field]
+}
+
+/**
+ * Find an event year or sport named with different values in the path, query and body
+ * Such a request could be authorized for one value while the handler acts on the other
+ * @param {Object} req - Express request
+ * @returns {string|null} The conflicting field ('event_id' or 'sport'), or null
+ */
+export function findScopeConflict(req) {
+  const normalize = {
+    event_id: value => String(value).trim().toLowerCase(),
+    sport: value => normalizeSportName(String(value))
+  }
+
+  for (const [field, paths] of Object.entries(SCOPE_FIELDS)) {
+    const values = new Set(paths
+      .map(path => getRequestField(req, path))
+      .filter(value => value !== undefined && value !== null && value !== '')
+      .map(normalize[field]))
+    if (values.size > 1) {
+      return field
+    }
+  }
+  return null
+}
+
+/**
+ * Create a permission scope resolver that reads the request fields a route's handler uses
+ * Falls back to the active event year when the event field is empty (matches route behaviour)
+ * @param {Object} fields - Paths of the fields, e.g. { event_id: 'query.event_id', sport: 'params.sport' }
+ *   (omit one the handler does not read)
+ * @returns {Function} async (req) => { event_id, sport }
+ */
+export function createScopeResolver({ event_id: eventIdPath = null, sport: sportPath = null } = {}) {
+  return async (req) => {
+    const rawEventId = eventIdPath ? getRequestField(req, eventIdPath) : null
+    const rawSport = sportPath ? getRequestField(req, sportPath) : null
+
+    let eventId = rawEventId ? String(rawEventId).trim().toLowerCase() : null
+    if (!eventId) {
+      try {
+        eventId = await getEventYear(null)
+      } catch (error) {
+        // No active event year - only global roles can match
+        eventId = null
+      }
+    }
+
+    return {
+      event_id: eventId,
+      sport: rawSport ? normalizeSportName(String(rawSport)) : null
+    }
+  }
+}
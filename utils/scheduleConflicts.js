@@ -0,0 +1,194 @@
+/**
+ * Schedule Conflict Utilities
+ * Venue/time validation and detection of overlapping matches (same venue, or same player across sports)
+ */
+
+import EventSchedule from '../models/EventSchedule.js'
+import Sport from '../models/Sport.js'
+import Venue from '../models/Venue.js'
+import { TIME_PATTERN as TIME_PATTERN_SOURCE } from '../shared/validation/rules.js'
+
+const TIME_PATTERN = new RegExp(TIME_PATTERN_SOURCE)
+
+/**
+ * Convert an HH:MM time to minutes since midnight
+ * @param {string} time - Time (HH:MM)
+ * @returns {number} Minutes since midnight
+ */
+export function parseTimeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Convert minutes since midnight to an HH:MM time
+ * @param {number} totalMinutes - Minutes since midnight (0-1439)
+ * @returns {string} Time (HH:MM)
+ */
+export function formatMinutesAsTime(totalMinutes) {
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0')
+  const minutes = String(totalMinutes % 60).padStart(2, '0')
+  return `${hours}:${minutes}`
+}
+
+/**
+ * Read venue, court and time fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { venue, court, start_time, end_time } trimmed, null when empty or not a string
+ */
+export function normalizeMatchSlot(body) {
+  const read = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null)
+  return {
+    venue: read(body.venue),
+    court: read(body.court),
+    start_time: read(body.start_time),
+    end_time: read(body.end_time)
+  }
+}
+
+/**
+ * Validate venue, court and time fields of a match
+ * start_time and end_time go together; court requires a venue and must be one of its courts
+ * @param {Object} slot - { venue, court, start_time, end_time } (null/empty = not set)
+ * @returns {Promise<Object|null>} Error object if validation fails, null otherwise
+ */
+export async function validateMatchSlot({ venue, court, start_time, end_time }) {
+  if (Boolean(start_time) !== Boolean(end_time)) {
+    return { statusCode: 400, message: 'start_time and end_time must be provided together' }
+  }
+
+  if (start_time) {
+    if (!TIME_PATTERN.test(start_time) || !TIME_PATTERN.test(end_time)) {
+      return { statusCode: 400, message: 'start_time and end_time must be in HH:MM format' }
+    }
+    if (parseTimeToMinutes(end_time) <= parseTimeToMinutes(start_time)) {
+      return { statusCode: 400, message: 'end_time must be after start_time' }
+    }
+  }
+
+  if (court && !venue) {
+    return { statusCode: 400, message: 'court requires a venue' }
+  }
+
+  if (venue) {
+    const venueDoc = await Venue.findOne({ name: venue }).select('name courts').lean()
+    if (!venueDoc) {
+      return { statusCode: 400, message: `Venue "${venue}" does not exist` }
+    }
+    if (court && !(venueDoc.courts || []).includes(court)) {
+      return { statusCode: 400, message: `Court "${court}" does not exist at venue "${venue}"` }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Get the players (reg_numbers) taking part in a match
+ * Team matches resolve to the members of each team
+ * @param {Object} match - Match ({ teams, players })
+ * @param {Object|null} sportDoc - Sport document of the match (needed for team matches)
+ * @returns {Set<string>} Player reg_numbers
+ */
+export function getMatchPlayerRegNumbers(match, sportDoc) {
+  if (match.teams && match.teams.length > 0) {
+    const teamNames = new Set(match.teams.map(t => (t || '').trim()))
+    const members = (sportDoc?.teams_participated || [])
+      .filter(team => teamNames.has(team.team_name))
+      .flatMap(team => team.players || [])
+    return new Set(members)
+  }
+  return new Set((match.players || []).map(p => (p || '').trim()).filter(Boolean))
+}
+
+/**
+ * Find scheduled/completed matches that overlap a match in time and share its venue or a player
+ * Only matches with start_time and end_time are compared; date-only matches never conflict
+ * @param {Object} candidate - Match being scheduled ({ event_id, match_date, start_time, end_time, venue, court, teams, players })
+ * @param {Object} sportDoc - Sport document of the candidate match
+ * @param {Object} options - { excludeMatchIds } matches to ignore (e.g. the match being updated)
+ * @returns {Promise<Array<Object>>} Conflicts: { type: 'venue' | 'player', match_id, match_number, sports_name, match_date, start_time, end_time, venue, court, players? }
+ */
+export async function findScheduleConflicts(candidate, sportDoc, { excludeMatchIds = [] } = {}) {
+  if (!candidate.start_time || !candidate.end_time) {
+    return []
+  }
+
+  const dayStart = new Date(candidate.match_date)
+  dayStart.setHours(0, 0, 0, 0)
+  const dayEnd = new Date(dayStart)
+  dayEnd.setDate(dayEnd.getDate() + 1)
+
+  const sameDayMatches = await EventSchedule.find({
+    _id: { $nin: excludeMatchIds },
+    event_id: candidate.event_id,
+    match_date: { $gte: dayStart, $lt: dayEnd },
+    status: { $in: ['scheduled', 'completed'] },
+    start_time: { $ne: null },
+    end_time: { $ne: null }
+  }).lean()
+
+  const start = parseTimeToMinutes(candidate.start_time)
+  const end = parseTimeToMinutes(candidate.end_time)
+  const overlapping = sameDayMatches.filter(match =>
+    parseTimeToMinutes(match.start_time) < end && start < parseTimeToMinutes(match.end_time)
+  )
+  if (overlapping.length === 0) {
+    return []
+  }
+
+  // Team members are needed to detect players in two matches at once (possibly in different sports)
+  const teamSportNames = [...new Set(overlapping.filter(m => m.teams && m.teams.length > 0).map(m => m.sports_name))]
+  const teamSports = teamSportNames.length > 0
+    ? await Sport.find({ event_id: candidate.event_id, name: { $in: teamSportNames } }).select('name teams_participated').lean()
+    : []
+  const sportsByName = new Map(teamSports.map(sport => [sport.name, sport]))
+
+  const candidatePlayers = getMatchPlayerRegNumbers(candidate, sportDoc)
+  const conflicts = []
+
+  for (const match of overlapping) {
+    const details = {
+      match_id: match._id,
+      match_number: match.match_number,
+      sports_name: match.sports_name,
+      match_date: match.match_date,
+      start_time: match.start_time,
+      end_time: match.end_time,
+      venue: match.venue || null,
+      court: match.court || null
+    }
+
+    // Matches on different courts of the same venue can run side by side
+    const sharesVenue = candidate.venue && match.venue === candidate.venue &&
+      (!candidate.court || !match.court || candidate.court === match.court)
+    if (sharesVenue) {
+      conflicts.push({ type: 'venue', ...details })
+    }
+
+    const matchPlayers = getMatchPlayerRegNumbers(match, sportsByName.get(match.sports_name) || null)
+    const sharedPlayers = [...candidatePlayers].filter(p => matchPlayers.has(p))
+    if (sharedPlayers.length > 0) {
+      conflicts.push({ type: 'player', ...details, players: sharedPlayers })
+    }
+  }
+
+  return conflicts
+}
+
+/**
+ * Build a readable summary of scheduling conflicts
+ * @param {Array<Object>} conflicts - Conflicts from findScheduleConflicts
+ * @returns {string} Error message
+ */
+export function formatConflictMessage(conflicts) {
+  const descriptions = conflicts.map(conflict => {
+    const label = `Match #${conflict.match_number} (${conflict.sports_name}, ${conflict.start_time}-${conflict.end_time})`
+    if (conflict.type === 'venue') {
+      const place = conflict.court ? `${conflict.venue} - ${conflict.court}` : conflict.venue
+      return `${label} is already using ${place}`
+    }
+    return `${label} already includes player(s) ${conflict.players.join(', ')}`
+  })
+  return `Scheduling conflict: ${descriptions.join('; ')}.`
+}
@@ -0,0 +1,393 @@
+/**
+ * Score Helper Functions (Backend)
+ * Validation of sport scoring formats and match scores, and derivation of results from scores
+ */
+
+import { SCORING_FORMATS, DUAL_ONLY_SCORING_FORMATS, SCORE_UNITS, DEFAULT_SCORE_UNITS } from '../constants/index.js'
+
+/**
+ * Check if a sport type is a dual sport (two participants per match)
+ * @param {string} type - Sport type
+ * @returns {boolean} True if dual sport
+ */
+function isDualSportType(type) {
+  return type === 'dual_team' || type === 'dual_player'
+}
+
+/**
+ * Parse an optional positive integer setting (accepts numeric strings)
+ * @param {any} value - Value from the request body
+ * @returns {number|null|undefined} Parsed integer, null when empty, undefined when invalid
+ */
+function parseOptionalPositiveInteger(value) {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+  const parsed = typeof value === 'string' ? Number(value.trim()) : value
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined
+}
+
+/**
+ * Validate and normalize the scoring format of a sport
+ * @param {any} scoring - Scoring object ({ format, best_of, max_overs, unit }) or null to disable scores
+ * @param {string} type - Sport type
+ * @returns {Object} { isValid: boolean, value: Object|null, error: string|null }
+ */
+export function validateScoringRules(scoring, type) {
+  if (scoring === null || scoring === '' || (scoring && typeof scoring === 'object' && !scoring.format)) {
+    return { isValid: true, value: null, error: null }
+  }
+
+  if (typeof scoring !== 'object' || Array.isArray(scoring)) {
+    return { isValid: false, value: null, error: 'scoring must be an object with a format' }
+  }
+
+  const { format } = scoring
+  if (!SCORING_FORMATS.includes(format)) {
+    return { isValid: false, value: null, error: `scoring.format must be one of: ${SCORING_FORMATS.join(', ')}` }
+  }
+
+  if (DUAL_ONLY_SCORING_FORMATS.includes(format) && !isDualSportType(type)) {
+    return {
+      isValid: false,
+      value: null,
+      error: `Scoring format "${format}" is only available for dual_team and dual_player sports`
+    }
+  }
+
+  const bestOf = parseOptionalPositiveInteger(scoring.best_of)
+  const maxOvers = parseOptionalPositiveInteger(scoring.max_overs)
+
+  if (format === 'sets') {
+    if (bestOf === undefined || (bestOf !== null && bestOf % 2 === 0)) {
+      return { isValid: false, value: null, error: 'scoring.best_of must be an odd positive integer (e.g. 3 or 5)' }
+    }
+  } else if (bestOf !== null) {
+    return { isValid: false, value: null, error: 'scoring.best_of is only allowed for the "sets" format' }
+  }
+
+  if (format === 'cricket') {
+    if (maxOvers === undefined) {
+      return { isValid: false, value: null, error: 'scoring.max_overs must be a positive integer' }
+    }
+  } else if (maxOvers !== null) {
+    return { isValid: false, value: null, error: 'scoring.max_overs is only allowed for the "cricket" format' }
+  }
+
+  const unit = scoring.unit === undefined || scoring.unit === null || scoring.unit === '' ? null : scoring.unit
+  if (unit !== null) {
+    if (!SCORE_UNITS[format]) {
+      return { isValid: false, value: null, error: 'scoring.unit is only allowed for the "time" and "distance" formats' }
+    }
+    if (!Object.keys(SCORE_UNITS[format]).includes(unit)) {
+      return { isValid: false, value: null, error: `scoring.unit must be one of: ${Object.keys(SCORE_UNITS[format]).join(', ')}` }
+    }
+  }
+
+  return {
+    isValid: true,
+    value: { format, best_of: bestOf, max_overs: maxOvers, unit },
+    error: null
+  }
+}
+
+/**
+ * Check overs notation: whole overs plus 0-5 balls after the decimal point (e.g. 19.4)
+ * @param {number} overs - Overs value
+ * @returns {boolean} True if valid
+ */
+function isValidOvers(overs) {
+  if (typeof overs !== 'number' || !Number.isFinite(overs) || overs < 0) {
+    return false
+  }
+  const tenths = Math.round(overs * 10)
+  return Math.abs(overs * 10 - tenths) < 1e-9 && tenths % 10 <= 5
+}
+
+/**
+ * Count the sets won by each side of a sets score
+ * @param {Array<number>} setsA - Games won by side A in each set
+ * @param {Array<number>} setsB - Games won by side B in each set
+ * @returns {Array<number>} [setsWonByA, setsWonByB]
+ */
+function countSetsWon(setsA, setsB) {
+  let wonA = 0
+  let wonB = 0
+  setsA.forEach((games, index) => {
+    if (games > setsB[index]) wonA++
+    else wonB++
+  })
+  return [wonA, wonB]
+}
+
+/**
+ * Get the unit a time/distance score is recorded in: the entry's own unit, else the sport's unit, else the base unit
+ * @param {Object} scoring - Sport scoring ({ format, unit })
+ * @param {Object} entry - Score entry
+ * @returns {string} Unit key of SCORE_UNITS[format]
+ */
+function getScoreUnit(scoring, entry) {
+  return entry.unit || scoring.unit || DEFAULT_SCORE_UNITS[scoring.format]
+}
+
+/**
+ * Convert a time/distance score to the base unit (seconds / metres) so results in different units compare
+ * @param {Object} scoring - Sport scoring ({ format, unit })
+ * @param {Object} score - Normalized score entry
+ * @returns {number} Value in the base unit
+ */
+export function getBaseUnitValue(scoring, score) {
+  const value = scoring.format === 'time' ? score.time : score.distance
+  // Rounded to micro-units so equal results entered in different units compare as ties
+  return Math.round(value * (SCORE_UNITS[scoring.format][getScoreUnit(scoring, score)] || 1) * 1e6) / 1e6
+}
+
+/**
+ * Validate one participant's score fields for a scoring format
+ * @param {Object} scoring - Sport scoring ({ format, best_of, max_overs, unit })
+ * @param {Object} entry - Score entry from the request body
+ * @returns {Object} { value: Object|null, error: string|null } normalized score (only the format's fields)
+ */
+function validateScoreEntry(scoring, entry) {
+  const participant = entry.participant
+  const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0
+  const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0
+
+  switch (scoring.format) {
+    case 'goals':
+      if (!isNonNegativeInteger(entry.goals)) {
+        return { value: null, error: `Score for "${participant}" must have goals as a non-negative integer` }
+      }
+      return { value: { participant, goals: entry.goals }, error: null }
+    case 'sets':
+      if (!Array.isArray(entry.sets) || entry.sets.length === 0 || !entry.sets.every(isNonNegativeInteger)) {
+        return { value: null, error: `Score for "${participant}" must have sets as a non-empty array of games won per set` }
+      }
+      return { value: { participant, sets: entry.sets }, error: null }
+    case 'cricket':
+      if (!isNonNegativeInteger(entry.runs)) {
+        return { value: null, error: `Score for "${participant}" must have runs as a non-negative integer` }
+      }
+      if (!isNonNegativeInteger(entry.wickets) || entry.wickets > 10) {
+        return { value: null, error: `Score for "${participant}" must have wickets between 0 and 10` }
+      }
+      if (!isValidOvers(entry.overs)) {
+        return { value: null, error: `Score for "${participant}" must have overs in overs.balls notation (e.g. 19.4, balls 0-5)` }
+      }
+      if (scoring.max_overs && entry.overs > scoring.max_overs) {
+        return { value: null, error: `Score for "${participant}" cannot exceed ${scoring.max_overs} overs` }
+      }
+      return { value: { participant, runs: entry.runs, wickets: entry.wickets, overs: entry.overs }, error: null }
+    case 'time':
+    case 'distance': {
+      const unit = getScoreUnit(scoring, entry)
+      if (!Object.keys(SCORE_UNITS[scoring.format]).includes(unit)) {
+        return { value: null, error: `Unit of "${participant}" must be one of: ${Object.keys(SCORE_UNITS[scoring.format]).join(', ')}` }
+      }
+      if (!isPositiveNumber(entry[scoring.format])) {
+        return { value: null, error: `Score for "${participant}" must have ${scoring.format} as a positive number (${unit})` }
+      }
+      return { value: { participant, [scoring.format]: entry[scoring.format], unit }, error: null }
+    }
+    default:
+      return { value: null, error: `Unsupported scoring format "${scoring.format}"` }
+  }
+}
+
+/**
+ * Validate the sets of a dual match against each other and the best_of rule
+ * @param {Object} scoring - Sport scoring ({ format: 'sets', best_of })
+ * @param {Array<Object>} scores - Two normalized score entries
+ * @returns {string|null} Error message or null
+ */
+function validateSetsScore(scoring, [scoreA, scoreB]) {
+  if (scoreA.sets.length !== scoreB.sets.length) {
+    return 'Both participants must have the same number of sets'
+  }
+  if (scoreA.sets.some((games, index) => games === scoreB.sets[index])) {
+    return 'A set cannot end level. Each set must have a winner.'
+  }
+
+  if (scoring.best_of) {
+    const setsToWin = Math.ceil(scoring.best_of / 2)
+    if (scoreA.sets.length > scoring.best_of) {
+      return `A best-of-${scoring.best_of} match cannot have more than ${scoring.best_of} sets`
+    }
+    // The match ends as soon as one side reaches the required number of sets
+    let wonA = 0
+    let wonB = 0
+    for (let index = 0; index < scoreA.sets.length; index++) {
+      if (wonA === setsToWin || wonB === setsToWin) {
+        return `Set ${index + 1} was played after the match was already decided (first to ${setsToWin} sets)`
+      }
+      if (scoreA.sets[index] > scoreB.sets[index]) wonA++
+      else wonB++
+    }
+    if (wonA !== setsToWin && wonB !== setsToWin) {
+      return `The match is not decided yet. A best-of-${scoring.best_of} match needs ${setsToWin} sets to win.`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate and normalize the scores of a match
+ * Dual sports need a score for both participants; multi sports may score any subset of participants
+ * @param {Object} scoring - Sport scoring ({ format, best_of, max_overs })
+ * @param {Array<string>} participants - Match participants (teams or players)
+ * @param {any} scores - Scores from the request body
+ * @param {string} type - Sport type
+ * @returns {Object} { isValid: boolean, value: Array<Object>|null, error: string|null }
+ */
+export function validateMatchScores(scoring, participants, scores, type) {
+  if (!Array.isArray(scores) || scores.length === 0) {
+    return { isValid: false, value: null, error: 'scores must be a non-empty array of participant scores' }
+  }
+
+  const participantSet = new Set((participants || []).map(p => (p || '').trim()))
+  const seen = new Set()
+  const normalized = []
+
+  for (const entry of scores) {
+    if (!entry || typeof entry !== 'object' || typeof entry.participant !== 'string' || !entry.participant.trim()) {
+      return { isValid: false, value: null, error: 'Each score must have a participant' }
+    }
+    const participant = entry.participant.trim()
+    if (!participantSet.has(participant)) {
+      return { isValid: false, value: null, error: `Score participant "${participant}" must be one of the match participants` }
+    }
+    if (seen.has(participant)) {
+      return { isValid: false, value: null, error: `Duplicate score for "${participant}"` }
+    }
+    seen.add(participant)
+
+    const { value, error } = validateScoreEntry(scoring, { ...entry, participant })
+    if (error) {
+      return { isValid: false, value: null, error }
+    }
+    normalized.push(value)
+  }
+
+  if (isDualSportType(type)) {
+    if (normalized.length !== 2 || participantSet.size !== 2) {
+      return { isValid: false, value: null, error: 'Scores are required for both participants of the match' }
+    }
+    if (scoring.format === 'sets') {
+      const setsError = validateSetsScore(scoring, normalized)
+      if (setsError) {
+        return { isValid: false, value: null, error: setsError }
+      }
+    }
+  }
+
+  return { isValid: true, value: normalized, error: null }
+}
+
+/**
+ * Get a comparable value for a score (higher is better)
+ * @param {Object} scoring - Sport scoring
+ * @param {Object} score - Normalized score entry
+ * @param {Object|null} opponent - Opponent score entry (needed for sets)
+ * @returns {number} Comparable value
+ */
+function getScoreValue(scoring, score, opponent) {
+  switch (scoring.format) {
+    case 'goals':
+      return score.goals
+    case 'sets':
+      return countSetsWon(score.sets, opponent.sets)[0]
+    case 'cricket':
+      return score.runs
+    case 'time':
+      return -getBaseUnitValue(scoring, score)
+    case 'distance':
+      return getBaseUnitValue(scoring, score)
+    default:
+      return 0
+  }
+}
+
+/**
+ * Derive the result of a match from validated scores
+ * Dual sports: winner is the better score, null when level (draw)
+ * Multi sports: ranking from best to worst (time ascending, distance descending); winner is not set
+ * @param {Object} scoring - Sport scoring ({ format, best_of, max_overs })
+ * @param {Array<Object>} scores - Normalized scores from validateMatchScores
+ * @param {string} type - Sport type
+ * @returns {Object} { winner: string|null, ranking: Array<{ participant, value }> }
+ */
+export function deriveResultFromScores(scoring, scores, type) {
+  if (isDualSportType(type)) {
+    const [scoreA, scoreB] = scores
+    const valueA = getScoreValue(scoring, scoreA, scoreB)
+    const valueB = getScoreValue(scoring, scoreB, scoreA)
+    const ranking = valueA >= valueB
+      ? [{ participant: scoreA.participant, value: valueA }, { participant: scoreB.participant, value: valueB }]
+      : [{ participant: scoreB.participant, value: valueB }, { participant: scoreA.participant, value: valueA }]
+    return {
+      winner: valueA === valueB ? null : ranking[0].participant,
+      ranking
+    }
+  }
+
+  const ranking = scores
+    .map(score => ({ participant: score.participant, value: getScoreValue(scoring, score, null) }))
+    .sort((a, b) => b.value - a.value)
+  return { winner: null, ranking }
+}
+
+/**
+ * Check that qualifier positions agree with the scores of a multi sport match
+ * Qualified participants must have a score, be ordered by it, and no unqualified participant may score better
+ * @param {Array<Object>} ranking - Ranking from deriveResultFromScores
+ * @param {Array<Object>} qualifiers - Qualifiers ({ participant, position })
+ * @returns {string|null} Error message or null
+ */
+export function validateQualifiersAgainstRanking(ranking, qualifiers) {
+  const valueByParticipant = new Map(ranking.map(entry => [entry.participant, entry.value]))
+  const ordered = [...qualifiers].sort((a, b) => a.position - b.position)
+
+  for (const qualifier of ordered) {
+    if (!valueByParticipant.has(qualifier.participant)) {
+      return `Qualifier "${qualifier.participant}" has no recorded score`
+    }
+  }
+
+  for (let index = 1; index < ordered.length; index++) {
+    if (valueByParticipant.get(ordered[index].participant) > valueByParticipant.get(ordered[index - 1].participant)) {
+      return `Qualifier positions do not match the scores: "${ordered[index].participant}" scored better than "${ordered[index - 1].participant}"`
+    }
+  }
+
+  if (ordered.length > 0) {
+    const qualified = new Set(ordered.map(q => q.participant))
+    const lastValue = valueByParticipant.get(ordered[ordered.length - 1].participant)
+    const betterUnqualified = ranking.find(entry => !qualified.has(entry.participant) && entry.value > lastValue)
+    if (betterUnqualified) {
+      return `"${betterUnqualified.participant}" scored better than a qualifier and must also qualify`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Get scores for and against each side of a dual match (goals, sets won or runs)
+ * Time and distance results have no for/against totals
+ * @param {Object|null} scoring - Sport scoring ({ format, best_of, max_overs })
+ * @param {Array<Object>} scores - Recorded scores of the match
+ * @returns {Map<string, Object>} participant -> { for, against } (empty when not applicable)
+ */
+export function getScoreTotals(scoring, scores) {
+  const totals = new Map()
+  if (!scoring || !DUAL_ONLY_SCORING_FORMATS.includes(scoring.format) || !scores || scores.length !== 2) {
+    return totals
+  }
+  const [scoreA, scoreB] = scores
+  const valueA = getScoreValue(scoring, scoreA, scoreB)
+  const valueB = getScoreValue(scoring, scoreB, scoreA)
+  totals.set(scoreA.participant, { for: valueA, against: valueB })
+  totals.set(scoreB.participant, { for: valueB, against: valueA })
+  return totals
+}
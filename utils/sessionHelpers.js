@@ -0,0 +1,172 @@
+/**
+ * Session Helper Functions
+ * Issues access tokens and manages rotating refresh tokens stored in the Session collection
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import mongoose from 'mongoose'
+import Session from '../models/Session.js'
+import logger from './logger.js'
+import { JWT_EXPIRES_IN, REFRESH_TOKEN_EXPIRY_DAYS } from '../constants/index.js'
+import { isSuperAdmin } from './roleHelpers.js'
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production'
+
+// Two tabs refreshing at the same moment both present the same token; only treat
+// reuse of a rotated token as theft once this window has passed
+const REFRESH_REUSE_GRACE_MS = 30 * 1000
+
+/**
+ * Hash a refresh token for storage/lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex')
+}
+
+/**
+ * Generate a new random refresh token
+ * @returns {{token: string, tokenHash: string}}
+ */
+function generateRefreshToken() {
+  const token = crypto.randomBytes(48).toString('hex')
+  return { token, tokenHash: hashRefreshToken(token) }
+}
+
+/**
+ * Get refresh token expiry date from now
+ * @returns {Date} Expiry date
+ */
+function getRefreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+}
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} player - Player document or object (reg_number, full_name)
+ * @param {Array} roles - Role entries from getUserRoles
+ * @param {string|Object} sessionId - Session ID
+ * @returns {string} Signed JWT
+ */
+export function signAccessToken(player, roles, sessionId) {
+  const tokenPayload = {
+    reg_number: player.reg_number,
+    full_name: player.full_name,
+    isAdmin: isSuperAdmin(roles),
+    sid: String(sessionId),
+  }
+
+  return jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN })
+}
+
+/**
+ * Create a new session for a user
+ * @param {string} regNumber - User registration number
+ * @param {Object} req - Express request (for user agent and IP)
+ * @returns {Promise<{session: Object, refreshToken: string}>} Session document and raw refresh token
+ */
+export async function createSession(regNumber, req) {
+  const { token, tokenHash } = generateRefreshToken()
+
+  const session = await Session.create({
+    reg_number: regNumber,
+    refresh_token_hash: tokenHash,
+    expires_at: getRefreshExpiry(),
+    last_used_at: new Date(),
+    user_agent: req?.headers?.['user-agent'] || null,
+    ip_address: req?.ip || null
+  })
+
+  return { session, refreshToken: token }
+}
+
+/**
+ * Rotate a refresh token
+ * The presented token is replaced by a new one; presenting a rotated-out token again
+ * (outside the grace window) revokes the whole session
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @returns {Promise<{session: Object, refreshToken: string}|null>} New token, or null if invalid/expired/revoked
+ */
+export async function rotateSession(refreshToken) {
+  if (!refreshToken) {
+    return null
+  }
+
+  const tokenHash = hashRefreshToken(refreshToken)
+  const now = new Date()
+
+  const session = await Session.findOne({ refresh_token_hash: tokenHash })
+  if (!session) {
+    const reusedSession = await Session.findOne({ previous_token_hash: tokenHash, revoked_at: null })
+    if (reusedSession && (!reusedSession.last_used_at || now - reusedSession.last_used_at > REFRESH_REUSE_GRACE_MS)) {
+      reusedSession.revoked_at = now
+      await reusedSession.save()
+      logger.warn(`Refresh token reuse detected, session revoked: ${reusedSession.reg_number}`)
+    }
+    return null
+  }
+
+  if (session.revoked_at || session.expires_at <= now) {
+    return null
+  }
+
+  const { token, tokenHash: newTokenHash } = generateRefreshToken()
+  session.previous_token_hash = tokenHash
+  session.refresh_token_hash = newTokenHash
+  session.expires_at = getRefreshExpiry()
+  session.last_used_at = now
+  await session.save()
+
+  return { session, refreshToken: token }
+}
+
+/**
+ * Check if a session is still valid (exists, not revoked, not expired)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if session is active
+ */
+export async function isSessionActive(sessionId) {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false
+  }
+
+  const session = await Session.findById(sessionId).select('revoked_at expires_at').lean()
+  return !!session && !session.revoked_at && session.expires_at > new Date()
+}
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+export async function revokeSession(sessionId) {
+  if (!sessionId) {
+    return false
+  }
+
+  const result = await Session.updateOne(
+    { _id: sessionId, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  )
+  return result.modifiedCount > 0
+}
+
+/**
+ * Revoke all active sessions for one or more users
+ * @param {string|Array<string>} regNumbers - Registration number(s)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessions(regNumbers) {
+  const regNumberList = Array.isArray(regNumbers) ? regNumbers : [regNumbers]
+  if (regNumberList.length === 0) {
+    return 0
+  }
+
+  const result = await Session.updateMany(
+    { reg_number: { $in: regNumberList }, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  )
+  return result.modifiedCount
+}
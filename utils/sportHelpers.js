@@ -4,6 +4,7 @@
  */
 
 import Sport from '../models/Sport.js'
+import { MAX_RESERVE_SLOTS } from '../constants/index.js'
 
 /**
  * Check if a sport type is a team sport
@@ -86,6 +87,63 @@ export function validateTeamSize(team_size, type) {
   }
 }
 
+/**
+ * Validate and parse the reserve slots of a sport (team sports only, 0 when not provided)
+ * @param {any} reserve_slots - Reserve slots value (can be string or number)
+ * @param {string} type - Sport type
+ * @returns {Object} { isValid: boolean, value: number, error: string|null }
+ */
+export function validateReserveSlots(reserve_slots, type) {
+  if (reserve_slots === undefined || reserve_slots === null || reserve_slots === '') {
+    return { isValid: true, value: 0, error: null }
+  }
+
+  const value = typeof reserve_slots === 'string' ? Number(reserve_slots.trim()) : reserve_slots
+  if (!Number.isInteger(value) || value < 0 || value > MAX_RESERVE_SLOTS) {
+    return { isValid: false, value: 0, error: `reserve_slots must be a whole number from 0 to ${MAX_RESERVE_SLOTS}` }
+  }
+  if (value > 0 && !isTeamSportType(type)) {
+    return { isValid: false, value: 0, error: 'reserve_slots is only applicable for dual_team and multi_team types' }
+  }
+
+  return { isValid: true, value, error: null }
+}
+
+/**
+ * Get the most players a team of a sport may have: team_size starters plus reserve_slots reserves
+ * @param {Object} sportDoc - Sport document
+ * @returns {number|null} Roster limit, or null when the sport has no team_size
+ */
+export function getTeamRosterLimit(sportDoc) {
+  if (sportDoc.team_size === null || sportDoc.team_size === undefined) {
+    return null
+  }
+  return sportDoc.team_size + (sportDoc.reserve_slots || 0)
+}
+
+/**
+ * Check whether a team has enough accepted players to play: at least the sport's team_size
+ * (invited players only count once they accept)
+ * @param {Object} sportDoc - Sport document
+ * @param {Object} team - Team from Sport.teams_participated
+ * @returns {boolean} True if complete (always true when the sport has no team_size)
+ */
+export function isTeamComplete(sportDoc, team) {
+  if (sportDoc.team_size === null || sportDoc.team_size === undefined) {
+    return true
+  }
+  return (team.players || []).length >= sportDoc.team_size
+}
+
+/**
+ * Get the teams of a sport that can be scheduled, seeded or given fixtures (complete teams only)
+ * @param {Object} sportDoc - Sport document
+ * @returns {Array<Object>} Complete teams
+ */
+export function getCompleteTeams(sportDoc) {
+  return (sportDoc.teams_participated || []).filter(team => isTeamComplete(sportDoc, team))
+}
+
 /**
  * Normalize sport name to lowercase
  * @param {string} name - Sport name
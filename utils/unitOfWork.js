@@ -0,0 +1,78 @@
+/**
+ * Unit of Work
+ * Runs the writes of a multi-document operation (e.g. a match result and the points table it changes) as one
+ * MongoDB transaction, so a failure midway rolls every write back instead of leaving collections out of sync.
+ *
+ * Mongoose passes the transaction's session to every query and save inside the callback
+ * (transactionAsyncLocalStorage, Mongoose 8.4 or later), so helpers such as updatePointsTable need no session parameter.
+ * Transactions need a replica set or sharded cluster; on a standalone server the callback runs without one.
+ */
+
+import mongoose from 'mongoose'
+import logger from './logger.js'
+
+mongoose.set('transactionAsyncLocalStorage', true)
+
+// Promise of whether the connected server supports transactions (checked once per process)
+let transactionSupport = null
+let standaloneWarningLogged = false
+
+/**
+ * Check if the connected MongoDB server supports transactions (replica set member or mongos)
+ * @returns {Promise<boolean>} True if transactions are supported
+ */
+export function supportsTransactions() {
+  if (!transactionSupport) {
+    transactionSupport = mongoose.connection.asPromise()
+      .then(connection => connection.db.admin().command({ hello: 1 }))
+      .then(hello => Boolean(hello.setName) || hello.msg === 'isdbgrid')
+      .catch(error => {
+        logger.error('[UnitOfWork] Error checking transaction support:', error)
+        // Check again on the next unit of work
+        transactionSupport = null
+        return false
+      })
+  }
+  return transactionSupport
+}
+
+/**
+ * Log (once per process) that multi-document writes run without transactions
+ */
+function warnTransactionsUnsupported() {
+  if (!standaloneWarningLogged) {
+    standaloneWarningLogged = true
+    logger.warn('[UnitOfWork] MongoDB is not a replica set: multi-document writes run without transactions. ' +
+      'Run MongoDB as a replica set (a single node is enough, see docs/setup/env-setup.md).')
+  }
+}
+
+/**
+ * Check transaction support at startup, so a standalone MongoDB is reported before the first write
+ * @returns {Promise<boolean>} True if transactions are supported
+ */
+export async function checkTransactionSupport() {
+  const supported = await supportsTransactions()
+  if (supported) {
+    logger.server('[UnitOfWork] MongoDB transactions are available')
+  } else {
+    warnTransactionsUnsupported()
+  }
+  return supported
+}
+
+/**
+ * Run a unit of work in a transaction: every write inside commits together or not at all
+ * The callback may be run again when MongoDB reports a transient error (e.g. a write conflict with a concurrent
+ * request), so it must only write to the database: change loaded documents before the unit of work, and clear
+ * caches, queue notifications and send the response after it
+ * @param {Function} work - async (session) => result; session is null when transactions are not supported
+ * @returns {Promise<any>} Result of the callback
+ */
+export async function runInTransaction(work) {
+  if (!(await supportsTransactions())) {
+    warnTransactionsUnsupported()
+    return work(null)
+  }
+  return mongoose.connection.transaction(work)
+}
@@ -4,79 +4,51 @@
  */
 
 import {
-  VALID_GENDERS,
   MATCH_TYPES,
   MATCH_STATUSES,
   SPORT_TYPES,
 } from '../constants/index.js'
+import { validateSchema } from '../shared/validation/schema.js'
+import { EMAIL_PATTERN, PHONE_PATTERN, fields, playerUpdateSchema } from '../shared/validation/rules.js'
 import { validateDepartmentExists } from './playerHelpers.js'
 
+// Player fields with a password, without batch (players/import rows; batches are checked separately)
+const playerDataSchema = {
+  ...playerUpdateSchema,
+  properties: { ...playerUpdateSchema.properties, password: fields.password },
+  required: [...playerUpdateSchema.required, 'password']
+}
+
 /**
  * Validate email format
  */
 export const isValidEmail = (email) => {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-  return emailRegex.test(email)
+  return new RegExp(EMAIL_PATTERN).test(email)
 }
 
 /**
  * Validate phone number (10 digits)
  */
 export const isValidPhone = (phone) => {
-  const phoneRegex = /^[0-9]{10}$/
-  return phoneRegex.test(phone)
+  return new RegExp(PHONE_PATTERN).test(phone)
 }
 
 /**
- * Validate player registration data
- * Updated to use year field (formatted string) and validate against Department collection
+ * Validate player data (player import rows)
+ * Field rules are the shared player schema (shared/validation/rules.js); the department is checked against the Department collection
  */
 export const validatePlayerData = async (data) => {
-  const errors = []
-
-  if (!data.reg_number?.trim()) {
-    errors.push('Registration number is required')
-  }
-
-  if (!data.full_name?.trim()) {
-    errors.push('Full name is required')
-  }
-
-  if (!data.gender?.trim()) {
-    errors.push('Gender is required')
-  } else if (!VALID_GENDERS.includes(data.gender.trim())) {
-    errors.push(`Invalid gender. Must be one of: ${VALID_GENDERS.join(', ')}`)
-  }
+  const validation = validateSchema(playerDataSchema, data)
+  const errors = validation.errors.map(error => error.message)
 
-  if (!data.department_branch?.trim()) {
-    errors.push('Department/branch is required')
-  } else {
-    // Validate against Department collection
-    const deptValidation = await validateDepartmentExists(data.department_branch)
+  const departmentIsValid = !validation.errors.some(error => error.field === 'department_branch')
+  if (departmentIsValid) {
+    const deptValidation = await validateDepartmentExists(validation.value.department_branch)
     if (!deptValidation.exists) {
-      errors.push(`Department "${data.department_branch}" does not exist`)
+      errors.push(`Department "${validation.value.department_branch}" does not exist`)
     }
   }
 
-  // year field removed - now handled by Batch collection
-  // Batch assignment happens after player registration
-
-  if (!data.mobile_number?.trim()) {
-    errors.push('Mobile number is required')
-  } else if (!isValidPhone(data.mobile_number.trim())) {
-    errors.push('Invalid mobile number. Must be 10 digits.')
-  }
-
-  if (!data.email_id?.trim()) {
-    errors.push('Email ID is required')
-  } else if (!isValidEmail(data.email_id.trim())) {
-    errors.push('Invalid email format')
-  }
-
-  if (!data.password?.trim()) {
-    errors.push('Password is required')
-  }
-
   return {
     isValid: errors.length === 0,
     errors,
@@ -123,103 +95,3 @@ export const isTeamSport = (sport) => {
   // Keeping for backward compatibility but should not be used
   return false
 }
-
-/**
- * Validate player update data (without password)
- * Updated to use year field and validate against Department collection
- */
-export const validateUpdatePlayerData = async (data) => {
-  const errors = []
-
-  if (!data.reg_number?.trim()) {
-    errors.push('Registration number is required')
-  }
-
-  if (!data.full_name?.trim()) {
-    errors.push('Full name is required')
-  }
-
-  if (!data.gender?.trim()) {
-    errors.push('Gender is required')
-  } else if (!VALID_GENDERS.includes(data.gender.trim())) {
-    errors.push(`Invalid gender. Must be one of: ${VALID_GENDERS.join(', ')}`)
-  }
-
-  if (!data.department_branch?.trim()) {
-    errors.push('Department/branch is required')
-  } else {
-    // Validate against Department collection
-    const deptValidation = await validateDepartmentExists(data.department_branch)
-    if (!deptValidation.exists) {
-      errors.push(`Department "${data.department_branch}" does not exist`)
-    }
-  }
-
-  // year cannot be modified (validation will be done in route handler)
-
-  if (!data.mobile_number?.trim()) {
-    errors.push('Mobile number is required')
-  } else if (!isValidPhone(data.mobile_number.trim())) {
-    errors.push('Invalid mobile number. Must be 10 digits.')
-  }
-
-  if (!data.email_id?.trim()) {
-    errors.push('Email ID is required')
-  } else if (!isValidEmail(data.email_id.trim())) {
-    errors.push('Invalid email format')
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors,
-  }
-}
-
-/**
- * Validate captain assignment data
- * Requires event_id for composite key filtering
- */
-export const validateCaptainAssignment = (data) => {
-  const errors = []
-
-  if (!data.reg_number?.trim()) {
-    errors.push('Registration number is required')
-  }
-
-  if (!data.sport?.trim()) {
-    errors.push('Sport name is required')
-  }
-
-  if (!data.event_id || !String(data.event_id).trim()) {
-    errors.push('Event ID is required')
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors,
-  }
-}
-
-/**
- * Trim all string fields in an object
- */
-export const trimObjectFields = (obj) => {
-  if (!obj || typeof obj !== 'object') {
-    return obj
-  }
-
-  const trimmed = {}
-  for (const key in obj) {
-    if (Object.prototype.hasOwnProperty.call(obj, key)) {
-      const value = obj[key]
-      if (typeof value === 'string') {
-        trimmed[key] = value.trim()
-      } else if (Array.isArray(value)) {
-        trimmed[key] = value.map((item) => (typeof item === 'string' ? item.trim() : item))
-      } else {
-        trimmed[key] = value
-      }
-    }
-  }
-  return trimmed
-}
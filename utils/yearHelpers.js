@@ -4,8 +4,9 @@
  */
 
 import EventYear from '../models/EventYear.js'
-import { getCache, setCache, clearCache } from './cache.js'
+import { getCache, setCache, clearCache, cacheTags } from './cache.js'
 import { sendErrorResponse } from './errorHandler.js'
+import { EVENT_YEAR_STATUSES } from '../constants/index.js'
 
 /**
  * Get event year with caching and validation
@@ -21,16 +22,16 @@ export async function getEventYear(eventId = null, options = {}) {
 
   // Get active event year first (needed for fallback)
   let activeEventYearDoc = null
-  const cachedActiveYear = getCache('/api/event-years/active')
+  const cachedActiveYear = await getCache('/api/event-years/active')
   if (cachedActiveYear && shouldEventYearBeActive(cachedActiveYear)) {
     activeEventYearDoc = cachedActiveYear
   } else {
     if (cachedActiveYear) {
-      clearCache('/api/event-years/active')
+      await clearCache('/api/event-years/active')
     }
     activeEventYearDoc = await findActiveEventYear()
     if (activeEventYearDoc) {
-      setCache('/api/event-years/active', activeEventYearDoc)
+      await setCache('/api/event-years/active', activeEventYearDoc, [cacheTags.eventYears()])
     }
   }
 
@@ -161,6 +162,38 @@ export function validateDateRelationships(registration_dates, event_dates) {
   return { isValid: true, error: null }
 }
 
+/**
+ * Validate the dates of a new event year
+ * Checks date relationships and that registration and event do not start in the past
+ * @param {Object} registration_dates - Registration dates object with start and end
+ * @param {Object} event_dates - Event dates object with start and end
+ * @returns {Object} { isValid: boolean, error: string|null }
+ */
+export function validateNewEventYearDates(registration_dates, event_dates) {
+  const dateValidation = validateDateRelationships(registration_dates, event_dates)
+  if (!dateValidation.isValid) {
+    return dateValidation
+  }
+
+  const now = new Date()
+  now.setHours(0, 0, 0, 0)
+  const regStart = new Date(registration_dates.start)
+  regStart.setHours(0, 0, 0, 0)
+
+  if (regStart < now) {
+    return { isValid: false, error: 'Registration start date cannot be in the past. Event creation is only allowed for current or future dates.' }
+  }
+
+  const eventStart = new Date(event_dates.start)
+  eventStart.setHours(0, 0, 0, 0)
+
+  if (eventStart < now) {
+    return { isValid: false, error: 'Event start date cannot be in the past. Event creation is only allowed for current or future dates.' }
+  }
+
+  return { isValid: true, error: null }
+}
+
 /**
  * Determine which date fields can be updated based on current date and existing event year dates
  * @param {Object} existingEventYear - Existing event year document
@@ -230,3 +263,88 @@ export function getUpdatableDateFields(existingEventYear) {
     canUpdateEventEnd: true
   }
 }
+
+/**
+ * Get the lifecycle status of an event year
+ * Event years created before the lifecycle have no stored status; theirs is derived from the dates
+ * (never archived - archiving is always explicit)
+ * @param {Object} eventYearDoc - Event year document
+ * @returns {string|null} One of EVENT_YEAR_STATUSES, or null without a document
+ */
+export function getEventYearStatus(eventYearDoc) {
+  if (!eventYearDoc) {
+    return null
+  }
+  if (eventYearDoc.status) {
+    return eventYearDoc.status
+  }
+
+  const now = new Date()
+  now.setHours(0, 0, 0, 0)
+
+  const regStart = new Date(eventYearDoc.registration_dates.start)
+  regStart.setHours(0, 0, 0, 0)
+
+  const regEnd = new Date(eventYearDoc.registration_dates.end)
+  regEnd.setHours(23, 59, 59, 999)
+
+  const eventEnd = new Date(eventYearDoc.event_dates.end)
+  eventEnd.setHours(23, 59, 59, 999)
+
+  if (now < regStart) return 'draft'
+  if (now <= regEnd) return 'registration'
+  if (now <= eventEnd) return 'live'
+  return 'completed'
+}
+
+/**
+ * Validate a status change of an event year
+ * Statuses only move forward one step (draft -> registration -> live -> completed -> archived)
+ * and an event year can only be archived after its event end date
+ * @param {Object} eventYearDoc - Event year document
+ * @param {any} nextStatus - Requested status
+ * @returns {Object} { isValid: boolean, error: string|null }
+ */
+export function validateEventYearStatusTransition(eventYearDoc, nextStatus) {
+  if (!EVENT_YEAR_STATUSES.includes(nextStatus)) {
+    return { isValid: false, error: `status must be one of: ${EVENT_YEAR_STATUSES.join(', ')}` }
+  }
+
+  const currentStatus = getEventYearStatus(eventYearDoc)
+  if (currentStatus === 'archived') {
+    return { isValid: false, error: 'Event year is archived. Archived event years cannot change status.' }
+  }
+
+  const expectedStatus = EVENT_YEAR_STATUSES[EVENT_YEAR_STATUSES.indexOf(currentStatus) + 1]
+  if (nextStatus !== expectedStatus) {
+    return { isValid: false, error: `Event year status can only move from ${currentStatus} to ${expectedStatus}` }
+  }
+
+  if (nextStatus === 'archived') {
+    const now = new Date()
+    now.setHours(0, 0, 0, 0)
+    const eventEnd = new Date(eventYearDoc.event_dates.end)
+    eventEnd.setHours(23, 59, 59, 999)
+    if (now <= eventEnd) {
+      return { isValid: false, error: 'Event year can only be archived after the event has ended.' }
+    }
+  }
+
+  return { isValid: true, error: null }
+}
+
+/**
+ * Get the event_ids of all archived event years (cached)
+ * @returns {Promise<Array<string>>} Archived event_ids
+ */
+export async function getArchivedEventIds() {
+  const cached = await getCache('/api/event-years/archived')
+  if (cached) {
+    return cached
+  }
+
+  const archivedYears = await EventYear.find({ status: 'archived' }).select('event_id').lean()
+  const eventIds = archivedYears.map(eventYear => eventYear.event_id)
+  await setCache('/api/event-years/archived', eventIds, [cacheTags.eventYears()])
+  return eventIds
+}